@@ -100,6 +100,21 @@ return out;`,
     argTypes: ['i32'],
     returns: 'f64'
   },
+
+  [Opcodes.i64_store]: {
+    c: `memcpy(_memory + offset + pointer, &value, sizeof(value));`,
+    args: ['pointer', 'value'],
+    argTypes: ['i32', 'i64'],
+    returns: false
+  },
+  [Opcodes.i64_load]: {
+    c: `i64 out;
+memcpy(&out, _memory + offset + pointer, sizeof(out));
+return out;`,
+    args: ['pointer'],
+    argTypes: ['i32'],
+    returns: 'i64'
+  },
 } : {
   [Opcodes.i32_store]: {
     c: `*((i32*)(_memory + offset + pointer)) = value;`,
@@ -151,6 +166,19 @@ return out;`,
     argTypes: ['i32'],
     returns: 'f64'
   },
+
+  [Opcodes.i64_store]: {
+    c: `*((i64*)(_memory + offset + pointer)) = value;`,
+    args: ['pointer', 'value'],
+    argTypes: ['i32', 'i64'],
+    returns: false
+  },
+  [Opcodes.i64_load]: {
+    c: `return *((i64*)(_memory + offset + pointer));`,
+    args: ['pointer'],
+    argTypes: ['i32'],
+    returns: 'i64'
+  },
 };
 
 const inv = (obj, keyMap = x => x) => Object.keys(obj).reduce((acc, x) => { acc[keyMap(obj[x])] = x; return acc; }, {});
@@ -183,6 +211,15 @@ export default ({ funcs, globals, data, pages }) => {
     }
     return acc;
   }, {});
+  const unsignedOpcode = {
+    [Opcodes.i32_lt_u]: [ '<', 'u32' ],
+    [Opcodes.i32_gt_u]: [ '>', 'u32' ],
+    [Opcodes.i32_le_u]: [ '<=', 'u32' ],
+    [Opcodes.i32_ge_u]: [ '>=', 'u32' ],
+    [Opcodes.i32_rem_u]: [ '%', 'u32' ],
+    [Opcodes.i32_shr_u]: [ '>>', 'u32' ],
+    [Opcodes.i64_shr_u]: [ '>>', 'u64' ]
+  };
   const invGlobals = inv(globals, x => x.idx);
 
   const codeToSanitizedStr = code => {
@@ -194,12 +231,15 @@ export default ({ funcs, globals, data, pages }) => {
     return out;
   };
   const sanitize = str => {
-    if (str === 'char' || str === 'main') return '_' + str;
+    // names C already uses, errno is a macro with errno.h
+    if (str === 'char' || str === 'int' || str === 'main' || str === 'argc' || str === 'argv' || str === 'errno') return '_' + str;
 
     return str.replace(/[^0-9a-zA-Z_]/g, _ => codeToSanitizedStr(_.charCodeAt(0)));
   };
 
+  const invGlobalTypes = {};
   for (const x in invGlobals) {
+    invGlobalTypes[x] = CValtype[globals[invGlobals[x]].type];
     invGlobals[x] = sanitize(invGlobals[x]);
   }
 
@@ -233,9 +273,9 @@ export default ({ funcs, globals, data, pages }) => {
     }
   }
 
-  if (importFuncs.find(x => x.name === '__Porffor_readArgv')) {
-    prepend.set('argv', `int _argc; char** _argv;`);
-    prependMain.set('argv', `_argc = argc; _argv = argv;`);
+  if (importFuncs.find(x => x.name === 'readArgv')) {
+    prepend.set('argv', `int _hostArgc; char** _hostArgv;`);
+    prependMain.set('argv', `_hostArgc = argc; _hostArgv = argv;`);
   }
 
   if (out) out += '\n';
@@ -275,6 +315,7 @@ export default ({ funcs, globals, data, pages }) => {
   let brId = 0;
 
   let ffiFuncs = {};
+  const indirectFuncs = funcs.filter(x => x.indirect);
   const cified = new Set();
   const cify = f => {
     if (cified.has(f.name)) return '';
@@ -285,10 +326,12 @@ export default ({ funcs, globals, data, pages }) => {
 
     let depth = 1;
     let brDepth = 0;
-    const line = (str, semi = true) => out += `${' '.repeat((depth + brDepth) * 2)}${str}${semi ? ';' : ''}\n`;
+    // #line directive of the current js statement (--source-map), before every line so they all map to it
+    let lineDirective = '';
+    const line = (str, semi = true) => out += `${lineDirective}${' '.repeat((depth + brDepth) * 2)}${str}${semi ? ';' : ''}\n`;
     const lines = lines => {
       for (const x of lines) {
-        out += `${' '.repeat((depth + brDepth) * 2)}${x}\n`;
+        out += `${lineDirective}${' '.repeat((depth + brDepth) * 2)}${x}\n`;
       }
     };
     const platformSpecific = (win, unix, add = true) => {
@@ -319,6 +362,7 @@ export default ({ funcs, globals, data, pages }) => {
 
     let retTmpId = 0;
     let tmpId = 0;
+    let tailLoop = false;
 
     const invLocals = inv(f.locals, x => x.idx);
     const invLocalTypes = {};
@@ -349,16 +393,14 @@ export default ({ funcs, globals, data, pages }) => {
     const returns = f.returns.length > 0;
     const typedReturns = f.returnType == null;
 
+    // values set in a try and read after longjmp back to its catch must be volatile (see try)
+    const volatile = f.wasm.some(x => x?.[0] === Opcodes.try) ? 'volatile ' : '';
+
     const shouldInline = false; // f.internal;
     if (f.name === '#main') {
       out += `int ${Prefs.lambda ? 'user_main' : 'main'}(${prependMain.has('argv') ? 'int argc, char* argv[]' : ''}) {\n`;
     } else {
-      out += `${!typedReturns ? (returns ? CValtype[f.returns[0]] : 'void') : 'struct ReturnValue'} ${shouldInline ? 'inline ' : ''}${sanitize(f.name)}(${f.params.map((x, i) => `${CValtype[x]} ${invLocals[i]}`).join(', ')}) {\n`;
-    }
-
-    if (f.name === '__Porffor_promise_runJobs') {
-      out += '}';
-      return topOfOut + out;
+      out += `${!typedReturns ? (returns ? CValtype[f.returns[0]] : 'void') : 'struct ReturnValue'} ${shouldInline ? 'inline ' : ''}${sanitize(f.name)}(${f.params.map((x, i) => `${volatile}${CValtype[x]} ${invLocals[i]}`).join(', ')}) {\n`;
     }
 
     if (f.name === '#main') {
@@ -369,7 +411,7 @@ export default ({ funcs, globals, data, pages }) => {
     const localKeys = Object.keys(f.locals).sort((a, b) => f.locals[a].idx - f.locals[b].idx).slice(f.params.length).sort((a, b) => f.locals[a].idx - f.locals[b].idx);
     for (const x of localKeys) {
       const l = f.locals[x];
-      line(`${CValtype[l.type]} ${sanitize(x)} = 0`);
+      line(`${volatile}${CValtype[l.type]} ${sanitize(x)} = 0`);
     }
 
     if (localKeys.length !== 0) out += '\n';
@@ -380,10 +422,13 @@ export default ({ funcs, globals, data, pages }) => {
     let vals = [];
     const endNeedsCurly = [];
     const brs = [];
+    // br of each try whose body is running, so leaving it restores the previous handler
+    const tries = [];
     let lastCond = false;
 
     const blockStart = (i, loop) => {
       rets.push(i[1]);
+      tries.push(null);
 
       const br = brId++;
       brs.push(br);
@@ -394,11 +439,47 @@ export default ({ funcs, globals, data, pages }) => {
         runOnEnd.push(() => line(`j${br}:;`, false));
       }
 
-      if (i[1] !== Blocktype.void) line(`${CValtype[i[1]]} _r${br}`);
+      if (i[1] !== Blocktype.void) line(`${volatile}${CValtype[i[1]]} _r${br}`);
 
       brDepth++;
     };
 
+    // restore the handler of the outermost try body being left, from block index from
+    const leaveTries = (from = 0) => {
+      const br = tries.find((x, j) => j >= from && x != null);
+      if (br != null) line(`_exceptionHandler = _tryPrev${br}`);
+    };
+
+    const exceptionGlobals = () => {
+      includes.set('setjmp.h', true);
+      prepend.set('exceptions', `jmp_buf* _exceptionHandler = 0;
+f64 _exceptionValue = 0;
+i32 _exceptionType = 0;`);
+    };
+
+    const throwValue = (val, type) => {
+      if (Prefs['2cWasmImports']) return;
+      exceptionGlobals();
+
+      line(`_exceptionValue = ${removeBrackets(val)}`);
+      line(`_exceptionType = ${removeBrackets(type)}`);
+      line(`if (_exceptionHandler) longjmp(*_exceptionHandler, 1)`);
+
+      // uncaught, print with the stack for errors if included by codegen
+      const print = funcs.find(x => x.name === '__Porffor_printUncaught');
+      if (print) {
+        if (!cified.has(print.name)) topOfOut += cify(print);
+        line(`${sanitize(print.name)}(_exceptionValue, _exceptionType)`);
+      } else {
+        line(`printf("Uncaught\\n")`);
+      }
+
+      line(`exit(1)`);
+
+      includes.set('stdio.h', true);
+      includes.set('stdlib.h', true);
+    };
+
     for (let _ = 0; _ < f.wasm.length; _++) {
       const i = f.wasm[_];
 
@@ -417,6 +498,12 @@ export default ({ funcs, globals, data, pages }) => {
         continue;
       }
 
+      if (i[0] === null && i[1] === 'loc') {
+        // statement location from codegen (--source-map)
+        lineDirective = `#line ${i[2].start.line} ${JSON.stringify(i[2].source ?? globalThis.file ?? '<anonymous>')}\n`;
+        continue;
+      }
+
       if (i[0] === null && i[1] === 'dlopen') {
         // special ffi time
         const path = i[2];
@@ -436,6 +523,17 @@ export default ({ funcs, globals, data, pages }) => {
 
       if (!i || !i[0]) continue;
 
+      if (unsignedOpcode[i[0]]) {
+        // C ints are signed, so cast both sides to get unsigned behavior
+        const [ op, type ] = unsignedOpcode[i[0]];
+        const b = vals.pop();
+        const a = vals.pop();
+
+        vals.push(`((${type})(${a}) ${op} (${type})(${b}))`);
+        lastCond = [ '>', '>=', '<', '<=' ].includes(op);
+        continue;
+      }
+
       if (invOperatorOpcode[i[0]]) {
         const b = vals.pop();
         const a = vals.pop();
@@ -469,7 +567,18 @@ export default ({ funcs, globals, data, pages }) => {
             const size = vals.pop();
             const src = vals.pop();
             const dst = vals.pop();
-            line(`memcpy(_memory + ${dst}, _memory + ${src}, ${size})`);
+            // memory.copy allows overlapping ranges
+            line(`memmove(_memory + ${dst}, _memory + ${src}, ${size})`);
+            includes.set('string.h', true);
+            break;
+          }
+
+          // memory_fill
+          case 0x0b: {
+            const size = vals.pop();
+            const val = vals.pop();
+            const dst = vals.pop();
+            line(`memset(_memory + ${dst}, ${val}, ${size})`);
             includes.set('string.h', true);
             break;
           }
@@ -486,8 +595,13 @@ export default ({ funcs, globals, data, pages }) => {
           break;
 
         case Opcodes.f64_const: {
+          // always a double literal, as integers would be int literals (eg 1 / 3 would be integer division)
           const val = i[1];
-          vals.push(val.toString());
+          let str = val.toString();
+          if (Object.is(val, -0)) str = '-0e+0';
+            else if (/^-?\d+$/.test(str)) str += 'e+0';
+
+          vals.push(str);
           break;
         }
 
@@ -508,9 +622,18 @@ export default ({ funcs, globals, data, pages }) => {
           break;
         }
 
-        case Opcodes.global_get:
-          vals.push(`${invGlobals[i[1]]}`);
+        case Opcodes.global_get: {
+          // get the value at this moment like locals, as it may be set before used
+          // eg malloc returns currentPtr then increments it
+          const id = localTmpId++;
+
+          const line2 = out.indexOf('{\n') + 2;
+          out = out.slice(0, line2) + `  ${invGlobalTypes[i[1]]} _get${id};\n` + out.slice(line2);
+
+          line(`_get${id} = ${invGlobals[i[1]]}`);
+          vals.push(`_get${id}`);
           break;
+        }
 
         case Opcodes.global_set:
           line(`${invGlobals[i[1]]} = ${removeBrackets(vals.pop())}`);
@@ -537,6 +660,7 @@ export default ({ funcs, globals, data, pages }) => {
           continue;
 
         case Opcodes.return:
+          leaveTries();
           if (!typedReturns) {
             line(`return${returns ? ` ${removeBrackets(vals.pop())}` : ''}`);
             break;
@@ -595,6 +719,9 @@ export default ({ funcs, globals, data, pages }) => {
             vals.push(`_r${br}`);
           }
 
+          // try without a catch
+          if (tries.pop() != null) line(`_exceptionHandler = _tryPrev${br}`);
+
           const enc = endNeedsCurly.pop() === true;
           if (enc) {
             depth--;
@@ -619,7 +746,7 @@ export default ({ funcs, globals, data, pages }) => {
               const name = '__porf_import_' + importFunc.name;
               if (!prepend.has(name)) {
                 prepend.set(name, `
-__attribute__((import_module(""), import_name("${importFunc.import}")))
+__attribute__((import_module("${importFunc.module}"), import_name("${importFunc.import}")))
 extern ${importFunc.returns.length > 0 ? CValtype[importFunc.returns[0]] : 'void'} ${name}(${importFunc.params.map(x => CValtype[x]).join(', ')});`);
               }
 
@@ -660,6 +787,231 @@ f64 _time_out${id} = (f64)_ts${id}.tv_sec * 1000.0 + (f64)_ts${id}.tv_nsec / 1.0
                 break;
               }
 
+              case 'sleep': {
+                const id = tmpId++;
+                const ms = vals.pop();
+                platformSpecific(`
+Sleep((DWORD)(${ms}));`, `
+f64 _sleep_ms${id} = ${ms};
+struct timespec _sleep_ts${id} = { (time_t)(_sleep_ms${id} / 1000.0), (long)(fmod(_sleep_ms${id}, 1000.0) * 1.0e6) };
+nanosleep(&_sleep_ts${id}, NULL);`);
+
+                winIncludes.set('windows.h', true);
+                includes.set('time.h', true);
+                includes.set('math.h', true);
+                break;
+              }
+
+              case 'readArgv':
+              case 'readEnv': {
+                const capacity = vals.pop();
+                const outPtr = vals.pop();
+                const index = vals.pop();
+
+                if (importFunc.name === 'readArgv') {
+                  prepend.set('readArgv', `f64 _readArgv(u32 index, u32 outPtr, u32 capacity) {
+  if (index >= _hostArgc) return -1;
+
+  const char* str = _hostArgv[index];
+  const u32 len = strlen(str);
+  if (len <= capacity) memcpy(_memory + outPtr, str, len);
+
+  return len;
+}`);
+                } else {
+                  prepend.set('readEnv', `#ifdef _WIN32
+#define environ _environ
+#else
+extern char** environ;
+#endif
+f64 _readEnv(u32 index, u32 outPtr, u32 capacity) {
+  for (u32 i = 0; i < index; i++) {
+    if (environ[i] == NULL) return -1;
+  }
+
+  const char* str = environ[index];
+  if (str == NULL) return -1;
+
+  const u32 len = strlen(str);
+  if (len <= capacity) memcpy(_memory + outPtr, str, len);
+
+  return len;
+}`);
+                }
+
+                vals.push(`_${importFunc.name}((u32)(${index}), (u32)(${outPtr}), (u32)(${capacity}))`);
+
+                includes.set('stdlib.h', true);
+                includes.set('string.h', true);
+                break;
+              }
+
+              case 'exit':
+                line(`exit((int)(${vals.pop()}))`);
+                includes.set('stdlib.h', true);
+                break;
+
+              case 'fsRead':
+              case 'fsReaddir':
+              case 'fsTake':
+              case 'fsWrite':
+              case 'fsStat': {
+                // read results are kept pending until taken, like wrap
+                prepend.set('fs', `u8* _fsPending; u32 _fsPendingLen;
+
+char* _fsPath(u32 ptr, u32 len) {
+  char* path = malloc(len + 1);
+  memcpy(path, _memory + ptr, len);
+  path[len] = 0;
+  return path;
+}
+
+f64 _fsError() {
+  switch (errno) {
+    case ENOENT: return -1;
+    case EACCES: case EPERM: return -2;
+    case EISDIR: return -3;
+    case ENOTDIR: return -4;
+    default: return -5;
+  }
+}
+
+void _fsSetPending(u8* buf, u32 len) {
+  free(_fsPending);
+  _fsPending = buf;
+  _fsPendingLen = len;
+}
+
+f64 _fsRead(u32 ptr, i32 len) {
+  FILE* file = stdin;
+  if (len != -1) {
+    char* path = _fsPath(ptr, len);
+    file = fopen(path, "rb");
+    free(path);
+    if (file == NULL) return _fsError();
+  }
+
+  u32 capacity = 4096, size = 0;
+  u8* buf = malloc(capacity);
+  while (1) {
+    size += fread(buf + size, 1, capacity - size, file);
+    if (size < capacity) break;
+
+    capacity *= 2;
+    buf = realloc(buf, capacity);
+  }
+
+  const int failed = ferror(file);
+  if (file != stdin) fclose(file);
+  if (failed) {
+    free(buf);
+    return _fsError();
+  }
+
+  _fsSetPending(buf, size);
+  return size;
+}
+
+void _fsTake(u32 outPtr) {
+  memcpy(_memory + outPtr, _fsPending, _fsPendingLen);
+  _fsSetPending(NULL, 0);
+}
+
+f64 _fsWrite(u32 ptr, u32 len, u32 dataPtr, u32 dataLen, u32 append) {
+  char* path = _fsPath(ptr, len);
+  FILE* file = fopen(path, append ? "ab" : "wb");
+  free(path);
+  if (file == NULL) return _fsError();
+
+  const u32 written = fwrite(_memory + dataPtr, 1, dataLen, file);
+  fclose(file);
+  return written == dataLen ? 0 : _fsError();
+}
+
+f64 _fsStat(u32 ptr, u32 len, u32 outPtr) {
+  char* path = _fsPath(ptr, len);
+  struct stat st;
+  const int failed = stat(path, &st);
+  free(path);
+  if (failed) return _fsError();
+
+  *((f64*)(_memory + outPtr)) = (f64)st.st_size;
+  *((f64*)(_memory + outPtr + 8)) = (f64)st.st_mtime * 1000.0;
+
+  if ((st.st_mode & S_IFMT) == S_IFREG) return 1;
+  if ((st.st_mode & S_IFMT) == S_IFDIR) return 2;
+  return 3;
+}
+
+void _fsAddName(u8** buf, u32* size, u32* capacity, const char* name) {
+  if (strcmp(name, ".") == 0 || strcmp(name, "..") == 0) return;
+
+  const u32 len = strlen(name) + 1;
+  while (*size + len > *capacity) {
+    *capacity *= 2;
+    *buf = realloc(*buf, *capacity);
+  }
+
+  memcpy(*buf + *size, name, len);
+  *size += len;
+}
+
+f64 _fsReaddir(u32 ptr, u32 len) {
+  char* path = _fsPath(ptr, len);
+  u32 capacity = 256, size = 0;
+  u8* buf = malloc(capacity);
+
+#ifdef _WIN32
+  char* pattern = malloc(len + 3);
+  sprintf(pattern, "%s\\\\*", path);
+  free(path);
+
+  WIN32_FIND_DATAA entry;
+  HANDLE find = FindFirstFileA(pattern, &entry);
+  free(pattern);
+  if (find == INVALID_HANDLE_VALUE) {
+    free(buf);
+    return GetLastError() == ERROR_DIRECTORY ? -4 : -1;
+  }
+
+  do _fsAddName(&buf, &size, &capacity, entry.cFileName);
+  while (FindNextFileA(find, &entry));
+  FindClose(find);
+#else
+  DIR* dir = opendir(path);
+  free(path);
+  if (dir == NULL) {
+    free(buf);
+    return _fsError();
+  }
+
+  struct dirent* entry;
+  while ((entry = readdir(dir)) != NULL) _fsAddName(&buf, &size, &capacity, entry->d_name);
+  closedir(dir);
+#endif
+
+  _fsSetPending(buf, size);
+  return size;
+}`);
+
+                const args = [];
+                for (let j = 0; j < importFunc.params.length; j++) args.unshift(`(u32)(${removeBrackets(vals.pop())})`);
+                if (importFunc.name === 'fsRead') args[1] = `(i32)${args[1].slice(5)}`;
+
+                const call = `_${importFunc.name}(${args.join(', ')})`;
+                if (importFunc.returns.length > 0) vals.push(call);
+                  else line(call);
+
+                includes.set('stdio.h', true);
+                includes.set('stdlib.h', true);
+                includes.set('string.h', true);
+                includes.set('errno.h', true);
+                includes.set('sys/stat.h', true);
+                winIncludes.set('windows.h', true);
+                unixIncludes.set('dirent.h', true);
+                break;
+              }
+
               default:
                 log.warning('2c', `unimplemented import: ${importFunc.name}`);
                 break;
@@ -699,7 +1051,10 @@ f64 _time_out${id} = (f64)_ts${id}.tv_sec * 1000.0 + (f64)_ts${id}.tv_nsec / 1.0
 
           if (func.returns.length > 0) {
             if (func.returnType != null) {
-              vals.push(`${name}(${args.join(', ')})`);
+              // keep the result in a temp so calls run in order, C does not define arg evaluation order
+              const id = retTmpId++;
+              line(`const ${CValtype[func.returns[0]]} _${id} = ${name}(${args.join(', ')})`);
+              vals.push(`_${id}`);
             } else {
               const id = retTmpId++;
               line(`const struct ReturnValue _${id} = ${name}(${args.join(', ')})`);
@@ -710,12 +1065,75 @@ f64 _time_out${id} = (f64)_ts${id}.tv_sec * 1000.0 + (f64)_ts${id}.tv_nsec / 1.0
 
           break;
 
-        case Opcodes.call_indirect:
-          // stub
-          if (Prefs.d) log.warning('2c', `unimplemented op: ${invOpcodes[i[0]]} \x1b[2m(${f.name})`);
-          vals.pop();
-          vals.push('0', '0');
+        case Opcodes.call_indirect: {
+          // call through a table of the indirect wrapper funcs, in the same order as wasm
+          for (const x of indirectFuncs) {
+            if (!cified.has(x.name)) topOfOut += cify(x);
+          }
+
+          const index = removeBrackets(vals.pop());
+
+          let args = [];
+          for (let j = 0; j < 1 + i[1] * 2; j++) args.unshift(removeBrackets(vals.pop()));
+
+          const id = retTmpId++;
+          line(`const struct ReturnValue _${id} = _indirectTable[(u32)(${index})](${args.join(', ')})`);
+          vals.push(`_${id}.value`);
+          vals.push(`_${id}.type`);
+          break;
+        }
+
+        case Opcodes.return_call: {
+          const func = funcs.find(x => x.index === i[1]);
+          if (!cified.has(func.name)) topOfOut += cify(func);
+
+          let args = [];
+          for (let j = 0; j < func.params.length; j++) args.unshift(removeBrackets(vals.pop()));
+          leaveTries();
+
+          if (func === f) {
+            // tail calls to itself are a loop: set params via temps (args can use them) then jump to the start
+            const ids = args.map((x, j) => {
+              const id = tmpId++;
+              line(`const ${CValtype[f.params[j]]} _tail${id} = ${x}`);
+              return id;
+            });
+            for (let j = 0; j < ids.length; j++) line(`${invLocals[j]} = _tail${ids[j]}`);
+
+            line(`goto _tail`);
+            tailLoop = true;
+            break;
+          }
+
+          // musttail requires the same signature, otherwise compilers usually tail call with optimizations anyway
+          const same = func.params.length === f.params.length && func.params.every((x, j) => x === f.params[j]);
+          if (same) prepend.set('musttail', `#if defined(__has_attribute)
+#if __has_attribute(musttail)
+#define MUSTTAIL __attribute__((musttail))
+#endif
+#endif
+#ifndef MUSTTAIL
+#define MUSTTAIL
+#endif`);
+
+          line(`${same ? 'MUSTTAIL ' : ''}return ${sanitize(func.name)}(${args.join(', ')})`);
           break;
+        }
+
+        case Opcodes.return_call_indirect: {
+          for (const x of indirectFuncs) {
+            if (!cified.has(x.name)) topOfOut += cify(x);
+          }
+
+          const index = removeBrackets(vals.pop());
+
+          let args = [];
+          for (let j = 0; j < 1 + i[1] * 2; j++) args.unshift(removeBrackets(vals.pop()));
+          leaveTries();
+
+          line(`return _indirectTable[(u32)(${index})](${args.join(', ')})`);
+          break;
+        }
 
         case Opcodes.drop:
           if (vals.length > 0) line(`(void) ${vals.pop()}`);
@@ -727,9 +1145,69 @@ f64 _time_out${id} = (f64)_ts${id}.tv_sec * 1000.0 + (f64)_ts${id}.tv_nsec / 1.0
           endNeedsCurly.push(false);
           break;
 
+        // try sets a handler for throw to longjmp to, running its catch in the else
+        case Opcodes.try: {
+          line(`// try ${invValtype[i[1]] ?? ''}`, false);
+          blockStart(i, false);
+          exceptionGlobals();
+
+          const br = brs.at(-1);
+          tries[tries.length - 1] = br;
+          line(`jmp_buf _try${br}`);
+          line(`jmp_buf* _tryPrev${br} = _exceptionHandler`);
+          line(`if (setjmp(_try${br}) == 0) {`, false);
+          depth++;
+          line(`_exceptionHandler = &_try${br}`);
+          endNeedsCurly.push(true);
+          break;
+        }
+
+        case Opcodes.catch:
+        case Opcodes.catch_all: {
+          const br = brs.at(-1);
+          if (tries.at(-1) == null) {
+            // all throws are of tag 0, so a catch_all after a catch is never run
+            let nested = 0;
+            for (; _ < f.wasm.length - 1; _++) {
+              const op = f.wasm[_ + 1][0];
+              if (op === Opcodes.block || op === Opcodes.loop || op === Opcodes.if || op === Opcodes.try) nested++;
+              if (op === Opcodes.end && nested-- === 0) break;
+            }
+
+            break;
+          }
+
+          const ret = rets.at(-1);
+          if (ret && ret !== Blocktype.void) {
+            if (vals.length > 0) line(`_r${br} = ${removeBrackets(vals.pop())}`);
+          }
+
+          line(`_exceptionHandler = _tryPrev${br}`);
+          tries[tries.length - 1] = null;
+
+          depth--;
+          line(`} else {`, false);
+          depth++;
+
+          // kept for rethrow, as throws in the catch overwrite them
+          line(`_exceptionHandler = _tryPrev${br}`);
+          line(`const f64 _caught${br} = _exceptionValue`);
+          line(`const i32 _caughtType${br} = _exceptionType`);
+          if (i[0] === Opcodes.catch) vals.push(`_caught${br}`, `_caughtType${br}`);
+          break;
+        }
+
+        case Opcodes.rethrow: {
+          const br = brs[brDepth - i[1] - 1];
+          throwValue(`_caught${br}`, `_caughtType${br}`);
+          break;
+        }
+
         case Opcodes.br: {
           const ret = rets[brDepth - i[1] - 1];
-          if (ret !== Blocktype.void) line(`_r${brs[brDepth - i[1] - 1]} = ${removeBrackets(vals.pop())}`);
+          // no value after a tail call (unreachable)
+          if (ret !== Blocktype.void && vals.length > 0) line(`_r${brs[brDepth - i[1] - 1]} = ${removeBrackets(vals.pop())}`);
+          leaveTries(brDepth - i[1] - 1);
           line(`goto j${brs[brDepth - i[1] - 1]}`);
 
           break;
@@ -748,6 +1226,7 @@ f64 _time_out${id} = (f64)_ts${id}.tv_sec * 1000.0 + (f64)_ts${id}.tv_nsec / 1.0
           line(`if (${cond}) {`, false);
           depth++;
           if (ret !== Blocktype.void) line(`_r${brs[brDepth - i[1] - 1]} = ${removeBrackets(vals.at(-1))}`);
+          leaveTries(brDepth - i[1] - 1);
           line(`goto j${brs[brDepth - i[1] - 1]}`);
           depth--;
           line(`}`, false);
@@ -766,22 +1245,9 @@ f64 _time_out${id} = (f64)_ts${id}.tv_sec * 1000.0 + (f64)_ts${id}.tv_nsec / 1.0
 
         case Opcodes.throw: {
           // only supports stack exception mode
-          // todo: allow catching
           const type = vals.pop();
           const val = vals.pop();
-          if (Prefs['2cWasmImports']) break;
-
-          line(`printf("Uncaught ")`);
-
-          // const id = tmpId++;
-          // line(`const struct ReturnValue _t${id} = __ecma262_ToString(${val}, ${type})`);
-          // line(`__Porffor_printString(_t${id}.value, _t${id}.type)`);
-          // line(`printf("\\n")`);
-          line(`exit(1)`);
-
-          includes.set('stdio.h', true);
-          includes.set('stdlib.h', true);
-
+          throwValue(val, type);
           break;
         }
 
@@ -830,7 +1296,7 @@ f64 _time_out${id} = (f64)_ts${id}.tv_sec * 1000.0 + (f64)_ts${id}.tv_nsec / 1.0
           includes.set('math.h', true);
           break;
         case Opcodes.f64_nearest:
-          vals.push(`round(${vals.pop()})`);
+          vals.push(`nearbyint(${vals.pop()})`);
           includes.set('math.h', true);
           break;
 
@@ -845,6 +1311,10 @@ f64 _time_out${id} = (f64)_ts${id}.tv_sec * 1000.0 + (f64)_ts${id}.tv_nsec / 1.0
           break;
         }
 
+        case Opcodes.memory_size:
+          vals.push('_memoryPages');
+          break;
+
         case Opcodes.memory_grow: {
           const id = localTmpId++;
           line(`const u32 _oldPages${id} = _memoryPages`);
@@ -884,12 +1354,27 @@ f64 _time_out${id} = (f64)_ts${id}.tv_sec * 1000.0 + (f64)_ts${id}.tv_nsec / 1.0
       line(`return ${vals.pop()}`);
     }
 
+    if (vals.length === 2 && typedReturns && returns && f.name !== '#main') {
+      const b = vals.pop();
+      const a = vals.pop();
+      line(`return (struct ReturnValue){ ${removeBrackets(a)}, ${removeBrackets(b)} }`);
+    }
+
     if (f.name === '#main') {
       out += '\n';
       line(`return 0`);
     }
 
-    out += '}\n\n';
+    if (tailLoop) {
+      // before locals so they are reset like a new call
+      const start = out.indexOf('{\n') + 2;
+      out = out.slice(0, start) + '_tail:;\n' + out.slice(start);
+    }
+
+    out += '}\n';
+    if (lineDirective) out += '#line reset\n';
+    out += '\n';
+
     return topOfOut + out;
   };
 
@@ -915,6 +1400,10 @@ f64 _time_out${id} = (f64)_ts${id}.tv_sec * 1000.0 + (f64)_ts${id}.tv_nsec / 1.0
     return `${!typedReturns ? (returns ? CValtype[f.returns[0]] : 'void') : 'struct ReturnValue'} ${shouldInline ? 'inline ' : ''}${ffiFuncs[f.name] ? '(*' : ''}${sanitize(f.name)}${ffiFuncs[f.name] ? ')' : ''}(${rawParams(f).map((x, i) => `${CValtype[x]} ${invLocals[i]}`).join(', ')});`;
   }).join('\n'));
 
+  if (indirectFuncs.some(x => cified.has(x.name))) {
+    prepend.set('indirect table', `struct ReturnValue (*_indirectTable[])(${indirectFuncs[0].params.map(x => CValtype[x]).join(', ')}) = { ${indirectFuncs.map(x => sanitize(x.name)).join(', ')} };`);
+  }
+
   if (Prefs.lambda) {
     includes.set('stdio.h', true);
     includes.set('stdlib.h', true);
@@ -1098,5 +1587,13 @@ int main(void) {
   const makeIncludes = includes => [...includes.keys()].map(x => `#include <${x}>\n`).join('');
   out = platformSpecific(makeIncludes(winIncludes), makeIncludes(unixIncludes), false) + '\n' + makeIncludes(includes) + '\n' + alwaysPreface + [...prepend.values()].join('\n') + '\n\n' + out;
 
-  return `// generated by porffor ${globalThis.version ?? ''}\n` + out.trim();
+  out = `// generated by porffor ${globalThis.version ?? ''}\n` + out.trim();
+
+  // go back to c locations after funcs with #line directives
+  if (Prefs.sourceMap) {
+    const file = JSON.stringify(Prefs.target === 'c' && Prefs.o ? Prefs.o : '<stdin>');
+    out = out.split('\n').map((x, i) => x === '#line reset' ? `#line ${i + 2} ${file}` : x).join('\n');
+  }
+
+  return out;
 };
\ No newline at end of file
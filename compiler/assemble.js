@@ -2,6 +2,7 @@ import { Valtype, FuncType, ExportDesc, Section, Magic, Opcodes, PageSize, Refty
 import { unsignedLEB128_length, signedLEB128_length } from './encoding.js';
 import { importedFuncs } from './builtins.js';
 import { log } from './log.js';
+import { sourceMapURL } from './sourcemap.js';
 import './prefs.js';
 
 export default (funcs, globals, tags, pages, data, noTreeshake = false) => {
@@ -176,12 +177,12 @@ export default (funcs, globals, tags, pages, data, noTreeshake = false) => {
   time('type section');
 
   if (importFuncs.length > 0) {
-    section(Section.import, unsignedLEB128_length(importFuncs.length) + importFuncs.length * 5);
+    section(Section.import, importFuncs.reduce((acc, x) => acc + unsignedLEB128_length(x.module.length) + x.module.length + unsignedLEB128_length(x.import.length) + x.import.length + 2, unsignedLEB128_length(importFuncs.length)));
     unsigned(importFuncs.length);
     for (let i = 0; i < importFuncs.length; i++) {
       const x = importFuncs[i];
-      byte(0); byte(1);
-      byte(x.import.charCodeAt(0));
+      string(x.module);
+      string(x.import);
       byte(ExportDesc.func);
       byte(getType(x.params, x.returns));
     }
@@ -226,6 +227,8 @@ export default (funcs, globals, tags, pages, data, noTreeshake = false) => {
       if (name.startsWith('#')) name = '';
       // eg: __String_prototype_toLowerCase -> toLowerCase
       if (name.startsWith('__')) name = name.split('_').pop();
+      // eg: foo#1 -> foo (renamed by semantic/linker)
+      name = name.split('#')[0];
 
       bytes.push(...new Uint8Array(new Int32Array([ Math.min(name.length, bytesPerFunc - 3 - 4) ]).buffer));
       for (let i = 0; i < (bytesPerFunc - 3 - 4); i++) {
@@ -316,7 +319,7 @@ export default (funcs, globals, tags, pages, data, noTreeshake = false) => {
 
     unsigned(exportFuncs.length + usesMemory + usesTags);
     if (usesMemory) {
-      string('$');
+      string(Prefs.target === 'wasi' ? 'memory' : '$');
       byte(ExportDesc.mem); byte(0);
     }
     if (usesTags) {
@@ -355,12 +358,16 @@ export default (funcs, globals, tags, pages, data, noTreeshake = false) => {
     time('data count section');
   }
 
+  // source map locations as code offsets (see codegen.js and sourcemap.js)
+  const sourceMap = Prefs.sourceMap ? [] : null;
+
   byte(Section.code);
   const codeSectionSizeOffset = offset, setCodeSectionSize = unsignedPost();
 
   unsigned(funcs.length);
   for (let i = 0; i < funcs.length; i++) {
     const funcSizeOffset = offset, setFuncSize = unsignedPost();
+    const funcLocs = [];
 
     const x = funcs[i];
     const locals = Object.values(x.locals).sort((a, b) => a.idx - b.idx);
@@ -394,6 +401,12 @@ export default (funcs, globals, tags, pages, data, noTreeshake = false) => {
       let o = x.wasm[i];
       const op = o[0];
 
+      // markers are not encoded
+      if (op === null) {
+        if (sourceMap && o[1] === 'loc') funcLocs.push([ offset - funcSizeOffset - 5, o[2] ]);
+        continue;
+      }
+
       // encode local/global ops as unsigned leb128 from raw number
       if (
         (op >= Opcodes.local_get && op <= Opcodes.global_set) &&
@@ -419,14 +432,14 @@ export default (funcs, globals, tags, pages, data, noTreeshake = false) => {
       }
 
       // encode call ops as unsigned leb128 from raw number
-      if ((op === Opcodes.call /* || o[0] === Opcodes.return_call */) && o[1] >= importedFuncs.length) {
+      if ((op === Opcodes.call || op === Opcodes.return_call) && o[1] >= importedFuncs.length) {
         byte(op);
         unsigned(o[1] - importDelta);
         continue;
       }
 
       // encode call indirect ops as types from info
-      if (op === Opcodes.call_indirect) {
+      if (op === Opcodes.call_indirect || op === Opcodes.return_call_indirect) {
         const params = [ Valtype.i32 ];
         for (let i = 0; i < o[1]; i++) {
           params.push(valtypeBinary, Valtype.i32);
@@ -446,10 +459,22 @@ export default (funcs, globals, tags, pages, data, noTreeshake = false) => {
     }
 
     byte(Opcodes.end);
-    setFuncSize(offset - funcSizeOffset - 5);
+
+    const funcSize = offset - funcSizeOffset - 5;
+    setFuncSize(funcSize);
+
+    // the body moved back as its size took less than 5 bytes
+    if (sourceMap) for (const [ x, loc ] of funcLocs) {
+      sourceMap.push([ funcSizeOffset + unsignedLEB128_length(funcSize) + x, loc ]);
+    }
   }
 
-  setCodeSectionSize(offset - codeSectionSizeOffset - 5);
+  const codeSectionSize = offset - codeSectionSizeOffset - 5;
+  setCodeSectionSize(codeSectionSize);
+
+  if (sourceMap) for (const x of sourceMap) {
+    x[0] -= 5 - unsignedLEB128_length(codeSectionSize);
+  }
   time('code section');
 
   section(Section.data, unsignedLEB128_length(data.length) + data.reduce((acc, x) =>
@@ -521,6 +546,17 @@ export default (funcs, globals, tags, pages, data, noTreeshake = false) => {
     time('name section');
   }
 
+  if (sourceMap && sourceMapURL()) {
+    byte(Section.custom);
+    const totalSizeOffset = offset, setTotalSize = unsignedPost();
+    string('sourceMappingURL');
+    string(sourceMapURL());
+
+    setTotalSize(offset - totalSizeOffset - 5);
+    time('source map section');
+  }
+
   buffer = buffer.subarray(0, offset);
+  if (sourceMap) buffer.sourceMap = sourceMap;
   return buffer;
 };
\ No newline at end of file
@@ -2,6 +2,8 @@ import * as PrecompiledBuiltins from './builtins_precompiled.js';
 import { PageSize, Blocktype, Opcodes, Valtype } from './wasmSpec.js';
 import { TYPES, TYPE_NAMES } from './types.js';
 import { number, unsignedLEB128 } from './encoding.js';
+import locales from './locales.js';
+import unicode from './unicode.js';
 import './prefs.js';
 
 export let importedFuncs;
@@ -23,8 +25,9 @@ setImports();
  * @param {number} results - Number of results
  * @param {function} js - Native (your world) function to call as import implementation
  * @param {string} c - C source code to compile as import implementation
+ * @param {string} module - Wasm module to import from, leave empty for Porffor's own imports
  */
-export const createImport = (name, params, returns, js = null, c = null) => {
+export const createImport = (name, params, returns, js = null, c = null, module = '') => {
   if (!globalThis.valtypeBinary) {
     globalThis.valtype ??= Prefs.valtype ?? 'f64';
     globalThis.valtypeBinary = Valtype[valtype];
@@ -39,6 +42,7 @@ export const createImport = (name, params, returns, js = null, c = null) => {
     const call = +existing;
     const replacement = new Number(call);
     replacement.name = name;
+    replacement.module = existing.module;
     replacement.import = existing.import;
     replacement.params = params;
     replacement.returns = returns;
@@ -54,7 +58,8 @@ export const createImport = (name, params, returns, js = null, c = null) => {
 
   const obj = importedFuncs[name] = importedFuncs[call] = new Number(call);
   obj.name = name;
-  obj.import = ident;
+  obj.module = module;
+  obj.import = module ? name : ident;
   obj.params = params;
   obj.returns = returns;
   obj.js = js;
@@ -63,6 +68,22 @@ export const createImport = (name, params, returns, js = null, c = null) => {
   importedFuncs.length = call + 1;
 };
 
+/**
+ * Create the WASI (preview1) imports used by the wasi target.
+ */
+export const createWasiImports = () => {
+  const wasi = (name, params, returns) => createImport(name, params, returns, null, null, 'wasi_snapshot_preview1');
+
+  wasi('fd_write', [ Valtype.i32, Valtype.i32, Valtype.i32, Valtype.i32 ], [ Valtype.i32 ]);
+  wasi('clock_time_get', [ Valtype.i32, Valtype.i64, Valtype.i32 ], [ Valtype.i32 ]);
+  wasi('args_sizes_get', [ Valtype.i32, Valtype.i32 ], [ Valtype.i32 ]);
+  wasi('args_get', [ Valtype.i32, Valtype.i32 ], [ Valtype.i32 ]);
+  wasi('environ_sizes_get', [ Valtype.i32, Valtype.i32 ], [ Valtype.i32 ]);
+  wasi('environ_get', [ Valtype.i32, Valtype.i32 ], [ Valtype.i32 ]);
+  wasi('poll_oneoff', [ Valtype.i32, Valtype.i32, Valtype.i32, Valtype.i32 ], [ Valtype.i32 ]);
+  wasi('proc_exit', [ Valtype.i32 ], []);
+};
+
 export const UNDEFINED = 0;
 export const NULL = 0;
 
@@ -86,6 +107,25 @@ export const BuiltinVars = ({ builtinFuncs }) => {
   ];
   _.__performance_timeOrigin.usesImports = true;
 
+  // process.argv and process.env are read from the host once then cached
+  for (const [ x, type ] of [ [ 'argv', TYPES.array ], [ 'env', TYPES.object ] ]) {
+   _[`__process_${x}`] = (scope, { glbl, builtin }) => [
+      [ Opcodes.block, Valtype.f64 ],
+        ...glbl(Opcodes.global_get, `#process_${x}`, Valtype.f64),
+        Opcodes.i32_to_u,
+        [ Opcodes.if, Blocktype.void ],
+          ...glbl(Opcodes.global_get, `#process_${x}`, Valtype.f64),
+          [ Opcodes.br, 1 ],
+        [ Opcodes.end ],
+
+        [ Opcodes.call, builtin(`__Porffor_process_${x}`) ],
+        ...glbl(Opcodes.global_set, `#process_${x}`, Valtype.f64),
+        ...glbl(Opcodes.global_get, `#process_${x}`, Valtype.f64),
+      [ Opcodes.end ]
+    ];
+   _[`__process_${x}`].type = type;
+  }
+
   _.__Uint8Array_BYTES_PER_ELEMENT = () => [ number(1) ];
   _.__Int8Array_BYTES_PER_ELEMENT = () => [ number(1) ];
   _.__Uint8ClampedArray_BYTES_PER_ELEMENT = () => [ number(1) ];
@@ -93,6 +133,7 @@ export const BuiltinVars = ({ builtinFuncs }) => {
   _.__Int16Array_BYTES_PER_ELEMENT = () => [ number(2) ];
   _.__Uint32Array_BYTES_PER_ELEMENT = () => [ number(4) ];
   _.__Int32Array_BYTES_PER_ELEMENT = () => [ number(4) ];
+  _.__Float16Array_BYTES_PER_ELEMENT = () => [ number(2) ];
   _.__Float32Array_BYTES_PER_ELEMENT = () => [ number(4) ];
   _.__Float64Array_BYTES_PER_ELEMENT = () => [ number(8) ];
   _.__BigInt64Array_BYTES_PER_ELEMENT = () => [ number(8) ];
@@ -105,7 +146,7 @@ export const BuiltinVars = ({ builtinFuncs }) => {
     'match', 'matchAll', 'replace',
     'search', 'species', 'split',
     'toPrimitive', 'toStringTag', 'unscopables',
-    'dispose', 'asyncDispose'
+    'dispose', 'asyncDispose', 'metadata'
   ]) {
    _[`__Symbol_${x}`] = (scope, { glbl, builtin, makeString }) => [
       [ Opcodes.block, Valtype.f64 ],
@@ -177,9 +218,10 @@ export const BuiltinVars = ({ builtinFuncs }) => {
         ];
 
         for (const x in props) {
+          const d = props[x];
           let value = {
             type: 'Identifier',
-            name: prefix + x
+            name: d.func ?? prefix + x
           };
 
           if (x === '__proto__') {
@@ -200,7 +242,6 @@ export const BuiltinVars = ({ builtinFuncs }) => {
           if (existingFunc && (x === 'prototype' || x === 'constructor')) add = false;
 
           let flags = 0b0000;
-          const d = props[x];
           if (d.configurable) flags |= 0b0010;
           if (d.enumerable) flags |= 0b0100;
           if (d.writable) flags |= 0b1000;
@@ -209,9 +250,15 @@ export const BuiltinVars = ({ builtinFuncs }) => {
             [ Opcodes.local_get, 0 ],
             number(TYPES.object, Valtype.i32),
 
-            ...makeString(scope, x),
-            Opcodes.i32_to_u,
-            number(TYPES.bytestring, Valtype.i32),
+            ...(d.symbol ? [
+              ...generate(scope, { type: 'Identifier', name: `__Symbol_${d.symbol}` }),
+              Opcodes.i32_to_u,
+              number(TYPES.symbol, Valtype.i32)
+            ] : [
+              ...makeString(scope, x),
+              Opcodes.i32_to_u,
+              number(TYPES.bytestring, Valtype.i32)
+            ]),
 
             ...generate(scope, value),
             ...getNodeType(scope, value),
@@ -299,7 +346,7 @@ export const BuiltinVars = ({ builtinFuncs }) => {
       enumerable: false,
       configurable: true
     }, autoFuncKeys(name)),
-    ...(_[`__${name}_prototype`] ? {
+    ...(_[makePrefix(name) + 'prototype'] ? {
       prototype: {
         writable: false,
         enumerable: false,
@@ -359,8 +406,18 @@ export const BuiltinVars = ({ builtinFuncs }) => {
       props.length = { value: 0, writable: true, configurable: false };
     }
 
+    // special case: DisposableStack.prototype[Symbol.dispose] = DisposableStack.prototype.dispose
+    // special case: AsyncDisposableStack.prototype[Symbol.asyncDispose] = AsyncDisposableStack.prototype.disposeAsync
+    if (x === '__DisposableStack_prototype' || x === '__AsyncDisposableStack_prototype') {
+      const [ symbol, func ] = x === '__DisposableStack_prototype' ? [ 'dispose', 'dispose' ] : [ 'asyncDispose', 'disposeAsync' ];
+      props[`Symbol.${symbol}`] = { func: `${x}_${func}`, symbol, writable: true, configurable: true };
+    }
+
     // add constructor for constructors
-    const name = x.slice(2, x.indexOf('_', 2));
+    let name = x.slice(2, x.indexOf('_', 2));
+
+    // nested constructors keep their full name, eg __Intl_NumberFormat
+    if (builtinFuncs[x.slice(0, -10)]?.constr) name = x.slice(0, -10);
     if (builtinFuncs[name]?.constr) {
       const value = (scope, { funcRef }) => funcRef(name);
       value.type = TYPES.function;
@@ -407,6 +464,51 @@ export const BuiltinVars = ({ builtinFuncs }) => {
     })
   });
 
+  object('process', {
+    ...props({
+      writable: true,
+      enumerable: true,
+      configurable: true
+    }, [ 'argv', 'env', 'stdin' ]),
+    ...autoFuncs('process')
+  });
+
+  // only the fd so it can be read with fs.readFileSync(process.stdin.fd)
+  object('__process_stdin', props({
+    writable: true,
+    enumerable: true,
+    configurable: true
+  }, {
+    fd: 0
+  }));
+
+  // Porffor.fs, also what is imported from node:fs
+  object('__Porffor_fs', props({
+    writable: true,
+    enumerable: true,
+    configurable: true
+  }, [ 'readFileSync', 'writeFileSync', 'existsSync', 'readdirSync', 'statSync' ]));
+
+  object('Intl', props({
+    writable: true,
+    enumerable: false,
+    configurable: true
+  }, [ 'Collator', 'DateTimeFormat', 'NumberFormat', 'PluralRules', 'getCanonicalLocales' ]));
+
+  for (const x of [ 'Collator', 'DateTimeFormat', 'NumberFormat', 'PluralRules' ]) {
+    object(`__Intl_${x}`, autoFuncs(`__Intl_${x}`));
+  }
+
+  object('Temporal', props({
+    writable: true,
+    enumerable: false,
+    configurable: true
+  }, [ 'Duration', 'Instant', 'Now', 'PlainDate', 'PlainDateTime', 'PlainTime' ]));
+
+  for (const x of [ 'Duration', 'Instant', 'Now', 'PlainDate', 'PlainDateTime', 'PlainTime' ]) {
+    object(`__Temporal_${x}`, autoFuncs(`__Temporal_${x}`));
+  }
+
   for (const x of [
     'console',
     'crypto',
@@ -419,7 +521,7 @@ export const BuiltinVars = ({ builtinFuncs }) => {
     }, autoFuncKeys(x).slice(0, 12)));
   }
 
-  for (const x of [ 'Array', 'ArrayBuffer', 'Atomics', 'Date', 'Error', 'JSON', 'Object', 'Promise', 'Reflect', 'String', 'Symbol', 'Uint8Array', 'Int8Array', 'Uint8ClampedArray', 'Uint16Array', 'Int16Array', 'Uint32Array', 'Int32Array', 'Float32Array', 'Float64Array', 'BigInt64Array', 'BigUint64Array', 'SharedArrayBuffer', 'BigInt', 'Boolean', 'DataView', 'AggregateError', 'TypeError', 'ReferenceError', 'SyntaxError', 'RangeError', 'EvalError', 'URIError', 'Function', 'Map', 'RegExp', 'Set', 'WeakMap', 'WeakRef', 'WeakSet' ]) {
+  for (const x of [ 'Array', 'ArrayBuffer', 'Atomics', 'Date', 'Error', 'JSON', 'Object', 'Promise', 'Proxy', 'Reflect', 'String', 'Symbol', 'Uint8Array', 'Int8Array', 'Uint8ClampedArray', 'Uint16Array', 'Int16Array', 'Uint32Array', 'Int32Array', 'Float16Array', 'Float32Array', 'Float64Array', 'BigInt64Array', 'BigUint64Array', 'SharedArrayBuffer', 'BigInt', 'Boolean', 'DataView', 'DisposableStack', 'AsyncDisposableStack', 'AggregateError', 'TypeError', 'ReferenceError', 'SyntaxError', 'RangeError', 'EvalError', 'URIError', 'SuppressedError', 'DOMException', 'Function', 'Iterator', 'Map', 'RegExp', 'Set', 'TextDecoder', 'TextEncoder', 'WeakMap', 'WeakRef', 'WeakSet', 'FinalizationRegistry' ]) {
     object(x, autoFuncs(x));
   }
 
@@ -554,7 +656,12 @@ export const BuiltinFuncs = () => {
   for (const [ name, op, prefix = [ [ Opcodes.local_get, 0 ] ] ] of [
     [ 'sqrt', Opcodes.f64_sqrt ],
     [ 'abs', Opcodes.f64_abs ],
-    [ 'sign', Opcodes.f64_copysign, [ number(1), [ Opcodes.local_get, 0 ] ] ],
+    // +-1 with the sign of x, unless x is +-0 or NaN which are returned as is
+    [ 'sign', Opcodes.select, [
+      number(1), [ Opcodes.local_get, 0 ], [ Opcodes.f64_copysign ],
+      [ Opcodes.local_get, 0 ],
+      [ Opcodes.local_get, 0 ], [ Opcodes.f64_abs ], number(0), [ Opcodes.f64_gt ]
+    ] ],
     [ 'floor', Opcodes.f64_floor ],
     [ 'ceil', Opcodes.f64_ceil ],
     [ 'round', Opcodes.f64_nearest ],
@@ -598,6 +705,197 @@ export const BuiltinFuncs = () => {
     ]
   };
 
+  // number to float16 bits, rounding to nearest even
+  // only uses f64 arithmetic (no reinterprets) so it also works in c (2c)
+  _.__Porffor_float16_fromNumber = {
+    params: [ Valtype.f64 ],
+    locals: [ Valtype.i32, Valtype.i32, Valtype.f64 ],
+    localNames: [ 'x', 'sign', 'exp', 'scale' ],
+    returns: [ Valtype.i32 ],
+    returnType: TYPES.number,
+    wasm: () => [
+      [ Opcodes.local_get, 0 ],
+      [ Opcodes.local_get, 0 ],
+      [ Opcodes.f64_ne ],
+      [ Opcodes.if, Blocktype.void ],
+        number(0x7e00, Valtype.i32),
+        [ Opcodes.return ],
+      [ Opcodes.end ],
+
+      // negative or -0
+      [ Opcodes.local_get, 0 ],
+      number(0, Valtype.f64),
+      [ Opcodes.f64_lt ],
+      [ Opcodes.local_get, 0 ],
+      number(0, Valtype.f64),
+      [ Opcodes.f64_eq ],
+      number(1, Valtype.f64),
+      [ Opcodes.local_get, 0 ],
+      [ Opcodes.f64_div ],
+      number(0, Valtype.f64),
+      [ Opcodes.f64_lt ],
+      [ Opcodes.i32_and ],
+      [ Opcodes.i32_or ],
+      [ Opcodes.if, Blocktype.void ],
+        number(0x8000, Valtype.i32),
+        [ Opcodes.local_set, 1 ],
+        [ Opcodes.local_get, 0 ],
+        [ Opcodes.f64_neg ],
+        [ Opcodes.local_set, 0 ],
+      [ Opcodes.end ],
+
+      // the largest float16 (65504) + half an ulp rounds to infinity
+      [ Opcodes.local_get, 0 ],
+      number(65520, Valtype.f64),
+      [ Opcodes.f64_ge ],
+      [ Opcodes.if, Blocktype.void ],
+        [ Opcodes.local_get, 1 ],
+        number(0x7c00, Valtype.i32),
+        [ Opcodes.i32_or ],
+        [ Opcodes.return ],
+      [ Opcodes.end ],
+
+      // subnormal, in units of 2^-24
+      [ Opcodes.local_get, 0 ],
+      number(2 ** -14, Valtype.f64),
+      [ Opcodes.f64_lt ],
+      [ Opcodes.if, Blocktype.void ],
+        [ Opcodes.local_get, 1 ],
+        [ Opcodes.local_get, 0 ],
+        number(2 ** 24, Valtype.f64),
+        [ Opcodes.f64_mul ],
+        [ Opcodes.f64_nearest ],
+        Opcodes.i32_trunc_sat_f64_u,
+        [ Opcodes.i32_or ],
+        [ Opcodes.return ],
+      [ Opcodes.end ],
+
+      // normal, find exp so 2^exp <= x < 2^(exp + 1)
+      number(-14, Valtype.i32),
+      [ Opcodes.local_set, 2 ],
+      number(2 ** -14, Valtype.f64),
+      [ Opcodes.local_set, 3 ],
+      [ Opcodes.block, Blocktype.void ],
+      [ Opcodes.loop, Blocktype.void ],
+        [ Opcodes.local_get, 3 ],
+        number(2, Valtype.f64),
+        [ Opcodes.f64_mul ],
+        [ Opcodes.local_get, 0 ],
+        [ Opcodes.f64_gt ],
+        [ Opcodes.br_if, 1 ],
+
+        [ Opcodes.local_get, 3 ],
+        number(2, Valtype.f64),
+        [ Opcodes.f64_mul ],
+        [ Opcodes.local_set, 3 ],
+        [ Opcodes.local_get, 2 ],
+        number(1, Valtype.i32),
+        [ Opcodes.i32_add ],
+        [ Opcodes.local_set, 2 ],
+        [ Opcodes.br, 0 ],
+      [ Opcodes.end ],
+      [ Opcodes.end ],
+
+      // sign | (exp + 15) << 10 + rounded 1.mantissa * 1024 - 1024
+      // rounding up to 2048 carries into the exponent
+      [ Opcodes.local_get, 1 ],
+      [ Opcodes.local_get, 2 ],
+      number(15, Valtype.i32),
+      [ Opcodes.i32_add ],
+      number(10, Valtype.i32),
+      [ Opcodes.i32_shl ],
+      [ Opcodes.local_get, 0 ],
+      [ Opcodes.local_get, 3 ],
+      [ Opcodes.f64_div ],
+      number(1024, Valtype.f64),
+      [ Opcodes.f64_mul ],
+      [ Opcodes.f64_nearest ],
+      Opcodes.i32_trunc_sat_f64_u,
+      [ Opcodes.i32_add ],
+      number(1024, Valtype.i32),
+      [ Opcodes.i32_sub ],
+      [ Opcodes.i32_or ]
+    ]
+  };
+
+  // float16 bits to number
+  _.__Porffor_float16_toNumber = {
+    params: [ Valtype.i32 ],
+    locals: [ Valtype.i32, Valtype.f64 ],
+    localNames: [ 'bits', 'exp', 'out' ],
+    returns: [ Valtype.f64 ],
+    returnType: TYPES.number,
+    wasm: () => [
+      [ Opcodes.local_get, 0 ],
+      number(10, Valtype.i32),
+      [ Opcodes.i32_shr_s ],
+      number(0x1f, Valtype.i32),
+      [ Opcodes.i32_and ],
+      [ Opcodes.local_tee, 1 ],
+      number(0x1f, Valtype.i32),
+      [ Opcodes.i32_eq ],
+      [ Opcodes.if, Blocktype.void ],
+        // infinity or nan
+        number(NaN),
+        number(Infinity),
+        [ Opcodes.local_get, 0 ],
+        number(0x3ff, Valtype.i32),
+        [ Opcodes.i32_and ],
+        [ Opcodes.select ],
+        [ Opcodes.local_set, 2 ],
+      [ Opcodes.else ],
+        [ Opcodes.local_get, 1 ],
+        [ Opcodes.i32_eqz ],
+        [ Opcodes.if, Blocktype.void ],
+          // subnormal, mantissa * 2^-24
+          [ Opcodes.local_get, 0 ],
+          number(0x3ff, Valtype.i32),
+          [ Opcodes.i32_and ],
+          [ Opcodes.f64_convert_i32_u ],
+          number(2 ** -24, Valtype.f64),
+          [ Opcodes.f64_mul ],
+          [ Opcodes.local_set, 2 ],
+        [ Opcodes.else ],
+          // normal, 1.mantissa * 2^(exp - 15)
+          [ Opcodes.local_get, 0 ],
+          number(0x3ff, Valtype.i32),
+          [ Opcodes.i32_and ],
+          number(0x400, Valtype.i32),
+          [ Opcodes.i32_or ],
+          [ Opcodes.f64_convert_i32_u ],
+          number(1, Valtype.i32),
+          [ Opcodes.local_get, 1 ],
+          [ Opcodes.i32_shl ],
+          [ Opcodes.f64_convert_i32_u ],
+          [ Opcodes.f64_mul ],
+          number(2 ** -25, Valtype.f64),
+          [ Opcodes.f64_mul ],
+          [ Opcodes.local_set, 2 ],
+        [ Opcodes.end ],
+      [ Opcodes.end ],
+
+      [ Opcodes.local_get, 2 ],
+      [ Opcodes.f64_neg ],
+      [ Opcodes.local_get, 2 ],
+      [ Opcodes.local_get, 0 ],
+      number(0x8000, Valtype.i32),
+      [ Opcodes.i32_and ],
+      [ Opcodes.select ]
+    ]
+  };
+
+  _.__Math_f16round = {
+    params: [ valtypeBinary ],
+    locals: [],
+    returns: [ valtypeBinary ],
+    returnType: TYPES.number,
+    wasm: (scope, { builtin }) => [
+      [ Opcodes.local_get, 0 ],
+      [ Opcodes.call, builtin('__Porffor_float16_fromNumber') ],
+      [ Opcodes.call, builtin('__Porffor_float16_toNumber') ]
+    ]
+  };
+
   // todo: this does not overflow correctly
   _.__Math_imul = {
     params: [ valtypeBinary, valtypeBinary ],
@@ -999,68 +1297,711 @@ export const BuiltinFuncs = () => {
   };
   _.__performance_now.usesImports = true;
 
+  // wasi implementations of porffor's own imports, swapped in by codegen for the wasi target
+  // scratch page layout: iovec (0), nwritten (8), timestamp (16), count (24), buffer size (28),
+  //  clock subscription (64), event (112), nevents (144)
+  _.__Porffor_wasi_flush = {
+    params: [],
+    locals: [ Valtype.i32 ],
+    localNames: [ 'written' ],
+    returns: [],
+    returnType: TYPES.undefined,
+    usesImports: true,
+    wasm: (scope, { allocPage, builtin, glbl }) => {
+      const scratch = allocPage(scope, '#wasi_scratch');
+      const buffer = allocPage(scope, '#wasi_stdout');
 
-  _.__Porffor_typeName = {
+      return [
+        // write until everything is written, fd_write may write less than given
+        [ Opcodes.block, Blocktype.void ],
+          [ Opcodes.loop, Blocktype.void ],
+            [ Opcodes.local_get, 0 ],
+            ...glbl(Opcodes.global_get, 'wasi_stdoutLength', Valtype.i32),
+            [ Opcodes.i32_ge_u ],
+            [ Opcodes.br_if, 1 ],
+
+            // iovec = { buffer + written, length - written }
+            number(scratch, Valtype.i32),
+            number(buffer, Valtype.i32),
+            [ Opcodes.local_get, 0 ],
+            [ Opcodes.i32_add ],
+            [ Opcodes.i32_store, 0, 0 ],
+
+            number(scratch, Valtype.i32),
+            ...glbl(Opcodes.global_get, 'wasi_stdoutLength', Valtype.i32),
+            [ Opcodes.local_get, 0 ],
+            [ Opcodes.i32_sub ],
+            [ Opcodes.i32_store, 0, 4 ],
+
+            // fd_write(stdout, &iovec, 1, &nwritten), give up on errors
+            number(1, Valtype.i32),
+            number(scratch, Valtype.i32),
+            number(1, Valtype.i32),
+            number(scratch + 8, Valtype.i32),
+            [ Opcodes.call, builtin('fd_write') ],
+            [ Opcodes.br_if, 1 ],
+
+            // also give up if nothing was written to not loop forever
+            number(scratch, Valtype.i32),
+            [ Opcodes.i32_load, 0, 8 ],
+            [ Opcodes.i32_eqz ],
+            [ Opcodes.br_if, 1 ],
+
+            [ Opcodes.local_get, 0 ],
+            number(scratch, Valtype.i32),
+            [ Opcodes.i32_load, 0, 8 ],
+            [ Opcodes.i32_add ],
+            [ Opcodes.local_set, 0 ],
+            [ Opcodes.br, 0 ],
+          [ Opcodes.end ],
+        [ Opcodes.end ],
+
+        number(0, Valtype.i32),
+        ...glbl(Opcodes.global_set, 'wasi_stdoutLength', Valtype.i32)
+      ];
+    }
+  };
+
+  _.__Porffor_wasi_writeByte = {
     params: [ Valtype.i32 ],
     locals: [],
-    returns: [ valtypeBinary ],
-    returnType: TYPES.bytestring,
-    wasm: (scope, { typeSwitch, makeString }) => {
-      const bc = {};
-      for (const x in TYPE_NAMES) {
-        bc[x] = () => makeString(scope, TYPE_NAMES[x]);
-      }
+    returns: [],
+    returnType: TYPES.undefined,
+    wasm: (scope, { allocPage, builtin, glbl }) => {
+      const buffer = allocPage(scope, '#wasi_stdout');
 
-      return typeSwitch(scope, [ [ Opcodes.local_get, 0 ] ], bc);
+      return [
+        // flush if buffer is full
+        ...glbl(Opcodes.global_get, 'wasi_stdoutLength', Valtype.i32),
+        number(pageSize, Valtype.i32),
+        [ Opcodes.i32_ge_u ],
+        [ Opcodes.if, Blocktype.void ],
+          [ Opcodes.call, builtin('__Porffor_wasi_flush') ],
+        [ Opcodes.end ],
+
+        number(buffer, Valtype.i32),
+        ...glbl(Opcodes.global_get, 'wasi_stdoutLength', Valtype.i32),
+        [ Opcodes.i32_add ],
+        [ Opcodes.local_get, 0 ],
+        [ Opcodes.i32_store8, 0, 0 ],
+
+        ...glbl(Opcodes.global_get, 'wasi_stdoutLength', Valtype.i32),
+        number(1, Valtype.i32),
+        [ Opcodes.i32_add ],
+        ...glbl(Opcodes.global_set, 'wasi_stdoutLength', Valtype.i32)
+      ];
     }
   };
 
-  _.__Porffor_clone = {
-    params: [ Valtype.i32, Valtype.i32 ],
+  _.__Porffor_wasi_printChar = {
+    params: [ valtypeBinary ],
+    locals: [ Valtype.i32 ],
+    localNames: [ 'char', 'c' ],
+    returns: [],
+    returnType: TYPES.undefined,
+    wasm: (scope, { builtin, glbl }) => {
+      const writeByte = wasm => [
+        ...wasm,
+        [ Opcodes.call, builtin('__Porffor_wasi_writeByte') ]
+      ];
+
+      // utf-8 lead byte and continuation bytes
+      const lead = (shift, bits) => writeByte([
+        [ Opcodes.local_get, 1 ],
+        number(shift, Valtype.i32),
+        [ Opcodes.i32_shr_u ],
+        number(bits, Valtype.i32),
+        [ Opcodes.i32_or ]
+      ]);
+      const cont = shift => writeByte([
+        [ Opcodes.local_get, 1 ],
+        ...(shift > 0 ? [
+          number(shift, Valtype.i32),
+          [ Opcodes.i32_shr_u ]
+        ] : []),
+        number(0x3f, Valtype.i32),
+        [ Opcodes.i32_and ],
+        number(0x80, Valtype.i32),
+        [ Opcodes.i32_or ]
+      ]);
+      const replacement = () => [
+        ...writeByte([ number(0xef, Valtype.i32) ]),
+        ...writeByte([ number(0xbf, Valtype.i32) ]),
+        ...writeByte([ number(0xbd, Valtype.i32) ])
+      ];
+
+      const isSurrogate = low => [
+        [ Opcodes.local_get, 1 ],
+        number(0xfc00, Valtype.i32),
+        [ Opcodes.i32_and ],
+        number(low ? 0xdc00 : 0xd800, Valtype.i32),
+        [ Opcodes.i32_eq ]
+      ];
+      const pending = glbl(Opcodes.global_get, 'wasi_pendingSurrogate', Valtype.i32);
+      const setPending = glbl(Opcodes.global_set, 'wasi_pendingSurrogate', Valtype.i32);
+
+      return [
+        [ Opcodes.local_get, 0 ],
+        Opcodes.i32_to_u,
+        [ Opcodes.local_set, 1 ],
+
+        // high surrogate, wait for low surrogate
+        ...isSurrogate(false),
+        [ Opcodes.if, Blocktype.void ],
+          ...pending,
+          [ Opcodes.if, Blocktype.void ],
+            ...replacement(),
+          [ Opcodes.end ],
+
+          [ Opcodes.local_get, 1 ],
+          ...setPending,
+          [ Opcodes.return ],
+        [ Opcodes.end ],
+
+        ...isSurrogate(true),
+        [ Opcodes.if, Blocktype.void ],
+          ...pending,
+          [ Opcodes.if, Blocktype.void ],
+            // c = 0x10000 + ((high - 0xd800) << 10) + (low - 0xdc00)
+            ...pending,
+            number(0xd800, Valtype.i32),
+            [ Opcodes.i32_sub ],
+            number(10, Valtype.i32),
+            [ Opcodes.i32_shl ],
+            [ Opcodes.local_get, 1 ],
+            number(0xdc00, Valtype.i32),
+            [ Opcodes.i32_sub ],
+            [ Opcodes.i32_add ],
+            number(0x10000, Valtype.i32),
+            [ Opcodes.i32_add ],
+            [ Opcodes.local_set, 1 ],
+          [ Opcodes.else ],
+            // lone low surrogate
+            number(0xfffd, Valtype.i32),
+            [ Opcodes.local_set, 1 ],
+          [ Opcodes.end ],
+        [ Opcodes.else ],
+          // lone high surrogate before this char
+          ...pending,
+          [ Opcodes.if, Blocktype.void ],
+            ...replacement(),
+          [ Opcodes.end ],
+        [ Opcodes.end ],
+
+        number(0, Valtype.i32),
+        ...setPending,
+
+        // encode as utf-8
+        [ Opcodes.local_get, 1 ],
+        number(0x80, Valtype.i32),
+        [ Opcodes.i32_lt_u ],
+        [ Opcodes.if, Blocktype.void ],
+          ...writeByte([ [ Opcodes.local_get, 1 ] ]),
+        [ Opcodes.else ],
+          [ Opcodes.local_get, 1 ],
+          number(0x800, Valtype.i32),
+          [ Opcodes.i32_lt_u ],
+          [ Opcodes.if, Blocktype.void ],
+            ...lead(6, 0xc0),
+            ...cont(0),
+          [ Opcodes.else ],
+            [ Opcodes.local_get, 1 ],
+            number(0x10000, Valtype.i32),
+            [ Opcodes.i32_lt_u ],
+            [ Opcodes.if, Blocktype.void ],
+              ...lead(12, 0xe0),
+              ...cont(6),
+              ...cont(0),
+            [ Opcodes.else ],
+              ...lead(18, 0xf0),
+              ...cont(12),
+              ...cont(6),
+              ...cont(0),
+            [ Opcodes.end ],
+          [ Opcodes.end ],
+        [ Opcodes.end ],
+
+        // line buffered like a tty
+        [ Opcodes.local_get, 1 ],
+        number(10, Valtype.i32),
+        [ Opcodes.i32_eq ],
+        [ Opcodes.if, Blocktype.void ],
+          [ Opcodes.call, builtin('__Porffor_wasi_flush') ],
+        [ Opcodes.end ]
+      ];
+    }
+  };
+
+  _.__Porffor_wasi_print = {
+    params: [ valtypeBinary ],
     locals: [],
     returns: [],
     returnType: TYPES.undefined,
-    wasm: () => [
-      [ Opcodes.local_get, 1 ],
+    wasm: (scope, { builtin }) => [
       [ Opcodes.local_get, 0 ],
-      number(pageSize, Valtype.i32),
-      [ ...Opcodes.memory_copy, 0x00, 0x00 ],
+      number(TYPES.number, Valtype.i32),
+      number(10),
+      number(TYPES.number, Valtype.i32),
+      [ Opcodes.call, builtin('__Number_prototype_toString') ],
+      [ Opcodes.call, builtin('__Porffor_printString') ]
     ]
   };
 
-  _.__Porffor_malloc = {
-    defaultParam: () => ({ type: 'Literal', value: pageSize }),
-    params: [ Valtype.i32 ],
+  const clockTimeGet = (clock, scratch, builtin) => [
+    // clock_time_get(clock, 1us precision, &timestamp)
+    number(clock, Valtype.i32),
+    number(1000, Valtype.i64),
+    number(scratch + 16, Valtype.i32),
+    [ Opcodes.call, builtin('clock_time_get') ],
+    [ Opcodes.drop ],
+
+    number(scratch, Valtype.i32),
+    [ Opcodes.i64_load, 0, 16 ]
+  ];
+
+  // record origins for time and timeOrigin, called by _start
+  _.__Porffor_wasi_clockInit = {
+    params: [],
     locals: [],
-    returns: [ Valtype.i32 ],
-    returnType: TYPES.number,
-    wasm: (scope, { builtin, glbl }) => [
-      // if currentPtr + bytesToAllocate >= endPtr
-      ...glbl(Opcodes.global_get, 'currentPtr', Valtype.i32),
-      [ Opcodes.local_get, 0 ],
-      [ Opcodes.i32_add ],
-      ...glbl(Opcodes.global_get, 'endPtr', Valtype.i32),
-      [ Opcodes.i32_ge_s ],
-      [ Opcodes.if, Valtype.i32 ],
-        // currentPtr = newly allocated pages + bytesToAllocate
-        number(Prefs.allocatorChunks ?? 16, Valtype.i32),
-        [ Opcodes.memory_grow, 0 ],
-        number(PageSize, Valtype.i32),
-        [ Opcodes.i32_mul ],
-        [ Opcodes.local_get, 0 ],
-        [ Opcodes.i32_add ],
-        ...glbl(Opcodes.global_set, 'currentPtr', Valtype.i32),
-        ...glbl(Opcodes.global_get, 'currentPtr', Valtype.i32),
+    returns: [],
+    returnType: TYPES.undefined,
+    usesImports: true,
+    wasm: (scope, { allocPage, builtin, glbl }) => {
+      const scratch = allocPage(scope, '#wasi_scratch');
 
-        // endPtr = currentPtr + limit - bytesToAllocate
-        number((Prefs.allocatorChunks ?? 16) * PageSize, Valtype.i32),
-        [ Opcodes.i32_add ],
-        [ Opcodes.local_get, 0 ],
-        [ Opcodes.i32_sub ],
-        ...glbl(Opcodes.global_set, 'endPtr', Valtype.i32),
+      return [
+        ...clockTimeGet(1, scratch, builtin), // monotonic
+        ...glbl(Opcodes.global_set, 'wasi_monotonicOrigin', Valtype.i64),
 
-        // return currentPtr - bytesToAllocate
-        ...glbl(Opcodes.global_get, 'currentPtr', Valtype.i32),
+        ...clockTimeGet(0, scratch, builtin), // realtime
+        [ Opcodes.f64_convert_i64_u ],
+        number(1e6, Valtype.f64),
+        [ Opcodes.f64_div ],
+        ...glbl(Opcodes.global_set, 'wasi_realtimeOrigin', Valtype.f64)
+      ];
+    }
+  };
+
+  _.__Porffor_wasi_time = {
+    params: [],
+    locals: [],
+    returns: [ valtypeBinary ],
+    returnType: TYPES.number,
+    usesImports: true,
+    wasm: (scope, { allocPage, builtin, glbl }) => {
+      const scratch = allocPage(scope, '#wasi_scratch');
+
+      return [
+        ...clockTimeGet(1, scratch, builtin),
+        ...glbl(Opcodes.global_get, 'wasi_monotonicOrigin', Valtype.i64),
+        [ Opcodes.i64_sub ],
+        [ Opcodes.f64_convert_i64_u ],
+        number(1e6, Valtype.f64),
+        [ Opcodes.f64_div ]
+      ];
+    }
+  };
+
+  // sleep(ms): poll_oneoff on a single relative monotonic clock subscription
+  _.__Porffor_wasi_sleep = {
+    params: [ valtypeBinary ],
+    locals: [],
+    returns: [],
+    returnType: TYPES.undefined,
+    usesImports: true,
+    wasm: (scope, { allocPage, builtin }) => {
+      const scratch = allocPage(scope, '#wasi_scratch');
+      const sub = scratch + 64;
+
+      return [
+        // userdata = 0, tag = clock
+        number(sub, Valtype.i32),
+        number(0, Valtype.i64),
+        [ Opcodes.i64_store, 0, 0 ],
+        number(sub, Valtype.i32),
+        number(0, Valtype.i32),
+        [ Opcodes.i32_store8, 0, 8 ],
+
+        // clock id = monotonic
+        number(sub, Valtype.i32),
+        number(1, Valtype.i32),
+        [ Opcodes.i32_store, 0, 16 ],
+
+        // timeout in ns
+        number(sub, Valtype.i32),
+        [ Opcodes.local_get, 0 ],
+        ...(valtypeBinary === Valtype.i32 ? [ [ Opcodes.f64_convert_i32_s ] ] : []),
+        number(1e6, Valtype.f64),
+        [ Opcodes.f64_mul ],
+        [ ...Opcodes.i64_trunc_sat_f64_u ],
+        [ Opcodes.i64_store, 0, 24 ],
+
+        // precision = 0, flags = relative
+        number(sub, Valtype.i32),
+        number(0, Valtype.i64),
+        [ Opcodes.i64_store, 0, 32 ],
+        number(sub, Valtype.i32),
+        number(0, Valtype.i32),
+        [ Opcodes.i32_store16, 0, 40 ],
+
+        // poll_oneoff(&subscription, &event, 1, &nevents)
+        number(sub, Valtype.i32),
+        number(scratch + 112, Valtype.i32),
+        number(1, Valtype.i32),
+        number(scratch + 144, Valtype.i32),
+        [ Opcodes.call, builtin('poll_oneoff') ],
+        [ Opcodes.drop ]
+      ];
+    }
+  };
+
+  _.__Porffor_wasi_timeOrigin = {
+    params: [],
+    locals: [],
+    returns: [ valtypeBinary ],
+    returnType: TYPES.number,
+    wasm: (scope, { glbl }) => glbl(Opcodes.global_get, 'wasi_realtimeOrigin', Valtype.f64)
+  };
+
+  // readArgv/readEnv(index, outPtr, capacity): copy string to outPtr if it fits, returns length or -1 if out of bounds
+  // host strings are read on first call, then their pointers and count are kept in globals
+  const wasiHostStrings = (sizesGet, get) => ({
+    params: [ valtypeBinary, valtypeBinary, valtypeBinary ],
+    locals: [ Valtype.i32, Valtype.i32, Valtype.i32, Valtype.i32 ],
+    localNames: [ 'index', 'outPtr', 'capacity', 'count', 'ptrs', 'str', 'len' ],
+    returns: [ valtypeBinary ],
+    returnType: TYPES.number,
+    usesImports: true,
+    wasm: (scope, { allocPage, builtin, glbl }) => {
+      const scratch = allocPage(scope, '#wasi_scratch');
+      const name = 'wasi_' + sizesGet.slice(0, sizesGet.indexOf('_'));
+
+      return [
+        ...glbl(Opcodes.global_get, name, Valtype.i32),
+        [ Opcodes.i32_eqz ],
+        [ Opcodes.if, Blocktype.void ],
+          // sizesGet(&count, &bufferSize)
+          number(scratch + 24, Valtype.i32),
+          number(scratch + 28, Valtype.i32),
+          [ Opcodes.call, builtin(sizesGet) ],
+          [ Opcodes.drop ],
+
+          number(scratch, Valtype.i32),
+          [ Opcodes.i32_load, 0, 24 ],
+          [ Opcodes.local_tee, 3 ],
+          ...glbl(Opcodes.global_set, name + 'Count', Valtype.i32),
+
+          // ptrs = malloc(count * 4 + bufferSize)
+          [ Opcodes.local_get, 3 ],
+          number(4, Valtype.i32),
+          [ Opcodes.i32_mul ],
+          number(scratch, Valtype.i32),
+          [ Opcodes.i32_load, 0, 28 ],
+          [ Opcodes.i32_add ],
+          [ Opcodes.call, builtin('__Porffor_malloc') ],
+          [ Opcodes.local_tee, 4 ],
+          ...glbl(Opcodes.global_set, name, Valtype.i32),
+
+          // get(ptrs, ptrs + count * 4)
+          [ Opcodes.local_get, 4 ],
+          [ Opcodes.local_get, 4 ],
+          [ Opcodes.local_get, 3 ],
+          number(4, Valtype.i32),
+          [ Opcodes.i32_mul ],
+          [ Opcodes.i32_add ],
+          [ Opcodes.call, builtin(get) ],
+          [ Opcodes.drop ],
+        [ Opcodes.end ],
+
+        ...glbl(Opcodes.global_get, name + 'Count', Valtype.i32),
+        [ Opcodes.local_get, 0 ],
+        Opcodes.i32_to_u,
+        [ Opcodes.i32_le_u ],
+        [ Opcodes.if, Blocktype.void ],
+          number(-1),
+          [ Opcodes.return ],
+        [ Opcodes.end ],
+
+        ...glbl(Opcodes.global_get, name, Valtype.i32),
+        [ Opcodes.local_set, 4 ],
+
+        // str = ptrs[index]
+        [ Opcodes.local_get, 4 ],
+        [ Opcodes.local_get, 0 ],
+        Opcodes.i32_to_u,
+        number(4, Valtype.i32),
+        [ Opcodes.i32_mul ],
+        [ Opcodes.i32_add ],
+        [ Opcodes.i32_load, 0, 0 ],
+        [ Opcodes.local_set, 5 ],
+
+        // len = strlen(str)
+        [ Opcodes.loop, Blocktype.void ],
+          [ Opcodes.local_get, 5 ],
+          [ Opcodes.local_get, 6 ],
+          [ Opcodes.i32_add ],
+          [ Opcodes.i32_load8_u, 0, 0 ],
+          [ Opcodes.if, Blocktype.void ],
+            [ Opcodes.local_get, 6 ],
+            number(1, Valtype.i32),
+            [ Opcodes.i32_add ],
+            [ Opcodes.local_set, 6 ],
+            [ Opcodes.br, 1 ],
+          [ Opcodes.end ],
+        [ Opcodes.end ],
+
+        // copy to outPtr if it fits
+        [ Opcodes.local_get, 6 ],
+        [ Opcodes.local_get, 2 ],
+        Opcodes.i32_to_u,
+        [ Opcodes.i32_le_u ],
+        [ Opcodes.if, Blocktype.void ],
+          [ Opcodes.local_get, 1 ],
+          Opcodes.i32_to_u,
+          [ Opcodes.local_get, 5 ],
+          [ Opcodes.local_get, 6 ],
+          [ ...Opcodes.memory_copy, 0x00, 0x00 ],
+        [ Opcodes.end ],
+
+        [ Opcodes.local_get, 6 ],
+        Opcodes.i32_from_u
+      ];
+    }
+  });
+  _.__Porffor_wasi_readArgv = wasiHostStrings('args_sizes_get', 'args_get');
+  _.__Porffor_wasi_readEnv = wasiHostStrings('environ_sizes_get', 'environ_get');
+
+  _.__Porffor_wasi_exit = {
+    params: [ valtypeBinary ],
+    locals: [],
+    returns: [],
+    returnType: TYPES.undefined,
+    usesImports: true,
+    wasm: (scope, { builtin }) => [
+      [ Opcodes.call, builtin('__Porffor_wasi_flush') ],
+
+      [ Opcodes.local_get, 0 ],
+      Opcodes.i32_to,
+      [ Opcodes.call, builtin('proc_exit') ]
+    ]
+  };
+
+
+  _.__Porffor_typeName = {
+    params: [ Valtype.i32 ],
+    locals: [],
+    returns: [ valtypeBinary ],
+    returnType: TYPES.bytestring,
+    wasm: (scope, { typeSwitch, makeString }) => {
+      const bc = {};
+      for (const x in TYPE_NAMES) {
+        bc[x] = () => makeString(scope, TYPE_NAMES[x]);
+      }
+
+      return typeSwitch(scope, [ [ Opcodes.local_get, 0 ] ], bc);
+    }
+  };
+
+  // Intl locale data (see locales.js), for the locales given by --locales
+  const intlLocales = (Prefs.locales ?? 'en').split(',').map(x => x === 'root' ? 'und' : x);
+  for (const x of intlLocales) {
+    if (!locales[x]) throw new Error(`unknown locale in --locales: ${x} (available: ${Object.keys(locales).join(', ')})`);
+  }
+
+  // supported locale tags, the first is the default
+  _.__Porffor_intl_locales = {
+    params: [],
+    locals: [],
+    returns: [ valtypeBinary ],
+    returnType: TYPES.bytestring,
+    wasm: (scope, { makeString }) => makeString(scope, intlLocales.join('|'))
+  };
+
+  for (const key in locales.en) {
+    // type is from all locales so it does not change with --locales
+    const bytestring = Object.values(locales).every(x => /^[\0-\xFF]*$/.test(x[key]));
+
+    _[`__Porffor_intl_${key}`] = {
+      params: [ Valtype.i32 ],
+      locals: [],
+      returns: [ valtypeBinary ],
+      returnType: bytestring ? TYPES.bytestring : TYPES.string,
+      wasm: (scope, { makeString }) => {
+        const out = [];
+        for (let i = 0; i < intlLocales.length - 1; i++) {
+          out.push(
+            [ Opcodes.local_get, 0 ],
+            number(i, Valtype.i32),
+            [ Opcodes.i32_eq ],
+            [ Opcodes.if, Blocktype.void ],
+              ...makeString(scope, locales[intlLocales[i]][key], bytestring),
+              [ Opcodes.return ],
+            [ Opcodes.end ]
+          );
+        }
+
+        out.push(...makeString(scope, locales[intlLocales.at(-1)][key], bytestring));
+        return out;
+      }
+    };
+  }
+
+  // unicode tables (see unicode.js), as strings of u16s so only used tables are included
+  for (const x in unicode) {
+    _[`__Porffor_unicode_${x}`] = {
+      params: [],
+      locals: [],
+      returns: [ Valtype.i32 ],
+      returnType: TYPES.string,
+      wasm: (scope, { makeString }) => [
+        ...makeString(scope, String.fromCharCode(...unicode[x]), false),
+        ...(valtypeBinary === Valtype.i32 ? [] : [ Opcodes.i32_to_u ])
+      ]
+    };
+  }
+
+  // stack traces (see stackTraceCall in codegen.js), nothing when disabled with --no-stack-trace
+  // frames are pointers to strings, the depth is in bytes and wraps around half a page
+  _.__Porffor_stackTrace_depth = {
+    params: [],
+    locals: [],
+    returns: [ Valtype.i32 ],
+    returnType: TYPES.number,
+    wasm: (scope, { glbl }) => Prefs.stackTrace ? glbl(Opcodes.global_get, 'stackTrace_depth', Valtype.i32) : [ number(0, Valtype.i32) ]
+  };
+
+  _.__Porffor_stackTrace_restore = {
+    params: [ Valtype.i32 ],
+    locals: [],
+    returns: [],
+    returnType: TYPES.undefined,
+    wasm: (scope, { glbl }) => Prefs.stackTrace ? [
+      [ Opcodes.local_get, 0 ],
+      ...glbl(Opcodes.global_set, 'stackTrace_depth', Valtype.i32)
+    ] : []
+  };
+
+  // copies the top frames (up to --stack-trace-limit, default 10) as count (u32) then frames,
+  // returns 0 if there are none
+  _.__Porffor_stackTrace_capture = {
+    params: [],
+    locals: [ Valtype.i32, Valtype.i32, Valtype.i32 ],
+    localNames: [ 'count', 'ptr', 'i' ],
+    returns: [ Valtype.i32 ],
+    returnType: TYPES.number,
+    wasm: (scope, { allocPage, builtin, glbl }) => {
+      if (!Prefs.stackTrace) return [ number(0, Valtype.i32) ];
+
+      const limit = parseInt(Prefs.stackTraceLimit ?? 10);
+      return [
+        // count = min(depth / 4, limit)
+        ...glbl(Opcodes.global_get, 'stackTrace_depth', Valtype.i32),
+        number(2, Valtype.i32),
+        [ Opcodes.i32_shr_u ],
+        [ Opcodes.local_tee, 0 ],
+        number(limit, Valtype.i32),
+        [ Opcodes.local_get, 0 ],
+        number(limit, Valtype.i32),
+        [ Opcodes.i32_lt_s ],
+        [ Opcodes.select ],
+        [ Opcodes.local_tee, 0 ],
+        [ Opcodes.i32_eqz ],
+        [ Opcodes.if, Blocktype.void ],
+          number(0, Valtype.i32),
+          [ Opcodes.return ],
+        [ Opcodes.end ],
+
+        [ Opcodes.local_get, 0 ],
+        number(1, Valtype.i32),
+        [ Opcodes.i32_add ],
+        number(4, Valtype.i32),
+        [ Opcodes.i32_mul ],
+        [ Opcodes.call, builtin('__Porffor_malloc') ],
+        [ Opcodes.local_tee, 1 ],
+        [ Opcodes.local_get, 0 ],
+        [ Opcodes.i32_store, 0, 0 ],
+
+        [ Opcodes.loop, Blocktype.void ],
+          // ptr[4 + i * 4] = stack[(depth - 4 - i * 4) & mask]
+          [ Opcodes.local_get, 1 ],
+          [ Opcodes.local_get, 2 ],
+          number(4, Valtype.i32),
+          [ Opcodes.i32_mul ],
+          [ Opcodes.i32_add ],
+
+          ...glbl(Opcodes.global_get, 'stackTrace_depth', Valtype.i32),
+          [ Opcodes.local_get, 2 ],
+          number(1, Valtype.i32),
+          [ Opcodes.i32_add ],
+          number(4, Valtype.i32),
+          [ Opcodes.i32_mul ],
+          [ Opcodes.i32_sub ],
+          number(pageSize / 2 - 1, Valtype.i32),
+          [ Opcodes.i32_and ],
+          [ Opcodes.i32_load, 0, ...unsignedLEB128(allocPage(scope, '#stack trace')) ],
+          [ Opcodes.i32_store, 0, 4 ],
+
+          // while (++i < count)
+          [ Opcodes.local_get, 2 ],
+          number(1, Valtype.i32),
+          [ Opcodes.i32_add ],
+          [ Opcodes.local_tee, 2 ],
+          [ Opcodes.local_get, 0 ],
+          [ Opcodes.i32_lt_s ],
+          [ Opcodes.br_if, 0 ],
+        [ Opcodes.end ],
+
+        [ Opcodes.local_get, 1 ]
+      ];
+    }
+  };
+
+  _.__Porffor_clone = {
+    params: [ Valtype.i32, Valtype.i32 ],
+    locals: [],
+    returns: [],
+    returnType: TYPES.undefined,
+    wasm: () => [
+      [ Opcodes.local_get, 1 ],
+      [ Opcodes.local_get, 0 ],
+      number(pageSize, Valtype.i32),
+      [ ...Opcodes.memory_copy, 0x00, 0x00 ],
+    ]
+  };
+
+  _.__Porffor_malloc = {
+    defaultParam: () => ({ type: 'Literal', value: pageSize }),
+    params: [ Valtype.i32 ],
+    locals: [],
+    returns: [ Valtype.i32 ],
+    returnType: TYPES.number,
+    wasm: (scope, { builtin, glbl }) => [
+      // if currentPtr + bytesToAllocate >= endPtr
+      ...glbl(Opcodes.global_get, 'currentPtr', Valtype.i32),
+      [ Opcodes.local_get, 0 ],
+      [ Opcodes.i32_add ],
+      ...glbl(Opcodes.global_get, 'endPtr', Valtype.i32),
+      [ Opcodes.i32_ge_s ],
+      [ Opcodes.if, Valtype.i32 ],
+        // currentPtr = newly allocated pages + bytesToAllocate
+        number(Prefs.allocatorChunks ?? 16, Valtype.i32),
+        [ Opcodes.memory_grow, 0 ],
+        number(PageSize, Valtype.i32),
+        [ Opcodes.i32_mul ],
+        [ Opcodes.local_get, 0 ],
+        [ Opcodes.i32_add ],
+        ...glbl(Opcodes.global_set, 'currentPtr', Valtype.i32),
+        ...glbl(Opcodes.global_get, 'currentPtr', Valtype.i32),
+
+        // endPtr = currentPtr + limit - bytesToAllocate
+        number((Prefs.allocatorChunks ?? 16) * PageSize, Valtype.i32),
+        [ Opcodes.i32_add ],
+        [ Opcodes.local_get, 0 ],
+        [ Opcodes.i32_sub ],
+        ...glbl(Opcodes.global_set, 'endPtr', Valtype.i32),
+
+        // return currentPtr - bytesToAllocate
+        ...glbl(Opcodes.global_get, 'currentPtr', Valtype.i32),
         [ Opcodes.local_get, 0 ],
         [ Opcodes.i32_sub ],
       [ Opcodes.else ],
@@ -1076,6 +2017,1538 @@ export const BuiltinFuncs = () => {
     ]
   };
 
+  // tracing gc (--gc), replaces the bump allocator above
+  // each block has an 8 byte header before the pointer given out:
+  //  size (u32, 4) - including header, low bits are flags:
+  //   marked - 0b01
+  //   free - 0b10
+  //  link (u32, 4) - next free block, or next block to scan + scan kind when marking,
+  //   then next weak block + kind until the end of the collection
+  const gcKind = {
+    conservative: 0, // unknown layout, scan every byte for pointers
+    leaf: 1, // no pointers (strings)
+    object: 2,
+    array: 3, // also sets
+    map: 4,
+
+    // weak kinds are put on the weak list once scanned, to be cleared after tracing
+    weakref: 5, // target is not traced
+    weak: 6, // weak maps and sets (laid out as maps), values are traced only while their key is live
+    registry: 7 // finalization registries, targets and unregister tokens are not traced
+  };
+
+  // walk the weak list, with block in local 0 and kind in local 1
+  const gcWalkWeak = (glbl, body) => [
+    ...glbl(Opcodes.global_get, 'gcWeakList', Valtype.i32),
+    [ Opcodes.local_set, 0 ],
+    [ Opcodes.block, Blocktype.void ],
+    [ Opcodes.loop, Blocktype.void ],
+      [ Opcodes.local_get, 0 ],
+      [ Opcodes.i32_eqz ],
+      [ Opcodes.br_if, 1 ],
+
+      [ Opcodes.local_get, 0 ],
+      [ Opcodes.i32_load, 0, 4 ],
+      number(0b111, Valtype.i32),
+      [ Opcodes.i32_and ],
+      [ Opcodes.local_set, 1 ],
+
+      ...body,
+
+      [ Opcodes.local_get, 0 ],
+      [ Opcodes.i32_load, 0, 4 ],
+      number(-8, Valtype.i32),
+      [ Opcodes.i32_and ],
+      [ Opcodes.local_set, 0 ],
+      [ Opcodes.br, 0 ],
+    [ Opcodes.end ],
+    [ Opcodes.end ]
+  ];
+
+  // loop local i from 0 to local len (exclusive) by step
+  const gcLoop = (i, len, step, body) => [
+    number(0, Valtype.i32),
+    [ Opcodes.local_set, i ],
+    [ Opcodes.block, Blocktype.void ],
+    [ Opcodes.loop, Blocktype.void ],
+      [ Opcodes.local_get, i ],
+      [ Opcodes.local_get, len ],
+      [ Opcodes.i32_ge_s ],
+      [ Opcodes.br_if, 1 ],
+
+      ...body,
+
+      [ Opcodes.local_get, i ],
+      number(step, Valtype.i32),
+      [ Opcodes.i32_add ],
+      [ Opcodes.local_set, i ],
+      [ Opcodes.br, 0 ],
+    [ Opcodes.end ],
+    [ Opcodes.end ]
+  ];
+
+  // pointer to element i (local) of array (local), elements are 9 bytes after the length
+  const gcElement = (array, i) => [
+    [ Opcodes.local_get, array ],
+    number(4, Valtype.i32),
+    [ Opcodes.i32_add ],
+    [ Opcodes.local_get, i ],
+    number(9, Valtype.i32),
+    [ Opcodes.i32_mul ],
+    [ Opcodes.i32_add ]
+  ];
+
+  // free blocks are kept in lists by size class (floor log2 of size, 32 u32 heads)
+  // push the block in local block of size in local size to its list
+  const gcFree = (allocPage, scope, block, size) => {
+    const lists = allocPage(scope, '#gc free lists');
+    const list = [
+      number(31, Valtype.i32),
+      [ Opcodes.local_get, size ],
+      [ Opcodes.i32_clz ],
+      [ Opcodes.i32_sub ],
+      number(2, Valtype.i32),
+      [ Opcodes.i32_shl ]
+    ];
+
+    return [
+      [ Opcodes.local_get, block ],
+      [ Opcodes.local_get, size ],
+      number(0b10, Valtype.i32),
+      [ Opcodes.i32_or ],
+      [ Opcodes.i32_store, 0, 0 ],
+
+      [ Opcodes.local_get, block ],
+      ...list,
+      [ Opcodes.i32_load, 0, ...unsignedLEB128(lists) ],
+      [ Opcodes.i32_store, 0, 4 ],
+
+      ...list,
+      [ Opcodes.local_get, block ],
+      [ Opcodes.i32_store, 0, ...unsignedLEB128(lists) ]
+    ];
+  };
+
+  _.__Porffor_gc_malloc = {
+    defaultParam: () => ({ type: 'Literal', value: pageSize }),
+    params: [ Valtype.i32 ],
+    locals: [ Valtype.i32, Valtype.i32, Valtype.i32, Valtype.i32, Valtype.i32, Valtype.i32, Valtype.i32 ],
+    localNames: [ 'bytes', 'size', 'list', 'block', 'blockSize', 'prev', 'i', 'collected' ],
+    returns: [ Valtype.i32 ],
+    returnType: TYPES.number,
+    wasm: (scope, { glbl, builtin, allocPage }) => {
+      const lists = allocPage(scope, '#gc free lists');
+
+      // give out block, splitting off the rest as a new free block if big enough
+      const take = [
+        [ Opcodes.local_get, 4 ],
+        [ Opcodes.local_get, 1 ],
+        [ Opcodes.i32_sub ],
+        [ Opcodes.local_tee, 6 ],
+        number(16, Valtype.i32),
+        [ Opcodes.i32_ge_s ],
+        [ Opcodes.if, Blocktype.void ],
+          [ Opcodes.local_get, 3 ],
+          [ Opcodes.local_get, 1 ],
+          [ Opcodes.i32_add ],
+          [ Opcodes.local_set, 5 ],
+          ...gcFree(allocPage, scope, 5, 6),
+
+          [ Opcodes.local_get, 1 ],
+          [ Opcodes.local_set, 4 ],
+        [ Opcodes.end ],
+
+        [ Opcodes.local_get, 3 ],
+        [ Opcodes.local_get, 4 ],
+        [ Opcodes.i32_store, 0, 0 ],
+        [ Opcodes.local_get, 3 ],
+        number(0, Valtype.i32),
+        [ Opcodes.i32_store, 0, 4 ],
+
+        // zero reused memory as allocations are expected to be zeroed
+        [ Opcodes.local_get, 3 ],
+        number(8, Valtype.i32),
+        [ Opcodes.i32_add ],
+        number(0, Valtype.i32),
+        [ Opcodes.local_get, 4 ],
+        number(8, Valtype.i32),
+        [ Opcodes.i32_sub ],
+        [ ...Opcodes.memory_fill, 0x00 ],
+
+        number(0, Valtype.i32),
+        ...glbl(Opcodes.global_set, 'gcOutOfMemory', Valtype.i32),
+        [ Opcodes.local_get, 3 ],
+        number(8, Valtype.i32),
+        [ Opcodes.i32_add ],
+        [ Opcodes.return ]
+      ];
+
+      return [
+        // size = header + bytes, rounded up to 8
+        [ Opcodes.local_get, 0 ],
+        number(15, Valtype.i32),
+        [ Opcodes.i32_add ],
+        number(-8, Valtype.i32),
+        [ Opcodes.i32_and ],
+        [ Opcodes.local_set, 1 ],
+
+        // collect if enough has been allocated since the last collection
+        ...glbl(Opcodes.global_get, 'gcAllocated', Valtype.i32),
+        [ Opcodes.local_get, 1 ],
+        [ Opcodes.i32_add ],
+        ...glbl(Opcodes.global_set, 'gcAllocated', Valtype.i32),
+        ...glbl(Opcodes.global_get, 'gcAllocated', Valtype.i32),
+        number((Prefs.gcThreshold ?? 32) * 1024 * 1024, Valtype.i32),
+        [ Opcodes.i32_ge_s ],
+        ...glbl(Opcodes.global_get, 'gcCollecting', Valtype.i32),
+        [ Opcodes.i32_eqz ],
+        [ Opcodes.i32_and ],
+        [ Opcodes.if, Blocktype.void ],
+          [ Opcodes.call, builtin('__Porffor_gc_collect') ],
+        [ Opcodes.end ],
+
+        // heap starts after static data on first allocation
+        ...glbl(Opcodes.global_get, 'gcHeapTop', Valtype.i32),
+        [ Opcodes.i32_eqz ],
+        [ Opcodes.if, Blocktype.void ],
+          [ Opcodes.memory_size, 0 ],
+          number(PageSize, Valtype.i32),
+          [ Opcodes.i32_mul ],
+          [ Opcodes.local_tee, 3 ],
+          ...glbl(Opcodes.global_set, 'gcHeapStart', Valtype.i32),
+          [ Opcodes.local_get, 3 ],
+          ...glbl(Opcodes.global_set, 'gcHeapTop', Valtype.i32),
+          [ Opcodes.local_get, 3 ],
+          ...glbl(Opcodes.global_set, 'gcHeapEnd', Valtype.i32),
+        [ Opcodes.end ],
+
+        [ Opcodes.loop, Blocktype.void ],
+          // first fit from the list of size's class (as its blocks can be smaller), trying a few
+          number(31, Valtype.i32),
+          [ Opcodes.local_get, 1 ],
+          [ Opcodes.i32_clz ],
+          [ Opcodes.i32_sub ],
+          number(2, Valtype.i32),
+          [ Opcodes.i32_shl ],
+          [ Opcodes.local_tee, 2 ],
+          [ Opcodes.i32_load, 0, ...unsignedLEB128(lists) ],
+          [ Opcodes.local_set, 3 ],
+          number(0, Valtype.i32),
+          [ Opcodes.local_set, 5 ],
+          number(8, Valtype.i32),
+          [ Opcodes.local_set, 6 ],
+          [ Opcodes.block, Blocktype.void ],
+          [ Opcodes.loop, Blocktype.void ],
+            [ Opcodes.local_get, 3 ],
+            [ Opcodes.i32_eqz ],
+            [ Opcodes.local_get, 6 ],
+            [ Opcodes.i32_eqz ],
+            [ Opcodes.i32_or ],
+            [ Opcodes.br_if, 1 ],
+
+            [ Opcodes.local_get, 3 ],
+            [ Opcodes.i32_load, 0, 0 ],
+            number(-8, Valtype.i32),
+            [ Opcodes.i32_and ],
+            [ Opcodes.local_tee, 4 ],
+            [ Opcodes.local_get, 1 ],
+            [ Opcodes.i32_ge_s ],
+            [ Opcodes.if, Blocktype.void ],
+              // unlink
+              [ Opcodes.local_get, 5 ],
+              [ Opcodes.if, Blocktype.void ],
+                [ Opcodes.local_get, 5 ],
+                [ Opcodes.local_get, 3 ],
+                [ Opcodes.i32_load, 0, 4 ],
+                [ Opcodes.i32_store, 0, 4 ],
+              [ Opcodes.else ],
+                [ Opcodes.local_get, 2 ],
+                [ Opcodes.local_get, 3 ],
+                [ Opcodes.i32_load, 0, 4 ],
+                [ Opcodes.i32_store, 0, ...unsignedLEB128(lists) ],
+              [ Opcodes.end ],
+
+              ...take,
+            [ Opcodes.end ],
+
+            [ Opcodes.local_get, 3 ],
+            [ Opcodes.local_set, 5 ],
+            [ Opcodes.local_get, 3 ],
+            [ Opcodes.i32_load, 0, 4 ],
+            [ Opcodes.local_set, 3 ],
+            [ Opcodes.local_get, 6 ],
+            number(1, Valtype.i32),
+            [ Opcodes.i32_sub ],
+            [ Opcodes.local_set, 6 ],
+            [ Opcodes.br, 0 ],
+          [ Opcodes.end ],
+          [ Opcodes.end ],
+
+          // every block in a larger class fits
+          [ Opcodes.block, Blocktype.void ],
+          [ Opcodes.loop, Blocktype.void ],
+            [ Opcodes.local_get, 2 ],
+            number(4, Valtype.i32),
+            [ Opcodes.i32_add ],
+            [ Opcodes.local_tee, 2 ],
+            number(32 * 4, Valtype.i32),
+            [ Opcodes.i32_ge_u ],
+            [ Opcodes.br_if, 1 ],
+
+            [ Opcodes.local_get, 2 ],
+            [ Opcodes.i32_load, 0, ...unsignedLEB128(lists) ],
+            [ Opcodes.local_tee, 3 ],
+            [ Opcodes.if, Blocktype.void ],
+              [ Opcodes.local_get, 2 ],
+              [ Opcodes.local_get, 3 ],
+              [ Opcodes.i32_load, 0, 4 ],
+              [ Opcodes.i32_store, 0, ...unsignedLEB128(lists) ],
+
+              [ Opcodes.local_get, 3 ],
+              [ Opcodes.i32_load, 0, 0 ],
+              number(-8, Valtype.i32),
+              [ Opcodes.i32_and ],
+              [ Opcodes.local_set, 4 ],
+              ...take,
+            [ Opcodes.end ],
+            [ Opcodes.br, 0 ],
+          [ Opcodes.end ],
+          [ Opcodes.end ],
+
+          // no free block fits, bump allocate from the top of the heap
+          ...glbl(Opcodes.global_get, 'gcHeapTop', Valtype.i32),
+          [ Opcodes.local_get, 1 ],
+          [ Opcodes.i32_add ],
+          ...glbl(Opcodes.global_get, 'gcHeapEnd', Valtype.i32),
+          [ Opcodes.i32_gt_u ],
+          [ Opcodes.if, Blocktype.void ],
+            // grow by chunk or as many pages as needed
+            [ Opcodes.local_get, 1 ],
+            number(16, Valtype.i32),
+            [ Opcodes.i32_shr_u ],
+            number(1, Valtype.i32),
+            [ Opcodes.i32_add ],
+            [ Opcodes.local_tee, 6 ],
+            number(Prefs.allocatorChunks ?? 16, Valtype.i32),
+            [ Opcodes.local_get, 6 ],
+            number(Prefs.allocatorChunks ?? 16, Valtype.i32),
+            [ Opcodes.i32_gt_s ],
+            [ Opcodes.select ],
+            [ Opcodes.memory_grow, 0 ],
+            number(-1, Valtype.i32),
+            [ Opcodes.i32_eq ],
+            [ Opcodes.if, Blocktype.void ],
+              // out of memory, collect and try again once before throwing
+              [ Opcodes.local_get, 7 ],
+              [ Opcodes.i32_eqz ],
+              [ Opcodes.if, Blocktype.void ],
+                number(1, Valtype.i32),
+                [ Opcodes.local_set, 7 ],
+                [ Opcodes.call, builtin('__Porffor_gc_collect') ],
+                [ Opcodes.br, 3 ],
+              [ Opcodes.end ],
+
+              // allocating the error failed too, give up
+              ...glbl(Opcodes.global_get, 'gcOutOfMemory', Valtype.i32),
+              [ Opcodes.if, Blocktype.void ],
+                [ Opcodes.unreachable ],
+              [ Opcodes.end ],
+              number(1, Valtype.i32),
+              ...glbl(Opcodes.global_set, 'gcOutOfMemory', Valtype.i32),
+
+              number(0, Valtype.i32),
+              [ Opcodes.call, builtin('__Porffor_gc_throw') ],
+            [ Opcodes.end ],
+
+            [ Opcodes.memory_size, 0 ],
+            number(PageSize, Valtype.i32),
+            [ Opcodes.i32_mul ],
+            ...glbl(Opcodes.global_set, 'gcHeapEnd', Valtype.i32),
+          [ Opcodes.end ],
+        [ Opcodes.end ],
+
+        ...glbl(Opcodes.global_get, 'gcHeapTop', Valtype.i32),
+        [ Opcodes.local_tee, 3 ],
+        [ Opcodes.local_get, 1 ],
+        [ Opcodes.i32_store, 0, 0 ],
+
+        [ Opcodes.local_get, 3 ],
+        [ Opcodes.local_get, 1 ],
+        [ Opcodes.i32_add ],
+        ...glbl(Opcodes.global_set, 'gcHeapTop', Valtype.i32),
+
+        number(0, Valtype.i32),
+        ...glbl(Opcodes.global_set, 'gcOutOfMemory', Valtype.i32),
+        [ Opcodes.local_get, 3 ],
+        number(8, Valtype.i32),
+        [ Opcodes.i32_add ]
+      ];
+    }
+  };
+
+  // throw out of memory (0) or shadow stack overflow (1), see gc frames in codegen
+  _.__Porffor_gc_throw = {
+    params: [ Valtype.i32 ],
+    locals: [],
+    localNames: [ 'overflow' ],
+    returns: [],
+    returnType: TYPES.undefined,
+    usesTag: true,
+    wasm: (scope, { internalThrow }) => [
+      [ Opcodes.local_get, 0 ],
+      [ Opcodes.if, Blocktype.void ],
+        ...internalThrow(scope, 'RangeError', 'Maximum call stack size exceeded'),
+      [ Opcodes.end ],
+      ...internalThrow(scope, 'RangeError', 'Out of memory')
+    ]
+  };
+
+  // find the block containing a pointer (0 if none) using the sorted index built by collect
+  _.__Porffor_gc_find = {
+    params: [ Valtype.i32 ],
+    locals: [ Valtype.i32, Valtype.i32, Valtype.i32, Valtype.i32 ],
+    localNames: [ 'ptr', 'lo', 'hi', 'mid', 'block' ],
+    returns: [ Valtype.i32 ],
+    returnType: TYPES.number,
+    wasm: (scope, { glbl }) => [
+      [ Opcodes.local_get, 0 ],
+      ...glbl(Opcodes.global_get, 'gcHeapStart', Valtype.i32),
+      [ Opcodes.i32_lt_s ],
+      [ Opcodes.local_get, 0 ],
+      ...glbl(Opcodes.global_get, 'gcHeapTop', Valtype.i32),
+      [ Opcodes.i32_ge_s ],
+      [ Opcodes.i32_or ],
+      [ Opcodes.if, Blocktype.void ],
+        number(0, Valtype.i32),
+        [ Opcodes.return ],
+      [ Opcodes.end ],
+
+      // binary search for the last block starting at or before ptr
+      ...glbl(Opcodes.global_get, 'gcIndexLength', Valtype.i32),
+      [ Opcodes.local_set, 2 ],
+      [ Opcodes.block, Blocktype.void ],
+      [ Opcodes.loop, Blocktype.void ],
+        [ Opcodes.local_get, 1 ],
+        [ Opcodes.local_get, 2 ],
+        [ Opcodes.i32_ge_s ],
+        [ Opcodes.br_if, 1 ],
+
+        [ Opcodes.local_get, 1 ],
+        [ Opcodes.local_get, 2 ],
+        [ Opcodes.i32_add ],
+        number(1, Valtype.i32),
+        [ Opcodes.i32_shr_u ],
+        [ Opcodes.local_tee, 3 ],
+        number(4, Valtype.i32),
+        [ Opcodes.i32_mul ],
+        ...glbl(Opcodes.global_get, 'gcIndex', Valtype.i32),
+        [ Opcodes.i32_add ],
+        [ Opcodes.i32_load, 0, 0 ],
+        [ Opcodes.local_get, 0 ],
+        [ Opcodes.i32_le_s ],
+        [ Opcodes.if, Blocktype.void ],
+          [ Opcodes.local_get, 3 ],
+          number(1, Valtype.i32),
+          [ Opcodes.i32_add ],
+          [ Opcodes.local_set, 1 ],
+        [ Opcodes.else ],
+          [ Opcodes.local_get, 3 ],
+          [ Opcodes.local_set, 2 ],
+        [ Opcodes.end ],
+        [ Opcodes.br, 0 ],
+      [ Opcodes.end ],
+      [ Opcodes.end ],
+
+      [ Opcodes.local_get, 1 ],
+      [ Opcodes.i32_eqz ],
+      [ Opcodes.if, Blocktype.void ],
+        number(0, Valtype.i32),
+        [ Opcodes.return ],
+      [ Opcodes.end ],
+
+      [ Opcodes.local_get, 1 ],
+      number(4, Valtype.i32),
+      [ Opcodes.i32_mul ],
+      ...glbl(Opcodes.global_get, 'gcIndex', Valtype.i32),
+      [ Opcodes.i32_add ],
+      number(4, Valtype.i32),
+      [ Opcodes.i32_sub ],
+      [ Opcodes.i32_load, 0, 0 ],
+      [ Opcodes.local_set, 4 ],
+
+      // ptr has to be in the block after the header
+      [ Opcodes.local_get, 0 ],
+      [ Opcodes.local_get, 4 ],
+      number(8, Valtype.i32),
+      [ Opcodes.i32_add ],
+      [ Opcodes.i32_lt_s ],
+      [ Opcodes.local_get, 0 ],
+      [ Opcodes.local_get, 4 ],
+      [ Opcodes.local_get, 4 ],
+      [ Opcodes.i32_load, 0, 0 ],
+      number(-8, Valtype.i32),
+      [ Opcodes.i32_and ],
+      [ Opcodes.i32_add ],
+      [ Opcodes.i32_ge_s ],
+      [ Opcodes.i32_or ],
+      [ Opcodes.if, Blocktype.void ],
+        number(0, Valtype.i32),
+        [ Opcodes.return ],
+      [ Opcodes.end ],
+
+      [ Opcodes.local_get, 4 ]
+    ]
+  };
+
+  // mark the block containing ptr and push it to be scanned as kind
+  _.__Porffor_gc_mark = {
+    params: [ Valtype.i32, Valtype.i32 ],
+    locals: [ Valtype.i32, Valtype.i32 ],
+    localNames: [ 'ptr', 'kind', 'block', 'header' ],
+    returns: [],
+    returnType: TYPES.undefined,
+    wasm: (scope, { glbl, builtin }) => [
+      [ Opcodes.local_get, 0 ],
+      [ Opcodes.call, builtin('__Porffor_gc_find') ],
+      [ Opcodes.local_tee, 2 ],
+      [ Opcodes.i32_eqz ],
+      [ Opcodes.if, Blocktype.void ],
+        [ Opcodes.return ],
+      [ Opcodes.end ],
+
+      // already marked or free
+      [ Opcodes.local_get, 2 ],
+      [ Opcodes.i32_load, 0, 0 ],
+      [ Opcodes.local_tee, 3 ],
+      number(0b11, Valtype.i32),
+      [ Opcodes.i32_and ],
+      [ Opcodes.if, Blocktype.void ],
+        [ Opcodes.return ],
+      [ Opcodes.end ],
+
+      [ Opcodes.local_get, 2 ],
+      [ Opcodes.local_get, 3 ],
+      number(0b01, Valtype.i32),
+      [ Opcodes.i32_or ],
+      [ Opcodes.i32_store, 0, 0 ],
+
+      [ Opcodes.local_get, 2 ],
+      ...glbl(Opcodes.global_get, 'gcMarkStack', Valtype.i32),
+      [ Opcodes.local_get, 1 ],
+      [ Opcodes.i32_or ],
+      [ Opcodes.i32_store, 0, 4 ],
+
+      [ Opcodes.local_get, 2 ],
+      ...glbl(Opcodes.global_set, 'gcMarkStack', Valtype.i32)
+    ]
+  };
+
+  // mark a js value (type -1 for untyped, treated conservatively)
+  _.__Porffor_gc_markValue = {
+    params: [ Valtype.f64, Valtype.i32 ],
+    locals: [ Valtype.i32 ],
+    localNames: [ 'value', 'type', 'kind' ],
+    returns: [],
+    returnType: TYPES.undefined,
+    wasm: (scope, { glbl, builtin }) => [
+      // value has to be in the heap to be a pointer
+      [ Opcodes.local_get, 0 ],
+      ...glbl(Opcodes.global_get, 'gcHeapStart', Valtype.i32),
+      [ Opcodes.f64_convert_i32_u ],
+      [ Opcodes.f64_lt ],
+      [ Opcodes.local_get, 0 ],
+      ...glbl(Opcodes.global_get, 'gcHeapTop', Valtype.i32),
+      [ Opcodes.f64_convert_i32_u ],
+      [ Opcodes.f64_ge ],
+      [ Opcodes.i32_or ],
+      [ Opcodes.if, Blocktype.void ],
+        [ Opcodes.return ],
+      [ Opcodes.end ],
+
+      [ Opcodes.local_get, 1 ],
+      number(-1, Valtype.i32),
+      [ Opcodes.i32_eq ],
+      [ Opcodes.if, Blocktype.void ],
+        [ Opcodes.local_get, 0 ],
+        [ Opcodes.local_get, 0 ],
+        [ Opcodes.f64_floor ],
+        [ Opcodes.f64_ne ],
+        [ Opcodes.if, Blocktype.void ],
+          [ Opcodes.return ],
+        [ Opcodes.end ],
+      [ Opcodes.end ],
+
+      // primitives are not pointers
+      ...[ TYPES.undefined, TYPES.number, TYPES.boolean, TYPES.function ].flatMap(x => [
+        [ Opcodes.local_get, 1 ],
+        number(x, Valtype.i32),
+        [ Opcodes.i32_eq ],
+        [ Opcodes.if, Blocktype.void ],
+          [ Opcodes.return ],
+        [ Opcodes.end ]
+      ]),
+
+      number(gcKind.conservative, Valtype.i32),
+      [ Opcodes.local_set, 2 ],
+      ...[
+        [ TYPES.string, gcKind.leaf ],
+        [ TYPES.bytestring, gcKind.leaf ],
+        [ TYPES.object, gcKind.object ],
+        [ TYPES.array, gcKind.array ],
+        [ TYPES.set, gcKind.array ],
+        [ TYPES.map, gcKind.map ],
+        [ TYPES.weakref, gcKind.weakref ],
+        [ TYPES.weakmap, gcKind.weak ],
+        [ TYPES.weakset, gcKind.weak ],
+        [ TYPES.finalizationregistry, gcKind.registry ]
+      ].flatMap(([ type, kind ]) => [
+        [ Opcodes.local_get, 1 ],
+        number(type, Valtype.i32),
+        [ Opcodes.i32_eq ],
+        [ Opcodes.if, Blocktype.void ],
+          number(kind, Valtype.i32),
+          [ Opcodes.local_set, 2 ],
+        [ Opcodes.end ]
+      ]),
+
+      [ Opcodes.local_get, 0 ],
+      Opcodes.i32_trunc_sat_f64_u,
+      [ Opcodes.local_get, 2 ],
+      [ Opcodes.call, builtin('__Porffor_gc_mark') ]
+    ]
+  };
+
+  // conservatively scan memory for anything which looks like a pointer (as i32 or f64)
+  // exact only takes pointers to the start of blocks, as values in the heap are, so junk is less likely to retain
+  _.__Porffor_gc_scanRange = {
+    params: [ Valtype.i32, Valtype.i32, Valtype.i32 ],
+    locals: [ Valtype.i32, Valtype.f64 ],
+    localNames: [ 'ptr', 'end', 'exact', 'value', 'valueF64' ],
+    returns: [],
+    returnType: TYPES.undefined,
+    wasm: (scope, { glbl, builtin }) => {
+      const mark = [
+        [ Opcodes.local_get, 2 ],
+        [ Opcodes.if, Valtype.i32 ],
+          [ Opcodes.local_get, 3 ],
+          [ Opcodes.call, builtin('__Porffor_gc_find') ],
+          number(8, Valtype.i32),
+          [ Opcodes.i32_add ],
+          [ Opcodes.local_get, 3 ],
+          [ Opcodes.i32_eq ],
+        [ Opcodes.else ],
+          number(1, Valtype.i32),
+        [ Opcodes.end ],
+        [ Opcodes.if, Blocktype.void ],
+          [ Opcodes.local_get, 3 ],
+          number(gcKind.conservative, Valtype.i32),
+          [ Opcodes.call, builtin('__Porffor_gc_mark') ],
+        [ Opcodes.end ]
+      ];
+
+      return [
+        [ Opcodes.block, Blocktype.void ],
+        [ Opcodes.loop, Blocktype.void ],
+          // skip zeros quickly, nothing starting in the first 9 of 16 zero bytes can be a pointer
+          [ Opcodes.local_get, 0 ],
+          number(16, Valtype.i32),
+          [ Opcodes.i32_add ],
+          [ Opcodes.local_get, 1 ],
+          [ Opcodes.i32_le_s ],
+          [ Opcodes.if, Blocktype.void ],
+            [ Opcodes.local_get, 0 ],
+            [ Opcodes.i64_load, 0, 0 ],
+            [ Opcodes.local_get, 0 ],
+            [ Opcodes.i64_load, 0, 8 ],
+            [ Opcodes.i64_or ],
+            [ Opcodes.i64_eqz ],
+            [ Opcodes.if, Blocktype.void ],
+              [ Opcodes.local_get, 0 ],
+              number(9, Valtype.i32),
+              [ Opcodes.i32_add ],
+              [ Opcodes.local_set, 0 ],
+              [ Opcodes.br, 2 ],
+            [ Opcodes.end ],
+          [ Opcodes.end ],
+
+          [ Opcodes.local_get, 0 ],
+          number(4, Valtype.i32),
+          [ Opcodes.i32_add ],
+          [ Opcodes.local_get, 1 ],
+          [ Opcodes.i32_gt_s ],
+          [ Opcodes.br_if, 1 ],
+
+          [ Opcodes.local_get, 0 ],
+          [ Opcodes.i32_load, 0, 0 ],
+          [ Opcodes.local_tee, 3 ],
+          ...glbl(Opcodes.global_get, 'gcHeapStart', Valtype.i32),
+          [ Opcodes.i32_ge_s ],
+          [ Opcodes.local_get, 3 ],
+          ...glbl(Opcodes.global_get, 'gcHeapTop', Valtype.i32),
+          [ Opcodes.i32_lt_s ],
+          [ Opcodes.i32_and ],
+          [ Opcodes.if, Blocktype.void ],
+            ...mark,
+          [ Opcodes.end ],
+
+          [ Opcodes.local_get, 0 ],
+          number(8, Valtype.i32),
+          [ Opcodes.i32_add ],
+          [ Opcodes.local_get, 1 ],
+          [ Opcodes.i32_le_s ],
+          [ Opcodes.if, Blocktype.void ],
+            // check range here as calling for every byte is slow
+            [ Opcodes.local_get, 0 ],
+            [ Opcodes.f64_load, 0, 0 ],
+            [ Opcodes.local_tee, 4 ],
+            ...glbl(Opcodes.global_get, 'gcHeapStart', Valtype.i32),
+            [ Opcodes.f64_convert_i32_u ],
+            [ Opcodes.f64_ge ],
+            [ Opcodes.local_get, 4 ],
+            ...glbl(Opcodes.global_get, 'gcHeapTop', Valtype.i32),
+            [ Opcodes.f64_convert_i32_u ],
+            [ Opcodes.f64_lt ],
+            [ Opcodes.i32_and ],
+            [ Opcodes.if, Blocktype.void ],
+              // only integers
+              [ Opcodes.local_get, 4 ],
+              Opcodes.i32_trunc_sat_f64_u,
+              [ Opcodes.local_tee, 3 ],
+              [ Opcodes.f64_convert_i32_u ],
+              [ Opcodes.local_get, 4 ],
+              [ Opcodes.f64_eq ],
+              [ Opcodes.if, Blocktype.void ],
+                ...mark,
+              [ Opcodes.end ],
+            [ Opcodes.end ],
+          [ Opcodes.end ],
+
+          [ Opcodes.local_get, 0 ],
+          number(1, Valtype.i32),
+          [ Opcodes.i32_add ],
+          [ Opcodes.local_set, 0 ],
+          [ Opcodes.br, 0 ],
+        [ Opcodes.end ],
+        [ Opcodes.end ]
+      ];
+    }
+  };
+
+  // scan a marked block for pointers depending on its kind
+  _.__Porffor_gc_scan = {
+    params: [ Valtype.i32, Valtype.i32 ],
+    locals: [ Valtype.i32, Valtype.i32, Valtype.i32, Valtype.i32 ],
+    localNames: [ 'block', 'kind', 'end', 'ptr', 'i', 'key' ],
+    returns: [],
+    returnType: TYPES.undefined,
+    wasm: (scope, { glbl, builtin }) => {
+      // mark length (i) elements from ptr, clamped to the end of the block
+      const elements = [
+        [ Opcodes.block, Blocktype.void ],
+        [ Opcodes.loop, Blocktype.void ],
+          [ Opcodes.local_get, 4 ],
+          number(0, Valtype.i32),
+          [ Opcodes.i32_le_s ],
+          [ Opcodes.local_get, 3 ],
+          number(9, Valtype.i32),
+          [ Opcodes.i32_add ],
+          [ Opcodes.local_get, 2 ],
+          [ Opcodes.i32_gt_s ],
+          [ Opcodes.i32_or ],
+          [ Opcodes.br_if, 1 ],
+
+          [ Opcodes.local_get, 3 ],
+          [ Opcodes.f64_load, 0, 0 ],
+          [ Opcodes.local_get, 3 ],
+          [ Opcodes.i32_load8_u, 0, 8 ],
+          [ Opcodes.call, builtin('__Porffor_gc_markValue') ],
+
+          [ Opcodes.local_get, 3 ],
+          number(9, Valtype.i32),
+          [ Opcodes.i32_add ],
+          [ Opcodes.local_set, 3 ],
+          [ Opcodes.local_get, 4 ],
+          number(1, Valtype.i32),
+          [ Opcodes.i32_sub ],
+          [ Opcodes.local_set, 4 ],
+          [ Opcodes.br, 0 ],
+        [ Opcodes.end ],
+        [ Opcodes.end ]
+      ];
+
+      return [
+        [ Opcodes.local_get, 0 ],
+        [ Opcodes.local_get, 0 ],
+        [ Opcodes.i32_load, 0, 0 ],
+        number(-8, Valtype.i32),
+        [ Opcodes.i32_and ],
+        [ Opcodes.i32_add ],
+        [ Opcodes.local_set, 2 ],
+
+        [ Opcodes.local_get, 1 ],
+        number(gcKind.object, Valtype.i32),
+        [ Opcodes.i32_eq ],
+        [ Opcodes.if, Blocktype.void ],
+          // prototype
+          [ Opcodes.local_get, 0 ],
+          [ Opcodes.i32_load, 0, 12 ],
+          [ Opcodes.f64_convert_i32_u ],
+          [ Opcodes.local_get, 0 ],
+          [ Opcodes.i32_load8_u, 0, 11 ],
+          [ Opcodes.call, builtin('__Porffor_gc_markValue') ],
+
+          [ Opcodes.local_get, 0 ],
+          [ Opcodes.i32_load16_u, 0, 8 ],
+          [ Opcodes.local_set, 4 ],
+          [ Opcodes.local_get, 0 ],
+          number(16, Valtype.i32),
+          [ Opcodes.i32_add ],
+          [ Opcodes.local_set, 3 ],
+
+          [ Opcodes.block, Blocktype.void ],
+          [ Opcodes.loop, Blocktype.void ],
+            [ Opcodes.local_get, 4 ],
+            [ Opcodes.i32_eqz ],
+            [ Opcodes.local_get, 3 ],
+            number(18, Valtype.i32),
+            [ Opcodes.i32_add ],
+            [ Opcodes.local_get, 2 ],
+            [ Opcodes.i32_gt_s ],
+            [ Opcodes.i32_or ],
+            [ Opcodes.br_if, 1 ],
+
+            // key, symbols (MSB 1&2) are scanned, strings are not
+            [ Opcodes.local_get, 3 ],
+            [ Opcodes.i32_load, 0, 4 ],
+            [ Opcodes.local_tee, 5 ],
+            number(0x3fffffff, Valtype.i32),
+            [ Opcodes.i32_and ],
+            number(gcKind.conservative, Valtype.i32),
+            number(gcKind.leaf, Valtype.i32),
+            [ Opcodes.local_get, 5 ],
+            number(30, Valtype.i32),
+            [ Opcodes.i32_shr_u ],
+            number(0b11, Valtype.i32),
+            [ Opcodes.i32_eq ],
+            [ Opcodes.select ],
+            [ Opcodes.call, builtin('__Porffor_gc_mark') ],
+
+            // value, unless an accessor (which only holds funcs)
+            [ Opcodes.local_get, 3 ],
+            [ Opcodes.i32_load8_u, 0, 16 ],
+            number(0b0001, Valtype.i32),
+            [ Opcodes.i32_and ],
+            [ Opcodes.i32_eqz ],
+            [ Opcodes.if, Blocktype.void ],
+              [ Opcodes.local_get, 3 ],
+              [ Opcodes.f64_load, 0, 8 ],
+              [ Opcodes.local_get, 3 ],
+              [ Opcodes.i32_load8_u, 0, 17 ],
+              [ Opcodes.call, builtin('__Porffor_gc_markValue') ],
+            [ Opcodes.end ],
+
+            [ Opcodes.local_get, 3 ],
+            number(18, Valtype.i32),
+            [ Opcodes.i32_add ],
+            [ Opcodes.local_set, 3 ],
+            [ Opcodes.local_get, 4 ],
+            number(1, Valtype.i32),
+            [ Opcodes.i32_sub ],
+            [ Opcodes.local_set, 4 ],
+            [ Opcodes.br, 0 ],
+          [ Opcodes.end ],
+          [ Opcodes.end ],
+          [ Opcodes.return ],
+        [ Opcodes.end ],
+
+        [ Opcodes.local_get, 1 ],
+        number(gcKind.array, Valtype.i32),
+        [ Opcodes.i32_eq ],
+        [ Opcodes.if, Blocktype.void ],
+          [ Opcodes.local_get, 0 ],
+          [ Opcodes.i32_load, 0, 8 ],
+          [ Opcodes.local_set, 4 ],
+          [ Opcodes.local_get, 0 ],
+          number(12, Valtype.i32),
+          [ Opcodes.i32_add ],
+          [ Opcodes.local_set, 3 ],
+
+          ...elements,
+          [ Opcodes.return ],
+        [ Opcodes.end ],
+
+        // maps are a pointer to a keys array and a values array
+        [ Opcodes.local_get, 1 ],
+        number(gcKind.map, Valtype.i32),
+        [ Opcodes.i32_eq ],
+        [ Opcodes.if, Blocktype.void ],
+          [ Opcodes.local_get, 0 ],
+          [ Opcodes.i32_load, 0, 8 ],
+          number(gcKind.array, Valtype.i32),
+          [ Opcodes.call, builtin('__Porffor_gc_mark') ],
+
+          // only the keys array has its length updated, so scan values here using it
+          [ Opcodes.local_get, 0 ],
+          [ Opcodes.i32_load, 0, 12 ],
+          [ Opcodes.local_tee, 3 ],
+          number(gcKind.leaf, Valtype.i32),
+          [ Opcodes.call, builtin('__Porffor_gc_mark') ],
+
+          [ Opcodes.local_get, 3 ],
+          [ Opcodes.call, builtin('__Porffor_gc_find') ],
+          [ Opcodes.local_tee, 5 ],
+          [ Opcodes.i32_eqz ],
+          [ Opcodes.if, Blocktype.void ],
+            [ Opcodes.return ],
+          [ Opcodes.end ],
+
+          [ Opcodes.local_get, 5 ],
+          [ Opcodes.local_get, 5 ],
+          [ Opcodes.i32_load, 0, 0 ],
+          number(-8, Valtype.i32),
+          [ Opcodes.i32_and ],
+          [ Opcodes.i32_add ],
+          [ Opcodes.local_set, 2 ],
+
+          [ Opcodes.local_get, 0 ],
+          [ Opcodes.i32_load, 0, 8 ],
+          [ Opcodes.i32_load, 0, 0 ],
+          [ Opcodes.local_set, 4 ],
+          [ Opcodes.local_get, 3 ],
+          number(4, Valtype.i32),
+          [ Opcodes.i32_add ],
+          [ Opcodes.local_set, 3 ],
+
+          ...elements,
+          [ Opcodes.return ],
+        [ Opcodes.end ],
+
+        [ Opcodes.local_get, 1 ],
+        number(gcKind.weakref, Valtype.i32),
+        [ Opcodes.i32_ge_s ],
+        [ Opcodes.if, Blocktype.void ],
+          // push to weak list
+          [ Opcodes.local_get, 0 ],
+          ...glbl(Opcodes.global_get, 'gcWeakList', Valtype.i32),
+          [ Opcodes.local_get, 1 ],
+          [ Opcodes.i32_or ],
+          [ Opcodes.i32_store, 0, 4 ],
+          [ Opcodes.local_get, 0 ],
+          ...glbl(Opcodes.global_set, 'gcWeakList', Valtype.i32),
+
+          // weak maps and sets keep their keys and values arrays, entries are traced by ephemerons
+          [ Opcodes.local_get, 1 ],
+          number(gcKind.weak, Valtype.i32),
+          [ Opcodes.i32_eq ],
+          [ Opcodes.if, Blocktype.void ],
+            [ Opcodes.local_get, 0 ],
+            [ Opcodes.i32_load, 0, 8 ],
+            number(gcKind.leaf, Valtype.i32),
+            [ Opcodes.call, builtin('__Porffor_gc_mark') ],
+            [ Opcodes.local_get, 0 ],
+            [ Opcodes.i32_load, 0, 12 ],
+            number(gcKind.leaf, Valtype.i32),
+            [ Opcodes.call, builtin('__Porffor_gc_mark') ],
+          [ Opcodes.end ],
+
+          // registries are their callback, pending (u8) then cells array of target, held value, unregister token
+          // only callbacks and held values are traced
+          [ Opcodes.local_get, 1 ],
+          number(gcKind.registry, Valtype.i32),
+          [ Opcodes.i32_eq ],
+          [ Opcodes.if, Blocktype.void ],
+            [ Opcodes.local_get, 0 ],
+            [ Opcodes.f64_load, 0, 8 ],
+            [ Opcodes.local_get, 0 ],
+            [ Opcodes.i32_load8_u, 0, 16 ],
+            [ Opcodes.call, builtin('__Porffor_gc_markValue') ],
+
+            [ Opcodes.local_get, 0 ],
+            [ Opcodes.i32_load, 0, 20 ],
+            [ Opcodes.local_tee, 3 ],
+            number(gcKind.leaf, Valtype.i32),
+            [ Opcodes.call, builtin('__Porffor_gc_mark') ],
+
+            [ Opcodes.local_get, 3 ],
+            [ Opcodes.i32_load, 0, 0 ],
+            [ Opcodes.local_set, 2 ],
+            ...gcLoop(4, 2, 3, [
+              ...gcElement(3, 4),
+              [ Opcodes.local_tee, 5 ],
+              [ Opcodes.f64_load, 0, 9 ],
+              [ Opcodes.local_get, 5 ],
+              [ Opcodes.i32_load8_u, 0, 17 ],
+              [ Opcodes.call, builtin('__Porffor_gc_markValue') ]
+            ]),
+          [ Opcodes.end ],
+          [ Opcodes.return ],
+        [ Opcodes.end ],
+
+        [ Opcodes.local_get, 1 ],
+        number(gcKind.conservative, Valtype.i32),
+        [ Opcodes.i32_eq ],
+        [ Opcodes.if, Blocktype.void ],
+          [ Opcodes.local_get, 0 ],
+          number(8, Valtype.i32),
+          [ Opcodes.i32_add ],
+          [ Opcodes.local_get, 2 ],
+          number(1, Valtype.i32),
+          [ Opcodes.call, builtin('__Porffor_gc_scanRange') ],
+        [ Opcodes.end ]
+      ];
+    }
+  };
+
+  // if a value is live after tracing, values which are not pointers into the heap always are
+  _.__Porffor_gc_isLive = {
+    params: [ Valtype.f64, Valtype.i32 ],
+    locals: [ Valtype.i32 ],
+    localNames: [ 'value', 'type', 'block' ],
+    returns: [ Valtype.i32 ],
+    returnType: TYPES.boolean,
+    wasm: (scope, { glbl, builtin }) => [
+      [ Opcodes.local_get, 0 ],
+      ...glbl(Opcodes.global_get, 'gcHeapStart', Valtype.i32),
+      [ Opcodes.f64_convert_i32_u ],
+      [ Opcodes.f64_lt ],
+      [ Opcodes.local_get, 0 ],
+      ...glbl(Opcodes.global_get, 'gcHeapTop', Valtype.i32),
+      [ Opcodes.f64_convert_i32_u ],
+      [ Opcodes.f64_ge ],
+      [ Opcodes.i32_or ],
+      [ Opcodes.if, Blocktype.void ],
+        number(1, Valtype.i32),
+        [ Opcodes.return ],
+      [ Opcodes.end ],
+
+      ...[ TYPES.undefined, TYPES.number, TYPES.boolean, TYPES.function ].flatMap(x => [
+        [ Opcodes.local_get, 1 ],
+        number(x, Valtype.i32),
+        [ Opcodes.i32_eq ],
+        [ Opcodes.if, Blocktype.void ],
+          number(1, Valtype.i32),
+          [ Opcodes.return ],
+        [ Opcodes.end ]
+      ]),
+
+      [ Opcodes.local_get, 0 ],
+      Opcodes.i32_trunc_sat_f64_u,
+      [ Opcodes.call, builtin('__Porffor_gc_find') ],
+      [ Opcodes.local_tee, 2 ],
+      [ Opcodes.i32_eqz ],
+      [ Opcodes.if, Blocktype.void ],
+        number(1, Valtype.i32),
+        [ Opcodes.return ],
+      [ Opcodes.end ],
+
+      [ Opcodes.local_get, 2 ],
+      [ Opcodes.i32_load, 0, 0 ],
+      number(0b01, Valtype.i32),
+      [ Opcodes.i32_and ]
+    ]
+  };
+
+  // mark values of weak map and set entries with live keys, called until nothing new is marked
+  _.__Porffor_gc_ephemerons = {
+    params: [],
+    locals: [ Valtype.i32, Valtype.i32, Valtype.i32, Valtype.i32, Valtype.i32, Valtype.i32 ],
+    localNames: [ 'block', 'kind', 'keys', 'vals', 'i', 'len' ],
+    returns: [],
+    returnType: TYPES.undefined,
+    wasm: (scope, { glbl, builtin }) => gcWalkWeak(glbl, [
+      [ Opcodes.local_get, 1 ],
+      number(gcKind.weak, Valtype.i32),
+      [ Opcodes.i32_eq ],
+      [ Opcodes.if, Blocktype.void ],
+        [ Opcodes.local_get, 0 ],
+        [ Opcodes.i32_load, 0, 8 ],
+        [ Opcodes.local_tee, 2 ],
+        [ Opcodes.i32_load, 0, 0 ],
+        [ Opcodes.local_set, 5 ],
+        [ Opcodes.local_get, 0 ],
+        [ Opcodes.i32_load, 0, 12 ],
+        [ Opcodes.local_set, 3 ],
+
+        ...gcLoop(4, 5, 1, [
+          ...gcElement(2, 4),
+          [ Opcodes.f64_load, 0, 0 ],
+          ...gcElement(2, 4),
+          [ Opcodes.i32_load8_u, 0, 8 ],
+          [ Opcodes.call, builtin('__Porffor_gc_isLive') ],
+          [ Opcodes.if, Blocktype.void ],
+            ...gcElement(3, 4),
+            [ Opcodes.f64_load, 0, 0 ],
+            ...gcElement(3, 4),
+            [ Opcodes.i32_load8_u, 0, 8 ],
+            [ Opcodes.call, builtin('__Porffor_gc_markValue') ],
+          [ Opcodes.end ]
+        ]),
+      [ Opcodes.end ]
+    ])
+  };
+
+  // clear weak references to blocks which were not marked, before sweeping
+  _.__Porffor_gc_clearWeak = {
+    params: [],
+    locals: [ Valtype.i32, Valtype.i32, Valtype.i32, Valtype.i32, Valtype.i32, Valtype.i32, Valtype.i32, Valtype.i32 ],
+    localNames: [ 'block', 'kind', 'keys', 'vals', 'i', 'len', 'j', 'ptr' ],
+    returns: [],
+    returnType: TYPES.undefined,
+    wasm: (scope, { glbl, builtin }) => {
+      // set value at ptr (local) to undefined if not live, running extra if so
+      const clear = (ptr, extra = []) => [
+        [ Opcodes.local_get, ptr ],
+        [ Opcodes.f64_load, 0, 0 ],
+        [ Opcodes.local_get, ptr ],
+        [ Opcodes.i32_load8_u, 0, 8 ],
+        [ Opcodes.call, builtin('__Porffor_gc_isLive') ],
+        [ Opcodes.i32_eqz ],
+        [ Opcodes.if, Blocktype.void ],
+          [ Opcodes.local_get, ptr ],
+          number(0, Valtype.f64),
+          [ Opcodes.f64_store, 0, 0 ],
+          [ Opcodes.local_get, ptr ],
+          number(TYPES.undefined, Valtype.i32),
+          [ Opcodes.i32_store8, 0, 8 ],
+          ...extra,
+        [ Opcodes.end ]
+      ];
+
+      return gcWalkWeak(glbl, [
+        [ Opcodes.local_get, 1 ],
+        number(gcKind.weakref, Valtype.i32),
+        [ Opcodes.i32_eq ],
+        [ Opcodes.if, Blocktype.void ],
+          [ Opcodes.local_get, 0 ],
+          number(8, Valtype.i32),
+          [ Opcodes.i32_add ],
+          [ Opcodes.local_set, 7 ],
+          ...clear(7),
+        [ Opcodes.end ],
+
+        // remove entries with dead keys, moving the rest down
+        [ Opcodes.local_get, 1 ],
+        number(gcKind.weak, Valtype.i32),
+        [ Opcodes.i32_eq ],
+        [ Opcodes.if, Blocktype.void ],
+          [ Opcodes.local_get, 0 ],
+          [ Opcodes.i32_load, 0, 8 ],
+          [ Opcodes.local_tee, 2 ],
+          [ Opcodes.i32_load, 0, 0 ],
+          [ Opcodes.local_set, 5 ],
+          [ Opcodes.local_get, 0 ],
+          [ Opcodes.i32_load, 0, 12 ],
+          [ Opcodes.local_set, 3 ],
+          number(0, Valtype.i32),
+          [ Opcodes.local_set, 6 ],
+
+          ...gcLoop(4, 5, 1, [
+            ...gcElement(2, 4),
+            [ Opcodes.f64_load, 0, 0 ],
+            ...gcElement(2, 4),
+            [ Opcodes.i32_load8_u, 0, 8 ],
+            [ Opcodes.call, builtin('__Porffor_gc_isLive') ],
+            [ Opcodes.if, Blocktype.void ],
+              ...gcElement(2, 6),
+              ...gcElement(2, 4),
+              number(9, Valtype.i32),
+              [ ...Opcodes.memory_copy, 0x00, 0x00 ],
+
+              ...gcElement(3, 6),
+              ...gcElement(3, 4),
+              number(9, Valtype.i32),
+              [ ...Opcodes.memory_copy, 0x00, 0x00 ],
+
+              [ Opcodes.local_get, 6 ],
+              number(1, Valtype.i32),
+              [ Opcodes.i32_add ],
+              [ Opcodes.local_set, 6 ],
+            [ Opcodes.end ]
+          ]),
+
+          [ Opcodes.local_get, 2 ],
+          [ Opcodes.local_get, 6 ],
+          [ Opcodes.i32_store, 0, 0 ],
+        [ Opcodes.end ],
+
+        // clear dead targets (marking the registry as pending cleanup) and unregister tokens
+        [ Opcodes.local_get, 1 ],
+        number(gcKind.registry, Valtype.i32),
+        [ Opcodes.i32_eq ],
+        [ Opcodes.if, Blocktype.void ],
+          [ Opcodes.local_get, 0 ],
+          [ Opcodes.i32_load, 0, 20 ],
+          [ Opcodes.local_tee, 2 ],
+          [ Opcodes.i32_load, 0, 0 ],
+          [ Opcodes.local_set, 5 ],
+
+          ...gcLoop(4, 5, 3, [
+            ...gcElement(2, 4),
+            [ Opcodes.local_tee, 7 ],
+            [ Opcodes.i32_load8_u, 0, 8 ],
+            number(TYPES.undefined, Valtype.i32),
+            [ Opcodes.i32_ne ],
+            [ Opcodes.if, Blocktype.void ],
+              ...clear(7, [
+                [ Opcodes.local_get, 0 ],
+                number(1, Valtype.i32),
+                [ Opcodes.i32_store8, 0, 17 ]
+              ]),
+            [ Opcodes.end ],
+
+            [ Opcodes.local_get, 7 ],
+            number(18, Valtype.i32),
+            [ Opcodes.i32_add ],
+            [ Opcodes.local_set, 7 ],
+            ...clear(7)
+          ]),
+        [ Opcodes.end ]
+      ]);
+    }
+  };
+
+  // empty the weak list after sweeping, scheduling cleanup of registries with cleared targets
+  _.__Porffor_gc_finalize = {
+    params: [],
+    locals: [ Valtype.i32, Valtype.i32, Valtype.i32 ],
+    localNames: [ 'block', 'kind', 'next' ],
+    returns: [],
+    returnType: TYPES.undefined,
+    wasm: (scope, { glbl, builtin }) => [
+      ...glbl(Opcodes.global_get, 'gcWeakList', Valtype.i32),
+      [ Opcodes.local_set, 0 ],
+      number(0, Valtype.i32),
+      ...glbl(Opcodes.global_set, 'gcWeakList', Valtype.i32),
+
+      [ Opcodes.block, Blocktype.void ],
+      [ Opcodes.loop, Blocktype.void ],
+        [ Opcodes.local_get, 0 ],
+        [ Opcodes.i32_eqz ],
+        [ Opcodes.br_if, 1 ],
+
+        [ Opcodes.local_get, 0 ],
+        [ Opcodes.i32_load, 0, 4 ],
+        [ Opcodes.local_tee, 2 ],
+        number(0b111, Valtype.i32),
+        [ Opcodes.i32_and ],
+        [ Opcodes.local_set, 1 ],
+        [ Opcodes.local_get, 2 ],
+        number(-8, Valtype.i32),
+        [ Opcodes.i32_and ],
+        [ Opcodes.local_set, 2 ],
+
+        [ Opcodes.local_get, 0 ],
+        number(0, Valtype.i32),
+        [ Opcodes.i32_store, 0, 4 ],
+
+        [ Opcodes.local_get, 1 ],
+        number(gcKind.registry, Valtype.i32),
+        [ Opcodes.i32_eq ],
+        [ Opcodes.if, Blocktype.void ],
+          [ Opcodes.local_get, 0 ],
+          [ Opcodes.i32_load8_u, 0, 17 ],
+          [ Opcodes.if, Blocktype.void ],
+            [ Opcodes.local_get, 0 ],
+            number(8, Valtype.i32),
+            [ Opcodes.i32_add ],
+            [ Opcodes.f64_convert_i32_u ],
+            number(TYPES.finalizationregistry, Valtype.i32),
+            [ Opcodes.call, builtin('__Porffor_finalizationRegistry_cleanup') ],
+          [ Opcodes.end ],
+        [ Opcodes.end ],
+
+        [ Opcodes.local_get, 2 ],
+        [ Opcodes.local_set, 0 ],
+        [ Opcodes.br, 0 ],
+      [ Opcodes.end ],
+      [ Opcodes.end ]
+    ]
+  };
+
+  // marks typed globals, or untyped (conservative) ones and static data which may hold pointers
+  // filled in by codegen once all globals and pages are known
+  _.__Porffor_gc_roots = {
+    params: [ Valtype.i32 ],
+    locals: [],
+    localNames: [ 'conservative' ],
+    returns: [],
+    returnType: TYPES.undefined,
+    wasm: () => []
+  };
+
+  // collect garbage, called when allocating
+  // roots are globals, static data and the shadow stack of frames (see gc frames in codegen)
+  // shadow stack entries (12): value (f64, 8), type + 1 (i32, 4), 0 for untyped (conservative)
+  // typed roots are marked first so what they reach is scanned by layout, not conservatively
+  _.__Porffor_gc_collect = {
+    params: [],
+    locals: [ Valtype.i32, Valtype.i32, Valtype.i32, Valtype.i32, Valtype.i32 ],
+    localNames: [ 'block', 'header', 'n', 'i', 'run' ],
+    returns: [],
+    returnType: TYPES.undefined,
+    wasm: (scope, { glbl, builtin, allocPage }) => {
+      const walkHeap = body => [
+        ...glbl(Opcodes.global_get, 'gcHeapStart', Valtype.i32),
+        [ Opcodes.local_set, 0 ],
+        [ Opcodes.block, Blocktype.void ],
+        [ Opcodes.loop, Blocktype.void ],
+          [ Opcodes.local_get, 0 ],
+          ...glbl(Opcodes.global_get, 'gcHeapTop', Valtype.i32),
+          [ Opcodes.i32_ge_s ],
+          [ Opcodes.br_if, 1 ],
+
+          // stop if the heap is corrupted (0 size) instead of looping forever
+          [ Opcodes.local_get, 0 ],
+          [ Opcodes.i32_load, 0, 0 ],
+          [ Opcodes.local_tee, 1 ],
+          number(-8, Valtype.i32),
+          [ Opcodes.i32_and ],
+          [ Opcodes.i32_eqz ],
+          [ Opcodes.br_if, 1 ],
+
+          ...body,
+
+          [ Opcodes.local_get, 0 ],
+          [ Opcodes.local_get, 1 ],
+          number(-8, Valtype.i32),
+          [ Opcodes.i32_and ],
+          [ Opcodes.i32_add ],
+          [ Opcodes.local_set, 0 ],
+          [ Opcodes.br, 0 ],
+        [ Opcodes.end ],
+        [ Opcodes.end ]
+      ];
+
+      // trace until the mark stack is empty
+      const trace = [
+        [ Opcodes.block, Blocktype.void ],
+        [ Opcodes.loop, Blocktype.void ],
+          ...glbl(Opcodes.global_get, 'gcMarkStack', Valtype.i32),
+          [ Opcodes.local_tee, 0 ],
+          [ Opcodes.i32_eqz ],
+          [ Opcodes.br_if, 1 ],
+
+          [ Opcodes.local_get, 0 ],
+          [ Opcodes.i32_load, 0, 4 ],
+          [ Opcodes.local_tee, 1 ],
+          number(-8, Valtype.i32),
+          [ Opcodes.i32_and ],
+          ...glbl(Opcodes.global_set, 'gcMarkStack', Valtype.i32),
+          [ Opcodes.local_get, 0 ],
+          number(0, Valtype.i32),
+          [ Opcodes.i32_store, 0, 4 ],
+
+          [ Opcodes.local_get, 0 ],
+          [ Opcodes.local_get, 1 ],
+          number(0b111, Valtype.i32),
+          [ Opcodes.i32_and ],
+          [ Opcodes.call, builtin('__Porffor_gc_scan') ],
+          [ Opcodes.br, 0 ],
+        [ Opcodes.end ],
+        [ Opcodes.end ]
+      ];
+
+      // mark typed or untyped shadow stack entries
+      const shadow = typed => [
+        ...glbl(Opcodes.global_get, 'gcShadowBase', Valtype.i32),
+        [ Opcodes.local_set, 3 ],
+        [ Opcodes.block, Blocktype.void ],
+        [ Opcodes.loop, Blocktype.void ],
+          [ Opcodes.local_get, 3 ],
+          ...glbl(Opcodes.global_get, 'gcShadowTop', Valtype.i32),
+          [ Opcodes.i32_ge_u ],
+          [ Opcodes.br_if, 1 ],
+
+          [ Opcodes.local_get, 3 ],
+          [ Opcodes.i32_load, 0, 8 ],
+          [ Opcodes.local_tee, 1 ],
+          ...(typed ? [] : [ [ Opcodes.i32_eqz ] ]),
+          [ Opcodes.if, Blocktype.void ],
+            [ Opcodes.local_get, 3 ],
+            [ Opcodes.f64_load, 0, 0 ],
+            [ Opcodes.local_get, 1 ],
+            number(1, Valtype.i32),
+            [ Opcodes.i32_sub ],
+            [ Opcodes.call, builtin('__Porffor_gc_markValue') ],
+          [ Opcodes.end ],
+
+          [ Opcodes.local_get, 3 ],
+          number(12, Valtype.i32),
+          [ Opcodes.i32_add ],
+          [ Opcodes.local_set, 3 ],
+          [ Opcodes.br, 0 ],
+        [ Opcodes.end ],
+        [ Opcodes.end ]
+      ];
+
+      return [
+        ...glbl(Opcodes.global_get, 'gcHeapTop', Valtype.i32),
+        [ Opcodes.i32_eqz ],
+        ...glbl(Opcodes.global_get, 'gcCollecting', Valtype.i32),
+        [ Opcodes.i32_or ],
+        [ Opcodes.if, Blocktype.void ],
+          [ Opcodes.return ],
+        [ Opcodes.end ],
+
+        // index allocated blocks (sorted) after the top of the heap to resolve pointers
+        ...glbl(Opcodes.global_get, 'gcHeapTop', Valtype.i32),
+        ...glbl(Opcodes.global_set, 'gcIndex', Valtype.i32),
+        number(0, Valtype.i32),
+        [ Opcodes.local_set, 2 ],
+        ...walkHeap([
+          [ Opcodes.local_get, 1 ],
+          number(0b10, Valtype.i32),
+          [ Opcodes.i32_and ],
+          [ Opcodes.i32_eqz ],
+          [ Opcodes.if, Blocktype.void ],
+            ...glbl(Opcodes.global_get, 'gcIndex', Valtype.i32),
+            [ Opcodes.local_get, 2 ],
+            number(4, Valtype.i32),
+            [ Opcodes.i32_mul ],
+            [ Opcodes.i32_add ],
+            number(4, Valtype.i32),
+            [ Opcodes.i32_add ],
+            ...glbl(Opcodes.global_get, 'gcHeapEnd', Valtype.i32),
+            [ Opcodes.i32_gt_u ],
+            [ Opcodes.if, Blocktype.void ],
+              number(Prefs.allocatorChunks ?? 16, Valtype.i32),
+              [ Opcodes.memory_grow, 0 ],
+              number(-1, Valtype.i32),
+              [ Opcodes.i32_eq ],
+              [ Opcodes.if, Blocktype.void ],
+                // no memory for the index, so no collecting
+                ...glbl(Opcodes.global_get, 'gcIndex', Valtype.i32),
+                number(0, Valtype.i32),
+                [ Opcodes.local_get, 2 ],
+                number(4, Valtype.i32),
+                [ Opcodes.i32_mul ],
+                [ ...Opcodes.memory_fill, 0x00 ],
+                [ Opcodes.return ],
+              [ Opcodes.end ],
+
+              [ Opcodes.memory_size, 0 ],
+              number(PageSize, Valtype.i32),
+              [ Opcodes.i32_mul ],
+              ...glbl(Opcodes.global_set, 'gcHeapEnd', Valtype.i32),
+            [ Opcodes.end ],
+
+            ...glbl(Opcodes.global_get, 'gcIndex', Valtype.i32),
+            [ Opcodes.local_get, 2 ],
+            number(4, Valtype.i32),
+            [ Opcodes.i32_mul ],
+            [ Opcodes.i32_add ],
+            [ Opcodes.local_get, 0 ],
+            [ Opcodes.i32_store, 0, 0 ],
+
+            [ Opcodes.local_get, 2 ],
+            number(1, Valtype.i32),
+            [ Opcodes.i32_add ],
+            [ Opcodes.local_set, 2 ],
+          [ Opcodes.end ]
+        ]),
+        [ Opcodes.local_get, 2 ],
+        ...glbl(Opcodes.global_set, 'gcIndexLength', Valtype.i32),
+
+        number(1, Valtype.i32),
+        ...glbl(Opcodes.global_set, 'gcCollecting', Valtype.i32),
+
+        // mark typed roots: globals and the shadow stack
+        number(0, Valtype.i32),
+        [ Opcodes.call, builtin('__Porffor_gc_roots') ],
+        ...shadow(true),
+        ...trace,
+
+        // then untyped roots: globals, static data and the shadow stack
+        number(1, Valtype.i32),
+        [ Opcodes.call, builtin('__Porffor_gc_roots') ],
+        ...shadow(false),
+        ...trace,
+
+        // trace values of weak entries with live keys until nothing new is marked
+        [ Opcodes.block, Blocktype.void ],
+        [ Opcodes.loop, Blocktype.void ],
+          [ Opcodes.call, builtin('__Porffor_gc_ephemerons') ],
+          ...glbl(Opcodes.global_get, 'gcMarkStack', Valtype.i32),
+          [ Opcodes.i32_eqz ],
+          [ Opcodes.br_if, 1 ],
+
+          ...trace,
+          [ Opcodes.br, 0 ],
+        [ Opcodes.end ],
+        [ Opcodes.end ],
+
+        [ Opcodes.call, builtin('__Porffor_gc_clearWeak') ],
+
+        // sweep: unmark live blocks, free runs of the rest into the free lists
+        number(allocPage(scope, '#gc free lists'), Valtype.i32),
+        number(0, Valtype.i32),
+        number(32 * 4, Valtype.i32),
+        [ ...Opcodes.memory_fill, 0x00 ],
+
+        number(0, Valtype.i32),
+        [ Opcodes.local_set, 4 ],
+        ...walkHeap([
+          [ Opcodes.local_get, 1 ],
+          number(0b01, Valtype.i32),
+          [ Opcodes.i32_and ],
+          [ Opcodes.if, Blocktype.void ],
+            [ Opcodes.local_get, 0 ],
+            [ Opcodes.local_get, 1 ],
+            number(-8, Valtype.i32),
+            [ Opcodes.i32_and ],
+            [ Opcodes.i32_store, 0, 0 ],
+
+            [ Opcodes.local_get, 4 ],
+            [ Opcodes.if, Blocktype.void ],
+              [ Opcodes.local_get, 0 ],
+              [ Opcodes.local_get, 4 ],
+              [ Opcodes.i32_sub ],
+              [ Opcodes.local_set, 2 ],
+              ...gcFree(allocPage, scope, 4, 2),
+
+              number(0, Valtype.i32),
+              [ Opcodes.local_set, 4 ],
+            [ Opcodes.end ],
+          [ Opcodes.else ],
+            [ Opcodes.local_get, 4 ],
+            [ Opcodes.i32_eqz ],
+            [ Opcodes.if, Blocktype.void ],
+              [ Opcodes.local_get, 0 ],
+              [ Opcodes.local_set, 4 ],
+            [ Opcodes.end ],
+          [ Opcodes.end ]
+        ]),
+
+        [ Opcodes.local_get, 4 ],
+        [ Opcodes.if, Blocktype.void ],
+          ...glbl(Opcodes.global_get, 'gcHeapTop', Valtype.i32),
+          [ Opcodes.local_get, 4 ],
+          [ Opcodes.i32_sub ],
+          [ Opcodes.local_set, 2 ],
+          ...gcFree(allocPage, scope, 4, 2),
+        [ Opcodes.end ],
+
+        // clear index as memory after the heap top is expected to be zeroed
+        ...glbl(Opcodes.global_get, 'gcIndex', Valtype.i32),
+        number(0, Valtype.i32),
+        ...glbl(Opcodes.global_get, 'gcIndexLength', Valtype.i32),
+        number(4, Valtype.i32),
+        [ Opcodes.i32_mul ],
+        [ ...Opcodes.memory_fill, 0x00 ],
+
+        number(0, Valtype.i32),
+        ...glbl(Opcodes.global_set, 'gcAllocated', Valtype.i32),
+
+        // after the heap is usable again as this may allocate
+        [ Opcodes.call, builtin('__Porffor_gc_finalize') ],
+        number(0, Valtype.i32),
+        ...glbl(Opcodes.global_set, 'gcCollecting', Valtype.i32)
+      ];
+    }
+  };
+
+  if (Prefs.gc) _.__Porffor_malloc = _.__Porffor_gc_malloc;
+
   _.__Porffor_bytestringToString = {
     params: [ Valtype.i32 ],
     locals: [ Valtype.i32, Valtype.i32, Valtype.i32 ],
@@ -444,6 +444,24 @@ return`;
 export const __Porffor_object_get = (_obj: any, key: any): any => {
   let obj: any = _obj;
   const trueType: i32 = Porffor.wasm`local.get ${obj+1}`;
+  if (Porffor.comptime.flag`hasType.proxy`) {
+    if (trueType == Porffor.TYPES.proxy) {
+      // proxy get trap
+      Porffor.wasm`
+local.get ${_obj}
+f64.convert_i32_u
+local.get ${_obj+1}
+local.get ${key}
+f64.convert_i32_u
+local.get ${key+1}
+local.get ${_obj}
+f64.convert_i32_u
+local.get ${_obj+1}
+call __Porffor_proxy_get
+return`;
+    }
+  }
+
   if (trueType != Porffor.TYPES.object) obj = __Porffor_object_underlying(obj);
 
   if (Porffor.wasm`local.get ${obj}` == 0) throw new TypeError('Cannot get property of null');
@@ -525,6 +543,24 @@ return`;
 export const __Porffor_object_get_withHash = (_obj: any, key: any, hash: i32): any => {
   let obj: any = _obj;
   const trueType: i32 = Porffor.wasm`local.get ${obj+1}`;
+  if (Porffor.comptime.flag`hasType.proxy`) {
+    if (trueType == Porffor.TYPES.proxy) {
+      // proxy get trap
+      Porffor.wasm`
+local.get ${_obj}
+f64.convert_i32_u
+local.get ${_obj+1}
+local.get ${key}
+f64.convert_i32_u
+local.get ${key+1}
+local.get ${_obj}
+f64.convert_i32_u
+local.get ${_obj+1}
+call __Porffor_proxy_get
+return`;
+    }
+  }
+
   if (trueType != Porffor.TYPES.object) obj = __Porffor_object_underlying(obj);
 
   if (Porffor.wasm`local.get ${obj}` == 0) throw new TypeError('Cannot get property of null');
@@ -594,6 +630,27 @@ return`;
 
 export const __Porffor_object_set = (_obj: any, key: any, value: any): any => {
   let obj: any = _obj;
+  if (Porffor.comptime.flag`hasType.proxy`) {
+    if (Porffor.wasm`local.get ${obj+1}` == Porffor.TYPES.proxy) {
+      // proxy set trap
+      Porffor.wasm`
+local.get ${_obj}
+f64.convert_i32_u
+local.get ${_obj+1}
+local.get ${key}
+f64.convert_i32_u
+local.get ${key+1}
+local.get ${value}
+local.get ${value+1}
+local.get ${_obj}
+f64.convert_i32_u
+local.get ${_obj+1}
+call __Porffor_proxy_set
+drop`;
+      return value;
+    }
+  }
+
   if (Porffor.wasm`local.get ${obj+1}` != Porffor.TYPES.object) {
     obj = __Porffor_object_underlying(obj);
     if (Porffor.wasm`local.get ${obj+1}` != Porffor.TYPES.object) return value;
@@ -693,6 +750,27 @@ export const __Porffor_object_set = (_obj: any, key: any, value: any): any => {
 
 export const __Porffor_object_set_withHash = (_obj: any, key: any, value: any, hash: i32): any => {
   let obj: any = _obj;
+  if (Porffor.comptime.flag`hasType.proxy`) {
+    if (Porffor.wasm`local.get ${obj+1}` == Porffor.TYPES.proxy) {
+      // proxy set trap
+      Porffor.wasm`
+local.get ${_obj}
+f64.convert_i32_u
+local.get ${_obj+1}
+local.get ${key}
+f64.convert_i32_u
+local.get ${key+1}
+local.get ${value}
+local.get ${value+1}
+local.get ${_obj}
+f64.convert_i32_u
+local.get ${_obj+1}
+call __Porffor_proxy_set
+drop`;
+      return value;
+    }
+  }
+
   if (Porffor.wasm`local.get ${obj+1}` != Porffor.TYPES.object) {
     obj = __Porffor_object_underlying(obj);
     if (Porffor.wasm`local.get ${obj+1}` != Porffor.TYPES.object) return value;
@@ -787,6 +865,27 @@ export const __Porffor_object_setStrict = (_obj: any, key: any, value: any): any
   let obj: any = _obj;
   if (Porffor.wasm`local.get ${obj}` == 0) throw new TypeError('Cannot set property of null');
 
+  if (Porffor.comptime.flag`hasType.proxy`) {
+    if (Porffor.wasm`local.get ${obj+1}` == Porffor.TYPES.proxy) {
+      // proxy set trap
+      Porffor.wasm`
+local.get ${_obj}
+f64.convert_i32_u
+local.get ${_obj+1}
+local.get ${key}
+f64.convert_i32_u
+local.get ${key+1}
+local.get ${value}
+local.get ${value+1}
+local.get ${_obj}
+f64.convert_i32_u
+local.get ${_obj+1}
+call __Porffor_proxy_setStrict
+drop`;
+      return value;
+    }
+  }
+
   if (Porffor.wasm`local.get ${obj+1}` != Porffor.TYPES.object) {
     obj = __Porffor_object_underlying(obj);
     if (Porffor.wasm`local.get ${obj+1}` != Porffor.TYPES.object) return value;
@@ -887,6 +986,27 @@ export const __Porffor_object_setStrict_withHash = (_obj: any, key: any, value:
   let obj: any = _obj;
   if (Porffor.wasm`local.get ${obj}` == 0) throw new TypeError('Cannot set property of null');
 
+  if (Porffor.comptime.flag`hasType.proxy`) {
+    if (Porffor.wasm`local.get ${obj+1}` == Porffor.TYPES.proxy) {
+      // proxy set trap
+      Porffor.wasm`
+local.get ${_obj}
+f64.convert_i32_u
+local.get ${_obj+1}
+local.get ${key}
+f64.convert_i32_u
+local.get ${key+1}
+local.get ${value}
+local.get ${value+1}
+local.get ${_obj}
+f64.convert_i32_u
+local.get ${_obj+1}
+call __Porffor_proxy_setStrict
+drop`;
+      return value;
+    }
+  }
+
   if (Porffor.wasm`local.get ${obj+1}` != Porffor.TYPES.object) {
     obj = __Porffor_object_underlying(obj);
     if (Porffor.wasm`local.get ${obj+1}` != Porffor.TYPES.object) return value;
@@ -1049,6 +1169,21 @@ local.set ${err}`;
 export const __Porffor_object_delete = (obj: any, key: any): boolean => {
   if (Porffor.wasm`local.get ${obj}` == 0) throw new TypeError('Cannot delete property of null');
 
+  if (Porffor.comptime.flag`hasType.proxy`) {
+    if (Porffor.wasm`local.get ${obj+1}` == Porffor.TYPES.proxy) {
+      // proxy deleteProperty trap
+      return Porffor.wasm`
+local.get ${obj}
+f64.convert_i32_u
+local.get ${obj+1}
+local.get ${key}
+f64.convert_i32_u
+local.get ${key+1}
+call __Porffor_proxy_deleteProperty
+i32.trunc_sat_f64_u`;
+    }
+  }
+
   if (Porffor.wasm`local.get ${obj+1}` != Porffor.TYPES.object) {
     obj = __Porffor_object_underlying(obj);
     if (Porffor.wasm`local.get ${obj+1}` != Porffor.TYPES.object) return true;
@@ -1099,6 +1234,22 @@ memory.copy 0 0`;
 export const __Porffor_object_deleteStrict = (obj: any, key: any): boolean => {
   if (Porffor.wasm`local.get ${obj}` == 0) throw new TypeError('Cannot delete property of null');
 
+  if (Porffor.comptime.flag`hasType.proxy`) {
+    if (Porffor.wasm`local.get ${obj+1}` == Porffor.TYPES.proxy) {
+      // proxy deleteProperty trap
+      Porffor.wasm`
+local.get ${obj}
+f64.convert_i32_u
+local.get ${obj+1}
+local.get ${key}
+f64.convert_i32_u
+local.get ${key+1}
+call __Porffor_proxy_deletePropertyStrict
+drop`;
+      return true;
+    }
+  }
+
   if (Porffor.wasm`local.get ${obj+1}` != Porffor.TYPES.object) {
     obj = __Porffor_object_underlying(obj);
     if (Porffor.wasm`local.get ${obj+1}` != Porffor.TYPES.object) return true;
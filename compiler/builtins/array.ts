@@ -40,15 +40,22 @@ export const __Array_from = (arg: any, mapFn: any): any[] => {
 
   let out: any[] = Porffor.malloc();
 
-  if (Porffor.fastOr(
+  // iterables (including objects with Symbol.iterator) use for..of, other objects are array-like
+  let iterable: boolean = Porffor.fastOr(
     Porffor.type(arg) == Porffor.TYPES.array,
     (Porffor.type(arg) | 0b10000000) == Porffor.TYPES.bytestring,
     Porffor.type(arg) == Porffor.TYPES.set,
+    Porffor.type(arg) == Porffor.TYPES.map,
+    Porffor.type(arg) == Porffor.TYPES.__porffor_generator,
+    Porffor.type(arg) == Porffor.TYPES.iteratorhelper,
     Porffor.fastAnd(Porffor.type(arg) >= Porffor.TYPES.uint8clampedarray, Porffor.type(arg) <= Porffor.TYPES.float64array)
-  )) {
+  );
+  if (Porffor.type(arg) == Porffor.TYPES.object) iterable = (arg as object)[Symbol.iterator] != null;
+
+  if (iterable) {
     let i: i32 = 0;
     if (Porffor.type(mapFn) != Porffor.TYPES.undefined) {
-      if (Porffor.type(mapFn) != Porffor.TYPES.function) throw new TypeError('Called Array.from with a non-function mapFn');
+      if (!ecma262.IsCallable(mapFn)) throw new TypeError('Called Array.from with a non-function mapFn');
 
       for (const x of arg) {
         out[i] = mapFn(x, i);
@@ -531,7 +538,7 @@ export const __Array_prototype_reverse = (_this: any[]) => {
 
 // @porf-typed-array
 export const __Array_prototype_forEach = (_this: any[], callbackFn: any, thisArg: any) => {
-  if (Porffor.type(callbackFn) != Porffor.TYPES.function) throw new TypeError('Callback must be a function');
+  if (!ecma262.IsCallable(callbackFn)) throw new TypeError('Callback must be a function');
   const len: i32 = _this.length;
   let i: i32 = 0;
   while (i < len) {
@@ -541,7 +548,7 @@ export const __Array_prototype_forEach = (_this: any[], callbackFn: any, thisArg
 
 // @porf-typed-array
 export const __Array_prototype_filter = (_this: any[], callbackFn: any, thisArg: any) => {
-  if (Porffor.type(callbackFn) != Porffor.TYPES.function) throw new TypeError('Callback must be a function');
+  if (!ecma262.IsCallable(callbackFn)) throw new TypeError('Callback must be a function');
   const out: any[] = Porffor.malloc();
 
   const len: i32 = _this.length;
@@ -558,7 +565,7 @@ export const __Array_prototype_filter = (_this: any[], callbackFn: any, thisArg:
 
 // @porf-typed-array
 export const __Array_prototype_map = (_this: any[], callbackFn: any, thisArg: any) => {
-  if (Porffor.type(callbackFn) != Porffor.TYPES.function) throw new TypeError('Callback must be a function');
+  if (!ecma262.IsCallable(callbackFn)) throw new TypeError('Callback must be a function');
   const len: i32 = _this.length;
   const out: any[] = Porffor.malloc();
   out.length = len;
@@ -572,7 +579,7 @@ export const __Array_prototype_map = (_this: any[], callbackFn: any, thisArg: an
 };
 
 export const __Array_prototype_flatMap = (_this: any[], callbackFn: any, thisArg: any) => {
-  if (Porffor.type(callbackFn) != Porffor.TYPES.function) throw new TypeError('Callback must be a function');
+  if (!ecma262.IsCallable(callbackFn)) throw new TypeError('Callback must be a function');
   const len: i32 = _this.length;
   const out: any[] = Porffor.malloc();
 
@@ -590,7 +597,7 @@ export const __Array_prototype_flatMap = (_this: any[], callbackFn: any, thisArg
 
 // @porf-typed-array
 export const __Array_prototype_find = (_this: any[], callbackFn: any, thisArg: any) => {
-  if (Porffor.type(callbackFn) != Porffor.TYPES.function) throw new TypeError('Callback must be a function');
+  if (!ecma262.IsCallable(callbackFn)) throw new TypeError('Callback must be a function');
   const len: i32 = _this.length;
   let i: i32 = 0;
   while (i < len) {
@@ -601,7 +608,7 @@ export const __Array_prototype_find = (_this: any[], callbackFn: any, thisArg: a
 
 // @porf-typed-array
 export const __Array_prototype_findLast = (_this: any[], callbackFn: any, thisArg: any) => {
-  if (Porffor.type(callbackFn) != Porffor.TYPES.function) throw new TypeError('Callback must be a function');
+  if (!ecma262.IsCallable(callbackFn)) throw new TypeError('Callback must be a function');
   let i: i32 = _this.length;
   while (i > 0) {
     const el: any = _this[--i];
@@ -611,7 +618,7 @@ export const __Array_prototype_findLast = (_this: any[], callbackFn: any, thisAr
 
 // @porf-typed-array
 export const __Array_prototype_findIndex = (_this: any[], callbackFn: any, thisArg: any) => {
-  if (Porffor.type(callbackFn) != Porffor.TYPES.function) throw new TypeError('Callback must be a function');
+  if (!ecma262.IsCallable(callbackFn)) throw new TypeError('Callback must be a function');
   const len: i32 = _this.length;
   let i: i32 = 0;
   while (i < len) {
@@ -623,7 +630,7 @@ export const __Array_prototype_findIndex = (_this: any[], callbackFn: any, thisA
 
 // @porf-typed-array
 export const __Array_prototype_findLastIndex = (_this: any[], callbackFn: any, thisArg: any) => {
-  if (Porffor.type(callbackFn) != Porffor.TYPES.function) throw new TypeError('Callback must be a function');
+  if (!ecma262.IsCallable(callbackFn)) throw new TypeError('Callback must be a function');
   let i: i32 = _this.length;
   while (i > 0) {
     if (!!callbackFn.call(thisArg, _this[--i], i, _this)) return i;
@@ -633,7 +640,7 @@ export const __Array_prototype_findLastIndex = (_this: any[], callbackFn: any, t
 
 // @porf-typed-array
 export const __Array_prototype_every = (_this: any[], callbackFn: any, thisArg: any) => {
-  if (Porffor.type(callbackFn) != Porffor.TYPES.function) throw new TypeError('Callback must be a function');
+  if (!ecma262.IsCallable(callbackFn)) throw new TypeError('Callback must be a function');
   const len: i32 = _this.length;
   let i: i32 = 0;
   while (i < len) {
@@ -646,7 +653,7 @@ export const __Array_prototype_every = (_this: any[], callbackFn: any, thisArg:
 
 // @porf-typed-array
 export const __Array_prototype_some = (_this: any[], callbackFn: any, thisArg: any) => {
-  if (Porffor.type(callbackFn) != Porffor.TYPES.function) throw new TypeError('Callback must be a function');
+  if (!ecma262.IsCallable(callbackFn)) throw new TypeError('Callback must be a function');
   const len: i32 = _this.length;
   let i: i32 = 0;
   while (i < len) {
@@ -658,7 +665,7 @@ export const __Array_prototype_some = (_this: any[], callbackFn: any, thisArg: a
 
 // @porf-typed-array
 export const __Array_prototype_reduce = (_this: any[], callbackFn: any, initialValue: any) => {
-  if (Porffor.type(callbackFn) != Porffor.TYPES.function) throw new TypeError('Callback must be a function');
+  if (!ecma262.IsCallable(callbackFn)) throw new TypeError('Callback must be a function');
   const len: i32 = _this.length;
   let acc: any = initialValue;
   let i: i32 = 0;
@@ -676,7 +683,7 @@ export const __Array_prototype_reduce = (_this: any[], callbackFn: any, initialV
 
 // @porf-typed-array
 export const __Array_prototype_reduceRight = (_this: any[], callbackFn: any, initialValue: any) => {
-  if (Porffor.type(callbackFn) != Porffor.TYPES.function) throw new TypeError('Callback must be a function');
+  if (!ecma262.IsCallable(callbackFn)) throw new TypeError('Callback must be a function');
   const len: i32 = _this.length;
   let acc: any = initialValue;
   let i: i32 = len;
@@ -694,15 +701,18 @@ export const __Array_prototype_reduceRight = (_this: any[], callbackFn: any, ini
 
 // string less than <
 export const __Porffor_strlt = (a: string|bytestring, b: string|bytestring) => {
-  const maxLength: i32 = Math.max(a.length, b.length);
-  for (let i: i32 = 0; i < maxLength; i++) {
+  const aLength: i32 = a.length;
+  const bLength: i32 = b.length;
+  const minLength: i32 = aLength < bLength ? aLength : bLength;
+  for (let i: i32 = 0; i < minLength; i++) {
     const ac: i32 = a.charCodeAt(i);
     const bc: i32 = b.charCodeAt(i);
 
-    if (ac < bc) return true;
+    if (ac != bc) return ac < bc;
   }
 
-  return false;
+  // a prefix is less
+  return aLength < bLength;
 };
 
 // @porf-typed-array
@@ -795,7 +805,19 @@ export const __Array_prototype_toString = (_this: any[]) => {
 };
 
 // @porf-typed-array
-export const __Array_prototype_toLocaleString = (_this: any[]) => __Array_prototype_toString(_this);
+export const __Array_prototype_toLocaleString = (_this: any[], locales: any, options: any) => {
+  let out: any = '';
+  const len: i32 = _this.length;
+  for (let i: i32 = 0; i < len; i++) {
+    if (i > 0) out += ',';
+
+    // nullish elements are empty
+    const element: any = _this[i];
+    if (element != null) out += element.toLocaleString(locales, options);
+  }
+
+  return out;
+};
 
 // @porf-typed-array
 export const __Array_prototype_join = (_this: any[], _separator: any) => {
@@ -830,6 +852,19 @@ export const __Array_prototype_valueOf = (_this: any[]) => {
   return _this;
 };
 
+// array iterators are iterator helpers wrapping the array (see iterator.ts)
+export const __Array_prototype_values = (_this: any[]) => {
+  return __Porffor_iterator_helper(_this, 0, 0, 0);
+};
+
+export const __Array_prototype_keys = (_this: any[]) => {
+  return __Porffor_iterator_helper(_this, 0, 1, 0);
+};
+
+export const __Array_prototype_entries = (_this: any[]) => {
+  return __Porffor_iterator_helper(_this, 0, 2, 0);
+};
+
 // @porf-typed-array
 export const __Array_prototype_toReversed = (_this: any[]) => {
   const len: i32 = _this.length;
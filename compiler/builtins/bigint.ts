@@ -316,8 +316,8 @@ export const __BigInt_prototype_toString = (_this: bigint, radix: any) => {
   return __Porffor_bigint_toString(_this, radix);
 };
 
-export const __BigInt_prototype_toLocaleString = (_this: bigint) => {
-  return __Porffor_bigint_toString(_this, 10);
+export const __BigInt_prototype_toLocaleString = (_this: bigint, locales: any, options: any) => {
+  return __Porffor_intl_joinParts(__Porffor_intl_formatNumber(__Porffor_intl_numberFormatOptions(locales, options), _this));
 };
 
 export const __BigInt_prototype_valueOf = (_this: bigint) => {
@@ -58,6 +58,13 @@ export const __Porffor_print = (arg: any, colors: boolean = true, depth: number
       if (colors) Porffor.printStatic('\x1b[0m');
       return;
 
+    case Porffor.TYPES.bigint:
+      if (colors) Porffor.printStatic('\x1b[33m'); // yellow
+      __Porffor_printString(__BigInt_prototype_toString(arg, 10));
+      Porffor.printStatic('n');
+      if (colors) Porffor.printStatic('\x1b[0m');
+      return;
+
     case Porffor.TYPES.boolean:
     case Porffor.TYPES.booleanobject:
       if (colors) Porffor.printStatic('\x1b[33m'); // yellow
@@ -176,6 +183,13 @@ export const __Porffor_print = (arg: any, colors: boolean = true, depth: number
       __Porffor_printArray(arg, colors, true);
       return;
 
+    case Porffor.TYPES.float16array:
+      if (Porffor.comptime.flag`hasType.float16array`) {
+        Porffor.printStatic('Float16Array');
+        __Porffor_printArray(arg, colors, true);
+      }
+      return;
+
     case Porffor.TYPES.float32array:
       Porffor.printStatic('Float32Array');
       __Porffor_printArray(arg, colors, true);
@@ -224,13 +238,10 @@ export const __Porffor_print = (arg: any, colors: boolean = true, depth: number
       Porffor.printStatic('\n}');
       return;
 
-    case Porffor.TYPES.weakmap:
     case Porffor.TYPES.map:
-      if (Porffor.type(arg) == Porffor.TYPES.weakmap) Porffor.printStatic('WeakMap');
-        else Porffor.printStatic('Map');
-      Porffor.printStatic('(');
+      Porffor.printStatic('Map(');
 
-      const map: any[] = __Map_prototype_keys(arg);
+      const map: any[] = Porffor.wasm.i32.load(arg, 0, 0);
       const mapLen: i32 = map.length - 1;
       print(mapLen + 1);
       Porffor.printStatic(') { ');
@@ -246,13 +257,10 @@ export const __Porffor_print = (arg: any, colors: boolean = true, depth: number
       Porffor.printStatic(' }');
       return;
 
-    case Porffor.TYPES.weakset:
     case Porffor.TYPES.set:
-      if (Porffor.type(arg) == Porffor.TYPES.weakset) Porffor.printStatic('WeakSet');
-        else Porffor.printStatic('Set');
-      Porffor.printStatic('(');
+      Porffor.printStatic('Set(');
 
-      const set: any[] = __Set_prototype_values(arg);
+      const set: any[] = arg;
       const setLen: i32 = set.length - 1;
       print(setLen + 1);
       Porffor.printStatic(') { ');
@@ -265,10 +273,113 @@ export const __Porffor_print = (arg: any, colors: boolean = true, depth: number
       Porffor.printStatic(' }');
       return;
 
+    // weakly held so entries cannot be shown
+    case Porffor.TYPES.weakmap:
+      Porffor.printStatic('WeakMap { <items unknown> }');
+      return;
+
+    case Porffor.TYPES.weakset:
+      Porffor.printStatic('WeakSet { <items unknown> }');
+      return;
+
     case Porffor.TYPES.weakref:
       Porffor.printStatic('WeakRef {}');
       return;
 
+    case Porffor.TYPES.finalizationregistry:
+      Porffor.printStatic('FinalizationRegistry {}');
+      return;
+
+    case Porffor.TYPES.iteratorhelper:
+      Porffor.printStatic('Object [Iterator Helper] {}');
+      return;
+
+    case Porffor.TYPES.disposablestack:
+      Porffor.printStatic('DisposableStack {}');
+      return;
+
+    case Porffor.TYPES.asyncdisposablestack:
+      Porffor.printStatic('AsyncDisposableStack {}');
+      return;
+
+    case Porffor.TYPES.textencoder:
+      Porffor.printStatic('TextEncoder { encoding: ');
+      __Porffor_print('utf-8', colors);
+      Porffor.printStatic(' }');
+      return;
+
+    case Porffor.TYPES.textdecoder:
+      Porffor.printStatic('TextDecoder { encoding: ');
+      __Porffor_print(__TextDecoder_prototype_encoding$get(arg), colors);
+      Porffor.printStatic(', fatal: ');
+      __Porffor_print(__TextDecoder_prototype_fatal$get(arg), colors);
+      Porffor.printStatic(', ignoreBOM: ');
+      __Porffor_print(__TextDecoder_prototype_ignoreBOM$get(arg), colors);
+      Porffor.printStatic(' }');
+      return;
+
+    case Porffor.TYPES.intl_numberformat:
+      Porffor.printStatic('NumberFormat [Intl.NumberFormat] {}');
+      return;
+
+    case Porffor.TYPES.intl_datetimeformat:
+      Porffor.printStatic('DateTimeFormat [Intl.DateTimeFormat] {}');
+      return;
+
+    case Porffor.TYPES.intl_collator:
+      Porffor.printStatic('Collator [Intl.Collator] {}');
+      return;
+
+    case Porffor.TYPES.intl_pluralrules:
+      Porffor.printStatic('PluralRules [Intl.PluralRules] {}');
+      return;
+
+    case Porffor.TYPES.temporal_instant:
+      Porffor.printStatic('Temporal.Instant ');
+      if (colors) Porffor.printStatic('\x1b[35m'); // purple
+      __Porffor_printString(__Temporal_Instant_prototype_toString(arg));
+      if (colors) Porffor.printStatic('\x1b[0m');
+      return;
+
+    case Porffor.TYPES.temporal_plaindate:
+      Porffor.printStatic('Temporal.PlainDate ');
+      if (colors) Porffor.printStatic('\x1b[35m'); // purple
+      __Porffor_printString(__Temporal_PlainDate_prototype_toString(arg));
+      if (colors) Porffor.printStatic('\x1b[0m');
+      return;
+
+    case Porffor.TYPES.temporal_plaintime:
+      Porffor.printStatic('Temporal.PlainTime ');
+      if (colors) Porffor.printStatic('\x1b[35m'); // purple
+      __Porffor_printString(__Temporal_PlainTime_prototype_toString(arg));
+      if (colors) Porffor.printStatic('\x1b[0m');
+      return;
+
+    case Porffor.TYPES.temporal_plaindatetime:
+      Porffor.printStatic('Temporal.PlainDateTime ');
+      if (colors) Porffor.printStatic('\x1b[35m'); // purple
+      __Porffor_printString(__Temporal_PlainDateTime_prototype_toString(arg));
+      if (colors) Porffor.printStatic('\x1b[0m');
+      return;
+
+    case Porffor.TYPES.temporal_duration:
+      Porffor.printStatic('Temporal.Duration ');
+      if (colors) Porffor.printStatic('\x1b[35m'); // purple
+      __Porffor_printString(__Temporal_Duration_prototype_toString(arg));
+      if (colors) Porffor.printStatic('\x1b[0m');
+      return;
+
+    case Porffor.TYPES.proxy:
+      if (Porffor.comptime.flag`hasType.proxy`) {
+        if (__Porffor_proxy_revoked(arg)) {
+          Porffor.printStatic('<Revoked Proxy>');
+          return;
+        }
+
+        __Porffor_print(__Porffor_proxy_target(arg), colors, depth);
+      }
+      return;
+
     case Porffor.TYPES.error:
       __Porffor_printString(__Error_prototype_toString(arg));
       return;
@@ -293,6 +404,12 @@ export const __Porffor_print = (arg: any, colors: boolean = true, depth: number
     case Porffor.TYPES.urierror:
       __Porffor_printString(__URIError_prototype_toString(arg));
       return;
+    case Porffor.TYPES.suppressederror:
+      __Porffor_printString(__SuppressedError_prototype_toString(arg));
+      return;
+    case Porffor.TYPES.domexception:
+      __Porffor_printString(__DOMException_prototype_toString(arg));
+      return;
     case Porffor.TYPES.test262error:
       __Porffor_printString(__Test262Error_prototype_toString(arg));
       return;
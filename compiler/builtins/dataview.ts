@@ -218,6 +218,14 @@ export const __DataView_prototype_setInt32 = (_this: DataView, byteOffset: numbe
   return __DataView_prototype_setUint32(_this, byteOffset, value < 0 ? value | 0x100000000 : value, littleEndian);
 };
 
+export const __DataView_prototype_getFloat16 = (_this: DataView, byteOffset: number, littleEndian: any) => {
+  return __Porffor_float16_toNumber(__DataView_prototype_getUint16(_this, byteOffset, littleEndian));
+};
+
+export const __DataView_prototype_setFloat16 = (_this: DataView, byteOffset: number, value: number, littleEndian: any) => {
+  return __DataView_prototype_setUint16(_this, byteOffset, __Porffor_float16_fromNumber(value), littleEndian);
+};
+
 export const __DataView_prototype_getFloat32 = (_this: DataView, byteOffset: number, littleEndian: any) => {
   const int: i32 = __DataView_prototype_getUint32(_this, byteOffset, littleEndian);
   Porffor.wasm`
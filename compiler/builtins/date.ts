@@ -1752,22 +1752,31 @@ export const __Date_prototype_toUTCString = (_this: any) => {
   return out;
 };
 
-// 21.4.4.38 Date.prototype.toLocaleDateString ([ reserved1 [, reserved2 ]])
-// https://tc39.es/ecma262/multipage/numbers-and-dates.html#sec-date.prototype.tolocaledatestring
-export const __Date_prototype_toLocaleDateString = (_this: any, reserved1: any, reserved2: any) => {
-  return __Date_prototype_toDateString(_this);
+// 20.4.2 Date.prototype.toLocaleDateString ([ locales [, options ]])
+// https://tc39.es/ecma402/#sup-date.prototype.tolocaledatestring
+export const __Date_prototype_toLocaleDateString = (_this: any, locales: any, options: any) => {
+  const tv: number = __Porffor_date_read(_this);
+  if (Number.isNaN(tv)) return 'Invalid Date';
+
+  return __Porffor_intl_joinParts(__Porffor_intl_formatDate(__Porffor_intl_dateTimeFormatOptions(locales, options, 'date', 'date'), tv));
 };
 
-// 21.4.4.39 Date.prototype.toLocaleString ([ reserved1 [, reserved2 ]])
-// https://tc39.es/ecma262/multipage/numbers-and-dates.html#sec-date.prototype.tolocalestring
-export const __Date_prototype_toLocaleString = (_this: any, reserved1: any, reserved2: any) => {
-  return __Date_prototype_toString(_this);
+// 20.4.1 Date.prototype.toLocaleString ([ locales [, options ]])
+// https://tc39.es/ecma402/#sup-date.prototype.tolocalestring
+export const __Date_prototype_toLocaleString = (_this: any, locales: any, options: any) => {
+  const tv: number = __Porffor_date_read(_this);
+  if (Number.isNaN(tv)) return 'Invalid Date';
+
+  return __Porffor_intl_joinParts(__Porffor_intl_formatDate(__Porffor_intl_dateTimeFormatOptions(locales, options, 'any', 'all'), tv));
 };
 
-// 21.4.4.40 Date.prototype.toLocaleTimeString ([ reserved1 [, reserved2 ]])
-// https://tc39.es/ecma262/multipage/numbers-and-dates.html#sec-date.prototype.tolocaletimestring
-export const __Date_prototype_toLocaleTimeString = (_this: any, reserved1: any, reserved2: any) => {
-  return __Date_prototype_toTimeString(_this);
+// 20.4.3 Date.prototype.toLocaleTimeString ([ locales [, options ]])
+// https://tc39.es/ecma402/#sup-date.prototype.tolocaletimestring
+export const __Date_prototype_toLocaleTimeString = (_this: any, locales: any, options: any) => {
+  const tv: number = __Porffor_date_read(_this);
+  if (Number.isNaN(tv)) return 'Invalid Date';
+
+  return __Porffor_intl_joinParts(__Porffor_intl_formatDate(__Porffor_intl_dateTimeFormatOptions(locales, options, 'time', 'time'), tv));
 };
 
 // 21.4.4.44 Date.prototype.valueOf ()
@@ -0,0 +1,60 @@
+import type {} from './porffor.d.ts';
+
+// decorators (2023-05), calls and context objects are generated by codegen (see generateClass)
+// initializers are kept in arrays: extra initializers added by context.addInitializer,
+// and field/accessor initializers which are each given the value of the previous
+
+// validate a decorator return value, returning the new value
+// kind: 0 = class/method/getter/setter, 1 = field, 2 = accessor
+export const __Porffor_decorator_result = (result: any, value: any, kind: i32, initializers: any[]): any => {
+  if (result === undefined) return value;
+
+  if (kind == 1) {
+    if (Porffor.type(result) != Porffor.TYPES.function) throw new TypeError('Field decorator must return a function or undefined');
+    Porffor.array.fastPush(initializers, result);
+    return value;
+  }
+
+  if (kind == 2) {
+    if (!Porffor.object.isObject(result)) throw new TypeError('Accessor decorator must return an object or undefined');
+
+    const get: any = result.get;
+    const set: any = result.set;
+    const init: any = result.init;
+    if (get !== undefined) if (Porffor.type(get) != Porffor.TYPES.function) throw new TypeError('Accessor decorator get must be a function');
+    if (set !== undefined) if (Porffor.type(set) != Porffor.TYPES.function) throw new TypeError('Accessor decorator set must be a function');
+    if (init !== undefined) {
+      if (Porffor.type(init) != Porffor.TYPES.function) throw new TypeError('Accessor decorator init must be a function');
+      Porffor.array.fastPush(initializers, init);
+    }
+
+    return {
+      get: get ?? value.get,
+      set: set ?? value.set
+    };
+  }
+
+  if (Porffor.type(result) != Porffor.TYPES.function) throw new TypeError('Decorator must return a function or undefined');
+  return result;
+};
+
+export const __Porffor_decorator_addInitializer = (initializers: any[], initializer: any): void => {
+  if (Porffor.type(initializer) != Porffor.TYPES.function) throw new TypeError('Initializer must be a function');
+  Porffor.array.fastPush(initializers, initializer);
+};
+
+// run extra initializers
+export const __Porffor_decorator_initialize = (initializers: any[], _this: any): void => {
+  for (let i: i32 = 0; i < initializers.length; i++) {
+    Porffor.call(initializers[i], [], _this, null);
+  }
+};
+
+// get the initial value of a field or accessor
+export const __Porffor_decorator_init = (initializers: any[], _this: any, value: any): any => {
+  for (let i: i32 = 0; i < initializers.length; i++) {
+    value = Porffor.call(initializers[i], [ value ], _this, null);
+  }
+
+  return value;
+};
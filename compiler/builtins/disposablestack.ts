@@ -0,0 +1,198 @@
+import type {} from './porffor.d.ts';
+
+// resources are kept in an array of value, dispose method then hint flags
+// hint flags: 0b01 = await result, 0b10 = call method with value as argument (adopt) instead of as this,
+//   0b100 = value is a disposable stack to dispose directly (as their prototype objects may not be included)
+// using declarations use an array per block directly, see generateUsing in codegen
+
+// GetDisposeMethod
+export const __Porffor_using_method = (value: any, async: boolean): any => {
+  let method: any = undefined;
+  if (async) method = value[Symbol.asyncDispose];
+  if (method == null) method = value[Symbol.dispose];
+
+  if (Porffor.type(method) != Porffor.TYPES.function) throw new TypeError('Resource is not disposable');
+  return method;
+};
+
+// AddDisposableResource, returning value to be bound
+export const __Porffor_using_add = (resources: any[], value: any, async: boolean): any => {
+  // null and undefined are allowed but not disposed
+  if (value == null) return value;
+  if (!Porffor.object.isObject(value)) throw new TypeError('Resource is not an object');
+
+  const type: i32 = Porffor.type(value);
+  if (Porffor.fastOr(type == Porffor.TYPES.disposablestack, type == Porffor.TYPES.asyncdisposablestack)) {
+    Porffor.array.fastPush(resources, value);
+    Porffor.array.fastPush(resources, undefined);
+    Porffor.array.fastPush(resources, 0b100);
+    return value;
+  }
+
+  const method: any = __Porffor_using_method(value, async);
+
+  // sync dispose methods used by await using are not awaited
+  let hint: i32 = 0;
+  if (async) if (value[Symbol.asyncDispose] != null) hint = 0b01;
+
+  Porffor.array.fastPush(resources, value);
+  Porffor.array.fastPush(resources, method);
+  Porffor.array.fastPush(resources, hint);
+  return value;
+};
+
+// DisposeResources, in reverse order, with errors thrown suppressing the previous error
+// throws if there is an error, either given or from disposing
+export const __Porffor_using_dispose = (resources: any[], error: any, hasError: boolean): void => {
+  for (let i: i32 = resources.length - 3; i >= 0; i -= 3) {
+    const value: any = resources[i];
+    const method: any = resources[i + 1];
+    const hint: i32 = resources[i + 2];
+
+    try {
+      if (hint & 0b100) {
+        if (Porffor.wasm.i32.load8_u(value, 0, 4) == 0) {
+          Porffor.wasm.i32.store8(value, 1, 0, 4);
+          __Porffor_using_dispose(Porffor.wasm.i32.load(value, 0, 0), undefined, false);
+        }
+      } else {
+        let result: any;
+        if (hint & 0b10) result = method(value);
+          else result = method.call(value);
+
+        if (hint & 0b01) __Porffor_promise_await(result);
+      }
+    } catch (e) {
+      if (hasError) {
+        error = new SuppressedError(e, error, 'An error was suppressed during disposal');
+      } else {
+        error = e;
+        hasError = true;
+      }
+    }
+  }
+
+  // emptied so disposing again (eg from the catch of a using block) only throws
+  resources.length = 0;
+  if (hasError) throw error;
+};
+
+// stacks are a pointer to their resources (i32) then if disposed (u8)
+export const __Porffor_disposableStack_resources = (stack: any): any[] => {
+  if (Porffor.wasm.i32.load8_u(stack, 0, 4)) throw new ReferenceError('Disposable stack has already been disposed');
+  return Porffor.wasm.i32.load(stack, 0, 0);
+};
+
+export const __Porffor_disposableStack_move = (stack: any, out: any): any => {
+  Porffor.wasm.i32.store(out, __Porffor_disposableStack_resources(stack), 0, 0);
+
+  const resources: any[] = Porffor.malloc();
+  Porffor.wasm.i32.store(stack, resources, 0, 0);
+  Porffor.wasm.i32.store8(stack, 1, 0, 4);
+
+  return out;
+};
+
+export const DisposableStack = function (): DisposableStack {
+  if (!new.target) throw new TypeError("Constructor DisposableStack requires 'new'");
+
+  const out: DisposableStack = Porffor.malloc(5);
+  const resources: any[] = Porffor.malloc();
+  Porffor.wasm.i32.store(out, resources, 0, 0);
+
+  return out;
+};
+
+export const __DisposableStack_prototype_disposed$get = (_this: DisposableStack) => {
+  return Porffor.wasm.i32.load8_u(_this, 0, 4) == 1;
+};
+
+export const __DisposableStack_prototype_use = (_this: DisposableStack, value: any) => {
+  return __Porffor_using_add(__Porffor_disposableStack_resources(_this), value, false);
+};
+
+export const __DisposableStack_prototype_adopt = (_this: DisposableStack, value: any, onDispose: any) => {
+  const resources: any[] = __Porffor_disposableStack_resources(_this);
+  if (Porffor.type(onDispose) != Porffor.TYPES.function) throw new TypeError('onDispose is not a function');
+
+  Porffor.array.fastPush(resources, value);
+  Porffor.array.fastPush(resources, onDispose);
+  Porffor.array.fastPush(resources, 0b10);
+  return value;
+};
+
+export const __DisposableStack_prototype_defer = (_this: DisposableStack, onDispose: any) => {
+  const resources: any[] = __Porffor_disposableStack_resources(_this);
+  if (Porffor.type(onDispose) != Porffor.TYPES.function) throw new TypeError('onDispose is not a function');
+
+  Porffor.array.fastPush(resources, undefined);
+  Porffor.array.fastPush(resources, onDispose);
+  Porffor.array.fastPush(resources, 0);
+};
+
+export const __DisposableStack_prototype_move = (_this: DisposableStack) => {
+  const out: DisposableStack = Porffor.malloc(5);
+  return __Porffor_disposableStack_move(_this, out);
+};
+
+export const __DisposableStack_prototype_dispose = (_this: DisposableStack) => {
+  if (Porffor.wasm.i32.load8_u(_this, 0, 4)) return;
+  Porffor.wasm.i32.store8(_this, 1, 0, 4);
+
+  __Porffor_using_dispose(Porffor.wasm.i32.load(_this, 0, 0), undefined, false);
+};
+
+export const __DisposableStack_prototype_toString = (_this: DisposableStack) => '[object DisposableStack]';
+export const __DisposableStack_prototype_toLocaleString = (_this: DisposableStack) => __DisposableStack_prototype_toString(_this);
+
+export const AsyncDisposableStack = function (): AsyncDisposableStack {
+  if (!new.target) throw new TypeError("Constructor AsyncDisposableStack requires 'new'");
+
+  const out: AsyncDisposableStack = Porffor.malloc(5);
+  const resources: any[] = Porffor.malloc();
+  Porffor.wasm.i32.store(out, resources, 0, 0);
+
+  return out;
+};
+
+export const __AsyncDisposableStack_prototype_disposed$get = (_this: AsyncDisposableStack) => {
+  return Porffor.wasm.i32.load8_u(_this, 0, 4) == 1;
+};
+
+export const __AsyncDisposableStack_prototype_use = (_this: AsyncDisposableStack, value: any) => {
+  return __Porffor_using_add(__Porffor_disposableStack_resources(_this), value, true);
+};
+
+export const __AsyncDisposableStack_prototype_adopt = (_this: AsyncDisposableStack, value: any, onDisposeAsync: any) => {
+  const resources: any[] = __Porffor_disposableStack_resources(_this);
+  if (Porffor.type(onDisposeAsync) != Porffor.TYPES.function) throw new TypeError('onDisposeAsync is not a function');
+
+  Porffor.array.fastPush(resources, value);
+  Porffor.array.fastPush(resources, onDisposeAsync);
+  Porffor.array.fastPush(resources, 0b11);
+  return value;
+};
+
+export const __AsyncDisposableStack_prototype_defer = (_this: AsyncDisposableStack, onDisposeAsync: any) => {
+  const resources: any[] = __Porffor_disposableStack_resources(_this);
+  if (Porffor.type(onDisposeAsync) != Porffor.TYPES.function) throw new TypeError('onDisposeAsync is not a function');
+
+  Porffor.array.fastPush(resources, undefined);
+  Porffor.array.fastPush(resources, onDisposeAsync);
+  Porffor.array.fastPush(resources, 0b01);
+};
+
+export const __AsyncDisposableStack_prototype_move = (_this: AsyncDisposableStack) => {
+  const out: AsyncDisposableStack = Porffor.malloc(5);
+  return __Porffor_disposableStack_move(_this, out);
+};
+
+export const __AsyncDisposableStack_prototype_disposeAsync = async (_this: AsyncDisposableStack) => {
+  if (Porffor.wasm.i32.load8_u(_this, 0, 4)) return;
+  Porffor.wasm.i32.store8(_this, 1, 0, 4);
+
+  __Porffor_using_dispose(Porffor.wasm.i32.load(_this, 0, 0), undefined, false);
+};
+
+export const __AsyncDisposableStack_prototype_toString = (_this: AsyncDisposableStack) => '[object AsyncDisposableStack]';
+export const __AsyncDisposableStack_prototype_toLocaleString = (_this: AsyncDisposableStack) => __AsyncDisposableStack_prototype_toString(_this);
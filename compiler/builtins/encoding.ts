@@ -0,0 +1,502 @@
+// @porf --valtype=i32
+import type {} from './porffor.d.ts';
+
+// https://encoding.spec.whatwg.org
+
+export const __Porffor_encoding_bytesPerElement = (type: i32): i32 => {
+  if (type == Porffor.TYPES.dataview) return 1;
+  if (Porffor.fastOr(type == Porffor.TYPES.uint8clampedarray, type == Porffor.TYPES.uint8array, type == Porffor.TYPES.int8array)) return 1;
+  if (Porffor.fastOr(type == Porffor.TYPES.uint16array, type == Porffor.TYPES.int16array, type == Porffor.TYPES.float16array)) return 2;
+  if (Porffor.fastOr(type == Porffor.TYPES.uint32array, type == Porffor.TYPES.int32array, type == Porffor.TYPES.float32array)) return 4;
+  return 8;
+};
+
+// pointer to the first byte of a BufferSource
+export const __Porffor_encoding_bufferPtr = (input: any): i32 => {
+  const ptr: i32 = Porffor.wasm`local.get ${input}`;
+  if (Porffor.fastOr(
+    Porffor.type(input) == Porffor.TYPES.arraybuffer,
+    Porffor.type(input) == Porffor.TYPES.sharedarraybuffer
+  )) return ptr + 4;
+
+  // views store buffer + byteOffset
+  return Porffor.wasm.i32.load(ptr, 0, 4) + 4;
+};
+
+// byte length of a BufferSource, throws for anything else
+export const __Porffor_encoding_bufferLength = (input: any): i32 => {
+  const ptr: i32 = Porffor.wasm`local.get ${input}`;
+  if (Porffor.fastOr(
+    Porffor.type(input) == Porffor.TYPES.arraybuffer,
+    Porffor.type(input) == Porffor.TYPES.sharedarraybuffer
+  )) {
+    const len: i32 = Porffor.wasm.i32.load(ptr, 0, 0);
+    if (len == -1) throw new TypeError('Cannot decode a detached ArrayBuffer');
+    return len;
+  }
+
+  if (__ArrayBuffer_isView(input)) {
+    return Porffor.wasm.i32.load(ptr, 0, 0) * __Porffor_encoding_bytesPerElement(Porffor.type(input));
+  }
+
+  throw new TypeError("The provided value is not of type '(ArrayBuffer or ArrayBufferView)'");
+};
+
+// number of utf-8 bytes needed for a string
+export const __Porffor_encoding_utf8Length = (str: bytestring|string): i32 => {
+  const ptr: i32 = Porffor.wasm`local.get ${str}`;
+  const len: i32 = str.length;
+
+  let out: i32 = 0;
+  if (Porffor.type(str) == Porffor.TYPES.bytestring) {
+    for (let i: i32 = 0; i < len; i++) {
+      if (Porffor.wasm.i32.load8_u(ptr + i, 0, 4) < 0x80) out += 1;
+        else out += 2;
+    }
+
+    return out;
+  }
+
+  for (let i: i32 = 0; i < len; i++) {
+    const c: i32 = Porffor.wasm.i32.load16_u(ptr + i * 2, 0, 4);
+    if (c < 0x80) out += 1;
+      else if (c < 0x800) out += 2;
+      else if (Porffor.fastAnd(c >= 0xD800, c <= 0xDBFF, i + 1 < len)) {
+        const c2: i32 = Porffor.wasm.i32.load16_u(ptr + i * 2 + 2, 0, 4);
+        if (Porffor.fastAnd(c2 >= 0xDC00, c2 <= 0xDFFF)) {
+          out += 4;
+          i++;
+        } else out += 3;
+      } else out += 3;
+  }
+
+  return out;
+};
+
+// hack: no multiple returns in builtins so use a global
+//    ^ code units read by the last utf8Write
+let utf8Read: i32 = 0;
+
+// write a string as utf-8 to dst, never splitting a code point past max bytes
+// lone surrogates are written as U+FFFD. returns bytes written
+export const __Porffor_encoding_utf8Write = (str: bytestring|string, dst: i32, max: i32): i32 => {
+  const ptr: i32 = Porffor.wasm`local.get ${str}`;
+  const len: i32 = str.length;
+
+  let i: i32 = 0, j: i32 = 0;
+  if (Porffor.type(str) == Porffor.TYPES.bytestring) {
+    while (i < len) {
+      const c: i32 = Porffor.wasm.i32.load8_u(ptr + i, 0, 4);
+      if (c < 0x80) {
+        if (j + 1 > max) break;
+        Porffor.wasm.i32.store8(dst + j++, c, 0, 0);
+      } else {
+        if (j + 2 > max) break;
+        Porffor.wasm.i32.store8(dst + j++, 0xC0 | (c >> 6), 0, 0);
+        Porffor.wasm.i32.store8(dst + j++, 0x80 | (c & 0x3F), 0, 0);
+      }
+
+      i++;
+    }
+
+    utf8Read = i;
+    return j;
+  }
+
+  while (i < len) {
+    let c: i32 = Porffor.wasm.i32.load16_u(ptr + i * 2, 0, 4);
+    let units: i32 = 1;
+
+    if (Porffor.fastAnd(c >= 0xD800, c <= 0xDFFF)) {
+      const c2: i32 = i + 1 < len ? Porffor.wasm.i32.load16_u(ptr + i * 2 + 2, 0, 4) : 0;
+      if (Porffor.fastAnd(c <= 0xDBFF, c2 >= 0xDC00, c2 <= 0xDFFF)) {
+        c = 0x10000 + ((c - 0xD800) << 10) + (c2 - 0xDC00);
+        units = 2;
+      } else c = 0xFFFD;
+    }
+
+    if (c < 0x80) {
+      if (j + 1 > max) break;
+      Porffor.wasm.i32.store8(dst + j++, c, 0, 0);
+    } else if (c < 0x800) {
+      if (j + 2 > max) break;
+      Porffor.wasm.i32.store8(dst + j++, 0xC0 | (c >> 6), 0, 0);
+      Porffor.wasm.i32.store8(dst + j++, 0x80 | (c & 0x3F), 0, 0);
+    } else if (c < 0x10000) {
+      if (j + 3 > max) break;
+      Porffor.wasm.i32.store8(dst + j++, 0xE0 | (c >> 12), 0, 0);
+      Porffor.wasm.i32.store8(dst + j++, 0x80 | ((c >> 6) & 0x3F), 0, 0);
+      Porffor.wasm.i32.store8(dst + j++, 0x80 | (c & 0x3F), 0, 0);
+    } else {
+      if (j + 4 > max) break;
+      Porffor.wasm.i32.store8(dst + j++, 0xF0 | (c >> 18), 0, 0);
+      Porffor.wasm.i32.store8(dst + j++, 0x80 | ((c >> 12) & 0x3F), 0, 0);
+      Porffor.wasm.i32.store8(dst + j++, 0x80 | ((c >> 6) & 0x3F), 0, 0);
+      Porffor.wasm.i32.store8(dst + j++, 0x80 | (c & 0x3F), 0, 0);
+    }
+
+    i += units;
+  }
+
+  utf8Read = i;
+  return j;
+};
+
+export const TextEncoder = function (): TextEncoder {
+  if (!new.target) throw new TypeError("Constructor TextEncoder requires 'new'");
+
+  // no state as utf-8 is the only encoding
+  const out: TextEncoder = Porffor.malloc(1);
+  return out;
+};
+
+export const __TextEncoder_prototype_encoding$get = (_this: TextEncoder) => {
+  return 'utf-8';
+};
+
+export const __TextEncoder_prototype_encode = (_this: TextEncoder, input: any = '') => {
+  const str: bytestring|string = ecma262.ToString(input);
+  const len: i32 = __Porffor_encoding_utf8Length(str);
+
+  const out: Uint8Array = new Uint8Array(len);
+  __Porffor_encoding_utf8Write(str, Porffor.wasm.i32.load(out, 0, 4) + 4, len);
+
+  return out;
+};
+
+export const __TextEncoder_prototype_encodeInto = (_this: TextEncoder, source: any, destination: any) => {
+  if (Porffor.type(destination) != Porffor.TYPES.uint8array) throw new TypeError("The provided value is not of type 'Uint8Array'");
+
+  const str: bytestring|string = ecma262.ToString(source);
+  const written: i32 = __Porffor_encoding_utf8Write(str,
+    Porffor.wasm.i32.load(destination, 0, 4) + 4,
+    Porffor.wasm.i32.load(destination, 0, 0));
+
+  const out: object = {};
+  out.read = utf8Read;
+  out.written = written;
+  return out;
+};
+
+export const __TextEncoder_prototype_toString = (_this: TextEncoder) => '[object TextEncoder]';
+
+
+// __memory layout__
+//  encoding (u8, 1) - 0: utf-8, 1: utf-16le, 2: windows-1252
+//  fatal (u8, 1)
+//  ignoreBOM (u8, 1)
+//  bomSeen (u8, 1)
+//  pending length (u8, 1)
+//  pending bytes (u8, 4) - incomplete sequence kept between streamed calls
+
+export const __Porffor_encoding_getEncoding = (label: any): i32 => {
+  // trim ascii whitespace and lowercase
+  const str: bytestring|string = ecma262.ToString(label).trim().toLowerCase();
+
+  if (Porffor.fastOr(
+    Porffor.strcmp(str, 'utf-8'), Porffor.strcmp(str, 'utf8'), Porffor.strcmp(str, 'unicode-1-1-utf-8'),
+    Porffor.strcmp(str, 'unicode11utf8'), Porffor.strcmp(str, 'unicode20utf8'), Porffor.strcmp(str, 'x-unicode20utf8')
+  )) return 0;
+
+  if (Porffor.fastOr(
+    Porffor.strcmp(str, 'utf-16le'), Porffor.strcmp(str, 'utf-16'), Porffor.strcmp(str, 'unicode'), Porffor.strcmp(str, 'csunicode'),
+    Porffor.strcmp(str, 'iso-10646-ucs-2'), Porffor.strcmp(str, 'ucs-2'), Porffor.strcmp(str, 'unicodefeff')
+  )) return 1;
+
+  if (Porffor.fastOr(
+    Porffor.strcmp(str, 'windows-1252'), Porffor.strcmp(str, 'latin1'), Porffor.strcmp(str, 'iso-8859-1'), Porffor.strcmp(str, 'iso8859-1'),
+    Porffor.strcmp(str, 'iso88591'), Porffor.strcmp(str, 'iso_8859-1'), Porffor.strcmp(str, 'iso_8859-1:1987'), Porffor.strcmp(str, 'l1'),
+    Porffor.strcmp(str, 'ascii'), Porffor.strcmp(str, 'us-ascii'), Porffor.strcmp(str, 'ansi_x3.4-1968'), Porffor.strcmp(str, 'cp1252'),
+    Porffor.strcmp(str, 'cp819'), Porffor.strcmp(str, 'ibm819'), Porffor.strcmp(str, 'csisolatin1'), Porffor.strcmp(str, 'iso-ir-100'), Porffor.strcmp(str, 'x-cp1252')
+  )) return 2;
+
+  return -1;
+};
+
+// note: getters defined before the constructor as options.fatal and options.ignoreBOM may include them
+export const __TextDecoder_prototype_encoding$get = (_this: TextDecoder) => {
+  const encoding: i32 = Porffor.wasm.i32.load8_u(_this, 0, 0);
+  if (encoding == 0) return 'utf-8';
+  if (encoding == 1) return 'utf-16le';
+  return 'windows-1252';
+};
+
+export const __TextDecoder_prototype_fatal$get = (_this: TextDecoder) => {
+  return Porffor.wasm.i32.load8_u(_this, 0, 1) as boolean;
+};
+
+export const __TextDecoder_prototype_ignoreBOM$get = (_this: TextDecoder) => {
+  return Porffor.wasm.i32.load8_u(_this, 0, 2) as boolean;
+};
+
+export const TextDecoder = function (label: any = 'utf-8', options: any = undefined): TextDecoder {
+  if (!new.target) throw new TypeError("Constructor TextDecoder requires 'new'");
+
+  const encoding: i32 = __Porffor_encoding_getEncoding(label);
+  if (encoding == -1) throw new RangeError('The encoding label provided is invalid');
+
+  let fatal: boolean = false, ignoreBOM: boolean = false;
+  if (options != null) {
+    if (!Porffor.object.isObject(options)) throw new TypeError('Options must be an object');
+
+    fatal = !!options.fatal;
+    ignoreBOM = !!options.ignoreBOM;
+  }
+
+  const out: TextDecoder = Porffor.malloc(9);
+  Porffor.wasm.i32.store8(out, encoding, 0, 0);
+  Porffor.wasm.i32.store8(out, fatal, 0, 1);
+  Porffor.wasm.i32.store8(out, ignoreBOM, 0, 2);
+  Porffor.wasm.i32.store8(out, 0, 0, 3);
+  Porffor.wasm.i32.store8(out, 0, 0, 4);
+
+  return out;
+};
+
+// keep the last len bytes of src as pending for the next streamed call
+export const __Porffor_encoding_setPending = (decoder: TextDecoder, src: i32, len: i32): void => {
+  Porffor.wasm.i32.store8(decoder, len, 0, 4);
+  for (let i: i32 = 0; i < len; i++) {
+    Porffor.wasm.i32.store8(Porffor.wasm`local.get ${decoder}` + i, Porffor.wasm.i32.load8_u(src + i, 0, 0), 0, 5);
+  }
+};
+
+export const __Porffor_encoding_decodeError = (decoder: TextDecoder): i32 => {
+  if (Porffor.wasm.i32.load8_u(decoder, 0, 1)) throw new TypeError('The encoded data was not valid for this encoding');
+  return 0xFFFD;
+};
+
+// decode utf-8 bytes to utf-16 code units at dst, returns units written
+export const __Porffor_encoding_utf8Decode = (decoder: TextDecoder, src: i32, len: i32, dst: i32, stream: boolean): i32 => {
+  let j: i32 = 0;
+  let needed: i32 = 0, seen: i32 = 0, cp: i32 = 0, start: i32 = 0;
+  let lower: i32 = 0x80, upper: i32 = 0xBF;
+
+  let i: i32 = 0;
+  while (i < len) {
+    const b: i32 = Porffor.wasm.i32.load8_u(src + i, 0, 0);
+
+    if (needed == 0) {
+      start = i++;
+      if (b < 0x80) {
+        Porffor.wasm.i32.store16(dst + j++ * 2, b, 0, 0);
+      } else if (Porffor.fastAnd(b >= 0xC2, b <= 0xDF)) {
+        needed = 1;
+        cp = b & 0x1F;
+      } else if (Porffor.fastAnd(b >= 0xE0, b <= 0xEF)) {
+        if (b == 0xE0) lower = 0xA0;
+        if (b == 0xED) upper = 0x9F;
+        needed = 2;
+        cp = b & 0xF;
+      } else if (Porffor.fastAnd(b >= 0xF0, b <= 0xF4)) {
+        if (b == 0xF0) lower = 0x90;
+        if (b == 0xF4) upper = 0x8F;
+        needed = 3;
+        cp = b & 0x7;
+      } else {
+        Porffor.wasm.i32.store16(dst + j++ * 2, __Porffor_encoding_decodeError(decoder), 0, 0);
+      }
+
+      continue;
+    }
+
+    if (Porffor.fastOr(b < lower, b > upper)) {
+      // invalid continuation, error and reprocess this byte
+      needed = 0;
+      seen = 0;
+      lower = 0x80;
+      upper = 0xBF;
+      Porffor.wasm.i32.store16(dst + j++ * 2, __Porffor_encoding_decodeError(decoder), 0, 0);
+      continue;
+    }
+
+    i++;
+    lower = 0x80;
+    upper = 0xBF;
+    cp = (cp << 6) | (b & 0x3F);
+
+    if (++seen == needed) {
+      if (cp >= 0x10000) {
+        cp -= 0x10000;
+        Porffor.wasm.i32.store16(dst + j++ * 2, 0xD800 + (cp >> 10), 0, 0);
+        Porffor.wasm.i32.store16(dst + j++ * 2, 0xDC00 + (cp & 0x3FF), 0, 0);
+      } else {
+        Porffor.wasm.i32.store16(dst + j++ * 2, cp, 0, 0);
+      }
+
+      needed = 0;
+      seen = 0;
+    }
+  }
+
+  if (needed != 0) {
+    if (stream) __Porffor_encoding_setPending(decoder, src + start, len - start);
+      else Porffor.wasm.i32.store16(dst + j++ * 2, __Porffor_encoding_decodeError(decoder), 0, 0);
+  }
+
+  return j;
+};
+
+// decode utf-16le bytes to utf-16 code units at dst, returns units written
+export const __Porffor_encoding_utf16leDecode = (decoder: TextDecoder, src: i32, len: i32, dst: i32, stream: boolean): i32 => {
+  let j: i32 = 0;
+  let i: i32 = 0;
+  while (i + 1 < len) {
+    const c: i32 = Porffor.wasm.i32.load16_u(src + i, 0, 0);
+
+    if (Porffor.fastAnd(c >= 0xD800, c <= 0xDBFF)) {
+      if (i + 3 >= len) break; // lead surrogate at the end
+
+      const c2: i32 = Porffor.wasm.i32.load16_u(src + i + 2, 0, 0);
+      if (Porffor.fastAnd(c2 >= 0xDC00, c2 <= 0xDFFF)) {
+        Porffor.wasm.i32.store16(dst + j++ * 2, c, 0, 0);
+        Porffor.wasm.i32.store16(dst + j++ * 2, c2, 0, 0);
+        i += 4;
+      } else {
+        Porffor.wasm.i32.store16(dst + j++ * 2, __Porffor_encoding_decodeError(decoder), 0, 0);
+        i += 2;
+      }
+
+      continue;
+    }
+
+    if (Porffor.fastAnd(c >= 0xDC00, c <= 0xDFFF)) {
+      Porffor.wasm.i32.store16(dst + j++ * 2, __Porffor_encoding_decodeError(decoder), 0, 0);
+    } else {
+      Porffor.wasm.i32.store16(dst + j++ * 2, c, 0, 0);
+    }
+
+    i += 2;
+  }
+
+  if (i < len) {
+    if (stream) __Porffor_encoding_setPending(decoder, src + i, len - i);
+      else Porffor.wasm.i32.store16(dst + j++ * 2, __Porffor_encoding_decodeError(decoder), 0, 0);
+  }
+
+  return j;
+};
+
+export const __TextDecoder_prototype_decode = (_this: TextDecoder, input: any = undefined, options: any = undefined) => {
+  let stream: boolean = false;
+  if (options != null) {
+    if (!Porffor.object.isObject(options)) throw new TypeError('Options must be an object');
+    stream = !!options.stream;
+  }
+
+  let src: i32 = 0, len: i32 = 0;
+  if (input != null) {
+    len = __Porffor_encoding_bufferLength(input);
+    src = __Porffor_encoding_bufferPtr(input);
+  }
+
+  // prepend bytes left over from the last streamed call
+  const pending: i32 = Porffor.wasm.i32.load8_u(_this, 0, 4);
+  if (pending > 0) {
+    const tmp: i32 = Porffor.malloc(pending + len);
+    for (let i: i32 = 0; i < pending; i++) {
+      Porffor.wasm.i32.store8(tmp + i, Porffor.wasm.i32.load8_u(Porffor.wasm`local.get ${_this}` + i, 0, 5), 0, 0);
+    }
+
+    Porffor.wasm`local.get ${tmp}
+local.get ${pending}
+i32.add
+local.get ${src}
+local.get ${len}
+memory.copy 0 0`;
+
+    src = tmp;
+    len += pending;
+    Porffor.wasm.i32.store8(_this, 0, 0, 4);
+  }
+
+  const encoding: i32 = Porffor.wasm.i32.load8_u(_this, 0, 0);
+
+  // fast path: ascii and windows-1252 without C1 bytes are just a bytestring
+  let bytestringable: boolean = encoding != 1;
+  if (bytestringable) for (let i: i32 = 0; i < len; i++) {
+    const b: i32 = Porffor.wasm.i32.load8_u(src + i, 0, 0);
+    if (Porffor.fastAnd(b >= 0x80, Porffor.fastOr(encoding == 0, b < 0xA0))) {
+      bytestringable = false;
+      break;
+    }
+  }
+
+  if (bytestringable) {
+    const out: bytestring = Porffor.malloc(4 + len);
+    out.length = len;
+
+    Porffor.wasm`local.get ${out}
+i32.const 4
+i32.add
+local.get ${src}
+local.get ${len}
+memory.copy 0 0`;
+
+    if (len > 0) Porffor.wasm.i32.store8(_this, 1, 0, 3);
+    if (!stream) Porffor.wasm.i32.store8(_this, 0, 0, 3);
+    return out;
+  }
+
+  const out: string = Porffor.malloc(4 + len * 2);
+  const outPtr: i32 = Porffor.wasm`local.get ${out}` + 4;
+
+  let outLen: i32 = 0;
+  if (encoding == 0) {
+    outLen = __Porffor_encoding_utf8Decode(_this, src, len, outPtr, stream);
+  } else if (encoding == 1) {
+    outLen = __Porffor_encoding_utf16leDecode(_this, src, len, outPtr, stream);
+  } else {
+    // C1 bytes map to these in windows-1252
+    const table: string = '\u20AC\x81\u201A\u0192\u201E\u2026\u2020\u2021\u02C6\u2030\u0160\u2039\u0152\x8D\u017D\x8F\x90\u2018\u2019\u201C\u201D\u2022\u2013\u2014\u02DC\u2122\u0161\u203A\u0153\x9D\u017E\u0178';
+    const tablePtr: i32 = Porffor.wasm`local.get ${table}`;
+    for (let i: i32 = 0; i < len; i++) {
+      let b: i32 = Porffor.wasm.i32.load8_u(src + i, 0, 0);
+      if (Porffor.fastAnd(b >= 0x80, b < 0xA0)) b = Porffor.wasm.i32.load16_u(tablePtr + (b - 0x80) * 2, 0, 4);
+      Porffor.wasm.i32.store16(outPtr + i * 2, b, 0, 0);
+    }
+
+    outLen = len;
+  }
+
+  out.length = outLen;
+
+  // strip a leading BOM at the start of the stream
+  if (Porffor.fastAnd(
+    encoding != 2,
+    outLen > 0,
+    !Porffor.wasm.i32.load8_u(_this, 0, 2),
+    !Porffor.wasm.i32.load8_u(_this, 0, 3),
+    Porffor.wasm.i32.load16_u(outPtr, 0, 0) == 0xFEFF
+  )) {
+    Porffor.wasm`local.get ${outPtr}
+local.get ${outPtr}
+i32.const 2
+i32.add
+local.get ${outLen}
+i32.const 1
+i32.sub
+i32.const 2
+i32.mul
+memory.copy 0 0`;
+
+    out.length = --outLen;
+  }
+
+  if (outLen > 0) Porffor.wasm.i32.store8(_this, 1, 0, 3);
+  if (!stream) Porffor.wasm.i32.store8(_this, 0, 0, 3);
+
+  // use a bytestring if every code unit fits
+  for (let i: i32 = 0; i < outLen; i++) {
+    if (Porffor.wasm.i32.load16_u(outPtr + i * 2, 0, 0) > 0xFF) return out;
+  }
+
+  const out2: bytestring = Porffor.wasm`local.get ${out}`;
+  for (let i: i32 = 0; i < outLen; i++) {
+    Porffor.wasm.i32.store8(outPtr + i, Porffor.wasm.i32.load8_u(outPtr + i * 2, 0, 0), 0, 0);
+  }
+
+  return out2;
+};
+
+export const __TextDecoder_prototype_toString = (_this: TextDecoder) => '[object TextDecoder]';
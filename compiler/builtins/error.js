@@ -2,28 +2,50 @@ export default () => {
   let out = '';
 
   const errors = [];
-  const error = name => {
+  // extra values are stored after the message and stack, with getters for each
+  // a name extra is given after the message (DOMException) and is the name instead of a constant one
+  const error = (name, extra = []) => {
     errors.push(name);
-    out += `export const ${name} = function (message: any): ${name} {
+    const hasName = extra.includes('name');
+    const params = hasName ? [ 'message', ...extra ] : [ ...extra, 'message' ];
+
+    out += `export const ${name} = function (${params.map(x => `${x}: any`).join(', ')}): ${name} {
   if (message === undefined) message = '';
     else message = ecma262.ToString(message);
-
-  const obj: ${name} = Porffor.malloc(8);
+${hasName ? `  if (name === undefined) name = 'Error';
+    else name = ecma262.ToString(name);
+` : ''}
+  const obj: ${name} = Porffor.malloc(${12 + extra.length * 9});
   Porffor.wasm.i32.store(obj, message, 0, 0);
   Porffor.wasm.i32.store8(obj, Porffor.type(message), 0, 4);
-
+  Porffor.wasm.i32.store(obj, Porffor.stackTrace.capture(), 0, 8);
+${extra.map((x, i) => `  Porffor.wasm.f64.store(obj, ${x}, 0, ${12 + i * 9});
+  Porffor.wasm.i32.store8(obj, Porffor.type(${x}), 0, ${20 + i * 9});
+`).join('')}
   return obj;
 };
+${extra.map((x, i) => `
+export const __${name}_prototype_${x}$get = (_this: ${name}) => {
+  Porffor.wasm\`
+local.get \${_this}
+i32.trunc_sat_f64_u
+f64.load 0 ${12 + i * 9}
 
+local.get \${_this}
+i32.trunc_sat_f64_u
+i32.load8_u 0 ${20 + i * 9}
+return\`;
+};
+`).join('')}
 export const __${name}_prototype_constructor$get = (_this: ${name}) => {
   return ${name};
 };
 
-export const __${name}_prototype_name$get = (_this: ${name}) => {
+${hasName ? '' : `export const __${name}_prototype_name$get = (_this: ${name}) => {
   return '${name}';
 };
 
-export const __${name}_prototype_message$get = (_this: ${name}) => {
+`}export const __${name}_prototype_message$get = (_this: ${name}) => {
   Porffor.wasm\`
 local.get \${_this}
 i32.trunc_sat_f64_u
@@ -44,6 +66,22 @@ export const __${name}_prototype_toString = (_this: ${name}) => {
   }
 
   return name + ': ' + message;
+};
+
+export const __${name}_prototype_stack$get = (_this: ${name}) => {
+  let out: any = __${name}_prototype_toString(_this);
+
+  // frames captured when constructed, count (u32) then string pointers
+  const frames: i32 = Porffor.wasm.i32.load(_this, 0, 8);
+  if (frames == 0) return out;
+
+  const count: i32 = Porffor.wasm.i32.load(frames, 0, 0);
+  for (let i: i32 = 0; i < count; i++) {
+    const frame: string = Porffor.wasm.i32.load(frames + i * 4, 0, 4);
+    out += '\\n    at ' + frame;
+  }
+
+  return out;
 };\n`;
   };
 
@@ -55,14 +93,42 @@ export const __${name}_prototype_toString = (_this: ${name}) => {
   error('RangeError');
   error('EvalError');
   error('URIError');
+  error('SuppressedError', [ 'error', 'suppressed' ]);
+  error('DOMException', [ 'name' ]);
   error('Test262Error');
 
+  // https://webidl.spec.whatwg.org/#dfn-error-names-table
+  const domExceptionCodes = [ 'IndexSizeError', null, 'HierarchyRequestError', 'WrongDocumentError', 'InvalidCharacterError', null, 'NoModificationAllowedError', 'NotFoundError', 'NotSupportedError', 'InUseAttributeError', 'InvalidStateError', 'SyntaxError', 'InvalidModificationError', 'NamespaceError', 'InvalidAccessError', null, 'TypeMismatchError', 'SecurityError', 'NetworkError', 'AbortError', 'URLMismatchError', 'QuotaExceededError', 'TimeoutError', 'InvalidNodeTypeError', 'DataCloneError' ];
+  out += `
+// legacy code of the name, 0 if it has none
+export const __DOMException_prototype_code$get = (_this: DOMException) => {
+  const name: any = _this.name;
+${domExceptionCodes.map((x, i) => x && `  if (name == '${x}') return ${i + 1};\n`).filter(x => x).join('')}  return 0;
+};
+`;
+
   out += `
 export const __Test262Error_thrower = message => {
   throw new Test262Error(message);
 };
 
-export const __Error_isError = (x: unknown): boolean => Porffor.fastAnd(Porffor.type(x) >= Porffor.TYPES.error, Porffor.type(x) <= Porffor.TYPES.test262error);`;
+export const __Error_isError = (x: unknown): boolean => Porffor.fastAnd(Porffor.type(x) >= Porffor.TYPES.error, Porffor.type(x) <= Porffor.TYPES.test262error);
+
+// prints uncaught exceptions for native, with the stack for errors (see 2c.js)
+export const __Porffor_printUncaught = (value: any): void => {
+  Porffor.printStatic('Uncaught ');
+  if (__Error_isError(value)) {
+    switch (Porffor.type(value)) {
+${errors.map(x => `      case Porffor.TYPES.${x.toLowerCase()}:
+        __Porffor_printString(__${x}_prototype_stack$get(value));
+        break;
+`).join('')}    }
+  } else {
+    __Porffor_print(value, false);
+  }
+
+  Porffor.printStatic('\\n');
+};`;
 
   return out;
 };
\ No newline at end of file
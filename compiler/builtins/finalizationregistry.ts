@@ -0,0 +1,90 @@
+import type {} from './porffor.d.ts';
+
+// registries are their cleanup callback (f64 + u8), pending (u8) then a cells array (i32)
+// of target, held value, unregister token. targets and tokens are held weakly by the gc (--gc),
+// which clears collected targets and marks the registry as pending
+
+export const FinalizationRegistry = function (cleanupCallback: any): FinalizationRegistry {
+  if (!new.target) throw new TypeError("Constructor FinalizationRegistry requires 'new'");
+
+  if (Porffor.type(cleanupCallback) != Porffor.TYPES.function) throw new TypeError('Cleanup callback for FinalizationRegistry needs to be a function');
+
+  const out: FinalizationRegistry = Porffor.malloc(16);
+  Porffor.wasm.f64.store(out, cleanupCallback, 0, 0);
+  Porffor.wasm.i32.store8(out, Porffor.type(cleanupCallback), 0, 8);
+
+  const cells: any[] = Porffor.malloc();
+  Porffor.wasm.i32.store(out, cells, 0, 12);
+
+  return out;
+};
+
+export const __FinalizationRegistry_prototype_register = (_this: FinalizationRegistry, target: any, heldValue: any, unregisterToken: any) => {
+  if (!Porffor.object.isObjectOrSymbol(target)) throw new TypeError('Target for FinalizationRegistry needs to be an object or symbol');
+  if (target === heldValue) throw new TypeError('Target and held value for FinalizationRegistry cannot be the same');
+  if (Porffor.fastAnd(unregisterToken !== undefined, !Porffor.object.isObjectOrSymbol(unregisterToken))) throw new TypeError('Unregister token for FinalizationRegistry needs to be an object or symbol');
+
+  const cells: any[] = Porffor.wasm.i32.load(_this, 0, 12);
+  Porffor.array.fastPush(cells, target);
+  Porffor.array.fastPush(cells, heldValue);
+  Porffor.array.fastPush(cells, unregisterToken);
+};
+
+export const __FinalizationRegistry_prototype_unregister = (_this: FinalizationRegistry, unregisterToken: any) => {
+  if (!Porffor.object.isObjectOrSymbol(unregisterToken)) throw new TypeError('Unregister token for FinalizationRegistry needs to be an object or symbol');
+
+  const cells: any[] = Porffor.wasm.i32.load(_this, 0, 12);
+  const len: i32 = cells.length;
+
+  let removed: boolean = false;
+  let j: i32 = 0;
+  for (let i: i32 = 0; i < len; i += 3) {
+    if (cells[i + 2] === unregisterToken) {
+      removed = true;
+    } else {
+      cells[j] = cells[i];
+      cells[j + 1] = cells[i + 1];
+      cells[j + 2] = cells[i + 2];
+      j += 3;
+    }
+  }
+
+  cells.length = j;
+  return removed;
+};
+
+// called by the gc after collecting, queues a cleanup job for each cell with a cleared target
+export const __Porffor_finalizationRegistry_cleanup = (registry: FinalizationRegistry): void => {
+  Porffor.wasm.i32.store8(registry, 0, 0, 9);
+
+  let callback: any;
+  Porffor.wasm`local.get ${registry}
+i32.to_u
+f64.load 0 0
+local.set ${callback}
+
+local.get ${registry}
+i32.to_u
+i32.load8_u 0 8
+local.set ${callback+1}`;
+
+  const cells: any[] = Porffor.wasm.i32.load(registry, 0, 12);
+  const len: i32 = cells.length;
+
+  let j: i32 = 0;
+  for (let i: i32 = 0; i < len; i += 3) {
+    if (cells[i] === undefined) {
+      __ecma262_HostEnqueuePromiseJob(__ecma262_NewPromiseReactionJob(__Porffor_promise_newReaction(callback, undefined, 0), cells[i + 1]));
+    } else {
+      cells[j] = cells[i];
+      cells[j + 1] = cells[i + 1];
+      cells[j + 2] = cells[i + 2];
+      j += 3;
+    }
+  }
+
+  cells.length = j;
+};
+
+export const __FinalizationRegistry_prototype_toString = (_this: FinalizationRegistry) => '[object FinalizationRegistry]';
+export const __FinalizationRegistry_prototype_toLocaleString = (_this: FinalizationRegistry) => __FinalizationRegistry_prototype_toString(_this);
@@ -0,0 +1,201 @@
+import type {} from './porffor.d.ts';
+
+// node:fs subset using host imports (see wrap.js and 2c.js), paths are given as utf-8
+//  fsRead(path, pathLen): read a file (or stdin if pathLen is -1) into a pending buffer, returns its size
+//  fsReaddir(path, pathLen): read the names of a directory, each followed by \0, into the pending buffer
+//  fsTake(dst): copy the pending buffer to dst
+//  fsWrite(path, pathLen, data, dataLen, append): write (or append) bytes to a file
+//  fsStat(path, pathLen, dst): write size and mtime (f64s) to dst, returns 1 for files, 2 for dirs and 3 otherwise
+// negative returns are errors, see __Porffor_fs_throw
+
+let pathLength: i32 = 0;
+
+// encode a path for the host, its length is left in pathLength
+// note: call this before (not in the args of) the import as 2c may reorder args
+export const __Porffor_fs_path = (path: any): i32 => {
+  if (Porffor.fastAnd(Porffor.type(path) != Porffor.TYPES.string, Porffor.type(path) != Porffor.TYPES.bytestring))
+    throw new TypeError('The "path" argument must be of type string');
+
+  const len: i32 = __Porffor_encoding_utf8Length(path);
+  const ptr: i32 = Porffor.malloc(len);
+  __Porffor_encoding_utf8Write(path, ptr, len);
+
+  pathLength = len;
+  return ptr;
+};
+
+export const __Porffor_fs_throw = (status: i32, syscall: bytestring, path: any): void => {
+  // code and errno as node gives them (on linux)
+  let code: bytestring;
+  let errno: i32;
+  let message: bytestring;
+  if (status == -1) {
+    code = 'ENOENT';
+    errno = -2;
+    message = 'no such file or directory';
+  } else if (status == -2) {
+    code = 'EACCES';
+    errno = -13;
+    message = 'permission denied';
+  } else if (status == -3) {
+    code = 'EISDIR';
+    errno = -21;
+    message = 'illegal operation on a directory';
+  } else if (status == -4) {
+    code = 'ENOTDIR';
+    errno = -20;
+    message = 'not a directory';
+  } else {
+    code = 'EIO';
+    errno = -5;
+    message = 'i/o error';
+  }
+
+  // made before throwing as thrown literals cannot have dynamic messages
+  message = code + ': ' + message + ', ' + syscall;
+  if (path !== undefined) message += " '" + path + "'";
+
+  const err: Error = new Error(message);
+  err.errno = errno;
+  err.code = code;
+  err.syscall = syscall;
+  if (path !== undefined) err.path = path;
+  throw err;
+};
+
+// only utf-8 is supported, no encoding gives bytes
+export const __Porffor_fs_utf8 = (options: any): boolean => {
+  let encoding: any = options;
+  if (Porffor.object.isObject(options)) encoding = options.encoding;
+
+  if (encoding == null) return false;
+  if (Porffor.fastOr(encoding == 'utf8', encoding == 'utf-8')) return true;
+
+  const err: TypeError = new TypeError('Unknown encoding: ' + encoding);
+  throw err;
+};
+
+// take the pending buffer from the host
+export const __Porffor_fs_take = (size: i32): Uint8Array => {
+  const out: Uint8Array = new Uint8Array(size);
+  fsTake(Porffor.wasm.i32.load(out, 0, 4) + 4);
+
+  return out;
+};
+
+export const __Porffor_fs_decode = (bytes: Uint8Array): any => {
+  // like node, do not strip a bom
+  const options: object = {};
+  options.ignoreBOM = true;
+
+  const decoder: TextDecoder = new TextDecoder('utf-8', options);
+  return decoder.decode(bytes);
+};
+
+export const __Porffor_fs_readFileSync = (path: any, options: any): any => {
+  const utf8: boolean = __Porffor_fs_utf8(options);
+
+  // fd 0 is stdin
+  let size: i32;
+  if (path === 0) {
+    size = fsRead(0, -1);
+  } else {
+    const pathPtr: i32 = __Porffor_fs_path(path);
+    size = fsRead(pathPtr, pathLength);
+  }
+
+  if (size < 0) {
+    // like node, directories open but fail to read
+    if (size == -3) __Porffor_fs_throw(size, 'read', undefined);
+    __Porffor_fs_throw(size, 'open', path);
+  }
+
+  const bytes: Uint8Array = __Porffor_fs_take(size);
+  if (utf8) return __Porffor_fs_decode(bytes);
+  return bytes;
+};
+
+export const __Porffor_fs_writeFileSync = (path: any, data: any, options: any): void => {
+  let append: boolean = false;
+  if (Porffor.object.isObject(options)) {
+    const flag: any = options.flag;
+    if (flag == 'a') append = true;
+      else if (flag != null && flag != 'w') {
+        const err: TypeError = new TypeError('Unsupported flag: ' + flag);
+        throw err;
+      }
+  }
+
+  const pathPtr: i32 = __Porffor_fs_path(path);
+  const pathLen: i32 = pathLength;
+
+  let ptr: i32, len: i32;
+  if (Porffor.fastOr(Porffor.type(data) == Porffor.TYPES.string, Porffor.type(data) == Porffor.TYPES.bytestring)) {
+    len = __Porffor_encoding_utf8Length(data);
+    ptr = Porffor.malloc(len);
+    __Porffor_encoding_utf8Write(data, ptr, len);
+  } else {
+    if (!__ArrayBuffer_isView(data)) throw new TypeError('The "data" argument must be of type string or an instance of Buffer, TypedArray, or DataView');
+
+    ptr = __Porffor_encoding_bufferPtr(data);
+    len = __Porffor_encoding_bufferLength(data);
+  }
+
+  const status: i32 = fsWrite(pathPtr, pathLen, ptr, len, append);
+  if (status < 0) __Porffor_fs_throw(status, 'open', path);
+};
+
+export const __Porffor_fs_existsSync = (path: any): boolean => {
+  if (Porffor.fastAnd(Porffor.type(path) != Porffor.TYPES.string, Porffor.type(path) != Porffor.TYPES.bytestring)) return false;
+
+  const pathPtr: i32 = __Porffor_fs_path(path);
+  return fsStat(pathPtr, pathLength, Porffor.malloc(16)) > 0;
+};
+
+export const __Porffor_fs_readdirSync = (path: any): any[] => {
+  const pathPtr: i32 = __Porffor_fs_path(path);
+  const size: i32 = fsReaddir(pathPtr, pathLength);
+  if (size < 0) __Porffor_fs_throw(size, 'scandir', path);
+
+  const out: any[] = Porffor.malloc();
+  if (size == 0) return out;
+
+  const names: any = __Porffor_fs_decode(__Porffor_fs_take(size));
+  let start: i32 = 0;
+  for (let i: i32 = 0; i < names.length; i++) {
+    if (names.charCodeAt(i) == 0) {
+      Porffor.array.fastPush(out, names.slice(start, i));
+      start = i + 1;
+    }
+  }
+
+  // hosts may list in any order, node sorts
+  __Array_prototype_sort(out, undefined);
+  return out;
+};
+
+// stats methods cannot see the stats without closures so give one of these
+export const __Porffor_fs_statsTrue = (): boolean => true;
+export const __Porffor_fs_statsFalse = (): boolean => false;
+
+export const __Porffor_fs_statSync = (path: any, options: any): any => {
+  const pathPtr: i32 = __Porffor_fs_path(path);
+  const buf: i32 = Porffor.malloc(16);
+  const kind: i32 = fsStat(pathPtr, pathLength, buf);
+  if (kind < 0) {
+    if (Porffor.fastAnd(kind == -1, Porffor.object.isObject(options))) {
+      if (options.throwIfNoEntry === false) return undefined;
+    }
+
+    __Porffor_fs_throw(kind, 'stat', path);
+  }
+
+  const out: object = {};
+  out.size = Porffor.wasm.f64.load(buf, 0, 0);
+  out.mtimeMs = Porffor.wasm.f64.load(buf, 0, 8);
+  out.mtime = new Date(out.mtimeMs);
+  out.isFile = kind == 1 ? __Porffor_fs_statsTrue : __Porffor_fs_statsFalse;
+  out.isDirectory = kind == 2 ? __Porffor_fs_statsTrue : __Porffor_fs_statsFalse;
+
+  return out;
+};
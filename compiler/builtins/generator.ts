@@ -1,78 +1,106 @@
 import type {} from './porffor.d.ts';
 
-export const __Porffor_Generator = (values: any[]): __Porffor_Generator => {
-  return values as __Porffor_Generator;
-};
+// generators are resumable funcs (see generators in codegen), their values hold:
+//   0 state (0 = suspended start, 1 = suspended yield, 2 = executing, 3 = completed), 4 yield to resume at,
+//   8 func (indirect index), 12 count of value and type pairs, 16 saved frame (the pairs, then other locals)
 
-export const __Porffor_Generator_yield = (vals: any[], value: any): void => {
-  const len: i32 = Porffor.array.fastPush(vals, value);
+// the generator being resumed, for its func to restore the frame of
+let resumingGenerator: i32 = 0;
 
-  // add 1 to length so done is not true until after yields
-  vals.length = len + 1;
-};
+// what was sent into the generator, by next (0), throw (1) or return (2)
+let generatorSent: any;
+let generatorSentKind: i32 = 0;
 
-export const __Porffor_Generator_return = (vals: any[], value: any): __Porffor_Generator => {
-  vals.length = 1;
-  vals[0] = value;
+export const __Porffor_Generator_resuming = (): i32 => {
+  const gen: i32 = resumingGenerator;
+  resumingGenerator = 0;
+  return gen;
+};
 
-  return vals as __Porffor_Generator;
+export const __Porffor_Generator_sent = (): any => generatorSent;
+
+export const __Porffor_Generator_sentKind = (): i32 => generatorSentKind;
+
+// GeneratorResume and GeneratorResumeAbrupt, returning the value yielded or returned
+// the generator is done if its state is then completed
+export const __Porffor_Generator_resume = (gen: any, value: any, kind: i32): any => {
+  let state: i32 = Porffor.wasm.i32.load(gen, 0, 0);
+  if (state == 2) throw new TypeError('Generator is already running');
+
+  // returning or throwing before starting completes it without running
+  if (Porffor.fastAnd(state == 0, kind != 0)) {
+    state = 3;
+    Porffor.wasm.i32.store(gen, 3, 0, 0);
+  }
+
+  if (state == 3) {
+    if (kind == 1) throw value;
+    if (kind == 2) return value;
+    return undefined;
+  }
+
+  Porffor.wasm.i32.store(gen, 2, 0, 0);
+  resumingGenerator = gen;
+  generatorSent = value;
+  generatorSentKind = kind;
+
+  const fn: Function = Porffor.wasm.i32.load(gen, 0, 8);
+  try {
+    return fn();
+  } catch (e) {
+    Porffor.wasm.i32.store(gen, 3, 0, 0);
+    throw e;
+  }
 };
 
-export const __Porffor_Generator_prototype_next = (vals: any[]) => {
+export const __Porffor_Generator_done = (gen: any): boolean => Porffor.wasm.i32.load(gen, 0, 0) == 3;
+
+export const __Porffor_Generator_prototype_next = (_this: __Porffor_Generator, value: any) => {
   const obj: object = {};
-  obj.value = vals.shift();
-  obj.done = vals.length == 0;
+  obj.value = __Porffor_Generator_resume(_this, value, 0);
+  obj.done = __Porffor_Generator_done(_this);
 
   return obj;
 };
 
-export const __Porffor_Generator_prototype_return = (vals: any[], value: any) => {
-  vals.length = 1;
-  vals[0] = value;
-
-  return __Porffor_Generator_prototype_next(vals);
-};
+export const __Porffor_Generator_prototype_return = (_this: __Porffor_Generator, value: any) => {
+  const obj: object = {};
+  obj.value = __Porffor_Generator_resume(_this, value, 2);
+  obj.done = __Porffor_Generator_done(_this);
 
-export const __Porffor_Generator_prototype_throw = (vals: any[], value: any) => {
-  vals.length = 0;
-  throw value;
+  return obj;
 };
 
+export const __Porffor_Generator_prototype_throw = (_this: __Porffor_Generator, value: any) => {
+  const obj: object = {};
+  obj.value = __Porffor_Generator_resume(_this, value, 1);
+  obj.done = __Porffor_Generator_done(_this);
 
-export const __Porffor_AsyncGenerator = (values: any[]): __Porffor_AsyncGenerator => {
-  return values as __Porffor_AsyncGenerator;
+  return obj;
 };
 
-export const __Porffor_AsyncGenerator_yield = (vals: any[], value: any): void => {
-  const len: i32 = Porffor.array.fastPush(vals, value);
-
-  // add 1 to length so done is not true until after yields
-  vals.length = len + 1;
-};
 
-export const __Porffor_AsyncGenerator_return = (vals: any[], value: any): __Porffor_AsyncGenerator => {
-  vals.length = 1;
-  vals[0] = value;
+// async generators await what they yield and return, so their results are just wrapped in promises
+export const __Porffor_AsyncGenerator_prototype_next = async (_this: __Porffor_AsyncGenerator, value: any) => {
+  const obj: object = {};
+  obj.value = __Porffor_Generator_resume(_this, value, 0);
+  obj.done = __Porffor_Generator_done(_this);
 
-  return vals as __Porffor_AsyncGenerator;
+  return obj;
 };
 
-export const __Porffor_AsyncGenerator_prototype_next = async (vals: any[]) => {
+export const __Porffor_AsyncGenerator_prototype_return = async (_this: __Porffor_AsyncGenerator, value: any) => {
   const obj: object = {};
-  obj.value = await vals.shift();
-  obj.done = vals.length == 0;
+  obj.value = __Porffor_Generator_resume(_this, await value, 2);
+  obj.done = __Porffor_Generator_done(_this);
 
   return obj;
 };
 
-export const __Porffor_AsyncGenerator_prototype_return = async (vals: any[], value: any) => {
-  vals.length = 1;
-  vals[0] = await value;
+export const __Porffor_AsyncGenerator_prototype_throw = async (_this: __Porffor_AsyncGenerator, value: any) => {
+  const obj: object = {};
+  obj.value = __Porffor_Generator_resume(_this, value, 1);
+  obj.done = __Porffor_Generator_done(_this);
 
-  return await __Porffor_AsyncGenerator_prototype_next(vals);
+  return obj;
 };
-
-export const __Porffor_AsyncGenerator_prototype_throw = async (vals: any[], value: any) => {
-  vals.length = 0;
-  throw await value;
-};
\ No newline at end of file
@@ -0,0 +1,2198 @@
+import type {} from './porffor.d.ts';
+
+// interpreter for eval and new Function of runtime strings, only used with --eval-interpreter
+// source is parsed into an ast of arrays which is then walked
+// interpreted functions are proxies with the interpreter as their apply trap so anything can call them
+// interpreted code sees its own variables and globals, not local variables of the code calling eval
+
+// __ast structure__
+// nodes are arrays of [ kind, ...operands ]
+//  expressions:
+//   literal - 1: value
+//   identifier - 2: name
+//   this - 3
+//   array - 4: elements (holes are undefined literals)
+//   object - 5: props ([ 0, key (expression), value, is spread ])
+//   function - 6: name, params ([ 0, name, default, is rest ]), body, flags (arrow - 0b01, expression body - 0b10), var names
+//   template - 7: strings, expressions
+//   unary - 8: op, argument
+//   update - 9: op, is prefix, target
+//   binary - 10: op, left, right
+//   logical - 11: op, left, right
+//   conditional - 12: test, consequent, alternate
+//   assignment - 13: op, target, value
+//   sequence - 14: expressions
+//   member - 15: object, property (expression), is optional
+//   call - 16: callee, args, is optional
+//   new - 17: callee, args
+//   spread - 18: argument
+//   regexp - 19: source, flags
+//   optional chain - 20: expression
+//  statements:
+//   declaration - 30: kind, declarators ([ 0, name, init ])
+//   function declaration - 31: name, function
+//   return - 32: argument
+//   if - 33: test, consequent, alternate
+//   for - 34: init, test, update, body
+//   for..in - 35: kind, name, object, body
+//   for..of - 36: kind, name, iterable, body
+//   while - 37: test, body
+//   do..while - 38: body, test
+//   break - 39
+//   continue - 40
+//   throw - 41: argument
+//   try - 42: block, catch param, catch block, finally block
+//   block - 43: body, needs own scope
+//   expression - 44: expression
+//   empty - 45
+//   switch - 46: discriminant, cases ([ 0, test, body, is default ])
+
+// scopes are [ vars, parent, consts ]
+// this and arguments are stored as variables of function scopes
+
+// todo: not globals when closures work well
+let src: any, srcLen: i32, pos: i32;
+
+// current token
+//  0 - end of input
+//  1 - number
+//  2 - string
+//  3 - identifier or keyword
+//  4 - punctuator
+let tokType: i32, tokValue: any, tokStart: i32, tokNewline: boolean;
+
+// var names of the function being parsed, for hoisting
+let funcVars: any[];
+
+// in is not a binary operator in for..in heads
+let noIn: boolean;
+
+// return is only allowed in functions
+let inFunction: boolean;
+
+export const __Porffor_interp_node = (kind: i32, a: any, b: any, c: any, d: any, e: any): any[] => {
+  const out: any[] = Porffor.malloc(58);
+  out[0] = kind;
+  out[1] = a;
+  out[2] = b;
+  out[3] = c;
+  out[4] = d;
+  out[5] = e;
+  out.length = 6;
+  return out;
+};
+
+export const __Porffor_interp_list = (): any[] => {
+  const out: any[] = Porffor.malloc();
+  return out;
+};
+
+// made before throwing as thrown literals cannot have dynamic messages
+export const __Porffor_interp_syntaxError = (message: any): void => {
+  const err: SyntaxError = new SyntaxError(message);
+  throw err;
+};
+
+export const __Porffor_interp_typeError = (message: any): void => {
+  const err: TypeError = new TypeError(message);
+  throw err;
+};
+
+export const __Porffor_interp_referenceError = (message: any): void => {
+  const err: ReferenceError = new ReferenceError(message);
+  throw err;
+};
+
+export const __Porffor_interp_isIdStart = (c: i32): boolean => {
+  return (c >= 97 && c <= 122) || (c >= 65 && c <= 90) || c == 36 || c == 95 || c > 127;
+};
+
+export const __Porffor_interp_isIdPart = (c: i32): boolean => {
+  return __Porffor_interp_isIdStart(c) || (c >= 48 && c <= 57);
+};
+
+export const __Porffor_interp_isNewline = (c: i32): boolean => {
+  return c == 10 || c == 13 || c == 0x2028 || c == 0x2029;
+};
+
+export const __Porffor_interp_charAt = (i: i32): i32 => {
+  if (i >= srcLen) return 0;
+  return src.charCodeAt(i);
+};
+
+export const __Porffor_interp_hex = (c: i32): i32 => {
+  if (c >= 48 && c <= 57) return c - 48; // 0-9
+  if (c >= 65 && c <= 70) return c - 55; // A-F
+  if (c >= 97 && c <= 102) return c - 87; // a-f
+  throw new SyntaxError('Invalid hexadecimal escape sequence');
+};
+
+// read an escape sequence after a backslash, returning the string it is
+export const __Porffor_interp_escape = (): any => {
+  const c: i32 = __Porffor_interp_charAt(pos++);
+  if (c == 110) return '\n'; // \n
+  if (c == 116) return '\t'; // \t
+  if (c == 114) return '\r'; // \r
+  if (c == 98) return '\b'; // \b
+  if (c == 102) return '\f'; // \f
+  if (c == 118) return '\v'; // \v
+  if (c == 48 && !(__Porffor_interp_charAt(pos) >= 48 && __Porffor_interp_charAt(pos) <= 57)) return '\0'; // \0
+
+  if (c == 120) { // \x
+    const code: i32 = __Porffor_interp_hex(__Porffor_interp_charAt(pos)) * 16 + __Porffor_interp_hex(__Porffor_interp_charAt(pos + 1));
+    pos += 2;
+    return String.fromCharCode(code);
+  }
+
+  if (c == 117) { // \u
+    let code: i32 = 0;
+    if (__Porffor_interp_charAt(pos) == 123) { // \u{...}
+      pos++;
+      while (__Porffor_interp_charAt(pos) != 125) {
+        if (pos >= srcLen) throw new SyntaxError('Invalid Unicode escape sequence');
+        code = code * 16 + __Porffor_interp_hex(__Porffor_interp_charAt(pos++));
+      }
+      pos++;
+      return String.fromCodePoint(code);
+    }
+
+    for (let i: i32 = 0; i < 4; i++) code = code * 16 + __Porffor_interp_hex(__Porffor_interp_charAt(pos++));
+    return String.fromCharCode(code);
+  }
+
+  // line continuation
+  if (c == 13 && __Porffor_interp_charAt(pos) == 10) pos++;
+  if (__Porffor_interp_isNewline(c)) return '';
+
+  return String.fromCharCode(c);
+};
+
+export const __Porffor_interp_punctLength = (c: i32): i32 => {
+  const c1: i32 = __Porffor_interp_charAt(pos + 1);
+  const c2: i32 = __Porffor_interp_charAt(pos + 2);
+
+  // { } ( ) [ ] ; , ~ :
+  if (c == 123 || c == 125 || c == 40 || c == 41 || c == 91 || c == 93 || c == 59 || c == 44 || c == 126 || c == 58) return 1;
+
+  if (c == 46) { // .
+    if (c1 == 46 && c2 == 46) return 3; // ...
+    return 1;
+  }
+
+  if (c == 63) { // ?
+    if (c1 == 63) return c2 == 61 ? 3 : 2; // ??= ??
+    if (c1 == 46 && !(c2 >= 48 && c2 <= 57)) return 2; // ?.
+    return 1;
+  }
+
+  if (c == 61 || c == 33) { // = !
+    if (c1 == 61) return c2 == 61 ? 3 : 2; // === == !== !=
+    if (c == 61 && c1 == 62) return 2; // =>
+    return 1;
+  }
+
+  if (c == 60 || c == 62) { // < >
+    if (c1 == c) {
+      if (c == 62 && c2 == 62) return __Porffor_interp_charAt(pos + 3) == 61 ? 4 : 3; // >>>= >>>
+      return c2 == 61 ? 3 : 2; // <<= >>= << >>
+    }
+    return c1 == 61 ? 2 : 1; // <= >= < >
+  }
+
+  if (c == 42) { // *
+    if (c1 == 42) return c2 == 61 ? 3 : 2; // **= **
+    return c1 == 61 ? 2 : 1; // *= *
+  }
+
+  if (c == 38 || c == 124) { // & |
+    if (c1 == c) return c2 == 61 ? 3 : 2; // &&= ||= && ||
+    return c1 == 61 ? 2 : 1; // &= |= & |
+  }
+
+  if (c == 43 || c == 45) { // + -
+    return c1 == c || c1 == 61 ? 2 : 1; // ++ += -- -= + -
+  }
+
+  // / % ^
+  if (c == 47 || c == 37 || c == 94) return c1 == 61 ? 2 : 1;
+
+  // `
+  if (c == 96) return 1;
+
+  return 0;
+};
+
+export const __Porffor_interp_next = (): void => {
+  tokNewline = false;
+
+  // skip whitespace and comments
+  while (pos < srcLen) {
+    const c: i32 = src.charCodeAt(pos);
+    if (__Porffor_interp_isNewline(c)) {
+      tokNewline = true;
+      pos++;
+    } else if (c == 32 || c == 9 || c == 11 || c == 12 || c == 0xa0 || c == 0xfeff) {
+      pos++;
+    } else if (c == 47 && __Porffor_interp_charAt(pos + 1) == 47) { // //
+      while (pos < srcLen && !__Porffor_interp_isNewline(src.charCodeAt(pos))) pos++;
+    } else if (c == 47 && __Porffor_interp_charAt(pos + 1) == 42) { // /*
+      pos += 2;
+      while (true) {
+        if (pos >= srcLen) throw new SyntaxError('Unterminated comment');
+
+        const c2: i32 = src.charCodeAt(pos++);
+        if (c2 == 42 && __Porffor_interp_charAt(pos) == 47) {
+          pos++;
+          break;
+        }
+
+        if (__Porffor_interp_isNewline(c2)) tokNewline = true;
+      }
+    } else break;
+  }
+
+  tokStart = pos;
+  if (pos >= srcLen) {
+    tokType = 0;
+    tokValue = undefined;
+    return;
+  }
+
+  const c: i32 = src.charCodeAt(pos);
+  if (__Porffor_interp_isIdStart(c)) {
+    pos++;
+    while (pos < srcLen && __Porffor_interp_isIdPart(src.charCodeAt(pos))) pos++;
+
+    tokType = 3;
+    tokValue = src.slice(tokStart, pos);
+    return;
+  }
+
+  if ((c >= 48 && c <= 57) || (c == 46 && __Porffor_interp_charAt(pos + 1) >= 48 && __Porffor_interp_charAt(pos + 1) <= 57)) {
+    const c1: i32 = __Porffor_interp_charAt(pos + 1) | 32;
+    if (c == 48 && (c1 == 120 || c1 == 111 || c1 == 98)) { // 0x 0o 0b
+      pos += 2;
+      while (pos < srcLen && __Porffor_interp_isIdPart(src.charCodeAt(pos))) pos++;
+    } else {
+      while (pos < srcLen) {
+        const ch: i32 = src.charCodeAt(pos);
+        if ((ch >= 48 && ch <= 57) || ch == 46) pos++;
+          else break;
+      }
+    }
+
+    // exponent is applied separately as StringToNumber does not support it
+    const end: i32 = pos;
+    let exponent: i32 = 0;
+    if ((__Porffor_interp_charAt(pos) | 32) == 101) { // e E
+      pos++;
+
+      let negative: boolean = false;
+      const sign: i32 = __Porffor_interp_charAt(pos);
+      if (sign == 43 || sign == 45) {
+        negative = sign == 45;
+        pos++;
+      }
+
+      const digitsStart: i32 = pos;
+      while (__Porffor_interp_charAt(pos) >= 48 && __Porffor_interp_charAt(pos) <= 57) exponent = exponent * 10 + (src.charCodeAt(pos++) - 48);
+      if (pos == digitsStart) throw new SyntaxError('Invalid or unexpected token');
+      if (negative) exponent = -exponent;
+    }
+
+    if (pos < srcLen && __Porffor_interp_isIdPart(src.charCodeAt(pos))) throw new SyntaxError('Invalid or unexpected token');
+
+    let value: number = ecma262.StringToNumber(src.slice(tokStart, end));
+    if (Number.isNaN(value)) throw new SyntaxError('Invalid or unexpected token');
+    if (exponent > 0) value *= 10 ** exponent;
+    if (exponent < 0) value /= 10 ** -exponent;
+
+    tokType = 1;
+    tokValue = value;
+    return;
+  }
+
+  if (c == 34 || c == 39) { // " '
+    pos++;
+    let out: any = '';
+    let start: i32 = pos;
+    while (true) {
+      if (pos >= srcLen) throw new SyntaxError('Invalid or unexpected token');
+
+      const ch: i32 = src.charCodeAt(pos);
+      if (ch == c) break;
+      if (__Porffor_interp_isNewline(ch)) throw new SyntaxError('Invalid or unexpected token');
+
+      if (ch == 92) { // \
+        out += src.slice(start, pos);
+        pos++;
+        out += __Porffor_interp_escape();
+        start = pos;
+      } else {
+        pos++;
+      }
+    }
+
+    out += src.slice(start, pos);
+    pos++;
+
+    tokType = 2;
+    tokValue = out;
+    return;
+  }
+
+  const len: i32 = __Porffor_interp_punctLength(c);
+  if (len == 0) throw new SyntaxError('Invalid or unexpected token');
+
+  pos += len;
+  tokType = 4;
+  tokValue = src.slice(tokStart, pos);
+};
+
+// read part of a template literal after ` or }, true if the end of the template was reached
+let templateString: any;
+export const __Porffor_interp_templatePart = (): boolean => {
+  let out: any = '';
+  let start: i32 = pos;
+  while (true) {
+    if (pos >= srcLen) throw new SyntaxError('Unterminated template literal');
+
+    const ch: i32 = src.charCodeAt(pos);
+    if (ch == 96) { // `
+      templateString = out + src.slice(start, pos);
+      pos++;
+      return true;
+    }
+
+    if (ch == 36 && __Porffor_interp_charAt(pos + 1) == 123) { // ${
+      templateString = out + src.slice(start, pos);
+      pos += 2;
+      return false;
+    }
+
+    if (ch == 92) { // \
+      out += src.slice(start, pos);
+      pos++;
+      out += __Porffor_interp_escape();
+      start = pos;
+    } else {
+      pos++;
+    }
+  }
+};
+
+// read a regexp literal starting at the current / or /= token
+export const __Porffor_interp_regexp = (): any[] => {
+  pos = tokStart + 1;
+
+  let inClass: boolean = false;
+  while (true) {
+    if (pos >= srcLen) throw new SyntaxError('Invalid regular expression: missing /');
+
+    const ch: i32 = src.charCodeAt(pos);
+    if (__Porffor_interp_isNewline(ch)) throw new SyntaxError('Invalid regular expression: missing /');
+
+    if (ch == 92) { // \
+      pos += 2;
+      continue;
+    }
+
+    if (ch == 91) inClass = true; // [
+      else if (ch == 93) inClass = false; // ]
+      else if (ch == 47 && !inClass) break; // /
+
+    pos++;
+  }
+
+  const source: any = src.slice(tokStart + 1, pos);
+  pos++;
+
+  const flagsStart: i32 = pos;
+  while (pos < srcLen && __Porffor_interp_isIdPart(src.charCodeAt(pos))) pos++;
+
+  const out: any[] = __Porffor_interp_node(19, source, src.slice(flagsStart, pos), undefined, undefined, undefined);
+  __Porffor_interp_next();
+  return out;
+};
+
+export const __Porffor_interp_isPunct = (punct: any): boolean => {
+  return tokType == 4 && tokValue == punct;
+};
+
+export const __Porffor_interp_isWord = (word: any): boolean => {
+  return tokType == 3 && tokValue == word;
+};
+
+export const __Porffor_interp_unexpected = (): void => {
+  if (tokType == 0) throw new SyntaxError('Unexpected end of input');
+  __Porffor_interp_syntaxError('Unexpected token ' + src.slice(tokStart, pos));
+};
+
+export const __Porffor_interp_eat = (punct: any): boolean => {
+  if (__Porffor_interp_isPunct(punct)) {
+    __Porffor_interp_next();
+    return true;
+  }
+
+  return false;
+};
+
+export const __Porffor_interp_expect = (punct: any): void => {
+  if (!__Porffor_interp_eat(punct)) __Porffor_interp_unexpected();
+};
+
+export const __Porffor_interp_semicolon = (): void => {
+  if (__Porffor_interp_eat(';')) return;
+  if (tokType == 0 || tokNewline || __Porffor_interp_isPunct('}')) return;
+  __Porffor_interp_unexpected();
+};
+
+export const __Porffor_interp_isReserved = (name: any): boolean => {
+  return name == 'var' || name == 'let' || name == 'const' || name == 'function' || name == 'return' ||
+    name == 'if' || name == 'else' || name == 'for' || name == 'while' || name == 'do' ||
+    name == 'break' || name == 'continue' || name == 'throw' || name == 'try' || name == 'catch' ||
+    name == 'finally' || name == 'switch' || name == 'case' || name == 'default' || name == 'new' ||
+    name == 'delete' || name == 'typeof' || name == 'void' || name == 'in' || name == 'instanceof' ||
+    name == 'this' || name == 'null' || name == 'true' || name == 'false' || name == 'class' ||
+    name == 'super' || name == 'import' || name == 'export' || name == 'with' || name == 'yield' ||
+    name == 'await' || name == 'async' || name == 'enum' || name == 'debugger';
+};
+
+export const __Porffor_interp_identifier = (): any => {
+  if (tokType != 3 || __Porffor_interp_isReserved(tokValue)) __Porffor_interp_unexpected();
+
+  const name: any = tokValue;
+  __Porffor_interp_next();
+  return name;
+};
+
+// save and restore the lexer to look ahead
+let savedPos: i32, savedType: i32, savedValue: any, savedStart: i32, savedNewline: boolean;
+export const __Porffor_interp_save = (): void => {
+  savedPos = pos;
+  savedType = tokType;
+  savedValue = tokValue;
+  savedStart = tokStart;
+  savedNewline = tokNewline;
+};
+
+export const __Porffor_interp_restore = (): void => {
+  pos = savedPos;
+  tokType = savedType;
+  tokValue = savedValue;
+  tokStart = savedStart;
+  tokNewline = savedNewline;
+};
+
+// if the current ( or identifier starts arrow function params
+export const __Porffor_interp_isArrow = (): boolean => {
+  __Porffor_interp_save();
+
+  let out: boolean = false;
+  if (tokType == 3) {
+    __Porffor_interp_next();
+    out = __Porffor_interp_isPunct('=>') && !tokNewline;
+  } else {
+    let depth: i32 = 0;
+    while (tokType != 0) {
+      if (tokType == 4) {
+        if (tokValue == '(' || tokValue == '[' || tokValue == '{') depth++;
+        if (tokValue == ')' || tokValue == ']' || tokValue == '}') depth--;
+      }
+
+      __Porffor_interp_next();
+      if (depth == 0) break;
+    }
+
+    out = __Porffor_interp_isPunct('=>') && !tokNewline;
+  }
+
+  __Porffor_interp_restore();
+  return out;
+};
+
+export const __Porffor_interp_parseParams = (): any[] => {
+  const params: any[] = __Porffor_interp_list();
+  __Porffor_interp_expect('(');
+  while (!__Porffor_interp_eat(')')) {
+    const rest: boolean = __Porffor_interp_eat('...');
+    const name: any = __Porffor_interp_identifier();
+    const init: any = __Porffor_interp_eat('=') ? __Porffor_interp_parseAssign() : undefined;
+    Porffor.array.fastPush(params, __Porffor_interp_node(0, name, init, rest, undefined, undefined));
+
+    if (rest) {
+      __Porffor_interp_expect(')');
+      break;
+    }
+
+    if (!__Porffor_interp_isPunct(')')) __Porffor_interp_expect(',');
+  }
+
+  return params;
+};
+
+export const __Porffor_interp_parseFunctionBody = (name: any, params: any[], flags: i32): any[] => {
+  const outerVars: any[] = funcVars;
+  const outerNoIn: boolean = noIn;
+  const outerInFunction: boolean = inFunction;
+  funcVars = __Porffor_interp_list();
+  noIn = false;
+  inFunction = true;
+
+  let body: any;
+  if (flags & 0b10) {
+    body = __Porffor_interp_parseAssign();
+  } else {
+    body = __Porffor_interp_list();
+    __Porffor_interp_expect('{');
+    while (!__Porffor_interp_eat('}')) {
+      if (tokType == 0) __Porffor_interp_unexpected();
+      Porffor.array.fastPush(body, __Porffor_interp_parseStatement());
+    }
+  }
+
+  const out: any[] = __Porffor_interp_node(6, name, params, body, flags, funcVars);
+  funcVars = outerVars;
+  noIn = outerNoIn;
+  inFunction = outerInFunction;
+  return out;
+};
+
+// after the function keyword
+export const __Porffor_interp_parseFunction = (): any[] => {
+  if (__Porffor_interp_isPunct('*')) throw new SyntaxError('Generators are not supported by the eval interpreter');
+
+  let name: any = undefined;
+  if (tokType == 3) name = __Porffor_interp_identifier();
+
+  const params: any[] = __Porffor_interp_parseParams();
+  return __Porffor_interp_parseFunctionBody(name, params, 0);
+};
+
+export const __Porffor_interp_parseArrow = (): any[] => {
+  let params: any[];
+  if (tokType == 3) {
+    params = __Porffor_interp_list();
+    Porffor.array.fastPush(params, __Porffor_interp_node(0, __Porffor_interp_identifier(), undefined, false, undefined, undefined));
+  } else {
+    params = __Porffor_interp_parseParams();
+  }
+
+  __Porffor_interp_expect('=>');
+  return __Porffor_interp_parseFunctionBody(undefined, params, __Porffor_interp_isPunct('{') ? 0b01 : 0b11);
+};
+
+export const __Porffor_interp_parseArgs = (): any[] => {
+  const args: any[] = __Porffor_interp_list();
+  __Porffor_interp_expect('(');
+  while (!__Porffor_interp_eat(')')) {
+    if (__Porffor_interp_eat('...')) {
+      Porffor.array.fastPush(args, __Porffor_interp_node(18, __Porffor_interp_parseAssign(), undefined, undefined, undefined, undefined));
+    } else {
+      Porffor.array.fastPush(args, __Porffor_interp_parseAssign());
+    }
+
+    if (!__Porffor_interp_isPunct(')')) __Porffor_interp_expect(',');
+  }
+
+  return args;
+};
+
+export const __Porffor_interp_parseTemplate = (): any[] => {
+  const strings: any[] = __Porffor_interp_list();
+  const exprs: any[] = __Porffor_interp_list();
+  while (true) {
+    const end: boolean = __Porffor_interp_templatePart();
+    Porffor.array.fastPush(strings, templateString);
+    if (end) break;
+
+    __Porffor_interp_next();
+    Porffor.array.fastPush(exprs, __Porffor_interp_parseExpression());
+    if (!__Porffor_interp_isPunct('}')) __Porffor_interp_unexpected();
+  }
+
+  __Porffor_interp_next();
+  return __Porffor_interp_node(7, strings, exprs, undefined, undefined, undefined);
+};
+
+export const __Porffor_interp_parseObject = (): any[] => {
+  const props: any[] = __Porffor_interp_list();
+  while (!__Porffor_interp_eat('}')) {
+    if (__Porffor_interp_eat('...')) {
+      Porffor.array.fastPush(props, __Porffor_interp_node(0, undefined, __Porffor_interp_parseAssign(), true, undefined, undefined));
+    } else {
+      let key: any[];
+      let name: any = undefined;
+      if (__Porffor_interp_eat('[')) {
+        key = __Porffor_interp_parseAssign();
+        __Porffor_interp_expect(']');
+      } else {
+        if (tokType == 1 || tokType == 2 || tokType == 3) {
+          if (tokType == 3) name = tokValue;
+          key = __Porffor_interp_node(1, tokType == 1 ? ecma262.ToString(tokValue) : tokValue, undefined, undefined, undefined, undefined);
+          __Porffor_interp_next();
+        } else {
+          __Porffor_interp_unexpected();
+        }
+
+        if (Porffor.fastAnd(name != null, tokType == 3, name == 'get' || name == 'set' || name == 'async'))
+          throw new SyntaxError('Accessors and async methods are not supported by the eval interpreter');
+      }
+
+      let value: any[];
+      if (__Porffor_interp_isPunct('(')) {
+        // method
+        value = __Porffor_interp_parseFunctionBody(name, __Porffor_interp_parseParams(), 0);
+      } else if (__Porffor_interp_eat(':')) {
+        value = __Porffor_interp_parseAssign();
+      } else {
+        // shorthand
+        if (name == null || __Porffor_interp_isReserved(name)) __Porffor_interp_unexpected();
+        value = __Porffor_interp_node(2, name, undefined, undefined, undefined, undefined);
+      }
+
+      Porffor.array.fastPush(props, __Porffor_interp_node(0, key, value, false, undefined, undefined));
+    }
+
+    if (!__Porffor_interp_isPunct('}')) __Porffor_interp_expect(',');
+  }
+
+  return __Porffor_interp_node(5, props, undefined, undefined, undefined, undefined);
+};
+
+export const __Porffor_interp_parsePrimary = (): any[] => {
+  if (tokType == 1 || tokType == 2) {
+    const value: any = tokValue;
+    __Porffor_interp_next();
+    return __Porffor_interp_node(1, value, undefined, undefined, undefined, undefined);
+  }
+
+  if (tokType == 3) {
+    const word: any = tokValue;
+    if (word == 'function') {
+      __Porffor_interp_next();
+      return __Porffor_interp_parseFunction();
+    }
+
+    if (word == 'this') {
+      __Porffor_interp_next();
+      return __Porffor_interp_node(3, undefined, undefined, undefined, undefined, undefined);
+    }
+
+    if (word == 'null' || word == 'true' || word == 'false') {
+      __Porffor_interp_next();
+      return __Porffor_interp_node(1, word == 'null' ? null : word == 'true', undefined, undefined, undefined, undefined);
+    }
+
+    if (word == 'class' || word == 'async' || word == 'await' || word == 'yield' || word == 'import' || word == 'super')
+      __Porffor_interp_syntaxError('Unsupported syntax for the eval interpreter: ' + word);
+
+    return __Porffor_interp_node(2, __Porffor_interp_identifier(), undefined, undefined, undefined, undefined);
+  }
+
+  if (tokType == 4) {
+    if (__Porffor_interp_eat('(')) {
+      const outerNoIn: boolean = noIn;
+      noIn = false;
+      const expr: any[] = __Porffor_interp_parseExpression();
+      noIn = outerNoIn;
+
+      __Porffor_interp_expect(')');
+      return expr;
+    }
+
+    if (__Porffor_interp_eat('[')) {
+      const elements: any[] = __Porffor_interp_list();
+      while (!__Porffor_interp_eat(']')) {
+        if (__Porffor_interp_eat(',')) {
+          Porffor.array.fastPush(elements, __Porffor_interp_node(1, undefined, undefined, undefined, undefined, undefined));
+          continue;
+        }
+
+        if (__Porffor_interp_eat('...')) {
+          Porffor.array.fastPush(elements, __Porffor_interp_node(18, __Porffor_interp_parseAssign(), undefined, undefined, undefined, undefined));
+        } else {
+          Porffor.array.fastPush(elements, __Porffor_interp_parseAssign());
+        }
+
+        if (!__Porffor_interp_isPunct(']')) __Porffor_interp_expect(',');
+      }
+
+      return __Porffor_interp_node(4, elements, undefined, undefined, undefined, undefined);
+    }
+
+    if (__Porffor_interp_eat('{')) return __Porffor_interp_parseObject();
+    if (__Porffor_interp_isPunct('`')) return __Porffor_interp_parseTemplate();
+    if (__Porffor_interp_isPunct('/') || __Porffor_interp_isPunct('/=')) return __Porffor_interp_regexp();
+  }
+
+  __Porffor_interp_unexpected();
+};
+
+export const __Porffor_interp_parseCall = (): any[] => {
+  let expr: any[];
+  if (__Porffor_interp_isWord('new')) {
+    __Porffor_interp_next();
+    if (__Porffor_interp_isPunct('.')) throw new SyntaxError('Unsupported syntax for the eval interpreter: new.target');
+
+    // callee cannot contain calls
+    let callee: any[] = __Porffor_interp_parsePrimary();
+    while (true) {
+      if (__Porffor_interp_eat('.')) {
+        if (tokType != 3) __Porffor_interp_unexpected();
+        callee = __Porffor_interp_node(15, callee, __Porffor_interp_node(1, tokValue, undefined, undefined, undefined, undefined), false, undefined, undefined);
+        __Porffor_interp_next();
+      } else if (__Porffor_interp_eat('[')) {
+        callee = __Porffor_interp_node(15, callee, __Porffor_interp_parseExpression(), false, undefined, undefined);
+        __Porffor_interp_expect(']');
+      } else break;
+    }
+
+    const args: any[] = __Porffor_interp_isPunct('(') ? __Porffor_interp_parseArgs() : __Porffor_interp_list();
+    expr = __Porffor_interp_node(17, callee, args, undefined, undefined, undefined);
+  } else {
+    expr = __Porffor_interp_parsePrimary();
+  }
+
+  let chain: boolean = false;
+  while (true) {
+    if (__Porffor_interp_eat('.')) {
+      if (tokType != 3) __Porffor_interp_unexpected();
+      expr = __Porffor_interp_node(15, expr, __Porffor_interp_node(1, tokValue, undefined, undefined, undefined, undefined), false, undefined, undefined);
+      __Porffor_interp_next();
+    } else if (__Porffor_interp_eat('?.')) {
+      chain = true;
+      if (__Porffor_interp_isPunct('(')) {
+        expr = __Porffor_interp_node(16, expr, __Porffor_interp_parseArgs(), true, undefined, undefined);
+      } else if (__Porffor_interp_eat('[')) {
+        expr = __Porffor_interp_node(15, expr, __Porffor_interp_parseExpression(), true, undefined, undefined);
+        __Porffor_interp_expect(']');
+      } else {
+        if (tokType != 3) __Porffor_interp_unexpected();
+        expr = __Porffor_interp_node(15, expr, __Porffor_interp_node(1, tokValue, undefined, undefined, undefined, undefined), true, undefined, undefined);
+        __Porffor_interp_next();
+      }
+    } else if (__Porffor_interp_eat('[')) {
+      const outerNoIn: boolean = noIn;
+      noIn = false;
+      expr = __Porffor_interp_node(15, expr, __Porffor_interp_parseExpression(), false, undefined, undefined);
+      noIn = outerNoIn;
+      __Porffor_interp_expect(']');
+    } else if (__Porffor_interp_isPunct('(')) {
+      expr = __Porffor_interp_node(16, expr, __Porffor_interp_parseArgs(), false, undefined, undefined);
+    } else if (__Porffor_interp_isPunct('`')) {
+      throw new SyntaxError('Tagged templates are not supported by the eval interpreter');
+    } else break;
+  }
+
+  if (chain) expr = __Porffor_interp_node(20, expr, undefined, undefined, undefined, undefined);
+  return expr;
+};
+
+export const __Porffor_interp_isTarget = (expr: any[]): boolean => {
+  return expr[0] == 2 || expr[0] == 15;
+};
+
+export const __Porffor_interp_parseUnary = (): any[] => {
+  if (tokType == 4) {
+    const op: any = tokValue;
+    if (op == '!' || op == '-' || op == '+' || op == '~') {
+      __Porffor_interp_next();
+      return __Porffor_interp_node(8, op, __Porffor_interp_parseUnary(), undefined, undefined, undefined);
+    }
+
+    if (op == '++' || op == '--') {
+      __Porffor_interp_next();
+      const target: any[] = __Porffor_interp_parseUnary();
+      if (!__Porffor_interp_isTarget(target)) throw new SyntaxError('Invalid left-hand side expression in prefix operation');
+      return __Porffor_interp_node(9, op, true, target, undefined, undefined);
+    }
+  }
+
+  if (tokType == 3 && (tokValue == 'typeof' || tokValue == 'void' || tokValue == 'delete')) {
+    const op: any = tokValue;
+    __Porffor_interp_next();
+    return __Porffor_interp_node(8, op, __Porffor_interp_parseUnary(), undefined, undefined, undefined);
+  }
+
+  const expr: any[] = __Porffor_interp_parseCall();
+  if (Porffor.fastAnd(tokType == 4, !tokNewline) && (tokValue == '++' || tokValue == '--')) {
+    if (!__Porffor_interp_isTarget(expr)) throw new SyntaxError('Invalid left-hand side expression in postfix operation');
+
+    const op: any = tokValue;
+    __Porffor_interp_next();
+    return __Porffor_interp_node(9, op, false, expr, undefined, undefined);
+  }
+
+  return expr;
+};
+
+// precedence of the current token as a binary operator, 0 if it is not one
+export const __Porffor_interp_precedence = (): i32 => {
+  if (tokType == 3) {
+    if (tokValue == 'instanceof') return 8;
+    if (tokValue == 'in' && !noIn) return 8;
+    return 0;
+  }
+
+  if (tokType != 4) return 0;
+
+  const op: any = tokValue;
+  if (op == '??') return 1;
+  if (op == '||') return 2;
+  if (op == '&&') return 3;
+  if (op == '|') return 4;
+  if (op == '^') return 5;
+  if (op == '&') return 6;
+  if (op == '==' || op == '!=' || op == '===' || op == '!==') return 7;
+  if (op == '<' || op == '>' || op == '<=' || op == '>=') return 8;
+  if (op == '<<' || op == '>>' || op == '>>>') return 9;
+  if (op == '+' || op == '-') return 10;
+  if (op == '*' || op == '/' || op == '%') return 11;
+  if (op == '**') return 12;
+  return 0;
+};
+
+export const __Porffor_interp_parseBinary = (minPrecedence: i32): any[] => {
+  let left: any[] = __Porffor_interp_parseUnary();
+  while (true) {
+    const precedence: i32 = __Porffor_interp_precedence();
+    if (precedence <= minPrecedence) break;
+
+    const op: any = tokValue;
+    __Porffor_interp_next();
+
+    // ** is right associative
+    const right: any[] = __Porffor_interp_parseBinary(op == '**' ? precedence - 1 : precedence);
+    left = __Porffor_interp_node(op == '&&' || op == '||' || op == '??' ? 11 : 10, op, left, right, undefined, undefined);
+  }
+
+  return left;
+};
+
+export const __Porffor_interp_isAssignOp = (op: any): boolean => {
+  return op == '=' || op == '+=' || op == '-=' || op == '*=' || op == '/=' || op == '%=' || op == '**=' ||
+    op == '<<=' || op == '>>=' || op == '>>>=' || op == '&=' || op == '|=' || op == '^=' ||
+    op == '&&=' || op == '||=' || op == '??=';
+};
+
+export const __Porffor_interp_parseAssign = (): any[] => {
+  if ((tokType == 3 && !__Porffor_interp_isReserved(tokValue)) || __Porffor_interp_isPunct('(')) {
+    if (__Porffor_interp_isArrow()) return __Porffor_interp_parseArrow();
+  }
+
+  const left: any[] = __Porffor_interp_parseBinary(0);
+  if (__Porffor_interp_eat('?')) {
+    const outerNoIn: boolean = noIn;
+    noIn = false;
+    const consequent: any[] = __Porffor_interp_parseAssign();
+    noIn = outerNoIn;
+
+    __Porffor_interp_expect(':');
+    return __Porffor_interp_node(12, left, consequent, __Porffor_interp_parseAssign(), undefined, undefined);
+  }
+
+  if (tokType == 4 && __Porffor_interp_isAssignOp(tokValue)) {
+    if (!__Porffor_interp_isTarget(left)) throw new SyntaxError('Invalid left-hand side in assignment');
+
+    const op: any = tokValue;
+    __Porffor_interp_next();
+    return __Porffor_interp_node(13, op, left, __Porffor_interp_parseAssign(), undefined, undefined);
+  }
+
+  return left;
+};
+
+export const __Porffor_interp_parseExpression = (): any[] => {
+  const expr: any[] = __Porffor_interp_parseAssign();
+  if (!__Porffor_interp_isPunct(',')) return expr;
+
+  const exprs: any[] = __Porffor_interp_list();
+  Porffor.array.fastPush(exprs, expr);
+  while (__Porffor_interp_eat(',')) Porffor.array.fastPush(exprs, __Porffor_interp_parseAssign());
+
+  return __Porffor_interp_node(14, exprs, undefined, undefined, undefined, undefined);
+};
+
+// after the var, let or const keyword
+export const __Porffor_interp_parseDeclaration = (kind: any): any[] => {
+  const decls: any[] = __Porffor_interp_list();
+  do {
+    if (__Porffor_interp_isPunct('[') || __Porffor_interp_isPunct('{')) throw new SyntaxError('Destructuring is not supported by the eval interpreter');
+
+    const name: any = __Porffor_interp_identifier();
+    if (kind == 'var') Porffor.array.fastPush(funcVars, name);
+
+    const init: any = __Porffor_interp_eat('=') ? __Porffor_interp_parseAssign() : undefined;
+    Porffor.array.fastPush(decls, __Porffor_interp_node(0, name, init, undefined, undefined, undefined));
+  } while (__Porffor_interp_eat(','));
+
+  return __Porffor_interp_node(30, kind, decls, undefined, undefined, undefined);
+};
+
+export const __Porffor_interp_parseBlock = (): any[] => {
+  __Porffor_interp_expect('{');
+
+  const body: any[] = __Porffor_interp_list();
+  let scoped: boolean = false;
+  while (!__Porffor_interp_eat('}')) {
+    if (tokType == 0) __Porffor_interp_unexpected();
+
+    const stmt: any[] = __Porffor_interp_parseStatement();
+    if (stmt[0] == 31 || (stmt[0] == 30 && stmt[1] != 'var')) scoped = true;
+    Porffor.array.fastPush(body, stmt);
+  }
+
+  return __Porffor_interp_node(43, body, scoped, undefined, undefined, undefined);
+};
+
+export const __Porffor_interp_parseFor = (): any[] => {
+  __Porffor_interp_expect('(');
+
+  let init: any = undefined;
+  if (!__Porffor_interp_isPunct(';')) {
+    noIn = true;
+    if (__Porffor_interp_isWord('var') || __Porffor_interp_isWord('let') || __Porffor_interp_isWord('const')) {
+      const kind: any = tokValue;
+      __Porffor_interp_next();
+      init = __Porffor_interp_parseDeclaration(kind);
+    } else {
+      init = __Porffor_interp_node(44, __Porffor_interp_parseExpression(), undefined, undefined, undefined, undefined);
+    }
+    noIn = false;
+
+    if (__Porffor_interp_isWord('in') || __Porffor_interp_isWord('of')) {
+      const isOf: boolean = tokValue == 'of';
+      let kind: any = '';
+      let name: any;
+      if (init[0] == 30) {
+        const decls: any[] = init[2];
+        if (decls.length != 1 || decls[0][2] != null) throw new SyntaxError('Invalid left-hand side in for loop');
+        kind = init[1];
+        name = decls[0][1];
+      } else {
+        const target: any[] = init[1];
+        if (target[0] != 2) throw new SyntaxError('Invalid left-hand side in for loop');
+        name = target[1];
+      }
+
+      __Porffor_interp_next();
+      const right: any[] = isOf ? __Porffor_interp_parseAssign() : __Porffor_interp_parseExpression();
+      __Porffor_interp_expect(')');
+
+      return __Porffor_interp_node(isOf ? 36 : 35, kind, name, right, __Porffor_interp_parseStatement(), undefined);
+    }
+  }
+
+  __Porffor_interp_expect(';');
+  const test: any = __Porffor_interp_isPunct(';') ? undefined : __Porffor_interp_parseExpression();
+  __Porffor_interp_expect(';');
+  const update: any = __Porffor_interp_isPunct(')') ? undefined : __Porffor_interp_parseExpression();
+  __Porffor_interp_expect(')');
+
+  return __Porffor_interp_node(34, init, test, update, __Porffor_interp_parseStatement(), undefined);
+};
+
+export const __Porffor_interp_parseStatement = (): any[] => {
+  if (tokType == 4) {
+    if (__Porffor_interp_isPunct('{')) return __Porffor_interp_parseBlock();
+    if (__Porffor_interp_eat(';')) return __Porffor_interp_node(45, undefined, undefined, undefined, undefined, undefined);
+  }
+
+  if (tokType == 3) {
+    const word: any = tokValue;
+    if (word == 'var' || word == 'let' || word == 'const') {
+      __Porffor_interp_next();
+      const decl: any[] = __Porffor_interp_parseDeclaration(word);
+      __Porffor_interp_semicolon();
+      return decl;
+    }
+
+    if (word == 'function') {
+      __Porffor_interp_next();
+      const func: any[] = __Porffor_interp_parseFunction();
+      if (func[1] == null) __Porffor_interp_unexpected();
+      return __Porffor_interp_node(31, func[1], func, undefined, undefined, undefined);
+    }
+
+    if (word == 'return') {
+      if (!inFunction) throw new SyntaxError('Illegal return statement');
+      __Porffor_interp_next();
+      let arg: any = undefined;
+      if (!__Porffor_interp_isPunct(';') && !__Porffor_interp_isPunct('}') && tokType != 0 && !tokNewline) arg = __Porffor_interp_parseExpression();
+      __Porffor_interp_semicolon();
+      return __Porffor_interp_node(32, arg, undefined, undefined, undefined, undefined);
+    }
+
+    if (word == 'if') {
+      __Porffor_interp_next();
+      __Porffor_interp_expect('(');
+      const test: any[] = __Porffor_interp_parseExpression();
+      __Porffor_interp_expect(')');
+
+      const consequent: any[] = __Porffor_interp_parseStatement();
+      let alternate: any = undefined;
+      if (__Porffor_interp_isWord('else')) {
+        __Porffor_interp_next();
+        alternate = __Porffor_interp_parseStatement();
+      }
+
+      return __Porffor_interp_node(33, test, consequent, alternate, undefined, undefined);
+    }
+
+    if (word == 'for') {
+      __Porffor_interp_next();
+      return __Porffor_interp_parseFor();
+    }
+
+    if (word == 'while') {
+      __Porffor_interp_next();
+      __Porffor_interp_expect('(');
+      const test: any[] = __Porffor_interp_parseExpression();
+      __Porffor_interp_expect(')');
+      return __Porffor_interp_node(37, test, __Porffor_interp_parseStatement(), undefined, undefined, undefined);
+    }
+
+    if (word == 'do') {
+      __Porffor_interp_next();
+      const body: any[] = __Porffor_interp_parseStatement();
+      if (!__Porffor_interp_isWord('while')) __Porffor_interp_unexpected();
+      __Porffor_interp_next();
+      __Porffor_interp_expect('(');
+      const test: any[] = __Porffor_interp_parseExpression();
+      __Porffor_interp_expect(')');
+      __Porffor_interp_eat(';');
+      return __Porffor_interp_node(38, body, test, undefined, undefined, undefined);
+    }
+
+    if (word == 'break' || word == 'continue') {
+      __Porffor_interp_next();
+      if (tokType == 3 && !tokNewline) throw new SyntaxError('Labels are not supported by the eval interpreter');
+      __Porffor_interp_semicolon();
+      return __Porffor_interp_node(word == 'break' ? 39 : 40, undefined, undefined, undefined, undefined, undefined);
+    }
+
+    if (word == 'throw') {
+      __Porffor_interp_next();
+      if (tokNewline) throw new SyntaxError('Illegal newline after throw');
+      const arg: any[] = __Porffor_interp_parseExpression();
+      __Porffor_interp_semicolon();
+      return __Porffor_interp_node(41, arg, undefined, undefined, undefined, undefined);
+    }
+
+    if (word == 'try') {
+      __Porffor_interp_next();
+      const block: any[] = __Porffor_interp_parseBlock();
+
+      let param: any = undefined, handler: any = undefined, finalizer: any = undefined;
+      if (__Porffor_interp_isWord('catch')) {
+        __Porffor_interp_next();
+        if (__Porffor_interp_eat('(')) {
+          param = __Porffor_interp_identifier();
+          __Porffor_interp_expect(')');
+        }
+
+        handler = __Porffor_interp_parseBlock();
+      }
+
+      if (__Porffor_interp_isWord('finally')) {
+        __Porffor_interp_next();
+        finalizer = __Porffor_interp_parseBlock();
+      }
+
+      if (Porffor.fastAnd(handler == null, finalizer == null)) throw new SyntaxError('Missing catch or finally after try');
+      return __Porffor_interp_node(42, block, param, handler, finalizer, undefined);
+    }
+
+    if (word == 'switch') {
+      __Porffor_interp_next();
+      __Porffor_interp_expect('(');
+      const discriminant: any[] = __Porffor_interp_parseExpression();
+      __Porffor_interp_expect(')');
+      __Porffor_interp_expect('{');
+
+      const cases: any[] = __Porffor_interp_list();
+      while (!__Porffor_interp_eat('}')) {
+        let test: any = undefined;
+        const isDefault: boolean = __Porffor_interp_isWord('default');
+        if (isDefault) {
+          __Porffor_interp_next();
+        } else {
+          if (!__Porffor_interp_isWord('case')) __Porffor_interp_unexpected();
+          __Porffor_interp_next();
+          test = __Porffor_interp_parseExpression();
+        }
+        __Porffor_interp_expect(':');
+
+        const body: any[] = __Porffor_interp_list();
+        while (!__Porffor_interp_isWord('case') && !__Porffor_interp_isWord('default') && !__Porffor_interp_isPunct('}')) {
+          if (tokType == 0) __Porffor_interp_unexpected();
+          Porffor.array.fastPush(body, __Porffor_interp_parseStatement());
+        }
+
+        Porffor.array.fastPush(cases, __Porffor_interp_node(0, test, body, isDefault, undefined, undefined));
+      }
+
+      return __Porffor_interp_node(46, discriminant, cases, undefined, undefined, undefined);
+    }
+
+    if (word == 'class' || word == 'import' || word == 'export' || word == 'with' || word == 'async')
+      __Porffor_interp_syntaxError('Unsupported syntax for the eval interpreter: ' + word);
+  }
+
+  const expr: any[] = __Porffor_interp_parseExpression();
+  __Porffor_interp_semicolon();
+  return __Porffor_interp_node(44, expr, undefined, undefined, undefined, undefined);
+};
+
+// parse a script into [ 0, body, var names ]
+export const __Porffor_interp_parse = (source: any): any[] => {
+  src = source;
+  srcLen = source.length;
+  pos = 0;
+  noIn = false;
+  inFunction = false;
+  funcVars = __Porffor_interp_list();
+
+  __Porffor_interp_next();
+
+  const body: any[] = __Porffor_interp_list();
+  while (tokType != 0) Porffor.array.fastPush(body, __Porffor_interp_parseStatement());
+
+  return __Porffor_interp_node(0, body, funcVars, undefined, undefined, undefined);
+};
+
+// control flow of the statement being executed
+//  0 - normal
+//  1 - break
+//  2 - continue
+//  3 - return
+let signal: i32, retValue: any;
+
+// value of the last expression statement, returned by eval
+let completion: any;
+
+// optional chain is short circuiting
+let shortCircuit: boolean;
+
+// vars and functions declared by eval code, shared by all evals
+let globalScope: any;
+
+export const __Porffor_interp_scope = (parent: any): any[] => {
+  const out: any[] = Porffor.malloc(31);
+  out[0] = {};
+  out[1] = parent;
+  out[2] = {};
+  out.length = 3;
+  return out;
+};
+
+export const __Porffor_interp_globalScope = (): any[] => {
+  if (globalScope == null) {
+    globalScope = __Porffor_interp_scope(null);
+
+    const vars: any = globalScope[0];
+    vars.this = globalThis;
+  }
+
+  return globalScope;
+};
+
+// the scope declaring name, or null if it is not declared
+export const __Porffor_interp_find = (scope: any, name: any): any => {
+  let s: any = scope;
+  while (s != null) {
+    if (Object.hasOwn(s[0], name)) return s;
+    s = s[1];
+  }
+
+  return null;
+};
+
+export const __Porffor_interp_global = (name: any): any => {
+  if (name == 'undefined') return undefined;
+  if (name == 'NaN') return NaN;
+  if (name == 'Infinity') return Infinity;
+  if (name == 'globalThis') return globalThis;
+
+  // namespace objects are not properties of globalThis
+  if (name == 'Math') return Math;
+  if (name == 'JSON') return JSON;
+  if (name == 'console') return console;
+  if (name == 'Reflect') return Reflect;
+  if (name == 'Atomics') return Atomics;
+
+  const value: any = globalThis[name];
+  if (value === undefined) __Porffor_interp_referenceError(name + ' is not defined');
+  return value;
+};
+
+export const __Porffor_interp_lookup = (scope: any, name: any): any => {
+  const s: any = __Porffor_interp_find(scope, name);
+  if (s != null) return s[0][name];
+
+  return __Porffor_interp_global(name);
+};
+
+export const __Porffor_interp_assign = (scope: any, name: any, value: any): void => {
+  const s: any = __Porffor_interp_find(scope, name);
+  if (s == null) {
+    // sloppy assignment to an undeclared variable
+    globalThis[name] = value;
+    return;
+  }
+
+  if (Object.hasOwn(s[2], name)) throw new TypeError('Assignment to constant variable.');
+
+  const vars: any = s[0];
+  vars[name] = value;
+};
+
+// property keys of member expressions, indexes are kept as numbers for array-likes
+export const __Porffor_interp_key = (key: any): any => {
+  if (Porffor.fastOr(Porffor.type(key) == Porffor.TYPES.number, Porffor.type(key) == Porffor.TYPES.symbol)) return key;
+
+  key = ecma262.ToPropertyKey(key);
+  if (Porffor.type(key) == Porffor.TYPES.symbol) return key;
+
+  const index: number = ecma262.StringToNumber(key);
+  if (Porffor.fastAnd(Number.isInteger(index), index >= 0)) {
+    if (ecma262.ToString(index) == key) return index;
+  }
+
+  return key;
+};
+
+export const __Porffor_interp_hasLength = (obj: any): boolean => {
+  return Array.isArray(obj) || Porffor.type(obj) == Porffor.TYPES.bytestring || Porffor.type(obj) == Porffor.TYPES.string;
+};
+
+export const __Porffor_interp_get = (obj: any, key: any): any => {
+  if (obj == null) __Porffor_interp_typeError('Cannot read properties of ' + obj);
+  if (__Porffor_interp_hasLength(obj)) {
+    if (key === 'length') return obj.length;
+
+    // other properties are methods which cannot be read as values
+    if (Porffor.type(key) != Porffor.TYPES.number) return undefined;
+  }
+
+  // getters of built-in types are only used for static keys
+  if (Porffor.fastAnd(Porffor.type(obj) != Porffor.TYPES.object, Porffor.type(obj) != Porffor.TYPES.proxy)) {
+    if (key === 'message') return obj.message;
+    if (key === 'name') return obj.name;
+    if (key === 'stack') return obj.stack;
+    if (key === 'cause') return obj.cause;
+    if (key === 'size') return obj.size;
+    if (key === 'source') return obj.source;
+    if (key === 'flags') return obj.flags;
+    if (key === 'byteLength') return obj.byteLength;
+  }
+
+  return obj[key];
+};
+
+export const __Porffor_interp_set = (obj: any, key: any, value: any): void => {
+  if (obj == null) __Porffor_interp_typeError('Cannot set properties of ' + obj);
+  if (key === 'length') {
+    if (Array.isArray(obj)) {
+      const arr: any[] = obj;
+      arr.length = ecma262.ToIndex(value);
+      return;
+    }
+  }
+
+  obj[key] = value;
+};
+
+export const __Porffor_interp_binary = (op: any, a: any, b: any): any => {
+  if (op == '+') return a + b;
+  if (op == '-') return a - b;
+  if (op == '*') return a * b;
+  if (op == '/') return a / b;
+  if (op == '%') return a % b;
+  if (op == '**') return a ** b;
+  if (op == '==') return a == b;
+  if (op == '!=') return a != b;
+  if (op == '===') return a === b;
+  if (op == '!==') return a !== b;
+  if (op == '<') return a < b;
+  if (op == '>') return a > b;
+  if (op == '<=') return a <= b;
+  if (op == '>=') return a >= b;
+  if (op == '&') return a & b;
+  if (op == '|') return a | b;
+  if (op == '^') return a ^ b;
+  if (op == '<<') return a << b;
+  if (op == '>>') return a >> b;
+  if (op == '>>>') return a >>> b;
+  if (op == 'instanceof') return a instanceof b;
+  if (op == 'in') return a in b;
+
+  __Porffor_interp_syntaxError('Unknown operator ' + op);
+};
+
+// interpreted functions are proxies of this with a handler holding the function node and its scope
+export const __Porffor_interp_target = function (): void {};
+
+export const __Porffor_interp_apply = function (target: any, thisArg: any, args: any[]): any {
+  return __Porffor_interp_call(this, thisArg, args);
+};
+
+export const __Porffor_interp_construct = function (target: any, args: any[], newTarget: any): any {
+  return __Porffor_interp_new(this, args);
+};
+
+// properties of interpreted functions are stored per function as the target is shared
+export const __Porffor_interp_getTrap = function (target: any, key: any, receiver: any): any {
+  return this.props[key];
+};
+
+export const __Porffor_interp_setTrap = function (target: any, key: any, value: any, receiver: any): boolean {
+  this.props[key] = value;
+  return true;
+};
+
+export const __Porffor_interp_closure = (node: any[], scope: any, bindSelf: boolean): any => {
+  const params: any[] = node[2];
+  let length: i32 = 0;
+  for (let i: i32 = 0; i < params.length; i++) {
+    const param: any[] = params[i];
+    if (Porffor.fastOr(param[2] != null, param[3])) break;
+    length++;
+  }
+
+  const props: object = {};
+  props.name = node[1] ?? '';
+  props.length = length;
+
+  const handler: object = {};
+  handler.apply = __Porffor_interp_apply;
+  handler.get = __Porffor_interp_getTrap;
+  handler.set = __Porffor_interp_setTrap;
+  handler.node = node;
+  handler.scope = scope;
+  handler.props = props;
+
+  const fn: any = __Porffor_proxy_create(__Porffor_interp_target, handler);
+  handler.self = bindSelf ? fn : undefined;
+
+  if ((node[4] & 0b01) == 0) {
+    // not an arrow so constructable
+    handler.construct = __Porffor_interp_construct;
+
+    const proto: object = {};
+    proto.constructor = fn;
+    props.prototype = proto;
+  }
+
+  return fn;
+};
+
+export const __Porffor_interp_isInterpreted = (fn: any): boolean => {
+  if (Porffor.type(fn) != Porffor.TYPES.proxy) return false;
+  return __Porffor_proxy_handler(fn).apply == __Porffor_interp_apply;
+};
+
+export const __Porffor_interp_call = (handler: any, thisArg: any, args: any[]): any => {
+  const node: any[] = handler.node;
+  const scope: any[] = __Porffor_interp_scope(handler.scope);
+  const vars: any = scope[0];
+  const flags: i32 = node[4];
+
+  if (handler.self != null) vars[node[1]] = handler.self;
+  if ((flags & 0b01) == 0) {
+    vars.this = thisArg;
+    vars.arguments = args;
+  }
+
+  const params: any[] = node[2];
+  for (let i: i32 = 0; i < params.length; i++) {
+    const param: any[] = params[i];
+
+    let value: any;
+    if (param[3]) {
+      value = args.slice(i);
+    } else {
+      value = args[i];
+      if (Porffor.fastAnd(value === undefined, param[2] != null)) value = __Porffor_interp_eval(param[2], scope);
+    }
+
+    vars[param[1]] = value;
+  }
+
+  const varNames: any[] = node[5];
+  for (let i: i32 = 0; i < varNames.length; i++) {
+    const name: any = varNames[i];
+    if (!Object.hasOwn(vars, name)) vars[name] = undefined;
+  }
+
+  if (flags & 0b10) return __Porffor_interp_eval(node[3], scope);
+
+  const outerCompletion: any = completion;
+  const body: any[] = node[3];
+  __Porffor_interp_hoist(body, scope);
+  __Porffor_interp_execList(body, scope);
+  completion = outerCompletion;
+
+  if (signal == 3) {
+    signal = 0;
+    const out: any = retValue;
+    retValue = undefined;
+    return out;
+  }
+
+  signal = 0;
+  return undefined;
+};
+
+export const __Porffor_interp_new = (handler: any, args: any[]): any => {
+  const obj: object = {};
+  const proto: any = handler.props.prototype;
+  if (Porffor.object.isObject(proto)) Object.setPrototypeOf(obj, proto);
+
+  const out: any = __Porffor_interp_call(handler, obj, args);
+  if (Porffor.object.isObject(out)) return out;
+  return obj;
+};
+
+export const __Porffor_interp_invoke = (fn: any, thisArg: any, args: any[]): any => {
+  if (__Porffor_interp_isInterpreted(fn)) return __Porffor_interp_call(__Porffor_proxy_handler(fn), thisArg, args);
+  return Porffor.call(fn, args, thisArg, null);
+};
+
+// methods of built-ins cannot be read as values so call them by name
+export const __Porffor_interp_builtinMethod = (obj: any, key: any, args: any[]): any => {
+  const argc: i32 = args.length;
+  const a0: any = args[0];
+  const a1: any = args[1];
+  const a2: any = args[2];
+
+  if (key == 'call') {
+    if (ecma262.IsCallable(obj)) return __Porffor_interp_invoke(obj, a0, args.slice(1));
+  }
+
+  if (key == 'apply') {
+    if (ecma262.IsCallable(obj)) return __Porffor_interp_invoke(obj, a0, Array.from(a1 ?? []));
+  }
+
+  if (key == 'bind') {
+    if (ecma262.IsCallable(obj)) return obj.bind(a0);
+  }
+
+  if (key == 'log' || key == 'info' || key == 'warn' || key == 'error' || key == 'debug') {
+    if (obj === console) {
+      for (let i: i32 = 0; i < argc; i++) {
+        if (i > 0) Porffor.printStatic(' ');
+        __Porffor_consolePrint(args[i]);
+      }
+
+      Porffor.printStatic('\n');
+      return undefined;
+    }
+  }
+
+  if (key == 'max' || key == 'min') {
+    if (obj === Math) {
+      let out: number = key == 'max' ? -Infinity : Infinity;
+      for (let i: i32 = 0; i < argc; i++) {
+        const x: number = ecma262.ToNumber(args[i]);
+        if (Number.isNaN(x)) return NaN;
+        if (key == 'max' ? x > out : x < out) out = x;
+      }
+
+      return out;
+    }
+  }
+
+  if (key == 'hasOwnProperty') return Object.hasOwn(obj, a0);
+  if (key == 'toString') return ecma262.ToString(obj);
+  if (key == 'valueOf') return obj;
+
+  // array
+  if (key == 'push') return obj.push(...args);
+  if (key == 'unshift') return obj.unshift(...args);
+  if (key == 'concat') {
+    if (Array.isArray(obj)) {
+      let out: any[] = obj;
+      for (let i: i32 = 0; i < argc; i++) out = out.concat(args[i]);
+      return out;
+    }
+
+    if (Porffor.fastOr(Porffor.type(obj) == Porffor.TYPES.bytestring, Porffor.type(obj) == Porffor.TYPES.string)) {
+      let out: any = obj;
+      for (let i: i32 = 0; i < argc; i++) out += ecma262.ToString(args[i]);
+      return out;
+    }
+  }
+  if (key == 'pop') return obj.pop();
+  if (key == 'shift') return obj.shift();
+  if (key == 'splice') {
+    if (argc < 2) return obj.splice(a0);
+    return obj.splice(a0, a1, ...args.slice(2));
+  }
+  if (key == 'join') return obj.join(a0);
+  if (key == 'reverse') return obj.reverse();
+  if (key == 'sort') return obj.sort(a0);
+  if (key == 'fill') return obj.fill(a0, a1, a2);
+  if (key == 'map') return obj.map(a0, a1);
+  if (key == 'filter') return obj.filter(a0, a1);
+  if (key == 'forEach') return obj.forEach(a0, a1);
+  if (key == 'some') return obj.some(a0, a1);
+  if (key == 'every') return obj.every(a0, a1);
+  if (key == 'find') return obj.find(a0, a1);
+  if (key == 'findIndex') return obj.findIndex(a0, a1);
+  if (key == 'findLast') return obj.findLast(a0, a1);
+  if (key == 'findLastIndex') return obj.findLastIndex(a0, a1);
+  if (key == 'flat') return obj.flat(a0);
+  if (key == 'flatMap') return obj.flatMap(a0, a1);
+  if (key == 'reduce') {
+    if (argc < 2) return obj.reduce(a0);
+    return obj.reduce(a0, a1);
+  }
+  if (key == 'reduceRight') {
+    if (argc < 2) return obj.reduceRight(a0);
+    return obj.reduceRight(a0, a1);
+  }
+  if (key == 'keys') return obj.keys();
+  if (key == 'values') return obj.values();
+  if (key == 'entries') return obj.entries();
+
+  // array and string
+  if (key == 'slice') return obj.slice(a0, a1);
+  if (key == 'indexOf') return obj.indexOf(a0, a1);
+  if (key == 'lastIndexOf') {
+    if (argc < 2) return obj.lastIndexOf(a0);
+    return obj.lastIndexOf(a0, a1);
+  }
+  if (key == 'includes') return obj.includes(a0, a1);
+  if (key == 'at') return obj.at(a0);
+
+  // string
+  if (key == 'charAt') return obj.charAt(a0);
+  if (key == 'charCodeAt') return obj.charCodeAt(a0);
+  if (key == 'codePointAt') return obj.codePointAt(a0);
+  if (key == 'substring') return obj.substring(a0, a1);
+  if (key == 'substr') return obj.substr(a0, a1);
+  if (key == 'startsWith') return obj.startsWith(a0, a1);
+  if (key == 'endsWith') return obj.endsWith(a0, a1);
+  if (key == 'split') return obj.split(a0, a1);
+  if (key == 'trim') return obj.trim();
+  if (key == 'trimStart') return obj.trimStart();
+  if (key == 'trimEnd') return obj.trimEnd();
+  if (key == 'toUpperCase') return obj.toUpperCase();
+  if (key == 'toLowerCase') return obj.toLowerCase();
+  if (key == 'repeat') return obj.repeat(a0);
+  if (key == 'padStart') return obj.padStart(a0, a1);
+  if (key == 'padEnd') return obj.padEnd(a0, a1);
+  if (key == 'replace') return obj.replace(a0, a1);
+  if (key == 'replaceAll') return obj.replaceAll(a0, a1);
+  if (key == 'match') return obj.match(a0);
+  if (key == 'localeCompare') return obj.localeCompare(a0);
+
+  // regexp
+  if (key == 'test') return obj.test(a0);
+  if (key == 'exec') return obj.exec(a0);
+
+  // number
+  if (key == 'toFixed') return obj.toFixed(a0);
+  if (key == 'toPrecision') return obj.toPrecision(a0);
+
+  // map and set
+  if (key == 'get') return obj.get(a0);
+  if (key == 'set') return obj.set(a0, a1);
+  if (key == 'has') return obj.has(a0);
+  if (key == 'add') return obj.add(a0);
+  if (key == 'delete') return obj.delete(a0);
+  if (key == 'clear') return obj.clear();
+
+  // promise
+  if (key == 'then') return obj.then(a0, a1);
+  if (key == 'catch') return obj.catch(a0);
+
+  __Porffor_interp_typeError(ecma262.ToString(key) + ' is not a function');
+};
+
+export const __Porffor_interp_args = (nodes: any[], scope: any): any[] => {
+  const out: any[] = __Porffor_interp_list();
+  for (let i: i32 = 0; i < nodes.length; i++) {
+    const node: any[] = nodes[i];
+    if (node[0] == 18) {
+      for (const x of __Porffor_interp_eval(node[1], scope)) Porffor.array.fastPush(out, x);
+    } else {
+      Porffor.array.fastPush(out, __Porffor_interp_eval(node, scope));
+    }
+  }
+
+  return out;
+};
+
+export const __Porffor_interp_evalObject = (node: any[], scope: any): object => {
+  const out: object = {};
+  const props: any[] = node[1];
+  for (let i: i32 = 0; i < props.length; i++) {
+    const prop: any[] = props[i];
+    if (prop[3]) {
+      const source: any = __Porffor_interp_eval(prop[2], scope);
+      if (source != null) Object.assign(out, source);
+      continue;
+    }
+
+    const key: any = ecma262.ToPropertyKey(__Porffor_interp_eval(prop[1], scope));
+    const value: any[] = prop[2];
+    if (value[0] == 6) out[key] = __Porffor_interp_closure(value, scope, false);
+      else out[key] = __Porffor_interp_eval(value, scope);
+  }
+
+  return out;
+};
+
+export const __Porffor_interp_evalCall = (node: any[], scope: any): any => {
+  const callee: any[] = node[1];
+
+  let fn: any, thisArg: any = undefined, key: any = undefined;
+  let isMethod: boolean = false;
+  if (callee[0] == 15) {
+    thisArg = __Porffor_interp_eval(callee[1], scope);
+    if (shortCircuit) return undefined;
+    if (Porffor.fastAnd(callee[3], thisArg == null)) {
+      shortCircuit = true;
+      return undefined;
+    }
+
+    key = __Porffor_interp_key(__Porffor_interp_eval(callee[2], scope));
+    fn = __Porffor_interp_get(thisArg, key);
+    isMethod = true;
+  } else {
+    fn = __Porffor_interp_eval(callee, scope);
+    if (shortCircuit) return undefined;
+  }
+
+  if (Porffor.fastAnd(node[3], fn == null)) {
+    shortCircuit = true;
+    return undefined;
+  }
+
+  const args: any[] = __Porffor_interp_args(node[2], scope);
+  if (ecma262.IsCallable(fn)) return __Porffor_interp_invoke(fn, thisArg, args);
+  if (isMethod) return __Porffor_interp_builtinMethod(thisArg, key, args);
+
+  __Porffor_interp_typeError((callee[0] == 2 ? callee[1] : 'expression') + ' is not a function');
+};
+
+export const __Porffor_interp_evalNew = (node: any[], scope: any): any => {
+  const fn: any = __Porffor_interp_eval(node[1], scope);
+  const args: any[] = __Porffor_interp_args(node[2], scope);
+
+  if (!ecma262.IsConstructor(fn)) __Porffor_interp_typeError((node[1][0] == 2 ? node[1][1] : 'expression') + ' is not a constructor');
+  if (__Porffor_interp_isInterpreted(fn)) return __Porffor_interp_new(__Porffor_proxy_handler(fn), args);
+
+  return Porffor.call(fn, args, null, fn);
+};
+
+export const __Porffor_interp_evalAssign = (node: any[], scope: any): any => {
+  const op: any = node[1];
+  const target: any[] = node[2];
+
+  let obj: any = undefined, key: any = undefined;
+  if (target[0] == 15) {
+    obj = __Porffor_interp_eval(target[1], scope);
+    key = __Porffor_interp_key(__Porffor_interp_eval(target[2], scope));
+  }
+
+  let value: any;
+  if (op == '=') {
+    value = __Porffor_interp_eval(node[3], scope);
+  } else {
+    const old: any = target[0] == 15 ? __Porffor_interp_get(obj, key) : __Porffor_interp_lookup(scope, target[1]);
+    if (op == '&&=') {
+      if (!old) return old;
+      value = __Porffor_interp_eval(node[3], scope);
+    } else if (op == '||=') {
+      if (old) return old;
+      value = __Porffor_interp_eval(node[3], scope);
+    } else if (op == '??=') {
+      if (old != null) return old;
+      value = __Porffor_interp_eval(node[3], scope);
+    } else {
+      value = __Porffor_interp_binary(op.slice(0, op.length - 1), old, __Porffor_interp_eval(node[3], scope));
+    }
+  }
+
+  if (target[0] == 15) __Porffor_interp_set(obj, key, value);
+    else __Porffor_interp_assign(scope, target[1], value);
+
+  return value;
+};
+
+export const __Porffor_interp_evalUpdate = (node: any[], scope: any): any => {
+  const target: any[] = node[3];
+
+  let obj: any = undefined, key: any = undefined, old: any;
+  if (target[0] == 15) {
+    obj = __Porffor_interp_eval(target[1], scope);
+    key = __Porffor_interp_key(__Porffor_interp_eval(target[2], scope));
+    old = ecma262.ToNumeric(__Porffor_interp_get(obj, key));
+  } else {
+    old = ecma262.ToNumeric(__Porffor_interp_lookup(scope, target[1]));
+  }
+
+  const value: any = node[1] == '++' ? old + 1 : old - 1;
+  if (target[0] == 15) __Porffor_interp_set(obj, key, value);
+    else __Porffor_interp_assign(scope, target[1], value);
+
+  return node[2] ? value : old;
+};
+
+export const __Porffor_interp_evalUnary = (node: any[], scope: any): any => {
+  const op: any = node[1];
+  const arg: any[] = node[2];
+
+  if (op == 'typeof') {
+    // typeof of undeclared variables does not throw
+    if (Porffor.fastAnd(arg[0] == 2, __Porffor_interp_find(scope, arg[1]) == null)) {
+      const name: any = arg[1];
+      if (Porffor.fastAnd(name != 'undefined', name != 'NaN', name != 'Infinity', name != 'globalThis', name != 'Math',
+          name != 'JSON', name != 'console', name != 'Reflect', name != 'Atomics', globalThis[name] === undefined)) return 'undefined';
+    }
+
+    return typeof __Porffor_interp_eval(arg, scope);
+  }
+
+  if (op == 'delete') {
+    if (arg[0] != 15) return arg[0] != 2;
+
+    const obj: any = __Porffor_interp_eval(arg[1], scope);
+    const key: any = __Porffor_interp_key(__Porffor_interp_eval(arg[2], scope));
+    if (obj == null) throw new TypeError('Cannot convert undefined or null to object');
+    return delete obj[key];
+  }
+
+  const value: any = __Porffor_interp_eval(arg, scope);
+  if (op == '!') return !value;
+  if (op == '-') return -value;
+  if (op == '+') return ecma262.ToNumber(value);
+  if (op == '~') return ~value;
+  return undefined; // void
+};
+
+export const __Porffor_interp_eval = (node: any[], scope: any): any => {
+  switch (node[0]) {
+    case 1:
+      return node[1];
+
+    case 2:
+      return __Porffor_interp_lookup(scope, node[1]);
+
+    case 3: {
+      const s: any = __Porffor_interp_find(scope, 'this');
+      if (s == null) return undefined;
+      return s[0].this;
+    }
+
+    case 4:
+      return __Porffor_interp_args(node[1], scope);
+
+    case 5:
+      return __Porffor_interp_evalObject(node, scope);
+
+    case 6:
+      return __Porffor_interp_closure(node, scope, node[1] != null);
+
+    case 7: {
+      const strings: any[] = node[1];
+      const exprs: any[] = node[2];
+
+      let out: any = strings[0];
+      for (let i: i32 = 0; i < exprs.length; i++) {
+        out += ecma262.ToString(__Porffor_interp_eval(exprs[i], scope));
+        out += strings[i + 1];
+      }
+
+      return out;
+    }
+
+    case 8:
+      return __Porffor_interp_evalUnary(node, scope);
+
+    case 9:
+      return __Porffor_interp_evalUpdate(node, scope);
+
+    case 10:
+      return __Porffor_interp_binary(node[1], __Porffor_interp_eval(node[2], scope), __Porffor_interp_eval(node[3], scope));
+
+    case 11: {
+      const op: any = node[1];
+      const left: any = __Porffor_interp_eval(node[2], scope);
+      if (op == '&&') {
+        if (!left) return left;
+      } else if (op == '||') {
+        if (left) return left;
+      } else {
+        if (left != null) return left;
+      }
+
+      return __Porffor_interp_eval(node[3], scope);
+    }
+
+    case 12:
+      if (__Porffor_interp_eval(node[1], scope)) return __Porffor_interp_eval(node[2], scope);
+      return __Porffor_interp_eval(node[3], scope);
+
+    case 13:
+      return __Porffor_interp_evalAssign(node, scope);
+
+    case 14: {
+      const exprs: any[] = node[1];
+      let out: any = undefined;
+      for (let i: i32 = 0; i < exprs.length; i++) out = __Porffor_interp_eval(exprs[i], scope);
+      return out;
+    }
+
+    case 15: {
+      const obj: any = __Porffor_interp_eval(node[1], scope);
+      if (shortCircuit) return undefined;
+      if (Porffor.fastAnd(node[3], obj == null)) {
+        shortCircuit = true;
+        return undefined;
+      }
+
+      return __Porffor_interp_get(obj, __Porffor_interp_key(__Porffor_interp_eval(node[2], scope)));
+    }
+
+    case 16:
+      return __Porffor_interp_evalCall(node, scope);
+
+    case 17:
+      return __Porffor_interp_evalNew(node, scope);
+
+    case 19:
+      return new RegExp(node[1], node[2]);
+
+    case 20: {
+      shortCircuit = false;
+      const out: any = __Porffor_interp_eval(node[1], scope);
+      shortCircuit = false;
+      return out;
+    }
+  }
+
+  throw new SyntaxError('Unexpected expression');
+};
+
+// declare function declarations of a statement list before running it
+export const __Porffor_interp_hoist = (body: any[], scope: any): void => {
+  const vars: any = scope[0];
+  for (let i: i32 = 0; i < body.length; i++) {
+    const stmt: any[] = body[i];
+    if (stmt[0] == 31) vars[stmt[1]] = __Porffor_interp_closure(stmt[2], scope, false);
+  }
+};
+
+export const __Porffor_interp_execList = (body: any[], scope: any): void => {
+  for (let i: i32 = 0; i < body.length; i++) {
+    __Porffor_interp_exec(body[i], scope);
+    if (signal != 0) return;
+  }
+};
+
+// run a loop body, true if the loop should stop
+export const __Porffor_interp_loopBody = (body: any[], scope: any): boolean => {
+  __Porffor_interp_exec(body, scope);
+  if (signal == 1) {
+    signal = 0;
+    return true;
+  }
+
+  if (signal == 2) signal = 0;
+  return signal != 0;
+};
+
+// declare the variable of a for..in or for..of iteration
+export const __Porffor_interp_forBinding = (kind: any, name: any, value: any, scope: any): any => {
+  if (kind == 'let' || kind == 'const') {
+    const s: any[] = __Porffor_interp_scope(scope);
+    const vars: any = s[0];
+    vars[name] = value;
+    if (kind == 'const') {
+      const consts: any = s[2];
+      consts[name] = true;
+    }
+
+    return s;
+  }
+
+  __Porffor_interp_assign(scope, name, value);
+  return scope;
+};
+
+export const __Porffor_interp_execTry = (node: any[], scope: any): void => {
+  const handler: any = node[3];
+  if (handler == null) {
+    __Porffor_interp_exec(node[1], scope);
+    return;
+  }
+
+  try {
+    __Porffor_interp_exec(node[1], scope);
+  } catch (e) {
+    signal = 0;
+    shortCircuit = false;
+
+    const s: any[] = __Porffor_interp_scope(scope);
+    const vars: any = s[0];
+    if (node[2] != null) vars[node[2]] = e;
+    __Porffor_interp_exec(handler, s);
+  }
+};
+
+export const __Porffor_interp_exec = (node: any[], scope: any): void => {
+  switch (node[0]) {
+    case 30: {
+      const kind: any = node[1];
+      const decls: any[] = node[2];
+      for (let i: i32 = 0; i < decls.length; i++) {
+        const decl: any[] = decls[i];
+        if (kind == 'var') {
+          // already hoisted
+          if (decl[2] != null) __Porffor_interp_assign(scope, decl[1], __Porffor_interp_eval(decl[2], scope));
+        } else {
+          const vars: any = scope[0];
+          vars[decl[1]] = decl[2] != null ? __Porffor_interp_eval(decl[2], scope) : undefined;
+          if (kind == 'const') {
+            const consts: any = scope[2];
+            consts[decl[1]] = true;
+          }
+        }
+      }
+
+      return;
+    }
+
+    case 32:
+      retValue = node[1] != null ? __Porffor_interp_eval(node[1], scope) : undefined;
+      signal = 3;
+      return;
+
+    case 33:
+      if (__Porffor_interp_eval(node[1], scope)) __Porffor_interp_exec(node[2], scope);
+        else if (node[3] != null) __Porffor_interp_exec(node[3], scope);
+      return;
+
+    case 34: {
+      const init: any = node[1];
+
+      // let declarations get a new scope per iteration so closures see their own values
+      let names: any[] = __Porffor_interp_list();
+      let s: any = scope;
+      if (init != null) {
+        if (Porffor.fastAnd(init[0] == 30, init[1] != 'var')) {
+          s = __Porffor_interp_scope(scope);
+          const decls: any[] = init[2];
+          for (let i: i32 = 0; i < decls.length; i++) Porffor.array.fastPush(names, decls[i][1]);
+        }
+
+        __Porffor_interp_exec(init, s);
+      }
+
+      while (true) {
+        if (node[2] != null) {
+          if (!__Porffor_interp_eval(node[2], s)) break;
+        }
+
+        if (__Porffor_interp_loopBody(node[4], s)) break;
+
+        if (names.length > 0) {
+          const next: any[] = __Porffor_interp_scope(scope);
+          const vars: any = next[0];
+          const outerVars: any = s[0];
+          for (let i: i32 = 0; i < names.length; i++) vars[names[i]] = outerVars[names[i]];
+          next[2] = s[2];
+          s = next;
+        }
+
+        if (node[3] != null) __Porffor_interp_eval(node[3], s);
+      }
+
+      return;
+    }
+
+    case 35: {
+      const obj: any = __Porffor_interp_eval(node[3], scope);
+      if (obj == null) return;
+
+      const keys: any[] = Object.keys(obj);
+      for (let i: i32 = 0; i < keys.length; i++) {
+        const s: any = __Porffor_interp_forBinding(node[1], node[2], keys[i], scope);
+        if (__Porffor_interp_loopBody(node[4], s)) break;
+      }
+
+      return;
+    }
+
+    case 36: {
+      const iterable: any = __Porffor_interp_eval(node[3], scope);
+      for (const x of iterable) {
+        const s: any = __Porffor_interp_forBinding(node[1], node[2], x, scope);
+        if (__Porffor_interp_loopBody(node[4], s)) break;
+      }
+
+      return;
+    }
+
+    case 37:
+      while (__Porffor_interp_eval(node[1], scope)) {
+        if (__Porffor_interp_loopBody(node[2], scope)) break;
+      }
+
+      return;
+
+    case 38:
+      do {
+        if (__Porffor_interp_loopBody(node[1], scope)) break;
+      } while (__Porffor_interp_eval(node[2], scope));
+
+      return;
+
+    case 39:
+      signal = 1;
+      return;
+
+    case 40:
+      signal = 2;
+      return;
+
+    case 41: {
+      // thrown calls are treated as errors by precompile so throw a local
+      const value: any = __Porffor_interp_eval(node[1], scope);
+      throw value;
+    }
+
+    case 42: {
+      const finalizer: any = node[4];
+      if (finalizer == null) {
+        __Porffor_interp_execTry(node, scope);
+        return;
+      }
+
+      let error: any = undefined, hasError: boolean = false;
+      try {
+        __Porffor_interp_execTry(node, scope);
+      } catch (e) {
+        error = e;
+        hasError = true;
+      }
+
+      const outerSignal: i32 = signal;
+      const outerValue: any = retValue;
+      signal = 0;
+      shortCircuit = false;
+
+      // control flow in finally overrides the try and catch
+      __Porffor_interp_exec(finalizer, scope);
+      if (signal != 0) return;
+
+      signal = outerSignal;
+      retValue = outerValue;
+      if (hasError) throw error;
+      return;
+    }
+
+    case 43: {
+      const s: any = node[2] ? __Porffor_interp_scope(scope) : scope;
+      __Porffor_interp_hoist(node[1], s);
+      __Porffor_interp_execList(node[1], s);
+      return;
+    }
+
+    case 44:
+      completion = __Porffor_interp_eval(node[1], scope);
+      return;
+
+    case 46: {
+      const value: any = __Porffor_interp_eval(node[1], scope);
+      const cases: any[] = node[2];
+      const s: any = __Porffor_interp_scope(scope);
+      for (let i: i32 = 0; i < cases.length; i++) __Porffor_interp_hoist(cases[i][2], s);
+
+      let start: i32 = -1;
+      for (let i: i32 = 0; i < cases.length; i++) {
+        const c: any[] = cases[i];
+        if (!c[3]) {
+          if (__Porffor_interp_eval(c[1], s) === value) {
+            start = i;
+            break;
+          }
+        }
+      }
+
+      if (start == -1) {
+        for (let i: i32 = 0; i < cases.length; i++) {
+          if (cases[i][3]) {
+            start = i;
+            break;
+          }
+        }
+      }
+
+      if (start == -1) return;
+      for (let i: i32 = start; i < cases.length; i++) {
+        __Porffor_interp_execList(cases[i][2], s);
+        if (signal != 0) break;
+      }
+
+      if (signal == 1) signal = 0;
+      return;
+    }
+  }
+
+  // function declarations (already hoisted) and empty statements
+};
+
+// eval(source) of a runtime value
+export const __Porffor_interp_evalSource = (source: any): any => {
+  if (Porffor.fastAnd(Porffor.type(source) != Porffor.TYPES.bytestring, Porffor.type(source) != Porffor.TYPES.string)) return source;
+
+  const program: any[] = __Porffor_interp_parse(source);
+  const vars: any = __Porffor_interp_globalScope()[0];
+
+  // vars and functions are global, lexical declarations are only for this eval
+  const varNames: any[] = program[2];
+  for (let i: i32 = 0; i < varNames.length; i++) {
+    const name: any = varNames[i];
+    if (!Object.hasOwn(vars, name)) vars[name] = undefined;
+  }
+
+  const body: any[] = program[1];
+  __Porffor_interp_hoist(body, globalScope);
+
+  const outerCompletion: any = completion;
+  const outerSignal: i32 = signal;
+  completion = undefined;
+  signal = 0;
+  shortCircuit = false;
+
+  __Porffor_interp_execList(body, __Porffor_interp_scope(globalScope));
+
+  const out: any = completion;
+  completion = outerCompletion;
+  signal = outerSignal;
+  return out;
+};
+
+// new Function(...args) of runtime values
+export const __Porffor_interp_function = (args: any[]): any => {
+  let params: any = '';
+  for (let i: i32 = 0; i < args.length - 1; i++) {
+    if (i > 0) params += ',';
+    params += ecma262.ToString(args[i]);
+  }
+
+  const body: any = args.length > 0 ? ecma262.ToString(args[args.length - 1]) : '';
+  const program: any[] = __Porffor_interp_parse('function anonymous(' + params + '\n) {\n' + body + '\n}');
+
+  // params or body closing the function early
+  const stmts: any[] = program[1];
+  if (stmts.length != 1 || stmts[0][0] != 31) throw new SyntaxError('Invalid function body');
+
+  return __Porffor_interp_closure(stmts[0][2], __Porffor_interp_globalScope(), false);
+};
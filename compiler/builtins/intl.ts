@@ -0,0 +1,1830 @@
+import type {} from './porffor.d.ts';
+
+// Intl subset using compiled in CLDR data (see locales.js), data is read with
+// __Porffor_intl_<key>(locale index) funcs from builtins.js so only what is used is included
+// Intl objects hold a pointer (i32) to an object of their resolved options,
+// which also has internal options not given by resolvedOptions
+
+// nth item of a | separated list
+export const __Porffor_intl_item = (list: any, n: i32): any => {
+  let start: i32 = 0;
+  for (let i: i32 = 0; i < n; i++) {
+    start = list.indexOf('|', start) + 1;
+    if (start == 0) return undefined;
+  }
+
+  let end: i32 = list.indexOf('|', start);
+  if (end == -1) end = list.length;
+  return list.slice(start, end);
+};
+
+// value of key in a | separated list of key=value
+export const __Porffor_intl_lookup = (list: any, key: any): any => {
+  const len: i32 = list.length;
+  let start: i32 = 0;
+  while (start < len) {
+    let end: i32 = list.indexOf('|', start);
+    if (end == -1) end = len;
+
+    const eq: i32 = list.indexOf('=', start);
+    if (Porffor.fastAnd(eq != -1, eq < end)) {
+      if (list.slice(start, eq) == key) return list.slice(eq + 1, end);
+    }
+
+    start = end + 1;
+  }
+
+  return undefined;
+};
+
+export const __Porffor_intl_has = (list: any, value: any): boolean => {
+  const len: i32 = list.length;
+  let start: i32 = 0;
+  while (start <= len) {
+    let end: i32 = list.indexOf('|', start);
+    if (end == -1) end = len;
+
+    if (list.slice(start, end) == value) return true;
+    start = end + 1;
+  }
+
+  return false;
+};
+
+export const __Porffor_intl_rangeError = (message: any): void => {
+  // made before throwing as thrown literals cannot have dynamic messages
+  const err: RangeError = new RangeError(message);
+  throw err;
+};
+
+export const __Porffor_intl_typeError = (message: any): void => {
+  const err: TypeError = new TypeError(message);
+  throw err;
+};
+
+
+// canonical case of a structurally valid language tag (language[-script][-region][-variants][-extensions]),
+// or undefined if it is not valid
+export const __Porffor_intl_canonicalizeTag = (tag: any): any => {
+  if (Porffor.fastAnd(Porffor.type(tag) != Porffor.TYPES.string, Porffor.type(tag) != Porffor.TYPES.bytestring))
+    throw new TypeError('Language ID should be string or object.');
+
+  const len: i32 = tag.length;
+  const out: bytestring = Porffor.malloc(4 + len);
+
+  let subtag: i32 = 0, start: i32 = 0, singleton: boolean = false;
+  for (let i: i32 = 0; i <= len; i++) {
+    const c: i32 = i < len ? tag.charCodeAt(i) : 45;
+    if (c == 45) { // '-'
+      const size: i32 = i - start;
+      if (Porffor.fastOr(size < 1, size > 8)) return undefined;
+
+      let alpha: boolean = true, digit: boolean = true;
+      for (let j: i32 = start; j < i; j++) {
+        let x: i32 = tag.charCodeAt(j);
+        if (Porffor.fastAnd(x >= 65, x <= 90)) x += 32;
+        if (Porffor.fastAnd(x >= 97, x <= 122)) digit = false;
+          else if (Porffor.fastAnd(x >= 48, x <= 57)) alpha = false;
+          else return undefined;
+      }
+
+      // language is 2-3 or 5-8 letters
+      if (subtag == 0) {
+        if (Porffor.fastOr(!alpha, size == 4)) return undefined;
+      }
+
+      // scripts are title case, regions upper case, everything else lower case
+      let mode: i32 = 0;
+      if (Porffor.fastAnd(subtag > 0, !singleton)) {
+        if (Porffor.fastAnd(size == 4, alpha)) mode = 1;
+        if (Porffor.fastOr(Porffor.fastAnd(size == 2, alpha), Porffor.fastAnd(size == 3, digit))) mode = 2;
+      }
+
+      if (size == 1) {
+        if (singleton) return undefined;
+        singleton = true;
+      } else if (singleton) {
+        singleton = false;
+      }
+
+      if (subtag > 0) __Porffor_bytestring_appendChar(out, 45);
+      for (let j: i32 = start; j < i; j++) {
+        let x: i32 = tag.charCodeAt(j);
+        const upper: boolean = Porffor.fastOr(mode == 2, Porffor.fastAnd(mode == 1, j == start));
+        if (Porffor.fastAnd(!upper, x >= 65, x <= 90)) x += 32;
+        if (Porffor.fastAnd(upper, x >= 97, x <= 122)) x -= 32;
+        __Porffor_bytestring_appendChar(out, x);
+      }
+
+      subtag++;
+      start = i + 1;
+    }
+  }
+
+  // extensions need subtags
+  if (singleton) return undefined;
+  return out;
+};
+
+// requested locales as a list of canonical tags
+export const __Porffor_intl_requestedLocales = (locales: any): any[] => {
+  const out: any[] = Porffor.malloc();
+  if (locales === undefined) return out;
+
+  if (Porffor.fastOr(Porffor.type(locales) == Porffor.TYPES.string, Porffor.type(locales) == Porffor.TYPES.bytestring)) {
+    const tag: any = __Porffor_intl_canonicalizeTag(locales);
+    if (tag === undefined) throw new RangeError('Incorrect locale information provided');
+
+    Porffor.array.fastPush(out, tag);
+    return out;
+  }
+
+  if (locales === null) throw new TypeError('Cannot convert undefined or null to object');
+  if (Porffor.type(locales) != Porffor.TYPES.array) return out;
+
+  const len: i32 = locales.length;
+  for (let i: i32 = 0; i < len; i++) {
+    const tag: any = __Porffor_intl_canonicalizeTag(locales[i]);
+    if (tag === undefined) throw new RangeError('Incorrect locale information provided');
+
+    if (!__Array_prototype_includes(out, tag, 0)) Porffor.array.fastPush(out, tag);
+  }
+
+  return out;
+};
+
+// index of the supported locale best matching tag (removing subtags until found), or -1
+export const __Porffor_intl_matchLocale = (tag: any): i32 => {
+  const available: bytestring = __Porffor_intl_locales();
+
+  // extensions are not supported
+  let candidate: any = tag;
+  const ext: i32 = candidate.indexOf('-u-');
+  if (ext != -1) candidate = candidate.slice(0, ext);
+
+  while (candidate.length > 0) {
+    let i: i32 = 0, start: i32 = 0;
+    const len: i32 = available.length;
+    while (start < len) {
+      let end: i32 = available.indexOf('|', start);
+      if (end == -1) end = len;
+
+      if (available.slice(start, end) == candidate) return i;
+
+      i++;
+      start = end + 1;
+    }
+
+    let cut: i32 = candidate.lastIndexOf('-');
+    if (cut == -1) break;
+
+    // remove a singleton left at the end too
+    if (Porffor.fastAnd(cut >= 2, candidate.charCodeAt(cut - 2) == 45)) cut -= 2;
+    candidate = candidate.slice(0, cut);
+  }
+
+  return -1;
+};
+
+// index of the locale to use for the requested locales, the default (first) if none are supported
+export const __Porffor_intl_resolveLocale = (locales: any): i32 => {
+  const requested: any[] = __Porffor_intl_requestedLocales(locales);
+  const len: i32 = requested.length;
+  for (let i: i32 = 0; i < len; i++) {
+    const index: i32 = __Porffor_intl_matchLocale(requested[i]);
+    if (index != -1) return index;
+  }
+
+  return 0;
+};
+
+// options are undefined or an object
+export const __Porffor_intl_options = (options: any): any => {
+  if (options === undefined) return undefined;
+  if (options === null) throw new TypeError('Cannot convert undefined or null to object');
+  if (!Porffor.object.isObject(options)) return undefined;
+
+  return options;
+};
+
+// string option, values is a | separated list of allowed values
+export const __Porffor_intl_stringOption = (options: any, property: bytestring, values: bytestring, fallback: any): any => {
+  if (options === undefined) return fallback;
+
+  let value: any = options[property];
+  if (value === undefined) return fallback;
+
+  value = ecma262.ToString(value);
+  if (!__Porffor_intl_has(values, value)) __Porffor_intl_rangeError('Value ' + value + ' out of range for Intl options property ' + property);
+
+  return value;
+};
+
+export const __Porffor_intl_booleanOption = (options: any, property: bytestring, fallback: any): any => {
+  if (options === undefined) return fallback;
+
+  const value: any = options[property];
+  if (value === undefined) return fallback;
+
+  return !!value;
+};
+
+export const __Porffor_intl_defaultNumberOption = (value: any, property: bytestring, min: number, max: number, fallback: any): any => {
+  if (value === undefined) return fallback;
+
+  const n: number = ecma262.ToNumber(value);
+  if (Porffor.fastOr(Number.isNaN(n), n < min, n > max)) __Porffor_intl_rangeError(property + ' value is out of range.');
+
+  return Math.floor(n);
+};
+
+export const __Porffor_intl_numberOption = (options: any, property: bytestring, min: number, max: number, fallback: any): any => {
+  if (options === undefined) return fallback;
+  return __Porffor_intl_defaultNumberOption(options[property], property, min, max, fallback);
+};
+
+// copy the options listed (| separated) which are not undefined
+export const __Porffor_intl_copyOptions = (out: object, options: object, keys: bytestring): void => {
+  const len: i32 = keys.length;
+  let start: i32 = 0;
+  while (start < len) {
+    let end: i32 = keys.indexOf('|', start);
+    if (end == -1) end = len;
+
+    const key: bytestring = keys.slice(start, end);
+    const value: any = options[key];
+    if (value !== undefined) out[key] = value;
+
+    start = end + 1;
+  }
+};
+
+export const __Porffor_intl_internal = (obj: any): object => {
+  return Porffor.wasm.i32.load(obj, 0, 0);
+};
+
+
+export const __Porffor_intl_supportedLocales = (locales: any, options: any): any[] => {
+  if (options != null) __Porffor_intl_stringOption(options, 'localeMatcher', 'lookup|best fit', 'best fit');
+
+  const requested: any[] = __Porffor_intl_requestedLocales(locales);
+  const out: any[] = Porffor.malloc();
+
+  const len: i32 = requested.length;
+  for (let i: i32 = 0; i < len; i++) {
+    if (__Porffor_intl_matchLocale(requested[i]) != -1) Porffor.array.fastPush(out, requested[i]);
+  }
+
+  return out;
+};
+
+export const __Intl_getCanonicalLocales = (locales: any): any[] => {
+  return __Porffor_intl_requestedLocales(locales);
+};
+
+
+// decimal digits of numbers being formatted, as value = 0.digits * 10^point
+// with no leading or trailing zeros (so zero is no digits)
+let digits: bytestring = '';
+let point: i32 = 0;
+
+// set digits and point from a finite number (or bigint), ignoring sign
+export const __Porffor_intl_toDigits = (x: any): void => {
+  let str: any;
+  if (Porffor.type(x) == Porffor.TYPES.bigint) {
+    str = __BigInt_prototype_toString(x, 10);
+  } else {
+    str = __Number_prototype_toString(x, 10);
+  }
+
+  const len: i32 = str.length;
+  const out: bytestring = Porffor.malloc(4 + len);
+  let p: i32 = -1, exp: i32 = 0;
+  for (let i: i32 = 0; i < len; i++) {
+    const c: i32 = str.charCodeAt(i);
+    if (c == 46) { // '.'
+      p = out.length;
+      continue;
+    }
+
+    if (c == 101) { // 'e'
+      exp = ecma262.ToNumber(str.slice(i + 1));
+      break;
+    }
+
+    if (Porffor.fastAnd(c >= 48, c <= 57)) __Porffor_bytestring_appendChar(out, c);
+  }
+
+  if (p == -1) p = out.length;
+  p += exp;
+
+  // strip leading and trailing zeros
+  let start: i32 = 0, end: i32 = out.length;
+  while (Porffor.fastAnd(start < end, out.charCodeAt(start) == 48)) {
+    start++;
+    p--;
+  }
+  while (Porffor.fastAnd(end > start, out.charCodeAt(end - 1) == 48)) end--;
+
+  if (start == end) {
+    digits = '';
+    point = 1;
+    return;
+  }
+
+  digits = out.slice(start, end);
+  point = p;
+};
+
+// round digits to keep digits (half away from zero)
+export const __Porffor_intl_round = (keep: i32): void => {
+  const len: i32 = digits.length;
+  if (keep >= len) return;
+
+  if (keep < 0) {
+    digits = '';
+    point = 1;
+    return;
+  }
+
+  const up: boolean = digits.charCodeAt(keep) >= 53; // '5'
+  let end: i32 = keep;
+  if (up) {
+    // remove trailing 9s which carry
+    while (Porffor.fastAnd(end > 0, digits.charCodeAt(end - 1) == 57)) end--;
+
+    if (end == 0) {
+      digits = '1';
+      point++;
+      return;
+    }
+
+    const out: bytestring = digits.slice(0, end);
+    Porffor.wasm.i32.store8(Porffor.wasm`local.get ${out}` + end - 1, out.charCodeAt(end - 1) + 1, 0, 4);
+    digits = out;
+    return;
+  }
+
+  // strip trailing zeros
+  while (Porffor.fastAnd(end > 0, digits.charCodeAt(end - 1) == 48)) end--;
+  digits = digits.slice(0, end);
+  if (end == 0) point = 1;
+};
+
+// round digits as the options say, returns minimum fraction digits to show
+export const __Porffor_intl_roundDigits = (o: object): i32 => {
+  const type: any = o.roundingType;
+  if (type == 'significantDigits') {
+    __Porffor_intl_round(o.maximumSignificantDigits);
+
+    const min: i32 = o.minimumSignificantDigits - (digits.length == 0 ? 1 : point);
+    return min > 0 ? min : 0;
+  }
+
+  if (type == 'morePrecision') {
+    // compact: 2 significant digits or no fraction digits, whichever keeps more
+    __Porffor_intl_round(point > 2 ? point : 2);
+    return 0;
+  }
+
+  __Porffor_intl_round(point + o.maximumFractionDigits);
+  return o.minimumFractionDigits;
+};
+
+// integer part of digits, padded to min digits
+export const __Porffor_intl_integerDigits = (min: i32): bytestring => {
+  const out: bytestring = Porffor.malloc(4 + (point > min ? point : min));
+  for (let i: i32 = point; i < min; i++) __Porffor_bytestring_appendChar(out, 48);
+
+  const len: i32 = digits.length;
+  for (let i: i32 = 0; i < point; i++) {
+    __Porffor_bytestring_appendChar(out, i < len ? digits.charCodeAt(i) : 48);
+  }
+
+  return out;
+};
+
+// fraction part of digits, padded to min digits
+export const __Porffor_intl_fractionDigits = (min: i32): bytestring => {
+  const len: i32 = digits.length;
+  const out: bytestring = Porffor.malloc(4 + (len - point > min ? len - point : min) + (point < 0 ? -point : 0));
+
+  let count: i32 = 0;
+  for (let i: i32 = point; i < 0; i++) {
+    __Porffor_bytestring_appendChar(out, 48);
+    count++;
+  }
+
+  for (let i: i32 = point > 0 ? point : 0; i < len; i++) {
+    __Porffor_bytestring_appendChar(out, digits.charCodeAt(i));
+    count++;
+  }
+
+  for (; count < min; count++) __Porffor_bytestring_appendChar(out, 48);
+  return out;
+};
+
+// parts are a flat list of type then value
+export const __Porffor_intl_part = (parts: any[], type: bytestring, value: any): void => {
+  Porffor.array.fastPush(parts, type);
+  Porffor.array.fastPush(parts, value);
+};
+
+export const __Porffor_intl_joinParts = (parts: any[]): any => {
+  let out: any = '';
+  const len: i32 = parts.length;
+  for (let i: i32 = 1; i < len; i += 2) out += parts[i];
+
+  return out;
+};
+
+export const __Porffor_intl_partObjects = (parts: any[]): any[] => {
+  const out: any[] = Porffor.malloc();
+  const len: i32 = parts.length;
+  for (let i: i32 = 0; i < len; i += 2) {
+    const part: object = {};
+    part.type = parts[i];
+    part.value = parts[i + 1];
+    Porffor.array.fastPush(out, part);
+  }
+
+  return out;
+};
+
+
+// digit options for NumberFormat and PluralRules (SetNumberFormatDigitOptions)
+export const __Porffor_intl_digitOptions = (o: object, options: any, mnfdDefault: i32, mxfdDefault: i32, compact: boolean): void => {
+  o.minimumIntegerDigits = __Porffor_intl_numberOption(options, 'minimumIntegerDigits', 1, 21, 1);
+
+  let mnfd: any = undefined, mxfd: any = undefined, mnsd: any = undefined, mxsd: any = undefined;
+  if (options !== undefined) {
+    mnfd = options.minimumFractionDigits;
+    mxfd = options.maximumFractionDigits;
+    mnsd = options.minimumSignificantDigits;
+    mxsd = options.maximumSignificantDigits;
+  }
+
+  const hasSd: boolean = Porffor.fastOr(mnsd !== undefined, mxsd !== undefined);
+  const hasFd: boolean = Porffor.fastOr(mnfd !== undefined, mxfd !== undefined);
+
+  if (hasSd) {
+    mnsd = __Porffor_intl_defaultNumberOption(mnsd, 'minimumSignificantDigits', 1, 21, 1);
+    mxsd = __Porffor_intl_defaultNumberOption(mxsd, 'maximumSignificantDigits', mnsd, 21, 21);
+
+    o.minimumSignificantDigits = mnsd;
+    o.maximumSignificantDigits = mxsd;
+    o.roundingType = 'significantDigits';
+    return;
+  }
+
+  if (Porffor.fastAnd(!hasFd, compact)) {
+    o.minimumFractionDigits = 0;
+    o.maximumFractionDigits = 0;
+    o.minimumSignificantDigits = 1;
+    o.maximumSignificantDigits = 2;
+    o.roundingType = 'morePrecision';
+    return;
+  }
+
+  if (hasFd) {
+    mnfd = __Porffor_intl_defaultNumberOption(mnfd, 'minimumFractionDigits', 0, 100, undefined);
+    mxfd = __Porffor_intl_defaultNumberOption(mxfd, 'maximumFractionDigits', 0, 100, undefined);
+
+    if (mnfd === undefined) {
+      mnfd = mnfdDefault < mxfd ? mnfdDefault : mxfd;
+    } else if (mxfd === undefined) {
+      mxfd = mxfdDefault > mnfd ? mxfdDefault : mnfd;
+    } else if (mnfd > mxfd) {
+      throw new RangeError('maximumFractionDigits value is out of range.');
+    }
+  } else {
+    mnfd = mnfdDefault;
+    mxfd = mxfdDefault;
+  }
+
+  o.minimumFractionDigits = mnfd;
+  o.maximumFractionDigits = mxfd;
+  o.roundingType = 'fractionDigits';
+};
+
+// if operands match plural rule conditions (see locales.js)
+export const __Porffor_intl_pluralMatch = (conditions: any, n: number, i: number, v: number, f: number, t: number, w: number): boolean => {
+  const len: i32 = conditions.length;
+  let start: i32 = 0;
+  while (start < len) {
+    let end: i32 = conditions.indexOf('&', start);
+    if (end == -1) end = len;
+
+    const operand: i32 = conditions.charCodeAt(start);
+    let value: number = n;
+    if (operand == 105) value = i;
+      else if (operand == 118) value = v;
+      else if (operand == 102) value = f;
+      else if (operand == 116) value = t;
+      else if (operand == 119) value = w;
+
+    let at: i32 = start + 1;
+    if (conditions.charCodeAt(at) == 37) { // '%'
+      let modEnd: i32 = at + 1;
+      while (Porffor.fastAnd(modEnd < end, conditions.charCodeAt(modEnd) >= 48, conditions.charCodeAt(modEnd) <= 57)) modEnd++;
+
+      value = value % ecma262.ToNumber(conditions.slice(at + 1, modEnd));
+      at = modEnd;
+    }
+
+    const negate: boolean = conditions.charCodeAt(at) == 33; // '!'
+    at += negate ? 2 : 1;
+
+    // values are , separated numbers or a..b ranges (of integers)
+    let found: boolean = false;
+    while (at < end) {
+      let valueEnd: i32 = conditions.indexOf(',', at);
+      if (Porffor.fastOr(valueEnd == -1, valueEnd > end)) valueEnd = end;
+
+      const range: i32 = conditions.indexOf('..', at);
+      if (Porffor.fastAnd(range != -1, range < valueEnd)) {
+        const min: number = ecma262.ToNumber(conditions.slice(at, range));
+        const max: number = ecma262.ToNumber(conditions.slice(range + 2, valueEnd));
+        if (Porffor.fastAnd(value >= min, value <= max, value % 1 == 0)) found = true;
+      } else {
+        if (value == ecma262.ToNumber(conditions.slice(at, valueEnd))) found = true;
+      }
+
+      at = valueEnd + 1;
+    }
+
+    if (found == negate) return false;
+    start = end + 1;
+  }
+
+  return true;
+};
+
+// plural category (cardinal or ordinal) of x after rounding as the digit options of o say
+export const __Porffor_intl_pluralCategory = (o: object, x: any, type: any): bytestring => {
+  const index: i32 = o.localeIndex;
+  const rules: bytestring = type == 'ordinal' ? __Porffor_intl_ordinal(index) : __Porffor_intl_cardinal(index);
+
+  if (Porffor.fastAnd(Porffor.type(x) != Porffor.TYPES.bigint, !Number.isFinite(x))) return 'other';
+
+  // operands: n absolute value, i integer digits, v number of visible fraction digits (f with trailing zeros),
+  // t visible fraction digits without trailing zeros (w number of them)
+  __Porffor_intl_toDigits(x);
+  const minFraction: i32 = __Porffor_intl_roundDigits(o);
+  const integer: bytestring = __Porffor_intl_integerDigits(1);
+  const fraction: bytestring = __Porffor_intl_fractionDigits(minFraction);
+  const trimmed: bytestring = __Porffor_intl_fractionDigits(0);
+
+  const i: number = ecma262.ToNumber(integer);
+  const v: number = fraction.length;
+  const f: number = v > 0 ? ecma262.ToNumber(fraction) : 0;
+  const w: number = trimmed.length;
+  const t: number = w > 0 ? ecma262.ToNumber(trimmed) : 0;
+  const n: number = v > 0 ? ecma262.ToNumber(integer + '.' + fraction) : i;
+
+  const len: i32 = rules.length;
+  let start: i32 = 0;
+  while (start < len) {
+    let end: i32 = rules.indexOf('|', start);
+    if (end == -1) end = len;
+
+    const colon: i32 = rules.indexOf(':', start);
+    if (__Porffor_intl_pluralMatch(rules.slice(colon + 1, end), n, i, v, f, t, w)) return rules.slice(start, colon);
+
+    start = end + 1;
+  }
+
+  return 'other';
+};
+
+// currencies with other than 2 minor digits (ISO 4217)
+export const __Porffor_intl_currencyDigits = (currency: any): i32 => {
+  if (__Porffor_intl_has('BIF|CLP|DJF|GNF|ISK|JPY|KMF|KRW|PYG|RWF|UGX|UYI|VND|VUV|XAF|XOF|XPF', currency)) return 0;
+  if (__Porffor_intl_has('BHD|IQD|JOD|KWD|LYD|OMR|TND', currency)) return 3;
+  return 2;
+};
+
+export const __Porffor_intl_numberFormatOptions = (locales: any, options: any): object => {
+  const index: i32 = __Porffor_intl_resolveLocale(locales);
+  options = __Porffor_intl_options(options);
+
+  const o: object = {};
+  o.locale = __Porffor_intl_item(__Porffor_intl_locales(), index);
+  o.numberingSystem = 'latn';
+
+  __Porffor_intl_stringOption(options, 'localeMatcher', 'lookup|best fit', 'best fit');
+
+  const style: any = __Porffor_intl_stringOption(options, 'style', 'decimal|percent|currency|unit', 'decimal');
+  if (style == 'unit') throw new RangeError('Unit style is not supported');
+  o.style = style;
+
+  let currency: any = options === undefined ? undefined : options.currency;
+  if (currency !== undefined) {
+    currency = ecma262.ToString(currency);
+
+    // well formed currency codes are 3 letters
+    let valid: boolean = currency.length == 3;
+    const code: bytestring = Porffor.malloc(8);
+    for (let i: i32 = 0; i < 3; i++) {
+      let c: i32 = currency.charCodeAt(i);
+      if (Porffor.fastAnd(c >= 97, c <= 122)) c -= 32;
+      if (Porffor.fastOr(c < 65, c > 90)) valid = false;
+      __Porffor_bytestring_appendChar(code, c);
+    }
+
+    if (!valid) __Porffor_intl_rangeError('Invalid currency code : ' + currency);
+    currency = code;
+  }
+
+  const currencyDisplay: any = __Porffor_intl_stringOption(options, 'currencyDisplay', 'code|symbol|narrowSymbol|name', 'symbol');
+  const currencySign: any = __Porffor_intl_stringOption(options, 'currencySign', 'standard|accounting', 'standard');
+
+  let mnfdDefault: i32 = 0, mxfdDefault: i32 = 3;
+  if (style == 'currency') {
+    if (currency === undefined) throw new TypeError('Currency code is required with currency style.');
+
+    o.currency = currency;
+    o.currencyDisplay = currencyDisplay;
+    o.currencySign = currencySign;
+
+    mnfdDefault = mxfdDefault = __Porffor_intl_currencyDigits(currency);
+  } else if (style == 'percent') {
+    mxfdDefault = 0;
+  }
+
+  const notation: any = __Porffor_intl_stringOption(options, 'notation', 'standard|scientific|engineering|compact', 'standard');
+  __Porffor_intl_digitOptions(o, options, mnfdDefault, mxfdDefault, notation == 'compact');
+
+  const compactDisplay: any = __Porffor_intl_stringOption(options, 'compactDisplay', 'short|long', 'short');
+
+  let useGrouping: any = notation == 'compact' ? 'min2' : 'auto';
+  const grouping: any = options === undefined ? undefined : options.useGrouping;
+  if (grouping === true) {
+    useGrouping = 'always';
+  } else if (Porffor.fastOr(grouping === false, grouping === null, grouping === 0, grouping === '')) {
+    useGrouping = false;
+  } else if (grouping !== undefined) {
+    const value: any = ecma262.ToString(grouping);
+    if (__Porffor_intl_has('min2|auto|always', value)) useGrouping = value;
+      else if (Porffor.fastAnd(value != 'true', value != 'false')) __Porffor_intl_rangeError('Value ' + value + ' out of range for Intl options property useGrouping');
+  }
+
+  o.useGrouping = useGrouping;
+  o.notation = notation;
+  if (notation == 'compact') o.compactDisplay = compactDisplay;
+  o.signDisplay = __Porffor_intl_stringOption(options, 'signDisplay', 'auto|never|always|exceptZero|negative', 'auto');
+  o.roundingMode = 'halfExpand';
+  o.roundingIncrement = 1;
+  o.trailingZeroDisplay = 'auto';
+  o.roundingPriority = o.roundingType == 'morePrecision' ? 'morePrecision' : 'auto';
+
+  o.localeIndex = index;
+  return o;
+};
+
+// add parts for a pattern affix (prefix or suffix), ¤ is the currency, % the percent sign and - the minus sign
+export const __Porffor_intl_affixParts = (parts: any[], affix: any, currency: any, index: i32): void => {
+  const len: i32 = affix.length;
+  let literal: i32 = -1;
+  for (let i: i32 = 0; i <= len; i++) {
+    const c: i32 = i < len ? affix.charCodeAt(i) : 0;
+    if (Porffor.fastOr(i == len, c == 164, c == 37, c == 45)) {
+      if (literal != -1) {
+        __Porffor_intl_part(parts, 'literal', affix.slice(literal, i));
+        literal = -1;
+      }
+
+      if (c == 164) __Porffor_intl_part(parts, 'currency', currency);
+        else if (c == 37) __Porffor_intl_part(parts, 'percentSign', __Porffor_intl_percentSign(index));
+        else if (c == 45) __Porffor_intl_part(parts, 'minusSign', __Porffor_intl_minusSign(index));
+    } else if (literal == -1) {
+      literal = i;
+    }
+  }
+};
+
+export const __Porffor_intl_isLetter = (c: i32): boolean => {
+  if (Porffor.fastAnd(c >= 65, c <= 90)) return true;
+  if (Porffor.fastAnd(c >= 97, c <= 122)) return true;
+  return false;
+};
+
+// add parts of digits (integer, group, decimal and fraction)
+export const __Porffor_intl_digitParts = (parts: any[], o: object, minFraction: i32, index: i32): void => {
+  const integer: bytestring = __Porffor_intl_integerDigits(o.minimumIntegerDigits);
+  const len: i32 = integer.length;
+
+  const useGrouping: any = o.useGrouping;
+  let grouping: boolean = false;
+  if (Porffor.fastOr(useGrouping == 'always', useGrouping == 'auto')) grouping = len > 3;
+  if (useGrouping == 'min2') grouping = len > 4;
+
+  if (grouping) {
+    const group: any = __Porffor_intl_group(index);
+    let first: i32 = len % 3;
+    if (first == 0) first = 3;
+
+    __Porffor_intl_part(parts, 'integer', integer.slice(0, first));
+    for (let i: i32 = first; i < len; i += 3) {
+      __Porffor_intl_part(parts, 'group', group);
+      __Porffor_intl_part(parts, 'integer', integer.slice(i, i + 3));
+    }
+  } else {
+    __Porffor_intl_part(parts, 'integer', integer);
+  }
+
+  const fraction: bytestring = __Porffor_intl_fractionDigits(minFraction);
+  if (fraction.length > 0) {
+    __Porffor_intl_part(parts, 'decimal', __Porffor_intl_decimal(index));
+    __Porffor_intl_part(parts, 'fraction', fraction);
+  }
+};
+
+// PartitionNumberPattern
+export const __Porffor_intl_formatNumber = (o: object, x: any): any[] => {
+  const index: i32 = o.localeIndex;
+  const parts: any[] = Porffor.malloc();
+
+  let negative: boolean = false, nan: boolean = false, infinity: boolean = false;
+  if (Porffor.type(x) == Porffor.TYPES.bigint) {
+    negative = x < 0n;
+  } else {
+    nan = Number.isNaN(x);
+    infinity = Porffor.fastAnd(!nan, !Number.isFinite(x));
+    negative = Porffor.fastOr(x < 0, Porffor.fastAnd(x == 0, 1 / x < 0));
+  }
+
+  const style: any = o.style;
+  const notation: any = o.notation;
+
+  // number parts are made first then put into the pattern
+  const number: any[] = Porffor.malloc();
+  let zero: boolean = false, compactUnit: i32 = 0;
+  if (nan) {
+    __Porffor_intl_part(number, 'nan', __Porffor_intl_nan(index));
+  } else if (infinity) {
+    __Porffor_intl_part(number, 'infinity', __Porffor_intl_infinity(index));
+  } else {
+    __Porffor_intl_toDigits(x);
+    if (style == 'percent') point += 2;
+
+    let exponent: i32 = 0;
+    if (Porffor.fastOr(notation == 'scientific', notation == 'engineering')) {
+      const step: i32 = notation == 'scientific' ? 1 : 3;
+      if (digits.length > 0) {
+        exponent = point - 1;
+        exponent -= ((exponent % step) + step) % step;
+      }
+
+      point -= exponent;
+      const minFraction: i32 = __Porffor_intl_roundDigits(o);
+
+      // rounding up may need another step
+      if (point > step) {
+        exponent += step;
+        point -= step;
+      }
+
+      zero = digits.length == 0;
+      __Porffor_intl_digitParts(number, o, minFraction, index);
+      __Porffor_intl_part(number, 'exponentSeparator', __Porffor_intl_exponential(index));
+      if (exponent < 0) {
+        __Porffor_intl_part(number, 'exponentMinusSign', __Porffor_intl_minusSign(index));
+        exponent = -exponent;
+      }
+      __Porffor_intl_part(number, 'exponentInteger', __Number_prototype_toString(exponent, 10));
+    } else {
+      if (notation == 'compact') {
+        const units: any = o.compactDisplay == 'long' ? __Porffor_intl_compactLong(index) : __Porffor_intl_compactShort(index);
+        const maxUnit: i32 = 4;
+
+        if (digits.length > 0) {
+          compactUnit = Math.floor((point - 1) / 3);
+          if (compactUnit < 0) compactUnit = 0;
+          if (compactUnit > maxUnit) compactUnit = maxUnit;
+        }
+
+        point -= compactUnit * 3;
+        const minFraction: i32 = __Porffor_intl_roundDigits(o);
+
+        // rounding up to 1000 moves to the next unit
+        if (Porffor.fastAnd(point > 3, compactUnit < maxUnit)) {
+          compactUnit++;
+          point -= 3;
+          __Porffor_intl_roundDigits(o);
+        }
+
+        zero = digits.length == 0;
+        __Porffor_intl_digitParts(number, o, minFraction, index);
+
+        if (compactUnit > 0) {
+          // leading spaces of the unit are a literal
+          const unit: any = __Porffor_intl_item(units, compactUnit - 1);
+          let spaces: i32 = 0;
+          while (unit.charCodeAt(spaces) == 32) spaces++;
+
+          if (spaces > 0) __Porffor_intl_part(number, 'literal', unit.slice(0, spaces));
+          __Porffor_intl_part(number, 'compact', unit.slice(spaces));
+        }
+      } else {
+        const minFraction: i32 = __Porffor_intl_roundDigits(o);
+        zero = digits.length == 0;
+        __Porffor_intl_digitParts(number, o, minFraction, index);
+      }
+    }
+  }
+
+  // sign
+  const signDisplay: any = o.signDisplay;
+  let sign: i32 = 0; // -1 minus, 1 plus
+  if (!nan) {
+    if (signDisplay == 'auto') {
+      if (negative) sign = -1;
+    } else if (signDisplay == 'always') {
+      sign = negative ? -1 : 1;
+    } else if (signDisplay == 'exceptZero') {
+      if (!zero) sign = negative ? -1 : 1;
+    } else if (signDisplay == 'negative') {
+      if (Porffor.fastAnd(negative, !zero)) sign = -1;
+    }
+  }
+
+  // pattern affixes
+  let pattern: any = '';
+  let currency: any = undefined;
+  if (style == 'percent') pattern = __Porffor_intl_percentPattern(index);
+  if (style == 'currency') {
+    const display: any = o.currencyDisplay;
+    if (display == 'name') {
+      // name follows the number using the plural category of it
+      const names: any = __Porffor_intl_lookup(__Porffor_intl_currencyNames(index), o.currency);
+      let name: any = o.currency;
+      if (names !== undefined) {
+        const comma: i32 = names.indexOf(',');
+        name = __Porffor_intl_pluralCategory(o, x, 'cardinal') == 'one' ? names.slice(0, comma) : names.slice(comma + 1);
+      }
+
+      if (sign == -1) __Porffor_intl_part(parts, 'minusSign', __Porffor_intl_minusSign(index));
+      if (sign == 1) __Porffor_intl_part(parts, 'plusSign', __Porffor_intl_plusSign(index));
+
+      const unitPattern: any = __Porffor_intl_currencyUnitPattern(index);
+      const numberAt: i32 = unitPattern.indexOf('{0}');
+      const nameAt: i32 = unitPattern.indexOf('{1}');
+      for (let i: i32 = 0; i < unitPattern.length; i++) {
+        if (i == numberAt) {
+          const len: i32 = number.length;
+          for (let j: i32 = 0; j < len; j++) Porffor.array.fastPush(parts, number[j]);
+          i += 2;
+        } else if (i == nameAt) {
+          __Porffor_intl_part(parts, 'currency', name);
+          i += 2;
+        } else {
+          let end: i32 = i + 1;
+          while (Porffor.fastAnd(end < unitPattern.length, end != numberAt, end != nameAt)) end++;
+          __Porffor_intl_part(parts, 'literal', unitPattern.slice(i, end));
+          i = end - 1;
+        }
+      }
+
+      return parts;
+    }
+
+    currency = o.currency;
+    if (display != 'code') {
+      let symbol: any = undefined;
+      if (display == 'narrowSymbol') symbol = __Porffor_intl_lookup(__Porffor_intl_currencyNarrow(index), currency);
+      if (symbol === undefined) symbol = __Porffor_intl_lookup(__Porffor_intl_currencySymbols(index), currency);
+      if (symbol !== undefined) currency = symbol;
+    }
+
+    pattern = o.currencySign == 'accounting' ? __Porffor_intl_accountingPattern(index) : __Porffor_intl_currencyPattern(index);
+  }
+
+  // negative subpattern replaces the sign
+  const semicolon: i32 = pattern.indexOf(';');
+  if (semicolon != -1) {
+    if (sign == -1) {
+      pattern = pattern.slice(semicolon + 1);
+      sign = 0;
+    } else {
+      pattern = pattern.slice(0, semicolon);
+    }
+  }
+
+  let prefixEnd: i32 = 0;
+  while (Porffor.fastAnd(prefixEnd < pattern.length, pattern.charCodeAt(prefixEnd) != 35, pattern.charCodeAt(prefixEnd) != 48)) prefixEnd++;
+  let suffixStart: i32 = pattern.length;
+  while (suffixStart > prefixEnd) {
+    const c: i32 = pattern.charCodeAt(suffixStart - 1);
+    if (Porffor.fastOr(c == 35, c == 48, c == 44, c == 46)) break;
+    suffixStart--;
+  }
+
+  let prefix: any = pattern.slice(0, prefixEnd);
+  let suffix: any = pattern.slice(suffixStart);
+
+  if (sign == -1) __Porffor_intl_part(parts, 'minusSign', __Porffor_intl_minusSign(index));
+  if (sign == 1) __Porffor_intl_part(parts, 'plusSign', __Porffor_intl_plusSign(index));
+
+  __Porffor_intl_affixParts(parts, prefix, currency, index);
+
+  // currency spacing: letters next to the number are spaced
+  if (Porffor.fastAnd(currency !== undefined, prefix.length > 0, prefix.charCodeAt(prefix.length - 1) == 164)) {
+    if (__Porffor_intl_isLetter(currency.charCodeAt(currency.length - 1))) __Porffor_intl_part(parts, 'literal', ' ');
+  }
+
+  const len: i32 = number.length;
+  for (let i: i32 = 0; i < len; i++) Porffor.array.fastPush(parts, number[i]);
+
+  if (Porffor.fastAnd(currency !== undefined, suffix.length > 0, suffix.charCodeAt(0) == 164)) {
+    if (__Porffor_intl_isLetter(currency.charCodeAt(0))) __Porffor_intl_part(parts, 'literal', ' ');
+  }
+
+  __Porffor_intl_affixParts(parts, suffix, currency, index);
+  return parts;
+};
+
+export const __Porffor_intl_toIntlNumber = (value: any): any => {
+  if (Porffor.type(value) == Porffor.TYPES.bigint) return value;
+  return ecma262.ToNumber(value);
+};
+
+export const __Intl_NumberFormat = function (locales: any, options: any): Intl_NumberFormat {
+  // can be called without new
+  const out: Intl_NumberFormat = Porffor.malloc(4);
+  Porffor.wasm.i32.store(out, __Porffor_intl_numberFormatOptions(locales, options), 0, 0);
+
+  return out;
+};
+
+export const __Intl_NumberFormat_supportedLocalesOf = (locales: any, options: any): any[] => {
+  return __Porffor_intl_supportedLocales(locales, options);
+};
+
+export const __Intl_NumberFormat_prototype_format = (_this: Intl_NumberFormat, value: any) => {
+  return __Porffor_intl_joinParts(__Porffor_intl_formatNumber(__Porffor_intl_internal(_this), __Porffor_intl_toIntlNumber(value)));
+};
+
+// hack: format is a getter giving a bound function but there are no closures, so use a global
+let activeNumberFormat: any;
+export const __Porffor_intl_formatNumberActive = (value: any): any => __Intl_NumberFormat_prototype_format(activeNumberFormat, value);
+export const __Intl_NumberFormat_prototype_format$get = (_this: Intl_NumberFormat) => {
+  activeNumberFormat = _this;
+  return __Porffor_intl_formatNumberActive;
+};
+
+export const __Intl_NumberFormat_prototype_formatToParts = (_this: Intl_NumberFormat, value: any) => {
+  return __Porffor_intl_partObjects(__Porffor_intl_formatNumber(__Porffor_intl_internal(_this), __Porffor_intl_toIntlNumber(value)));
+};
+
+export const __Intl_NumberFormat_prototype_resolvedOptions = (_this: Intl_NumberFormat) => {
+  const out: object = {};
+  __Porffor_intl_copyOptions(out, __Porffor_intl_internal(_this), 'locale|numberingSystem|style|currency|currencyDisplay|currencySign|minimumIntegerDigits|minimumFractionDigits|maximumFractionDigits|minimumSignificantDigits|maximumSignificantDigits|useGrouping|notation|compactDisplay|signDisplay|roundingMode|roundingIncrement|trailingZeroDisplay|roundingPriority');
+  return out;
+};
+
+export const __Intl_NumberFormat_prototype_toString = (_this: Intl_NumberFormat) => '[object Intl.NumberFormat]';
+
+
+export const __Intl_PluralRules = function (locales: any, options: any): Intl_PluralRules {
+  if (!new.target) throw new TypeError("Constructor Intl.PluralRules requires 'new'");
+
+  const index: i32 = __Porffor_intl_resolveLocale(locales);
+  options = __Porffor_intl_options(options);
+
+  const o: object = {};
+  o.locale = __Porffor_intl_item(__Porffor_intl_locales(), index);
+
+  __Porffor_intl_stringOption(options, 'localeMatcher', 'lookup|best fit', 'best fit');
+  o.type = __Porffor_intl_stringOption(options, 'type', 'cardinal|ordinal', 'cardinal');
+  __Porffor_intl_digitOptions(o, options, 0, 3, false);
+
+  o.localeIndex = index;
+
+  const out: Intl_PluralRules = Porffor.malloc(4);
+  Porffor.wasm.i32.store(out, o, 0, 0);
+
+  return out;
+};
+
+export const __Intl_PluralRules_supportedLocalesOf = (locales: any, options: any): any[] => {
+  return __Porffor_intl_supportedLocales(locales, options);
+};
+
+export const __Intl_PluralRules_prototype_select = (_this: Intl_PluralRules, value: any) => {
+  const o: object = __Porffor_intl_internal(_this);
+  return __Porffor_intl_pluralCategory(o, ecma262.ToNumber(value), o.type);
+};
+
+export const __Intl_PluralRules_prototype_resolvedOptions = (_this: Intl_PluralRules) => {
+  const o: object = __Porffor_intl_internal(_this);
+
+  const out: object = {};
+  __Porffor_intl_copyOptions(out, o, 'locale|type|minimumIntegerDigits|minimumFractionDigits|maximumFractionDigits|minimumSignificantDigits|maximumSignificantDigits');
+
+  // categories of the rules then other
+  const categories: any[] = Porffor.malloc();
+  const rules: bytestring = o.type == 'ordinal' ? __Porffor_intl_ordinal(o.localeIndex) : __Porffor_intl_cardinal(o.localeIndex);
+  const len: i32 = rules.length;
+  let start: i32 = 0;
+  while (start < len) {
+    let end: i32 = rules.indexOf('|', start);
+    if (end == -1) end = len;
+
+    Porffor.array.fastPush(categories, rules.slice(start, rules.indexOf(':', start)));
+    start = end + 1;
+  }
+
+  Porffor.array.fastPush(categories, 'other');
+  out.pluralCategories = categories;
+
+  return out;
+};
+
+export const __Intl_PluralRules_prototype_toString = (_this: Intl_PluralRules) => '[object Intl.PluralRules]';
+
+
+// collation elements of a string (a simplified root collation), as primary << 8 | secondary << 1 | upper
+// primary weights: whitespace, punctuation and symbols, digits, latin letters, then other characters by code point
+// secondary weights are accents, see the table below
+export const __Porffor_intl_collationElements = (str: any, numeric: boolean, ignorePunctuation: boolean): any[] => {
+  const out: any[] = Porffor.malloc();
+
+  // Latin-1 and Latin Extended-A (0xC0-0x17F) letters as their base letter (. if special)
+  // and accent: 1 acute, 2 grave, 3 breve, 4 circumflex, 5 caron, 6 ring, 7 diaeresis, 8 double acute,
+  // 9 tilde, a dot, b cedilla, c ogonek, d macron, e stroke, f other
+  const bases: bytestring = 'AAAAAA.CEEEEIIIIDNOOOOO.OUUUUY..aaaaaa.ceeeeiiiidnooooo.ouuuuy.yAaAaAaCcCcCcCcDdDdEeEeEeEeEeGgGgGgGgHhHhIiIiIiIiIiIiJjKkkLlLlLlLlLlNnNnNnnNnOoOoOo..RrRrRrSsSsSsSsTtTtTtUuUuUuUuUuUuWwYyYZzZzZzs';
+  const accents: bytestring = '2149760b21472147e9214970e21471002149760b21472147e9214970e2147107dd33cc1144aa5555eedd33aacc554433aabb44ee99dd33ccaeff44bbf11bb55ffee11bb55feedd33880011bb551144bb55bb55ee99dd336688cc4444711aa55f';
+  const whitespace: bytestring = '\t\n\v\f\r ';
+  const punctuation: string = "_-,;:!¡?¿.'\"«»()[]{}§¶@*/\\&#%‰†‡•`´˜^¯¨°©®+±÷×<=>¬|¦~¤¢$£¥€";
+
+  const len: i32 = str.length;
+  for (let i: i32 = 0; i < len; i++) {
+    let c: i32 = str.charCodeAt(i);
+
+    // ignorable controls, soft hyphen and zero width characters
+    if (Porffor.fastOr(c < 9, Porffor.fastAnd(c > 13, c < 32), Porffor.fastAnd(c >= 127, c < 160), c == 173, Porffor.fastAnd(c >= 0x200B, c <= 0x200F), c == 0xFEFF)) continue;
+
+    // digits, numeric runs are their length then their digits so they sort by value
+    if (Porffor.fastAnd(c >= 48, c <= 57)) {
+      if (numeric) {
+        let start: i32 = i;
+        while (Porffor.fastAnd(start < len - 1, str.charCodeAt(start) == 48, str.charCodeAt(start + 1) >= 48, str.charCodeAt(start + 1) <= 57)) start++;
+
+        let end: i32 = start;
+        while (Porffor.fastAnd(end < len, str.charCodeAt(end) >= 48, str.charCodeAt(end) <= 57)) end++;
+
+        Porffor.array.fastPush(out, (0x1000 + end - start) * 256);
+        for (let j: i32 = start; j < end; j++) Porffor.array.fastPush(out, (0x1000 + str.charCodeAt(j) - 48) * 256);
+
+        i = end - 1;
+        continue;
+      }
+
+      Porffor.array.fastPush(out, (0x1000 + c - 48) * 256);
+      continue;
+    }
+
+    if (Porffor.fastAnd(c >= 97, c <= 122)) {
+      Porffor.array.fastPush(out, (0x2000 + (c - 97) * 4) * 256);
+      continue;
+    }
+
+    if (Porffor.fastAnd(c >= 65, c <= 90)) {
+      Porffor.array.fastPush(out, (0x2000 + (c - 65) * 4) * 256 + 1);
+      continue;
+    }
+
+    if (Porffor.fastAnd(c >= 0xC0, c <= 0x17F)) {
+      const base: i32 = bases.charCodeAt(c - 0xC0);
+      if (base != 46) { // '.'
+        let accent: i32 = accents.charCodeAt(c - 0xC0) - 48;
+        if (accent > 9) accent -= 39;
+
+        if (base <= 90) Porffor.array.fastPush(out, (0x2000 + (base - 65) * 4) * 256 + accent * 2 + 1);
+          else Porffor.array.fastPush(out, (0x2000 + (base - 97) * 4) * 256 + accent * 2);
+        continue;
+      }
+
+      // ligatures expand to their letters
+      let first: i32 = 0, second: i32 = 0, ligatureUpper: i32 = 0;
+      if (Porffor.fastOr(c == 0xC6, c == 0xE6)) {
+        first = 0;
+        second = 4;
+        ligatureUpper = c == 0xC6 ? 1 : 0;
+      } else if (Porffor.fastOr(c == 0x152, c == 0x153)) {
+        first = 14;
+        second = 4;
+        ligatureUpper = c == 0x152 ? 1 : 0;
+      } else if (c == 0xDF) {
+        first = 18;
+        second = 18;
+      } else if (Porffor.fastOr(c == 0xDE, c == 0xFE)) {
+        // thorn sorts after z
+        Porffor.array.fastPush(out, (0x2000 + 26 * 4) * 256 + (c == 0xDE ? 1 : 0));
+        continue;
+      }
+
+      if (Porffor.fastOr(first != 0, second != 0)) {
+        Porffor.array.fastPush(out, (0x2000 + first * 4) * 256 + 30 + ligatureUpper);
+        Porffor.array.fastPush(out, (0x2000 + second * 4) * 256 + 30 + ligatureUpper);
+        continue;
+      }
+    }
+
+    // whitespace then punctuation and symbols
+    let variable: i32 = -1;
+    if (c == 160) variable = 6; // no-break space is a space
+    for (let j: i32 = 0; j < whitespace.length; j++) {
+      if (whitespace.charCodeAt(j) == c) variable = j + 1;
+    }
+
+    if (variable == -1) {
+      for (let j: i32 = 0; j < punctuation.length; j++) {
+        if (punctuation.charCodeAt(j) == c) variable = 0x100 + j;
+      }
+    }
+
+    if (variable != -1) {
+      if (!ignorePunctuation) Porffor.array.fastPush(out, variable * 256 + (c == 160 ? 1 : 0));
+      continue;
+    }
+
+    // greek and cyrillic fold case, everything else is by code point
+    let upper: i32 = 0;
+    if (Porffor.fastAnd(c >= 0x391, c <= 0x3A9)) {
+      c += 32;
+      upper = 1;
+    } else if (Porffor.fastAnd(c >= 0x410, c <= 0x42F)) {
+      c += 32;
+      upper = 1;
+    } else if (Porffor.fastAnd(c >= 0x400, c <= 0x40F)) {
+      c += 80;
+      upper = 1;
+    }
+
+    Porffor.array.fastPush(out, (0x3000 + c) * 256 + upper);
+  }
+
+  return out;
+};
+
+// compare strings by their collation elements, primary (base letter) differences first,
+// then secondary (accent) and tertiary (case) as sensitivity allows
+export const __Porffor_intl_compareStrings = (o: object, x: any, y: any): number => {
+  const numeric: boolean = o.numeric;
+  const ignorePunctuation: boolean = o.ignorePunctuation;
+  const a: any[] = __Porffor_intl_collationElements(x, numeric, ignorePunctuation);
+  const b: any[] = __Porffor_intl_collationElements(y, numeric, ignorePunctuation);
+
+  const aLen: i32 = a.length, bLen: i32 = b.length;
+  const len: i32 = aLen < bLen ? aLen : bLen;
+  for (let i: i32 = 0; i < len; i++) {
+    const pa: i32 = a[i] >> 8, pb: i32 = b[i] >> 8;
+    if (pa != pb) return pa < pb ? -1 : 1;
+  }
+
+  if (aLen != bLen) return aLen < bLen ? -1 : 1;
+
+  const sensitivity: any = o.sensitivity;
+  if (sensitivity == 'base') return 0;
+
+  if (sensitivity != 'case') {
+    for (let i: i32 = 0; i < len; i++) {
+      const sa: i32 = (a[i] >> 1) & 127, sb: i32 = (b[i] >> 1) & 127;
+      if (sa != sb) return sa < sb ? -1 : 1;
+    }
+
+    if (sensitivity == 'accent') return 0;
+  }
+
+  // lower case first unless caseFirst is upper
+  const upperFirst: boolean = o.caseFirst == 'upper';
+  for (let i: i32 = 0; i < len; i++) {
+    const ua: i32 = a[i] & 1, ub: i32 = b[i] & 1;
+    if (ua != ub) return (ua > ub) != upperFirst ? 1 : -1;
+  }
+
+  return 0;
+};
+
+export const __Porffor_intl_collatorOptions = (locales: any, options: any): object => {
+  const index: i32 = __Porffor_intl_resolveLocale(locales);
+  options = __Porffor_intl_options(options);
+
+  const o: object = {};
+  o.locale = __Porffor_intl_item(__Porffor_intl_locales(), index);
+  o.usage = __Porffor_intl_stringOption(options, 'usage', 'sort|search', 'sort');
+
+  __Porffor_intl_stringOption(options, 'localeMatcher', 'lookup|best fit', 'best fit');
+
+  // only the default collation is supported
+  o.collation = 'default';
+  o.numeric = __Porffor_intl_booleanOption(options, 'numeric', false);
+  o.caseFirst = __Porffor_intl_stringOption(options, 'caseFirst', 'upper|lower|false', 'false');
+  o.sensitivity = __Porffor_intl_stringOption(options, 'sensitivity', 'base|accent|case|variant', 'variant');
+  o.ignorePunctuation = __Porffor_intl_booleanOption(options, 'ignorePunctuation', false);
+
+  o.localeIndex = index;
+  return o;
+};
+
+export const __Intl_Collator = function (locales: any, options: any): Intl_Collator {
+  // can be called without new
+  const out: Intl_Collator = Porffor.malloc(4);
+  Porffor.wasm.i32.store(out, __Porffor_intl_collatorOptions(locales, options), 0, 0);
+
+  return out;
+};
+
+export const __Intl_Collator_supportedLocalesOf = (locales: any, options: any): any[] => {
+  return __Porffor_intl_supportedLocales(locales, options);
+};
+
+export const __Intl_Collator_prototype_compare = (_this: Intl_Collator, x: any, y: any) => {
+  return __Porffor_intl_compareStrings(__Porffor_intl_internal(_this), ecma262.ToString(x), ecma262.ToString(y));
+};
+
+// hack: compare is a getter giving a bound function but there are no closures, so use a global
+let activeCollator: any;
+export const __Porffor_intl_compareActive = (x: any, y: any): number => __Intl_Collator_prototype_compare(activeCollator, x, y);
+export const __Intl_Collator_prototype_compare$get = (_this: Intl_Collator) => {
+  activeCollator = _this;
+  return __Porffor_intl_compareActive;
+};
+
+export const __Intl_Collator_prototype_resolvedOptions = (_this: Intl_Collator) => {
+  const out: object = {};
+  __Porffor_intl_copyOptions(out, __Porffor_intl_internal(_this), 'locale|usage|sensitivity|ignorePunctuation|collation|numeric|caseFirst');
+  return out;
+};
+
+export const __Intl_Collator_prototype_toString = (_this: Intl_Collator) => '[object Intl.Collator]';
+
+
+// date time patterns use CLDR pattern letters (G y M L d E c a h H K k m s S z v O), '' quotes literals
+// length of the run of the same letter at i in pattern
+export const __Porffor_intl_patternRun = (pattern: any, i: i32): i32 => {
+  const c: i32 = pattern.charCodeAt(i);
+  const len: i32 = pattern.length;
+
+  let end: i32 = i + 1;
+  while (Porffor.fastAnd(end < len, pattern.charCodeAt(end) == c)) end++;
+  return end - i;
+};
+
+export const __Porffor_intl_repeat = (c: i32, n: i32): bytestring => {
+  const out: bytestring = Porffor.malloc(4 + n);
+  for (let i: i32 = 0; i < n; i++) __Porffor_bytestring_appendChar(out, c);
+  return out;
+};
+
+// set field widths of a pattern from options
+export const __Porffor_intl_adjustPattern = (pattern: any, o: object): any => {
+  let out: any = '';
+  const len: i32 = pattern.length;
+  for (let i: i32 = 0; i < len; i++) {
+    const c: i32 = pattern.charCodeAt(i);
+    if (c == 39) { // '
+      let end: i32 = pattern.indexOf("'", i + 1);
+      if (end == -1) end = len - 1;
+
+      out += pattern.slice(i, end + 1);
+      i = end;
+      continue;
+    }
+
+    if (!__Porffor_intl_isLetter(c)) {
+      out += pattern.slice(i, i + 1);
+      continue;
+    }
+
+    const n: i32 = __Porffor_intl_patternRun(pattern, i);
+    i += n - 1;
+
+    let value: any = undefined;
+    if (c == 71) value = o.era; // G
+      else if (c == 121) value = o.year; // y
+      else if (Porffor.fastOr(c == 77, c == 76)) value = o.month; // M L
+      else if (c == 100) value = o.day; // d
+      else if (Porffor.fastOr(c == 69, c == 99)) value = o.weekday; // E c
+      else if (Porffor.fastOr(c == 104, c == 72, c == 75, c == 107)) value = o.hour; // h H K k
+      else if (c == 109) value = o.minute; // m
+      else if (c == 115) value = o.second; // s
+
+    let width: i32 = n;
+    if (value == '2-digit') width = 2;
+    if (Porffor.fastOr(c == 71, c == 69, c == 99, n >= 3)) {
+      // text fields
+      if (value == 'short') width = c == 71 ? 1 : 3;
+      if (value == 'long') width = 4;
+      if (value == 'narrow') width = 5;
+    }
+
+    out += __Porffor_intl_repeat(c, width);
+  }
+
+  return out;
+};
+
+// change the hour letters of a pattern for an hour cycle, adding or removing the day period
+export const __Porffor_intl_setHourCycle = (pattern: any, hourCycle: any): any => {
+  let letter: i32 = 104; // h
+  if (hourCycle == 'h11') letter = 75; // K
+  if (hourCycle == 'h23') letter = 72; // H
+  if (hourCycle == 'h24') letter = 107; // k
+  const twelve: boolean = Porffor.fastOr(letter == 104, letter == 75);
+
+  let out: any = '';
+  let hasPeriod: boolean = false, hasHour: boolean = false, lastTime: i32 = -1, skipSpace: boolean = false;
+  const len: i32 = pattern.length;
+  for (let i: i32 = 0; i < len; i++) {
+    const c: i32 = pattern.charCodeAt(i);
+    if (c == 39) { // '
+      let end: i32 = pattern.indexOf("'", i + 1);
+      if (end == -1) end = len - 1;
+
+      out += pattern.slice(i, end + 1);
+      i = end;
+      continue;
+    }
+
+    if (!__Porffor_intl_isLetter(c)) {
+      if (Porffor.fastAnd(skipSpace, c == 32)) {
+        skipSpace = false;
+        continue;
+      }
+
+      out += pattern.slice(i, i + 1);
+      continue;
+    }
+
+    skipSpace = false;
+    const n: i32 = __Porffor_intl_patternRun(pattern, i);
+    i += n - 1;
+
+    if (c == 97) { // a
+      if (twelve) {
+        hasPeriod = true;
+        out += __Porffor_intl_repeat(c, n);
+      } else if (Porffor.fastAnd(out.length > 0, out.charCodeAt(out.length - 1) == 32)) {
+        // remove the space before too
+        out = out.slice(0, out.length - 1);
+      } else {
+        skipSpace = true;
+      }
+
+      continue;
+    }
+
+    if (Porffor.fastOr(c == 104, c == 72, c == 75, c == 107)) {
+      const wasTwelve: boolean = Porffor.fastOr(c == 104, c == 75);
+      let width: i32 = n;
+      if (wasTwelve != twelve) width = twelve ? 1 : 2;
+
+      out += __Porffor_intl_repeat(letter, width);
+      hasHour = true;
+      lastTime = out.length;
+      continue;
+    }
+
+    out += __Porffor_intl_repeat(c, n);
+    if (Porffor.fastOr(c == 109, c == 115, c == 83)) lastTime = out.length;
+  }
+
+  // 12 hour cycles need a day period after the time
+  if (Porffor.fastAnd(twelve, hasHour, !hasPeriod)) out = out.slice(0, lastTime) + ' a' + out.slice(lastTime);
+  return out;
+};
+
+// put a date and time pattern into a glue pattern ({1} is the date, {0} the time)
+export const __Porffor_intl_glueDateTime = (glue: any, date: any, time: any): any => {
+  const d: i32 = glue.indexOf('{1}');
+  const t: i32 = glue.indexOf('{0}');
+  if (d < t) return glue.slice(0, d) + date + glue.slice(d + 3, t) + time + glue.slice(t + 3);
+  return glue.slice(0, t) + time + glue.slice(t + 3, d) + date + glue.slice(d + 3);
+};
+
+// pattern for the date and time fields of o from the available formats
+export const __Porffor_intl_skeletonPattern = (o: object, twelve: boolean): any => {
+  const index: i32 = o.localeIndex;
+  const formats: any = __Porffor_intl_availableFormats(index);
+
+  const month: any = o.month;
+  let monthKey: bytestring = 'M';
+  if (Porffor.fastOr(month == 'short', month == 'narrow')) monthKey = 'MMM';
+  if (month == 'long') monthKey = 'MMMM';
+
+  // date skeleton as y M E d, which formats are found by
+  let date: any = undefined;
+  let key: any = '';
+  if (o.year !== undefined) key += 'y';
+  if (month !== undefined) key += monthKey;
+  if (o.weekday !== undefined) key += 'E';
+  if (o.day !== undefined) key += 'd';
+
+  if (o.era !== undefined) {
+    date = __Porffor_intl_lookup(formats, 'G' + key);
+    if (Porffor.fastAnd(date === undefined, key.length == 0)) date = 'G';
+  }
+
+  if (Porffor.fastAnd(date === undefined, key.length > 0)) {
+    date = __Porffor_intl_lookup(formats, key);
+
+    // no long month format so widen the short one
+    if (Porffor.fastAnd(date === undefined, month == 'long')) {
+      key = key.slice(0, key.indexOf('M')) + 'MMM' + key.slice(key.indexOf('M') + 4);
+      date = __Porffor_intl_lookup(formats, key);
+    }
+
+    if (date === undefined) {
+      // join the fields on their own
+      date = '';
+      if (o.weekday !== undefined) date += __Porffor_intl_lookup(formats, 'E') + ' ';
+      if (month !== undefined) date += __Porffor_intl_lookup(formats, monthKey) + ' ';
+      if (o.day !== undefined) date += __Porffor_intl_lookup(formats, 'd') + ' ';
+      if (o.year !== undefined) date += __Porffor_intl_lookup(formats, 'y') + ' ';
+      date = date.slice(0, date.length - 1);
+    }
+
+    if (o.era !== undefined) date += ' G';
+  }
+
+  // time skeleton as h (or H) m s
+  let time: any = undefined;
+  key = '';
+  if (o.hour !== undefined) key += twelve ? 'h' : 'H';
+  if (Porffor.fastOr(o.minute !== undefined, Porffor.fastAnd(o.hour !== undefined, o.second !== undefined))) key += 'm';
+  if (o.second !== undefined) key += 's';
+
+  if (key.length > 0) time = __Porffor_intl_lookup(formats, key);
+
+  const fractionalSecondDigits: any = o.fractionalSecondDigits;
+  if (fractionalSecondDigits !== undefined) {
+    const fraction: bytestring = __Porffor_intl_repeat(83, fractionalSecondDigits);
+    if (time === undefined) {
+      time = fraction;
+    } else {
+      const s: i32 = time.lastIndexOf('s');
+      if (s != -1) time = time.slice(0, s + 1) + '.' + fraction + time.slice(s + 1);
+    }
+  }
+
+  const timeZoneName: any = o.timeZoneName;
+  if (timeZoneName !== undefined) {
+    let zone: bytestring = 'z';
+    if (timeZoneName == 'long') zone = 'zzzz';
+      else if (timeZoneName == 'shortOffset') zone = 'O';
+      else if (timeZoneName == 'longOffset') zone = 'OOOO';
+      else if (timeZoneName == 'shortGeneric') zone = 'v';
+      else if (timeZoneName == 'longGeneric') zone = 'vvvv';
+
+    if (time !== undefined) time += ' ' + zone;
+      else if (date !== undefined) date += ', ' + zone;
+      else time = zone;
+  }
+
+  if (date === undefined) return time;
+  if (time === undefined) return date;
+
+  // glue by how long the date is
+  let style: i32 = 3;
+  if (Porffor.fastOr(month == 'short', month == 'narrow')) style = 2;
+  if (month == 'long') style = o.weekday !== undefined ? 0 : 1;
+
+  return __Porffor_intl_glueDateTime(__Porffor_intl_item(__Porffor_intl_dateTimeFormats(index), style), date, time);
+};
+
+// set the date and time fields of o as the pattern shows them
+export const __Porffor_intl_patternFields = (o: object, pattern: any): void => {
+  const len: i32 = pattern.length;
+  for (let i: i32 = 0; i < len; i++) {
+    const c: i32 = pattern.charCodeAt(i);
+    if (c == 39) { // '
+      const end: i32 = pattern.indexOf("'", i + 1);
+      i = end == -1 ? len : end;
+      continue;
+    }
+
+    if (!__Porffor_intl_isLetter(c)) continue;
+
+    const n: i32 = __Porffor_intl_patternRun(pattern, i);
+    i += n - 1;
+
+    let value: bytestring = n == 2 ? '2-digit' : 'numeric';
+    let text: bytestring = 'short';
+    if (n == 4) text = 'long';
+    if (n == 5) text = 'narrow';
+
+    if (c == 71) o.era = text; // G
+      else if (c == 121) o.year = value; // y
+      else if (Porffor.fastOr(c == 77, c == 76)) o.month = n >= 3 ? text : value; // M L
+      else if (c == 100) o.day = value; // d
+      else if (Porffor.fastOr(c == 69, c == 99)) o.weekday = text; // E c
+      else if (Porffor.fastOr(c == 104, c == 72, c == 75, c == 107)) o.hour = value; // h H K k
+      else if (c == 109) o.minute = value; // m
+      else if (c == 115) o.second = value; // s
+      else if (c == 83) o.fractionalSecondDigits = n; // S
+  }
+};
+
+// CreateDateTimeFormat, required is date, time or any and defaults is date, time or all
+export const __Porffor_intl_dateTimeFormatOptions = (locales: any, options: any, required: bytestring, defaults: bytestring): object => {
+  const index: i32 = __Porffor_intl_resolveLocale(locales);
+  options = __Porffor_intl_options(options);
+
+  const o: object = {};
+  o.locale = __Porffor_intl_item(__Porffor_intl_locales(), index);
+  o.calendar = 'gregory';
+  o.numberingSystem = 'latn';
+
+  __Porffor_intl_stringOption(options, 'localeMatcher', 'lookup|best fit', 'best fit');
+
+  const hour12: any = __Porffor_intl_booleanOption(options, 'hour12', undefined);
+  let hourCycle: any = __Porffor_intl_stringOption(options, 'hourCycle', 'h11|h12|h23|h24', undefined);
+  if (hour12 !== undefined) hourCycle = hour12 ? 'h12' : 'h23';
+
+  // only UTC is supported
+  const timeZone: any = options === undefined ? undefined : options.timeZone;
+  if (timeZone !== undefined) {
+    const name: any = ecma262.ToString(timeZone);
+    if (!__Porffor_intl_has('UTC|UCT|GMT|GMT0|GMT+0|GMT-0|ETC/UTC|ETC/UCT|ETC/GMT|ETC/GMT0|ETC/GMT+0|ETC/GMT-0|ETC/UNIVERSAL|ETC/ZULU|UNIVERSAL|ZULU', name.toUpperCase()))
+      __Porffor_intl_rangeError('Invalid time zone specified: ' + name);
+  }
+  o.timeZone = 'UTC';
+
+  const fields: object = {};
+  fields.weekday = __Porffor_intl_stringOption(options, 'weekday', 'narrow|short|long', undefined);
+  fields.era = __Porffor_intl_stringOption(options, 'era', 'narrow|short|long', undefined);
+  fields.year = __Porffor_intl_stringOption(options, 'year', '2-digit|numeric', undefined);
+  fields.month = __Porffor_intl_stringOption(options, 'month', '2-digit|numeric|narrow|short|long', undefined);
+  fields.day = __Porffor_intl_stringOption(options, 'day', '2-digit|numeric', undefined);
+  fields.dayPeriod = __Porffor_intl_stringOption(options, 'dayPeriod', 'narrow|short|long', undefined);
+  fields.hour = __Porffor_intl_stringOption(options, 'hour', '2-digit|numeric', undefined);
+  fields.minute = __Porffor_intl_stringOption(options, 'minute', '2-digit|numeric', undefined);
+  fields.second = __Porffor_intl_stringOption(options, 'second', '2-digit|numeric', undefined);
+  fields.fractionalSecondDigits = __Porffor_intl_numberOption(options, 'fractionalSecondDigits', 1, 3, undefined);
+  fields.timeZoneName = __Porffor_intl_stringOption(options, 'timeZoneName', 'short|long|shortOffset|longOffset|shortGeneric|longGeneric', undefined);
+
+  __Porffor_intl_stringOption(options, 'formatMatcher', 'basic|best fit', 'best fit');
+
+  const dateStyle: any = __Porffor_intl_stringOption(options, 'dateStyle', 'full|long|medium|short', undefined);
+  const timeStyle: any = __Porffor_intl_stringOption(options, 'timeStyle', 'full|long|medium|short', undefined);
+
+  const keys: bytestring = 'weekday|era|year|month|day|dayPeriod|hour|minute|second|fractionalSecondDigits|timeZoneName';
+  let explicit: any = undefined, hasDate: boolean = false, hasTime: boolean = false;
+  let start: i32 = 0, n: i32 = 0;
+  while (start < keys.length) {
+    let end: i32 = keys.indexOf('|', start);
+    if (end == -1) end = keys.length;
+
+    const key: bytestring = keys.slice(start, end);
+    if (fields[key] !== undefined) {
+      explicit = key;
+
+      // weekday, year, month and day are date fields, dayPeriod to fractionalSecondDigits are time fields
+      if (Porffor.fastAnd(n != 1, n <= 4)) hasDate = true;
+      if (Porffor.fastAnd(n >= 5, n <= 9)) hasTime = true;
+    }
+
+    n++;
+    start = end + 1;
+  }
+
+  let pattern: any;
+  const styles: bytestring = 'full|long|medium|short';
+  if (Porffor.fastOr(dateStyle !== undefined, timeStyle !== undefined)) {
+    if (explicit !== undefined) __Porffor_intl_typeError("Can't set option " + explicit + ' when ' + (dateStyle !== undefined ? 'dateStyle' : 'timeStyle') + ' is used');
+    if (Porffor.fastAnd(required == 'date', dateStyle === undefined)) throw new TypeError('Invalid option : timeStyle');
+    if (Porffor.fastAnd(required == 'time', timeStyle === undefined)) throw new TypeError('Invalid option : dateStyle');
+
+    let dateIndex: i32 = 0, timeIndex: i32 = 0;
+    for (let i: i32 = 0; i < 4; i++) {
+      const style: any = __Porffor_intl_item(styles, i);
+      if (dateStyle == style) dateIndex = i;
+      if (timeStyle == style) timeIndex = i;
+    }
+
+    if (dateStyle !== undefined) pattern = __Porffor_intl_item(__Porffor_intl_dateFormats(index), dateIndex);
+    if (timeStyle !== undefined) {
+      const time: any = __Porffor_intl_item(__Porffor_intl_timeFormats(index), timeIndex);
+      if (dateStyle !== undefined) pattern = __Porffor_intl_glueDateTime(__Porffor_intl_item(__Porffor_intl_dateTimeFormats(index), dateIndex), pattern, time);
+        else pattern = time;
+    }
+
+    if (hourCycle !== undefined) pattern = __Porffor_intl_setHourCycle(pattern, hourCycle);
+  } else {
+    // ToDateTimeOptions defaults
+    let needDefaults: boolean = true;
+    if (Porffor.fastAnd(required != 'time', hasDate)) needDefaults = false;
+    if (Porffor.fastAnd(required != 'date', hasTime)) needDefaults = false;
+
+    if (needDefaults) {
+      if (defaults != 'time') fields.year = fields.month = fields.day = 'numeric';
+      if (defaults != 'date') fields.hour = fields.minute = fields.second = 'numeric';
+    }
+
+    fields.localeIndex = index;
+    if (hourCycle === undefined) hourCycle = __Porffor_intl_hourCycle(index);
+
+    pattern = __Porffor_intl_skeletonPattern(fields, Porffor.fastOr(hourCycle == 'h11', hourCycle == 'h12'));
+    pattern = __Porffor_intl_adjustPattern(__Porffor_intl_setHourCycle(pattern, hourCycle), fields);
+  }
+
+  if (hourCycle === undefined) hourCycle = __Porffor_intl_hourCycle(index);
+
+  // fields are given as the pattern shows them, hour cycle only with hours
+  const shown: object = {};
+  __Porffor_intl_patternFields(shown, pattern);
+  if (shown.hour !== undefined) {
+    o.hourCycle = hourCycle;
+    o.hour12 = Porffor.fastOr(hourCycle == 'h11', hourCycle == 'h12');
+  }
+
+  if (Porffor.fastAnd(dateStyle === undefined, timeStyle === undefined)) {
+    __Porffor_intl_copyOptions(o, shown, keys);
+    o.timeZoneName = fields.timeZoneName;
+  }
+
+  o.dateStyle = dateStyle;
+  o.timeStyle = timeStyle;
+
+  o.pattern = pattern;
+  o.localeIndex = index;
+  return o;
+};
+
+// number padded with zeros to n digits
+export const __Porffor_intl_pad = (x: number, n: i32): bytestring => {
+  const str: bytestring = __Number_prototype_toString(x, 10);
+  if (str.length >= n) return str;
+
+  return __Porffor_intl_repeat(48, n - str.length) + str;
+};
+
+// format time value t (UTC) by the pattern of o into parts
+export const __Porffor_intl_formatDate = (o: object, t: number): any[] => {
+  const index: i32 = o.localeIndex;
+  const pattern: any = o.pattern;
+  const parts: any[] = Porffor.malloc();
+
+  const year: number = __ecma262_YearFromTime(t);
+  const month: i32 = __ecma262_MonthFromTime(t);
+  const hour: i32 = __ecma262_HourFromTime(t);
+
+  let literal: any = '';
+  const len: i32 = pattern.length;
+  for (let i: i32 = 0; i < len; i++) {
+    const c: i32 = pattern.charCodeAt(i);
+    if (c == 39) { // '
+      // '' is a quote
+      if (pattern.charCodeAt(i + 1) == 39) {
+        literal += "'";
+        i++;
+        continue;
+      }
+
+      let end: i32 = pattern.indexOf("'", i + 1);
+      if (end == -1) end = len;
+
+      literal += pattern.slice(i + 1, end);
+      i = end;
+      continue;
+    }
+
+    if (!__Porffor_intl_isLetter(c)) {
+      literal += pattern.slice(i, i + 1);
+      continue;
+    }
+
+    const n: i32 = __Porffor_intl_patternRun(pattern, i);
+    i += n - 1;
+
+    let type: bytestring = 'literal';
+    let value: any = undefined;
+    if (c == 71) { // G
+      type = 'era';
+      let eras: any = __Porffor_intl_erasAbbr(index);
+      if (n == 4) eras = __Porffor_intl_erasWide(index);
+      if (n == 5) eras = __Porffor_intl_erasNarrow(index);
+
+      value = __Porffor_intl_item(eras, year > 0 ? 1 : 0);
+    } else if (c == 121) { // y
+      // year of era
+      type = 'year';
+      const y: number = year > 0 ? year : 1 - year;
+      value = n == 2 ? __Porffor_intl_pad(y % 100, 2) : __Porffor_intl_pad(y, n);
+    } else if (Porffor.fastOr(c == 77, c == 76)) { // M L
+      type = 'month';
+      if (n <= 2) {
+        value = __Porffor_intl_pad(month + 1, n);
+      } else {
+        let months: any = __Porffor_intl_monthsAbbr(index);
+        if (n == 4) months = __Porffor_intl_monthsWide(index);
+        if (n == 5) months = __Porffor_intl_monthsNarrow(index);
+
+        value = __Porffor_intl_item(months, month);
+      }
+    } else if (c == 100) { // d
+      type = 'day';
+      value = __Porffor_intl_pad(__ecma262_DateFromTime(t), n);
+    } else if (Porffor.fastOr(c == 69, c == 99)) { // E c
+      type = 'weekday';
+      let days: any = __Porffor_intl_daysAbbr(index);
+      if (n == 4) days = __Porffor_intl_daysWide(index);
+      if (n == 5) days = __Porffor_intl_daysNarrow(index);
+
+      value = __Porffor_intl_item(days, __ecma262_WeekDay(t));
+    } else if (c == 97) { // a
+      type = 'dayPeriod';
+      value = __Porffor_intl_item(__Porffor_intl_dayPeriods(index), hour < 12 ? 0 : 1);
+    } else if (Porffor.fastOr(c == 104, c == 72, c == 75, c == 107)) { // h H K k
+      type = 'hour';
+      let h: i32 = hour;
+      if (Porffor.fastOr(c == 104, c == 75)) h = hour % 12;
+      if (Porffor.fastAnd(c == 104, h == 0)) h = 12;
+      if (Porffor.fastAnd(c == 107, h == 0)) h = 24;
+
+      value = __Porffor_intl_pad(h, n);
+    } else if (c == 109) { // m
+      type = 'minute';
+      value = __Porffor_intl_pad(__ecma262_MinFromTime(t), n);
+    } else if (c == 115) { // s
+      type = 'second';
+      value = __Porffor_intl_pad(__ecma262_SecFromTime(t), n);
+    } else if (c == 83) { // S
+      // fractional seconds are truncated
+      type = 'fractionalSecond';
+      value = __Porffor_intl_pad(Math.floor(__ecma262_msFromTime(t) / (10 ** (3 - n))), n);
+    } else if (Porffor.fastOr(c == 122, c == 118)) { // z v
+      type = 'timeZoneName';
+      value = n < 4 ? __Porffor_intl_utcShort(index) : __Porffor_intl_utcLong(index);
+    } else if (c == 79) { // O
+      type = 'timeZoneName';
+      value = 'GMT';
+    }
+
+    if (value === undefined) {
+      literal += pattern.slice(i - n + 1, i + 1);
+      continue;
+    }
+
+    if (literal.length > 0) {
+      __Porffor_intl_part(parts, 'literal', literal);
+      literal = '';
+    }
+
+    __Porffor_intl_part(parts, type, value);
+  }
+
+  if (literal.length > 0) __Porffor_intl_part(parts, 'literal', literal);
+  return parts;
+};
+
+// time value to format, now if undefined
+export const __Porffor_intl_toTimeValue = (date: any): number => {
+  let t: number;
+  if (date === undefined) t = __Date_now();
+    else if (Porffor.type(date) == Porffor.TYPES.date) t = __Porffor_date_read(date);
+    else t = ecma262.ToNumber(date);
+
+  t = __ecma262_TimeClip(t);
+  if (Number.isNaN(t)) throw new RangeError('Invalid time value');
+
+  return t;
+};
+
+export const __Intl_DateTimeFormat = function (locales: any, options: any): Intl_DateTimeFormat {
+  // can be called without new
+  const out: Intl_DateTimeFormat = Porffor.malloc(4);
+  Porffor.wasm.i32.store(out, __Porffor_intl_dateTimeFormatOptions(locales, options, 'any', 'date'), 0, 0);
+
+  return out;
+};
+
+export const __Intl_DateTimeFormat_supportedLocalesOf = (locales: any, options: any): any[] => {
+  return __Porffor_intl_supportedLocales(locales, options);
+};
+
+export const __Intl_DateTimeFormat_prototype_format = (_this: Intl_DateTimeFormat, date: any) => {
+  return __Porffor_intl_joinParts(__Porffor_intl_formatDate(__Porffor_intl_internal(_this), __Porffor_intl_toTimeValue(date)));
+};
+
+let activeDateTimeFormat: any;
+export const __Porffor_intl_formatDateActive = (date: any): any => __Intl_DateTimeFormat_prototype_format(activeDateTimeFormat, date);
+export const __Intl_DateTimeFormat_prototype_format$get = (_this: Intl_DateTimeFormat) => {
+  activeDateTimeFormat = _this;
+  return __Porffor_intl_formatDateActive;
+};
+
+export const __Intl_DateTimeFormat_prototype_formatToParts = (_this: Intl_DateTimeFormat, date: any) => {
+  return __Porffor_intl_partObjects(__Porffor_intl_formatDate(__Porffor_intl_internal(_this), __Porffor_intl_toTimeValue(date)));
+};
+
+export const __Intl_DateTimeFormat_prototype_resolvedOptions = (_this: Intl_DateTimeFormat) => {
+  const out: object = {};
+  __Porffor_intl_copyOptions(out, __Porffor_intl_internal(_this), 'locale|calendar|numberingSystem|timeZone|hourCycle|hour12|weekday|era|year|month|day|dayPeriod|hour|minute|second|fractionalSecondDigits|timeZoneName|dateStyle|timeStyle');
+  return out;
+};
+
+export const __Intl_DateTimeFormat_prototype_toString = (_this: Intl_DateTimeFormat) => '[object Intl.DateTimeFormat]';
@@ -0,0 +1,528 @@
+import type {} from './porffor.d.ts';
+
+// iterator helpers are stepped without making result objects, so pipelines are just loops
+// helpers hold an array of:
+//   0 source, 1 kind (0 = wrapped, 1 = map, 2 = filter, 3 = take, 4 = drop, 5 = flatMap),
+//   2 callback (or for wrapped arrays, sets and maps: 0 = values, 1 = keys, 2 = entries),
+//   3 counter (or index of a wrapped array, set or map), 4 remaining (take and drop), 5 inner iterator (flatMap), 6 done
+
+// if the last step was done
+let stepDone: boolean = false;
+
+export const __Porffor_iterator_done = (): boolean => stepDone;
+
+export const __Porffor_iterator_helper = (source: any, kind: i32, fn: any, remaining: number): IteratorHelper => {
+  const out: any[] = Porffor.malloc(72);
+  Porffor.array.fastPush(out, source);
+  Porffor.array.fastPush(out, kind);
+  Porffor.array.fastPush(out, fn);
+  Porffor.array.fastPush(out, 0);
+  Porffor.array.fastPush(out, remaining);
+  Porffor.array.fastPush(out, undefined);
+  Porffor.array.fastPush(out, false);
+
+  return out as IteratorHelper;
+};
+
+// GetIteratorFlattenable, as an iterator for __Porffor_iterator_step
+export const __Porffor_iterator_get = (obj: any, strings: boolean): any => {
+  const type: i32 = Porffor.type(obj);
+  if (Porffor.fastOr(
+    type == Porffor.TYPES.__porffor_generator,
+    type == Porffor.TYPES.__porffor_asyncgenerator,
+    type == Porffor.TYPES.iteratorhelper
+  )) return obj;
+
+  if (Porffor.fastOr(
+    type == Porffor.TYPES.array,
+    type == Porffor.TYPES.set
+  )) return __Porffor_iterator_helper(obj, 0, 0, 0);
+  if (type == Porffor.TYPES.map) return __Porffor_iterator_helper(obj, 0, 2, 0);
+
+  if ((type | 0b10000000) == Porffor.TYPES.bytestring) {
+    if (!strings) throw new TypeError('Iterator value is not an object');
+  } else if (!Porffor.object.isObject(obj)) throw new TypeError('Iterator value is not an object');
+
+  // other builtin iterables are copied into an array
+  if (Porffor.fastOr(
+    (type | 0b10000000) == Porffor.TYPES.bytestring,
+    Porffor.fastAnd(type >= Porffor.TYPES.uint8clampedarray, type <= Porffor.TYPES.float64array)
+  )) return __Porffor_iterator_helper(Array.from(obj), 0, undefined, 0);
+
+  let iter: any = obj;
+  const method: any = (obj as object)[Symbol.iterator];
+  if (method != null) {
+    if (Porffor.type(method) != Porffor.TYPES.function) throw new TypeError('Symbol.iterator is not a function');
+
+    iter = method.call(obj);
+    if (Porffor.fastOr(
+      Porffor.type(iter) == Porffor.TYPES.__porffor_generator,
+      Porffor.type(iter) == Porffor.TYPES.__porffor_asyncgenerator,
+      Porffor.type(iter) == Porffor.TYPES.iteratorhelper
+    )) return iter;
+
+    if (Porffor.type(iter) == Porffor.TYPES.array) return __Porffor_iterator_helper(iter, 0, 0, 0);
+    if (!Porffor.object.isObject(iter)) throw new TypeError('Iterator is not an object');
+  }
+
+  return __Porffor_iterator_helper(iter, 0, 0, 0);
+};
+
+// if an iterator source is an array, set or map, stepped by index
+export const __Porffor_iterator_indexed = (source: any): boolean => Porffor.fastOr(
+  Porffor.type(source) == Porffor.TYPES.array,
+  Porffor.type(source) == Porffor.TYPES.set,
+  Porffor.type(source) == Porffor.TYPES.map
+);
+
+// IteratorClose, without a completion
+export const __Porffor_iterator_close = (iter: any): void => {
+  if (Porffor.fastOr(
+    Porffor.type(iter) == Porffor.TYPES.__porffor_generator,
+    Porffor.type(iter) == Porffor.TYPES.__porffor_asyncgenerator
+  )) {
+    if (!__Porffor_Generator_done(iter)) __Porffor_Generator_resume(iter, undefined, 2);
+    return;
+  }
+
+  if (Porffor.type(iter) == Porffor.TYPES.iteratorhelper) {
+    const state: any[] = iter;
+    if (state[6]) return;
+    state[6] = true;
+
+    if (state[5] !== undefined) __Porffor_iterator_close(state[5]);
+    if (!__Porffor_iterator_indexed(state[0])) __Porffor_iterator_close(state[0]);
+    return;
+  }
+
+  const method: any = (iter as object).return;
+  if (method != null) {
+    if (Porffor.type(method) != Porffor.TYPES.function) throw new TypeError('Iterator return is not a function');
+    if (!Porffor.object.isObject(method.call(iter))) throw new TypeError('Iterator result is not an object');
+  }
+};
+
+// IteratorStepValue, sets stepDone
+export const __Porffor_iterator_step = (iter: any): any => {
+  if (Porffor.fastOr(
+    Porffor.type(iter) == Porffor.TYPES.__porffor_generator,
+    Porffor.type(iter) == Porffor.TYPES.__porffor_asyncgenerator
+  )) {
+    const value: any = __Porffor_Generator_resume(iter, undefined, 0);
+    stepDone = __Porffor_Generator_done(iter);
+    if (stepDone) return undefined;
+    return value;
+  }
+
+  if (Porffor.type(iter) != Porffor.TYPES.iteratorhelper) {
+    const next: any = (iter as object).next;
+    if (Porffor.type(next) != Porffor.TYPES.function) throw new TypeError('Iterator next is not a function');
+
+    const result: any = next.call(iter);
+    if (!Porffor.object.isObject(result)) throw new TypeError('Iterator result is not an object');
+
+    stepDone = !!result.done;
+    if (stepDone) return undefined;
+    return result.value;
+  }
+
+  const state: any[] = iter;
+  if (state[6]) {
+    stepDone = true;
+    return undefined;
+  }
+
+  const source: any = state[0];
+  const kind: i32 = state[1];
+  const fn: any = state[2];
+  let value: any;
+  if (kind == 0) { // wrapped
+    if (__Porffor_iterator_indexed(source)) {
+      // maps step their keys array, with values at the same index in their values array
+      let items: any[] = source;
+      if (Porffor.type(source) == Porffor.TYPES.map) items = Porffor.wasm.i32.load(source, 0, 0);
+
+      const i: i32 = state[3];
+      if (i >= items.length) {
+        state[6] = true;
+        stepDone = true;
+        return undefined;
+      }
+
+      state[3] = i + 1;
+      stepDone = false;
+
+      let key: any = i;
+      value = items[i];
+      if (Porffor.type(source) == Porffor.TYPES.set) key = value;
+      if (Porffor.type(source) == Porffor.TYPES.map) {
+        key = value;
+        const vals: any[] = Porffor.wasm.i32.load(source, 0, 4);
+        value = vals[i];
+      }
+
+      if (fn == 1) return key;
+      if (fn == 2) {
+        const entry: any[] = Porffor.malloc();
+        entry.length = 2;
+        entry[0] = key;
+        entry[1] = value;
+        return entry;
+      }
+
+      return value;
+    }
+
+    value = __Porffor_iterator_step(source);
+  } else if (kind == 1) { // map
+    value = __Porffor_iterator_step(source);
+    if (!stepDone) {
+      const counter: number = state[3];
+      state[3] = counter + 1;
+      value = fn(value, counter);
+      stepDone = false;
+    }
+  } else if (kind == 2) { // filter
+    while (true) {
+      value = __Porffor_iterator_step(source);
+      if (stepDone) break;
+
+      const counter: number = state[3];
+      state[3] = counter + 1;
+      if (!!fn(value, counter)) {
+        stepDone = false;
+        break;
+      }
+    }
+  } else if (kind == 3) { // take
+    const remaining: number = state[4];
+    if (remaining == 0) {
+      __Porffor_iterator_close(iter);
+      stepDone = true;
+      return undefined;
+    }
+
+    state[4] = remaining - 1;
+    value = __Porffor_iterator_step(source);
+  } else if (kind == 4) { // drop
+    stepDone = false;
+    while (true) {
+      const remaining: number = state[4];
+      if (remaining == 0) break;
+      state[4] = remaining - 1;
+
+      __Porffor_iterator_step(source);
+      if (stepDone) break;
+    }
+
+    if (!stepDone) value = __Porffor_iterator_step(source);
+  } else { // flatMap
+    while (true) {
+      const inner: any = state[5];
+      if (inner !== undefined) {
+        value = __Porffor_iterator_step(inner);
+        if (!stepDone) break;
+        state[5] = undefined;
+      }
+
+      value = __Porffor_iterator_step(source);
+      if (stepDone) break;
+
+      const counter: number = state[3];
+      state[3] = counter + 1;
+      state[5] = __Porffor_iterator_get(fn(value, counter), false);
+    }
+  }
+
+  if (stepDone) state[6] = true;
+  return value;
+};
+
+// GetIterator, for for..of, spread and array destructuring of iterables without a fast path
+export const __Porffor_iterator_of = (obj: any): any => {
+  const type: i32 = Porffor.type(obj);
+  if (Porffor.fastOr(
+    type == Porffor.TYPES.__porffor_generator,
+    type == Porffor.TYPES.__porffor_asyncgenerator,
+    type == Porffor.TYPES.iteratorhelper
+  )) return obj;
+
+  if (type == Porffor.TYPES.object) {
+    if ((obj as object)[Symbol.iterator] == null) throw new TypeError('Value is not iterable');
+  } else if (!Porffor.fastOr(
+    type == Porffor.TYPES.array,
+    (type | 0b10000000) == Porffor.TYPES.bytestring,
+    type == Porffor.TYPES.set,
+    type == Porffor.TYPES.map,
+    Porffor.fastAnd(type >= Porffor.TYPES.uint8clampedarray, type <= Porffor.TYPES.float64array)
+  )) throw new TypeError('Value is not iterable');
+
+  return __Porffor_iterator_get(obj, true);
+};
+
+// yield*, resuming iter with what was sent into the delegating generator by next (0), throw (1) or return (2)
+// returns the value to yield, or once done (see __Porffor_iterator_done) the value of the yield* (or to return)
+export const __Porffor_iterator_delegate = (iter: any, value: any, kind: i32): any => {
+  if (Porffor.fastOr(
+    Porffor.type(iter) == Porffor.TYPES.__porffor_generator,
+    Porffor.type(iter) == Porffor.TYPES.__porffor_asyncgenerator
+  )) {
+    const out: any = __Porffor_Generator_resume(iter, value, kind);
+    stepDone = __Porffor_Generator_done(iter);
+    return out;
+  }
+
+  const state: any[] = iter;
+  const source: any = state[0];
+  if (Porffor.fastAnd(state[1] == 0, Porffor.type(source) == Porffor.TYPES.object)) {
+    // user iterators get what was sent
+    let method: any;
+    if (kind == 0) method = (source as object).next;
+      else if (kind == 1) method = (source as object).throw;
+      else method = (source as object).return;
+
+    if (method == null) {
+      if (kind == 1) {
+        __Porffor_iterator_close(source);
+        throw new TypeError('Iterator does not have a throw method');
+      }
+
+      if (kind == 2) {
+        stepDone = true;
+        return value;
+      }
+    }
+
+    if (Porffor.type(method) != Porffor.TYPES.function) throw new TypeError('Iterator method is not a function');
+
+    const result: any = method.call(source, value);
+    if (!Porffor.object.isObject(result)) throw new TypeError('Iterator result is not an object');
+
+    stepDone = !!result.done;
+    return result.value;
+  }
+
+  if (kind == 0) return __Porffor_iterator_step(iter);
+
+  __Porffor_iterator_close(iter);
+  stepDone = true;
+  if (kind == 1) throw new TypeError('Iterator does not have a throw method');
+  return value;
+};
+
+// IteratorClose, with a throw completion which wins over errors from closing
+export const __Porffor_iterator_closeThrow = (iter: any): void => {
+  try {
+    __Porffor_iterator_close(iter);
+  } catch {}
+};
+
+// values of an iterable as an array, for spread and array destructuring
+// only count values are taken (closing the iterator if not done) unless count is -1
+export const __Porffor_iterator_values = (obj: any, count: i32): any[] => {
+  if (Porffor.fastAnd(Porffor.type(obj) == Porffor.TYPES.array, count == -1)) return obj;
+
+  const iter: any = __Porffor_iterator_of(obj);
+  const out: any[] = Porffor.malloc();
+  for (let i: i32 = 0; i != count; i++) {
+    const value: any = __Porffor_iterator_step(iter);
+    if (stepDone) return out;
+
+    Porffor.array.fastPush(out, value);
+  }
+
+  __Porffor_iterator_close(iter);
+  return out;
+};
+
+// GetIteratorDirect
+export const __Porffor_iterator_direct = (obj: any): any => {
+  if (!Porffor.object.isObject(obj)) throw new TypeError('Iterator must be an object');
+  return obj;
+};
+
+export const __Porffor_iterator_callback = (iter: any, fn: any): void => {
+  if (!ecma262.IsCallable(fn)) {
+    __Porffor_iterator_close(iter);
+    throw new TypeError('Callback must be a function');
+  }
+};
+
+export const __Porffor_iterator_limit = (iter: any, limit: any): number => {
+  const num: number = ecma262.ToNumber(limit);
+  if (Number.isNaN(num)) {
+    __Porffor_iterator_close(iter);
+    throw new RangeError('Limit must be a number');
+  }
+
+  const integer: number = ecma262.ToIntegerOrInfinity(num);
+  if (integer < 0) {
+    __Porffor_iterator_close(iter);
+    throw new RangeError('Limit must be positive');
+  }
+
+  return integer;
+};
+
+
+// 27.1.3.1 Iterator ()
+// https://tc39.es/ecma262/#sec-iterator-constructor
+export const Iterator = function (): void {
+  if (!new.target) throw new TypeError("Constructor Iterator requires 'new'");
+  throw new TypeError('Iterator cannot be constructed directly');
+};
+
+// 27.1.3.2.1 Iterator.from (O)
+// https://tc39.es/ecma262/#sec-iterator.from
+export const __Iterator_from = (O: any): any => {
+  return __Porffor_iterator_get(O, true);
+};
+
+export const __Iterator_prototype_map = (_this: any, mapper: any) => {
+  const iter: any = __Porffor_iterator_direct(_this);
+  __Porffor_iterator_callback(iter, mapper);
+
+  return __Porffor_iterator_helper(iter, 1, mapper, 0);
+};
+
+export const __Iterator_prototype_filter = (_this: any, predicate: any) => {
+  const iter: any = __Porffor_iterator_direct(_this);
+  __Porffor_iterator_callback(iter, predicate);
+
+  return __Porffor_iterator_helper(iter, 2, predicate, 0);
+};
+
+export const __Iterator_prototype_take = (_this: any, limit: any) => {
+  const iter: any = __Porffor_iterator_direct(_this);
+  return __Porffor_iterator_helper(iter, 3, undefined, __Porffor_iterator_limit(iter, limit));
+};
+
+export const __Iterator_prototype_drop = (_this: any, limit: any) => {
+  const iter: any = __Porffor_iterator_direct(_this);
+  return __Porffor_iterator_helper(iter, 4, undefined, __Porffor_iterator_limit(iter, limit));
+};
+
+export const __Iterator_prototype_flatMap = (_this: any, mapper: any) => {
+  const iter: any = __Porffor_iterator_direct(_this);
+  __Porffor_iterator_callback(iter, mapper);
+
+  return __Porffor_iterator_helper(iter, 5, mapper, 0);
+};
+
+export const __Iterator_prototype_reduce = (_this: any, reducer: any, initialValue: any) => {
+  const iter: any = __Porffor_iterator_direct(_this);
+  __Porffor_iterator_callback(iter, reducer);
+
+  let acc: any = initialValue;
+  let counter: number = 0;
+  if (acc === undefined) {
+    acc = __Porffor_iterator_step(iter);
+    if (stepDone) throw new TypeError('Reduce of empty iterator with no initial value');
+    counter = 1;
+  }
+
+  while (true) {
+    const value: any = __Porffor_iterator_step(iter);
+    if (stepDone) return acc;
+
+    acc = reducer(acc, value, counter++);
+  }
+};
+
+export const __Iterator_prototype_toArray = (_this: any) => {
+  const iter: any = __Porffor_iterator_direct(_this);
+
+  const out: any[] = Porffor.malloc();
+  while (true) {
+    const value: any = __Porffor_iterator_step(iter);
+    if (stepDone) return out;
+
+    Porffor.array.fastPush(out, value);
+  }
+};
+
+export const __Iterator_prototype_forEach = (_this: any, fn: any) => {
+  const iter: any = __Porffor_iterator_direct(_this);
+  __Porffor_iterator_callback(iter, fn);
+
+  let counter: number = 0;
+  while (true) {
+    const value: any = __Porffor_iterator_step(iter);
+    if (stepDone) return;
+
+    fn(value, counter++);
+  }
+};
+
+export const __Iterator_prototype_some = (_this: any, predicate: any) => {
+  const iter: any = __Porffor_iterator_direct(_this);
+  __Porffor_iterator_callback(iter, predicate);
+
+  let counter: number = 0;
+  while (true) {
+    const value: any = __Porffor_iterator_step(iter);
+    if (stepDone) return false;
+
+    if (!!predicate(value, counter++)) {
+      __Porffor_iterator_close(iter);
+      return true;
+    }
+  }
+};
+
+export const __Iterator_prototype_every = (_this: any, predicate: any) => {
+  const iter: any = __Porffor_iterator_direct(_this);
+  __Porffor_iterator_callback(iter, predicate);
+
+  let counter: number = 0;
+  while (true) {
+    const value: any = __Porffor_iterator_step(iter);
+    if (stepDone) return true;
+
+    if (!predicate(value, counter++)) {
+      __Porffor_iterator_close(iter);
+      return false;
+    }
+  }
+};
+
+export const __Iterator_prototype_find = (_this: any, predicate: any) => {
+  const iter: any = __Porffor_iterator_direct(_this);
+  __Porffor_iterator_callback(iter, predicate);
+
+  let counter: number = 0;
+  while (true) {
+    const value: any = __Porffor_iterator_step(iter);
+    if (stepDone) return undefined;
+
+    if (!!predicate(value, counter++)) {
+      __Porffor_iterator_close(iter);
+      return value;
+    }
+  }
+};
+
+
+// 27.1.2.1.1 %IteratorHelperPrototype%.next ()
+// https://tc39.es/ecma262/#sec-%iteratorhelperprototype%.next
+export const __IteratorHelper_prototype_next = (_this: IteratorHelper) => {
+  const obj: object = {};
+  obj.value = __Porffor_iterator_step(_this);
+  obj.done = stepDone;
+
+  return obj;
+};
+
+// 27.1.2.1.2 %IteratorHelperPrototype%.return ()
+// https://tc39.es/ecma262/#sec-%iteratorhelperprototype%.return
+export const __IteratorHelper_prototype_return = (_this: IteratorHelper) => {
+  __Porffor_iterator_close(_this);
+
+  const obj: object = {};
+  obj.value = undefined;
+  obj.done = true;
+
+  return obj;
+};
+
+export const __IteratorHelper_prototype_toString = (_this: IteratorHelper) => '[object Iterator Helper]';
@@ -104,27 +104,17 @@ export const Map = function (iterable: any): Map {
   return out;
 };
 
+// map iterators are iterator helpers wrapping the map (see iterator.ts)
 export const __Map_prototype_keys = (_this: Map) => {
-  const keys: any[] = Porffor.wasm.i32.load(_this, 0, 0);
-  const out: any[] = Porffor.malloc();
-
-  for (const x of keys) {
-    Porffor.array.fastPush(out, x);
-  }
-
-  return out;
+  return __Porffor_iterator_helper(_this, 0, 1, 0);
 };
 
 export const __Map_prototype_values = (_this: Map) => {
-  const size: i32 = Porffor.wasm.i32.load(Porffor.wasm.i32.load(_this, 0, 0), 0, 0);
-  const vals: any[] = Porffor.wasm.i32.load(_this, 0, 4);
-  const out: any[] = Porffor.malloc();
-
-  for (let i: i32 = 0; i < size; i++) {
-    Porffor.array.fastPush(out, vals[i]);
-  }
+  return __Porffor_iterator_helper(_this, 0, 0, 0);
+};
 
-  return out;
+export const __Map_prototype_entries = (_this: Map) => {
+  return __Porffor_iterator_helper(_this, 0, 2, 0);
 };
 
 export const __Map_prototype_toString = (_this: Map) => '[object Map]';
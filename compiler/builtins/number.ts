@@ -353,7 +353,9 @@ export const __Number_prototype_toFixed = (_this: number, fractionDigits: number
   return out;
 };
 
-export const __Number_prototype_toLocaleString = (_this: number) => __Number_prototype_toString(_this, 10);
+export const __Number_prototype_toLocaleString = (_this: number, locales: any, options: any) => {
+  return __Porffor_intl_joinParts(__Porffor_intl_formatNumber(__Porffor_intl_numberFormatOptions(locales, options), _this));
+};
 
 // fractionDigits: number|any for type check
 export const __Number_prototype_toExponential = (_this: number, fractionDigits: number|any) => {
@@ -17,6 +17,10 @@ export const Object = function (value: any): any {
 
 export const __Object_keys = (obj: any): any[] => {
   if (obj == null) throw new TypeError('Argument is nullish, expected object');
+  if (Porffor.comptime.flag`hasType.proxy`) {
+    if (Porffor.type(obj) == Porffor.TYPES.proxy) return __Porffor_proxy_keys(obj);
+  }
+
   const out: any[] = Porffor.malloc();
 
   obj = __Porffor_object_underlying(obj);
@@ -74,6 +78,13 @@ export const __Object_values = (obj: any): any[] => {
   if (obj == null) throw new TypeError('Argument is nullish, expected object');
   const out: any[] = Porffor.malloc();
 
+  if (Porffor.comptime.flag`hasType.proxy`) {
+    if (Porffor.type(obj) == Porffor.TYPES.proxy) {
+      for (const x of __Object_keys(obj)) Porffor.array.fastPush(out, obj[x]);
+      return out;
+    }
+  }
+
   obj = __Porffor_object_underlying(obj);
   if (Porffor.type(obj) == Porffor.TYPES.object) {
     let ptr: i32 = Porffor.wasm`local.get ${obj}` + 8;
@@ -163,6 +174,9 @@ export const __Object_hasOwn = (obj: any, prop: any): boolean => {
 
 export const __Porffor_object_in = (obj: any, prop: any): boolean => {
   // todo: throw if obj is not an object
+  if (Porffor.comptime.flag`hasType.proxy`) {
+    if (Porffor.type(obj) == Porffor.TYPES.proxy) return __Porffor_proxy_has(obj, prop);
+  }
 
   if (__Object_prototype_hasOwnProperty(obj, prop)) {
     return true;
@@ -189,6 +203,14 @@ export const __Porffor_object_instanceof = (obj: any, constr: any, checkProto: a
     return false;
   }
 
+  // iterator helpers and generators inherit from Iterator.prototype
+  if (Porffor.comptime.flag`hasFunc.#get___Iterator_prototype`) {
+    if (checkProto === __Iterator_prototype) if (Porffor.fastOr(
+      Porffor.type(obj) == Porffor.TYPES.iteratorhelper,
+      Porffor.type(obj) == Porffor.TYPES.__porffor_generator
+    )) return true;
+  }
+
   let lastProto: any = obj;
   while (true) {
     obj = Porffor.object.getPrototypeWithHidden(obj, Porffor.type(obj));
@@ -410,6 +432,16 @@ export const __Object_getOwnPropertyNames = (obj: any): any[] => {
   if (obj == null) throw new TypeError('Argument is nullish, expected object');
   const out: any[] = Porffor.malloc();
 
+  if (Porffor.comptime.flag`hasType.proxy`) {
+    if (Porffor.type(obj) == Porffor.TYPES.proxy) {
+      for (const x of __Porffor_proxy_ownKeys(obj)) {
+        if (Porffor.type(x) != Porffor.TYPES.symbol) Porffor.array.fastPush(out, x);
+      }
+
+      return out;
+    }
+  }
+
   obj = __Porffor_object_underlying(obj);
   if (Porffor.type(obj) == Porffor.TYPES.object) {
     let ptr: i32 = Porffor.wasm`local.get ${obj}` + 8;
@@ -464,6 +496,16 @@ export const __Object_getOwnPropertySymbols = (obj: any): any[] => {
   if (obj == null) throw new TypeError('Argument is nullish, expected object');
   const out: any[] = Porffor.malloc();
 
+  if (Porffor.comptime.flag`hasType.proxy`) {
+    if (Porffor.type(obj) == Porffor.TYPES.proxy) {
+      for (const x of __Porffor_proxy_ownKeys(obj)) {
+        if (Porffor.type(x) == Porffor.TYPES.symbol) Porffor.array.fastPush(out, x);
+      }
+
+      return out;
+    }
+  }
+
   obj = __Porffor_object_underlying(obj);
   if (Porffor.type(obj) == Porffor.TYPES.object) {
     let ptr: i32 = Porffor.wasm`local.get ${obj}` + 8;
@@ -25,10 +25,12 @@ export const __Porffor_object_getHiddenPrototype = (trueType: i32): any => {
   for (const x in TYPES) {
     if (['object', 'undefined', 'string', 'bytestring', 'stringobject', 'number', 'numberobject', 'boolean', 'booleanobject'].includes(x)) continue;
 
+    // internal type names are already prefixed, eg __Porffor_Generator
     const name = TYPE_NAMES[TYPES[x]];
+    const proto = `${name.startsWith('__') ? '' : '__'}${name}_prototype`;
     out += `
-  if (Porffor.comptime.flag\`hasFunc.#get___${name}_prototype\`) {
-    if (trueType == Porffor.TYPES.${x}) return __${name}_prototype;
+  if (Porffor.comptime.flag\`hasFunc.#get_${proto}\`) {
+    if (trueType == Porffor.TYPES.${x}) return ${proto};
   }`;
   }
 
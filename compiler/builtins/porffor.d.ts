@@ -145,6 +145,9 @@ declare global {
 
   const print: (arg: any) => void;
   const printChar: (char: number) => void;
+  const readArgv: (index: i32, outPtr: i32, capacity: i32) => i32;
+  const readEnv: (index: i32, outPtr: i32, capacity: i32) => i32;
+  const exit: (code: number) => void;
 
   type i32 = number;
   type i64 = number;
@@ -0,0 +1,74 @@
+import type {} from './porffor.d.ts';
+
+// read a string from the host (argv or env entry) via readArgv/readEnv imports
+// hosts give utf-8 bytes, so decode them if not just ascii
+export const __Porffor_readHostString = (index: i32, env: boolean): any => {
+  let capacity: i32 = 128;
+  let out: bytestring = Porffor.malloc(4 + capacity);
+  let ptr: i32 = Porffor.wasm`local.get ${out}` + 4;
+
+  let len: i32 = env ? readEnv(index, ptr, capacity) : readArgv(index, ptr, capacity);
+  if (len == -1) return undefined;
+
+  if (len > capacity) {
+    // too big, try again with enough space
+    capacity = len;
+    out = Porffor.malloc(4 + capacity);
+    ptr = Porffor.wasm`local.get ${out}` + 4;
+
+    len = env ? readEnv(index, ptr, capacity) : readArgv(index, ptr, capacity);
+  }
+
+  const end: i32 = ptr + len;
+  let ascii: boolean = true;
+  for (let i: i32 = ptr; i < end; i++) {
+    if (Porffor.wasm.i32.load8_u(i, 0, 0) >= 0x80) {
+      ascii = false;
+      break;
+    }
+  }
+
+  if (ascii) {
+    out.length = len;
+    return out;
+  }
+
+  // decode like a non-fatal utf-8 TextDecoder (zeroed), replacing invalid sequences
+  const decoder: TextDecoder = Porffor.malloc(9);
+  const str: string = Porffor.malloc(4 + len * 2);
+  str.length = __Porffor_encoding_utf8Decode(decoder, ptr, len, Porffor.wasm`local.get ${str}` + 4, false);
+  return str;
+};
+
+export const __Porffor_process_argv = (): any[] => {
+  const out: any[] = Porffor.malloc();
+
+  let i: i32 = 0;
+  while (true) {
+    const arg: any = __Porffor_readHostString(i++, false);
+    if (arg === undefined) break;
+
+    Porffor.array.fastPush(out, arg);
+  }
+
+  return out;
+};
+
+export const __Porffor_process_env = (): object => {
+  const out: object = {};
+
+  let i: i32 = 0;
+  while (true) {
+    const entry: any = __Porffor_readHostString(i++, true);
+    if (entry === undefined) break;
+
+    const eq: i32 = entry.indexOf('=');
+    out[entry.slice(0, eq)] = entry.slice(eq + 1);
+  }
+
+  return out;
+};
+
+export const __process_exit = (code: any): void => {
+  exit(code ?? 0);
+};
@@ -1,9 +1,10 @@
 import type {} from './porffor.d.ts';
 
 export const __ecma262_NewPromiseReactionJob = (reaction: any[], argument: any): any[] => {
+  // pushed so length is set, for the gc (--gc) to trace them
   const job: any[] = Porffor.malloc(32);
-  job[0] = reaction;
-  job[1] = argument;
+  Porffor.array.fastPush(job, reaction);
+  Porffor.array.fastPush(job, argument);
 
   return job;
 };
@@ -97,9 +98,9 @@ export const __Porffor_promise_noop = (x: any): any => x;
 export const __Porffor_promise_newReaction = (handler: Function, promise: any, flags: i32): any[] => {
   // enum ReactionType { then = 0, finally = 1 }
   const out: any[] = Porffor.malloc(32);
-  out[0] = handler;
-  out[1] = promise;
-  out[2] = flags;
+  Porffor.array.fastPush(out, handler);
+  Porffor.array.fastPush(out, promise);
+  Porffor.array.fastPush(out, flags);
 
   return out;
 };
@@ -224,6 +225,7 @@ export const __Porffor_promise_runJobs = (): void => {
 let activePromise: any;
 export const __Porffor_promise_resolveActive = (value: any): void => __Porffor_promise_resolve(value, activePromise);
 export const __Porffor_promise_rejectActive = (reason: any): void => __Porffor_promise_reject(reason, activePromise);
+export const __Porffor_promise_active = (): any => activePromise;
 
 export const Promise = function (executor: any): Promise {
   if (!new.target) throw new TypeError("Constructor Promise requires 'new'");
@@ -475,7 +477,18 @@ export const __Porffor_promise_await = (value: any): any => {
   if (Porffor.type(value) != Porffor.TYPES.promise) return value;
 
   // hack: peek value instead of awaiting
-  const state: i32 = (value as any[])[1];
+  let state: i32 = (value as any[])[1];
+
+  // pending but queued jobs (or a timer) may settle it
+  if (state == 0) {
+    if (Porffor.comptime.flag`hasFunc.setTimeout`) {
+      __Porffor_timers_runUntil(value);
+    } else {
+      __Porffor_promise_runJobs();
+    }
+
+    state = (value as any[])[1];
+  }
 
   // pending
   if (state == 0) return value;
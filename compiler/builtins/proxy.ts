@@ -0,0 +1,232 @@
+import type {} from './porffor.d.ts';
+
+// __memory layout__
+//  target - value (f64, 8)
+//  target - type (u8, 1)
+//  handler - value (f64, 8)
+//  handler - type (u8, 1)
+// revoked proxies have a null handler
+
+export const __Porffor_proxy_create = (target: any, handler: any): Proxy => {
+  if (!Porffor.object.isObject(target)) throw new TypeError('Cannot create proxy with a non-object as target');
+  if (!Porffor.object.isObject(handler)) throw new TypeError('Cannot create proxy with a non-object as handler');
+
+  const out: Proxy = Porffor.malloc(18);
+
+  Porffor.wasm`local.get ${out}
+i32.to_u
+local.get ${target}
+f64.store 0 0
+
+local.get ${out}
+i32.to_u
+local.get ${target+1}
+i32.store8 0 8
+
+local.get ${out}
+i32.to_u
+local.get ${handler}
+f64.store 0 9
+
+local.get ${out}
+i32.to_u
+local.get ${handler+1}
+i32.store8 0 17`;
+
+  return out;
+};
+
+export const __Porffor_proxy_target = (proxy: Proxy): any => {
+  Porffor.wasm`local.get ${proxy}
+i32.to_u
+f64.load 0 0
+
+local.get ${proxy}
+i32.to_u
+i32.load8_u 0 8
+return`;
+};
+
+export const __Porffor_proxy_handler = (proxy: Proxy): any => {
+  let handler: any;
+  Porffor.wasm`local.get ${proxy}
+i32.to_u
+f64.load 0 9
+local.set ${handler}
+
+local.get ${proxy}
+i32.to_u
+i32.load8_u 0 17
+local.set ${handler+1}`;
+
+  if (handler == null) throw new TypeError('Cannot perform operation on a revoked proxy');
+  return handler;
+};
+
+export const __Porffor_proxy_revoked = (proxy: Proxy): boolean => {
+  return Porffor.wasm.i32.load8_u(proxy, 0, 17) == Porffor.TYPES.object &&
+    Porffor.wasm.f64.load(proxy, 0, 9) == 0;
+};
+
+// called for proxy callees, newTarget is undefined unless called with new
+// note: defined before other funcs as calls and typeof may include it
+export const __Porffor_proxy_call = (proxy: Proxy, thisArg: any, args: any[], newTarget: any): any => {
+  const handler: any = __Porffor_proxy_handler(proxy);
+  const target: any = __Porffor_proxy_target(proxy);
+
+  if (newTarget != null) {
+    if (!ecma262.IsConstructor(target)) throw new TypeError('Proxy target is not a constructor');
+
+    const trap: any = handler.construct;
+    if (trap == null) return Porffor.call(target, args, null, newTarget);
+
+    const out: any = trap.call(handler, target, args, newTarget);
+    if (!Porffor.object.isObject(out)) throw new TypeError('Proxy construct trap returned a non-object');
+
+    return out;
+  }
+
+  if (Porffor.fastAnd(Porffor.type(target) != Porffor.TYPES.function, Porffor.type(target) != Porffor.TYPES.proxy))
+    throw new TypeError('Proxy target is not a function');
+
+  const trap: any = handler.apply;
+  if (trap == null) return Porffor.call(target, args, thisArg, null);
+
+  return trap.call(handler, target, thisArg, args);
+};
+
+export const __Porffor_proxy_typeof = (proxy: Proxy): bytestring => {
+  return typeof __Porffor_proxy_target(proxy);
+};
+
+export const __Porffor_proxy_revoke = (proxy: Proxy): void => {
+  Porffor.wasm`local.get ${proxy}
+i32.to_u
+f64.const 0
+f64.store 0 9
+
+local.get ${proxy}
+i32.to_u
+i32.const 7 ;; object
+i32.store8 0 17`;
+};
+
+export const Proxy = function (target: any, handler: any): Proxy {
+  if (!new.target) throw new TypeError("Constructor Proxy requires 'new'");
+
+  return __Porffor_proxy_create(target, handler);
+};
+
+// there are no closures in builtins, so revoke functions are proxies of this
+// with a handler holding the proxy they revoke
+export const __Porffor_proxy_revokeTarget = function (): void {};
+
+export const __Porffor_proxy_revokeApply = function (target: any, thisArg: any, args: any[]): void {
+  const proxy: any = this.proxy;
+  if (proxy != null) {
+    __Porffor_proxy_revoke(proxy);
+    this.proxy = null;
+  }
+};
+
+export const __Proxy_revocable = (target: any, handler: any): object => {
+  const proxy: Proxy = __Porffor_proxy_create(target, handler);
+
+  const revoker: object = {};
+  revoker.apply = __Porffor_proxy_revokeApply;
+  revoker.proxy = proxy;
+
+  const out: object = {};
+  out.proxy = proxy;
+  out.revoke = __Porffor_proxy_create(__Porffor_proxy_revokeTarget, revoker);
+
+  return out;
+};
+
+// traps, falling back to the target if the handler does not have one
+
+export const __Porffor_proxy_get = (proxy: Proxy, key: any, receiver: any): any => {
+  const handler: any = __Porffor_proxy_handler(proxy);
+  const target: any = __Porffor_proxy_target(proxy);
+
+  const trap: any = handler.get;
+  if (trap == null) return target[key];
+
+  return trap.call(handler, target, key, receiver);
+};
+
+export const __Porffor_proxy_set = (proxy: Proxy, key: any, value: any, receiver: any): boolean => {
+  const handler: any = __Porffor_proxy_handler(proxy);
+  const target: any = __Porffor_proxy_target(proxy);
+
+  const trap: any = handler.set;
+  if (trap == null) return __Reflect_set(target, key, value);
+
+  return !!trap.call(handler, target, key, value, receiver);
+};
+
+// strict mode sets and deletes throw if the trap returns false
+export const __Porffor_proxy_setStrict = (proxy: Proxy, key: any, value: any, receiver: any): boolean => {
+  if (!__Porffor_proxy_set(proxy, key, value, receiver)) throw new TypeError('Proxy set trap returned false');
+  return true;
+};
+
+export const __Porffor_proxy_has = (proxy: Proxy, key: any): boolean => {
+  const handler: any = __Porffor_proxy_handler(proxy);
+  const target: any = __Porffor_proxy_target(proxy);
+
+  const trap: any = handler.has;
+  if (trap == null) return key in target;
+
+  return !!trap.call(handler, target, key);
+};
+
+export const __Porffor_proxy_deleteProperty = (proxy: Proxy, key: any): boolean => {
+  const handler: any = __Porffor_proxy_handler(proxy);
+  const target: any = __Porffor_proxy_target(proxy);
+
+  const trap: any = handler.deleteProperty;
+  if (trap == null) return delete target[key];
+
+  return !!trap.call(handler, target, key);
+};
+
+export const __Porffor_proxy_deletePropertyStrict = (proxy: Proxy, key: any): boolean => {
+  if (!__Porffor_proxy_deleteProperty(proxy, key)) throw new TypeError('Proxy deleteProperty trap returned false');
+  return true;
+};
+
+export const __Porffor_proxy_ownKeys = (proxy: Proxy): any[] => {
+  const handler: any = __Porffor_proxy_handler(proxy);
+  const target: any = __Porffor_proxy_target(proxy);
+
+  const trap: any = handler.ownKeys;
+  if (trap == null) return __Reflect_ownKeys(target);
+
+  const keys: any = trap.call(handler, target);
+  if (!Porffor.object.isObject(keys)) throw new TypeError('Proxy ownKeys trap returned a non-object');
+
+  const out: any[] = Porffor.malloc();
+  for (const x of keys) {
+    const t: i32 = Porffor.type(x);
+    if (Porffor.fastAnd(t != Porffor.TYPES.string, t != Porffor.TYPES.bytestring, t != Porffor.TYPES.symbol))
+      throw new TypeError('Proxy ownKeys trap returned a non-property key');
+
+    Porffor.array.fastPush(out, x);
+  }
+
+  return out;
+};
+
+// enumerable string keys for Object.keys
+export const __Porffor_proxy_keys = (proxy: Proxy): any[] => {
+  const target: any = __Porffor_proxy_target(proxy);
+
+  const out: any[] = Porffor.malloc();
+  for (const x of __Porffor_proxy_ownKeys(proxy)) {
+    if (Porffor.type(x) == Porffor.TYPES.symbol) continue;
+    if (__Object_prototype_propertyIsEnumerable(target, x)) Porffor.array.fastPush(out, x);
+  }
+
+  return out;
+};
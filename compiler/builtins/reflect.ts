@@ -85,6 +85,9 @@ export const __Reflect_setPrototypeOf = (target: any, proto: any) => {
 
 export const __Reflect_ownKeys = (target: any) => {
   if (!Porffor.object.isObject(target)) throw new TypeError('Target is a non-object');
+  if (Porffor.comptime.flag`hasType.proxy`) {
+    if (Porffor.type(target) == Porffor.TYPES.proxy) return __Porffor_proxy_ownKeys(target);
+  }
 
   const out: any[] = Porffor.malloc();
 
@@ -0,0 +1,756 @@
+import type {} from './porffor.d.ts';
+
+// binary serialization using the same wire format as v8's ValueSerializer (version 15)
+// so values can be exchanged with node's v8.serialize and v8.deserialize
+// https://chromium.googlesource.com/v8/v8/+/refs/heads/main/src/objects/value-serializer.cc
+
+// __serializer state__
+//  buffer (i32) - an ArrayBuffer, length written once done
+//  length (i32) - bytes written
+//  capacity (i32) - bytes allocated after the length
+//  seen (any[]) - objects written, index is their id for back references
+let serialBuffer: i32 = 0, serialLength: i32 = 0, serialCapacity: i32 = 0;
+let serialSeen: any[];
+
+// pointer to write n more bytes at, growing the buffer if needed
+export const __Porffor_serialize_reserve = (n: i32): i32 => {
+  if (serialLength + n > serialCapacity) {
+    let capacity: i32 = serialCapacity * 2;
+    while (serialLength + n > capacity) capacity *= 2;
+
+    const buffer: i32 = Porffor.malloc(4 + capacity);
+    const old: i32 = serialBuffer;
+    const len: i32 = serialLength;
+    Porffor.wasm`local.get ${buffer}
+i32.to_u
+i32.const 4
+i32.add
+local.get ${old}
+i32.to_u
+i32.const 4
+i32.add
+local.get ${len}
+i32.to_u
+memory.copy 0 0`;
+
+    serialBuffer = buffer;
+    serialCapacity = capacity;
+  }
+
+  const ptr: i32 = serialBuffer + 4 + serialLength;
+  serialLength += n;
+  return ptr;
+};
+
+export const __Porffor_serialize_byte = (byte: i32): void => {
+  Porffor.wasm.i32.store8(__Porffor_serialize_reserve(1), byte, 0, 0);
+};
+
+// unsigned leb128
+export const __Porffor_serialize_varint = (n: number): void => {
+  while (n >= 0x80) {
+    __Porffor_serialize_byte((n % 0x80) | 0x80);
+    n = Math.trunc(n / 0x80);
+  }
+
+  __Porffor_serialize_byte(n);
+};
+
+export const __Porffor_serialize_double = (n: number): void => {
+  Porffor.wasm.f64.store(__Porffor_serialize_reserve(8), n, 0, 0);
+};
+
+export const __Porffor_serialize_u32 = (n: number): void => {
+  const ptr: i32 = __Porffor_serialize_reserve(4);
+  Porffor.wasm.i32.store8(ptr, n % 0x100, 0, 0);
+  Porffor.wasm.i32.store8(ptr, Math.trunc(n / 0x100) % 0x100, 0, 1);
+  Porffor.wasm.i32.store8(ptr, Math.trunc(n / 0x10000) % 0x100, 0, 2);
+  Porffor.wasm.i32.store8(ptr, Math.trunc(n / 0x1000000), 0, 3);
+};
+
+export const __Porffor_serialize_bytes = (src: i32, len: i32): void => {
+  const dst: i32 = __Porffor_serialize_reserve(len);
+  Porffor.wasm`local.get ${dst}
+i32.to_u
+local.get ${src}
+i32.to_u
+local.get ${len}
+i32.to_u
+memory.copy 0 0`;
+};
+
+export const __Porffor_serialize_string = (str: bytestring|string): void => {
+  const ptr: i32 = Porffor.wasm`local.get ${str}`;
+  const len: i32 = str.length;
+
+  if (Porffor.type(str) == Porffor.TYPES.bytestring) {
+    __Porffor_serialize_byte(0x22); // "
+    __Porffor_serialize_varint(len);
+    __Porffor_serialize_bytes(ptr + 4, len);
+    return;
+  }
+
+  // strings only using latin-1 are written as one-byte
+  let oneByte: boolean = true;
+  for (let i: i32 = 0; i < len; i++) {
+    if (Porffor.wasm.i32.load16_u(ptr + i * 2, 0, 4) > 0xff) {
+      oneByte = false;
+      break;
+    }
+  }
+
+  if (oneByte) {
+    __Porffor_serialize_byte(0x22); // "
+    __Porffor_serialize_varint(len);
+
+    const out: i32 = __Porffor_serialize_reserve(len);
+    for (let i: i32 = 0; i < len; i++) {
+      Porffor.wasm.i32.store8(out + i, Porffor.wasm.i32.load16_u(ptr + i * 2, 0, 4), 0, 0);
+    }
+    return;
+  }
+
+  // two-byte chars are aligned with a padding tag first, like v8
+  let varintSize: i32 = 1;
+  for (let n: i32 = len * 2; n >= 0x80; n = Math.trunc(n / 0x80)) varintSize++;
+  if ((serialLength + 1 + varintSize) % 2 == 1) __Porffor_serialize_byte(0x00); // padding
+
+  __Porffor_serialize_byte(0x63); // c
+  __Porffor_serialize_varint(len * 2);
+  __Porffor_serialize_bytes(ptr + 4, len * 2);
+};
+
+export const __Porffor_serialize_bigint = (x: number): void => {
+  __Porffor_serialize_byte(0x5a); // Z
+
+  // bitfield is sign (1 bit) then byte length, digits are u64s (little endian)
+  if (Math.abs(x) < 0x8000000000000) {
+    // inline
+    if (x == 0) {
+      __Porffor_serialize_varint(0);
+      return;
+    }
+
+    __Porffor_serialize_varint(x < 0 ? 17 : 16);
+    x = Math.abs(x);
+    __Porffor_serialize_u32(x % 0x100000000);
+    __Porffor_serialize_u32(Math.trunc(x / 0x100000000));
+    return;
+  }
+
+  // digit form, u32s from most significant
+  const ptr: i32 = x - 0x8000000000000;
+  const negative: boolean = Porffor.wasm.i32.load8_u(ptr, 0, 0);
+  const count: i32 = Porffor.wasm.i32.load16_u(ptr, 0, 2);
+  const words: i32 = count + (count % 2);
+
+  __Porffor_serialize_varint(words * 8 + (negative ? 1 : 0));
+  for (let i: i32 = count - 1; i >= 0; i--) {
+    __Porffor_serialize_bytes(ptr + 4 + i * 4, 4);
+  }
+
+  if (words > count) __Porffor_serialize_u32(0);
+};
+
+// tag for an ArrayBufferView type, 0 if not one
+export const __Porffor_serialize_viewTag = (type: i32): i32 => {
+  if (type == Porffor.TYPES.int8array) return 0x62; // b
+  if (type == Porffor.TYPES.uint8array) return 0x42; // B
+  if (type == Porffor.TYPES.uint8clampedarray) return 0x43; // C
+  if (type == Porffor.TYPES.int16array) return 0x77; // w
+  if (type == Porffor.TYPES.uint16array) return 0x57; // W
+  if (type == Porffor.TYPES.int32array) return 0x64; // d
+  if (type == Porffor.TYPES.uint32array) return 0x44; // D
+  if (type == Porffor.TYPES.float16array) return 0x68; // h
+  if (type == Porffor.TYPES.float32array) return 0x66; // f
+  if (type == Porffor.TYPES.float64array) return 0x46; // F
+  if (type == Porffor.TYPES.bigint64array) return 0x71; // q
+  if (type == Porffor.TYPES.biguint64array) return 0x51; // Q
+  if (type == Porffor.TYPES.dataview) return 0x3f; // ?
+  return 0;
+};
+
+// made before throwing as thrown literals only have a message
+export const __Porffor_serialize_throw = (message: bytestring): void => {
+  const err: DOMException = new DOMException(message, 'DataCloneError');
+  throw err;
+};
+
+// v8 regexp flag bits from a flags string
+export const __Porffor_serialize_regexpFlags = (flags: bytestring): i32 => {
+  let out: i32 = 0;
+  const len: i32 = flags.length;
+  for (let i: i32 = 0; i < len; i++) {
+    const c: i32 = flags.charCodeAt(i);
+    if (c == 0x67) out |= 1; // g
+      else if (c == 0x69) out |= 2; // i
+      else if (c == 0x6d) out |= 4; // m
+      else if (c == 0x79) out |= 8; // y
+      else if (c == 0x75) out |= 16; // u
+      else if (c == 0x73) out |= 32; // s
+      else if (c == 0x64) out |= 128; // d
+      else if (c == 0x76) out |= 256; // v
+  }
+
+  return out;
+};
+
+export const __Porffor_serialize_write = (value: any): void => {
+  const type: i32 = Porffor.type(value);
+  if (type == Porffor.TYPES.undefined) return __Porffor_serialize_byte(0x5f); // _
+  if (value === null) return __Porffor_serialize_byte(0x30); // 0
+  if (value === true) return __Porffor_serialize_byte(0x54); // T
+  if (value === false) return __Porffor_serialize_byte(0x46); // F
+
+  if (type == Porffor.TYPES.number) {
+    // small integers (not -0) are zigzag varints like smis
+    if (Porffor.fastAnd(Number.isInteger(value), Math.abs(value) < 0x40000000, Porffor.fastOr(value != 0, 1 / value > 0))) {
+      __Porffor_serialize_byte(0x49); // I
+      __Porffor_serialize_varint(value < 0 ? -value * 2 - 1 : value * 2);
+      return;
+    }
+
+    __Porffor_serialize_byte(0x4e); // N
+    __Porffor_serialize_double(value);
+    return;
+  }
+
+  if (type == Porffor.TYPES.bigint) return __Porffor_serialize_bigint(Porffor.wasm`local.get ${value}`);
+
+  if ((type | 0b10000000) == Porffor.TYPES.bytestring) return __Porffor_serialize_string(value);
+
+  if (Porffor.fastOr(
+    type == Porffor.TYPES.booleanobject,
+    type == Porffor.TYPES.numberobject,
+    type == Porffor.TYPES.stringobject
+  )) {
+    // primitive wrappers have no identity, so take an id without ever being referenced
+    Porffor.array.fastPush(serialSeen, undefined);
+
+    if (type == Porffor.TYPES.booleanobject) return __Porffor_serialize_byte(value.valueOf() ? 0x79 : 0x78); // y or x
+
+    if (type == Porffor.TYPES.numberobject) {
+      __Porffor_serialize_byte(0x6e); // n
+      __Porffor_serialize_double(value.valueOf());
+      return;
+    }
+
+    __Porffor_serialize_byte(0x73); // s
+    __Porffor_serialize_string(value.valueOf());
+    return;
+  }
+
+  const viewTag: i32 = __Porffor_serialize_viewTag(type);
+  if (Porffor.fastAnd(viewTag != 0, Porffor.array.fastIndexOf(serialSeen, value) == -1)) {
+    // views have their buffer written first
+    __Porffor_serialize_write(value.buffer);
+  }
+
+  // objects written before are back references
+  const id: i32 = Porffor.array.fastIndexOf(serialSeen, value);
+  if (id != -1) {
+    __Porffor_serialize_byte(0x5e); // ^
+    __Porffor_serialize_varint(id);
+    return;
+  }
+
+
+  const isError: boolean = Porffor.fastAnd(type >= Porffor.TYPES.error, type <= Porffor.TYPES.test262error);
+  if (Porffor.fastAnd(
+    type != Porffor.TYPES.object,
+    type != Porffor.TYPES.array,
+    type != Porffor.TYPES.date,
+    type != Porffor.TYPES.regexp,
+    type != Porffor.TYPES.map,
+    type != Porffor.TYPES.set,
+    type != Porffor.TYPES.arraybuffer,
+    viewTag == 0,
+    !isError
+  )) {
+    // functions, symbols, weak collections, promises, etc
+    __Porffor_serialize_throw('Value could not be cloned');
+  }
+
+  Porffor.array.fastPush(serialSeen, value);
+
+  if (type == Porffor.TYPES.array) {
+    const len: i32 = value.length;
+    __Porffor_serialize_byte(0x41); // A
+    __Porffor_serialize_varint(len);
+    for (const x of (value as any[])) __Porffor_serialize_write(x);
+
+    __Porffor_serialize_byte(0x24); // $
+    __Porffor_serialize_varint(0);
+    __Porffor_serialize_varint(len);
+    return;
+  }
+
+  if (type == Porffor.TYPES.date) {
+    __Porffor_serialize_byte(0x44); // D
+    __Porffor_serialize_double(__Porffor_date_read(value));
+    return;
+  }
+
+  if (type == Porffor.TYPES.regexp) {
+    __Porffor_serialize_byte(0x52); // R
+    __Porffor_serialize_string(__RegExp_prototype_source$get(value));
+    __Porffor_serialize_varint(__Porffor_serialize_regexpFlags(__RegExp_prototype_flags$get(value)));
+    return;
+  }
+
+  if (type == Porffor.TYPES.map) {
+    const keys: any[] = Porffor.wasm.i32.load(value, 0, 0);
+    const vals: any[] = Porffor.wasm.i32.load(value, 0, 4);
+    const len: i32 = keys.length;
+
+    __Porffor_serialize_byte(0x3b); // ;
+    for (let i: i32 = 0; i < len; i++) {
+      __Porffor_serialize_write(keys[i]);
+      __Porffor_serialize_write(vals[i]);
+    }
+
+    __Porffor_serialize_byte(0x3a); // :
+    __Porffor_serialize_varint(len * 2);
+    return;
+  }
+
+  if (type == Porffor.TYPES.set) {
+    const vals: any[] = value;
+    __Porffor_serialize_byte(0x27); // '
+    for (const x of vals) __Porffor_serialize_write(x);
+
+    __Porffor_serialize_byte(0x2c); // ,
+    __Porffor_serialize_varint(vals.length);
+    return;
+  }
+
+  if (type == Porffor.TYPES.arraybuffer) {
+    const len: i32 = Porffor.wasm.i32.load(value, 0, 0);
+    if (len == -1) __Porffor_serialize_throw('An ArrayBuffer is detached and could not be cloned');
+
+    __Porffor_serialize_byte(0x42); // B
+    __Porffor_serialize_varint(len);
+    __Porffor_serialize_bytes(Porffor.wasm`local.get ${value}` + 4, len);
+    return;
+  }
+
+  if (viewTag != 0) {
+    __Porffor_serialize_byte(0x56); // V
+    __Porffor_serialize_byte(viewTag);
+    __Porffor_serialize_varint(value.byteOffset);
+    __Porffor_serialize_varint(value.byteLength);
+    __Porffor_serialize_varint(0); // flags
+    return;
+  }
+
+  if (isError) {
+    __Porffor_serialize_byte(0x72); // r
+
+    if (type == Porffor.TYPES.evalerror) __Porffor_serialize_byte(0x45); // E
+      else if (type == Porffor.TYPES.rangeerror) __Porffor_serialize_byte(0x52); // R
+      else if (type == Porffor.TYPES.referenceerror) __Porffor_serialize_byte(0x46); // F
+      else if (type == Porffor.TYPES.syntaxerror) __Porffor_serialize_byte(0x53); // S
+      else if (type == Porffor.TYPES.typeerror) __Porffor_serialize_byte(0x54); // T
+      else if (type == Porffor.TYPES.urierror) __Porffor_serialize_byte(0x55); // U
+
+    const message: any = value.message;
+    if (message.length > 0) {
+      __Porffor_serialize_byte(0x6d); // m
+      __Porffor_serialize_string(message);
+    }
+
+    __Porffor_serialize_byte(0x73); // s
+    __Porffor_serialize_string(value.stack);
+
+    __Porffor_serialize_byte(0x2e); // .
+    return;
+  }
+
+  // plain object
+  __Porffor_serialize_byte(0x6f); // o
+
+  let count: i32 = 0;
+  for (const key in (value as object)) {
+    // skip symbol keys
+    if (Porffor.type(key) == Porffor.TYPES.symbol) continue;
+
+    __Porffor_serialize_string(key);
+    __Porffor_serialize_write((value as object)[key]);
+    count++;
+  }
+
+  __Porffor_serialize_byte(0x7b); // {
+  __Porffor_serialize_varint(count);
+};
+
+export const __Porffor_serialize = (value: any): Uint8Array => {
+  serialCapacity = 256;
+  serialBuffer = Porffor.malloc(4 + serialCapacity);
+  serialLength = 0;
+  serialSeen = Porffor.malloc();
+
+  __Porffor_serialize_byte(0xff); // version
+  __Porffor_serialize_byte(0x0f);
+  __Porffor_serialize_write(value);
+
+  Porffor.wasm.i32.store(serialBuffer, serialLength, 0, 0);
+  return new Uint8Array(serialBuffer as ArrayBuffer);
+};
+
+
+// __deserializer state__
+//  ptr (i32) - next byte to read
+//  end (i32) - end of the bytes
+//  version (i32) - from the header
+//  objects (any[]) - objects read, index is their id for back references
+let deserialPtr: i32 = 0, deserialEnd: i32 = 0, deserialVersion: i32 = 0;
+let deserialObjects: any[];
+
+export const __Porffor_deserialize_take = (n: number): i32 => {
+  if (deserialPtr + n > deserialEnd) throw new TypeError('Unable to deserialize cloned data');
+
+  const ptr: i32 = deserialPtr;
+  deserialPtr += n;
+  return ptr;
+};
+
+export const __Porffor_deserialize_byte = (): i32 => {
+  return Porffor.wasm.i32.load8_u(__Porffor_deserialize_take(1), 0, 0);
+};
+
+export const __Porffor_deserialize_peek = (): i32 => {
+  if (deserialPtr >= deserialEnd) return -1;
+  return Porffor.wasm.i32.load8_u(deserialPtr, 0, 0);
+};
+
+export const __Porffor_deserialize_varint = (): number => {
+  let out: number = 0, scale: number = 1;
+  while (true) {
+    const byte: i32 = __Porffor_deserialize_byte();
+    out += (byte & 0x7f) * scale;
+    if ((byte & 0x80) == 0) return out;
+
+    scale *= 0x80;
+  }
+};
+
+export const __Porffor_deserialize_double = (): number => {
+  return Porffor.wasm.f64.load(__Porffor_deserialize_take(8), 0, 0);
+};
+
+export const __Porffor_deserialize_u32 = (ptr: i32): number => {
+  return Porffor.wasm.i32.load8_u(ptr, 0, 0) +
+    Porffor.wasm.i32.load8_u(ptr, 0, 1) * 0x100 +
+    Porffor.wasm.i32.load8_u(ptr, 0, 2) * 0x10000 +
+    Porffor.wasm.i32.load8_u(ptr, 0, 3) * 0x1000000;
+};
+
+// string after its tag
+export const __Porffor_deserialize_string = (tag: i32): bytestring|string => {
+  const byteLength: i32 = __Porffor_deserialize_varint();
+  const src: i32 = __Porffor_deserialize_take(byteLength);
+
+  if (tag == 0x22) { // "
+    const out: bytestring = Porffor.malloc(4 + byteLength);
+    out.length = byteLength;
+    Porffor.wasm`local.get ${out}
+i32.to_u
+i32.const 4
+i32.add
+local.get ${src}
+i32.to_u
+local.get ${byteLength}
+i32.to_u
+memory.copy 0 0`;
+    return out;
+  }
+
+  if (Porffor.fastOr(tag != 0x63, byteLength % 2 == 1)) throw new TypeError('Unable to deserialize cloned data'); // c
+
+  const out: string = Porffor.malloc(4 + byteLength);
+  out.length = byteLength / 2;
+  Porffor.wasm`local.get ${out}
+i32.to_u
+i32.const 4
+i32.add
+local.get ${src}
+i32.to_u
+local.get ${byteLength}
+i32.to_u
+memory.copy 0 0`;
+  return out;
+};
+
+export const __Porffor_deserialize_bigint = (): bigint => {
+  const bitfield: number = __Porffor_deserialize_varint();
+  const negative: boolean = bitfield % 2 == 1;
+  const byteLength: number = Math.trunc(bitfield / 2);
+  const ptr: i32 = __Porffor_deserialize_take(byteLength);
+
+  // u32s from most significant, without leading zeros
+  let count: i32 = Math.trunc(byteLength / 4);
+  while (Porffor.fastAnd(count > 0, __Porffor_deserialize_u32(ptr + (count - 1) * 4) == 0)) count--;
+
+  if (count <= 2) {
+    let n: number = 0;
+    if (count > 0) n = __Porffor_deserialize_u32(ptr);
+    if (count > 1) n += __Porffor_deserialize_u32(ptr + 4) * 0x100000000;
+
+    if (n < 0x8000000000000) return __Porffor_bigint_fromNumber(negative ? -n : n);
+  }
+
+  const digits: i32[] = Porffor.malloc();
+  for (let i: i32 = count - 1; i >= 0; i--) {
+    Porffor.array.fastPush(digits, __Porffor_deserialize_u32(ptr + i * 4));
+  }
+
+  return __Porffor_bigint_fromDigits(negative, digits);
+};
+
+export const __Porffor_deserialize_regexpFlags = (flags: i32): bytestring => {
+  const out: bytestring = Porffor.malloc(16);
+  if (flags & 128) Porffor.bytestring.appendChar(out, 0x64); // d
+  if (flags & 1) Porffor.bytestring.appendChar(out, 0x67); // g
+  if (flags & 2) Porffor.bytestring.appendChar(out, 0x69); // i
+  if (flags & 4) Porffor.bytestring.appendChar(out, 0x6d); // m
+  if (flags & 32) Porffor.bytestring.appendChar(out, 0x73); // s
+  if (flags & 16) Porffor.bytestring.appendChar(out, 0x75); // u
+  if (flags & 256) Porffor.bytestring.appendChar(out, 0x76); // v
+  if (flags & 8) Porffor.bytestring.appendChar(out, 0x79); // y
+  return out;
+};
+
+export const __Porffor_deserialize_view = (buffer: ArrayBuffer, tag: i32, byteOffset: number, byteLength: number): any => {
+  if (byteOffset + byteLength > buffer.byteLength) throw new TypeError('Unable to deserialize cloned data');
+
+  if (tag == 0x62) return new Int8Array(buffer, byteOffset, byteLength); // b
+  if (tag == 0x42) return new Uint8Array(buffer, byteOffset, byteLength); // B
+  if (tag == 0x43) return new Uint8ClampedArray(buffer, byteOffset, byteLength); // C
+  if (tag == 0x77) return new Int16Array(buffer, byteOffset, byteLength / 2); // w
+  if (tag == 0x57) return new Uint16Array(buffer, byteOffset, byteLength / 2); // W
+  if (tag == 0x64) return new Int32Array(buffer, byteOffset, byteLength / 4); // d
+  if (tag == 0x44) return new Uint32Array(buffer, byteOffset, byteLength / 4); // D
+  if (tag == 0x68) return new Float16Array(buffer, byteOffset, byteLength / 2); // h
+  if (tag == 0x66) return new Float32Array(buffer, byteOffset, byteLength / 4); // f
+  if (tag == 0x46) return new Float64Array(buffer, byteOffset, byteLength / 8); // F
+  if (tag == 0x71) return new BigInt64Array(buffer, byteOffset, byteLength / 8); // q
+  if (tag == 0x51) return new BigUint64Array(buffer, byteOffset, byteLength / 8); // Q
+  if (tag == 0x3f) return new DataView(buffer, byteOffset, byteLength); // ?
+
+  throw new TypeError('Unable to deserialize cloned data');
+};
+
+export const __Porffor_deserialize_arrayBuffer = (byteLength: number): ArrayBuffer => {
+  const src: i32 = __Porffor_deserialize_take(byteLength);
+  const out: ArrayBuffer = new ArrayBuffer(byteLength);
+  Porffor.wasm`local.get ${out}
+i32.to_u
+i32.const 4
+i32.add
+local.get ${src}
+i32.to_u
+local.get ${byteLength}
+i32.to_u
+memory.copy 0 0`;
+  return out;
+};
+
+export const __Porffor_deserialize_error = (kind: i32, message: any): any => {
+  if (kind == 0x45) return new EvalError(message); // E
+  if (kind == 0x52) return new RangeError(message); // R
+  if (kind == 0x46) return new ReferenceError(message); // F
+  if (kind == 0x53) return new SyntaxError(message); // S
+  if (kind == 0x54) return new TypeError(message); // T
+  if (kind == 0x55) return new URIError(message); // U
+  return new Error(message);
+};
+
+export const __Porffor_deserialize_read = (): any => {
+  let tag: i32 = __Porffor_deserialize_byte();
+  while (tag == 0x00) tag = __Porffor_deserialize_byte(); // padding
+
+  if (tag == 0x5f) return undefined; // _
+  if (tag == 0x30) return null; // 0
+  if (tag == 0x54) return true; // T
+  if (tag == 0x46) return false; // F
+
+  if (tag == 0x49) { // I
+    const n: number = __Porffor_deserialize_varint();
+    if (n % 2 == 1) return -(n + 1) / 2;
+    return n / 2;
+  }
+
+  if (tag == 0x55) return __Porffor_deserialize_varint(); // U
+  if (tag == 0x4e) return __Porffor_deserialize_double(); // N
+  if (tag == 0x5a) return __Porffor_deserialize_bigint(); // Z
+  if (Porffor.fastOr(tag == 0x22, tag == 0x63)) return __Porffor_deserialize_string(tag); // " or c
+
+  let out: any;
+  if (tag == 0x5e) { // ^
+    const id: i32 = __Porffor_deserialize_varint();
+    if (id >= deserialObjects.length) throw new TypeError('Unable to deserialize cloned data');
+
+    out = deserialObjects[id];
+  } else if (tag == 0x6f) { // o
+    const obj: object = {};
+    Porffor.array.fastPush(deserialObjects, obj);
+
+    while (__Porffor_deserialize_peek() != 0x7b) { // {
+      const key: any = ecma262.ToPropertyKey(__Porffor_deserialize_read());
+      obj[key] = __Porffor_deserialize_read();
+    }
+
+    deserialPtr++;
+    __Porffor_deserialize_varint();
+    return obj;
+  } else if (Porffor.fastOr(tag == 0x41, tag == 0x61)) { // A or a
+    const len: i32 = __Porffor_deserialize_varint();
+    const arr: any[] = Porffor.malloc();
+    Porffor.array.fastPush(deserialObjects, arr);
+
+    if (tag == 0x41) {
+      // dense, then any other properties
+      for (let i: i32 = 0; i < len; i++) {
+        if (__Porffor_deserialize_peek() == 0x2d) { // - (hole)
+          deserialPtr++;
+          Porffor.array.fastPush(arr, undefined);
+        } else Porffor.array.fastPush(arr, __Porffor_deserialize_read());
+      }
+    } else {
+      // sparse, only properties
+      for (let i: i32 = 0; i < len; i++) Porffor.array.fastPush(arr, undefined);
+    }
+
+    const end: i32 = tag == 0x41 ? 0x24 : 0x40; // $ or @
+    while (__Porffor_deserialize_peek() != end) {
+      const key: any = __Porffor_deserialize_read();
+      arr[key] = __Porffor_deserialize_read();
+    }
+
+    deserialPtr++;
+    __Porffor_deserialize_varint();
+    __Porffor_deserialize_varint();
+    return arr;
+  } else if (tag == 0x44) { // D
+    const date: Date = Porffor.malloc(8);
+    __Porffor_date_write(date, __Porffor_deserialize_double());
+
+    out = date;
+    Porffor.array.fastPush(deserialObjects, out);
+  } else if (tag == 0x52) { // R
+    const source: any = __Porffor_deserialize_string(__Porffor_deserialize_byte());
+    out = new RegExp(source, __Porffor_deserialize_regexpFlags(__Porffor_deserialize_varint()));
+    Porffor.array.fastPush(deserialObjects, out);
+  } else if (tag == 0x3b) { // ;
+    const map: Map = new Map();
+    Porffor.array.fastPush(deserialObjects, map);
+
+    while (__Porffor_deserialize_peek() != 0x3a) { // :
+      const key: any = __Porffor_deserialize_read();
+      __Map_prototype_set(map, key, __Porffor_deserialize_read());
+    }
+
+    deserialPtr++;
+    __Porffor_deserialize_varint();
+    return map;
+  } else if (tag == 0x27) { // '
+    const set: Set = new Set();
+    Porffor.array.fastPush(deserialObjects, set);
+
+    while (__Porffor_deserialize_peek() != 0x2c) { // ,
+      __Set_prototype_add(set, __Porffor_deserialize_read());
+    }
+
+    deserialPtr++;
+    __Porffor_deserialize_varint();
+    return set;
+  } else if (tag == 0x42) { // B
+    out = __Porffor_deserialize_arrayBuffer(__Porffor_deserialize_varint());
+    Porffor.array.fastPush(deserialObjects, out);
+  } else if (tag == 0x5c) { // \ (node's host objects for views)
+    // index into node's list of view types, then the bytes
+    const index: i32 = __Porffor_deserialize_varint();
+    if (index > 12) throw new TypeError('Unable to deserialize cloned data');
+
+    const byteLength: number = __Porffor_deserialize_varint();
+    out = __Porffor_deserialize_view(__Porffor_deserialize_arrayBuffer(byteLength), 'bBCwWdDfF?BqQ'.charCodeAt(index), 0, byteLength);
+    Porffor.array.fastPush(deserialObjects, out);
+  } else if (tag == 0x72) { // r
+    // id is taken before reading, but the error is made after
+    const id: i32 = deserialObjects.length;
+    Porffor.array.fastPush(deserialObjects, undefined);
+
+    let kind: i32 = 0, message: any = undefined;
+    while (true) {
+      const sub: i32 = __Porffor_deserialize_byte();
+      if (sub == 0x2e) break; // .
+
+      if (sub == 0x6d) message = __Porffor_deserialize_read(); // m
+        else if (sub == 0x73) __Porffor_deserialize_read(); // s (stack is not kept)
+        else if (sub == 0x63) __Porffor_deserialize_read(); // c (cause is not kept)
+        else kind = sub;
+    }
+
+    out = __Porffor_deserialize_error(kind, message);
+    deserialObjects[id] = out;
+  } else if (Porffor.fastOr(tag == 0x79, tag == 0x78)) { // y or x
+    out = new Boolean(tag == 0x79);
+    Porffor.array.fastPush(deserialObjects, out);
+  } else if (tag == 0x6e) { // n
+    out = new Number(__Porffor_deserialize_double());
+    Porffor.array.fastPush(deserialObjects, out);
+  } else if (tag == 0x73) { // s
+    out = new String(__Porffor_deserialize_read());
+    Porffor.array.fastPush(deserialObjects, out);
+  } else {
+    throw new TypeError('Unable to deserialize cloned data');
+  }
+
+  // a buffer followed by a view is read as the view
+  if (Porffor.fastAnd(Porffor.type(out) == Porffor.TYPES.arraybuffer, __Porffor_deserialize_peek() == 0x56)) { // V
+    deserialPtr++;
+    const viewTag: i32 = __Porffor_deserialize_byte();
+    const byteOffset: number = __Porffor_deserialize_varint();
+    const byteLength: number = __Porffor_deserialize_varint();
+    if (deserialVersion >= 14) __Porffor_deserialize_varint(); // flags
+
+    out = __Porffor_deserialize_view(out, viewTag, byteOffset, byteLength);
+    Porffor.array.fastPush(deserialObjects, out);
+  }
+
+  return out;
+};
+
+export const __Porffor_deserialize = (bytes: any): any => {
+  const len: i32 = __Porffor_encoding_bufferLength(bytes);
+  deserialPtr = __Porffor_encoding_bufferPtr(bytes);
+  deserialEnd = deserialPtr + len;
+  deserialObjects = Porffor.malloc();
+
+  // version header
+  deserialVersion = 0;
+  if (__Porffor_deserialize_peek() == 0xff) {
+    deserialPtr++;
+    deserialVersion = __Porffor_deserialize_varint();
+    if (deserialVersion > 15) throw new TypeError('Unable to deserialize cloned data due to invalid or unsupported version');
+  }
+
+  return __Porffor_deserialize_read();
+};
+
+
+// https://html.spec.whatwg.org/multipage/structured-data.html#dom-structuredclone
+export const structuredClone = (value: any, options: any = undefined): any => {
+  const out: any = __Porffor_deserialize(__Porffor_serialize(value));
+
+  // transferred buffers are detached from the original
+  if (options != null) {
+    const transfer: any = options.transfer;
+    if (transfer != null) for (const x of transfer) {
+      if (Porffor.type(x) != Porffor.TYPES.arraybuffer) throw new TypeError('Value not transferable');
+      __Porffor_arraybuffer_detach(x);
+    }
+  }
+
+  return out;
+};
@@ -4,20 +4,17 @@ export const __Set_prototype_size$get = (_this: Set) => {
   return Porffor.wasm.i32.load(_this, 0, 0);
 };
 
+// set iterators are iterator helpers wrapping the set (see iterator.ts)
 export const __Set_prototype_values = (_this: Set) => {
-  // todo: this should return an iterator not array
-  const size: number = Porffor.wasm.i32.load(_this, 0, 0);
-
-  const out: any[] = Porffor.malloc();
-  for (let i: number = 0; i < size; i++) {
-    Porffor.array.fastPush(out, (_this as any[])[i]);
-  }
-
-  return out;
+  return __Porffor_iterator_helper(_this, 0, 0, 0);
 };
 
 export const __Set_prototype_keys = (_this: Set) => {
-  return __Set_prototype_values(_this);
+  return __Porffor_iterator_helper(_this, 0, 0, 0);
+};
+
+export const __Set_prototype_entries = (_this: Set) => {
+  return __Porffor_iterator_helper(_this, 0, 2, 0);
 };
 
 export const __Set_prototype_has = (_this: Set, value: any) => {
@@ -416,7 +416,6 @@ export const __ByteString_prototype_charAt = (_this: bytestring, index: number)
 };
 
 export const __String_prototype_toUpperCase = (_this: string) => {
-  // todo: unicode not just ascii
   const len: i32 = _this.length;
 
   const out: string = Porffor.malloc(6 + len * 2);
@@ -430,6 +429,8 @@ export const __String_prototype_toUpperCase = (_this: string) => {
     let chr: i32 = Porffor.wasm.i32.load16_u(i, 0, 4);
     i += 2;
 
+    // non-ascii needs the unicode tables
+    if (chr >= 0x80) return __Porffor_unicode_toUpperCase(_this);
     if (chr >= 97) if (chr <= 122) chr -= 32;
 
     Porffor.wasm.i32.store16(j, chr, 0, 4);
@@ -452,7 +453,10 @@ export const __ByteString_prototype_toUpperCase = (_this: bytestring) => {
   while (i < endPtr) {
     let chr: i32 = Porffor.wasm.i32.load8_u(i++, 0, 4);
 
+    // µ, ß and ÿ map outside latin-1
+    if (Porffor.fastOr(chr == 0xB5, chr == 0xDF, chr == 0xFF)) return __Porffor_unicode_toUpperCase(Porffor.bytestringToString(_this));
     if (chr >= 97) if (chr <= 122) chr -= 32;
+    if (chr >= 0xE0) if (chr != 0xF7) chr -= 32;
 
     Porffor.wasm.i32.store8(j++, chr, 0, 4);
   }
@@ -461,7 +465,6 @@ export const __ByteString_prototype_toUpperCase = (_this: bytestring) => {
 };
 
 export const __String_prototype_toLowerCase = (_this: string) => {
-  // todo: unicode not just ascii
   const len: i32 = _this.length;
 
   const out: string = Porffor.malloc(6 + len * 2);
@@ -475,6 +478,7 @@ export const __String_prototype_toLowerCase = (_this: string) => {
     let chr: i32 = Porffor.wasm.i32.load16_u(i, 0, 4);
     i += 2;
 
+    if (chr >= 0x80) return __Porffor_unicode_toLowerCase(_this);
     if (chr >= 65) if (chr <= 90) chr += 32;
 
     Porffor.wasm.i32.store16(j, chr, 0, 4);
@@ -498,6 +502,7 @@ export const __ByteString_prototype_toLowerCase = (_this: bytestring) => {
     let chr: i32 = Porffor.wasm.i32.load8_u(i++, 0, 4);
 
     if (chr >= 65) if (chr <= 90) chr += 32;
+    if (chr >= 0xC0) if (chr <= 0xDE) if (chr != 0xD7) chr += 32;
 
     Porffor.wasm.i32.store8(j++, chr, 0, 4);
   }
@@ -506,8 +511,8 @@ export const __ByteString_prototype_toLowerCase = (_this: bytestring) => {
 };
 
 export const __String_prototype_toLocaleUpperCase = (_this: string) => __String_prototype_toUpperCase(_this);
-export const __ByteString_prototype_toLocaleUpperCase = (_this: bytestring) => __ByteString_prototype_toLowerCase(_this);
-export const __String_prototype_toLocaleLowerCase = (_this: string) => __String_prototype_toUpperCase(_this);
+export const __ByteString_prototype_toLocaleUpperCase = (_this: bytestring) => __ByteString_prototype_toUpperCase(_this);
+export const __String_prototype_toLocaleLowerCase = (_this: string) => __String_prototype_toLowerCase(_this);
 export const __ByteString_prototype_toLocaleLowerCase = (_this: bytestring) => __ByteString_prototype_toLowerCase(_this);
 
 export const __String_prototype_codePointAt = (_this: string, index: number) => {
@@ -1942,49 +1947,29 @@ i32.store8 0 12`;
 };
 
 
-export const __String_prototype_localeCompare = (_this: string, compareString: any) => {
+export const __String_prototype_localeCompare = (_this: string, compareString: any, locales: any, options: any) => {
   compareString = ecma262.ToString(compareString);
-
-  const thisLen: i32 = _this.length;
-  const compareLen: i32 = compareString.length;
-  const maxLen: i32 = thisLen > compareLen ? thisLen : compareLen;
-
-  for (let i: i32 = 0; i < maxLen; i++) {
-    const a: i32 = _this.charCodeAt(i);
-    const b: i32 = compareString.charCodeAt(i);
-
-    if (a > b) return 1;
-    if (b > a) return -1;
-  }
-
-  if (thisLen > compareLen) return 1;
-  if (compareLen > thisLen) return -1;
-
-  return 0;
+  return __Porffor_intl_compareStrings(__Porffor_intl_collatorOptions(locales, options), _this, compareString);
 };
 
-export const __ByteString_prototype_localeCompare = (_this: bytestring, compareString: any) => {
+export const __ByteString_prototype_localeCompare = (_this: bytestring, compareString: any, locales: any, options: any) => {
   compareString = ecma262.ToString(compareString);
+  return __Porffor_intl_compareStrings(__Porffor_intl_collatorOptions(locales, options), _this, compareString);
+};
 
-  const thisLen: i32 = _this.length;
-  const compareLen: i32 = compareString.length;
-  const maxLen: i32 = thisLen > compareLen ? thisLen : compareLen;
-
-  for (let i: i32 = 0; i < maxLen; i++) {
-    const a: i32 = _this.charCodeAt(i);
-    const b: i32 = compareString.charCodeAt(i);
-
-    if (a > b) return 1;
-    if (b > a) return -1;
-  }
+// 22.1.3.15 String.prototype.normalize ([ form ])
+// https://tc39.es/ecma262/#sec-string.prototype.normalize
+export const __String_prototype_normalize = (_this: string, form: any) =>
+  __Porffor_unicode_normalize(_this, __Porffor_unicode_normalizationForm(form));
 
-  if (thisLen > compareLen) return 1;
-  if (compareLen > thisLen) return -1;
+export const __ByteString_prototype_normalize = (_this: bytestring, form: any) => {
+  // latin-1 is always nfc
+  const f: i32 = __Porffor_unicode_normalizationForm(form);
+  if (f == 0) return _this;
 
-  return 0;
+  return __Porffor_unicode_normalize(Porffor.bytestringToString(_this), f);
 };
 
-
 export const __String_prototype_isWellFormed = (_this: string) => {
   let ptr: i32 = Porffor.wasm`local.get ${_this}`;
   const endPtr: i32 = ptr + _this.length * 2;
@@ -0,0 +1,1679 @@
+import type {} from './porffor.d.ts';
+
+// Temporal with the iso8601 calendar, reusing the date math of date.ts
+// time zones are only UTC or fixed offsets (eg +05:30), IANA time zones are not supported yet
+// objects hold f64s:
+//   Instant: epoch milliseconds, nanoseconds within the millisecond (as epoch ns do not fit in a f64)
+//   PlainDate: epoch days
+//   PlainTime: nanoseconds within the day
+//   PlainDateTime: epoch days, nanoseconds within the day
+//   Duration: years, months, weeks, days, hours, minutes, seconds, milliseconds, microseconds, nanoseconds
+// units are given by their index in Duration (0 = year ... 9 = nanosecond)
+
+// results of funcs with more than one value
+let resultDays: number = 0;
+let resultTime: number = 0;
+let resultMs: number = 0;
+let resultNs: number = 0;
+let resultYear: number = 0;
+
+// fields of the last parsed string, see __Porffor_temporal_parse
+let parsePos: i32 = 0;
+let parsedFlags: i32 = 0; // 1 = date, 2 = time, 4 = offset, 8 = Z
+let parsedDays: number = 0;
+let parsedTime: number = 0;
+let parsedOffset: number = 0; // ns
+
+// number of defined fields read by __Porffor_temporal_field, to check property bags have any
+let fieldsRead: i32 = 0;
+
+
+// ToIntegerWithTruncation, for date and time fields
+export const __Porffor_temporal_toInteger = (value: any): number => {
+  const n: number = ecma262.ToNumber(value);
+  if (!Number.isFinite(n)) throw new RangeError('Temporal fields must be finite numbers');
+
+  // + 0 so -0 is 0
+  return Math.trunc(n) + 0;
+};
+
+// ToIntegerIfIntegral, for duration fields
+export const __Porffor_temporal_toIntegral = (value: any): number => {
+  if (value === undefined) return 0;
+
+  const n: number = ecma262.ToNumber(value);
+  if (!Number.isInteger(n)) throw new RangeError('Duration fields must be integers');
+
+  return n + 0;
+};
+
+export const __Porffor_temporal_field = (item: any, key: bytestring, fallback: number): number => {
+  const value: any = item[key];
+  if (value === undefined) return fallback;
+
+  fieldsRead++;
+  return __Porffor_temporal_toInteger(value);
+};
+
+export const __Porffor_temporal_durationField = (item: any, key: bytestring, fallback: number): number => {
+  const value: any = item[key];
+  if (value === undefined) return fallback;
+
+  fieldsRead++;
+  return __Porffor_temporal_toIntegral(value);
+};
+
+export const __Porffor_temporal_isString = (x: any): boolean => {
+  return Porffor.fastOr(Porffor.type(x) == Porffor.TYPES.string, Porffor.type(x) == Porffor.TYPES.bytestring);
+};
+
+// overflow option, true if reject
+export const __Porffor_temporal_reject = (options: any): boolean => {
+  if (options === undefined) return false;
+  if (!Porffor.object.isObject(options)) throw new TypeError('Options must be an object');
+
+  const value: any = options.overflow;
+  if (value === undefined) return false;
+
+  const overflow: any = ecma262.ToString(value);
+  if (overflow == 'reject') return true;
+  if (overflow == 'constrain') return false;
+
+  throw new RangeError('Invalid overflow option, expected constrain or reject');
+};
+
+export const __Porffor_temporal_unit = (unit: any): i32 => {
+  let name: any = ecma262.ToString(unit);
+  if (name.endsWith('s')) name = name.slice(0, -1);
+
+  if (name == 'year') return 0;
+  if (name == 'month') return 1;
+  if (name == 'week') return 2;
+  if (name == 'day') return 3;
+  if (name == 'hour') return 4;
+  if (name == 'minute') return 5;
+  if (name == 'second') return 6;
+  if (name == 'millisecond') return 7;
+  if (name == 'microsecond') return 8;
+  if (name == 'nanosecond') return 9;
+
+  throw new RangeError('Invalid unit');
+};
+
+// largestUnit of until and since, between min and max
+export const __Porffor_temporal_largestUnit = (options: any, fallback: i32, min: i32, max: i32): i32 => {
+  if (options === undefined) return fallback;
+  if (!Porffor.object.isObject(options)) throw new TypeError('Options must be an object');
+
+  // results are never rounded (see README), so smallestUnit is rejected instead of ignored
+  if (options.smallestUnit !== undefined) throw new RangeError('smallestUnit is not supported yet');
+
+  const value: any = options.largestUnit;
+  if (Porffor.fastOr(value === undefined, value == 'auto')) return fallback;
+
+  const unit: i32 = __Porffor_temporal_unit(value);
+  if (Porffor.fastOr(unit < min, unit > max)) throw new RangeError('Invalid largestUnit');
+
+  return unit;
+};
+
+
+// durations, as 10 f64s
+export const __Porffor_temporal_duration = (years: number, months: number, weeks: number, days: number, hours: number, minutes: number, seconds: number, milliseconds: number, microseconds: number, nanoseconds: number): Temporal_Duration => {
+  // + 0 so -0 is 0
+  const out: Temporal_Duration = Porffor.malloc(80);
+  Porffor.wasm.f64.store(out, years + 0, 0, 0);
+  Porffor.wasm.f64.store(out, months + 0, 0, 8);
+  Porffor.wasm.f64.store(out, weeks + 0, 0, 16);
+  Porffor.wasm.f64.store(out, days + 0, 0, 24);
+  Porffor.wasm.f64.store(out, hours + 0, 0, 32);
+  Porffor.wasm.f64.store(out, minutes + 0, 0, 40);
+  Porffor.wasm.f64.store(out, seconds + 0, 0, 48);
+  Porffor.wasm.f64.store(out, milliseconds + 0, 0, 56);
+  Porffor.wasm.f64.store(out, microseconds + 0, 0, 64);
+  Porffor.wasm.f64.store(out, nanoseconds + 0, 0, 72);
+
+  let sign: number = 0;
+  let ptr: i32 = Porffor.wasm`local.get ${out}`;
+  for (let i: i32 = 0; i < 10; i++) {
+    const x: number = Porffor.wasm.f64.load(ptr, 0, 0);
+    if (!Number.isFinite(x)) throw new RangeError('Duration fields must be finite');
+    if (x != 0) {
+      if (Porffor.fastAnd(sign != 0, Math.sign(x) != sign)) throw new RangeError('Duration fields must all have the same sign');
+      sign = Math.sign(x);
+    }
+
+    if (Porffor.fastAnd(i < 3, Math.abs(x) >= 4294967296)) throw new RangeError('Duration field out of range');
+    ptr += 8;
+  }
+
+  return out;
+};
+
+export const __Porffor_temporal_copyDuration = (duration: Temporal_Duration): Temporal_Duration => {
+  const out: Temporal_Duration = Porffor.malloc(80);
+  Porffor.wasm.memory.copy(out, duration, 80, 0, 0);
+  return out;
+};
+
+export const __Porffor_temporal_negated = (duration: Temporal_Duration): Temporal_Duration => {
+  const out: Temporal_Duration = Porffor.malloc(80);
+  let ptr: i32 = Porffor.wasm`local.get ${duration}`;
+  let outPtr: i32 = Porffor.wasm`local.get ${out}`;
+  const end: i32 = ptr + 80;
+  for (; ptr < end; ptr += 8) {
+    Porffor.wasm.f64.store(outPtr, 0 - Porffor.wasm.f64.load(ptr, 0, 0), 0, 0);
+    outPtr += 8;
+  }
+
+  return out;
+};
+
+// time of a duration (with days as 24 hours) as ms and ns, sets resultMs and resultNs
+// ns is always 0 to 999999 so durations are compared by ms then ns
+export const __Porffor_temporal_durationTime = (duration: Temporal_Duration): void => {
+  const ms: number = Porffor.wasm.f64.load(duration, 0, 24) * 86400000
+    + Porffor.wasm.f64.load(duration, 0, 32) * 3600000
+    + Porffor.wasm.f64.load(duration, 0, 40) * 60000
+    + Porffor.wasm.f64.load(duration, 0, 48) * 1000
+    + Porffor.wasm.f64.load(duration, 0, 56);
+  const ns: number = Porffor.wasm.f64.load(duration, 0, 64) * 1000
+    + Porffor.wasm.f64.load(duration, 0, 72);
+
+  resultMs = ms + Math.floor(ns / 1000000);
+  resultNs = __ecma262_Modulo(ns, 1000000);
+};
+
+export const __Porffor_temporal_hasCalendarUnits = (duration: Temporal_Duration): boolean => {
+  return Porffor.fastOr(
+    Porffor.wasm.f64.load(duration, 0, 0) != 0,
+    Porffor.wasm.f64.load(duration, 0, 8) != 0,
+    Porffor.wasm.f64.load(duration, 0, 16) != 0
+  );
+};
+
+// balance a time in ms and ns (0 to 999999) into a duration with units up to largestUnit (day or smaller)
+export const __Porffor_temporal_balance = (ms: number, ns: number, largestUnit: i32): Temporal_Duration => {
+  // balance the absolute value
+  let sign: number = 1;
+  if (ms < 0) {
+    sign = -1;
+    if (ns > 0) {
+      ms = -ms - 1;
+      ns = 1000000 - ns;
+    } else {
+      ms = -ms;
+    }
+  }
+
+  let days: number = 0, hours: number = 0, minutes: number = 0, seconds: number = 0, milliseconds: number = 0;
+  let microseconds: number = Math.floor(ns / 1000);
+  let nanoseconds: number = ns % 1000;
+  if (largestUnit >= 8) {
+    microseconds += ms * 1000;
+    if (largestUnit == 9) {
+      nanoseconds += microseconds * 1000;
+      microseconds = 0;
+    }
+  } else {
+    milliseconds = ms;
+    if (largestUnit <= 6) {
+      seconds = Math.floor(milliseconds / 1000);
+      milliseconds %= 1000;
+    }
+
+    if (largestUnit <= 5) {
+      minutes = Math.floor(seconds / 60);
+      seconds %= 60;
+    }
+
+    if (largestUnit <= 4) {
+      hours = Math.floor(minutes / 60);
+      minutes %= 60;
+    }
+
+    if (largestUnit <= 3) {
+      days = Math.floor(hours / 24);
+      hours %= 24;
+    }
+  }
+
+  return __Porffor_temporal_duration(0, 0, 0, days * sign, hours * sign, minutes * sign, seconds * sign,
+    milliseconds * sign, microseconds * sign, nanoseconds * sign);
+};
+
+
+// iso dates as epoch days
+export const __Porffor_temporal_year = (days: number): number => __ecma262_YearFromTime(days * 86400000);
+export const __Porffor_temporal_month = (days: number): number => __ecma262_MonthFromTime(days * 86400000) + 1;
+export const __Porffor_temporal_day = (days: number): number => __ecma262_DateFromTime(days * 86400000);
+
+export const __Porffor_temporal_daysInMonth = (year: number, month: number): number => {
+  return __ecma262_MakeDay(year, month, 1) - __ecma262_MakeDay(year, month - 1, 1);
+};
+
+export const __Porffor_temporal_checkDays = (days: number): number => {
+  // -271821-04-19 to +275760-09-13
+  if (Porffor.fastOr(days < -100000001, days > 100000000)) throw new RangeError('Date outside of supported range');
+  return days;
+};
+
+export const __Porffor_temporal_regulateDate = (year: number, month: number, day: number, reject: boolean): number => {
+  if (reject) {
+    if (Porffor.fastOr(month < 1, month > 12, day < 1, day > __Porffor_temporal_daysInMonth(year, month))) throw new RangeError('Date field out of range');
+  } else {
+    if (Porffor.fastOr(month < 1, day < 1)) throw new RangeError('Date field out of range');
+    if (month > 12) month = 12;
+
+    const max: number = __Porffor_temporal_daysInMonth(year, month);
+    if (day > max) day = max;
+  }
+
+  if (Math.abs(year) > 300000) throw new RangeError('Date outside of supported range');
+  return __Porffor_temporal_checkDays(__ecma262_MakeDay(year, month - 1, day));
+};
+
+// iso weekday, 1 (monday) to 7 (sunday)
+export const __Porffor_temporal_dayOfWeek = (days: number): number => {
+  const day: number = __ecma262_Modulo(days + 4, 7);
+  return day == 0 ? 7 : day;
+};
+
+export const __Porffor_temporal_dayOfYear = (days: number): number => {
+  return days - __ecma262_DayFromYear(__Porffor_temporal_year(days)) + 1;
+};
+
+export const __Porffor_temporal_weeksInYear = (year: number): number => {
+  const p: number = __ecma262_Modulo(year + Math.floor(year / 4) - Math.floor(year / 100) + Math.floor(year / 400), 7);
+  const q: number = __ecma262_Modulo(year - 1 + Math.floor((year - 1) / 4) - Math.floor((year - 1) / 100) + Math.floor((year - 1) / 400), 7);
+  return Porffor.fastOr(p == 4, q == 3) ? 53 : 52;
+};
+
+// iso week number, sets resultYear to the year of the week
+export const __Porffor_temporal_week = (days: number): number => {
+  const year: number = __Porffor_temporal_year(days);
+  const week: number = Math.floor((__Porffor_temporal_dayOfYear(days) - __Porffor_temporal_dayOfWeek(days) + 10) / 7);
+
+  if (week < 1) {
+    resultYear = year - 1;
+    return __Porffor_temporal_weeksInYear(year - 1);
+  }
+
+  if (week > __Porffor_temporal_weeksInYear(year)) {
+    resultYear = year + 1;
+    return 1;
+  }
+
+  resultYear = year;
+  return week;
+};
+
+// add years and months (constraining or rejecting the day), then weeks and days
+export const __Porffor_temporal_addDate = (days: number, years: number, months: number, weeks: number, d: number, reject: boolean): number => {
+  if (Porffor.fastOr(years != 0, months != 0)) {
+    let month: number = __Porffor_temporal_month(days) - 1 + months;
+    const year: number = __Porffor_temporal_year(days) + years + Math.floor(month / 12);
+    month = __ecma262_Modulo(month, 12);
+
+    days = __Porffor_temporal_regulateDate(year, month + 1, __Porffor_temporal_day(days), reject);
+  }
+
+  return __Porffor_temporal_checkDays(days + weeks * 7 + d);
+};
+
+// difference between epoch days in years, months, weeks or days
+export const __Porffor_temporal_dateUntil = (one: number, two: number, largestUnit: i32): Temporal_Duration => {
+  if (largestUnit >= 2) {
+    let days: number = two - one;
+    let weeks: number = 0;
+    if (largestUnit == 2) {
+      weeks = Math.trunc(days / 7);
+      days -= weeks * 7;
+    }
+
+    return __Porffor_temporal_duration(0, 0, weeks, days, 0, 0, 0, 0, 0, 0);
+  }
+
+  const sign: number = Math.sign(two - one);
+  if (sign == 0) return __Porffor_temporal_duration(0, 0, 0, 0, 0, 0, 0, 0, 0, 0);
+
+  const y1: number = __Porffor_temporal_year(one), m1: number = __Porffor_temporal_month(one), d1: number = __Porffor_temporal_day(one);
+  const y2: number = __Porffor_temporal_year(two), m2: number = __Porffor_temporal_month(two), d2: number = __Porffor_temporal_day(two);
+
+  // whole months, unless adding them with the unconstrained day goes past the end
+  let months: number = (y2 - y1) * 12 + (m2 - m1);
+  let cmp: number = Math.sign(d1 - d2);
+  if (months != 0) {
+    const total: number = m1 - 1 + months;
+    const y: number = y1 + Math.floor(total / 12);
+    const m: number = __ecma262_Modulo(total, 12) + 1;
+    cmp = Math.sign(y - y2);
+    if (cmp == 0) cmp = Math.sign(m - m2);
+    if (cmp == 0) cmp = Math.sign(d1 - d2);
+  }
+
+  if (cmp == sign) months -= sign;
+  const days: number = two - __Porffor_temporal_addDate(one, 0, months, 0, 0, false);
+
+  let years: number = 0;
+  if (largestUnit == 0) {
+    years = Math.trunc(months / 12);
+    months -= years * 12;
+  }
+
+  return __Porffor_temporal_duration(years, months, 0, days, 0, 0, 0, 0, 0, 0);
+};
+
+
+// times as nanoseconds within the day
+export const __Porffor_temporal_regulateTime = (hour: number, minute: number, second: number, millisecond: number, microsecond: number, nanosecond: number, reject: boolean): number => {
+  if (reject) {
+    if (Porffor.fastOr(hour < 0, hour > 23, minute < 0, minute > 59, second < 0, second > 59,
+      millisecond < 0, millisecond > 999, microsecond < 0, microsecond > 999, nanosecond < 0, nanosecond > 999)) throw new RangeError('Time field out of range');
+  } else {
+    hour = Math.min(Math.max(hour, 0), 23);
+    minute = Math.min(Math.max(minute, 0), 59);
+    second = Math.min(Math.max(second, 0), 59);
+    millisecond = Math.min(Math.max(millisecond, 0), 999);
+    microsecond = Math.min(Math.max(microsecond, 0), 999);
+    nanosecond = Math.min(Math.max(nanosecond, 0), 999);
+  }
+
+  return ((hour * 60 + minute) * 60 + second) * 1000000000 + millisecond * 1000000 + microsecond * 1000 + nanosecond;
+};
+
+export const __Porffor_temporal_hour = (time: number): number => Math.floor(time / 3600000000000);
+export const __Porffor_temporal_minute = (time: number): number => Math.floor(time / 60000000000) % 60;
+export const __Porffor_temporal_second = (time: number): number => Math.floor(time / 1000000000) % 60;
+export const __Porffor_temporal_millisecond = (time: number): number => Math.floor(time / 1000000) % 1000;
+export const __Porffor_temporal_microsecond = (time: number): number => Math.floor(time / 1000) % 1000;
+export const __Porffor_temporal_nanosecond = (time: number): number => time % 1000;
+
+// add a time in ms and ns to days and time, sets resultDays and resultTime
+export const __Porffor_temporal_addTime = (days: number, time: number, ms: number, ns: number): void => {
+  ms += Math.floor(time / 1000000);
+  ns += time % 1000000;
+  ms += Math.floor(ns / 1000000);
+  ns = __ecma262_Modulo(ns, 1000000);
+
+  resultDays = days + Math.floor(ms / 86400000);
+  resultTime = __ecma262_Modulo(ms, 86400000) * 1000000 + ns;
+};
+
+
+// instants as epoch ms and ns within the ms
+export const __Porffor_temporal_instant = (ms: number, ns: number): Temporal_Instant => {
+  ms += Math.floor(ns / 1000000);
+  ns = __ecma262_Modulo(ns, 1000000);
+  if (Math.abs(ms) > 8.64e+15) throw new RangeError('Instant outside of supported range');
+
+  const out: Temporal_Instant = Porffor.malloc(16);
+  Porffor.wasm.f64.store(out, ms + 0, 0, 0);
+  Porffor.wasm.f64.store(out, ns, 0, 8);
+  return out;
+};
+
+// bigint epoch ns to an instant, exactly by long division of the bigint's digits
+export const __Porffor_temporal_fromEpochNanoseconds = (epochNanoseconds: any): Temporal_Instant => {
+  const x: bigint = __ecma262_ToBigInt(epochNanoseconds);
+  let n: number = x as number;
+
+  // inline bigints are < 2^51 so ms * 1000000 is exact
+  if (Math.abs(n) < 0x8000000000000) {
+    const ms: number = Math.floor(n / 1000000);
+    return __Porffor_temporal_instant(ms, n - ms * 1000000);
+  }
+
+  const ptr: i32 = n - 0x8000000000000;
+  const negative: boolean = Porffor.wasm.i32.load8_u(ptr, 0, 0) != 0;
+  const len: i32 = Porffor.wasm.i32.load16_u(ptr, 0, 2);
+
+  let ms: number = 0, rem: number = 0;
+  for (let i: i32 = 0; i < len; i++) {
+    let digit: number = Porffor.wasm.i32.load(ptr + i * 4, 0, 4);
+    if (digit < 0) digit += 4294967296;
+
+    const cur: number = rem * 4294967296 + digit;
+    const q: number = Math.floor(cur / 1000000);
+    rem = cur - q * 1000000;
+    ms = ms * 4294967296 + q;
+  }
+
+  if (negative) return __Porffor_temporal_instant(-ms, -rem);
+  return __Porffor_temporal_instant(ms, rem);
+};
+
+export const __Porffor_temporal_toEpochNanoseconds = (ms: number, ns: number): bigint => {
+  const n: number = ms * 1000000 + ns;
+  if (Math.abs(n) < 0x8000000000000) return n as bigint;
+
+  const negative: boolean = ms < 0;
+  if (negative) {
+    if (ns > 0) {
+      ms = -ms - 1;
+      ns = 1000000 - ns;
+    } else {
+      ms = -ms;
+    }
+  }
+
+  // base 2^32 digits of ms * 1000000 + ns
+  const hi: number = Math.floor(ms / 4294967296);
+  const low: number = (ms - hi * 4294967296) * 1000000 + ns;
+  const high: number = hi * 1000000 + Math.floor(low / 4294967296);
+
+  const digits: i32[] = Porffor.malloc();
+  const top: number = Math.floor(high / 4294967296);
+  if (top != 0) Porffor.array.fastPush(digits, top);
+
+  // stored as i32 so the digits >= 2^31 are wrapped to negative
+  let digit: number = high % 4294967296;
+  if (digit >= 2147483648) digit -= 4294967296;
+  Porffor.array.fastPush(digits, digit);
+
+  digit = low % 4294967296;
+  if (digit >= 2147483648) digit -= 4294967296;
+  Porffor.array.fastPush(digits, digit);
+
+  return __Porffor_bigint_fromDigits(negative, digits);
+};
+
+
+// iso 8601 strings (and rfc 9557 annotations, which are ignored)
+// char code, or -1 past the end
+export const __Porffor_temporal_char = (str: any, i: i32): i32 => {
+  if (Porffor.fastOr(i < 0, i >= str.length)) return -1;
+  return str.charCodeAt(i);
+};
+
+export const __Porffor_temporal_digits = (str: any, count: i32): number => {
+  let out: number = 0;
+  for (let i: i32 = 0; i < count; i++) {
+    const c: i32 = __Porffor_temporal_char(str, parsePos + i);
+    if (Porffor.fastOr(c < 48, c > 57)) return -1;
+    out = out * 10 + (c - 48);
+  }
+
+  parsePos += count;
+  return out;
+};
+
+// fraction of a second as ns, after . or ,
+export const __Porffor_temporal_parseFraction = (str: any): number => {
+  const c: i32 = __Porffor_temporal_char(str, parsePos);
+  if (Porffor.fastAnd(c != 46, c != 44)) return 0;
+  parsePos++;
+
+  let out: number = 0, scale: number = 100000000, count: i32 = 0;
+  while (true) {
+    const d: i32 = __Porffor_temporal_char(str, parsePos) - 48;
+    if (Porffor.fastOr(d < 0, d > 9)) break;
+
+    out += d * scale;
+    scale /= 10;
+    parsePos++;
+    count++;
+  }
+
+  if (Porffor.fastOr(count == 0, count > 9)) throw new RangeError('Invalid ISO 8601 string');
+  return out;
+};
+
+// hh[:mm[:ss[.fffffffff]]] or without colons, as ns
+export const __Porffor_temporal_parseTime = (str: any): number => {
+  const hour: number = __Porffor_temporal_digits(str, 2);
+  if (Porffor.fastOr(hour == -1, hour > 23)) throw new RangeError('Invalid ISO 8601 string');
+
+  let minute: number = 0, second: number = 0, fraction: number = 0;
+  const colon: boolean = __Porffor_temporal_char(str, parsePos) == 58;
+  if (colon) parsePos++;
+
+  minute = __Porffor_temporal_digits(str, 2);
+  if (minute == -1) {
+    if (colon) throw new RangeError('Invalid ISO 8601 string');
+    return hour * 3600000000000;
+  }
+
+  if (__Porffor_temporal_char(str, parsePos) == 58) {
+    if (!colon) throw new RangeError('Invalid ISO 8601 string');
+    parsePos++;
+  }
+
+  second = __Porffor_temporal_digits(str, 2);
+  if (second == -1) {
+    if (__Porffor_temporal_char(str, parsePos - 1) == 58) throw new RangeError('Invalid ISO 8601 string');
+    second = 0;
+  } else {
+    fraction = __Porffor_temporal_parseFraction(str);
+  }
+
+  // leap seconds are 59
+  if (second == 60) second = 59;
+  if (Porffor.fastOr(minute > 59, second > 59)) throw new RangeError('Invalid ISO 8601 string');
+
+  return ((hour * 60 + minute) * 60 + second) * 1000000000 + fraction;
+};
+
+// +hh[:mm[:ss[.fffffffff]]] into parsedOffset, or -1 if there is no sign
+export const __Porffor_temporal_parseOffset = (str: any): number => {
+  const c: i32 = __Porffor_temporal_char(str, parsePos);
+  if (Porffor.fastAnd(c != 43, c != 45, c != 8722)) return -1;
+  parsePos++;
+
+  const offset: number = __Porffor_temporal_parseTime(str);
+  parsedOffset = c == 43 ? offset : -offset;
+  return 0;
+};
+
+export const __Porffor_temporal_parse = (str: any): void => {
+  if (!__Porffor_temporal_isString(str)) throw new TypeError('Temporal values must be strings or objects');
+
+  const len: i32 = str.length;
+  parsePos = 0;
+  parsedFlags = 0;
+  parsedDays = 0;
+  parsedTime = 0;
+  parsedOffset = 0;
+
+  // dates start with a sign, yyyy- or yyyymmdd
+  let c: i32 = __Porffor_temporal_char(str, 0);
+  let date: boolean = Porffor.fastOr(c == 43, c == 45, c == 8722, __Porffor_temporal_char(str, 4) == 45);
+  if (!date) {
+    let run: i32 = 0;
+    while (run < len) {
+      const d: i32 = __Porffor_temporal_char(str, run);
+      if (Porffor.fastOr(d < 48, d > 57)) break;
+      run++;
+    }
+
+    date = run == 8;
+  }
+
+  if (date) {
+    let year: number = 0;
+    if (Porffor.fastOr(c == 43, c == 45, c == 8722)) {
+      parsePos = 1;
+      year = __Porffor_temporal_digits(str, 6);
+      if (year == -1) throw new RangeError('Invalid ISO 8601 string');
+      if (c != 43) {
+        if (year == 0) throw new RangeError('Invalid ISO 8601 string, -000000 is not a valid year');
+        year = -year;
+      }
+    } else {
+      year = __Porffor_temporal_digits(str, 4);
+      if (year == -1) throw new RangeError('Invalid ISO 8601 string');
+    }
+
+    const hyphen: boolean = __Porffor_temporal_char(str, parsePos) == 45;
+    if (hyphen) parsePos++;
+
+    const month: number = __Porffor_temporal_digits(str, 2);
+    if (Porffor.fastAnd(hyphen, __Porffor_temporal_char(str, parsePos) == 45)) parsePos++;
+    const day: number = __Porffor_temporal_digits(str, 2);
+    if (Porffor.fastOr(month == -1, day == -1)) throw new RangeError('Invalid ISO 8601 string');
+
+    parsedDays = __Porffor_temporal_regulateDate(year, month, day, true);
+    parsedFlags |= 1;
+
+    c = __Porffor_temporal_char(str, parsePos);
+    if (Porffor.fastAnd(parsePos < len, Porffor.fastOr(c == 84, c == 116, c == 32))) {
+      parsePos++;
+      parsedTime = __Porffor_temporal_parseTime(str);
+      parsedFlags |= 2;
+    }
+  } else {
+    if (Porffor.fastOr(c == 84, c == 116)) parsePos++;
+    parsedTime = __Porffor_temporal_parseTime(str);
+    parsedFlags |= 2;
+  }
+
+  c = __Porffor_temporal_char(str, parsePos);
+  if (Porffor.fastAnd(parsePos < len, Porffor.fastOr(c == 90, c == 122))) {
+    parsePos++;
+    parsedFlags |= 8;
+  } else if (parsePos < len) {
+    if (__Porffor_temporal_parseOffset(str) == 0) parsedFlags |= 4;
+  }
+
+  while (Porffor.fastAnd(parsePos < len, __Porffor_temporal_char(str, parsePos) == 91)) {
+    const end: i32 = str.indexOf(']', parsePos);
+    if (end == -1) throw new RangeError('Invalid ISO 8601 string');
+    parsePos = end + 1;
+  }
+
+  if (parsePos != len) throw new RangeError('Invalid ISO 8601 string');
+};
+
+// parse a string for a plain type, which cannot have a Z designator
+export const __Porffor_temporal_parsePlain = (str: any): void => {
+  __Porffor_temporal_parse(str);
+  if (parsedFlags & 8) throw new RangeError('Z designator is not supported for plain types');
+};
+
+export const __Porffor_temporal_parseDuration = (str: any): Temporal_Duration => {
+  if (!__Porffor_temporal_isString(str)) throw new TypeError('Temporal values must be strings or objects');
+
+  const len: i32 = str.length;
+  let pos: i32 = 0, sign: number = 1;
+  let c: i32 = __Porffor_temporal_char(str, 0);
+  if (Porffor.fastOr(c == 43, c == 45, c == 8722)) {
+    if (c != 43) sign = -1;
+    pos++;
+  }
+
+  c = __Porffor_temporal_char(str, pos++);
+  if (Porffor.fastAnd(c != 80, c != 112)) throw new RangeError('Invalid ISO 8601 duration');
+
+  // fields in order of units, a fraction (of hours, minutes or seconds) must be the last
+  const fields: number[] = Porffor.malloc();
+  for (let i: i32 = 0; i < 10; i++) Porffor.array.fastPush(fields, 0);
+
+  let time: boolean = false, unit: i32 = -1, any: boolean = false, fraction: number = -1;
+  while (pos < len) {
+    c = __Porffor_temporal_char(str, pos);
+    if (Porffor.fastOr(c == 84, c == 116)) {
+      if (time) throw new RangeError('Invalid ISO 8601 duration');
+      time = true;
+      pos++;
+      if (pos == len) throw new RangeError('Invalid ISO 8601 duration');
+      continue;
+    }
+
+    if (fraction != -1) throw new RangeError('Invalid ISO 8601 duration');
+
+    let n: number = 0, count: i32 = 0;
+    while (pos < len) {
+      const d: i32 = __Porffor_temporal_char(str, pos) - 48;
+      if (Porffor.fastOr(d < 0, d > 9)) break;
+      n = n * 10 + d;
+      pos++;
+      count++;
+    }
+
+    if (count == 0) throw new RangeError('Invalid ISO 8601 duration');
+
+    parsePos = pos;
+    c = __Porffor_temporal_char(str, pos);
+    if (Porffor.fastOr(c == 46, c == 44)) {
+      if (!time) throw new RangeError('Invalid ISO 8601 duration');
+      fraction = __Porffor_temporal_parseFraction(str);
+      pos = parsePos;
+    }
+
+    c = __Porffor_temporal_char(str, pos++) | 32;
+    let next: i32 = -1;
+    if (time) {
+      if (c == 104) next = 4; // h
+        else if (c == 109) next = 5; // m
+        else if (c == 115) next = 6; // s
+    } else {
+      if (c == 121) next = 0; // y
+        else if (c == 109) next = 1; // m
+        else if (c == 119) next = 2; // w
+        else if (c == 100) next = 3; // d
+    }
+
+    if (Porffor.fastOr(next <= unit, next == -1)) throw new RangeError('Invalid ISO 8601 duration');
+    unit = next;
+    any = true;
+    fields[unit] = n;
+
+    if (fraction != -1) {
+      // spread the fraction (as ns) into the smaller units
+      let ns: number = fraction;
+      if (unit == 4) ns *= 3600;
+        else if (unit == 5) ns *= 60;
+
+      if (unit < 6) {
+        fields[unit + 1] = Math.floor(ns / (unit == 4 ? 60000000000 : 1000000000));
+        ns %= unit == 4 ? 60000000000 : 1000000000;
+      }
+
+      if (unit == 4) {
+        fields[6] = Math.floor(ns / 1000000000);
+        ns %= 1000000000;
+      }
+
+      fields[7] = Math.floor(ns / 1000000);
+      fields[8] = Math.floor(ns / 1000) % 1000;
+      fields[9] = ns % 1000;
+    }
+  }
+
+  if (!any) throw new RangeError('Invalid ISO 8601 duration');
+
+  return __Porffor_temporal_duration(fields[0] * sign, fields[1] * sign, fields[2] * sign, fields[3] * sign, fields[4] * sign,
+    fields[5] * sign, fields[6] * sign, fields[7] * sign, fields[8] * sign, fields[9] * sign);
+};
+
+
+// utc offset of a time zone in ns, only UTC and fixed offsets are supported
+export const __Porffor_temporal_offset = (timeZone: any): number => {
+  if (timeZone === undefined) return 0;
+  if (!__Porffor_temporal_isString(timeZone)) throw new TypeError('Time zone must be a string');
+
+  const upper: any = timeZone.toUpperCase();
+  if (Porffor.fastOr(upper == 'UTC', upper == 'ETC/UTC', upper == 'Z')) return 0;
+
+  parsePos = 0;
+  const offset: number = __Porffor_temporal_parseOffset(timeZone);
+  if (Porffor.fastOr(offset == -1, parsePos != timeZone.length)) throw new RangeError('Invalid or unsupported time zone, only UTC and fixed offsets (eg +01:00) are supported');
+
+  return parsedOffset;
+};
+
+
+// strings
+export const __Porffor_temporal_appendDate = (out: bytestring, days: number): void => {
+  const year: number = __Porffor_temporal_year(days);
+  if (Porffor.fastOr(year < 0, year > 9999)) {
+    __Porffor_bytestring_appendChar(out, year < 0 ? 45 : 43);
+    __Porffor_bytestring_appendPadNum(out, Math.abs(year), 6);
+  } else {
+    __Porffor_bytestring_appendPadNum(out, year, 4);
+  }
+
+  __Porffor_bytestring_appendChar(out, 45); // -
+  __Porffor_bytestring_appendPadNum(out, __Porffor_temporal_month(days), 2);
+  __Porffor_bytestring_appendChar(out, 45); // -
+  __Porffor_bytestring_appendPadNum(out, __Porffor_temporal_day(days), 2);
+};
+
+// digits of a fraction of a second (in ns) without trailing zeros
+export const __Porffor_temporal_appendFraction = (out: bytestring, ns: number): void => {
+  if (ns == 0) return;
+
+  let digits: i32 = 9;
+  while (ns % 10 == 0) {
+    ns /= 10;
+    digits--;
+  }
+
+  __Porffor_bytestring_appendChar(out, 46); // .
+  __Porffor_bytestring_appendPadNum(out, ns, digits);
+};
+
+export const __Porffor_temporal_appendTime = (out: bytestring, time: number): void => {
+  __Porffor_bytestring_appendPadNum(out, __Porffor_temporal_hour(time), 2);
+  __Porffor_bytestring_appendChar(out, 58); // :
+  __Porffor_bytestring_appendPadNum(out, __Porffor_temporal_minute(time), 2);
+  __Porffor_bytestring_appendChar(out, 58); // :
+  __Porffor_bytestring_appendPadNum(out, __Porffor_temporal_second(time), 2);
+  __Porffor_temporal_appendFraction(out, time % 1000000000);
+};
+
+export const __Porffor_temporal_appendOffset = (out: bytestring, offset: number): void => {
+  __Porffor_bytestring_appendChar(out, offset < 0 ? 45 : 43);
+
+  const minutes: number = Math.round(Math.abs(offset) / 60000000000);
+  __Porffor_bytestring_appendPadNum(out, Math.floor(minutes / 60), 2);
+  __Porffor_bytestring_appendChar(out, 58); // :
+  __Porffor_bytestring_appendPadNum(out, minutes % 60, 2);
+};
+
+
+// making Temporal objects, and converting values to them
+export const __Porffor_temporal_toDuration = (item: any): Temporal_Duration => {
+  if (Porffor.type(item) == Porffor.TYPES.temporal_duration) return item;
+  if (!Porffor.object.isObject(item)) return __Porffor_temporal_parseDuration(item);
+
+  fieldsRead = 0;
+  const out: Temporal_Duration = __Porffor_temporal_duration(
+    __Porffor_temporal_durationField(item, 'years', 0),
+    __Porffor_temporal_durationField(item, 'months', 0),
+    __Porffor_temporal_durationField(item, 'weeks', 0),
+    __Porffor_temporal_durationField(item, 'days', 0),
+    __Porffor_temporal_durationField(item, 'hours', 0),
+    __Porffor_temporal_durationField(item, 'minutes', 0),
+    __Porffor_temporal_durationField(item, 'seconds', 0),
+    __Porffor_temporal_durationField(item, 'milliseconds', 0),
+    __Porffor_temporal_durationField(item, 'microseconds', 0),
+    __Porffor_temporal_durationField(item, 'nanoseconds', 0));
+  if (fieldsRead == 0) throw new TypeError('No duration fields given');
+
+  return out;
+};
+
+export const __Porffor_temporal_toInstant = (item: any): Temporal_Instant => {
+  if (Porffor.type(item) == Porffor.TYPES.temporal_instant) return item;
+
+  if (Porffor.object.isObject(item)) item = ecma262.ToString(item);
+
+  __Porffor_temporal_parse(item);
+  if (Porffor.fastOr(!(parsedFlags & 1), !(parsedFlags & 12))) throw new RangeError('Instant strings need a date, time and offset or Z');
+
+  return __Porffor_temporal_instant(parsedDays * 86400000 + Math.floor(parsedTime / 1000000) - Math.floor(parsedOffset / 1000000),
+    parsedTime % 1000000 - __ecma262_Modulo(parsedOffset, 1000000));
+};
+
+export const __Porffor_temporal_plainDate = (days: number): Temporal_PlainDate => {
+  const out: Temporal_PlainDate = Porffor.malloc(8);
+  Porffor.wasm.f64.store(out, days, 0, 0);
+  return out;
+};
+
+// item to epoch days
+export const __Porffor_temporal_toDate = (item: any, reject: boolean): number => {
+  if (Porffor.type(item) == Porffor.TYPES.temporal_plaindate) return Porffor.wasm.f64.load(item, 0, 0);
+  if (Porffor.type(item) == Porffor.TYPES.temporal_plaindatetime) return Porffor.wasm.f64.load(item, 0, 0);
+
+  if (Porffor.object.isObject(item)) {
+    const year: number = __Porffor_temporal_field(item, 'year', NaN);
+    const month: number = __Porffor_temporal_field(item, 'month', NaN);
+    const day: number = __Porffor_temporal_field(item, 'day', NaN);
+    if (Porffor.fastOr(Number.isNaN(year), Number.isNaN(month), Number.isNaN(day))) throw new TypeError('Missing year, month or day');
+
+    return __Porffor_temporal_regulateDate(year, month, day, reject);
+  }
+
+  __Porffor_temporal_parsePlain(item);
+  if (!(parsedFlags & 1)) throw new RangeError('Invalid ISO 8601 date');
+
+  return parsedDays;
+};
+
+export const __Porffor_temporal_monthCode = (days: number): bytestring => {
+  let out: bytestring = Porffor.malloc(8);
+  __Porffor_bytestring_appendChar(out, 77); // M
+  __Porffor_bytestring_appendPadNum(out, __Porffor_temporal_month(days), 2);
+  return out;
+};
+
+export const __Porffor_temporal_daysInMonthOf = (days: number): number => {
+  return __Porffor_temporal_daysInMonth(__Porffor_temporal_year(days), __Porffor_temporal_month(days));
+};
+
+// date fields of a property bag, defaulting to those of days
+export const __Porffor_temporal_withDate = (days: number, item: any, reject: boolean): number => {
+  const year: number = __Porffor_temporal_field(item, 'year', __Porffor_temporal_year(days));
+  const month: number = __Porffor_temporal_field(item, 'month', __Porffor_temporal_month(days));
+  const day: number = __Porffor_temporal_field(item, 'day', __Porffor_temporal_day(days));
+
+  return __Porffor_temporal_regulateDate(year, month, day, reject);
+};
+
+export const __Porffor_temporal_plainTime = (time: number): Temporal_PlainTime => {
+  const out: Temporal_PlainTime = Porffor.malloc(8);
+  Porffor.wasm.f64.store(out, time, 0, 0);
+  return out;
+};
+
+// time fields of a property bag, defaulting to those of time
+export const __Porffor_temporal_withTime = (time: number, item: any, reject: boolean): number => {
+  const hour: number = __Porffor_temporal_field(item, 'hour', __Porffor_temporal_hour(time));
+  const minute: number = __Porffor_temporal_field(item, 'minute', __Porffor_temporal_minute(time));
+  const second: number = __Porffor_temporal_field(item, 'second', __Porffor_temporal_second(time));
+  const millisecond: number = __Porffor_temporal_field(item, 'millisecond', __Porffor_temporal_millisecond(time));
+  const microsecond: number = __Porffor_temporal_field(item, 'microsecond', __Porffor_temporal_microsecond(time));
+  const nanosecond: number = __Porffor_temporal_field(item, 'nanosecond', __Porffor_temporal_nanosecond(time));
+
+  return __Porffor_temporal_regulateTime(hour, minute, second, millisecond, microsecond, nanosecond, reject);
+};
+
+// item to ns within the day
+export const __Porffor_temporal_toTime = (item: any, reject: boolean): number => {
+  if (Porffor.type(item) == Porffor.TYPES.temporal_plaintime) return Porffor.wasm.f64.load(item, 0, 0);
+  if (Porffor.type(item) == Porffor.TYPES.temporal_plaindatetime) return Porffor.wasm.f64.load(item, 0, 8);
+
+  if (Porffor.object.isObject(item)) {
+    fieldsRead = 0;
+    const time: number = __Porffor_temporal_withTime(0, item, reject);
+    if (fieldsRead == 0) throw new TypeError('No time fields given');
+
+    return time;
+  }
+
+  __Porffor_temporal_parsePlain(item);
+  if (!(parsedFlags & 2)) throw new RangeError('Invalid ISO 8601 time');
+
+  return parsedTime;
+};
+
+export const __Porffor_temporal_plainDateTime = (days: number, time: number): Temporal_PlainDateTime => {
+  // limits are a day wider than dates, but the times outside are checked by the caller
+  const out: Temporal_PlainDateTime = Porffor.malloc(16);
+  Porffor.wasm.f64.store(out, days, 0, 0);
+  Porffor.wasm.f64.store(out, time, 0, 8);
+  return out;
+};
+
+// item to epoch days and ns within the day, sets resultDays and resultTime
+export const __Porffor_temporal_toDateTime = (item: any, reject: boolean): void => {
+  if (Porffor.type(item) == Porffor.TYPES.temporal_plaindatetime) {
+    resultDays = Porffor.wasm.f64.load(item, 0, 0);
+    resultTime = Porffor.wasm.f64.load(item, 0, 8);
+    return;
+  }
+
+  if (Porffor.type(item) == Porffor.TYPES.temporal_plaindate) {
+    resultDays = Porffor.wasm.f64.load(item, 0, 0);
+    resultTime = 0;
+    return;
+  }
+
+  if (Porffor.object.isObject(item)) {
+    const days: number = __Porffor_temporal_toDate(item, reject);
+    resultTime = __Porffor_temporal_withTime(0, item, reject);
+    resultDays = days;
+    return;
+  }
+
+  __Porffor_temporal_parsePlain(item);
+  if (!(parsedFlags & 1)) throw new RangeError('Invalid ISO 8601 date');
+
+  resultDays = parsedDays;
+  resultTime = parsedTime;
+};
+
+
+// 8.1 Temporal.Instant
+// https://tc39.es/proposal-temporal/#sec-temporal-instant-objects
+
+export const __Temporal_Instant = function (epochNanoseconds: any): Temporal_Instant {
+  if (!new.target) throw new TypeError("Constructor Temporal.Instant requires 'new'");
+  return __Porffor_temporal_fromEpochNanoseconds(epochNanoseconds);
+};
+
+export const __Temporal_Instant_from = (item: any): Temporal_Instant => {
+  const instant: Temporal_Instant = __Porffor_temporal_toInstant(item);
+  return __Porffor_temporal_instant(Porffor.wasm.f64.load(instant, 0, 0), Porffor.wasm.f64.load(instant, 0, 8));
+};
+
+export const __Temporal_Instant_fromEpochMilliseconds = (epochMilliseconds: any): Temporal_Instant => {
+  const ms: number = ecma262.ToNumber(epochMilliseconds);
+  if (!Number.isInteger(ms)) throw new RangeError('Epoch milliseconds must be an integer');
+
+  return __Porffor_temporal_instant(ms, 0);
+};
+
+export const __Temporal_Instant_fromEpochNanoseconds = (epochNanoseconds: any): Temporal_Instant => {
+  return __Porffor_temporal_fromEpochNanoseconds(epochNanoseconds);
+};
+
+export const __Temporal_Instant_compare = (one: any, two: any): number => {
+  const a: Temporal_Instant = __Porffor_temporal_toInstant(one);
+  const b: Temporal_Instant = __Porffor_temporal_toInstant(two);
+
+  const cmp: number = Math.sign(Porffor.wasm.f64.load(a, 0, 0) - Porffor.wasm.f64.load(b, 0, 0));
+  if (cmp != 0) return cmp;
+  return Math.sign(Porffor.wasm.f64.load(a, 0, 8) - Porffor.wasm.f64.load(b, 0, 8));
+};
+
+export const __Temporal_Instant_prototype_epochMilliseconds$get = (_this: Temporal_Instant) => {
+  return Porffor.wasm.f64.load(_this, 0, 0);
+};
+
+export const __Temporal_Instant_prototype_epochNanoseconds$get = (_this: Temporal_Instant) => {
+  return __Porffor_temporal_toEpochNanoseconds(Porffor.wasm.f64.load(_this, 0, 0), Porffor.wasm.f64.load(_this, 0, 8));
+};
+
+export const __Temporal_Instant_prototype_add = (_this: Temporal_Instant, temporalDurationLike: any) => {
+  const duration: Temporal_Duration = __Porffor_temporal_toDuration(temporalDurationLike);
+  if (Porffor.fastOr(__Porffor_temporal_hasCalendarUnits(duration), Porffor.wasm.f64.load(duration, 0, 24) != 0))
+    throw new RangeError('Instants cannot add years, months, weeks or days');
+
+  __Porffor_temporal_durationTime(duration);
+  return __Porffor_temporal_instant(Porffor.wasm.f64.load(_this, 0, 0) + resultMs, Porffor.wasm.f64.load(_this, 0, 8) + resultNs);
+};
+
+export const __Temporal_Instant_prototype_subtract = (_this: Temporal_Instant, temporalDurationLike: any) => {
+  return __Temporal_Instant_prototype_add(_this, __Porffor_temporal_negated(__Porffor_temporal_toDuration(temporalDurationLike)));
+};
+
+export const __Temporal_Instant_prototype_until = (_this: Temporal_Instant, other: any, options: any) => {
+  const instant: Temporal_Instant = __Porffor_temporal_toInstant(other);
+  const largestUnit: i32 = __Porffor_temporal_largestUnit(options, 6, 4, 9);
+
+  const ns: number = Porffor.wasm.f64.load(instant, 0, 8) - Porffor.wasm.f64.load(_this, 0, 8);
+  return __Porffor_temporal_balance(Porffor.wasm.f64.load(instant, 0, 0) - Porffor.wasm.f64.load(_this, 0, 0) + Math.floor(ns / 1000000),
+    __ecma262_Modulo(ns, 1000000), largestUnit);
+};
+
+export const __Temporal_Instant_prototype_since = (_this: Temporal_Instant, other: any, options: any) => {
+  return __Porffor_temporal_negated(__Temporal_Instant_prototype_until(_this, other, options));
+};
+
+export const __Temporal_Instant_prototype_equals = (_this: Temporal_Instant, other: any) => {
+  return __Temporal_Instant_compare(_this, other) == 0;
+};
+
+export const __Temporal_Instant_prototype_toString = (_this: Temporal_Instant, options: any) => {
+  let timeZone: any = undefined;
+  if (options !== undefined) {
+    if (!Porffor.object.isObject(options)) throw new TypeError('Options must be an object');
+    timeZone = options.timeZone;
+  }
+
+  const offset: number = __Porffor_temporal_offset(timeZone);
+  __Porffor_temporal_addTime(0, 0, Porffor.wasm.f64.load(_this, 0, 0) + Math.floor(offset / 1000000),
+    Porffor.wasm.f64.load(_this, 0, 8) + __ecma262_Modulo(offset, 1000000));
+
+  let out: bytestring = Porffor.malloc(64);
+  __Porffor_temporal_appendDate(out, resultDays);
+  __Porffor_bytestring_appendChar(out, 84); // T
+  __Porffor_temporal_appendTime(out, resultTime);
+
+  if (timeZone === undefined) __Porffor_bytestring_appendChar(out, 90); // Z
+    else __Porffor_temporal_appendOffset(out, offset);
+
+  return out;
+};
+
+export const __Temporal_Instant_prototype_toJSON = (_this: Temporal_Instant) => {
+  return __Temporal_Instant_prototype_toString(_this, undefined);
+};
+
+export const __Temporal_Instant_prototype_toLocaleString = (_this: Temporal_Instant) => {
+  return __Temporal_Instant_prototype_toString(_this, undefined);
+};
+
+export const __Temporal_Instant_prototype_valueOf = (_this: Temporal_Instant) => {
+  throw new TypeError('Temporal.Instant cannot be converted to a primitive, use compare() or equals()');
+};
+
+
+// 3.1 Temporal.PlainDate
+// https://tc39.es/proposal-temporal/#sec-temporal-plaindate-objects
+
+export const __Temporal_PlainDate = function (isoYear: any, isoMonth: any, isoDay: any): Temporal_PlainDate {
+  if (!new.target) throw new TypeError("Constructor Temporal.PlainDate requires 'new'");
+
+  return __Porffor_temporal_plainDate(__Porffor_temporal_regulateDate(__Porffor_temporal_toInteger(isoYear),
+    __Porffor_temporal_toInteger(isoMonth), __Porffor_temporal_toInteger(isoDay), true));
+};
+
+export const __Temporal_PlainDate_from = (item: any, options: any): Temporal_PlainDate => {
+  return __Porffor_temporal_plainDate(__Porffor_temporal_toDate(item, __Porffor_temporal_reject(options)));
+};
+
+export const __Temporal_PlainDate_compare = (one: any, two: any): number => {
+  return Math.sign(__Porffor_temporal_toDate(one, false) - __Porffor_temporal_toDate(two, false));
+};
+
+export const __Temporal_PlainDate_prototype_calendarId$get = (_this: Temporal_PlainDate) => 'iso8601';
+export const __Temporal_PlainDate_prototype_year$get = (_this: Temporal_PlainDate) => __Porffor_temporal_year(Porffor.wasm.f64.load(_this, 0, 0));
+export const __Temporal_PlainDate_prototype_month$get = (_this: Temporal_PlainDate) => __Porffor_temporal_month(Porffor.wasm.f64.load(_this, 0, 0));
+export const __Temporal_PlainDate_prototype_monthCode$get = (_this: Temporal_PlainDate) => __Porffor_temporal_monthCode(Porffor.wasm.f64.load(_this, 0, 0));
+export const __Temporal_PlainDate_prototype_day$get = (_this: Temporal_PlainDate) => __Porffor_temporal_day(Porffor.wasm.f64.load(_this, 0, 0));
+export const __Temporal_PlainDate_prototype_dayOfWeek$get = (_this: Temporal_PlainDate) => __Porffor_temporal_dayOfWeek(Porffor.wasm.f64.load(_this, 0, 0));
+export const __Temporal_PlainDate_prototype_dayOfYear$get = (_this: Temporal_PlainDate) => __Porffor_temporal_dayOfYear(Porffor.wasm.f64.load(_this, 0, 0));
+export const __Temporal_PlainDate_prototype_weekOfYear$get = (_this: Temporal_PlainDate) => __Porffor_temporal_week(Porffor.wasm.f64.load(_this, 0, 0));
+export const __Temporal_PlainDate_prototype_yearOfWeek$get = (_this: Temporal_PlainDate) => {
+  __Porffor_temporal_week(Porffor.wasm.f64.load(_this, 0, 0));
+  return resultYear;
+};
+export const __Temporal_PlainDate_prototype_daysInWeek$get = (_this: Temporal_PlainDate) => 7;
+export const __Temporal_PlainDate_prototype_daysInMonth$get = (_this: Temporal_PlainDate) => __Porffor_temporal_daysInMonthOf(Porffor.wasm.f64.load(_this, 0, 0));
+export const __Temporal_PlainDate_prototype_daysInYear$get = (_this: Temporal_PlainDate) => __ecma262_DaysInYear(__Porffor_temporal_year(Porffor.wasm.f64.load(_this, 0, 0)));
+export const __Temporal_PlainDate_prototype_monthsInYear$get = (_this: Temporal_PlainDate) => 12;
+export const __Temporal_PlainDate_prototype_inLeapYear$get = (_this: Temporal_PlainDate) => __ecma262_DaysInYear(__Porffor_temporal_year(Porffor.wasm.f64.load(_this, 0, 0))) == 366;
+
+export const __Temporal_PlainDate_prototype_with = (_this: Temporal_PlainDate, temporalDateLike: any, options: any) => {
+  if (!Porffor.object.isObject(temporalDateLike)) throw new TypeError('Temporal fields must be an object');
+
+  fieldsRead = 0;
+  const days: number = __Porffor_temporal_withDate(Porffor.wasm.f64.load(_this, 0, 0), temporalDateLike, __Porffor_temporal_reject(options));
+  if (fieldsRead == 0) throw new TypeError('No date fields given');
+
+  return __Porffor_temporal_plainDate(days);
+};
+
+export const __Temporal_PlainDate_prototype_add = (_this: Temporal_PlainDate, temporalDurationLike: any, options: any) => {
+  const duration: Temporal_Duration = __Porffor_temporal_toDuration(temporalDurationLike);
+  const reject: boolean = __Porffor_temporal_reject(options);
+
+  // whole days of the time units are added too, the fields have the same sign so truncating each is fine
+  const time: number = Porffor.wasm.f64.load(duration, 0, 32) * 3600000
+    + Porffor.wasm.f64.load(duration, 0, 40) * 60000
+    + Porffor.wasm.f64.load(duration, 0, 48) * 1000
+    + Porffor.wasm.f64.load(duration, 0, 56)
+    + Math.trunc((Porffor.wasm.f64.load(duration, 0, 64) * 1000 + Porffor.wasm.f64.load(duration, 0, 72)) / 1000000);
+  const days: number = Porffor.wasm.f64.load(duration, 0, 24) + Math.trunc(time / 86400000);
+
+  return __Porffor_temporal_plainDate(__Porffor_temporal_addDate(Porffor.wasm.f64.load(_this, 0, 0),
+    Porffor.wasm.f64.load(duration, 0, 0), Porffor.wasm.f64.load(duration, 0, 8), Porffor.wasm.f64.load(duration, 0, 16), days, reject));
+};
+
+export const __Temporal_PlainDate_prototype_subtract = (_this: Temporal_PlainDate, temporalDurationLike: any, options: any) => {
+  return __Temporal_PlainDate_prototype_add(_this, __Porffor_temporal_negated(__Porffor_temporal_toDuration(temporalDurationLike)), options);
+};
+
+export const __Temporal_PlainDate_prototype_until = (_this: Temporal_PlainDate, other: any, options: any) => {
+  const days: number = __Porffor_temporal_toDate(other, false);
+  return __Porffor_temporal_dateUntil(Porffor.wasm.f64.load(_this, 0, 0), days, __Porffor_temporal_largestUnit(options, 3, 0, 3));
+};
+
+export const __Temporal_PlainDate_prototype_since = (_this: Temporal_PlainDate, other: any, options: any) => {
+  return __Porffor_temporal_negated(__Temporal_PlainDate_prototype_until(_this, other, options));
+};
+
+export const __Temporal_PlainDate_prototype_equals = (_this: Temporal_PlainDate, other: any) => {
+  return Porffor.wasm.f64.load(_this, 0, 0) == __Porffor_temporal_toDate(other, false);
+};
+
+export const __Temporal_PlainDate_prototype_toPlainDateTime = (_this: Temporal_PlainDate, temporalTime: any) => {
+  let time: number = 0;
+  if (temporalTime !== undefined) time = __Porffor_temporal_toTime(temporalTime, false);
+
+  return __Porffor_temporal_plainDateTime(Porffor.wasm.f64.load(_this, 0, 0), time);
+};
+
+export const __Temporal_PlainDate_prototype_toString = (_this: Temporal_PlainDate) => {
+  let out: bytestring = Porffor.malloc(16);
+  __Porffor_temporal_appendDate(out, Porffor.wasm.f64.load(_this, 0, 0));
+  return out;
+};
+
+export const __Temporal_PlainDate_prototype_toJSON = (_this: Temporal_PlainDate) => {
+  return __Temporal_PlainDate_prototype_toString(_this);
+};
+
+export const __Temporal_PlainDate_prototype_toLocaleString = (_this: Temporal_PlainDate) => {
+  return __Temporal_PlainDate_prototype_toString(_this);
+};
+
+export const __Temporal_PlainDate_prototype_valueOf = (_this: Temporal_PlainDate) => {
+  throw new TypeError('Temporal.PlainDate cannot be converted to a primitive, use compare() or equals()');
+};
+
+
+// 4.1 Temporal.PlainTime
+// https://tc39.es/proposal-temporal/#sec-temporal-plaintime-objects
+
+export const __Temporal_PlainTime = function (hour: any, minute: any, second: any, millisecond: any, microsecond: any, nanosecond: any): Temporal_PlainTime {
+  if (!new.target) throw new TypeError("Constructor Temporal.PlainTime requires 'new'");
+
+  return __Porffor_temporal_plainTime(__Porffor_temporal_regulateTime(
+    hour === undefined ? 0 : __Porffor_temporal_toInteger(hour),
+    minute === undefined ? 0 : __Porffor_temporal_toInteger(minute),
+    second === undefined ? 0 : __Porffor_temporal_toInteger(second),
+    millisecond === undefined ? 0 : __Porffor_temporal_toInteger(millisecond),
+    microsecond === undefined ? 0 : __Porffor_temporal_toInteger(microsecond),
+    nanosecond === undefined ? 0 : __Porffor_temporal_toInteger(nanosecond),
+    true));
+};
+
+export const __Temporal_PlainTime_from = (item: any, options: any): Temporal_PlainTime => {
+  return __Porffor_temporal_plainTime(__Porffor_temporal_toTime(item, __Porffor_temporal_reject(options)));
+};
+
+export const __Temporal_PlainTime_compare = (one: any, two: any): number => {
+  return Math.sign(__Porffor_temporal_toTime(one, false) - __Porffor_temporal_toTime(two, false));
+};
+
+export const __Temporal_PlainTime_prototype_hour$get = (_this: Temporal_PlainTime) => __Porffor_temporal_hour(Porffor.wasm.f64.load(_this, 0, 0));
+export const __Temporal_PlainTime_prototype_minute$get = (_this: Temporal_PlainTime) => __Porffor_temporal_minute(Porffor.wasm.f64.load(_this, 0, 0));
+export const __Temporal_PlainTime_prototype_second$get = (_this: Temporal_PlainTime) => __Porffor_temporal_second(Porffor.wasm.f64.load(_this, 0, 0));
+export const __Temporal_PlainTime_prototype_millisecond$get = (_this: Temporal_PlainTime) => __Porffor_temporal_millisecond(Porffor.wasm.f64.load(_this, 0, 0));
+export const __Temporal_PlainTime_prototype_microsecond$get = (_this: Temporal_PlainTime) => __Porffor_temporal_microsecond(Porffor.wasm.f64.load(_this, 0, 0));
+export const __Temporal_PlainTime_prototype_nanosecond$get = (_this: Temporal_PlainTime) => __Porffor_temporal_nanosecond(Porffor.wasm.f64.load(_this, 0, 0));
+
+export const __Temporal_PlainTime_prototype_with = (_this: Temporal_PlainTime, temporalTimeLike: any, options: any) => {
+  if (!Porffor.object.isObject(temporalTimeLike)) throw new TypeError('Temporal fields must be an object');
+
+  fieldsRead = 0;
+  const time: number = __Porffor_temporal_withTime(Porffor.wasm.f64.load(_this, 0, 0), temporalTimeLike, __Porffor_temporal_reject(options));
+  if (fieldsRead == 0) throw new TypeError('No time fields given');
+
+  return __Porffor_temporal_plainTime(time);
+};
+
+export const __Temporal_PlainTime_prototype_add = (_this: Temporal_PlainTime, temporalDurationLike: any) => {
+  __Porffor_temporal_durationTime(__Porffor_temporal_toDuration(temporalDurationLike));
+  __Porffor_temporal_addTime(0, Porffor.wasm.f64.load(_this, 0, 0), resultMs, resultNs);
+
+  return __Porffor_temporal_plainTime(resultTime);
+};
+
+export const __Temporal_PlainTime_prototype_subtract = (_this: Temporal_PlainTime, temporalDurationLike: any) => {
+  return __Temporal_PlainTime_prototype_add(_this, __Porffor_temporal_negated(__Porffor_temporal_toDuration(temporalDurationLike)));
+};
+
+export const __Temporal_PlainTime_prototype_until = (_this: Temporal_PlainTime, other: any, options: any) => {
+  const time: number = __Porffor_temporal_toTime(other, false);
+  const largestUnit: i32 = __Porffor_temporal_largestUnit(options, 4, 4, 9);
+
+  const diff: number = time - Porffor.wasm.f64.load(_this, 0, 0);
+  return __Porffor_temporal_balance(Math.floor(diff / 1000000), __ecma262_Modulo(diff, 1000000), largestUnit);
+};
+
+export const __Temporal_PlainTime_prototype_since = (_this: Temporal_PlainTime, other: any, options: any) => {
+  return __Porffor_temporal_negated(__Temporal_PlainTime_prototype_until(_this, other, options));
+};
+
+export const __Temporal_PlainTime_prototype_equals = (_this: Temporal_PlainTime, other: any) => {
+  return Porffor.wasm.f64.load(_this, 0, 0) == __Porffor_temporal_toTime(other, false);
+};
+
+export const __Temporal_PlainTime_prototype_toString = (_this: Temporal_PlainTime) => {
+  let out: bytestring = Porffor.malloc(32);
+  __Porffor_temporal_appendTime(out, Porffor.wasm.f64.load(_this, 0, 0));
+  return out;
+};
+
+export const __Temporal_PlainTime_prototype_toJSON = (_this: Temporal_PlainTime) => {
+  return __Temporal_PlainTime_prototype_toString(_this);
+};
+
+export const __Temporal_PlainTime_prototype_toLocaleString = (_this: Temporal_PlainTime) => {
+  return __Temporal_PlainTime_prototype_toString(_this);
+};
+
+export const __Temporal_PlainTime_prototype_valueOf = (_this: Temporal_PlainTime) => {
+  throw new TypeError('Temporal.PlainTime cannot be converted to a primitive, use compare() or equals()');
+};
+
+
+// 5.1 Temporal.PlainDateTime
+// https://tc39.es/proposal-temporal/#sec-temporal-plaindatetime-objects
+
+export const __Temporal_PlainDateTime = function (isoYear: any, isoMonth: any, isoDay: any, hour: any, minute: any, second: any, millisecond: any, microsecond: any, nanosecond: any): Temporal_PlainDateTime {
+  if (!new.target) throw new TypeError("Constructor Temporal.PlainDateTime requires 'new'");
+
+  const days: number = __Porffor_temporal_regulateDate(__Porffor_temporal_toInteger(isoYear),
+    __Porffor_temporal_toInteger(isoMonth), __Porffor_temporal_toInteger(isoDay), true);
+
+  return __Porffor_temporal_plainDateTime(days, __Porffor_temporal_regulateTime(
+    hour === undefined ? 0 : __Porffor_temporal_toInteger(hour),
+    minute === undefined ? 0 : __Porffor_temporal_toInteger(minute),
+    second === undefined ? 0 : __Porffor_temporal_toInteger(second),
+    millisecond === undefined ? 0 : __Porffor_temporal_toInteger(millisecond),
+    microsecond === undefined ? 0 : __Porffor_temporal_toInteger(microsecond),
+    nanosecond === undefined ? 0 : __Porffor_temporal_toInteger(nanosecond),
+    true));
+};
+
+export const __Temporal_PlainDateTime_from = (item: any, options: any): Temporal_PlainDateTime => {
+  __Porffor_temporal_toDateTime(item, __Porffor_temporal_reject(options));
+  return __Porffor_temporal_plainDateTime(resultDays, resultTime);
+};
+
+export const __Temporal_PlainDateTime_compare = (one: any, two: any): number => {
+  __Porffor_temporal_toDateTime(one, false);
+  const days: number = resultDays, time: number = resultTime;
+  __Porffor_temporal_toDateTime(two, false);
+
+  const cmp: number = Math.sign(days - resultDays);
+  if (cmp != 0) return cmp;
+  return Math.sign(time - resultTime);
+};
+
+export const __Temporal_PlainDateTime_prototype_calendarId$get = (_this: Temporal_PlainDateTime) => 'iso8601';
+export const __Temporal_PlainDateTime_prototype_year$get = (_this: Temporal_PlainDateTime) => __Porffor_temporal_year(Porffor.wasm.f64.load(_this, 0, 0));
+export const __Temporal_PlainDateTime_prototype_month$get = (_this: Temporal_PlainDateTime) => __Porffor_temporal_month(Porffor.wasm.f64.load(_this, 0, 0));
+export const __Temporal_PlainDateTime_prototype_monthCode$get = (_this: Temporal_PlainDateTime) => __Porffor_temporal_monthCode(Porffor.wasm.f64.load(_this, 0, 0));
+export const __Temporal_PlainDateTime_prototype_day$get = (_this: Temporal_PlainDateTime) => __Porffor_temporal_day(Porffor.wasm.f64.load(_this, 0, 0));
+export const __Temporal_PlainDateTime_prototype_dayOfWeek$get = (_this: Temporal_PlainDateTime) => __Porffor_temporal_dayOfWeek(Porffor.wasm.f64.load(_this, 0, 0));
+export const __Temporal_PlainDateTime_prototype_dayOfYear$get = (_this: Temporal_PlainDateTime) => __Porffor_temporal_dayOfYear(Porffor.wasm.f64.load(_this, 0, 0));
+export const __Temporal_PlainDateTime_prototype_weekOfYear$get = (_this: Temporal_PlainDateTime) => __Porffor_temporal_week(Porffor.wasm.f64.load(_this, 0, 0));
+export const __Temporal_PlainDateTime_prototype_yearOfWeek$get = (_this: Temporal_PlainDateTime) => {
+  __Porffor_temporal_week(Porffor.wasm.f64.load(_this, 0, 0));
+  return resultYear;
+};
+export const __Temporal_PlainDateTime_prototype_daysInWeek$get = (_this: Temporal_PlainDateTime) => 7;
+export const __Temporal_PlainDateTime_prototype_daysInMonth$get = (_this: Temporal_PlainDateTime) => __Porffor_temporal_daysInMonthOf(Porffor.wasm.f64.load(_this, 0, 0));
+export const __Temporal_PlainDateTime_prototype_daysInYear$get = (_this: Temporal_PlainDateTime) => __ecma262_DaysInYear(__Porffor_temporal_year(Porffor.wasm.f64.load(_this, 0, 0)));
+export const __Temporal_PlainDateTime_prototype_monthsInYear$get = (_this: Temporal_PlainDateTime) => 12;
+export const __Temporal_PlainDateTime_prototype_inLeapYear$get = (_this: Temporal_PlainDateTime) => __ecma262_DaysInYear(__Porffor_temporal_year(Porffor.wasm.f64.load(_this, 0, 0))) == 366;
+export const __Temporal_PlainDateTime_prototype_hour$get = (_this: Temporal_PlainDateTime) => __Porffor_temporal_hour(Porffor.wasm.f64.load(_this, 0, 8));
+export const __Temporal_PlainDateTime_prototype_minute$get = (_this: Temporal_PlainDateTime) => __Porffor_temporal_minute(Porffor.wasm.f64.load(_this, 0, 8));
+export const __Temporal_PlainDateTime_prototype_second$get = (_this: Temporal_PlainDateTime) => __Porffor_temporal_second(Porffor.wasm.f64.load(_this, 0, 8));
+export const __Temporal_PlainDateTime_prototype_millisecond$get = (_this: Temporal_PlainDateTime) => __Porffor_temporal_millisecond(Porffor.wasm.f64.load(_this, 0, 8));
+export const __Temporal_PlainDateTime_prototype_microsecond$get = (_this: Temporal_PlainDateTime) => __Porffor_temporal_microsecond(Porffor.wasm.f64.load(_this, 0, 8));
+export const __Temporal_PlainDateTime_prototype_nanosecond$get = (_this: Temporal_PlainDateTime) => __Porffor_temporal_nanosecond(Porffor.wasm.f64.load(_this, 0, 8));
+
+export const __Temporal_PlainDateTime_prototype_with = (_this: Temporal_PlainDateTime, temporalDateTimeLike: any, options: any) => {
+  if (!Porffor.object.isObject(temporalDateTimeLike)) throw new TypeError('Temporal fields must be an object');
+  const reject: boolean = __Porffor_temporal_reject(options);
+
+  fieldsRead = 0;
+  const days: number = __Porffor_temporal_withDate(Porffor.wasm.f64.load(_this, 0, 0), temporalDateTimeLike, reject);
+  const time: number = __Porffor_temporal_withTime(Porffor.wasm.f64.load(_this, 0, 8), temporalDateTimeLike, reject);
+  if (fieldsRead == 0) throw new TypeError('No date or time fields given');
+
+  return __Porffor_temporal_plainDateTime(days, time);
+};
+
+export const __Temporal_PlainDateTime_prototype_withPlainTime = (_this: Temporal_PlainDateTime, plainTimeLike: any) => {
+  let time: number = 0;
+  if (plainTimeLike !== undefined) time = __Porffor_temporal_toTime(plainTimeLike, false);
+
+  return __Porffor_temporal_plainDateTime(Porffor.wasm.f64.load(_this, 0, 0), time);
+};
+
+export const __Temporal_PlainDateTime_prototype_add = (_this: Temporal_PlainDateTime, temporalDurationLike: any, options: any) => {
+  const duration: Temporal_Duration = __Porffor_temporal_toDuration(temporalDurationLike);
+  const reject: boolean = __Porffor_temporal_reject(options);
+
+  // add the time units (and days) first, then the date units
+  __Porffor_temporal_durationTime(duration);
+  __Porffor_temporal_addTime(0, Porffor.wasm.f64.load(_this, 0, 8), resultMs, resultNs);
+  const time: number = resultTime;
+
+  const days: number = __Porffor_temporal_addDate(Porffor.wasm.f64.load(_this, 0, 0),
+    Porffor.wasm.f64.load(duration, 0, 0), Porffor.wasm.f64.load(duration, 0, 8), Porffor.wasm.f64.load(duration, 0, 16), resultDays, reject);
+
+  return __Porffor_temporal_plainDateTime(days, time);
+};
+
+export const __Temporal_PlainDateTime_prototype_subtract = (_this: Temporal_PlainDateTime, temporalDurationLike: any, options: any) => {
+  return __Temporal_PlainDateTime_prototype_add(_this, __Porffor_temporal_negated(__Porffor_temporal_toDuration(temporalDurationLike)), options);
+};
+
+export const __Temporal_PlainDateTime_prototype_until = (_this: Temporal_PlainDateTime, other: any, options: any) => {
+  __Porffor_temporal_toDateTime(other, false);
+  const largestUnit: i32 = __Porffor_temporal_largestUnit(options, 3, 0, 9);
+
+  const one: number = Porffor.wasm.f64.load(_this, 0, 0);
+  let two: number = resultDays;
+  let time: number = resultTime - Porffor.wasm.f64.load(_this, 0, 8);
+
+  // the time is moved into the date if its sign is different
+  const timeSign: number = Math.sign(time);
+  if (Porffor.fastAnd(timeSign != 0, timeSign == -Math.sign(two - one))) {
+    two += timeSign;
+    time -= timeSign * 86400000000000;
+  }
+
+  if (largestUnit > 3) {
+    const ms: number = (two - one) * 86400000 + Math.floor(time / 1000000);
+    return __Porffor_temporal_balance(ms, __ecma262_Modulo(time, 1000000), largestUnit);
+  }
+
+  const date: Temporal_Duration = __Porffor_temporal_dateUntil(one, two, largestUnit);
+  const clock: Temporal_Duration = __Porffor_temporal_balance(Math.floor(time / 1000000), __ecma262_Modulo(time, 1000000), 4);
+  return __Porffor_temporal_duration(
+    Porffor.wasm.f64.load(date, 0, 0), Porffor.wasm.f64.load(date, 0, 8), Porffor.wasm.f64.load(date, 0, 16), Porffor.wasm.f64.load(date, 0, 24),
+    Porffor.wasm.f64.load(clock, 0, 32), Porffor.wasm.f64.load(clock, 0, 40), Porffor.wasm.f64.load(clock, 0, 48),
+    Porffor.wasm.f64.load(clock, 0, 56), Porffor.wasm.f64.load(clock, 0, 64), Porffor.wasm.f64.load(clock, 0, 72));
+};
+
+export const __Temporal_PlainDateTime_prototype_since = (_this: Temporal_PlainDateTime, other: any, options: any) => {
+  return __Porffor_temporal_negated(__Temporal_PlainDateTime_prototype_until(_this, other, options));
+};
+
+export const __Temporal_PlainDateTime_prototype_equals = (_this: Temporal_PlainDateTime, other: any) => {
+  return __Temporal_PlainDateTime_compare(_this, other) == 0;
+};
+
+export const __Temporal_PlainDateTime_prototype_toPlainDate = (_this: Temporal_PlainDateTime) => {
+  return __Porffor_temporal_plainDate(Porffor.wasm.f64.load(_this, 0, 0));
+};
+
+export const __Temporal_PlainDateTime_prototype_toPlainTime = (_this: Temporal_PlainDateTime) => {
+  return __Porffor_temporal_plainTime(Porffor.wasm.f64.load(_this, 0, 8));
+};
+
+export const __Temporal_PlainDateTime_prototype_toString = (_this: Temporal_PlainDateTime) => {
+  let out: bytestring = Porffor.malloc(48);
+  __Porffor_temporal_appendDate(out, Porffor.wasm.f64.load(_this, 0, 0));
+  __Porffor_bytestring_appendChar(out, 84); // T
+  __Porffor_temporal_appendTime(out, Porffor.wasm.f64.load(_this, 0, 8));
+  return out;
+};
+
+export const __Temporal_PlainDateTime_prototype_toJSON = (_this: Temporal_PlainDateTime) => {
+  return __Temporal_PlainDateTime_prototype_toString(_this);
+};
+
+export const __Temporal_PlainDateTime_prototype_toLocaleString = (_this: Temporal_PlainDateTime) => {
+  return __Temporal_PlainDateTime_prototype_toString(_this);
+};
+
+export const __Temporal_PlainDateTime_prototype_valueOf = (_this: Temporal_PlainDateTime) => {
+  throw new TypeError('Temporal.PlainDateTime cannot be converted to a primitive, use compare() or equals()');
+};
+
+
+// 7.1 Temporal.Duration
+// https://tc39.es/proposal-temporal/#sec-temporal-duration-objects
+
+export const __Temporal_Duration = function (years: any, months: any, weeks: any, days: any, hours: any, minutes: any, seconds: any, milliseconds: any, microseconds: any, nanoseconds: any): Temporal_Duration {
+  if (!new.target) throw new TypeError("Constructor Temporal.Duration requires 'new'");
+
+  return __Porffor_temporal_duration(
+    __Porffor_temporal_toIntegral(years), __Porffor_temporal_toIntegral(months), __Porffor_temporal_toIntegral(weeks),
+    __Porffor_temporal_toIntegral(days), __Porffor_temporal_toIntegral(hours), __Porffor_temporal_toIntegral(minutes),
+    __Porffor_temporal_toIntegral(seconds), __Porffor_temporal_toIntegral(milliseconds), __Porffor_temporal_toIntegral(microseconds),
+    __Porffor_temporal_toIntegral(nanoseconds));
+};
+
+export const __Temporal_Duration_from = (item: any): Temporal_Duration => {
+  if (Porffor.type(item) == Porffor.TYPES.temporal_duration) return __Porffor_temporal_copyDuration(item);
+  return __Porffor_temporal_toDuration(item);
+};
+
+export const __Temporal_Duration_compare = (one: any, two: any): number => {
+  const a: Temporal_Duration = __Porffor_temporal_toDuration(one);
+  const b: Temporal_Duration = __Porffor_temporal_toDuration(two);
+  if (Porffor.fastOr(__Porffor_temporal_hasCalendarUnits(a), __Porffor_temporal_hasCalendarUnits(b)))
+    throw new RangeError('Comparing durations with years, months or weeks is not supported yet');
+
+  __Porffor_temporal_durationTime(a);
+  const ms: number = resultMs, ns: number = resultNs;
+  __Porffor_temporal_durationTime(b);
+
+  const cmp: number = Math.sign(ms - resultMs);
+  if (cmp != 0) return cmp;
+  return Math.sign(ns - resultNs);
+};
+
+export const __Temporal_Duration_prototype_years$get = (_this: Temporal_Duration) => Porffor.wasm.f64.load(_this, 0, 0);
+export const __Temporal_Duration_prototype_months$get = (_this: Temporal_Duration) => Porffor.wasm.f64.load(_this, 0, 8);
+export const __Temporal_Duration_prototype_weeks$get = (_this: Temporal_Duration) => Porffor.wasm.f64.load(_this, 0, 16);
+export const __Temporal_Duration_prototype_days$get = (_this: Temporal_Duration) => Porffor.wasm.f64.load(_this, 0, 24);
+export const __Temporal_Duration_prototype_hours$get = (_this: Temporal_Duration) => Porffor.wasm.f64.load(_this, 0, 32);
+export const __Temporal_Duration_prototype_minutes$get = (_this: Temporal_Duration) => Porffor.wasm.f64.load(_this, 0, 40);
+export const __Temporal_Duration_prototype_seconds$get = (_this: Temporal_Duration) => Porffor.wasm.f64.load(_this, 0, 48);
+export const __Temporal_Duration_prototype_milliseconds$get = (_this: Temporal_Duration) => Porffor.wasm.f64.load(_this, 0, 56);
+export const __Temporal_Duration_prototype_microseconds$get = (_this: Temporal_Duration) => Porffor.wasm.f64.load(_this, 0, 64);
+export const __Temporal_Duration_prototype_nanoseconds$get = (_this: Temporal_Duration) => Porffor.wasm.f64.load(_this, 0, 72);
+
+export const __Temporal_Duration_prototype_sign$get = (_this: Temporal_Duration) => {
+  let ptr: i32 = Porffor.wasm`local.get ${_this}`;
+  const end: i32 = ptr + 80;
+  for (; ptr < end; ptr += 8) {
+    const x: number = Porffor.wasm.f64.load(ptr, 0, 0);
+    if (x != 0) return Math.sign(x);
+  }
+
+  return 0;
+};
+
+export const __Temporal_Duration_prototype_blank$get = (_this: Temporal_Duration) => {
+  return __Temporal_Duration_prototype_sign$get(_this) == 0;
+};
+
+export const __Temporal_Duration_prototype_with = (_this: Temporal_Duration, temporalDurationLike: any) => {
+  if (!Porffor.object.isObject(temporalDurationLike)) throw new TypeError('Temporal fields must be an object');
+
+  fieldsRead = 0;
+  const out: Temporal_Duration = __Porffor_temporal_duration(
+    __Porffor_temporal_durationField(temporalDurationLike, 'years', Porffor.wasm.f64.load(_this, 0, 0)),
+    __Porffor_temporal_durationField(temporalDurationLike, 'months', Porffor.wasm.f64.load(_this, 0, 8)),
+    __Porffor_temporal_durationField(temporalDurationLike, 'weeks', Porffor.wasm.f64.load(_this, 0, 16)),
+    __Porffor_temporal_durationField(temporalDurationLike, 'days', Porffor.wasm.f64.load(_this, 0, 24)),
+    __Porffor_temporal_durationField(temporalDurationLike, 'hours', Porffor.wasm.f64.load(_this, 0, 32)),
+    __Porffor_temporal_durationField(temporalDurationLike, 'minutes', Porffor.wasm.f64.load(_this, 0, 40)),
+    __Porffor_temporal_durationField(temporalDurationLike, 'seconds', Porffor.wasm.f64.load(_this, 0, 48)),
+    __Porffor_temporal_durationField(temporalDurationLike, 'milliseconds', Porffor.wasm.f64.load(_this, 0, 56)),
+    __Porffor_temporal_durationField(temporalDurationLike, 'microseconds', Porffor.wasm.f64.load(_this, 0, 64)),
+    __Porffor_temporal_durationField(temporalDurationLike, 'nanoseconds', Porffor.wasm.f64.load(_this, 0, 72)));
+  if (fieldsRead == 0) throw new TypeError('No duration fields given');
+
+  return out;
+};
+
+export const __Temporal_Duration_prototype_negated = (_this: Temporal_Duration) => {
+  return __Porffor_temporal_negated(_this);
+};
+
+export const __Temporal_Duration_prototype_abs = (_this: Temporal_Duration) => {
+  if (__Temporal_Duration_prototype_sign$get(_this) < 0) return __Porffor_temporal_negated(_this);
+  return __Porffor_temporal_copyDuration(_this);
+};
+
+// largest unit with a non-zero value, or nanosecond
+export const __Porffor_temporal_largestUnitOf = (duration: Temporal_Duration): i32 => {
+  let ptr: i32 = Porffor.wasm`local.get ${duration}`;
+  for (let i: i32 = 0; i < 9; i++) {
+    if (Porffor.wasm.f64.load(ptr, 0, 0) != 0) return i;
+    ptr += 8;
+  }
+
+  return 9;
+};
+
+export const __Temporal_Duration_prototype_add = (_this: Temporal_Duration, other: any) => {
+  const duration: Temporal_Duration = __Porffor_temporal_toDuration(other);
+  if (Porffor.fastOr(__Porffor_temporal_hasCalendarUnits(_this), __Porffor_temporal_hasCalendarUnits(duration)))
+    throw new RangeError('Adding durations with years, months or weeks is not supported yet');
+
+  let largestUnit: i32 = __Porffor_temporal_largestUnitOf(_this);
+  const otherUnit: i32 = __Porffor_temporal_largestUnitOf(duration);
+  if (otherUnit < largestUnit) largestUnit = otherUnit;
+
+  __Porffor_temporal_durationTime(_this);
+  const ms: number = resultMs, ns: number = resultNs;
+  __Porffor_temporal_durationTime(duration);
+
+  return __Porffor_temporal_balance(ms + resultMs + Math.floor((ns + resultNs) / 1000000), (ns + resultNs) % 1000000, largestUnit);
+};
+
+export const __Temporal_Duration_prototype_subtract = (_this: Temporal_Duration, other: any) => {
+  return __Temporal_Duration_prototype_add(_this, __Porffor_temporal_negated(__Porffor_temporal_toDuration(other)));
+};
+
+export const __Temporal_Duration_prototype_total = (_this: Temporal_Duration, totalOf: any) => {
+  let unit: any = totalOf;
+  if (Porffor.object.isObject(totalOf)) unit = totalOf.unit;
+  if (unit === undefined) throw new RangeError('unit is required');
+
+  const index: i32 = __Porffor_temporal_unit(unit);
+  if (Porffor.fastOr(index < 3, __Porffor_temporal_hasCalendarUnits(_this)))
+    throw new RangeError('Totals in or of years, months or weeks are not supported yet');
+
+  __Porffor_temporal_durationTime(_this);
+
+  if (index == 7) return resultMs + resultNs / 1000000;
+  if (index == 8) return resultMs * 1000 + resultNs / 1000;
+  if (index == 9) return resultMs * 1000000 + resultNs;
+
+  let scale: number = 1000;
+  if (index == 3) scale = 86400000;
+    else if (index == 4) scale = 3600000;
+    else if (index == 5) scale = 60000;
+
+  // whole units first to keep as much precision as possible
+  const whole: number = Math.floor(resultMs / scale);
+  return whole + (resultMs - whole * scale + resultNs / 1000000) / scale;
+};
+
+export const __Temporal_Duration_prototype_toString = (_this: Temporal_Duration) => {
+  const sign: number = __Temporal_Duration_prototype_sign$get(_this);
+
+  let out: bytestring = Porffor.malloc(128);
+  if (sign < 0) __Porffor_bytestring_appendChar(out, 45); // -
+  __Porffor_bytestring_appendChar(out, 80); // P
+
+  const years: number = Math.abs(Porffor.wasm.f64.load(_this, 0, 0));
+  const months: number = Math.abs(Porffor.wasm.f64.load(_this, 0, 8));
+  const weeks: number = Math.abs(Porffor.wasm.f64.load(_this, 0, 16));
+  const days: number = Math.abs(Porffor.wasm.f64.load(_this, 0, 24));
+  const hours: number = Math.abs(Porffor.wasm.f64.load(_this, 0, 32));
+  const minutes: number = Math.abs(Porffor.wasm.f64.load(_this, 0, 40));
+
+  // sub-second units are balanced into seconds
+  const subseconds: number = Math.abs(Porffor.wasm.f64.load(_this, 0, 56)) * 1000000
+    + Math.abs(Porffor.wasm.f64.load(_this, 0, 64)) * 1000
+    + Math.abs(Porffor.wasm.f64.load(_this, 0, 72));
+  const seconds: number = Math.abs(Porffor.wasm.f64.load(_this, 0, 48)) + Math.floor(subseconds / 1000000000);
+  const fraction: number = subseconds % 1000000000;
+
+  if (years != 0) {
+    __Porffor_bytestring_appendPadNum(out, years, 0);
+    __Porffor_bytestring_appendChar(out, 89); // Y
+  }
+
+  if (months != 0) {
+    __Porffor_bytestring_appendPadNum(out, months, 0);
+    __Porffor_bytestring_appendChar(out, 77); // M
+  }
+
+  if (weeks != 0) {
+    __Porffor_bytestring_appendPadNum(out, weeks, 0);
+    __Porffor_bytestring_appendChar(out, 87); // W
+  }
+
+  if (days != 0) {
+    __Porffor_bytestring_appendPadNum(out, days, 0);
+    __Porffor_bytestring_appendChar(out, 68); // D
+  }
+
+  const time: boolean = Porffor.fastOr(hours != 0, minutes != 0, seconds != 0, fraction != 0);
+  if (Porffor.fastOr(time, sign == 0)) __Porffor_bytestring_appendChar(out, 84); // T
+
+  if (hours != 0) {
+    __Porffor_bytestring_appendPadNum(out, hours, 0);
+    __Porffor_bytestring_appendChar(out, 72); // H
+  }
+
+  if (minutes != 0) {
+    __Porffor_bytestring_appendPadNum(out, minutes, 0);
+    __Porffor_bytestring_appendChar(out, 77); // M
+  }
+
+  if (Porffor.fastOr(seconds != 0, fraction != 0, sign == 0)) {
+    __Porffor_bytestring_appendPadNum(out, seconds, 0);
+    __Porffor_temporal_appendFraction(out, fraction);
+    __Porffor_bytestring_appendChar(out, 83); // S
+  }
+
+  return out;
+};
+
+export const __Temporal_Duration_prototype_toJSON = (_this: Temporal_Duration) => {
+  return __Temporal_Duration_prototype_toString(_this);
+};
+
+export const __Temporal_Duration_prototype_toLocaleString = (_this: Temporal_Duration) => {
+  return __Temporal_Duration_prototype_toString(_this);
+};
+
+export const __Temporal_Duration_prototype_valueOf = (_this: Temporal_Duration) => {
+  throw new TypeError('Temporal.Duration cannot be converted to a primitive, use compare()');
+};
+
+
+// 2.1 Temporal.Now
+// https://tc39.es/proposal-temporal/#sec-temporal-now-object
+export const __Temporal_Now_timeZoneId = (): bytestring => 'UTC';
+
+export const __Temporal_Now_instant = (): Temporal_Instant => {
+  const t: number = performance.timeOrigin + performance.now();
+  const ms: number = Math.floor(t);
+  return __Porffor_temporal_instant(ms, Math.floor((t - ms) * 1000000));
+};
+
+// current date and time in a time zone, sets resultDays and resultTime
+export const __Porffor_temporal_now = (timeZone: any): void => {
+  const offset: number = __Porffor_temporal_offset(timeZone);
+  const now: Temporal_Instant = __Temporal_Now_instant();
+  __Porffor_temporal_addTime(0, 0, Porffor.wasm.f64.load(now, 0, 0) + Math.floor(offset / 1000000),
+    Porffor.wasm.f64.load(now, 0, 8) + __ecma262_Modulo(offset, 1000000));
+};
+
+export const __Temporal_Now_plainDateTimeISO = (timeZone: any): Temporal_PlainDateTime => {
+  __Porffor_temporal_now(timeZone);
+  return __Porffor_temporal_plainDateTime(resultDays, resultTime);
+};
+
+export const __Temporal_Now_plainDateISO = (timeZone: any): Temporal_PlainDate => {
+  __Porffor_temporal_now(timeZone);
+  return __Porffor_temporal_plainDate(resultDays);
+};
+
+export const __Temporal_Now_plainTimeISO = (timeZone: any): Temporal_PlainTime => {
+  __Porffor_temporal_now(timeZone);
+  return __Porffor_temporal_plainTime(resultTime);
+};
@@ -0,0 +1,113 @@
+import type {} from './porffor.d.ts';
+
+// timers are [ id, callback, time due, interval (-1 for timeouts), args, bound promise ]
+const timers: any[] = [];
+let timerId: number = 0;
+
+export const __Porffor_timers_add = (callback: any, delay: any, args: any[], repeat: boolean): number => {
+  if (Porffor.type(callback) != Porffor.TYPES.function) throw new TypeError('Callback must be a function');
+
+  // like node, delays outside of 1..2^31-1 become 1
+  let ms: number = ecma262.ToNumber(delay);
+  if (Porffor.fastOr(!(ms >= 1), ms > 2147483647)) ms = 1;
+
+  const timer: any[] = Porffor.malloc(64);
+  timer[0] = ++timerId;
+  timer[1] = callback;
+  timer[2] = performance.now() + ms;
+  timer[3] = repeat ? ms : -1;
+  timer[4] = args;
+
+  // hack: promise resolve functions act on the latest promise made (see promise.ts)
+  //    ^ so bind it now for new Promise(r => setTimeout(r, ms))
+  if (Porffor.fastOr(callback == __Porffor_promise_resolveActive, callback == __Porffor_promise_rejectActive))
+    timer[5] = __Porffor_promise_active();
+
+  Porffor.array.fastPush(timers, timer);
+  return timerId;
+};
+
+export const __Porffor_timers_remove = (id: any): void => {
+  for (let i: i32 = 0; i < timers.length; i++) {
+    if (timers[i][0] == id) {
+      Porffor.array.fastRemove(timers, i, timers.length);
+      return;
+    }
+  }
+};
+
+export const setTimeout = (callback: any, delay: any, ...args: any[]): number => {
+  return __Porffor_timers_add(callback, delay, args, false);
+};
+
+export const setInterval = (callback: any, delay: any, ...args: any[]): number => {
+  return __Porffor_timers_add(callback, delay, args, true);
+};
+
+export const clearTimeout = (id: any): void => {
+  __Porffor_timers_remove(id);
+};
+
+export const clearInterval = (id: any): void => {
+  __Porffor_timers_remove(id);
+};
+
+export const queueMicrotask = (callback: any): void => {
+  if (Porffor.type(callback) != Porffor.TYPES.function) throw new TypeError('Callback must be a function');
+
+  __Porffor_promise_runNext(callback);
+};
+
+// run the next timer due, sleeping until it is. returns false if there are none
+export const __Porffor_timers_runNext = (): boolean => {
+  if (timers.length == 0) return false;
+
+  // ties run in the order they were added
+  let next: i32 = 0;
+  for (let i: i32 = 1; i < timers.length; i++) {
+    if (timers[i][2] < timers[next][2]) next = i;
+  }
+
+  const timer: any[] = timers[next];
+  // sleep can wake slightly early so check again
+  let wait: number = timer[2] - performance.now();
+  while (wait > 0) {
+    sleep(wait);
+    wait = timer[2] - performance.now();
+  }
+
+  // reschedule intervals before running so they can clear themselves
+  Porffor.array.fastRemove(timers, next, timers.length);
+  if (timer[3] >= 0) {
+    timer[2] = performance.now() + timer[3];
+    Porffor.array.fastPush(timers, timer);
+  }
+
+  const promise: any = timer[5];
+  if (promise != null) {
+    if (timer[1] == __Porffor_promise_resolveActive) __Porffor_promise_resolve(timer[4][0], promise);
+      else __Porffor_promise_reject(timer[4][0], promise);
+  } else {
+    Porffor.call(timer[1], timer[4], undefined, undefined);
+  }
+
+  return true;
+};
+
+// event loop ran at the end of main: run promise jobs then the next timer,
+// until there are neither left
+export const __Porffor_timers_runLoop = (): void => {
+  while (true) {
+    __Porffor_promise_runJobs();
+    if (!__Porffor_timers_runNext()) break;
+  }
+};
+
+// as await cannot suspend, run the event loop until the promise settles
+export const __Porffor_timers_runUntil = (promise: any[]): void => {
+  while (true) {
+    __Porffor_promise_runJobs();
+    if (promise[1] != 0) break;
+    if (!__Porffor_timers_runNext()) break;
+  }
+};
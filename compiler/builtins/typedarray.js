@@ -9,7 +9,7 @@ export default async () => {
   // bufferPtr (i32) - buffer + byteOffset
   // byteOffset (i32) - only used for getter
 
-  for (const x of [ 'Uint8', 'Int8', 'Uint8Clamped', 'Uint16', 'Int16', 'Uint32', 'Int32', 'Float32', 'Float64', 'BigInt64', 'BigUint64' ]) {
+  for (const x of [ 'Uint8', 'Int8', 'Uint8Clamped', 'Uint16', 'Int16', 'Uint32', 'Int32', 'Float16', 'Float32', 'Float64', 'BigInt64', 'BigUint64' ]) {
     const name = x + 'Array';
     out += `export const ${name} = function (arg: any, byteOffset: any, length: any): ${name} {
   if (!new.target) throw new TypeError("Constructor ${name} requires 'new'");
@@ -83,7 +83,7 @@ export const __${name}_from = (arg: any, mapFn: any): ${name} => {
   )) {
     let i: i32 = 0;
     if (Porffor.type(mapFn) != Porffor.TYPES.undefined) {
-      if (Porffor.type(mapFn) != Porffor.TYPES.function) throw new TypeError('Called Array.from with a non-function mapFn');
+      if (!ecma262.IsCallable(mapFn)) throw new TypeError('Called Array.from with a non-function mapFn');
 
       for (const x of arg) {
         arr[i] = mapFn(x, i);
@@ -0,0 +1,409 @@
+// @porf --valtype=i32
+import type {} from './porffor.d.ts';
+
+// normalization and full case mapping, using the tables in unicode.js (see generate_unicode.js)
+// code points in tables are 2 u16s (high, low)
+
+export const __Porffor_unicode_read = (table: i32, index: i32): i32 =>
+  (Porffor.wasm.i32.load16_u(table + index * 2, 0, 4) << 16) | Porffor.wasm.i32.load16_u(table + index * 2, 0, 6);
+
+// index of the last entry (of width u16s) starting at or before cp, or -1
+export const __Porffor_unicode_search = (table: i32, width: i32, cp: i32): i32 => {
+  let lo: i32 = 0;
+  let hi: i32 = Porffor.wasm.i32.load(table, 0, 0) / width;
+  while (lo < hi) {
+    const mid: i32 = (lo + hi) >> 1;
+    if (__Porffor_unicode_read(table, mid * width) <= cp) lo = mid + 1;
+      else hi = mid;
+  }
+
+  return lo - 1;
+};
+
+// ranges of start, end
+export const __Porffor_unicode_inRanges = (table: i32, cp: i32): boolean => {
+  const i: i32 = __Porffor_unicode_search(table, 4, cp);
+  if (i == -1) return false;
+
+  return cp <= __Porffor_unicode_read(table, i * 4 + 2);
+};
+
+// rank of the combining class, 0 for starters
+export const __Porffor_unicode_combiningClass = (cp: i32): i32 => {
+  if (cp < 0x300) return 0;
+
+  const table: i32 = __Porffor_unicode_combiningClasses();
+  const i: i32 = __Porffor_unicode_search(table, 5, cp);
+  if (i == -1) return 0;
+  if (cp > __Porffor_unicode_read(table, i * 5 + 2)) return 0;
+
+  return Porffor.wasm.i32.load16_u(table + i * 10, 0, 12);
+};
+
+// find a code point in a table of code point, offset, length
+export const __Porffor_unicode_mapping = (table: i32, cp: i32): i32 => {
+  const i: i32 = __Porffor_unicode_search(table, 4, cp);
+  if (i == -1) return -1;
+  if (__Porffor_unicode_read(table, i * 4) != cp) return -1;
+
+  return i;
+};
+
+// copy a mapping's code points to out (if not 0), returns how many there are
+export const __Porffor_unicode_copyMapping = (table: i32, data: i32, i: i32, out: i32): i32 => {
+  const offset: i32 = Porffor.wasm.i32.load16_u(table + i * 8, 0, 8);
+  const len: i32 = Porffor.wasm.i32.load16_u(table + i * 8, 0, 10);
+
+  let n: i32 = 0;
+  for (let j: i32 = 0; j < len; j++) {
+    let c: i32 = Porffor.wasm.i32.load16_u(data + (offset + j) * 2, 0, 4);
+    if (Porffor.fastAnd(c >= 0xD800, c <= 0xDBFF, j + 1 < len)) {
+      j++;
+      c = 0x10000 + ((c - 0xD800) << 10) + (Porffor.wasm.i32.load16_u(data + (offset + j) * 2, 0, 4) - 0xDC00);
+    }
+
+    if (out) Porffor.wasm.i32.store(out + n * 4, c, 0, 0);
+    n++;
+  }
+
+  return n;
+};
+
+// full decomposition of a code point written to out (if not 0), returns its length
+export const __Porffor_unicode_decompose = (cp: i32, compat: boolean, out: i32): i32 => {
+  if (cp < 0xA0) {
+    if (out) Porffor.wasm.i32.store(out, cp, 0, 0);
+    return 1;
+  }
+
+  // hangul syllables
+  const s: i32 = cp - 0xAC00;
+  if (Porffor.fastAnd(s >= 0, s < 11172)) {
+    const t: i32 = s % 28;
+    if (out) {
+      Porffor.wasm.i32.store(out, 0x1100 + s / 588, 0, 0);
+      Porffor.wasm.i32.store(out, 0x1161 + (s % 588) / 28, 0, 4);
+      if (t) Porffor.wasm.i32.store(out, 0x11A7 + t, 0, 8);
+    }
+
+    if (t) return 3;
+    return 2;
+  }
+
+  if (compat) {
+    const table: i32 = __Porffor_unicode_compatDecompositions();
+    const i: i32 = __Porffor_unicode_mapping(table, cp);
+    if (i != -1) return __Porffor_unicode_copyMapping(table, __Porffor_unicode_compatDecompositionData(), i, out);
+  }
+
+  const table: i32 = __Porffor_unicode_decompositions();
+  const i: i32 = __Porffor_unicode_mapping(table, cp);
+  if (i != -1) return __Porffor_unicode_copyMapping(table, __Porffor_unicode_decompositionData(), i, out);
+
+  if (out) Porffor.wasm.i32.store(out, cp, 0, 0);
+  return 1;
+};
+
+// primary composite of two code points, or -1
+export const __Porffor_unicode_compose = (first: i32, second: i32): i32 => {
+  // hangul LV and LVT
+  const l: i32 = first - 0x1100, v: i32 = second - 0x1161;
+  if (Porffor.fastAnd(l >= 0, l < 19, v >= 0, v < 21)) return 0xAC00 + (l * 21 + v) * 28;
+
+  const s: i32 = first - 0xAC00, t: i32 = second - 0x11A7;
+  if (Porffor.fastAnd(s >= 0, s < 11172, s % 28 == 0, t > 0, t < 28)) return first + t;
+
+  if (second < 0x300) return -1;
+
+  // entries of first, second, composite sorted by first then second
+  const table: i32 = __Porffor_unicode_compositions();
+  let lo: i32 = 0;
+  let hi: i32 = Porffor.wasm.i32.load(table, 0, 0) / 6;
+  while (lo < hi) {
+    const mid: i32 = (lo + hi) >> 1;
+    const x: i32 = __Porffor_unicode_read(table, mid * 6);
+    if (x == first) {
+      const y: i32 = __Porffor_unicode_read(table, mid * 6 + 2);
+      if (y == second) return __Porffor_unicode_read(table, mid * 6 + 4);
+      if (y < second) lo = mid + 1;
+        else hi = mid;
+    } else if (x < first) lo = mid + 1;
+      else hi = mid;
+  }
+
+  return -1;
+};
+
+// write a code point as utf-16 to a string's data, returns how many units
+export const __Porffor_unicode_writeCodePoint = (ptr: i32, cp: i32): i32 => {
+  if (cp > 0xFFFF) {
+    Porffor.wasm.i32.store16(ptr, 0xD800 + ((cp - 0x10000) >> 10), 0, 4);
+    Porffor.wasm.i32.store16(ptr, 0xDC00 + ((cp - 0x10000) & 0x3FF), 0, 6);
+    return 2;
+  }
+
+  Porffor.wasm.i32.store16(ptr, cp, 0, 4);
+  return 1;
+};
+
+// https://unicode.org/reports/tr15/
+// form is 0 for NFC, 1 for NFD, 2 for NFKC and 3 for NFKD
+export const __Porffor_unicode_normalize = (str: string, form: i32): string => {
+  const compat: boolean = form >= 2;
+  const compose: boolean = form % 2 == 0;
+
+  const ptr: i32 = Porffor.wasm`local.get ${str}`;
+  const len: i32 = str.length;
+
+  // decompose into code points, counting first
+  let count: i32 = 0;
+  for (let i: i32 = 0; i < len; i++) {
+    let c: i32 = Porffor.wasm.i32.load16_u(ptr + i * 2, 0, 4);
+    if (Porffor.fastAnd(c >= 0xD800, c <= 0xDBFF, i + 1 < len)) {
+      const c2: i32 = Porffor.wasm.i32.load16_u(ptr + i * 2 + 2, 0, 4);
+      if (Porffor.fastAnd(c2 >= 0xDC00, c2 <= 0xDFFF)) {
+        c = 0x10000 + ((c - 0xD800) << 10) + (c2 - 0xDC00);
+        i++;
+      }
+    }
+
+    count += __Porffor_unicode_decompose(c, compat, 0);
+  }
+
+  const buf: i32 = Porffor.malloc(count * 4);
+  let n: i32 = 0;
+  for (let i: i32 = 0; i < len; i++) {
+    let c: i32 = Porffor.wasm.i32.load16_u(ptr + i * 2, 0, 4);
+    if (Porffor.fastAnd(c >= 0xD800, c <= 0xDBFF, i + 1 < len)) {
+      const c2: i32 = Porffor.wasm.i32.load16_u(ptr + i * 2 + 2, 0, 4);
+      if (Porffor.fastAnd(c2 >= 0xDC00, c2 <= 0xDFFF)) {
+        c = 0x10000 + ((c - 0xD800) << 10) + (c2 - 0xDC00);
+        i++;
+      }
+    }
+
+    n += __Porffor_unicode_decompose(c, compat, buf + n * 4);
+  }
+
+  // canonical ordering, stable sort of marks by combining class
+  for (let i: i32 = 1; i < count; i++) {
+    const c: i32 = Porffor.wasm.i32.load(buf + i * 4, 0, 0);
+    const cc: i32 = __Porffor_unicode_combiningClass(c);
+    if (cc == 0) continue;
+
+    let j: i32 = i;
+    while (j > 0) {
+      const prev: i32 = Porffor.wasm.i32.load(buf + (j - 1) * 4, 0, 0);
+      if (__Porffor_unicode_combiningClass(prev) <= cc) break;
+
+      Porffor.wasm.i32.store(buf + j * 4, prev, 0, 0);
+      j--;
+    }
+
+    Porffor.wasm.i32.store(buf + j * 4, c, 0, 0);
+  }
+
+  // canonical composition, in place
+  if (Porffor.fastAnd(compose, count > 0)) {
+    let starter: i32 = 0;
+    let lastClass: i32 = __Porffor_unicode_combiningClass(Porffor.wasm.i32.load(buf, 0, 0));
+    if (lastClass != 0) lastClass = 256; // no starter to compose with
+
+    let out: i32 = 1;
+    for (let i: i32 = 1; i < count; i++) {
+      const c: i32 = Porffor.wasm.i32.load(buf + i * 4, 0, 0);
+      const cc: i32 = __Porffor_unicode_combiningClass(c);
+
+      // not blocked if nothing is between or all between have a lower class
+      if (Porffor.fastOr(lastClass == 0, lastClass < cc)) {
+        const composite: i32 = __Porffor_unicode_compose(Porffor.wasm.i32.load(buf + starter * 4, 0, 0), c);
+        if (composite != -1) {
+          Porffor.wasm.i32.store(buf + starter * 4, composite, 0, 0);
+          continue;
+        }
+      }
+
+      if (cc == 0) starter = out;
+      lastClass = cc;
+      Porffor.wasm.i32.store(buf + out * 4, c, 0, 0);
+      out++;
+    }
+
+    count = out;
+  }
+
+  // encode back to utf-16
+  let outLen: i32 = count;
+  for (let i: i32 = 0; i < count; i++) {
+    if (Porffor.wasm.i32.load(buf + i * 4, 0, 0) > 0xFFFF) outLen++;
+  }
+
+  const out: string = Porffor.malloc(4 + outLen * 2);
+  out.length = outLen;
+
+  const outPtr: i32 = Porffor.wasm`local.get ${out}`;
+  let j: i32 = 0;
+  for (let i: i32 = 0; i < count; i++) {
+    j += __Porffor_unicode_writeCodePoint(outPtr + j * 2, Porffor.wasm.i32.load(buf + i * 4, 0, 0));
+  }
+
+  return out;
+};
+
+export const __Porffor_unicode_normalizationForm = (form: any): i32 => {
+  if (form === undefined) return 0;
+
+  form = ecma262.ToString(form);
+  if (form == 'NFC') return 0;
+  if (form == 'NFD') return 1;
+  if (form == 'NFKC') return 2;
+  if (form == 'NFKD') return 3;
+
+  throw new RangeError('The normalization form should be one of NFC, NFD, NFKC, NFKD.');
+};
+
+// code point before/after a utf-16 index in a string, with its length in the high bits
+export const __Porffor_unicode_codePointBefore = (ptr: i32, i: i32): i32 => {
+  const c: i32 = Porffor.wasm.i32.load16_u(ptr + i * 2, 0, 2);
+  if (Porffor.fastAnd(c >= 0xDC00, c <= 0xDFFF, i >= 2)) {
+    const c1: i32 = Porffor.wasm.i32.load16_u(ptr + i * 2, 0, 0);
+    if (Porffor.fastAnd(c1 >= 0xD800, c1 <= 0xDBFF)) return (2 << 24) | (0x10000 + ((c1 - 0xD800) << 10) + (c - 0xDC00));
+  }
+
+  return (1 << 24) | c;
+};
+
+export const __Porffor_unicode_codePointAfter = (ptr: i32, i: i32, len: i32): i32 => {
+  const c: i32 = Porffor.wasm.i32.load16_u(ptr + i * 2, 0, 4);
+  if (Porffor.fastAnd(c >= 0xD800, c <= 0xDBFF, i + 1 < len)) {
+    const c2: i32 = Porffor.wasm.i32.load16_u(ptr + i * 2, 0, 6);
+    if (Porffor.fastAnd(c2 >= 0xDC00, c2 <= 0xDFFF)) return (2 << 24) | (0x10000 + ((c - 0xD800) << 10) + (c2 - 0xDC00));
+  }
+
+  return (1 << 24) | c;
+};
+
+// https://www.unicode.org/versions/latest/core-spec/chapter-3/#G54277
+// sigma is final if after a cased letter and not before one, skipping case ignorables
+export const __Porffor_unicode_isFinalSigma = (ptr: i32, i: i32, len: i32): boolean => {
+  const ignorable: i32 = __Porffor_unicode_caseIgnorable();
+  const cased: i32 = __Porffor_unicode_cased();
+
+  let j: i32 = i;
+  let before: boolean = false;
+  while (j > 0) {
+    const x: i32 = __Porffor_unicode_codePointBefore(ptr, j);
+    const c: i32 = x & 0xFFFFFF;
+    j -= x >> 24;
+
+    if (__Porffor_unicode_inRanges(ignorable, c)) continue;
+    before = __Porffor_unicode_inRanges(cased, c);
+    break;
+  }
+
+  if (!before) return false;
+
+  j = i + 1;
+  while (j < len) {
+    const x: i32 = __Porffor_unicode_codePointAfter(ptr, j, len);
+    const c: i32 = x & 0xFFFFFF;
+    j += x >> 24;
+
+    if (__Porffor_unicode_inRanges(ignorable, c)) continue;
+    return !__Porffor_unicode_inRanges(cased, c);
+  }
+
+  return true;
+};
+
+// full case mapping of a code point written to a string's data, returns how many units
+// ranges are start, end, step, delta and specials are like decompositions
+export const __Porffor_unicode_mapCodePoint = (ptr: i32, c: i32, ranges: i32, special: i32, specialData: i32): i32 => {
+  const s: i32 = __Porffor_unicode_mapping(special, c);
+  if (s != -1) {
+    const buf: i32 = Porffor.malloc(12);
+    const count: i32 = __Porffor_unicode_copyMapping(special, specialData, s, buf);
+
+    let n: i32 = 0;
+    for (let j: i32 = 0; j < count; j++) {
+      n += __Porffor_unicode_writeCodePoint(ptr + n * 2, Porffor.wasm.i32.load(buf + j * 4, 0, 0));
+    }
+
+    return n;
+  }
+
+  const r: i32 = __Porffor_unicode_search(ranges, 7, c);
+  if (r != -1) {
+    const start: i32 = __Porffor_unicode_read(ranges, r * 7);
+    if (Porffor.fastAnd(
+      c <= __Porffor_unicode_read(ranges, r * 7 + 2),
+      (c - start) % Porffor.wasm.i32.load16_u(ranges + r * 14, 0, 12) == 0
+    )) c += __Porffor_unicode_read(ranges, r * 7 + 5);
+  }
+
+  return __Porffor_unicode_writeCodePoint(ptr, c);
+};
+
+// special mappings are at most 3 units per unit
+export const __Porffor_unicode_toUpperCase = (str: string): string => {
+  const ranges: i32 = __Porffor_unicode_upperCase();
+  const special: i32 = __Porffor_unicode_upperCaseSpecial();
+  const specialData: i32 = __Porffor_unicode_upperCaseSpecialData();
+
+  const ptr: i32 = Porffor.wasm`local.get ${str}`;
+  const len: i32 = str.length;
+
+  const out: string = Porffor.malloc(4 + len * 6);
+  const outPtr: i32 = Porffor.wasm`local.get ${out}`;
+
+  let n: i32 = 0;
+  let i: i32 = 0;
+  while (i < len) {
+    const x: i32 = __Porffor_unicode_codePointAfter(ptr, i, len);
+    const c: i32 = x & 0xFFFFFF;
+    i += x >> 24;
+
+    if (c < 0x80) {
+      if (Porffor.fastAnd(c >= 97, c <= 122)) n += __Porffor_unicode_writeCodePoint(outPtr + n * 2, c - 32);
+        else n += __Porffor_unicode_writeCodePoint(outPtr + n * 2, c);
+    } else {
+      n += __Porffor_unicode_mapCodePoint(outPtr + n * 2, c, ranges, special, specialData);
+    }
+  }
+
+  out.length = n;
+  return out;
+};
+
+export const __Porffor_unicode_toLowerCase = (str: string): string => {
+  const ranges: i32 = __Porffor_unicode_lowerCase();
+  const special: i32 = __Porffor_unicode_lowerCaseSpecial();
+  const specialData: i32 = __Porffor_unicode_lowerCaseSpecialData();
+
+  const ptr: i32 = Porffor.wasm`local.get ${str}`;
+  const len: i32 = str.length;
+
+  const out: string = Porffor.malloc(4 + len * 6);
+  const outPtr: i32 = Porffor.wasm`local.get ${out}`;
+
+  let n: i32 = 0;
+  let i: i32 = 0;
+  while (i < len) {
+    const x: i32 = __Porffor_unicode_codePointAfter(ptr, i, len);
+    const c: i32 = x & 0xFFFFFF;
+    i += x >> 24;
+
+    if (c < 0x80) {
+      if (Porffor.fastAnd(c >= 65, c <= 90)) n += __Porffor_unicode_writeCodePoint(outPtr + n * 2, c + 32);
+        else n += __Porffor_unicode_writeCodePoint(outPtr + n * 2, c);
+    } else if (c == 0x3A3) {
+      if (__Porffor_unicode_isFinalSigma(ptr, i - 1, len)) n += __Porffor_unicode_writeCodePoint(outPtr + n * 2, 0x3C2);
+        else n += __Porffor_unicode_writeCodePoint(outPtr + n * 2, 0x3C3);
+    } else {
+      n += __Porffor_unicode_mapCodePoint(outPtr + n * 2, c, ranges, special, specialData);
+    }
+  }
+
+  out.length = n;
+  return out;
+};
@@ -4,8 +4,12 @@ export const __WeakMap_prototype_has = (_this: WeakMap, key: any) => {
   return __Map_prototype_has(_this as Map, key);
 };
 
+export const __WeakMap_prototype_get = (_this: WeakMap, key: any) => {
+  return __Map_prototype_get(_this as Map, key);
+};
+
 export const __WeakMap_prototype_set = (_this: WeakMap, key: any, value: any) => {
-  if (!Porffor.object.isObjectOrSymbol(key)) throw new TypeError('Value in WeakSet needs to be an object or symbol');
+  if (!Porffor.object.isObjectOrSymbol(key)) throw new TypeError('Key in WeakMap needs to be an object or symbol');
 
   __Map_prototype_set(_this as Map, key, value);
   return _this;
@@ -1,24 +1,32 @@
 import type {} from './porffor.d.ts';
 
+// laid out as a map (of values to true) so the gc (--gc) can handle it like weak maps
+
 export const __WeakSet_prototype_has = (_this: WeakSet, value: any) => {
-  return __Set_prototype_has(_this as Set, value);
+  return __Map_prototype_has(_this as Map, value);
 };
 
 export const __WeakSet_prototype_add = (_this: WeakSet, value: any) => {
   if (!Porffor.object.isObjectOrSymbol(value)) throw new TypeError('Value in WeakSet needs to be an object or symbol');
 
-  __Set_prototype_add(_this as Set, value);
+  __Map_prototype_set(_this as Map, value, true);
   return _this;
 };
 
 export const __WeakSet_prototype_delete = (_this: WeakSet, value: any) => {
-  return __Set_prototype_delete(_this as Set, value);
+  return __Map_prototype_delete(_this as Map, value);
 };
 
 export const WeakSet = function (iterable: any): WeakSet {
   if (!new.target) throw new TypeError("Constructor WeakSet requires 'new'");
 
-  const out: WeakSet = Porffor.malloc();
+  const out: WeakSet = Porffor.malloc(8);
+
+  const keys: any[] = Porffor.malloc();
+  const vals: any[] = Porffor.malloc();
+  Porffor.wasm.i32.store(out, keys, 0, 0);
+  Porffor.wasm.i32.store(out, vals, 0, 4);
+
   if (iterable != null) for (const x of iterable) {
     __WeakSet_prototype_add(out, x);
   }
@@ -192,7 +192,17 @@ export const __ecma262_ToPropertyKey = (argument: any): any => {
   return __ecma262_ToString(key);
 };
 
+export const __ecma262_IsCallable = (argument: any): boolean => {
+  if (Porffor.comptime.flag`hasType.proxy`) {
+    if (Porffor.type(argument) == Porffor.TYPES.proxy) return __ecma262_IsCallable(__Porffor_proxy_target(argument));
+  }
+  return Porffor.type(argument) == Porffor.TYPES.function;
+};
+
 export const __ecma262_IsConstructor = (argument: any): boolean => {
+  if (Porffor.comptime.flag`hasType.proxy`) {
+    if (Porffor.type(argument) == Porffor.TYPES.proxy) return __ecma262_IsConstructor(__Porffor_proxy_target(argument));
+  }
   if (Porffor.type(argument) != Porffor.TYPES.function) return false;
   return (__Porffor_funcLut_flags(argument) & 0b10) == 2;
 };
\ No newline at end of file
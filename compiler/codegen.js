@@ -42,12 +42,15 @@ const allocBytes = (scope, reason, bytes) => {
     return allocs.get(reason);
   }
 
+  // allocs over a page use only new bins so they stay contiguous
+  const fresh = bytes > pageSize;
+
+  // bins end at their page end, so the first (smaller) page does not spill into the next
+  const binRoom = bin => (bin.page + 1) * pageSize - pagePtr(bin.page) - bin.used;
+
   let startingPtr = 0;
   while (bytes > 0) {
-    const alloc = Math.min(bytes, pageSize);
-    bytes -= alloc;
-
-    let bin = bins.find(x => (pageSize - x.used) >= alloc);
+    let bin = !fresh && bins.find(x => binRoom(x) >= bytes);
     if (!bin) {
       // new bin
       const page = pages.size;
@@ -60,6 +63,9 @@ const allocBytes = (scope, reason, bytes) => {
       pages.set(`#bin: ${id}`, page);
     }
 
+    const alloc = Math.min(bytes, binRoom(bin));
+    bytes -= alloc;
+
     if (!startingPtr) startingPtr = pagePtr(bin.page) + bin.used;
     bin.used += alloc;
   }
@@ -212,7 +218,8 @@ const funcRef = func => {
       });
     }
 
-    wasm.push(...generate(wrapperFunc, {
+    // tail call the func so wrappers do not pile up when indirect calls are tail calls
+    const call = {
       type: 'CallExpression',
       callee: {
         type: 'Identifier',
@@ -221,6 +228,7 @@ const funcRef = func => {
       _funcIdx: func.index,
       arguments: args,
       _insideIndirect: true,
+      _tail: Prefs.tailCall,
       _newTargetWasm: [
         [ Opcodes.local_get, 1 ],
         [ Opcodes.local_get, 2 ]
@@ -229,9 +237,10 @@ const funcRef = func => {
         [ Opcodes.local_get, 3 ],
         [ Opcodes.local_get, 4 ]
       ]
-    }));
+    };
+    wasm.push(...generate(wrapperFunc, call));
 
-    if (func.returns[0] === Valtype.i32) {
+    if (func.returns[0] === Valtype.i32 && !call._tailCalled) {
       if (func.returns.length === 2) {
         const localIdx = wrapperFunc.localInd++;
         locals[localIdx] = { idx: localIdx, type: Valtype.i32 };
@@ -288,7 +297,26 @@ const forceDuoValtype = (scope, wasm, forceValtype) => [
   ] : [])
 ];
 
+// keep the location of the innermost node being generated, for stack traces and source maps
 const generate = (scope, decl, global = false, name = undefined, valueUnused = false) => {
+  if (scope.generator && resumeCached.has(decl)) return generateResumeCached(scope, decl, global, name);
+  if (!decl.loc) return generateNode(scope, decl, global, name, valueUnused);
+
+  const outerLoc = lastLoc;
+  lastLoc = decl.loc;
+
+  let out = generateNode(scope, decl, global, name, valueUnused);
+  lastLoc = outerLoc;
+
+  // mark where statements start for source maps (see assemble.js and 2c.js)
+  if (Prefs.sourceMap && ((decl.type.endsWith('Statement') && decl.type !== 'BlockStatement') || decl.type === 'VariableDeclaration')) {
+    out = [ [ null, 'loc', decl.loc ], ...out ];
+  }
+
+  return out;
+};
+
+const generateNode = (scope, decl, global = false, name = undefined, valueUnused = false) => {
   if (valueUnused && !Prefs.optUnused) valueUnused = false;
   if (astCache.has(decl)) return astCache.get(decl);
 
@@ -348,6 +376,13 @@ const generate = (scope, decl, global = false, name = undefined, valueUnused = f
     case 'VariableDeclaration':
       return cacheAst(decl, generateVar(scope, decl));
 
+    case 'ImportDeclaration':
+      if (decl.importKind === 'type') return cacheAst(decl, [ number(UNDEFINED) ]);
+      return cacheAst(decl, generateImport(scope, decl));
+
+    case 'ImportExpression':
+      return cacheAst(decl, generateDynamicImport(scope, decl));
+
     case 'AssignmentExpression':
       return cacheAst(decl, generateAssign(scope, decl, global, name, valueUnused));
 
@@ -436,12 +471,19 @@ const generate = (scope, decl, global = false, name = undefined, valueUnused = f
     case 'ExportNamedDeclaration':
       if (!decl.declaration) return internalThrow(scope, 'Error', 'porffor: unsupported export declaration', true);
 
+      // hosts can pass these to exported funcs (see jsToPorfValue in wrap.js)
+      for (const x of [ 'string', 'bytestring', 'bigint', 'object', 'array', 'arraybuffer', 'uint8array', 'int8array', 'uint8clampedarray', 'uint16array', 'int16array', 'uint32array', 'int32array', 'float16array', 'float32array', 'float64array', 'bigint64array', 'biguint64array' ]) {
+        typeUsed(scope, TYPES[x]);
+      }
+
       const funcsBefore = funcs.map(x => x.name);
-      generate(scope, decl.declaration);
+      const out = generate(scope, decl.declaration);
 
       // set new funcs as exported
-      if (funcsBefore.length !== funcs.length) {
-        const newFuncs = funcs.filter(x => !funcsBefore.includes(x.name)).filter(x => !x.internal);
+      // and funcs declared here which were already made by calls before (mutual recursion)
+      const declared = decl.declaration.declarations?.map(x => x.id.name) ?? [];
+      if (funcsBefore.length !== funcs.length || declared.length > 0) {
+        const newFuncs = funcs.filter(x => !funcsBefore.includes(x.name) || declared.includes(x.name)).filter(x => !x.internal);
 
         for (const x of newFuncs) {
           x.export = true;
@@ -451,7 +493,7 @@ const generate = (scope, decl, global = false, name = undefined, valueUnused = f
         }
       }
 
-      return cacheAst(decl, [ number(UNDEFINED) ]);
+      return cacheAst(decl, out);
 
     case 'TSAsExpression':
       return cacheAst(decl, generate(scope, decl.expression));
@@ -471,8 +513,7 @@ const generate = (scope, decl, global = false, name = undefined, valueUnused = f
 
     default:
       // ignore typescript nodes
-      if (decl.type.startsWith('TS') ||
-          decl.type === 'ImportDeclaration' && decl.importKind === 'type') {
+      if (decl.type.startsWith('TS')) {
         return cacheAst(decl, [ number(UNDEFINED) ]);
       }
 
@@ -715,8 +756,260 @@ const lookupOrError = (scope, name, failEarly) => lookup(scope, name, failEarly)
 const generateIdent = (scope, decl) =>
   lookupOrError(scope, decl.name, scope.identFailEarly);
 
+// generators are resumable funcs: calling one saves its frame (every local) into a new suspended generator,
+// resuming calls the func again with the generator, which restores its frame and carries on from the yield it suspended at
+// (see __Porffor_Generator_resume). yields are numbered so resuming can find its way back to them:
+// #resume is the yield being resumed (0 if not resuming), and until it is reached everything not leading to it is skipped
+const yieldIds = new WeakMap(), yieldRanges = new WeakMap();
+
+const eachYieldChild = (node, fn) => {
+  for (const x in node) {
+    if (x === 'loc' || x[0] === '_') continue;
+
+    const value = node[x];
+    for (const y of Array.isArray(value) ? value : [ value ]) {
+      // nested funcs have their own yields
+      if (typeof y?.type === 'string' && !isFuncType(y.type)) fn(y);
+    }
+  }
+};
+
+const numberYields = (node, ids = { last: 0 }) => {
+  if (node.type === 'YieldExpression') yieldIds.set(node, ++ids.last);
+  eachYieldChild(node, x => numberYields(x, ids));
+  return ids.last;
+};
+
+// the (contiguous) range of yield ids in a node, or null if it has no yields
+const yieldRange = node => {
+  if (yieldRanges.has(node)) return yieldRanges.get(node);
+
+  let range = null;
+  const add = (min, max) => {
+    if (!range) range = { min, max };
+      else range = { min: Math.min(range.min, min), max: Math.max(range.max, max) };
+  };
+
+  if (yieldIds.has(node)) add(yieldIds.get(node), yieldIds.get(node));
+  eachYieldChild(node, x => {
+    const range = yieldRange(x);
+    if (range) add(range.min, range.max);
+  });
+
+  yieldRanges.set(node, range);
+  return range;
+};
+
+// if resuming to a yield inside node, as an i32
+const resumingInto = (scope, node) => {
+  const range = yieldRange(node);
+  if (!range) return [ number(0, Valtype.i32) ];
+
+  // unsigned so not resuming (0) is out of range
+  return [
+    [ Opcodes.local_get, scope.locals['#resume'].idx ],
+    number(range.min, Valtype.i32),
+    [ Opcodes.i32_sub ],
+    number(range.max - range.min, Valtype.i32),
+    [ Opcodes.i32_le_u ]
+  ];
+};
+
+// if resuming to a yield outside node, so it should be skipped, as an i32
+const resumingPast = (scope, node) => {
+  const resuming = [ [ Opcodes.local_get, scope.locals['#resume'].idx ] ];
+  if (!yieldRange(node)) return resuming;
+
+  return [
+    ...resuming,
+    number(0, Valtype.i32),
+    [ Opcodes.i32_ne ],
+    ...resumingInto(scope, node),
+    [ Opcodes.i32_eqz ],
+    [ Opcodes.i32_and ]
+  ];
+};
+
+// values evaluated before a yield are kept for resuming to use again instead of evaluating them again,
+// as they could have side effects or have changed (eg `f(g(), yield)` or `while (i < 3) { i++; yield }`)
+const resumeCached = new WeakMap();
+const markResumeCached = (node, count = { last: 0 }) => {
+  const mark = x => {
+    if (x.type === 'MemberExpression') {
+      // keep the object (for this) and evaluate the property again
+      mark(x.object);
+      if (x.computed) mark(x.property);
+      return;
+    }
+
+    if (x.type === 'SpreadElement') return mark(x.argument);
+    if (x.type === 'Property') {
+      if (x.computed) mark(x.key);
+      return mark(x.value);
+    }
+
+    if ((x.type === 'Identifier' || x.type === 'TemplateLiteral' || x.type.endsWith('Expression')) && !isFuncType(x.type))
+      resumeCached.set(x, '#resume_cached' + ++count.last);
+  };
+
+  const children = [];
+  eachYieldChild(node, x => children.push(x));
+
+  const last = children.findLastIndex(x => yieldRange(x));
+  for (let i = 0; i < last; i++) {
+    if (!yieldRange(children[i])) mark(children[i]);
+  }
+
+  for (const x of children) {
+    if (yieldRange(x)) markResumeCached(x, count);
+  }
+};
+
+const generateResumeCached = (scope, decl, global, name) => {
+  const tmp = resumeCached.get(decl);
+  const out = [
+    [ Opcodes.local_get, scope.locals['#resume'].idx ],
+    [ Opcodes.i32_eqz ],
+    [ Opcodes.if, Blocktype.void ]
+  ];
+
+  depth.push('if');
+  out.push(
+    ...generateNode(scope, decl, global, name),
+    [ Opcodes.local_set, localTmp(scope, tmp) ],
+    ...getNodeType(scope, decl),
+    [ Opcodes.local_set, localTmp(scope, tmp + '#type', Valtype.i32) ],
+    [ Opcodes.end ]
+  );
+  depth.pop();
+
+  out.push(
+    [ Opcodes.local_get, localTmp(scope, tmp) ],
+    ...setLastType(scope, [ [ Opcodes.local_get, localTmp(scope, tmp + '#type', Valtype.i32) ] ])
+  );
+  return out;
+};
+
+// skip generating node when resuming past it in generators, using skipped instead
+const skipResumedPast = (scope, node, gen, skipped = [ number(UNDEFINED) ], blocktype = valtypeBinary) => {
+  if (!scope.generator) return gen();
+
+  const out = [
+    ...resumingPast(scope, node),
+    [ Opcodes.if, blocktype ],
+      ...skipped,
+    [ Opcodes.else ]
+  ];
+
+  depth.push('if');
+  out.push(...gen());
+  depth.pop();
+
+  out.push([ Opcodes.end ]);
+  return out;
+};
+
+// suspend the generator, saving its frame and returning value to the resumer
+const generatorSuspend = (scope, id, value, type) => {
+  const tmp = localTmp(scope, '#yield_value');
+  const generator = scope.locals['#generator'].idx;
+
+  return [
+    ...value,
+    [ Opcodes.local_set, tmp ],
+    ...type,
+    [ Opcodes.local_set, localTmp(scope, '#yield_value#type', Valtype.i32) ],
+
+    // suspendedYield
+    [ Opcodes.local_get, generator ],
+    number(1, Valtype.i32),
+    [ Opcodes.i32_store, 0, 0 ],
+
+    [ Opcodes.local_get, generator ],
+    number(id, Valtype.i32),
+    [ Opcodes.i32_store, 0, 4 ],
+
+    [ null, 'generator_save' ],
+
+    [ Opcodes.local_get, tmp ],
+    [ Opcodes.local_get, localTmp(scope, '#yield_value#type', Valtype.i32) ],
+    [ Opcodes.return ]
+  ];
+};
+
+// save and restore every local of a generator func, done at the end as locals can be made until then
+// value and type pairs go first for the gc to trace, then other locals
+const generatorFrame = (func, wasm) => {
+  const generator = func.locals['#generator'].idx;
+  const pairs = [], others = [], paired = new Set([ '#generator', '#resume' ]);
+  for (const x in func.locals) {
+    const local = func.locals[x], type = func.locals[x + '#type'];
+    if (local.type === valtypeBinary && type?.type === Valtype.i32) {
+      pairs.push([ local, type ]);
+      paired.add(x).add(x + '#type');
+    }
+  }
+
+  for (const x in func.locals) {
+    if (!paired.has(x)) others.push(func.locals[x]);
+  }
+
+  const memOps = {
+    [Valtype.i32]: [ Opcodes.i32_load, Opcodes.i32_store ],
+    [Valtype.i64]: [ Opcodes.i64_load, Opcodes.i64_store ],
+    [Valtype.f32]: [ Opcodes.f32_load, Opcodes.f32_store ],
+    [Valtype.f64]: [ Opcodes.f64_load, Opcodes.f64_store ]
+  };
+
+  const slots = [];
+  let offset = 16;
+  for (const [ value, type ] of pairs) {
+    slots.push([ value, offset ], [ type, offset + 8 ]);
+    offset += 12;
+  }
+
+  for (const x of others) {
+    slots.push([ x, offset ]);
+    offset += 8;
+  }
+
+  const out = [];
+  for (const op of wasm) {
+    switch (op[0] === null && op[1]) {
+      case 'generator_size':
+        out.push(number(offset, Valtype.i32));
+        break;
+
+      case 'generator_pairs':
+        out.push(number(pairs.length, Valtype.i32));
+        break;
+
+      case 'generator_save':
+        for (const [ local, at ] of slots) out.push(
+          [ Opcodes.local_get, generator ],
+          [ Opcodes.local_get, local.idx ],
+          [ memOps[local.type][1], 0, ...unsignedLEB128(at) ]
+        );
+        break;
+
+      case 'generator_restore':
+        for (const [ local, at ] of slots) out.push(
+          [ Opcodes.local_get, generator ],
+          [ memOps[local.type][0], 0, ...unsignedLEB128(at) ],
+          [ Opcodes.local_set, local.idx ]
+        );
+        break;
+
+      default:
+        out.push(op);
+    }
+  }
+
+  return out;
+};
+
 const generateYield = (scope, decl) => {
-  let arg = decl.argument ?? DEFAULT_VALUE();
+  const arg = decl.argument ?? DEFAULT_VALUE();
 
   if (!scope.generator) {
     // todo: access upper-scoped generator
@@ -730,54 +1023,171 @@ const generateYield = (scope, decl) => {
     ];
   }
 
-  // hack: `yield* foo` -> `yielf foo[0]`
-  if (decl.delegate) arg = {
-    type: 'MemberExpression',
-    object: arg,
-    property: {
-      type: 'Literal',
-      value: 0
-    },
-    computed: true
-  };
+  const id = yieldIds.get(decl);
+  const resume = scope.locals['#resume'].idx;
+  const result = localTmp(scope, '#yield_result' + id);
+  const resultType = localTmp(scope, '#yield_result' + id + '#type', Valtype.i32);
+  const kind = localTmp(scope, '#yield_kind', Valtype.i32);
 
-  // just support a single yield like a return for now
-  return [
-    // return value in generator
-    [ Opcodes.local_get, scope.locals['#generator_out'].idx ],
-    number(scope.async ? TYPES.__porffor_asyncgenerator : TYPES.__porffor_generator, Valtype.i32),
+  // resumed: take the value (and kind) sent into the generator
+  const resumed = [
+    number(0, Valtype.i32),
+    [ Opcodes.local_set, resume ],
 
-    ...generate(scope, arg),
-    ...getNodeType(scope, arg),
+    [ Opcodes.call, includeBuiltin(scope, '__Porffor_Generator_sent').index ],
+    [ Opcodes.local_set, resultType ],
+    [ Opcodes.local_set, result ],
 
-    [ Opcodes.call, includeBuiltin(scope, scope.async ? '__Porffor_AsyncGenerator_yield' : '__Porffor_Generator_yield').index ],
+    [ Opcodes.call, includeBuiltin(scope, '__Porffor_Generator_sentKind').index ],
+    Opcodes.i32_to_u,
+    [ Opcodes.local_set, kind ]
+  ];
 
-    // return generator
-    [ Opcodes.local_get, scope.locals['#generator_out'].idx ],
-    ...(scope.returnType != null ? [] : [ number(scope.async ? TYPES.__porffor_asyncgenerator : TYPES.__porffor_generator, Valtype.i32) ]),
-    [ Opcodes.return ],
+  // already resumed past (earlier in an expression still being evaluated): use its result again
+  const resumedPast = blockDepth => [
+    [ Opcodes.local_get, resume ],
+    number(id, Valtype.i32),
+    [ Opcodes.i32_ne ],
+    [ Opcodes.if, Blocktype.void ],
+      [ Opcodes.local_get, result ],
+      [ Opcodes.br, blockDepth ],
+    [ Opcodes.end ]
+  ];
 
-    // use undefined as yield expression value
-    number(0),
-    ...setLastType(scope, TYPES.undefined)
+  // evaluate the argument if not resuming, or if resuming into it
+  const out = [
+    [ Opcodes.block, valtypeBinary ],
+    [ Opcodes.local_get, resume ],
+    [ Opcodes.i32_eqz ],
+    ...(yieldRange(arg) ? [
+      ...resumingInto(scope, arg),
+      [ Opcodes.i32_or ]
+    ] : []),
+    [ Opcodes.if, Blocktype.void ]
   ];
+  depth.push('block', 'if');
+
+  if (decl.delegate) {
+    // yield* steps the iterator each time it is resumed, passing on what was sent until it is done
+    const iter = localTmp(scope, '#yield_iter' + id);
+    out.push(
+      ...generate(scope, arg),
+      ...getNodeType(scope, arg),
+      [ Opcodes.call, includeBuiltin(scope, '__Porffor_iterator_of').index ],
+      [ Opcodes.local_set, localTmp(scope, '#yield_iter' + id + '#type', Valtype.i32) ],
+      [ Opcodes.local_set, iter ],
+
+      number(UNDEFINED),
+      [ Opcodes.local_set, result ],
+      number(TYPES.undefined, Valtype.i32),
+      [ Opcodes.local_set, resultType ],
+      number(0, Valtype.i32),
+      [ Opcodes.local_set, kind ],
+    [ Opcodes.else ],
+      ...resumedPast(2),
+      ...resumed,
+    [ Opcodes.end ],
+
+      [ Opcodes.local_get, iter ],
+      [ Opcodes.local_get, localTmp(scope, '#yield_iter' + id + '#type', Valtype.i32) ],
+      [ Opcodes.local_get, result ],
+      [ Opcodes.local_get, resultType ],
+      [ Opcodes.local_get, kind ],
+      Opcodes.i32_from_u,
+      number(TYPES.number, Valtype.i32),
+      [ Opcodes.call, includeBuiltin(scope, '__Porffor_iterator_delegate').index ],
+      [ Opcodes.local_set, resultType ],
+      [ Opcodes.local_set, result ],
+
+      [ Opcodes.call, includeBuiltin(scope, '__Porffor_iterator_done').index ],
+      Opcodes.i32_to_u,
+      [ Opcodes.i32_eqz ],
+      [ Opcodes.if, Blocktype.void ],
+        ...generatorSuspend(scope, id, [ [ Opcodes.local_get, result ] ], [ [ Opcodes.local_get, resultType ] ]),
+      [ Opcodes.end ],
+
+      // returning returns what the iterator returned
+      [ Opcodes.local_get, kind ],
+      number(2, Valtype.i32),
+      [ Opcodes.i32_eq ],
+      [ Opcodes.if, Blocktype.void ]
+    );
+
+    out.push(
+      ...generateReturn(scope, { argument: { type: 'Identifier', name: '#yield_result' + id } }),
+      [ Opcodes.end ]
+    );
+  } else {
+    out.push(
+      ...generatorSuspend(scope, id,
+        generate(scope, scope.async ? { type: 'AwaitExpression', argument: arg } : arg),
+        getNodeType(scope, arg)),
+      [ Opcodes.end ],
+
+      ...resumedPast(1),
+      ...resumed,
+
+      // throw or return what was sent if resumed by them
+      [ Opcodes.local_get, kind ],
+      number(1, Valtype.i32),
+      [ Opcodes.i32_eq ],
+      [ Opcodes.if, Blocktype.void ]
+    );
+
+    out.push(
+      ...generateThrow(scope, { argument: { type: 'Identifier', name: '#yield_result' + id } }),
+      [ Opcodes.end ],
+
+      [ Opcodes.local_get, kind ],
+      number(2, Valtype.i32),
+      [ Opcodes.i32_eq ],
+      [ Opcodes.if, Blocktype.void ],
+      ...generateReturn(scope, { argument: { type: 'Identifier', name: '#yield_result' + id } }),
+      [ Opcodes.end ]
+    );
+  }
+
+  depth.pop(); depth.pop();
+  out.push(
+    [ Opcodes.local_get, result ],
+    [ Opcodes.end ],
+    ...setLastType(scope, [ [ Opcodes.local_get, resultType ] ])
+  );
+
+  return out;
 };
 
 const generateReturn = (scope, decl) => {
-  const arg = decl.argument ?? DEFAULT_VALUE();
+  if (scope.leaving?.length > 0 && !decl._disposed) {
+    // evaluate return value before disposing resources and closing iterators
+    const tmp = `#return_value${uniqId()}`;
+    const arg = decl.argument ?? DEFAULT_VALUE();
+
+    return [
+      ...generate(scope, arg),
+      [ Opcodes.local_set, localTmp(scope, tmp) ],
+      ...getNodeType(scope, arg),
+      [ Opcodes.local_set, localTmp(scope, tmp + '#type', Valtype.i32) ],
+
+      ...leaveBlocks(scope),
+      ...generateReturn(scope, { ...decl, argument: { type: 'Identifier', name: tmp }, _disposed: true })
+    ];
+  }
+
+  let arg = decl.argument ?? DEFAULT_VALUE();
 
   if (scope.generator) {
+    if (scope.async) arg = { type: 'AwaitExpression', argument: arg };
+
     return [
-      // return value in generator
-      [ Opcodes.local_get, scope.locals['#generator_out'].idx ],
-      number(scope.async ? TYPES.__porffor_asyncgenerator : TYPES.__porffor_generator, Valtype.i32),
+      // completed
+      [ Opcodes.local_get, scope.locals['#generator'].idx ],
+      number(3, Valtype.i32),
+      [ Opcodes.i32_store, 0, 0 ],
 
+      // return value to resumer
       ...generate(scope, arg),
       ...getNodeType(scope, arg),
-
-      // return generator
-      [ Opcodes.call, includeBuiltin(scope, scope.async ? '__Porffor_AsyncGenerator_return' : '__Porffor_Generator_return').index ],
-      ...(scope.returnType != null ? [] : [ number(scope.async ? TYPES.__porffor_asyncgenerator : TYPES.__porffor_generator, Valtype.i32) ]),
       [ Opcodes.return ]
     ];
   }
@@ -805,6 +1215,44 @@ const generateReturn = (scope, decl) => {
     [ Opcodes.return ]
   ];
 
+  // returned calls are tail calls, so deep recursion does not overflow
+  // calls in conditionals and sequences are in tail position too, so return each instead
+  if (arg.type === 'ConditionalExpression' && canTailCall(scope, arg)) return generate(scope, {
+    type: 'IfStatement',
+    test: arg.test,
+    consequent: { type: 'ReturnStatement', argument: arg.consequent },
+    alternate: { type: 'ReturnStatement', argument: arg.alternate }
+  });
+
+  if (arg.type === 'SequenceExpression' && canTailCall(scope, arg)) return generate(scope, {
+    type: 'BlockStatement',
+    body: [
+      ...arg.expressions.slice(0, -1).map(x => ({ type: 'ExpressionStatement', expression: x })),
+      { type: 'ReturnStatement', argument: arg.expressions.at(-1) }
+    ]
+  });
+
+  let tail = [], callWasm;
+  if (arg.type === 'CallExpression' && canTailCall(scope, arg)) {
+    const call = { ...arg, _tail: true };
+    if (!scope.constr) {
+      arg = call;
+    } else {
+      // constructors only tail call when not called with new, as the return value is checked then
+      // the call is only generated once (its args could make funcs, etc) so is untailed for with new
+      const wasm = generate(scope, call);
+      callWasm = untail(call, wasm);
+      if (call._tailCalled) tail = [
+        [ Opcodes.local_get, scope.locals['#newtarget'].idx ],
+        Opcodes.i32_to_u,
+        [ Opcodes.i32_eqz ],
+        [ Opcodes.if, Blocktype.void ],
+          ...wasm,
+        [ Opcodes.end ]
+      ];
+    }
+  }
+
   if (
     scope.constr && // only do this in constructors
     !globalThis.precompile // skip in precompiled built-ins, we should not require this and handle it ourselves
@@ -832,7 +1280,9 @@ const generateReturn = (scope, decl) => {
     }
 
     return [
-      ...generate(scope, arg),
+      ...tail,
+
+      ...(callWasm ?? generate(scope, arg)),
       [ Opcodes.local_set, localTmp(scope, '#return') ],
       ...(scope.returnType != null ? [] : getNodeType(scope, arg)),
       [ Opcodes.local_set, localTmp(scope, '#return#type', Valtype.i32) ],
@@ -889,6 +1339,8 @@ const generateReturn = (scope, decl) => {
   }
 
   const out = generate(scope, arg);
+  if (arg._tailCalled) return out;
+
   if (scope.returns[0] === Valtype.f64 && valtypeBinary === Valtype.i32 && out[out.length - 1][0] !== Opcodes.f64_const && out[out.length - 1] !== Opcodes.i32_to_u)
     out.push([ Opcodes.f64_convert_i32_s ]);
 
@@ -898,6 +1350,32 @@ const generateReturn = (scope, decl) => {
   return out;
 };
 
+// nothing can happen after a tail call in the func, so not in try/catch (finally) or generators/async
+const canTailCall = (scope, arg) => {
+  if (!Prefs.tailCall || globalThis.precompile || scope.generator || scope.async || scope._onlyConstr) return false;
+  if (depth.slice(scope.depthStart).some(x => x === 'try' || x === 'catch')) return false;
+
+  return isTailCall(arg);
+};
+
+const isTailCall = arg => {
+  if (arg.type === 'CallExpression') return !arg.optional && arg.callee.type !== 'Super';
+  if (arg.type === 'ConditionalExpression') return isTailCall(arg.consequent) || isTailCall(arg.alternate);
+  if (arg.type === 'SequenceExpression') return isTailCall(arg.expressions.at(-1));
+  return false;
+};
+
+// remember how to make a return call a normal call, for untail
+const untailable = (decl, op, call) => {
+  (decl._untail ??= new Map()).set(op, call);
+  return op;
+};
+
+// copy of generated wasm for a call with its return calls as normal calls
+const untail = (decl, wasm) => wasm.flatMap(x => decl._untail?.get(x)?.() ?? [ Array.isArray(x) ? [ ...x ] : x ]);
+
+const sameReturns = (a, b) => a.length === b.length && a.every((x, i) => x === b[i]);
+
 const localTmp = (scope, name, type = valtypeBinary) => {
   if (name in scope.locals) return scope.locals[name].idx;
 
@@ -1458,10 +1936,31 @@ const generateBinaryExp = (scope, decl) => {
   return out;
 };
 
+// imports with access to the host, refused with --secure unless allowed
+const hostImports = {
+  fsRead: 'fs',
+  fsReaddir: 'fs',
+  fsTake: 'fs',
+  fsWrite: 'fs',
+  fsStat: 'fs',
+  readArgv: 'env',
+  readEnv: 'env'
+};
+
+const checkHostImport = name => {
+  const kind = hostImports[name];
+  if (!kind) return;
+
+  if (Prefs.secure && !Prefs[kind === 'fs' ? 'allowFs' : 'allowEnv']) throw new Error(`${kind === 'fs' ? 'filesystem' : 'argv/env'} access is not allowed in --secure (use --allow-${kind})`);
+  if (kind === 'fs' && Prefs.target === 'wasi') throw new Error('filesystem access is not supported for the wasi target');
+};
+
 const asmFuncToAsm = (scope, func, extra) => func(scope, {
   Valtype, Opcodes, TYPES, TYPE_NAMES, usedTypes, typeSwitch, makeString, internalThrow, funcs,
   getNodeType, generate, generateIdent,
   builtin: (name, offset = false) => {
+    if (name in importedFuncs) checkHostImport(name);
+
     let idx = importedFuncs[name] ?? includeBuiltin(scope, name)?.index;
     if (idx == null) throw new Error(`builtin('${name}') failed: could not find func (from ${scope.name})`);
     if (offset) idx -= importedFuncs.length;
@@ -1505,6 +2004,13 @@ const asmFuncToAsm = (scope, func, extra) => func(scope, {
           globals[globalName].init = scope.globalInits[name];
         }
       }
+    } else if (opcode === Opcodes.global_set && typeof scope.globalInits?.[name] === 'function') {
+      // later sets count as inited too, as the first use may not have run
+      // so a get in another func would reset it
+      out.push(
+        number(1, Valtype.i32),
+        [ Opcodes.global_set, globals[globalName + '#glbl_inited'].idx ]
+      );
     }
 
     return out;
@@ -1517,13 +2023,13 @@ const asmFuncToAsm = (scope, func, extra) => func(scope, {
 
     return scope.locals[name].idx;
   },
-  t: (types, wasm) => {
+  t: (types, wasm, fallback = () => []) => {
     if (types.some(x => usedTypes.has(x))) {
       return wasm();
     } else {
       return [ [ null, () => {
         if (types.some(x => usedTypes.has(x))) return wasm();
-        return [];
+        return fallback();
       } ] ];
     }
   },
@@ -1566,8 +2072,24 @@ const asmFunc = (name, func) => {
   funcs.push(func);
   funcIndex[name] = func.index;
 
-  if (globalThis.precompile) wasm = [];
-    else wasm = asmFuncToAsm(func, wasm);
+  if (globalThis.precompile) {
+    wasm = [];
+  } else if (globalThis.comptimeOuter) {
+    // included inside a builtin's comptime flag, which can have other prefs (eg --valtype=i32)
+    const { prefs, reset } = globalThis.comptimeOuter;
+    const flagPrefs = Prefs;
+    globalThis.comptimeOuter = null;
+    Prefs = prefs;
+    reset();
+
+    wasm = asmFuncToAsm(func, wasm);
+
+    globalThis.comptimeOuter = { prefs, reset };
+    Prefs = flagPrefs;
+    reset();
+  } else {
+    wasm = asmFuncToAsm(func, wasm);
+  }
 
   if (table) funcs.table = true;
   if (usesTag) {
@@ -2131,9 +2653,10 @@ const aliasPrimObjsBC = bc => {
   add(TYPES.string, TYPES.stringobject);
 };
 
+// if not a builtin iterable with a fast path, other iterables use the iterator protocol
 const typeIsIterable = wasm => [
-  // array, set, map, string, bytestring, generator
-  ...typeIsOneOf(wasm, [ TYPES.array, TYPES.set, TYPES.map, TYPES.string, TYPES.bytestring, TYPES.__porffor_generator ]),
+  // array, set, map, string, bytestring
+  ...typeIsOneOf(wasm, [ TYPES.array, TYPES.set, TYPES.map, TYPES.string, TYPES.bytestring ]),
   // typed array
   ...wasm,
   number(TYPES.uint8clampedarray, Valtype.i32),
@@ -2146,11 +2669,34 @@ const typeIsIterable = wasm => [
   [ Opcodes.i32_eqz ],
 ];
 
-const createThisArg = (scope, decl) => {
-  const name = decl.callee?.name;
-  if (decl._new) {
-    // if precompiling or builtin func, just make it null as unused
-    if (!decl._forceCreateThis && (globalThis.precompile || name in builtinFuncs)) return [
+// types for..of iterates directly, other values use the iterator protocol (see typeIsIterable)
+const fastIterable = type => [ TYPES.array, TYPES.set, TYPES.map, TYPES.string, TYPES.bytestring ].includes(type) ||
+  (type >= TYPES.uint8clampedarray && type <= TYPES.float64array);
+
+// only include iterator protocol wasm once objects, generators or iterator helpers are used
+const iteratorProtocol = (scope, wasm, fallback = () => []) => {
+  const types = [ TYPES.object, TYPES.__porffor_generator, TYPES.__porffor_asyncgenerator, TYPES.iteratorhelper ];
+  if (globalThis.precompile) {
+    if (scope.usedTypes && types.some(x => scope.usedTypes.has(x))) return wasm();
+
+    // same magic as typeswitch cases, with the fallback as else
+    const other = fallback();
+    return [
+      [ null, 'typeswitch case start', types ],
+      ...wasm(),
+      ...(other.length > 0 ? [ [ null, 'typeswitch case else' ], ...other ] : []),
+      [ null, 'typeswitch case end' ]
+    ];
+  }
+
+  return [ [ null, () => types.some(x => usedTypes.has(x)) ? wasm() : fallback() ] ];
+};
+
+const createThisArg = (scope, decl) => {
+  const name = decl.callee?.name;
+  if (decl._new) {
+    // if precompiling or builtin func, just make it null as unused
+    if (!decl._forceCreateThis && (globalThis.precompile || name in builtinFuncs)) return [
       number(NULL),
       number(TYPES.object, Valtype.i32)
     ];
@@ -2225,9 +2771,53 @@ const getLastNode = body => {
   return node ?? { type: 'EmptyStatement' };
 };
 
+// stack traces: calls in user code push their frame (as a string) to a shadow stack in a page,
+// which errors copy when constructed (see __Porffor_stackTrace_* in builtins.js)
+// only half a page is used as the first page is smaller
+const stackTraceCall = (scope, loc, wasm) => {
+  if (!Prefs.stackTrace || globalThis.precompile || scope.internal || !loc) return wasm;
+
+  // eg: foo#1 -> foo (renamed by semantic/linker), #main and #anonymous have no name
+  const name = scope.name.startsWith('#') ? '' : scope.name.split('#')[0];
+  const where = `${loc.source ?? globalThis.file ?? '<anonymous>'}:${loc.start.line}:${loc.start.column + 1}`;
+  const frame = name ? `${name} (${where})` : where;
+
+  const ptr = allocStr(scope, frame, false);
+  makeData(scope, frame.split('').map(x => x.charCodeAt(0)), frame, 'i16');
+
+  globals['#porf#stackTrace_depth'] ??= { idx: globals['#ind']++, type: Valtype.i32 };
+  const depth = globals['#porf#stackTrace_depth'].idx;
+
+  return [
+    [ Opcodes.global_get, depth ],
+    number(pageSize / 2 - 1, Valtype.i32),
+    [ Opcodes.i32_and ],
+    number(ptr, Valtype.i32),
+    [ Opcodes.i32_store, 0, ...unsignedLEB128(allocPage(scope, '#stack trace')) ],
+
+    [ Opcodes.global_get, depth ],
+    number(4, Valtype.i32),
+    [ Opcodes.i32_add ],
+    [ Opcodes.global_set, depth ],
+
+    ...wasm,
+
+    [ Opcodes.global_get, depth ],
+    number(4, Valtype.i32),
+    [ Opcodes.i32_sub ],
+    [ Opcodes.global_set, depth ]
+  ];
+};
+
 const generateCall = (scope, decl, _global, _name, unusedValue = false) => {
   if (decl.type === 'NewExpression') decl._new = true;
 
+  // where this call is, for stack traces. method calls use the property like v8
+  // (builtin methods are identifiers at the property, see objectHack)
+  const calleeLoc = decl.callee.property?.loc ?? (!decl._new && decl.callee.type === 'Identifier' && decl.callee.loc);
+  if (calleeLoc) lastLoc = calleeLoc;
+  const loc = lastLoc;
+
   let out = [];
   let name = decl.callee.name;
 
@@ -2309,6 +2899,27 @@ const generateCall = (scope, decl, _global, _name, unusedValue = false) => {
     }
   }
 
+  if (Prefs.evalInterpreter && !decl._funcIdx) {
+    // eval and Function of runtime values, use the interpreter
+    if (Prefs.target === 'c' || Prefs.target === 'native' || Prefs.native) throw new Error('--eval-interpreter is not supported for native or c targets');
+
+    if (!decl._new && (name === 'eval' || (decl.callee.type === 'SequenceExpression' && decl.callee.expressions.at(-1)?.name === 'eval'))) {
+      return generate(scope, {
+        type: 'CallExpression',
+        callee: { type: 'Identifier', name: '__Porffor_interp_evalSource' },
+        arguments: decl.arguments.slice(0, 1)
+      });
+    }
+
+    if (name === 'Function') {
+      return generate(scope, {
+        type: 'CallExpression',
+        callee: { type: 'Identifier', name: '__Porffor_interp_function' },
+        arguments: [ { type: 'ArrayExpression', elements: decl.arguments } ]
+      });
+    }
+  }
+
   let protoName, target;
   // ident.func()
   if (!decl._new && name && name.startsWith('__')) {
@@ -2385,10 +2996,12 @@ const generateCall = (scope, decl, _global, _name, unusedValue = false) => {
       const protoBC = {};
       for (const x of builtinProtoCands) {
         const name = x.split('_prototype_')[0].toLowerCase();
-        const type = TYPES[name.slice(2)] ?? TYPES[name];
-        if (type == null) continue;
 
-        protoBC[type] = () => generate(scope, {
+        // Iterator.prototype has no type, it is inherited by generators and iterator helpers
+        const types = name === '__iterator' ? [ TYPES.__porffor_generator, TYPES.iteratorhelper ] : [ TYPES[name.slice(2)] ?? TYPES[name] ];
+        if (types[0] == null) continue;
+
+        for (const type of types) protoBC[type] = () => generate(scope, {
           type: 'CallExpression',
           optional: decl.optional,
           callee: {
@@ -2442,12 +3055,19 @@ const generateCall = (scope, decl, _global, _name, unusedValue = false) => {
       ...generate(scope, arg),
       [ Opcodes.local_set, localTmp(scope, '#spread') ],
       ...getNodeType(scope, arg),
-      [ Opcodes.local_set, localTmp(scope, '#spread#type', Valtype.i32) ],
+      [ Opcodes.local_set, localTmp(scope, '#spread#type', Valtype.i32) ]
+    );
 
-      ...typeIsIterable([ [ Opcodes.local_get, localTmp(scope, '#spread#type', Valtype.i32) ] ]),
-      [ Opcodes.if, Blocktype.void ],
-        ...internalThrow(scope, 'TypeError', 'Cannot spread a non-iterable'),
-      [ Opcodes.end ]
+    // iterables other than arrays are spread as an array of their values
+    if (knownType(scope, getNodeType(scope, arg)) !== TYPES.array) out.push(
+      [ Opcodes.local_get, localTmp(scope, '#spread') ],
+      [ Opcodes.local_get, localTmp(scope, '#spread#type', Valtype.i32) ],
+      number(-1),
+      number(TYPES.number, Valtype.i32),
+      [ Opcodes.call, includeBuiltin(scope, '__Porffor_iterator_values').index ],
+      [ Opcodes.local_set, localTmp(scope, '#spread') ],
+      number(TYPES.array, Valtype.i32),
+      [ Opcodes.local_set, localTmp(scope, '#spread#type', Valtype.i32) ]
     );
 
     args.pop();
@@ -2471,6 +3091,7 @@ const generateCall = (scope, decl, _global, _name, unusedValue = false) => {
     // fallback for own func but with a different var/id name
     idx = scope.index;
   } else if (name in importedFuncs) {
+    checkHostImport(name);
     idx = importedFuncs[name];
     scope.usesImports = true;
   } else if (name in builtinFuncs) {
@@ -2608,6 +3229,8 @@ const generateCall = (scope, decl, _global, _name, unusedValue = false) => {
     ], callAsNew);
     const thisWasm = decl._thisWasm ?? knownThis ?? createThisArg(scope, decl);
 
+    // keep args as cases may be generated lazily after out is reassigned
+    const argsWasm = out;
     out = [
       ...generate(scope, callee),
       [ Opcodes.local_set, calleeLocal ],
@@ -2617,14 +3240,92 @@ const generateCall = (scope, decl, _global, _name, unusedValue = false) => {
           number(wrapperArgc - underflow, Valtype.i32),
           ...forceDuoValtype(scope, newTargetWasm, Valtype.f64),
           ...forceDuoValtype(scope, thisWasm, Valtype.f64),
-          ...out,
+          ...argsWasm,
 
           [ Opcodes.local_get, calleeLocal ],
           Opcodes.i32_to_u,
-          [ Opcodes.call_indirect, args.length + 2, 0 ],
-          ...setLastType(scope)
+          ...(decl._tail && sameReturns(scope.returns, [ valtypeBinary, Valtype.i32 ]) ? [
+            untailable(decl, [ Opcodes.return_call_indirect, args.length + 2, 0 ], () => [
+              ...stackTraceCall(scope, loc, [
+                [ Opcodes.call_indirect, args.length + 2, 0 ]
+              ]),
+              ...setLastType(scope)
+            ])
+          ] : [
+            ...stackTraceCall(scope, loc, [
+              [ Opcodes.call_indirect, args.length + 2, 0 ]
+            ]),
+            ...setLastType(scope)
+          ])
         ],
 
+        // proxy apply/construct traps take args as an array
+        [TYPES.proxy]: () => {
+          const thisValue = localTmp(scope, tmpName + 'this', Valtype.f64);
+          const thisType = localTmp(scope, tmpName + 'this#type', Valtype.i32);
+          const argsArray = localTmp(scope, tmpName + 'args', Valtype.i32);
+          const argValue = localTmp(scope, tmpName + 'arg', Valtype.f64);
+          const argType = localTmp(scope, tmpName + 'arg#type', Valtype.i32);
+
+          const wasm = [
+            ...(callAsNew ? [] : [
+              ...forceDuoValtype(scope, thisWasm, Valtype.f64),
+              [ Opcodes.local_set, thisType ],
+              [ Opcodes.local_set, thisValue ]
+            ]),
+
+            number(4 + args.length * 9, Valtype.i32),
+            [ Opcodes.call, includeBuiltin(scope, '__Porffor_malloc').index ],
+            [ Opcodes.local_tee, argsArray ],
+            number(wrapperArgc - underflow, Valtype.i32),
+            [ Opcodes.i32_store, 0, 0 ],
+
+            ...argsWasm
+          ];
+
+          for (let i = args.length - 1; i >= 0; i--) {
+            wasm.push(
+              [ Opcodes.local_set, argType ],
+              [ Opcodes.local_set, argValue ],
+
+              [ Opcodes.local_get, argsArray ],
+              [ Opcodes.local_get, argValue ],
+              [ Opcodes.f64_store, 0, ...unsignedLEB128(4 + i * 9) ],
+
+              [ Opcodes.local_get, argsArray ],
+              [ Opcodes.local_get, argType ],
+              [ Opcodes.i32_store8, 0, ...unsignedLEB128(12 + i * 9) ]
+            );
+          }
+
+          const callee = [
+            [ Opcodes.local_get, calleeLocal ],
+            ...(valtypeBinary === Valtype.i32 ? [ [ Opcodes.f64_convert_i32_u ] ] : []),
+            number(TYPES.proxy, Valtype.i32)
+          ];
+          const undef = [ number(UNDEFINED, Valtype.f64), number(TYPES.undefined, Valtype.i32) ];
+
+          return [
+            ...wasm,
+
+            // proxy, this, args, new.target
+            ...callee,
+            ...(callAsNew ? undef : [
+              [ Opcodes.local_get, thisValue ],
+              [ Opcodes.local_get, thisType ]
+            ]),
+            [ Opcodes.local_get, argsArray ],
+            [ Opcodes.f64_convert_i32_u ],
+            number(TYPES.array, Valtype.i32),
+            ...(callAsNew ? callee : undef),
+
+            ...stackTraceCall(scope, loc, [
+              [ Opcodes.call, includeBuiltin(scope, '__Porffor_proxy_call').index ]
+            ]),
+            ...setLastType(scope)
+          ];
+        },
+
         default: () => decl.optional ? withType(scope, [ number(UNDEFINED, Valtype.f64) ], TYPES.undefined)
           : internalThrow(scope, 'TypeError', `${unhackName(name)} is not a function`, Valtype.f64)
       }, Valtype.f64)
@@ -2681,7 +3382,7 @@ const generateCall = (scope, decl, _global, _name, unusedValue = false) => {
     if (decl.arguments.at(-1)?.type === 'SpreadElement') {
       // just use the array being spread
       args = args.slice(0, args.length - 8);
-      args.push(decl.arguments.at(-1).argument);
+      args.push({ type: 'Identifier', name: '#spread' });
     } else {
       const restArgs = args.slice(paramCount - 1);
       args = args.slice(0, paramCount - 1);
@@ -2732,7 +3433,19 @@ const generateCall = (scope, decl, _global, _name, unusedValue = false) => {
     if (typedParams) out = out.concat(arg._callType ?? getNodeType(scope, arg));
   }
 
-  out.push([ Opcodes.call, idx ]);
+  if (decl._tail && func && sameReturns(func.returns, scope.returns)) {
+    // no stack trace frame as it could not be popped after
+    decl._tailCalled = true;
+    out.push(untailable(decl, [ Opcodes.return_call, idx ], () => [
+      ...stackTraceCall(scope, loc, [ [ Opcodes.call, idx ] ]),
+      ...(typedReturns ? setLastType(scope) : [])
+    ]));
+    return out;
+  }
+
+  // imports cannot throw so are not in stack traces
+  if (idx < importedFuncs.length) out.push([ Opcodes.call, idx ]);
+    else out.push(...stackTraceCall(scope, loc, [ [ Opcodes.call, idx ] ]));
   if (decl._insideIndirect) return out;
 
   if (typedReturns) out.push(...setLastType(scope));
@@ -3329,7 +4042,10 @@ const generateVarDstr = (scope, kind, pattern, init, defaultValue, global) => {
 
     hoist(scope, name, kind === 'var' ? 1 : 2, global);
 
-    if (init && isFuncType(init.type)) {
+    // decorated classes can be replaced so are not like declarations
+    if (init?.decorators?.length > 0) {
+      setDefaultFuncName(init, name);
+    } else if (init && isFuncType(init.type)) {
       // opt: make decl with func expression like declaration
       setDefaultFuncName(init, name);
       const [ _func, out ] = generateFunc(scope, init, true);
@@ -3410,9 +4126,28 @@ const generateVarDstr = (scope, kind, pattern, init, defaultValue, global) => {
 
   if (pattern.type === 'ArrayPattern') {
     const decls = [];
-    const tmpName = '#destructure' + uniqId();
+    let tmpName = '#destructure' + uniqId();
     let out = generateVarDstr(scope, 'const', tmpName, init, defaultValue, false);
 
+    // other iterables are iterated into an array, only as far as needed
+    const known = knownType(scope, getType(scope, tmpName));
+    if (![ TYPES.array, TYPES.string, TYPES.bytestring ].includes(known) && !(known >= TYPES.uint8clampedarray && known <= TYPES.float64array)) {
+      const valuesName = '#destructure' + uniqId();
+      out = out.concat(generateVarDstr(scope, 'const', valuesName, {
+        type: 'CallExpression',
+        callee: {
+          type: 'Identifier',
+          name: '__Porffor_iterator_values'
+        },
+        arguments: [
+          { type: 'Identifier', name: tmpName },
+          { type: 'Literal', value: pattern.elements.some(x => x?.type === 'RestElement') ? -1 : pattern.elements.length }
+        ]
+      }, undefined, false));
+
+      tmpName = valuesName;
+    }
+
     let i = 0;
     const elements = pattern.elements.slice();
     for (const e of elements) {
@@ -3471,15 +4206,7 @@ const generateVarDstr = (scope, kind, pattern, init, defaultValue, global) => {
       i++;
     }
 
-    out = out.concat([
-      // check tmp is iterable
-      ...typeIsIterable(getType(scope, tmpName)),
-      [ Opcodes.if, Blocktype.void ],
-        ...internalThrow(scope, 'TypeError', 'Cannot array destructure a non-iterable'),
-      [ Opcodes.end ],
-    ], decls);
-
-    return out;
+    return out.concat(decls);
   }
 
   if (pattern.type === 'ObjectPattern') {
@@ -3585,6 +4312,65 @@ const generateVar = (scope, decl) => {
   return out;
 };
 
+// node modules we have builtin objects for
+const builtinModules = {
+  fs: '__Porffor_fs',
+  process: 'process'
+};
+
+const generateImport = (scope, decl) => {
+  const module = decl.source.value.replace(/^node:/, '');
+  const object = builtinModules[module];
+  if (!object) return internalThrow(scope, 'Error', `porffor: cannot import ${decl.source.value}`, true);
+
+  // imports become consts of the builtin object or its props
+  const declarations = [];
+  for (const x of decl.specifiers) {
+    if (x.type === 'ImportSpecifier') {
+      const name = (object.startsWith('__') ? '' : '__') + object + '_' + (x.imported.name ?? x.imported.value);
+      if (!hasFuncWithName(name) && !(name in builtinVars)) throw new SyntaxError(`The requested module '${decl.source.value}' does not provide an export named '${x.imported.name ?? x.imported.value}'`);
+
+      declarations.push({ type: 'VariableDeclarator', id: x.local, init: { type: 'Identifier', name } });
+    } else {
+      // default and namespace imports
+      declarations.push({ type: 'VariableDeclarator', id: x.local, init: { type: 'Identifier', name: object } });
+    }
+  }
+
+  return generateVar(scope, { type: 'VariableDeclaration', kind: 'const', declarations });
+};
+
+// relative import() of modules found at compile time are linked (see link.js)
+const generateDynamicImport = (scope, decl) => {
+  const specifier = decl.source.type === 'Literal' ? decl.source.value : null;
+  const object = typeof specifier === 'string' && builtinModules[specifier.replace(/^node:/, '')];
+  if (object) return generate(scope, {
+    type: 'CallExpression',
+    callee: { type: 'MemberExpression', object: { type: 'Identifier', name: 'Promise' }, property: { type: 'Identifier', name: 'resolve' }, computed: false },
+    arguments: [ { type: 'Identifier', name: object } ]
+  });
+
+  // anything else is not known at compile time so rejects
+  return generate(scope, {
+    type: 'SequenceExpression',
+    expressions: [
+      decl.source,
+      {
+        type: 'CallExpression',
+        callee: { type: 'MemberExpression', object: { type: 'Identifier', name: 'Promise' }, property: { type: 'Identifier', name: 'reject' }, computed: false },
+        arguments: [ {
+          type: 'NewExpression',
+          callee: { type: 'Identifier', name: 'Error' },
+          arguments: [ {
+            type: 'Literal',
+            value: specifier != null ? `Cannot find module '${specifier}'` : 'porffor: import() specifiers must be known at compile time'
+          } ]
+        } ]
+      }
+    ]
+  });
+};
+
 const privateIDName = name => '__#' + name;
 const getProperty = (decl, forceValueStr = false) => {
   const prop = decl.property ?? decl.key;
@@ -3636,7 +4422,13 @@ const memberTmpNames = scope => {
 };
 
 // todo: generate this array procedurally
-const builtinPrototypeGets = ['size', 'description', 'byteLength', 'byteOffset', 'buffer', 'detached', 'resizable', 'growable', 'maxByteLength', 'name', 'message', 'constructor', 'source', 'flags', 'global', 'ignoreCase', 'multiline', 'dotAll', 'unicode', 'sticky', 'hasIndices', 'unicodeSets', 'lastIndex'];
+const builtinPrototypeGets = ['size', 'description', 'byteLength', 'byteOffset', 'buffer', 'detached', 'resizable', 'growable', 'maxByteLength', 'name', 'message', 'stack', 'constructor', 'source', 'flags', 'global', 'ignoreCase', 'multiline', 'dotAll', 'unicode', 'sticky', 'hasIndices', 'unicodeSets', 'lastIndex', 'encoding', 'fatal', 'ignoreBOM',
+  // Temporal
+  'calendarId', 'year', 'month', 'monthCode', 'day', 'dayOfWeek', 'dayOfYear', 'weekOfYear', 'yearOfWeek', 'daysInWeek', 'daysInMonth', 'daysInYear', 'monthsInYear', 'inLeapYear',
+  'hour', 'minute', 'second', 'millisecond', 'microsecond', 'nanosecond', 'epochMilliseconds', 'epochNanoseconds',
+  'years', 'months', 'weeks', 'days', 'hours', 'minutes', 'seconds', 'milliseconds', 'microseconds', 'nanoseconds', 'sign', 'blank',
+  // SuppressedError, DisposableStack, DOMException
+  'error', 'suppressed', 'disposed', 'code'];
 
 const ctHash = prop => {
   if (!Prefs.ctHash || !prop ||
@@ -3879,15 +4671,27 @@ const generateAssign = (scope, decl, _global, _name, valueUnused = false) => {
     // opt: do not mark prototype funcs as referenced to optimize this in them
     if (object?.property?.name === 'prototype' && isFuncType(decl.right.type)) decl.right._doNotMarkFuncRef = true;
 
+    // get object type before generating property, as it can change the last type (eg a.b[a.c] = d)
+    const objectTypeWasm = getNodeType(scope, object);
+    let objectType = objectTypeWasm, objectTypeSet = [];
+    if (knownType(scope, objectTypeWasm) == null) {
+      const objectTypeTmp = localTmp(scope, '#member_setter_obj_type' + uniqId(), Valtype.i32);
+      objectType = [ [ Opcodes.local_get, objectTypeTmp ] ];
+      objectTypeSet = [
+        ...objectTypeWasm,
+        [ Opcodes.local_set, objectTypeTmp ]
+      ];
+    }
+
     const out = [
       ...generate(scope, object),
       [ Opcodes.local_set, objectTmp ],
+      ...objectTypeSet,
 
       ...generate(scope, property),
       [ Opcodes.local_set, propertyTmp ],
 
-      // todo: review last type usage here
-      ...typeSwitch(scope, getNodeType(scope, object), {
+      ...typeSwitch(scope, objectType, {
         ...(decl.left.computed ? {
           [TYPES.array]: () => [
             objectGet,
@@ -4031,6 +4835,22 @@ const generateAssign = (scope, decl, _global, _name, valueUnused = false) => {
               Opcodes.i32_to,
               [ Opcodes.i32_store, 0, 4 ]
             ],
+            [TYPES.float16array]: () => [
+              number(2, Valtype.i32),
+              [ Opcodes.i32_mul ],
+              [ Opcodes.i32_add ],
+              ...(op === '=' ? [] : [ [ Opcodes.local_tee, pointerTmp ] ]),
+
+              ...(op === '=' ? generate(scope, decl.right) : performOp(scope, op, [
+                [ Opcodes.local_get, pointerTmp ],
+                [ Opcodes.i32_load16_u, 0, 4 ],
+                [ Opcodes.call, includeBuiltin(scope, '__Porffor_float16_toNumber').index ]
+              ], generate(scope, decl.right), [ number(TYPES.number, Valtype.i32) ], getNodeType(scope, decl.right))),
+              ...optional([ Opcodes.local_tee, newValueTmp ]),
+
+              [ Opcodes.call, includeBuiltin(scope, '__Porffor_float16_fromNumber').index ],
+              [ Opcodes.i32_store16, 0, 4 ]
+            ],
             [TYPES.float32array]: () => [
               number(4, Valtype.i32),
               [ Opcodes.i32_mul ],
@@ -4133,7 +4953,7 @@ const generateAssign = (scope, decl, _global, _name, valueUnused = false) => {
           objectGet,
           Opcodes.i32_to,
           ...(op === '=' ? [] : [ [ Opcodes.local_tee, localTmp(scope, '#objset_object', Valtype.i32) ] ]),
-          ...getNodeType(scope, object),
+          ...objectType,
 
           ...toPropertyKey(scope, [ propertyGet ], getNodeType(scope, property), decl.left.computed, op === '='),
           ...(op === '=' ? [] : [ [ Opcodes.local_set, localTmp(scope, '#objset_property_type', Valtype.i32) ] ]),
@@ -4145,12 +4965,12 @@ const generateAssign = (scope, decl, _global, _name, valueUnused = false) => {
 
           ...(op === '=' ? generate(scope, decl.right) : performOp(scope, op, [
             [ Opcodes.local_get, localTmp(scope, '#objset_object', Valtype.i32) ],
-            ...getNodeType(scope, object),
+            ...objectType,
 
             [ Opcodes.local_get, localTmp(scope, '#objset_property', Valtype.i32) ],
             [ Opcodes.local_get, localTmp(scope, '#objset_property_type', Valtype.i32) ],
 
-            ...(hash != null ? [
+            ...stackTraceCall(scope, decl.loc, hash != null ? [
               number(hash, Valtype.i32),
               number(TYPES.number, Valtype.i32),
               [ Opcodes.call, includeBuiltin(scope, '__Porffor_object_get_withHash').index ]
@@ -4162,7 +4982,8 @@ const generateAssign = (scope, decl, _global, _name, valueUnused = false) => {
           ...(valtypeBinary === Valtype.i32 ? [ [ Opcodes.f64_convert_i32_s ] ] : []),
           ...getNodeType(scope, decl),
 
-          ...(hash != null ? [
+          // setting can throw (eg of null), so it is a frame for stack traces like calls
+          ...stackTraceCall(scope, decl.loc, hash != null ? [
             number(hash, Valtype.i32),
             number(TYPES.number, Valtype.i32),
             [ Opcodes.call, includeBuiltin(scope, scope.strict ? '__Porffor_object_setStrict_withHash' : '__Porffor_object_set_withHash').index ],
@@ -4418,8 +5239,9 @@ const generateUnary = (scope, decl) => {
         toGenerate = false;
       }
 
+      const tmp = localTmp(scope, '#typeof_tmp');
       const out = toGenerate ? generate(scope, decl.argument) : [];
-      if (toGenerate) out.push([ Opcodes.drop ]);
+      if (toGenerate) out.push([ Opcodes.local_set, tmp ]);
 
       out.push(...typeSwitch(scope, overrideType ?? getNodeType(scope, decl.argument), [
         [ TYPES.number, () => makeString(scope, 'number') ],
@@ -4428,6 +5250,16 @@ const generateUnary = (scope, decl) => {
         [ TYPES.undefined, () => makeString(scope, 'undefined') ],
         [ TYPES.function, () => makeString(scope, 'function') ],
         [ TYPES.symbol, () => makeString(scope, 'symbol') ],
+        [ TYPES.bigint, () => makeString(scope, 'bigint') ],
+
+        // proxies are typeof their target
+        [ TYPES.proxy, () => [
+          [ Opcodes.local_get, tmp ],
+          ...(valtypeBinary === Valtype.i32 ? [ [ Opcodes.f64_convert_i32_u ] ] : []),
+          number(TYPES.proxy, Valtype.i32),
+          [ Opcodes.call, includeBuiltin(scope, '__Porffor_proxy_typeof').index ],
+          ...(valtypeBinary === Valtype.i32 ? [ Opcodes.i32_trunc_sat_f64_u ] : [])
+        ] ],
 
         // object and internal types
         [ 'default', () => makeString(scope, 'object') ],
@@ -4521,6 +5353,326 @@ const inferLoopStart = scope => {
   scope.inferTree = [ Object.create(null) ];
 };
 
+// gc frames (--gc): collections happen when allocating, so each func which may allocate gets a frame on a
+// shadow stack for the collector to find its roots in. frames mirror locals as they are set, and values
+// left on the wasm stack (eg call results) while a call which may collect is made
+// entries (12): value (f64, 8), type + 1 (i32, 4), 0 if untyped to be scanned conservatively
+const gcShadowStackSize = 1024 * 1024;
+
+// [ last opcode, values popped, valtype pushed ] of numeric ops from i32.eqz
+const gcNumericOps = [
+  [ 0x45, 1, Valtype.i32 ], [ 0x4f, 2, Valtype.i32 ], [ 0x50, 1, Valtype.i32 ], [ 0x66, 2, Valtype.i32 ],
+  [ 0x69, 1, Valtype.i32 ], [ 0x78, 2, Valtype.i32 ], [ 0x7b, 1, Valtype.i64 ], [ 0x8a, 2, Valtype.i64 ],
+  [ 0x91, 1, Valtype.f32 ], [ 0x98, 2, Valtype.f32 ], [ 0x9f, 1, Valtype.f64 ], [ 0xa6, 2, Valtype.f64 ],
+  [ 0xab, 1, Valtype.i32 ], [ 0xb1, 1, Valtype.i64 ], [ 0xb6, 1, Valtype.f32 ], [ 0xbb, 1, Valtype.f64 ],
+  [ 0xbc, 1, Valtype.i32 ], [ 0xbd, 1, Valtype.i64 ], [ 0xbe, 1, Valtype.f32 ], [ 0xbf, 1, Valtype.f64 ],
+  [ 0xc1, 1, Valtype.i32 ], [ 0xc4, 1, Valtype.i64 ]
+];
+
+// [ values popped, valtypes pushed ] of an op which is not control flow or a call, null if unknown
+const gcOpEffect = (op, localTypes, globalTypes) => {
+  const o = op[0];
+  switch (o) {
+    case Opcodes.nop: return [ 0, [] ];
+    case Opcodes.drop: return [ 1, [] ];
+    case Opcodes.local_get: return [ 0, [ localTypes[op[1]] ] ];
+    case Opcodes.local_set: return [ 1, [] ];
+    case Opcodes.local_tee: return [ 1, [ localTypes[op[1]] ] ];
+    case Opcodes.global_get: return [ 0, [ globalTypes[op[1]] ] ];
+    case Opcodes.global_set: return [ 1, [] ];
+    case Opcodes.memory_size: return [ 0, [ Valtype.i32 ] ];
+    case Opcodes.memory_grow: return [ 1, [ Valtype.i32 ] ];
+
+    case 0xfc:
+      if (op[1] <= 7) return [ 1, [ op[1] <= 3 ? Valtype.i32 : Valtype.i64 ] ]; // trunc_sat
+      if (op[1] === 9) return [ 0, [] ]; // data.drop
+      if (op[1] <= 11) return [ 3, [] ]; // memory.init/copy/fill
+      return null;
+  }
+
+  if (o >= Opcodes.i32_load && o <= 0x35) return [ 1, [ [ Valtype.i32, Valtype.i64, Valtype.f32, Valtype.f64 ][o - Opcodes.i32_load] ?? (o <= 0x2f ? Valtype.i32 : Valtype.i64) ] ];
+  if (o >= Opcodes.i32_store && o <= 0x3e) return [ 2, [] ];
+  if (o >= Opcodes.i32_const && o <= Opcodes.f64_const) return [ 0, [ [ Valtype.i32, Valtype.i64, Valtype.f32, Valtype.f64 ][o - Opcodes.i32_const] ] ];
+
+  if (o >= 0x45) for (const [ last, pops, type ] of gcNumericOps) {
+    if (o <= last) return [ pops, [ type ] ];
+  }
+
+  return null;
+};
+
+const gcFrames = () => {
+  const malloc = funcs.find(x => x.name === '__Porffor_malloc');
+  if (!malloc || globals['#porf#gcShadowTop'] == null) return;
+
+  const internal = x => x.name === '__Porffor_malloc' || x.name.startsWith('__Porffor_gc_');
+  const byIndex = new Map(funcs.map(x => [ x.index, x ]));
+  const callee = op => op[1] < importedFuncs.length ? importedFuncs[op[1]] : byIndex.get(op[1]);
+
+  // funcs which may collect: malloc, its callers and so on, and anything calling indirectly
+  const collects = new Set([ malloc ]), callers = new Map(), queue = [ malloc ];
+  for (const f of funcs) {
+    for (const op of f.wasm) {
+      if (op[0] === Opcodes.call || op[0] === Opcodes.return_call) {
+        const x = byIndex.get(op[1]);
+        if (x) callers.get(x)?.add(f) ?? callers.set(x, new Set([ f ]));
+      }
+
+      if ((op[0] === Opcodes.call_indirect || op[0] === Opcodes.return_call_indirect) && !collects.has(f)) {
+        collects.add(f);
+        queue.push(f);
+      }
+    }
+  }
+
+  while (queue.length > 0) {
+    for (const x of callers.get(queue.pop()) ?? []) {
+      if (!collects.has(x)) {
+        collects.add(x);
+        queue.push(x);
+      }
+    }
+  }
+
+  const glbl = name => globals['#porf#' + name].idx;
+  const throwIdx = funcs.find(x => x.name === '__Porffor_gc_throw').index;
+
+  const base = allocPage(malloc, '#gc shadow stack');
+  for (let i = 1; i < gcShadowStackSize / pageSize; i++) allocPage(malloc, '#gc shadow stack ' + i);
+
+  globals['#porf#gcShadowBase'].init = base;
+  globals['#porf#gcShadowTop'].init = base;
+
+  const globalTypes = [];
+  for (const x in globals) globalTypes[globals[x].idx] = globals[x].type;
+
+  for (const f of funcs) {
+    if (!collects.has(f) || internal(f)) continue;
+
+    const localTypes = [], roots = [], slots = [], typeSlots = [];
+    for (const x in f.locals) {
+      const local = f.locals[x];
+      localTypes[local.idx] = local.type;
+
+      if ((local.type !== Valtype.f64 && local.type !== Valtype.i32) || x.endsWith('#type') || x === '#last_type') continue;
+      slots[local.idx] = roots.push(local) - 1;
+
+      const type = f.locals[x + '#type'];
+      if (type?.type === Valtype.i32) typeSlots[type.idx] = slots[local.idx];
+    }
+
+    // values on the wasm stack when a call which may collect is made, by the op which made them
+    // to spill after that op, into the slot for their depth in the stack
+    const spills = new Map();
+    let known = true;
+
+    const stack = [], blocks = [ { height: 0, dead: false, unreachable: false } ];
+    const push = (types, src) => {
+      const at = stack.length;
+      const pair = types.length === 2 && types[1] === Valtype.i32;
+      const value = types[0], pointer = (value === Valtype.f64 || value === Valtype.i32) && (pair || types.length === 1);
+      for (const t of types) stack.push({ t, value, src: pointer ? src : null, at, pair });
+    };
+
+    const pending = () => {
+      for (const x of stack) {
+        if (x.src != null) spills.set(x.src, x);
+      }
+    };
+
+    const polymorphic = block => {
+      stack.length = block.height;
+      block.unreachable = true;
+    };
+
+    for (let i = 0; i < f.wasm.length && known; i++) {
+      const op = f.wasm[i], o = op[0];
+      if (o === null) continue;
+
+      const block = blocks.at(-1);
+      if (o === Opcodes.block || o === Opcodes.loop || o === Opcodes.if || o === Opcodes.try) {
+        if (o === Opcodes.if && !block.unreachable) stack.pop();
+        blocks.push({ height: stack.length, results: op[1] === Blocktype.void ? [] : [ op[1] ], dead: block.unreachable, unreachable: block.unreachable });
+        continue;
+      }
+
+      if (o === Opcodes.else || o === Opcodes.catch || o === Opcodes.catch_all) {
+        stack.length = block.height;
+        block.unreachable = block.dead;
+        if (o === Opcodes.catch && !block.dead) push(tags[op[1]].params, i);
+        continue;
+      }
+
+      if (o === Opcodes.end || o === Opcodes.delegate) {
+        blocks.pop();
+        stack.length = block.height;
+        if (!block.dead) push(block.results, i);
+        continue;
+      }
+
+      if (block.unreachable) continue;
+
+      switch (o) {
+        case Opcodes.br_if:
+          stack.pop();
+          break;
+
+        case Opcodes.br_table:
+        case Opcodes.br:
+        case Opcodes.return:
+        case Opcodes.unreachable:
+        case Opcodes.rethrow:
+        case Opcodes.throw:
+        case Opcodes.return_call:
+        case Opcodes.return_call_indirect:
+          polymorphic(block);
+          break;
+
+        case Opcodes.call: {
+          const x = callee(op);
+          if (!x) {
+            known = false;
+            break;
+          }
+
+          stack.length -= x.params.length;
+          if (collects.has(x)) pending();
+          push(x.returns, i);
+          break;
+        }
+
+        case Opcodes.call_indirect:
+          stack.length -= op[1] * 2 + 2;
+          pending();
+          push([ valtypeBinary, Valtype.i32 ], i);
+          break;
+
+        case Opcodes.select: {
+          const [ a, b ] = stack.splice(stack.length - 3);
+          push([ a.t ], a.src != null || b.src != null ? i : null);
+          break;
+        }
+
+        default: {
+          const effect = gcOpEffect(op, localTypes, globalTypes);
+          if (!effect) {
+            known = false;
+            break;
+          }
+
+          // values set to locals are already in the frame
+          const popped = stack.splice(stack.length - effect[0]);
+          push(effect[1], o !== Opcodes.local_tee && popped.some(x => x.src != null) ? i : null);
+        }
+      }
+    }
+
+    if (!known) spills.clear();
+
+    let pendingSlots = 0;
+    for (const x of spills.values()) pendingSlots = Math.max(pendingSlots, x.at + 1);
+    if (roots.length + pendingSlots === 0) continue;
+
+    const size = (roots.length + pendingSlots) * 12;
+    const frame = localTmp(f, '#gc_frame', Valtype.i32);
+
+    const setValue = (local, at, type = localTypes[local]) => [
+      [ Opcodes.local_get, frame ],
+      [ Opcodes.local_get, local ],
+      ...(type === Valtype.i32 ? [ [ Opcodes.f64_convert_i32_u ] ] : []),
+      [ Opcodes.f64_store, 0, ...unsignedLEB128(at * 12) ]
+    ];
+
+    const setType = (local, at, untyped = false) => [
+      [ Opcodes.local_get, frame ],
+      ...(untyped ? [ number(0, Valtype.i32) ] : [
+        [ Opcodes.local_get, local ],
+        number(1, Valtype.i32),
+        [ Opcodes.i32_add ]
+      ]),
+      [ Opcodes.i32_store, 0, ...unsignedLEB128(at * 12 + 8) ]
+    ];
+
+    const set = local => [
+      ...(slots[local] != null ? setValue(local, slots[local]) : []),
+      ...(typeSlots[local] != null ? setType(local, typeSlots[local]) : [])
+    ];
+
+    const spill = ({ value: t, at, pair }) => {
+      const value = localTmp(f, '#gc_spill_' + t, t);
+      if (!pair) return [
+        [ Opcodes.local_tee, value ],
+        ...setValue(value, roots.length + at, t),
+        ...setType(null, roots.length + at, true)
+      ];
+
+      const type = localTmp(f, '#gc_spill_type', Valtype.i32);
+      return [
+        [ Opcodes.local_set, type ],
+        [ Opcodes.local_tee, value ],
+        ...setValue(value, roots.length + at, t),
+        ...setType(type, roots.length + at),
+        [ Opcodes.local_get, type ]
+      ];
+    };
+
+    const pop = [
+      [ Opcodes.local_get, frame ],
+      [ Opcodes.global_set, glbl('gcShadowTop') ]
+    ];
+
+    const out = [
+      [ Opcodes.global_get, glbl('gcShadowTop') ],
+      [ Opcodes.local_tee, frame ],
+      number(size, Valtype.i32),
+      [ Opcodes.i32_add ],
+      [ Opcodes.global_set, glbl('gcShadowTop') ],
+
+      [ Opcodes.global_get, glbl('gcShadowTop') ],
+      number(base + gcShadowStackSize, Valtype.i32),
+      [ Opcodes.i32_gt_u ],
+      [ Opcodes.if, Blocktype.void ],
+        ...pop,
+        number(1, Valtype.i32),
+        [ Opcodes.call, throwIdx ],
+      [ Opcodes.end ],
+
+      [ Opcodes.local_get, frame ],
+      number(0, Valtype.i32),
+      number(size, Valtype.i32),
+      [ ...Opcodes.memory_fill, 0x00 ]
+    ];
+
+    for (let i = 0; i < f.params.length; i++) out.push(...set(i));
+
+    let depth = 0;
+    for (let i = 0; i < f.wasm.length; i++) {
+      const op = f.wasm[i], o = op[0];
+      if (o === Opcodes.block || o === Opcodes.loop || o === Opcodes.if || o === Opcodes.try) depth++;
+      if (o === Opcodes.end || o === Opcodes.delegate) depth--;
+
+      // leaving the func
+      if (o === Opcodes.return || o === Opcodes.return_call || o === Opcodes.return_call_indirect || (o === Opcodes.br && op[1] === depth)) out.push(...pop);
+      out.push(op);
+
+      if (o === Opcodes.local_set || o === Opcodes.local_tee) out.push(...set(op[1]));
+
+      // frames of funcs thrown through were not popped
+      if (o === Opcodes.catch || o === Opcodes.catch_all) out.push(
+        [ Opcodes.local_get, frame ],
+        number(size, Valtype.i32),
+        [ Opcodes.i32_add ],
+        [ Opcodes.global_set, glbl('gcShadowTop') ]
+      );
+
+      if (spills.has(i)) out.push(...spill(spills.get(i)));
+    }
+
+    out.push(...pop);
+    f.wasm = out;
+  }
+};
+
 const inferLoopEnd = scope => {
   scope.inferTree = inferLoopPrev.pop();
 };
@@ -4592,10 +5744,19 @@ const generateConditional = (scope, decl) => {
 };
 
 const generateFor = (scope, decl) => {
+  // resources are disposed after the loop, as if declared in a block around it
+  if (isUsing(decl.init)) return generate(scope, {
+    type: 'BlockStatement',
+    body: [
+      decl.init,
+      { ...decl, init: null }
+    ]
+  });
+
   const out = [];
 
   if (decl.init) out.push(
-    ...generate(scope, decl.init, false, undefined, true),
+    ...skipResumedPast(scope, decl.init, () => generate(scope, decl.init, false, undefined, true)),
     [ Opcodes.drop ]
   );
 
@@ -4742,6 +5903,29 @@ const generateDoWhile = (scope, decl) => {
 };
 
 const generateForOf = (scope, decl) => {
+  // resources are disposed each iteration, as if declared in the body
+  if (isUsing(decl.left)) {
+    const tmp = { type: 'Identifier', name: `#forof_using${uniqId()}` };
+    return generate(scope, {
+      ...decl,
+      left: {
+        ...decl.left,
+        kind: 'const',
+        declarations: [ { ...decl.left.declarations[0], id: tmp } ]
+      },
+      body: {
+        type: 'BlockStatement',
+        body: [
+          {
+            ...decl.left,
+            declarations: [ { ...decl.left.declarations[0], init: tmp } ]
+          },
+          decl.body
+        ]
+      }
+    });
+  }
+
   const out = [];
 
   let count = 0;
@@ -4752,33 +5936,53 @@ const generateForOf = (scope, decl) => {
   const pointer = localTmp(scope, '#forof_base_pointer' + count, Valtype.i32);
   const length = localTmp(scope, '#forof_length' + count, Valtype.i32);
   const counter = localTmp(scope, '#forof_counter' + count, Valtype.i32);
+  const iter = localTmp(scope, '#forof_iter' + count);
 
-  const iterType = [ [ Opcodes.local_get, localTmp(scope, '#forof_itertype' + count, Valtype.i32) ] ];
+  // values known to be arrays, strings, etc only need their own case and never use the iterator protocol
+  const known = knownType(scope, getNodeType(scope, decl.right));
+  const protocol = known == null || !fastIterable(known);
+  const iterType = protocol ? [ [ Opcodes.local_get, localTmp(scope, '#forof_iter' + count + '#type', Valtype.i32) ] ] : [ number(known, Valtype.i32) ];
 
-  out.push(
-    // set pointer as right
+  // resuming generators keep the iterator
+  out.push(...skipResumedPast(scope, decl.right, () => [
     ...generate(scope, decl.right),
-    Opcodes.i32_to_u,
-    [ Opcodes.local_set, pointer ],
+    [ Opcodes.local_set, iter ],
 
     ...getNodeType(scope, decl.right),
-    [ Opcodes.local_set, localTmp(scope, '#forof_itertype' + count, Valtype.i32) ],
+    [ Opcodes.local_set, localTmp(scope, '#forof_iter' + count + '#type', Valtype.i32) ],
 
     // set counter as 0 (could be already used)
     number(0, Valtype.i32),
     [ Opcodes.local_set, counter ],
 
-    // check tmp is iterable
-    ...typeIsIterable(iterType),
-    [ Opcodes.if, Blocktype.void ],
-      ...internalThrow(scope, 'TypeError', `Tried for..of on non-iterable type`),
-    [ Opcodes.end ],
+    // other iterables use the iterator protocol (or throw if not iterable)
+    ...(protocol ? [
+      ...typeIsIterable(iterType),
+      [ Opcodes.if, Blocktype.void ],
+        ...iteratorProtocol(scope, () => [
+          [ Opcodes.local_get, iter ],
+          ...iterType,
+          [ Opcodes.call, includeBuiltin(scope, '__Porffor_iterator_of').index ],
+          [ Opcodes.local_set, localTmp(scope, '#forof_iter' + count + '#type', Valtype.i32) ],
+          [ Opcodes.local_set, iter ]
+        ], () => internalThrow(scope, 'TypeError', 'Value is not iterable')),
+      [ Opcodes.end ]
+    ] : []),
 
-    // get length
-    [ Opcodes.local_get, pointer ],
-    [ Opcodes.i32_load, Math.log2(ValtypeSize.i32) - 1, 0 ],
+    // set pointer as right
+    [ Opcodes.local_get, iter ],
+    Opcodes.i32_to_u,
+    [ Opcodes.local_set, pointer ],
+
+    // get length
+    [ Opcodes.local_get, pointer ],
+    [ Opcodes.i32_load, Math.log2(ValtypeSize.i32) - 1, 0 ],
     [ Opcodes.local_set, length ]
-  );
+  ], [], Blocktype.void));
+
+  // iterators are closed when the loop is left early
+  scope.leaving ??= [];
+  scope.leaving.push({ iter: count, protocol, depth: depth.length });
 
   inferLoopStart(scope);
   depth.push('forof');
@@ -4967,6 +6171,10 @@ const generateForOf = (scope, decl) => {
       [ Opcodes.i32_load, 0, 4 ],
       Opcodes.i32_from
     ], 4) ],
+    [ TYPES.float16array, () => makeTypedArrayNext([
+      [ Opcodes.i32_load16_u, 0, 4 ],
+      [ Opcodes.call, includeBuiltin(scope, '__Porffor_float16_toNumber').index ]
+    ], 2) ],
     [ TYPES.float32array, () => makeTypedArrayNext([
       [ Opcodes.f32_load, 0, 4 ],
       [ Opcodes.f64_promote_f32 ]
@@ -4982,9 +6190,20 @@ const generateForOf = (scope, decl) => {
       [ Opcodes.i64_load, 0, 4 ],
       [ Opcodes.call, includeBuiltin(scope, '__Porffor_bigint_fromU64').index ]
     ], 8, TYPES.bigint) ],
-    [ TYPES.__porffor_generator, () => [
-      // just break?! TODO: actually implement this
-      [ Opcodes.br, depth.length - prevDepth ]
+    [ [ TYPES.__porffor_generator, TYPES.__porffor_asyncgenerator, TYPES.iteratorhelper ], () => [
+      // step iterator
+      [ Opcodes.local_get, iter ],
+      ...iterType,
+      [ Opcodes.call, includeBuiltin(scope, '__Porffor_iterator_step').index ],
+      ...setLastType(scope),
+      [ Opcodes.local_set, localTmp(scope, '#forof_value') ],
+
+      // if done then break
+      [ Opcodes.call, includeBuiltin(scope, '__Porffor_iterator_done').index ],
+      Opcodes.i32_to_u,
+      [ Opcodes.br_if, depth.length - prevDepth ],
+
+      [ Opcodes.local_get, localTmp(scope, '#forof_value') ]
     ] ],
 
     [ TYPES.map, () => [
@@ -5062,6 +6281,9 @@ const generateForOf = (scope, decl) => {
     [ 'default', [ [ Opcodes.unreachable ] ] ]
   ], valtypeBinary);
 
+  // resuming generators do not step again
+  if (scope.generator) depth.push('if');
+
   // setup local for left
   let setVar;
   if (decl.left.type === 'Identifier') {
@@ -5074,10 +6296,43 @@ const generateForOf = (scope, decl) => {
   }
 
   // next and set local
+  if (scope.generator) {
+    depth.pop();
+    out.push(
+      [ Opcodes.local_get, scope.locals['#resume'].idx ],
+      [ Opcodes.i32_eqz ],
+      [ Opcodes.if, Blocktype.void ],
+        ...setVar,
+      [ Opcodes.end ]
+    );
+  } else {
+    out.push(...setVar);
+  }
+
+  // iterators are closed if the body throws
+  // c exits on throw so there is nothing to close, and builtins are also used by 2c so skip it there
+  const closeOnThrow = protocol && Prefs.wasmExceptions !== false && !Prefs.unreachableExceptions && !globalThis.precompile && !(Prefs.target === 'c' || Prefs.target === 'native' || Prefs.native);
+  if (closeOnThrow) {
+    out.push([ Opcodes.try, Blocktype.void ]);
+    depth.push('try');
+  }
+
   out.push(
-    ...setVar,
     ...generate(scope, decl.body),
-    [ Opcodes.drop ],
+    [ Opcodes.drop ]
+  );
+
+  if (closeOnThrow) {
+    out.push(
+      [ Opcodes.catch_all ],
+      ...closeIterator(scope, count, '__Porffor_iterator_closeThrow'),
+      [ Opcodes.rethrow, 0 ],
+      [ Opcodes.end ]
+    );
+    depth.pop();
+  }
+
+  out.push(
     [ Opcodes.br, 1 ], // continue
     [ Opcodes.end ], // end block
     [ Opcodes.end ], // end loop
@@ -5085,6 +6340,7 @@ const generateForOf = (scope, decl) => {
   );
 
   depth.pop(); depth.pop();
+  scope.leaving.pop();
 
   inferLoopEnd(scope);
   return out;
@@ -5103,20 +6359,24 @@ const generateForIn = (scope, decl) => {
   const counter = localTmp(scope, '#forin_counter' + count, Valtype.i32);
 
   out.push(
-    // set pointer as right
-    ...generate(scope, decl.right),
-    Opcodes.i32_to_u,
-    [ Opcodes.local_set, pointer ],
+    // resuming generators keep the position
+    ...skipResumedPast(scope, decl.right, () => [
+      // set pointer as right
+      ...generate(scope, decl.right),
+      Opcodes.i32_to_u,
+      [ Opcodes.local_set, pointer ],
 
-    // set counter as 0 (could be already used)
-    number(0, Valtype.i32),
-    [ Opcodes.local_set, counter ],
+      // set counter as 0 (could be already used)
+      number(0, Valtype.i32),
+      [ Opcodes.local_set, counter ],
 
-    // get length
-    [ Opcodes.local_get, pointer ],
-    [ Opcodes.i32_load16_u, 0, 0 ],
-    [ Opcodes.local_tee, length ],
+      // get length
+      [ Opcodes.local_get, pointer ],
+      [ Opcodes.i32_load16_u, 0, 0 ],
+      [ Opcodes.local_set, length ]
+    ], [], Blocktype.void),
 
+    [ Opcodes.local_get, length ],
     [ Opcodes.if, Blocktype.void ]
   );
 
@@ -5400,7 +6660,7 @@ const generateBreak = (scope, decl) => {
     for: 2, // loop > if (wanted branch) > block (we are here)
     while: 2, // loop > if (wanted branch) (we are here)
     dowhile: 2, // loop > block (wanted branch) > block (we are here)
-    forof: 1, // loop > block (wanted branch) (we are here)
+    forof: 2, // loop > block (wanted branch) > try (we are here, or in block if not closing iterators on throw)
     forin: 2, // loop > block (wanted branch) > if (we are here)
     if: 1, // break inside if, branch 0 to skip the rest of the if
     switch: 1,
@@ -5408,6 +6668,7 @@ const generateBreak = (scope, decl) => {
   })[type];
 
   return [
+    ...leaveBlocks(scope, target),
     [ Opcodes.br, ...unsignedLEB128(depth.length - target - offset) ]
   ];
 };
@@ -5424,11 +6685,12 @@ const generateContinue = (scope, decl) => {
     for: 3, // loop (wanted branch) > if > block (we are here)
     while: 1, // loop (wanted branch) > if (we are here)
     dowhile: 3, // loop > block > block (wanted branch) (we are here)
-    forof: 2, // loop (wanted branch) > block (we are here)
+    forof: 1, // loop (wanted branch) > block > try (we are here, or in block if not closing iterators on throw)
     forin: 3 // loop > block > if (wanted branch) (we are here)
   })[type];
 
   return [
+    ...leaveBlocks(scope, target, true),
     [ Opcodes.br, ...unsignedLEB128(depth.length - target - offset) ]
   ];
 };
@@ -5522,28 +6784,78 @@ const generateThrow = (scope, decl) => {
     out.push(...getNodeType(scope, decl.argument));
   }
 
+  // c/native print uncaught exceptions with this (see 2c.js)
+  if (!globalThis.precompile && (Prefs.target === 'c' || Prefs.target === 'native' || Prefs.native)) includeBuiltin(scope, '__Porffor_printUncaught');
+
   out.push([ Opcodes.throw, globalThis.precompile ? 1 : 0 ]);
   return out;
 };
 
 const generateTry = (scope, decl) => {
-  // todo: handle control-flow pre-exit for finally
-  // "Immediately before a control-flow statement (return, throw, break, continue) is executed in the try block or catch block."
-
   const out = [];
 
-  const finalizer = decl.finalizer ? [
-    ...generate(scope, decl.finalizer),
-    [ Opcodes.drop ]
-  ]: [];
+  // finally runs after the try (and catch) complete, when thrown out of them (caught to run then rethrown),
+  // and before return, break and continue leave them (see leaveBlocks). ran stops it running twice when thrown out of
+  let finalizer = [], ran;
+  if (decl.finalizer) {
+    finalizer = [
+      ...generate(scope, decl.finalizer),
+      [ Opcodes.drop ]
+    ];
+
+    ran = localTmp(scope, '#finally_ran' + uniqId(), Valtype.i32);
+    out.push(
+      number(0, Valtype.i32),
+      [ Opcodes.local_set, ran ],
+      [ Opcodes.try, Blocktype.void ]
+    );
+
+    scope.leaving ??= [];
+    scope.leaving.push({ finalizer, ran, depth: depth.length });
+    depth.push('try');
+  }
+
+  // calls thrown out of did not pop their stack trace frames, so restore the depth when caught
+  let restoreStackTrace = [];
+  if (Prefs.stackTrace && decl.handler) {
+    const stackDepth = localTmp(scope, '#try_stack_depth' + uniqId(), Valtype.i32);
+    out.push(
+      [ Opcodes.call, includeBuiltin(scope, '__Porffor_stackTrace_depth').index ],
+      [ Opcodes.local_set, stackDepth ]
+    );
+
+    restoreStackTrace = [
+      [ Opcodes.local_get, stackDepth ],
+      [ Opcodes.call, includeBuiltin(scope, '__Porffor_stackTrace_restore').index ]
+    ];
+  }
 
   out.push([ Opcodes.try, Blocktype.void ]);
   depth.push('try');
 
+  let tmpName;
+  if (decl.handler?.param) {
+    let count = 1;
+    for (let i = 0; i < depth.length; i++) {
+      if (depth[i] === 'catch') count++;
+    }
+
+    tmpName = '#catch_tmp' + count;
+    localTmp(scope, tmpName, valtypeBinary);
+    localTmp(scope, tmpName + '#type', Valtype.i32);
+  }
+
+  // generators resuming into the catch throw what was caught again to get there
+  if (scope.generator && decl.handler && yieldRange(decl.handler)) out.push(
+    ...resumingInto(scope, decl.handler),
+    [ Opcodes.if, Blocktype.void ],
+      ...generateThrow(scope, { argument: tmpName ? { type: 'Identifier', name: tmpName } : DEFAULT_VALUE() }),
+    [ Opcodes.end ]
+  );
+
   out.push(
     ...generate(scope, decl.block),
-    [ Opcodes.drop ],
-    ...finalizer
+    [ Opcodes.drop ]
   );
 
   if (decl.handler) {
@@ -5553,20 +6865,14 @@ const generateTry = (scope, decl) => {
     const param = decl.handler.param;
 
     if (param) {
-      let count = 0;
-      for (let i = 0; i < depth.length; i++) {
-        if (depth[i] === 'catch') count++;
-      }
-
-      const tmpName = '#catch_tmp' + count;
-      const tmp = localTmp(scope, tmpName, valtypeBinary);
-      localTmp(scope, tmpName + "#type", Valtype.i32);
+      const tmp = scope.locals[tmpName].idx;
 
       // setup local for param
       out.push(
         [ Opcodes.catch, 0 ],
         ...setType(scope, tmpName, []),
         [ Opcodes.local_set, tmp ],
+        ...restoreStackTrace,
 
         ...generateVarDstr(scope, 'let', param, { type: 'Identifier', name: tmpName }, undefined, false)
       );
@@ -5574,19 +6880,39 @@ const generateTry = (scope, decl) => {
       // ensure tag exists for specific catch
       ensureTag();
     } else {
-      out.push([ Opcodes.catch_all ]);
+      out.push(
+        [ Opcodes.catch_all ],
+        ...restoreStackTrace
+      );
     }
 
     out.push(
       ...generate(scope, decl.handler.body),
-      [ Opcodes.drop ],
-      ...finalizer
+      [ Opcodes.drop ]
     );
   }
 
   out.push([ Opcodes.end ]);
   depth.pop();
 
+  if (decl.finalizer) {
+    scope.leaving.pop();
+    depth.pop();
+
+    out.push(
+      [ Opcodes.catch_all ],
+        [ Opcodes.local_get, ran ],
+        [ Opcodes.i32_eqz ],
+        [ Opcodes.if, Blocktype.void ],
+          ...finalizer,
+        [ Opcodes.end ],
+        [ Opcodes.rethrow, 0 ],
+      [ Opcodes.end ],
+
+      ...finalizer
+    );
+  }
+
   out.push(number(UNDEFINED));
   return out;
 };
@@ -5604,8 +6930,8 @@ const generateMeta = (scope, decl) => {
     return [ number(UNDEFINED) ];
   }
 
-  // todo: import.meta
-  return internalThrow(scope, 'Error', `porffor: meta property ${decl.meta.name}.${decl.property.name} is not supported yet`, true);
+  // import.meta is made by the linker as it needs the file
+  return internalThrow(scope, 'Error', `porffor: meta property ${decl.meta.name}.${decl.property.name} is only supported when compiling files`, true);
 };
 
 const compileBytes = (val, itemType) => {
@@ -6029,6 +7355,18 @@ const generateMember = (scope, decl, _global, _name) => {
     }
 
     if (known == null) extraBC = bc;
+  } else if (known != null && !decl.computed) {
+    // getters of known builtin types not in the list above, eg Intl.Collator.prototype.compare
+    const getter = `__${TYPE_NAMES[known]}_prototype_${decl.property.name}$get`;
+    if (builtinFuncs[getter]) return generate(scope, {
+      type: 'CallExpression',
+      callee: {
+        type: 'Identifier',
+        name: getter
+      },
+      arguments: [ object ],
+      _protoInternalCall: true
+    });
   }
 
   const hash = ctHash(decl);
@@ -6187,6 +7525,14 @@ const generateMember = (scope, decl, _global, _name) => {
           [ Opcodes.i32_add ],
 
           [ Opcodes.f64_load, 0, 4 ]
+        ],
+        [TYPES.float16array]: () => [
+          number(2, Valtype.i32),
+          [ Opcodes.i32_mul ],
+          [ Opcodes.i32_add ],
+
+          [ Opcodes.i32_load16_u, 0, 4 ],
+          [ Opcodes.call, includeBuiltin(scope, '__Porffor_float16_toNumber').index ]
         ]
       }, {
         prelude: [
@@ -6240,7 +7586,8 @@ const generateMember = (scope, decl, _global, _name) => {
 
       ...toPropertyKey(scope, [ propertyGet ], getNodeType(scope, property), decl.computed, true),
 
-      ...(hash != null ? [
+      // getting can throw (eg of null), so it is a frame for stack traces like calls
+      ...stackTraceCall(scope, decl.loc, hash != null ? [
         number(hash, Valtype.i32),
         number(TYPES.number, Valtype.i32),
         [ Opcodes.call, includeBuiltin(scope, '__Porffor_object_get_withHash').index ]
@@ -6344,6 +7691,193 @@ const generateAwait = (scope, decl) => {
   });
 };
 
+// decorators (2023-05) are applied while defining class elements with context objects built statically,
+// calling identifier decorators directly. see decorators.ts for the runtime helpers
+const decoratorCalls = (scope, decorators) => {
+  const out = [];
+  const calls = decorators.map(({ expression }) => {
+    if (expression.type === 'Identifier') return { callee: expression };
+
+    // evaluate now, in order with computed keys
+    const callee = `#decorator${uniqId()}`;
+    allocVar(scope, callee, true);
+
+    if (expression.type === 'MemberExpression' && expression.object.type !== 'Super') {
+      // called with the object as this
+      const _this = `#decorator_this${uniqId()}`;
+      allocVar(scope, _this, true);
+
+      out.push(
+        ...generate(scope, assignTo(_this, expression.object)),
+        [ Opcodes.drop ],
+        ...generate(scope, assignTo(callee, { ...expression, object: { type: 'Identifier', name: _this } })),
+        [ Opcodes.drop ]
+      );
+      return { callee: { type: 'Identifier', name: callee }, _this };
+    }
+
+    out.push(
+      ...generate(scope, assignTo(callee, expression)),
+      [ Opcodes.drop ]
+    );
+    return { callee: { type: 'Identifier', name: callee } };
+  });
+
+  return [ out, calls ];
+};
+
+const assignTo = (name, value) => ({
+  type: 'AssignmentExpression',
+  operator: '=',
+  left: { type: 'Identifier', name },
+  right: value
+});
+
+// apply decorators last first, each returning the new value (validated by __Porffor_decorator_result)
+// kind: 0 = class/method/getter/setter, 1 = field, 2 = accessor
+const decorate = (scope, calls, value, context, kind, initializers = null) => {
+  const tmp = `#decorated${uniqId()}`;
+  allocVar(scope, tmp, true);
+
+  const expressions = [ assignTo(tmp, value) ];
+  for (let i = calls.length - 1; i >= 0; i--) {
+    const { callee, _this } = calls[i];
+    const thisIdent = { type: 'Identifier', name: _this };
+
+    expressions.push(assignTo(tmp, {
+      type: 'CallExpression',
+      callee: { type: 'Identifier', name: '__Porffor_decorator_result' },
+      arguments: [
+        {
+          type: 'CallExpression',
+          callee,
+          arguments: [ { type: 'Identifier', name: tmp }, context() ],
+          ...(_this && { _thisWasm: [ ...generate(scope, thisIdent), ...getNodeType(scope, thisIdent) ] })
+        },
+        { type: 'Identifier', name: tmp },
+        { type: 'Literal', value: kind },
+        initializers ? { type: 'Identifier', name: initializers } : DEFAULT_VALUE()
+      ]
+    }));
+  }
+
+  expressions.push({ type: 'Identifier', name: tmp });
+  return { type: 'SequenceExpression', expressions };
+};
+
+// context given to decorators, key is for the access functions
+const decoratorContext = (kind, name, key, _static, _private, initializers, metadata) => {
+  const ident = name => ({ type: 'Identifier', name });
+  const prop = (name, value) => ({ key: { type: 'Literal', value: name }, value, kind: 'init' });
+  const member = () => ({ type: 'MemberExpression', object: ident('o'), property: key(), computed: true });
+
+  const properties = [
+    prop('kind', { type: 'Literal', value: kind }),
+    prop('name', name)
+  ];
+
+  if (kind !== 'class') {
+    const access = [
+      prop('has', {
+        type: 'ArrowFunctionExpression',
+        params: [ ident('o') ],
+        body: { type: 'BinaryExpression', operator: 'in', left: key(), right: ident('o') },
+        expression: true
+      })
+    ];
+
+    if (kind !== 'setter') access.push(prop('get', {
+      type: 'ArrowFunctionExpression',
+      params: [ ident('o') ],
+      body: member(),
+      expression: true
+    }));
+
+    if (kind === 'setter' || kind === 'field' || kind === 'accessor') access.push(prop('set', {
+      type: 'ArrowFunctionExpression',
+      params: [ ident('o'), ident('v') ],
+      body: {
+        type: 'BlockStatement',
+        body: [ { type: 'ExpressionStatement', expression: { type: 'AssignmentExpression', operator: '=', left: member(), right: ident('v') } } ]
+      }
+    }));
+
+    properties.push(
+      prop('static', { type: 'Literal', value: _static }),
+      prop('private', { type: 'Literal', value: _private }),
+      prop('access', { type: 'ObjectExpression', properties: access })
+    );
+  }
+
+  if (initializers) properties.push(prop('addInitializer', {
+    type: 'ArrowFunctionExpression',
+    params: [ ident('f') ],
+    body: {
+      type: 'CallExpression',
+      callee: ident('__Porffor_decorator_addInitializer'),
+      arguments: [ ident(initializers), ident('f') ]
+    },
+    expression: true
+  }));
+
+  properties.push(prop('metadata', ident(metadata)));
+  return { type: 'ObjectExpression', properties };
+};
+
+// accessor x = 1 -> get x and set x with a private storage field
+// they share state so decorators are applied to get and set together
+const expandAccessor = x => {
+  const accessor = { storage: `#accessor${uniqId()}` };
+  const storage = () => ({
+    type: 'MemberExpression',
+    object: { type: 'ThisExpression' },
+    property: { type: 'PrivateIdentifier', name: accessor.storage },
+    computed: false
+  });
+
+  accessor.set = {
+    type: 'FunctionExpression',
+    params: [ { type: 'Identifier', name: 'value' } ],
+    body: {
+      type: 'BlockStatement',
+      body: [ { type: 'ExpressionStatement', expression: { type: 'AssignmentExpression', operator: '=', left: storage(), right: { type: 'Identifier', name: 'value' } } } ]
+    }
+  };
+
+  return [
+    {
+      ...x,
+      type: 'MethodDefinition',
+      kind: 'get',
+      value: {
+        type: 'FunctionExpression',
+        params: [],
+        body: {
+          type: 'BlockStatement',
+          body: [ { type: 'ReturnStatement', argument: storage() } ]
+        }
+      },
+      _accessor: accessor
+    },
+    {
+      ...x,
+      type: 'MethodDefinition',
+      kind: 'set',
+      value: accessor.set,
+      decorators: [],
+      _accessor: accessor
+    },
+    {
+      type: 'PropertyDefinition',
+      key: { type: 'PrivateIdentifier', name: accessor.storage },
+      value: x.value,
+      static: x.static,
+      computed: false,
+      _accessor: accessor
+    }
+  ];
+};
+
 const generateClass = (scope, decl) => {
   const expr = decl.type === 'ClassExpression';
 
@@ -6351,13 +7885,7 @@ const generateClass = (scope, decl) => {
   const name = decl.id.name;
   if (!expr) hoist(scope, name, 2, true);
 
-  const body = decl.body.body;
-  const root = {
-    type: 'Identifier',
-    name
-  };
-  const proto = getObjProp(root, 'prototype');
-
+  const body = decl.body.body.flatMap(x => x.type === 'AccessorProperty' ? expandAccessor(x) : x);
   const [ func, out ] = generateFunc(scope, {
     ...(body.find(x => x.kind === 'constructor')?.value ?? (decl.superClass ? {
       type: 'FunctionExpression',
@@ -6386,7 +7914,7 @@ const generateClass = (scope, decl) => {
         body: []
       }
     })),
-    id: root,
+    id: { type: 'Identifier', name },
     strict: true,
     type: expr ? 'FunctionExpression' : 'FunctionDeclaration',
     _onlyConstr: true,
@@ -6396,6 +7924,22 @@ const generateClass = (scope, decl) => {
   // always generate class constructor funcs
   func.generate();
 
+  // refer to the class by an internal name, as its name can be bound to something else already
+  // (eg the decorated class or in let A; A = class A {})
+  const root = {
+    type: 'Identifier',
+    name: `#class${uniqId()}`
+  };
+  funcIndex[root.name] = func.index;
+  const proto = getObjProp(root, 'prototype');
+
+  let classDecorators;
+  if (decl.decorators?.length > 0) {
+    let wasm;
+    [ wasm, classDecorators ] = decoratorCalls(scope, decl.decorators);
+    out.push(...wasm);
+  }
+
   if (decl.superClass) {
     const superTmp = localTmp(scope, '#superclass');
     const superTypeTmp = localTmp(scope, '#superclass#type', Valtype.i32);
@@ -6463,8 +8007,53 @@ const generateClass = (scope, decl) => {
   const thisWasm = generate(func, { type: 'ThisExpression', _noGlobalThis: true });
   const thisType = getNodeType(func, { type: 'ThisExpression', _noGlobalThis: true });
 
+  // decorator metadata inherits from the superclass metadata
+  const decorated = !!classDecorators || body.some(x => x.decorators?.length > 0);
+  const metadata = `#decorator_metadata${uniqId()}`;
+  const initializers = {};
+  const initializersFor = kind => {
+    if (!initializers[kind]) {
+      initializers[kind] = `#decorator_${kind}_initializers${uniqId()}`;
+      allocVar(scope, initializers[kind], true);
+      out.push(
+        ...generate(scope, assignTo(initializers[kind], { type: 'ArrayExpression', elements: [] })),
+        [ Opcodes.drop ]
+      );
+    }
+
+    return initializers[kind];
+  };
+
+  if (decorated) {
+    allocVar(scope, metadata, true);
+    out.push(
+      ...generate(scope, assignTo(metadata, {
+        type: 'CallExpression',
+        callee: { type: 'Identifier', name: '__Object_create' },
+        arguments: [
+          !decl.superClass ? { type: 'Literal', value: null } : {
+            type: 'LogicalExpression',
+            operator: '??',
+            left: {
+              type: 'MemberExpression',
+              object: { type: 'Identifier', name: '#superclass' },
+              property: { type: 'Identifier', name: '__Symbol_metadata' },
+              computed: true
+            },
+            right: { type: 'Literal', value: null }
+          }
+        ]
+      })),
+      [ Opcodes.drop ]
+    );
+  }
+
+  // decorators are applied after all elements are evaluated (static then non-static methods/accessors,
+  // then static then non-static fields), then static fields and blocks are evaluated
+  const decoratedOut = [ [], [], [], [] ], staticOut = [];
+
   const batchedNonStaticPropWasm = [];
-  for (const x of body) {
+  for (let x of body) {
     let { type, value, kind, static: _static, computed } = x;
     if (kind === 'constructor') continue;
 
@@ -6473,7 +8062,7 @@ const generateClass = (scope, decl) => {
 
     if (type === 'StaticBlock') {
       // todo: make this more compliant
-      out.push(
+      staticOut.push(
         ...generate(scope, {
           type: 'BlockStatement',
           body: x.body
@@ -6483,6 +8072,31 @@ const generateClass = (scope, decl) => {
       continue;
     }
 
+    const accessor = x._accessor;
+    let decorators;
+    if (x.decorators?.length > 0) {
+      let wasm;
+      [ wasm, decorators ] = decoratorCalls(scope, x.decorators);
+      out.push(...wasm);
+    }
+
+    if (computed && (decorators || accessor || (type === 'PropertyDefinition' && _static))) {
+      // computed keys are needed again (decorator contexts, accessor setters) or later (static fields)
+      if (!accessor?.key) {
+        const tmp = `#class_key${uniqId()}`;
+        allocVar(scope, tmp, true);
+        out.push(
+          ...generate(scope, assignTo(tmp, x.key)),
+          [ Opcodes.drop ]
+        );
+
+        if (accessor) accessor.key = tmp;
+        x = { ...x, key: { type: 'Identifier', name: tmp } };
+      } else {
+        x = { ...x, key: { type: 'Identifier', name: accessor.key } };
+      }
+    }
+
     const key = getProperty(x, true);
 
     value ??= {
@@ -6507,6 +8121,72 @@ const generateClass = (scope, decl) => {
       };
     }
 
+    if (decorators || accessor?.initializers || accessor?.value) {
+      const _private = x.key.type === 'PrivateIdentifier';
+      const context = (kind, initializers) => () => decoratorContext(
+        kind,
+        computed ? { ...key } : { type: 'Literal', value: _private ? '#' + x.key.name : key.value },
+        () => ({ ...key }),
+        !!_static, _private,
+        initializers, metadata
+      );
+
+      const initValue = initializers => ({
+        type: 'CallExpression',
+        callee: { type: 'Identifier', name: '__Porffor_decorator_init' },
+        arguments: [
+          { type: 'Identifier', name: initializers },
+          { type: 'ThisExpression', _noGlobalThis: true },
+          value
+        ]
+      });
+
+      const newInitializers = () => {
+        const tmp = `#decorator_initializers${uniqId()}`;
+        allocVar(scope, tmp, true);
+        out.push(
+          ...generate(scope, assignTo(tmp, { type: 'ArrayExpression', elements: [] })),
+          [ Opcodes.drop ]
+        );
+
+        return tmp;
+      };
+
+      const extraInitializers = () => initializersFor(_static ? 'static' : 'instance');
+
+      if (accessor) {
+        if (kind === 'get') {
+          // decorators are given and return get and set together
+          accessor.initializers = newInitializers();
+          const decorated = decorate(scope, decorators, {
+            type: 'ObjectExpression',
+            properties: [
+              { key: { type: 'Literal', value: 'get' }, value, kind: 'init' },
+              { key: { type: 'Literal', value: 'set' }, value: accessor.set, kind: 'init' }
+            ]
+          }, context('accessor', extraInitializers()), 2, accessor.initializers);
+          accessor.value = decorated.expressions.at(-1).name;
+
+          value = getObjProp(decorated, 'get');
+        } else if (kind === 'set') {
+          value = getObjProp({ type: 'Identifier', name: accessor.value }, 'set');
+        } else {
+          value = initValue(accessor.initializers);
+        }
+      } else if (type === 'PropertyDefinition') {
+        // field decorators return initializers, called on construction
+        const initializers = newInitializers();
+        decoratedOut[_static ? 2 : 3].push(
+          ...generate(scope, decorate(scope, decorators, DEFAULT_VALUE(), context('field', extraInitializers()), 1, initializers)),
+          [ Opcodes.drop ]
+        );
+
+        value = initValue(initializers);
+      } else {
+        value = decorate(scope, decorators, value, context(kind === 'get' ? 'getter' : (kind === 'set' ? 'setter' : 'method'), extraInitializers()), 0);
+      }
+    }
+
     if (type === 'PropertyDefinition' && !_static) {
       // define in construction instead
       if (computed) {
@@ -6552,7 +8232,7 @@ const generateClass = (scope, decl) => {
       let initKind = type === 'MethodDefinition' ? 'method' : 'value';
       if (kind === 'get' || kind === 'set') initKind = kind;
 
-      out.push(
+      (type === 'PropertyDefinition' ? staticOut : (decorators || accessor?.value ? decoratedOut[_static ? 0 : 1] : out)).push(
         ...(_static ? rootWasm : protoWasm),
         Opcodes.i32_to_u,
         ...(_static ? rootType : protoType),
@@ -6568,6 +8248,101 @@ const generateClass = (scope, decl) => {
     }
   }
 
+  out.push(...decoratedOut.flat());
+
+  let classValue;
+  if (decorated) {
+    // extra initializers of methods run on construction before fields
+    if (initializers.instance) batchedNonStaticPropWasm.unshift(
+      ...generate(func, {
+        type: 'CallExpression',
+        callee: { type: 'Identifier', name: '__Porffor_decorator_initialize' },
+        arguments: [
+          { type: 'Identifier', name: initializers.instance },
+          { type: 'ThisExpression', _noGlobalThis: true }
+        ]
+      }),
+      [ Opcodes.drop ]
+    );
+
+    out.push(
+      ...generate(scope, {
+        type: 'CallExpression',
+        callee: { type: 'Identifier', name: '__Object_defineProperty' },
+        arguments: [
+          root,
+          { type: 'Identifier', name: '__Symbol_metadata' },
+          {
+            type: 'ObjectExpression',
+            properties: [
+              { key: { type: 'Literal', value: 'value' }, value: { type: 'Identifier', name: metadata }, kind: 'init' },
+              { key: { type: 'Literal', value: 'configurable' }, value: { type: 'Literal', value: true }, kind: 'init' }
+            ]
+          }
+        ]
+      }),
+      [ Opcodes.drop ]
+    );
+
+    if (classDecorators) {
+      const decorated = decorate(scope, classDecorators, root, () => decoratorContext(
+        'class',
+        name.startsWith('#') ? DEFAULT_VALUE() : { type: 'Literal', value: name.split('#')[0] },
+        null, false, false,
+        initializersFor('class'), metadata
+      ), 0);
+      classValue = decorated.expressions.at(-1).name;
+
+      out.push(
+        ...generate(scope, decorated),
+        [ Opcodes.drop ]
+      );
+    }
+
+    if (initializers.static) out.push(
+      ...generate(scope, {
+        type: 'CallExpression',
+        callee: { type: 'Identifier', name: '__Porffor_decorator_initialize' },
+        arguments: [
+          { type: 'Identifier', name: initializers.static },
+          root
+        ]
+      }),
+      [ Opcodes.drop ]
+    );
+  }
+
+  out.push(...staticOut);
+
+  if (classValue) {
+    if (initializers.class) out.push(
+      ...generate(scope, {
+        type: 'CallExpression',
+        callee: { type: 'Identifier', name: '__Porffor_decorator_initialize' },
+        arguments: [
+          { type: 'Identifier', name: initializers.class },
+          { type: 'Identifier', name: classValue }
+        ]
+      }),
+      [ Opcodes.drop ]
+    );
+
+    if (expr) {
+      // class expressions have the class as their value
+      out.push(
+        [ Opcodes.drop ],
+        ...generate(scope, { type: 'Identifier', name: classValue })
+      );
+    } else {
+      // declarations are bound to the decorated class from now on
+      allocVar(scope, name, scope.name === '#main');
+      out.push(
+        ...generate(scope, assignTo(name, { type: 'Identifier', name: classValue })),
+        [ Opcodes.drop ]
+      );
+    }
+  }
+
   const constrInsertIndex = func.wasm.findIndex(x => x.at(-1) === 'super marker');
   if (constrInsertIndex != -1) {
     func.wasm.splice(constrInsertIndex, 1);
@@ -6671,6 +8446,7 @@ const generateTaggedTemplate = (scope, decl, global = false, name = undefined, v
         const encodeFunc = ({
           [Opcodes.f64_const]: x => x,
           [Opcodes.i32_const]: x => x,
+          [Opcodes.call]: x => x, // assembler encodes func indexes itself
           [Opcodes.if]: unsignedLEB128,
           [Opcodes.loop]: unsignedLEB128
         })[inst[0]] ?? signedLEB128;
@@ -6754,7 +8530,7 @@ const generateTaggedTemplate = (scope, decl, global = false, name = undefined, v
 globalThis._uniqId = 0;
 const uniqId = () => '_' + globalThis._uniqId++;
 
-let objectHackers = [];
+let objectHackers = [], objectHackAliases = new Map();
 const objectHack = node => {
   if (!node) return node;
 
@@ -6767,7 +8543,7 @@ const objectHack = node => {
       if (node.object.name !== 'Porffor' && (node.property.name === 'length' || node.property.name === 'name' || node.property.name === 'call')) return abortOut;
       if (node.property.name === '__proto__') return abortOut;
 
-      let objectName = node.object.name;
+      let objectName = objectHackAliases.get(node.object.name) ?? node.object.name;
 
       // if object is not identifier or another member exp, give up
       if (node.object.type !== 'Identifier' && node.object.type !== 'MemberExpression') return abortOut;
@@ -6787,7 +8563,8 @@ const objectHack = node => {
 
       return {
         type: 'Identifier',
-        name
+        name,
+        loc: node.property.loc
       };
     })();
 
@@ -6866,6 +8643,9 @@ const generateFunc = (scope, decl, forceNoExpr = false) => {
       // generating, stub _wasm
       let wasm = func.wasm = [];
 
+      // funcs can be generated while generating another, so depth is not only ours
+      func.depthStart = depth.length;
+
       let body = decl.body;
       if (decl.type === 'ArrowFunctionExpression' && decl.expression) {
         // hack: () => 0 -> () => return 0
@@ -6981,7 +8761,7 @@ const generateFunc = (scope, decl, forceNoExpr = false) => {
 
             if ([
               TYPES.number, TYPES.promise, TYPES.symbol, TYPES.function,
-              TYPES.set, TYPES.map, TYPES.weakref, TYPES.weakset, TYPES.weakmap,
+              TYPES.set, TYPES.map, TYPES.weakref, TYPES.weakset, TYPES.weakmap, TYPES.finalizationregistry,
               TYPES.arraybuffer, TYPES.sharedarraybuffer, TYPES.dataview
             ].includes(typeAnno.type)) {
               let types = [ typeAnno.type ];
@@ -7034,8 +8814,12 @@ const generateFunc = (scope, decl, forceNoExpr = false) => {
       if (decl.generator) {
         func.generator = true;
 
-        // make out generator local
-        allocVar(func, '#generator_out', false, false);
+        // the generator being resumed and the yield to resume from (see generateYield)
+        allocVar(func, '#generator', false, false, true);
+        allocVar(func, '#resume', false, false, true);
+        numberYields(body);
+        markResumeCached(body);
+
         typeUsed(func, func.async ? TYPES.__porffor_asyncgenerator : TYPES.__porffor_generator);
         if (func.async) typeUsed(func, TYPES.promise);
       }
@@ -7048,7 +8832,7 @@ const generateFunc = (scope, decl, forceNoExpr = false) => {
 
       const preface = wasm;
       wasm = generate(func, body);
-      wasm.unshift(...preface);
+      if (!func.generator) wasm.unshift(...preface);
 
       if (name === '#main') {
         func.gotLastType = true;
@@ -7056,8 +8840,13 @@ const generateFunc = (scope, decl, forceNoExpr = false) => {
 
         wasm.push(...getNodeType(func, getLastNode(decl.body.body)));
 
-        // inject promise job runner func at the end of main if promises are made
-        if (('Promise' in funcIndex) || ('__Promise_resolve' in funcIndex) || ('__Promise_reject' in funcIndex)) {
+        // inject event loop at the end of main if timers are set
+        // or promise job runner func if only promises are made (or finalization registries, for cleanup jobs)
+        if (('setTimeout' in funcIndex) || ('setInterval' in funcIndex) || ('queueMicrotask' in funcIndex)) {
+          wasm.push(
+            [ Opcodes.call, includeBuiltin(func, '__Porffor_timers_runLoop').index ]
+          );
+        } else if (('Promise' in funcIndex) || ('__Promise_resolve' in funcIndex) || ('__Promise_reject' in funcIndex) || ('FinalizationRegistry' in funcIndex)) {
           wasm.push(
             [ Opcodes.call, includeBuiltin(func, '__Porffor_promise_runJobs').index ]
           );
@@ -7073,15 +8862,49 @@ const generateFunc = (scope, decl, forceNoExpr = false) => {
       }
 
       if (func.generator) {
-        // make generator at the start
+        // calling makes a suspended generator with the frame (arguments) saved into it
+        // resuming calls again with the generator to restore the frame instead (see __Porffor_Generator_resume)
+        const generator = func.locals['#generator'].idx;
         wasm.unshift(
-          number(pageSize, Valtype.i32),
-          [ Opcodes.call, includeBuiltin(func, '__Porffor_malloc').index ],
-          Opcodes.i32_from_u,
-          number(TYPES.array, Valtype.i32),
+          [ Opcodes.call, includeBuiltin(func, '__Porffor_Generator_resuming').index ],
+          Opcodes.i32_to_u,
+          [ Opcodes.local_tee, generator ],
+          [ Opcodes.i32_eqz ],
+          [ Opcodes.if, Blocktype.void ],
+            ...preface,
+
+            // generators are: state, yield to resume from, func, count of value and type pairs saved, frame
+            [ null, 'generator_size' ],
+            [ Opcodes.call, includeBuiltin(func, '__Porffor_malloc').index ],
+            [ Opcodes.local_tee, generator ],
+            number(0, Valtype.i32),
+            [ Opcodes.i32_store, 0, 0 ],
+
+            [ Opcodes.local_get, generator ],
+            number(0, Valtype.i32),
+            [ Opcodes.i32_store, 0, 4 ],
 
-          [ Opcodes.call, includeBuiltin(func, func.async ? '__Porffor_AsyncGenerator' : '__Porffor_Generator').index ],
-          [ Opcodes.local_set, func.locals['#generator_out'].idx ]
+            [ Opcodes.local_get, generator ],
+            ...funcRef(func),
+            Opcodes.i32_to_u,
+            [ Opcodes.i32_store, 0, 8 ],
+
+            [ Opcodes.local_get, generator ],
+            [ null, 'generator_pairs' ],
+            [ Opcodes.i32_store, 0, 12 ],
+
+            [ null, 'generator_save' ],
+
+            [ Opcodes.local_get, generator ],
+            Opcodes.i32_from_u,
+            number(func.async ? TYPES.__porffor_asyncgenerator : TYPES.__porffor_generator, Valtype.i32),
+            [ Opcodes.return ],
+          [ Opcodes.end ],
+
+          [ null, 'generator_restore' ],
+          [ Opcodes.local_get, generator ],
+          [ Opcodes.i32_load, 0, 4 ],
+          [ Opcodes.local_set, func.locals['#resume'].idx ]
         );
       } else if (func.async) {
         // make promise at the start
@@ -7119,7 +8942,7 @@ const generateFunc = (scope, decl, forceNoExpr = false) => {
   funcIndex[name] = func.index;
   funcs.push(func);
 
-  if (typedInput && decl.returnType) {
+  if (typedInput && decl.returnType && !decl.generator) {
     const { type, types } = extractTypeAnnotation(decl.returnType);
 
     if (type != null) {
@@ -7212,7 +9035,11 @@ const generateFunc = (scope, decl, forceNoExpr = false) => {
   return [ func, out ];
 };
 
+const isUsing = decl => decl?.type === 'VariableDeclaration' && (decl.kind === 'using' || decl.kind === 'await using');
+
 const generateBlock = (scope, decl) => {
+  if (!decl._using && decl.body.some(isUsing)) return generateUsing(scope, decl);
+
   let out = [];
 
   inferBranchStart(scope);
@@ -7223,7 +9050,7 @@ const generateBlock = (scope, decl) => {
     if (isEmptyNode(x)) continue;
 
     if (j++ > 0) out.push([ Opcodes.drop ]);
-    out = out.concat(generate(scope, x));
+    out = out.concat(skipResumedPast(scope, x, () => generate(scope, x)));
   }
 
   inferBranchEnd(scope);
@@ -7232,7 +9059,207 @@ const generateBlock = (scope, decl) => {
   return out;
 };
 
-let globals, tags, exceptions, funcs, indirectFuncs, funcIndex, currentFuncIndex, depth, pages, data, typeswitchDepth, usedTypes, coctc, globalInfer, builtinFuncs, builtinVars, lastValtype;
+// blocks with using declarations are wrapped to dispose their resources when left:
+// { const env = []; try { ... } catch (e) { dispose(env, e, true) } dispose(env, undefined, false) }
+// return, break and continue also dispose the blocks they leave (see leaveBlocks)
+const generateUsing = (scope, decl) => {
+  const env = `#using_env${uniqId()}`;
+  const error = `#using_error${uniqId()}`;
+
+  const body = decl.body.map(x => !isUsing(x) ? x : {
+    ...x,
+    kind: 'const',
+    declarations: x.declarations.map(y => ({
+      ...y,
+      init: {
+        type: 'CallExpression',
+        callee: {
+          type: 'Identifier',
+          name: '__Porffor_using_add'
+        },
+        arguments: [
+          { type: 'Identifier', name: env },
+          y.init,
+          { type: 'Literal', value: x.kind === 'await using' }
+        ]
+      }
+    }))
+  });
+
+  scope.leaving ??= [];
+  scope.leaving.push({ env, depth: depth.length });
+
+  const out = generate(scope, {
+    type: 'BlockStatement',
+    _using: true,
+    body: [
+      {
+        type: 'VariableDeclaration',
+        kind: 'const',
+        declarations: [ {
+          type: 'VariableDeclarator',
+          id: { type: 'Identifier', name: env },
+          init: { type: 'ArrayExpression', elements: [] }
+        } ]
+      },
+      {
+        type: 'TryStatement',
+        block: {
+          type: 'BlockStatement',
+          body
+        },
+        handler: {
+          type: 'CatchClause',
+          param: { type: 'Identifier', name: error },
+          body: {
+            type: 'BlockStatement',
+            body: [ disposeUsingCall(env, { type: 'Identifier', name: error }, true) ]
+          }
+        }
+      },
+      disposeUsingCall(env, DEFAULT_VALUE(), false)
+    ]
+  });
+
+  scope.leaving.pop();
+  return out;
+};
+
+const disposeUsingCall = (env, error, hasError) => ({
+  type: 'ExpressionStatement',
+  expression: {
+    type: 'CallExpression',
+    callee: {
+      type: 'Identifier',
+      name: '__Porffor_using_dispose'
+    },
+    arguments: [
+      { type: 'Identifier', name: env },
+      error,
+      { type: 'Literal', value: hasError }
+    ]
+  }
+});
+
+// close the iterator of a for..of loop if it uses the iterator protocol
+const closeIterator = (scope, count, closer = '__Porffor_iterator_close') => iteratorProtocol(scope, () => [
+  ...typeIsOneOf([ [ Opcodes.local_get, localTmp(scope, '#forof_iter' + count + '#type', Valtype.i32) ] ], [ TYPES.__porffor_generator, TYPES.__porffor_asyncgenerator, TYPES.iteratorhelper ]),
+  [ Opcodes.if, Blocktype.void ],
+    [ Opcodes.local_get, localTmp(scope, '#forof_iter' + count) ],
+    [ Opcodes.local_get, localTmp(scope, '#forof_iter' + count + '#type', Valtype.i32) ],
+    [ Opcodes.call, includeBuiltin(scope, closer).index ],
+  [ Opcodes.end ]
+]);
+
+// dispose resources of using blocks, close iterators of for..of loops and run finally blocks being left, innermost first
+// target is the depth being branched to, or -1 for returns
+// continuing a for..of loop keeps its own iterator open
+const leaveBlocks = (scope, target = -1, isContinue = false) => {
+  const out = [];
+  if (!scope.leaving) return out;
+
+  for (let i = scope.leaving.length - 1; i >= 0; i--) {
+    const x = scope.leaving[i];
+    if (x.depth < target) break;
+
+    if (x.iter != null) {
+      if (x.protocol && (!isContinue || x.depth !== target)) out.push(...closeIterator(scope, x.iter));
+      continue;
+    }
+
+    if (x.finalizer) {
+      out.push(
+        number(1, Valtype.i32),
+        [ Opcodes.local_set, x.ran ],
+        ...x.finalizer
+      );
+      continue;
+    }
+
+    out.push(
+      ...generate(scope, disposeUsingCall(x.env, DEFAULT_VALUE(), false)),
+      [ Opcodes.drop ]
+    );
+  }
+
+  return out;
+};
+
+// our imports and the builtins implementing them with wasi for the wasi target
+const wasiLowerings = {
+  print: '__Porffor_wasi_print',
+  printChar: '__Porffor_wasi_printChar',
+  time: '__Porffor_wasi_time',
+  timeOrigin: '__Porffor_wasi_timeOrigin',
+  readArgv: '__Porffor_wasi_readArgv',
+  readEnv: '__Porffor_wasi_readEnv',
+  exit: '__Porffor_wasi_exit',
+  sleep: '__Porffor_wasi_sleep'
+};
+
+// wasi runtimes call an exported _start func instead of main
+const generateWasiStart = () => {
+  const main = funcByName('#main');
+  main.export = false;
+
+  const start = asmFunc('_start', {
+    params: [],
+    locals: [ valtypeBinary, Valtype.i32 ],
+    localNames: [ '#value', '#type' ],
+    returns: [],
+    returnType: TYPES.undefined,
+    wasm: (scope, { builtin }) => {
+      const run = [
+        [ Opcodes.call, main.index ],
+        [ Opcodes.drop ],
+        [ Opcodes.drop ]
+      ];
+
+      const out = [
+        [ Opcodes.call, builtin('__Porffor_wasi_clockInit') ]
+      ];
+
+      if (tags.length > 0) {
+        // print uncaught errors and exit with 1
+        const stackMode = (Prefs.exceptionMode ?? 'stack') === 'stack';
+        out.push(
+          [ Opcodes.try, Blocktype.void ],
+            ...run,
+          ...(stackMode ? [
+            [ Opcodes.catch, 0 ],
+              [ Opcodes.local_set, 1 ],
+              [ Opcodes.local_set, 0 ],
+          ] : [
+            [ Opcodes.catch_all ]
+          ]),
+            ...printStaticStr(scope, 'Uncaught '),
+            ...(stackMode ? [
+              [ Opcodes.local_get, 0 ],
+              [ Opcodes.local_get, 1 ],
+              number(0),
+              number(TYPES.boolean, Valtype.i32),
+              number(0),
+              number(TYPES.number, Valtype.i32),
+              [ Opcodes.call, builtin('__Porffor_print') ]
+            ] : []),
+            ...printStaticStr(scope, '\n'),
+
+            number(1),
+            [ Opcodes.call, builtin('__Porffor_wasi_exit') ],
+          [ Opcodes.end ]
+        );
+      } else {
+        out.push(...run);
+      }
+
+      out.push([ Opcodes.call, builtin('__Porffor_wasi_flush') ]);
+      return out;
+    }
+  });
+  start.export = true;
+};
+
+let globals, tags, exceptions, funcs, indirectFuncs, funcIndex, currentFuncIndex, depth, pages, data, typeswitchDepth, usedTypes, coctc, globalInfer, builtinFuncs, builtinVars, lastValtype, lastLoc;
 export default program => {
   globals = Object.create(null);
   globals['#ind'] = 0;
@@ -7252,6 +9279,7 @@ export default program => {
   usedTypes = new Set([ TYPES.undefined, TYPES.number, TYPES.boolean, TYPES.function ]);
   coctc = new Map();
   globalInfer = Object.create(null);
+  lastLoc = undefined;
 
   // set generic opcodes for current valtype
   Opcodes.const = valtypeBinary === Valtype.i32 ? Opcodes.i32_const : Opcodes.f64_const;
@@ -7277,6 +9305,19 @@ export default program => {
     objectHackers = ['assert', 'compareArray', 'Test262Error', ...new Set(Object.keys(builtinFuncs).map(getObjectName).concat(Object.keys(builtinVars).map(getObjectName)).filter(x => x))];
   }
 
+  // default and namespace imports of builtin modules are hacked like their object
+  objectHackAliases = new Map();
+  for (const x of program.body) {
+    if (x.type !== 'ImportDeclaration') continue;
+
+    const object = builtinModules[x.source.value.replace(/^node:/, '')];
+    if (!object) continue;
+
+    for (const y of x.specifiers) {
+      if (y.type !== 'ImportSpecifier') objectHackAliases.set(y.local.name, object.replace(/^__/, ''));
+    }
+  }
+
   // todo/perf: make this lazy per func (again)
   program = objectHack(program);
   if (Prefs.closures) program = semantic(program);
@@ -7290,18 +9331,51 @@ export default program => {
     }
   });
 
+  // export allocator so hosts can pass values to exported funcs
+  if (!globalThis.precompile && funcs.some(x => x.export && x.name !== '#main')) {
+    includeBuiltin(funcs.find(x => x.name === '#main'), '__Porffor_malloc').export = true;
+  }
+
+  let wasiLowered;
+  if (Prefs.target === 'wasi') {
+    generateWasiStart();
+
+    wasiLowered = [];
+    for (const x in wasiLowerings) {
+      if (x in importedFuncs) wasiLowered[importedFuncs[x]] = wasiLowerings[x];
+    }
+  }
+
   for (let i = 0; i < funcs.length; i++) {
     const f = funcs[i];
 
     const wasm = f.wasm;
     if (wasm) {
       // func was generated, run callback ops
-      for (let j = 0; j < wasm.length; j++) {
-        const o = wasm[j];
-        if (o[0] === null && typeof o[1] === 'function') {
-          wasm.splice(j--, 1, ...o[1]());
+      // into a new array as splicing each is quadratic for huge funcs
+      const out = [];
+      const expand = ops => {
+        for (let j = 0; j < ops.length; j++) {
+          const o = ops[j];
+          if (o[0] === null && typeof o[1] === 'function') {
+            expand(o[1]());
+            continue;
+          }
+
+          // swap our imports for their wasi builtins
+          if (wasiLowered && o[0] === Opcodes.call && wasiLowered[o[1]]) {
+            out.push([ Opcodes.call, includeBuiltin(f, wasiLowered[o[1]]).index ]);
+            continue;
+          }
+
+          out.push(o);
         }
-      }
+      };
+      expand(wasm);
+      const ops = f.generator ? generatorFrame(f, out) : out;
+
+      for (let j = 0; j < ops.length; j++) wasm[j] = ops[j];
+      wasm.length = ops.length;
 
       continue;
     }
@@ -7310,6 +9384,55 @@ export default program => {
     f.wasm = f.returns.map(x => number(0, x));
   }
 
+  // gc roots are every global, only known now all funcs are generated
+  // typed globals are marked first, then untyped ones (conservatively) when the param is set
+  const gcRoots = funcs.find(x => x.name === '__Porffor_gc_roots');
+  if (gcRoots) {
+    const typed = [], untyped = [];
+    for (const x in globals) {
+      if (x === '#ind' || x.endsWith('#type') || x.endsWith('#glbl_inited') || x.startsWith('#porf#gc')) continue;
+
+      const global = globals[x];
+      if (global.type !== Valtype.f64 && global.type !== Valtype.i32) continue;
+
+      const type = globals[x + '#type'];
+      (type ? typed : untyped).push(
+        [ Opcodes.global_get, global.idx ],
+        ...(global.type === Valtype.i32 ? [ [ Opcodes.f64_convert_i32_u ] ] : []),
+        type ? [ Opcodes.global_get, type.idx ] : number(-1, Valtype.i32),
+        [ Opcodes.call, includeBuiltin(gcRoots, '__Porffor_gc_markValue').index ]
+      );
+    }
+
+    // static pages may hold pointers, except data (strings, func lut), stack traces (of static strings) and the gc's own
+    const names = [ ...pages.keys() ];
+    for (let i = 0, start = null; i <= names.length; i++) {
+      const name = names[i];
+      if (name != null && ![ '#bin: ', '#func lut', '#stack trace', '#gc ' ].some(x => name.startsWith(x))) {
+        start ??= pagePtr(i);
+        continue;
+      }
+
+      if (start != null) untyped.push(
+        number(start, Valtype.i32),
+        number(i * pageSize, Valtype.i32),
+        number(0, Valtype.i32),
+        [ Opcodes.call, includeBuiltin(gcRoots, '__Porffor_gc_scanRange').index ]
+      );
+      start = null;
+    }
+
+    gcRoots.wasm.push(
+      [ Opcodes.local_get, 0 ],
+      [ Opcodes.i32_eqz ],
+      [ Opcodes.if, Blocktype.void ],
+        ...typed,
+      [ Opcodes.else ],
+        ...untyped,
+      [ Opcodes.end ]
+    );
+  }
+
   // add indirect funcs to end of funcs
   for (let i = 0; i < indirectFuncs.length; i++) {
     const f = indirectFuncs[i];
@@ -7317,6 +9440,8 @@ export default program => {
     funcs.push(f);
   }
 
+  if (Prefs.gc && !globalThis.precompile) gcFrames();
+
   delete globals['#ind'];
 
   return { funcs, globals, tags, exceptions, pages, data };
@@ -0,0 +1,160 @@
+// generates unicode.js (tables for normalize and case mapping) from the host's unicode data
+// usage: node compiler/generate_unicode.js
+// tables are arrays of u16s so they can be made into strings and read directly (see builtins.js and builtins/unicode.ts)
+// code points are 2 u16s (high, low), hangul syllables are left out as they are algorithmic
+import fs from 'node:fs';
+import { fileURLToPath } from 'node:url';
+
+const isSurrogate = cp => cp >= 0xD800 && cp <= 0xDFFF;
+const isHangul = cp => cp >= 0xAC00 && cp <= 0xD7A3;
+const codePoints = str => [...str].map(x => x.codePointAt(0));
+const split = cp => [ cp >>> 16, cp & 0xFFFF ];
+
+const all = [];
+for (let cp = 0; cp <= 0x10FFFF; cp++) {
+  if (!isSurrogate(cp)) all.push(cp);
+}
+
+// combining classes cannot be read directly so are found by how marks reorder,
+// ranks are stored instead of the real classes as only their order matters
+// U+0345 has the highest class (240) and U+0334 the lowest (1)
+const marks = all.filter(cp => {
+  const c = String.fromCodePoint(cp);
+  if (c.normalize('NFD') !== c) return false;
+
+  return ('ͅ' + c).normalize('NFD') !== 'ͅ' + c || (c + '̴').normalize('NFD') !== c + '̴';
+});
+
+const compareMarks = (a, b) => {
+  const x = String.fromCodePoint(a), y = String.fromCodePoint(b);
+  if ((x + y).normalize('NFD') === y + x) return 1;
+  if ((y + x).normalize('NFD') === x + y) return -1;
+  return 0;
+};
+
+marks.sort((a, b) => compareMarks(a, b) || a - b);
+
+const ranks = new Map();
+let rank = 1;
+for (let i = 0; i < marks.length; i++) {
+  if (i > 0 && compareMarks(marks[i - 1], marks[i]) !== 0) rank++;
+  ranks.set(marks[i], rank);
+}
+
+// ranges of start, end, value
+const ranges = (cps, value = () => 1) => {
+  const out = [];
+  for (const cp of cps) {
+    const last = out.at(-1);
+    if (last && last[1] === cp - 1 && last[2] === value(cp)) last[1] = cp;
+      else out.push([ cp, cp, value(cp) ]);
+  }
+
+  return out;
+};
+
+const combiningClasses = ranges([...ranks.keys()].sort((a, b) => a - b), cp => ranks.get(cp))
+  .flatMap(([ start, end, value ]) => [ ...split(start), ...split(end), value ]);
+
+// code point to its full decomposition, entries of code point, offset, length with the units in data
+const mappings = (cps, map) => {
+  const table = [], data = [];
+  for (const cp of cps) {
+    const units = map(cp).split('').map(x => x.charCodeAt(0));
+    table.push(...split(cp), data.length, units.length);
+    data.push(...units);
+  }
+
+  return [ table, data ];
+};
+
+const decomposable = all.filter(cp => !isHangul(cp) && String.fromCodePoint(cp).normalize('NFD') !== String.fromCodePoint(cp));
+const [ decompositions, decompositionData ] = mappings(decomposable, cp => String.fromCodePoint(cp).normalize('NFD'));
+
+const compatDecomposable = all.filter(cp => !isHangul(cp) && String.fromCodePoint(cp).normalize('NFKD') !== String.fromCodePoint(cp).normalize('NFD'));
+const [ compatDecompositions, compatDecompositionData ] = mappings(compatDecomposable, cp => String.fromCodePoint(cp).normalize('NFKD'));
+
+// primary composites as pairs of first, second and the composite, sorted by first then second
+const pairs = [];
+for (const cp of decomposable) {
+  const c = String.fromCodePoint(cp);
+  if (c.normalize('NFC') !== c) continue;
+
+  const decomposed = codePoints(c.normalize('NFD'));
+  const second = decomposed.pop();
+  const first = codePoints(String.fromCodePoint(...decomposed).normalize('NFC'));
+  if (first.length !== 1 || String.fromCodePoint(first[0], second).normalize('NFC') !== c) throw new Error(`could not find the pair for U+${cp.toString(16)}`);
+
+  pairs.push([ first[0], second, cp ]);
+}
+
+pairs.sort((a, b) => a[0] - b[0] || a[1] - b[1]);
+const compositions = pairs.flatMap(x => x.flatMap(split));
+
+// case mappings to a single code point are ranges of start, end, step (1 or 2) and delta (as u32),
+// others are full mappings like decompositions
+const caseMappings = map => {
+  const single = [], special = [];
+  for (const cp of all) {
+    const mapped = codePoints(map(String.fromCodePoint(cp)));
+    if (mapped.length === 1 && mapped[0] === cp) continue;
+
+    if (mapped.length === 1) single.push([ cp, mapped[0] - cp ]);
+      else special.push(cp);
+  }
+
+  const out = [];
+  for (const [ cp, delta ] of single) {
+    const last = out.at(-1);
+    if (last && last.delta === delta) {
+      // code points skipped over are never mapped as they would have ended the range
+      const step = cp - last.end;
+      if ((step === 1 || step === 2) && (last.start === last.end || last.step === step)) {
+        last.end = cp;
+        last.step = step;
+        continue;
+      }
+    }
+
+    out.push({ start: cp, end: cp, step: 1, delta });
+  }
+
+  const [ table, data ] = mappings(special, cp => map(String.fromCodePoint(cp)));
+  return [
+    out.flatMap(x => [ ...split(x.start), ...split(x.end), x.step, ...split(x.delta >>> 0) ]),
+    table, data
+  ];
+};
+
+const [ upperCase, upperCaseSpecial, upperCaseSpecialData ] = caseMappings(x => x.toUpperCase());
+const [ lowerCase, lowerCaseSpecial, lowerCaseSpecialData ] = caseMappings(x => x.toLowerCase());
+
+// for final sigma, case ignorable are skipped over before checking if cased
+// these are found by how sigma lowercases next to them
+const isFinal = str => str.toLowerCase().endsWith('ς');
+const caseIgnorable = ranges(all.filter(cp => isFinal('A' + String.fromCodePoint(cp) + 'Σ') && !isFinal(String.fromCodePoint(cp) + 'Σ')))
+  .flatMap(([ start, end ]) => [ ...split(start), ...split(end) ]);
+const cased = ranges(all.filter(cp => isFinal(String.fromCodePoint(cp) + 'Σ')))
+  .flatMap(([ start, end ]) => [ ...split(start), ...split(end) ]);
+
+const tables = {
+  combiningClasses,
+  decompositions, decompositionData,
+  compatDecompositions, compatDecompositionData,
+  compositions,
+  upperCase, upperCaseSpecial, upperCaseSpecialData,
+  lowerCase, lowerCaseSpecial, lowerCaseSpecialData,
+  caseIgnorable, cased
+};
+
+let out = `// generated by generate_unicode.js from unicode ${process.versions.unicode}, do not edit
+// tables are arrays of u16s, see generate_unicode.js for their layouts
+
+export default {\n`;
+for (const x in tables) {
+  out += `  ${x}: [${tables[x].join(',')}],\n`;
+}
+out = out.slice(0, -2) + '\n};\n';
+
+fs.writeFileSync(fileURLToPath(new URL('unicode.js', import.meta.url)), out);
+console.log(Object.keys(tables).map(x => `${x}: ${tables[x].length}`).join('\n'));
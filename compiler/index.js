@@ -1,6 +1,7 @@
 import { underline, bold, log } from './log.js';
 import { Valtype, PageSize } from './wasmSpec.js';
 import parse from './parse.js';
+import link from './link.js';
 import codegen from './codegen.js';
 import opt from './opt.js';
 import assemble from './assemble.js';
@@ -8,6 +9,8 @@ import disassemble from './disassemble.js';
 import toc from './2c.js';
 import * as pgo from './pgo.js';
 import cyclone from './cyclone.js';
+import makeSourceMap from './sourcemap.js';
+import { createWasiImports } from './builtins.js';
 import './prefs.js';
 
 globalThis.disassemble = disassemble;
@@ -28,6 +31,7 @@ const logFuncs = (funcs, globals, exceptions) => {
 
 const fs = (typeof process?.version !== 'undefined' ? (await import('node:fs')) : undefined);
 const execSync = (typeof process?.version !== 'undefined' ? (await import('node:child_process')).execSync : undefined);
+const path = (typeof process?.version !== 'undefined' ? (await import('node:path')) : undefined);
 
 let progressLines = 0, progressInterval;
 let spinner = ['-', '\\', '|', '/'], spin = 0;
@@ -80,11 +84,16 @@ export default (code, module = Prefs.module) => {
   globalThis.pageSize = Prefs.pageSize ?? (PageSize / 4);
 
   // change some prefs by default for c/native
-  if (target !== 'wasm') {
+  if (target !== 'wasm' && target !== 'wasi') {
     // Prefs.pgo = Prefs.pgo === false || globalThis.document ? false : true; // enable pgo by default
     Prefs.passiveData = false; // disable using passive Wasm data as unsupported by 2c for now
   }
 
+  if (target === 'wasi') {
+    createWasiImports();
+    Prefs.treeshakeWasmImports = true; // only wasi imports are allowed
+  }
+
   // change some prefs by default for -O2
   if (optLevel >= 2) {
     Prefs.cyclone = Prefs.cyclone === false ? false : true; // enable cyclone
@@ -94,7 +103,7 @@ export default (code, module = Prefs.module) => {
 
   if (logProgress) progressStart('parsing...');
   const t0 = performance.now();
-  const program = parse(code);
+  const program = link(parse(code));
   if (logProgress) progressDone('parsed', t0);
 
   if (logProgress) progressStart('generating wasm...');
@@ -226,9 +235,25 @@ export default (code, module = Prefs.module) => {
     if (logProgress) progressDone('wasm-opt', t4);
   }
 
-  if (target === 'wasm' && outFile) {
+  if ((target === 'wasm' || target === 'wasi') && outFile) {
     fs.writeFileSync(outFile, Buffer.from(wasm));
 
+    if (wasm.sourceMap) {
+      // sources are relative to the cwd
+      const sourceRoot = path.relative(path.dirname(path.resolve(outFile)), process.cwd());
+      fs.writeFileSync(outFile + '.map', JSON.stringify(makeSourceMap(wasm.sourceMap, {
+        sourceRoot: sourceRoot && sourceRoot + '/',
+        readSource: x => {
+          if (x === globalThis.file) return code;
+          try {
+            return fs.readFileSync(x, 'utf8');
+          } catch {
+            return null;
+          }
+        }
+      })));
+    }
+
     if (logProgress) {
       const total = performance.now();
       progressClear();
@@ -281,6 +306,9 @@ export default (code, module = Prefs.module) => {
 
     if (Prefs.s) args.push('-s');
 
+    // debug info (dwarf) with the #line directives to js source
+    if (Prefs.sourceMap) args.push('-g');
+
     if (logProgress) progressStart('compiling Wasm to C...');
     const t4 = performance.now();
     const c = toc(out);
@@ -0,0 +1,649 @@
+import { log } from './log.js';
+import parse from './parse.js';
+import './prefs.js';
+
+const fs = (typeof process?.version !== 'undefined' ? (await import('node:fs')) : undefined);
+const path = (typeof process?.version !== 'undefined' ? (await import('node:path')) : undefined);
+const url = (typeof process?.version !== 'undefined' ? (await import('node:url')) : undefined);
+
+// statically links es modules imported via relative specifiers into one program
+// modules are evaluated in spec order (dfs post-order) and top-level bindings of
+// non-entry modules are renamed (name#mN) so they can share the global scope,
+// imports are then rewritten to the exporter's binding itself so they are live
+// modules only imported via import() are evaluated lazily by an init func when first imported
+
+const isRelative = x => x.startsWith('./') || x.startsWith('../') || x.startsWith('/');
+const hasSource = x => (x.type === 'ImportDeclaration' && x.importKind !== 'type') ||
+  ((x.type === 'ExportNamedDeclaration' || x.type === 'ExportAllDeclaration') && x.source && x.exportKind !== 'type');
+
+const identifier = name => ({ type: 'Identifier', name });
+const call = (callee, args = []) => ({ type: 'CallExpression', callee, arguments: args, optional: false });
+const member = (object, name) => ({ type: 'MemberExpression', object, property: identifier(name), computed: false, optional: false });
+const assign = (left, right) => ({ type: 'ExpressionStatement', expression: { type: 'AssignmentExpression', operator: '=', left, right } });
+const declare = (kind, names) => ({
+  type: 'VariableDeclaration',
+  kind,
+  declarations: [...names].map(x => ({ type: 'VariableDeclarator', id: identifier(x), init: null }))
+});
+
+// replace a node in place as it may be referenced from anywhere
+const replace = (node, value) => {
+  for (const x in node) delete node[x];
+  Object.assign(node, value);
+};
+
+const patternNames = (node, out) => {
+  if (!node) return out;
+  switch (node.type) {
+    case 'Identifier':
+      out.add(node.name);
+      break;
+
+    case 'RestElement':
+      patternNames(node.argument, out);
+      break;
+
+    case 'AssignmentPattern':
+      patternNames(node.left, out);
+      break;
+
+    case 'ObjectPattern':
+      for (const x of node.properties) patternNames(x.type === 'RestElement' ? x : x.value, out);
+      break;
+
+    case 'ArrayPattern':
+      for (const x of node.elements) patternNames(x, out);
+      break;
+  }
+
+  return out;
+};
+
+const isFunction = x => x.type === 'FunctionDeclaration' || x.type === 'FunctionExpression' || x.type === 'ArrowFunctionExpression';
+
+// var declarations hoisted to the nearest function scope
+const varNames = (node, out) => {
+  if (!node || typeof node !== 'object') return out;
+  if (Array.isArray(node)) {
+    for (const x of node) varNames(x, out);
+    return out;
+  }
+
+  if (isFunction(node) || node.type === 'StaticBlock') return out;
+  if (node.type === 'VariableDeclaration' && node.kind === 'var') {
+    for (const x of node.declarations) patternNames(x.id, out);
+  }
+
+  for (const x in node) {
+    if (x[0] !== '_' && node[x] != null && typeof node[x] === 'object') varNames(node[x], out);
+  }
+
+  return out;
+};
+
+// import() and import.meta anywhere in a module
+const dynamicNodes = (node, out) => {
+  if (!node || typeof node !== 'object') return out;
+  if (Array.isArray(node)) {
+    for (const x of node) dynamicNodes(x, out);
+    return out;
+  }
+
+  if (node.type === 'ImportExpression' || (node.type === 'MetaProperty' && node.meta.name === 'import')) out.push(node);
+
+  for (const x in node) {
+    if (x[0] !== '_' && node[x] != null && typeof node[x] === 'object') dynamicNodes(node[x], out);
+  }
+
+  return out;
+};
+
+const isStaticImport = x => x.type === 'ImportExpression' && x.source.type === 'Literal' && typeof x.source.value === 'string' && isRelative(x.source.value);
+
+// split a top-level statement of a lazy module into declarations kept at the top-level and code run by its init func
+const defer = (x, hoisted, init) => {
+  switch (x.type) {
+    case 'ImportDeclaration':
+    case 'FunctionDeclaration':
+      hoisted.push(x);
+      return;
+
+    case 'VariableDeclaration':
+      hoisted.push(declare(x.kind === 'var' ? 'var' : 'let', x.declarations.reduce((acc, y) => patternNames(y.id, acc), new Set())));
+      for (const y of x.declarations) {
+        if (y.init) init.push(assign(y.id, y.init));
+      }
+      return;
+
+    case 'ClassDeclaration':
+      hoisted.push(declare('let', [ x.id.name ]));
+      init.push(assign(identifier(x.id.name), { ...x, type: 'ClassExpression' }));
+      return;
+  }
+
+  init.push(x);
+};
+
+// let/const/class/function declarations directly in a block
+const lexicalNames = (body, out) => {
+  for (let x of body) {
+    if ((x.type === 'ExportNamedDeclaration' || x.type === 'ExportDefaultDeclaration') && x.declaration) x = x.declaration;
+
+    if (x.type === 'VariableDeclaration' && x.kind !== 'var') {
+      for (const y of x.declarations) patternNames(y.id, out);
+    }
+
+    if ((x.type === 'FunctionDeclaration' || x.type === 'ClassDeclaration') && x.id) out.add(x.id.name);
+  }
+
+  return out;
+};
+
+// rename references to top-level bindings, respecting shadowing
+const rename = (node, renames, scopes = []) => {
+  if (!node || typeof node !== 'object') return;
+  if (Array.isArray(node)) {
+    for (const x of node) rename(x, renames, scopes);
+    return;
+  }
+
+  let scope = null;
+  switch (node.type) {
+    case 'Identifier':
+      if (renames.has(node.name) && !scopes.some(x => x.has(node.name))) node.name = renames.get(node.name);
+      return;
+
+    case 'MemberExpression':
+      rename(node.object, renames, scopes);
+      if (node.computed) rename(node.property, renames, scopes);
+      return;
+
+    case 'Property':
+      if (node.shorthand && node.value.type === 'Identifier') {
+        // { x } -> { x: x#m1 }
+        node.value = { ...node.value };
+        rename(node.value, renames, scopes);
+        if (node.value.name !== node.key.name) node.shorthand = false;
+        return;
+      }
+
+    case 'MethodDefinition':
+    case 'PropertyDefinition':
+    case 'AccessorProperty':
+      rename(node.decorators, renames, scopes);
+      if (node.computed) rename(node.key, renames, scopes);
+      rename(node.value, renames, scopes);
+      return;
+
+    case 'LabeledStatement':
+      rename(node.body, renames, scopes);
+      return;
+
+    case 'BreakStatement':
+    case 'ContinueStatement':
+    case 'MetaProperty':
+      return;
+
+    case 'FunctionDeclaration':
+    case 'FunctionExpression':
+    case 'ArrowFunctionExpression':
+      if (node.type === 'FunctionDeclaration') rename(node.id, renames, scopes);
+
+      scope = new Set();
+      if (node.type === 'FunctionExpression' && node.id) scope.add(node.id.name);
+      for (const x of node.params) patternNames(x, scope);
+      if (node.body.type === 'BlockStatement') {
+        varNames(node.body.body, scope);
+        lexicalNames(node.body.body, scope);
+      }
+
+      scopes = [ ...scopes, scope ];
+      rename(node.params, renames, scopes);
+      rename(node.body, renames, scopes);
+      return;
+
+    case 'ClassDeclaration':
+    case 'ClassExpression':
+      rename(node.decorators, renames, scopes);
+      if (node.type === 'ClassDeclaration') rename(node.id, renames, scopes);
+        else if (node.id) scopes = [ ...scopes, new Set([ node.id.name ]) ];
+
+      rename(node.superClass, renames, scopes);
+      rename(node.body, renames, scopes);
+      return;
+
+    case 'BlockStatement':
+      scope = lexicalNames(node.body, new Set());
+      break;
+
+    case 'StaticBlock':
+      scope = lexicalNames(node.body, varNames(node.body, new Set()));
+      break;
+
+    case 'SwitchStatement':
+      scope = lexicalNames(node.cases.flatMap(x => x.consequent), new Set());
+      break;
+
+    case 'ForStatement':
+    case 'ForInStatement':
+    case 'ForOfStatement': {
+      const decl = node.init ?? node.left;
+      if (decl?.type === 'VariableDeclaration' && decl.kind !== 'var') scope = patternNames(decl.declarations[0].id, new Set());
+      break;
+    }
+
+    case 'CatchClause':
+      scope = patternNames(node.param, new Set());
+      break;
+  }
+
+  if (scope) scopes = [ ...scopes, scope ];
+  for (const x in node) {
+    if (x[0] !== '_' && node[x] != null && typeof node[x] === 'object') rename(node[x], renames, scopes);
+  }
+};
+
+export default (program, file = globalThis.file) => {
+  if (!fs) return program;
+
+  const modules = new Map(), order = [];
+  const display = x => path.relative(process.cwd(), x) || x;
+
+  let lazy = false;
+  const load = (file, code, ast) => {
+    ast ??= parse(code, display(file));
+    const mod = {
+      file,
+      index: modules.size,
+      ast,
+      imports: new Map(), // local -> { from, name, specifier }
+      locals: new Map(), // export name -> local
+      indirect: new Map(), // export name -> { from, name }
+      stars: [],
+      renames: new Map(),
+      dynamic: dynamicNodes(ast.body, []),
+      lazy
+    };
+    modules.set(file, mod);
+
+    return mod;
+  };
+
+  const read = file => {
+    try {
+      return fs.readFileSync(file, 'utf8');
+    } catch {
+      return null;
+    }
+  };
+
+  const stack = [];
+  const visit = mod => {
+    stack.push(mod);
+
+    const dir = path.dirname(mod.file);
+    for (const x of mod.ast.body) {
+      if (!hasSource(x) || !isRelative(x.source.value)) continue;
+
+      const specifier = x.source.value;
+      const target = path.resolve(dir, specifier);
+
+      let dep = modules.get(target);
+      if (!dep) {
+        const code = read(target);
+        if (code == null) throw new Error(`Cannot find module '${specifier}' imported from ${display(mod.file)}`);
+
+        dep = load(target, code);
+        visit(dep);
+      } else if (stack.includes(dep)) {
+        const chain = stack.slice(stack.indexOf(dep)).concat(dep).map(x => display(x.file));
+        log.warning('link', `import cycle: ${chain.join(' -> ')}`);
+      }
+
+      x._module = dep;
+    }
+
+    stack.pop();
+    order.push(mod);
+  };
+
+  const entry = load(path.resolve(file ?? 'main.js'), null, program);
+  if (entry.dynamic.length === 0 && !program.body.some(x => hasSource(x) && isRelative(x.source.value))) return program;
+
+  visit(entry);
+
+  // modules only imported dynamically are linked too, ordered after everything static
+  lazy = true;
+  for (let i = 0; i < order.length; i++) {
+    const mod = order[i];
+    for (const x of mod.dynamic) {
+      if (!isStaticImport(x)) continue;
+
+      const specifier = x.source.value;
+      const target = path.resolve(path.dirname(mod.file), specifier);
+
+      let dep = modules.get(target);
+      if (!dep) {
+        const code = read(target);
+        if (code == null) {
+          // import() rejects at runtime instead
+          log.warning('link', `cannot find module '${specifier}' dynamically imported from ${display(mod.file)}`);
+          continue;
+        }
+
+        dep = load(target, code);
+        visit(dep);
+      }
+
+      x._module = dep;
+    }
+  }
+
+  // collect imports/exports and top-level bindings
+  for (const mod of order) {
+    const { ast, imports, locals, indirect, stars, renames } = mod;
+    const declared = lexicalNames(ast.body, varNames(ast.body, new Set()));
+
+    for (const x of ast.body) {
+      if (x.type === 'ImportDeclaration' && x._module) {
+        for (const y of x.specifiers) {
+          if (y.importKind === 'type') continue;
+          imports.set(y.local.name, {
+            from: x._module,
+            name: y.type === 'ImportNamespaceSpecifier' ? '*' : y.type === 'ImportDefaultSpecifier' ? 'default' : (y.imported.name ?? y.imported.value),
+            specifier: x.source.value
+          });
+        }
+      }
+
+      if (x.type === 'ExportAllDeclaration' && x._module) {
+        if (x.exported) indirect.set(x.exported.name ?? x.exported.value, { from: x._module, name: '*' });
+          else stars.push(x._module);
+      }
+
+      if (x.type === 'ExportNamedDeclaration' && x.exportKind !== 'type') {
+        if (x.declaration) {
+          const names = x.declaration.type === 'VariableDeclaration' ?
+            x.declaration.declarations.reduce((acc, y) => patternNames(y.id, acc), new Set()) :
+            [ x.declaration.id.name ];
+          for (const y of names) locals.set(y, y);
+        }
+
+        for (const y of x.specifiers) {
+          const exported = y.exported.name ?? y.exported.value;
+          const local = y.local.name ?? y.local.value;
+          if (x._module) indirect.set(exported, { from: x._module, name: local });
+            else if (!x.source) locals.set(exported, local);
+        }
+      }
+
+      if (x.type === 'ExportDefaultDeclaration') {
+        const decl = x.declaration;
+        if ((decl.type === 'FunctionDeclaration' || decl.type === 'ClassDeclaration') && decl.id) {
+          locals.set('default', decl.id.name);
+        } else {
+          locals.set('default', '*default*');
+          renames.set('*default*', `default#m${mod.index}`);
+        }
+      }
+    }
+
+    // entry bindings keep their names (for wasm exports)
+    if (mod !== entry) {
+      for (const x of declared) renames.set(x, `${x}#m${mod.index}`);
+    }
+  }
+
+  const namespaces = new Map();
+  const namespace = mod => {
+    if (!namespaces.has(mod)) namespaces.set(mod, `*namespace*#m${mod.index}`);
+    return namespaces.get(mod);
+  };
+
+  const resolveExport = (mod, name, seen = new Set()) => {
+    const key = mod.file + '\0' + name;
+    if (seen.has(key)) return null; // circular re-export
+    seen.add(key);
+
+    if (mod.locals.has(name)) {
+      const local = mod.locals.get(name);
+      if (mod.imports.has(local)) return resolveImport(mod, local);
+      return mod.renames.get(local) ?? local;
+    }
+
+    if (mod.indirect.has(name)) {
+      const { from, name: imported } = mod.indirect.get(name);
+      if (imported === '*') return namespace(from);
+      return resolveExport(from, imported, seen);
+    }
+
+    if (name === 'default') return null;
+
+    let out = null;
+    for (const x of mod.stars) {
+      const res = resolveExport(x, name, seen);
+      if (res == null) continue;
+      if (out != null && out !== res) throw new SyntaxError(`The requested module '${display(mod.file)}' contains conflicting star exports for name '${name}'`);
+      out = res;
+    }
+
+    return out;
+  };
+
+  const resolveImport = (mod, local) => {
+    const { from, name, specifier } = mod.imports.get(local);
+    if (name === '*') return namespace(from);
+
+    const out = resolveExport(from, name);
+    if (out == null) throw new SyntaxError(`The requested module '${specifier}' does not provide an export named '${name}'`);
+    return out;
+  };
+
+  const exportNames = (mod, seen = new Set()) => {
+    if (seen.has(mod)) return [];
+    seen.add(mod);
+
+    const out = new Set([ ...mod.locals.keys(), ...mod.indirect.keys() ]);
+    for (const x of mod.stars) {
+      for (const y of exportNames(x, seen)) {
+        if (y !== 'default') out.add(y);
+      }
+    }
+
+    return [ ...out ];
+  };
+
+  // import.meta -> object per module, import() -> promise of the module namespace
+  const metas = [];
+  const rewriteDynamic = mod => {
+    for (const x of mod.dynamic) {
+      if (x.type === 'MetaProperty') {
+        if (!metas.includes(mod)) metas.push(mod);
+        replace(x, identifier(`*meta*#m${mod.index}`));
+        continue;
+      }
+
+      // left for codegen to reject
+      const dep = x._module;
+      if (!dep) continue;
+
+      const resolve = member(identifier('Promise'), 'resolve');
+      if (!dep.lazy) {
+        replace(x, call(resolve, [ identifier(namespace(dep)) ]));
+        continue;
+      }
+
+      // lazy modules are evaluated in a later job, like loading real modules
+      replace(x, call(member(call(resolve), 'then'), [ {
+        type: 'ArrowFunctionExpression',
+        params: [],
+        expression: false,
+        body: {
+          type: 'BlockStatement',
+          body: [
+            { type: 'ExpressionStatement', expression: call(identifier(`*init*#m${dep.index}`)) },
+            { type: 'ReturnStatement', argument: identifier(namespace(dep)) }
+          ]
+        }
+      } ]));
+    }
+  };
+
+  const declarations = () => {
+    const out = [];
+    for (const mod of metas) {
+      out.push({
+        type: 'VariableDeclaration',
+        kind: 'const',
+        declarations: [ {
+          type: 'VariableDeclarator',
+          id: identifier(`*meta*#m${mod.index}`),
+          init: {
+            type: 'ObjectExpression',
+            properties: [
+              [ 'url', url.pathToFileURL(mod.file).href ],
+              [ 'dirname', path.dirname(mod.file) ],
+              [ 'filename', mod.file ]
+            ].map(([ key, value ]) => ({
+              type: 'Property',
+              kind: 'init',
+              key: identifier(key),
+              computed: false,
+              value: { type: 'Literal', value }
+            }))
+          }
+        } ]
+      });
+    }
+
+    // namespace objects use getters so bindings stay live
+    for (const [ mod, name ] of namespaces) {
+      out.push({
+        type: 'VariableDeclaration',
+        kind: 'const',
+        declarations: [ {
+          type: 'VariableDeclarator',
+          id: identifier(name),
+          init: {
+            type: 'ObjectExpression',
+            properties: exportNames(mod).sort().map(x => ({
+              type: 'Property',
+              kind: 'get',
+              key: { type: 'Literal', value: x },
+              computed: false,
+              value: {
+                type: 'FunctionExpression',
+                id: identifier(`get ${x}`), // not the binding name, which would refer to the getter itself
+                params: [],
+                body: {
+                  type: 'BlockStatement',
+                  body: [ { type: 'ReturnStatement', argument: identifier(resolveExport(mod, x)) } ]
+                }
+              }
+            }))
+          }
+        } ]
+      });
+    }
+
+    return out;
+  };
+
+  // only import() or import.meta in the entry, nothing to link
+  if (modules.size === 1) {
+    rewriteDynamic(entry);
+    program.body = declarations().concat(program.body);
+    return program;
+  }
+
+  // declarations of lazy modules go first as they could be evaluated before the code after them
+  const body = [], hoisted = [];
+  for (const mod of order) {
+    const { ast, imports, renames } = mod;
+    for (const x of imports.keys()) renames.set(x, resolveImport(mod, x));
+
+    const exported = new Set(), start = body.length, init = [];
+    for (let x of ast.body) {
+      switch (x.type) {
+        case 'ImportDeclaration':
+          if (x._module) continue;
+          break;
+
+        case 'ExportAllDeclaration':
+          if (x._module) continue;
+          break;
+
+        case 'ExportNamedDeclaration':
+          if (x._module || (!x.declaration && x.exportKind !== 'type')) {
+            if (mod === entry && !x.source) for (const y of x.specifiers) exported.add(y.local.name);
+            continue;
+          }
+
+          // only the entry exports to the host
+          if (mod !== entry) x = x.declaration;
+          break;
+
+        case 'ExportDefaultDeclaration': {
+          const decl = x.declaration;
+          if (decl.type === 'FunctionDeclaration' || decl.type === 'ClassDeclaration') {
+            decl.id ??= identifier(renames.get('*default*'));
+            x = decl;
+            break;
+          }
+
+          // export default expr -> const default#mN = expr
+          if (isFunction(decl) || decl.type === 'ClassExpression') decl.id ??= identifier('default');
+          x = {
+            type: 'VariableDeclaration',
+            kind: 'const',
+            declarations: [ {
+              type: 'VariableDeclarator',
+              id: identifier(renames.get('*default*')),
+              init: decl
+            } ]
+          };
+          break;
+        }
+      }
+
+      rename(x, renames);
+      if (mod.lazy) defer(x, hoisted, init);
+        else body.push(x);
+    }
+
+    if (mod.lazy) {
+      // evaluate once, after its lazy dependencies
+      const evaluated = `*evaluated*#m${mod.index}`;
+      const deps = new Set(ast.body.filter(x => x._module?.lazy).map(x => x._module));
+
+      hoisted.push(declare('let', [ evaluated ]), {
+        type: 'FunctionDeclaration',
+        id: identifier(`*init*#m${mod.index}`),
+        params: [],
+        body: {
+          type: 'BlockStatement',
+          body: [
+            { type: 'IfStatement', test: identifier(evaluated), consequent: { type: 'ReturnStatement', argument: null }, alternate: null },
+            assign(identifier(evaluated), { type: 'Literal', value: true }),
+            ...[...deps].map(x => ({ type: 'ExpressionStatement', expression: call(identifier(`*init*#m${x.index}`)) })),
+            ...init
+          ]
+        }
+      });
+    }
+
+    if (mod === entry) {
+      // export { f } -> export function f() {}
+      for (let i = start; i < body.length; i++) {
+        if (body[i].type === 'FunctionDeclaration' && exported.has(body[i].id.name)) {
+          body[i] = { type: 'ExportNamedDeclaration', declaration: body[i], specifiers: [] };
+        }
+      }
+    }
+  }
+
+  for (const mod of order) rewriteDynamic(mod);
+
+  program.body = declarations().concat(hoisted, body);
+  return program;
+};
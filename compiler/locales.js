@@ -0,0 +1,102 @@
+// CLDR data subset for Intl (see builtins/intl.ts)
+// each key becomes a builtin func taking the locale index (see builtins.js)
+// so only locales given by --locales (default: en) are compiled in, only when used
+// und is the root locale
+// lists are separated by |, lookups are key=value
+
+export default {
+  en: {
+    // numbers
+    decimal: '.',
+    group: ',',
+    minusSign: '-',
+    plusSign: '+',
+    percentSign: '%',
+    exponential: 'E',
+    infinity: '∞',
+    nan: 'NaN',
+    percentPattern: '#,##0%',
+    currencyPattern: '¤#,##0.00',
+    accountingPattern: '¤#,##0.00;(¤#,##0.00)',
+    currencyUnitPattern: '{0} {1}',
+    currencySymbols: 'AUD=A$|BRL=R$|CAD=CA$|CNY=CN¥|EUR=€|GBP=£|HKD=HK$|ILS=₪|INR=₹|JPY=¥|KRW=₩|MXN=MX$|NZD=NZ$|TWD=NT$|USD=$|VND=₫',
+    currencyNarrow: 'AUD=$|CAD=$|CNY=¥|HKD=$|MXN=$|NZD=$|TWD=$',
+    currencyNames: 'AUD=Australian dollar,Australian dollars|BRL=Brazilian real,Brazilian reals|CAD=Canadian dollar,Canadian dollars|CHF=Swiss franc,Swiss francs|CNY=Chinese yuan,Chinese yuan|EUR=euro,euros|GBP=British pound,British pounds|INR=Indian rupee,Indian rupees|JPY=Japanese yen,Japanese yen|MXN=Mexican peso,Mexican pesos|USD=US dollar,US dollars',
+    compactShort: 'K|M|B|T',
+    compactLong: ' thousand| million| billion| trillion',
+
+    // plural rules as category:conditions, conditions are and (&) of relations
+    // operand[%mod]=values or != values, values are , separated numbers or a..b ranges
+    cardinal: 'one:i=1&v=0',
+    ordinal: 'few:n%10=3&n%100!=13|one:n%10=1&n%100!=11|two:n%10=2&n%100!=12',
+
+    // dates
+    monthsWide: 'January|February|March|April|May|June|July|August|September|October|November|December',
+    monthsAbbr: 'Jan|Feb|Mar|Apr|May|Jun|Jul|Aug|Sep|Oct|Nov|Dec',
+    monthsNarrow: 'J|F|M|A|M|J|J|A|S|O|N|D',
+    daysWide: 'Sunday|Monday|Tuesday|Wednesday|Thursday|Friday|Saturday',
+    daysAbbr: 'Sun|Mon|Tue|Wed|Thu|Fri|Sat',
+    daysNarrow: 'S|M|T|W|T|F|S',
+    dayPeriods: 'AM|PM',
+    erasWide: 'Before Christ|Anno Domini',
+    erasAbbr: 'BC|AD',
+    erasNarrow: 'B|A',
+    utcShort: 'UTC',
+    utcLong: 'Coordinated Universal Time',
+    hourCycle: 'h12',
+
+    // full|long|medium|short
+    dateFormats: 'EEEE, MMMM d, y|MMMM d, y|MMM d, y|M/d/yy',
+    timeFormats: 'h:mm:ss a zzzz|h:mm:ss a z|h:mm:ss a|h:mm a',
+    dateTimeFormats: "{1} 'at' {0}|{1} 'at' {0}|{1}, {0}|{1}, {0}",
+    availableFormats: 'd=d|E=ccc|Ed=d E|M=L|MMM=LLL|MMMM=LLLL|Md=M/d|MEd=E, M/d|MMMd=MMM d|MMMEd=E, MMM d|MMMMd=MMMM d|MMMMEd=E, MMMM d|' +
+      'y=y|yM=M/y|yMd=M/d/y|yMEd=E, M/d/y|yMMM=MMM y|yMMMd=MMM d, y|yMMMEd=E, MMM d, y|yMMMM=MMMM y|yMMMMd=MMMM d, y|yMMMMEd=E, MMMM d, y|' +
+      'Gy=y G|GyMd=M/d/y G|GyMMM=MMM y G|GyMMMd=MMM d, y G|GyMMMEd=E, MMM d, y G|' +
+      'h=h a|hm=h:mm a|hms=h:mm:ss a|H=HH|Hm=HH:mm|Hms=HH:mm:ss|ms=mm:ss|m=m|s=s'
+  },
+
+  und: {
+    decimal: '.',
+    group: ',',
+    minusSign: '-',
+    plusSign: '+',
+    percentSign: '%',
+    exponential: 'E',
+    infinity: '∞',
+    nan: 'NaN',
+    percentPattern: '#,##0%',
+    currencyPattern: '¤ #,##0.00',
+    accountingPattern: '¤ #,##0.00',
+    currencyUnitPattern: '{0} {1}',
+    currencySymbols: 'AUD=A$|BRL=R$|CAD=CA$|CNY=CN¥|EUR=€|GBP=£|HKD=HK$|ILS=₪|INR=₹|JPY=JP¥|KRW=₩|MXN=MX$|NZD=NZ$|TWD=NT$|USD=US$|VND=₫',
+    currencyNarrow: 'AUD=$|CAD=$|CNY=¥|HKD=$|JPY=¥|MXN=$|NZD=$|TWD=$|USD=$',
+    currencyNames: '',
+    compactShort: 'K|M|G|T',
+    compactLong: 'K|M|G|T',
+
+    cardinal: '',
+    ordinal: '',
+
+    monthsWide: 'M01|M02|M03|M04|M05|M06|M07|M08|M09|M10|M11|M12',
+    monthsAbbr: 'M01|M02|M03|M04|M05|M06|M07|M08|M09|M10|M11|M12',
+    monthsNarrow: '1|2|3|4|5|6|7|8|9|10|11|12',
+    daysWide: 'Sun|Mon|Tue|Wed|Thu|Fri|Sat',
+    daysAbbr: 'Sun|Mon|Tue|Wed|Thu|Fri|Sat',
+    daysNarrow: 'S|M|T|W|T|F|S',
+    dayPeriods: 'AM|PM',
+    erasWide: 'BCE|CE',
+    erasAbbr: 'BCE|CE',
+    erasNarrow: 'BCE|CE',
+    utcShort: 'GMT',
+    utcLong: 'GMT',
+    hourCycle: 'h23',
+
+    dateFormats: 'y MMMM d, EEEE|y MMMM d|y MMM d|y-MM-dd',
+    timeFormats: 'HH:mm:ss zzzz|HH:mm:ss z|HH:mm:ss|HH:mm',
+    dateTimeFormats: '{1} {0}|{1} {0}|{1} {0}|{1} {0}',
+    availableFormats: 'd=d|E=ccc|Ed=d, E|M=L|MMM=LLL|MMMM=LLLL|Md=MM-dd|MEd=MM-dd, E|MMMd=MMM d|MMMEd=MMM d, E|MMMMd=MMMM d|MMMMEd=MMMM d, E|' +
+      'y=y|yM=y-MM|yMd=y-MM-dd|yMEd=y-MM-dd, E|yMMM=y MMM|yMMMd=y MMM d|yMMMEd=y MMM d, E|yMMMM=y MMMM|yMMMMd=y MMMM d|yMMMMEd=y MMMM d, E|' +
+      'Gy=G y|GyMd=GGGGG y-MM-dd|GyMMM=G y MMM|GyMMMd=G y MMM d|GyMMMEd=G y MMM d, E|' +
+      'h=h a|hm=h:mm a|hms=h:mm:ss a|H=HH|Hm=HH:mm|Hms=HH:mm:ss|ms=mm:ss|m=m|s=s'
+  }
+};
@@ -7,9 +7,6 @@ export default (funcs, globals, pages, tags, exceptions) => {
   const optLevel = parseInt(process.argv.find(x => x.startsWith('-O'))?.[2] ?? 1);
   if (optLevel === 0) return;
 
-  const tailCall = Prefs.tailCall;
-  if (tailCall) log.warning('opt', 'tail call proposal is not widely implemented! (you used --tail-call)');
-
   let fi = 0;
   for (const f of funcs) {
     const wasm = f.wasm;
@@ -200,21 +197,6 @@ export default (funcs, globals, pages, tags, exceptions) => {
           continue;
         }
 
-        if (tailCall && lastInst[0] === Opcodes.call && inst[0] === Opcodes.return) {
-          // replace call, return with tail calls (return_call)
-          // call X
-          // return
-          // -->
-          // return_call X
-
-          wasm[i - 1] = [ Opcodes.return_call, ...lastInst.slice(1) ]; // change last inst return -> return_call
-
-          wasm.splice(i, 1); // remove this inst (return)
-          i--;
-          if (Prefs.optLog) log('opt', `tail called return, call`);
-          continue;
-        }
-
         // if (i === wasm.length - 1 && inst[0] === Opcodes.return) {
         //   // replace final return, end -> end (wasm has implicit return)
         //   // return
@@ -26,8 +26,11 @@ await loadParser(types ? '@babel/parser' : undefined);
 
 if (types && !['@babel/parser', 'hermes-parser', 'oxc-parser'].includes(parser)) log.warning('parse', `passed -parse-types with a parser (${parser}) which does not support`);
 
-export default input => {
+export default (input, source = undefined) => {
   try {
+    // locations are only needed for stack traces and source maps, not in precompiled builtins
+    const locations = !!(Prefs.stackTrace || Prefs.sourceMap) && !globalThis.precompile;
+
     const options = {
       // acorn
       ecmaVersion: 'latest',
@@ -37,13 +40,17 @@ export default input => {
       module: Prefs.module,
       webcompat: true,
       raw: true,
+      loc: locations,
 
       // babel
-      plugins: types ? ['estree', 'typescript'] : ['estree'],
+      // classFeatures for PropertyDefinition/AccessorProperty like other parsers
+      plugins: [ [ 'estree', { classFeatures: true } ], [ 'decorators', { version: '2023-05' } ], 'decoratorAutoAccessors', ...(types ? [ 'typescript' ] : []) ],
+      sourceFilename: source,
 
       // multiple
       sourceType: Prefs.module ? 'module' : 'script',
-      locations: false,
+      locations,
+      sourceFile: source,
       ranges: false,
       tokens: false,
       comments: false,
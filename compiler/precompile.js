@@ -7,6 +7,15 @@ createImport('print', 1, 0);
 createImport('printChar', 1, 0);
 createImport('time', 0, 1);
 createImport('timeOrigin', 0, 1);
+createImport('readArgv', 3, 1);
+createImport('readEnv', 3, 1);
+createImport('exit', 1, 0);
+createImport('sleep', 1, 0);
+createImport('fsRead', 2, 1);
+createImport('fsReaddir', 2, 1);
+createImport('fsTake', 1, 0);
+createImport('fsWrite', 5, 1);
+createImport('fsStat', 3, 1);
 
 import process from 'node:process';
 globalThis.process = process;
@@ -137,7 +146,9 @@ const compile = async (file, _funcs) => {
 
         if (y[0] === Opcodes.global_get || y[0] === Opcodes.global_set) {
           const global = invGlobals[y[1]];
-          wasm[i] = [ 'global', y[0], global.name, global.type ];
+
+          // globals from glbl (eg well-known symbols) already have the prefix glbl adds
+          wasm[i] = [ 'global', y[0], global.name.startsWith('#porf#') ? global.name.slice(6) : global.name, global.type ];
 
           if (!x.globalInits) {
             if (!main.rewrittenGlobalInits) {
@@ -264,6 +275,7 @@ ${funcs.map(x => {
       .replace(/\["throw","(.*?)","(.*?)"\]/g, (_, constructor, message) => `...internalThrow(_,'${constructor}',\`${message}\`)`)
       .replace(/\["get object","(.*?)"\]/g, (_, objName) => `...generateIdent(_,{name:'${objName}'})`)
       .replace(/\[null,"typeswitch case start",\[(.*?)\]\],/g, (_, types) => `...t([${types}],()=>[`)
+      .replaceAll(',[null,"typeswitch case else"],', '],()=>[')
       .replaceAll(',[null,"typeswitch case end"]', '])')
       .replace(/\[null,"comptime_flag","(.*?)",(\{.*?\}),"#",(\{.*?\}),"#",(\{.*?\})\]/g, (_, flag, passAst, failAst, prefs) => {
         const processAst = ast => JSON.stringify(
@@ -281,7 +293,8 @@ ${funcs.map(x => {
         const diffPrefs = Object.keys(prefs).reduce((acc, x) => { if (prefs[x] !== defaultPrefs[x]) acc[x] = prefs[x]; return acc; }, {});
 
         const [ id, extra ] = flag.split('.');
-        return `[null,()=>{const a=Prefs;Prefs={...defaultPrefs,${JSON.stringify(diffPrefs).slice(1, -1)}};resetGlobals(Valtype,Opcodes);const b=generate(_,${comptimeFlagChecks[id](extra)}?${passAst}:${failAst});if(b.at(-1)[0]>=0x41&&b.at(-1)[0]<=0x44)b.pop();Prefs=a;resetGlobals(Valtype,Opcodes);return b;}]`;
+        // builtins included by the flag are generated with the outer prefs instead (see asmFunc)
+        return `[null,()=>{const a=Prefs,o=globalThis.comptimeOuter;globalThis.comptimeOuter??={prefs:a,reset:()=>resetGlobals(Valtype,Opcodes)};Prefs={...defaultPrefs,${JSON.stringify(diffPrefs).slice(1, -1)}};resetGlobals(Valtype,Opcodes);const b=generate(_,${comptimeFlagChecks[id](extra)}?${passAst}:${failAst});if(b.at(-1)[0]>=0x41&&b.at(-1)[0]<=0x44)b.pop();globalThis.comptimeOuter=o;Prefs=a;resetGlobals(Valtype,Opcodes);return b;}]`;
       })
       .replaceAll('"-0"', '-0');
 
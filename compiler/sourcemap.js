@@ -0,0 +1,60 @@
+// source maps for wasm (--source-map), from code offsets of statements to their js locations
+// see https://tc39.es/ecma426/ (wasm maps are a single line with columns as module offsets)
+import './prefs.js';
+
+const base64 = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/';
+const vlq = n => {
+  let x = n < 0 ? ((-n) << 1) | 1 : n << 1;
+  let out = '';
+  do {
+    let digit = x & 0b11111;
+    x >>>= 5;
+    if (x > 0) digit |= 0b100000;
+
+    out += base64[digit];
+  } while (x > 0);
+
+  return out;
+};
+
+// url of the map in the sourceMappingURL section, next to the output file unless given
+export const sourceMapURL = () => {
+  if (typeof Prefs.sourceMap === 'string') return Prefs.sourceMap;
+  if (Prefs.o) return Prefs.o.split(/[\\/]/).at(-1) + '.map';
+
+  return null;
+};
+
+export default (sourceMap, { sourceRoot = '', readSource = () => null } = {}) => {
+  // keep only the innermost location at each offset
+  const entries = [];
+  for (const x of sourceMap) {
+    if (entries.at(-1)?.[0] === x[0]) entries.pop();
+    entries.push(x);
+  }
+
+  const sources = [], mappings = [];
+  let lastOffset = 0, lastSource = 0, lastLine = 0, lastColumn = 0;
+  for (const [ offset, loc ] of entries) {
+    const file = loc.source ?? globalThis.file ?? '<anonymous>';
+    let source = sources.indexOf(file);
+    if (source === -1) source = sources.push(file) - 1;
+
+    const line = loc.start.line - 1, column = loc.start.column;
+    mappings.push(vlq(offset - lastOffset) + vlq(source - lastSource) + vlq(line - lastLine) + vlq(column - lastColumn));
+
+    lastOffset = offset;
+    lastSource = source;
+    lastLine = line;
+    lastColumn = column;
+  }
+
+  return {
+    version: 3,
+    sourceRoot,
+    sources,
+    sourcesContent: sources.map(readSource),
+    names: [],
+    mappings: mappings.join(',')
+  };
+};
@@ -53,12 +53,13 @@ registerInternalType('ArrayBuffer');
 registerInternalType('SharedArrayBuffer');
 registerInternalType('DataView');
 
-for (const x of [ 'Uint8Clamped', 'Uint8', 'Int8', 'Uint16', 'Int16', 'Uint32', 'Int32', 'BigUint64', 'BigInt64', 'Float32', 'Float64' ])
+for (const x of [ 'Uint8Clamped', 'Uint8', 'Int8', 'Uint16', 'Int16', 'Uint32', 'Int32', 'BigUint64', 'BigInt64', 'Float16', 'Float32', 'Float64' ])
   registerInternalType(`${x}Array`, ['iterable', 'length']);
 
 registerInternalType('WeakRef');
 registerInternalType('WeakSet');
 registerInternalType('WeakMap');
+registerInternalType('FinalizationRegistry');
 
 registerInternalType('Promise');
 
@@ -69,9 +70,29 @@ registerInternalType('StringObject');
 registerInternalType('__Porffor_Generator');
 registerInternalType('__Porffor_AsyncGenerator');
 
-for (const x of [ '', 'Aggregate', 'Type', 'Reference', 'Syntax', 'Range', 'Eval', 'URI', 'Test262' ])
+// error types are kept together, Error to Test262Error (see Error.isError)
+for (const x of [ '', 'Aggregate', 'Type', 'Reference', 'Syntax', 'Range', 'Eval', 'URI', 'Suppressed' ])
   registerInternalType(`${x}Error`);
 
+registerInternalType('DOMException');
+registerInternalType('Test262Error');
+
+registerInternalType('Proxy');
+
+registerInternalType('TextEncoder');
+registerInternalType('TextDecoder');
+
+for (const x of [ 'NumberFormat', 'DateTimeFormat', 'Collator', 'PluralRules' ])
+  registerInternalType(`Intl_${x}`);
+
+for (const x of [ 'Instant', 'PlainDate', 'PlainTime', 'PlainDateTime', 'Duration' ])
+  registerInternalType(`Temporal_${x}`);
+
+registerInternalType('IteratorHelper');
+
+registerInternalType('DisposableStack');
+registerInternalType('AsyncDisposableStack');
+
 if (Prefs.largestTypes) {
   const typeKeys = Object.keys(TYPES);
   const typeVals = Object.values(TYPES);
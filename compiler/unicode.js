@@ -0,0 +1,19 @@
+// generated by generate_unicode.js from unicode 16.0, do not edit
+// tables are arrays of u16s, see generate_unicode.js for their layouts
+
+export default {
+  combiningClasses: [0,768,0,788,51,0,789,0,789,52,0,790,0,793,46,0,794,0,794,52,0,795,0,795,44,0,796,0,800,46,0,801,0,802,42,0,803,0,806,46,0,807,0,808,42,0,809,0,819,46,0,820,0,824,1,0,825,0,828,46,0,829,0,831,51,0,834,0,834,51,0,837,0,837,55,0,838,0,838,51,0,839,0,841,46,0,842,0,844,51,0,845,0,846,46,0,848,0,850,51,0,851,0,854,46,0,855,0,855,51,0,856,0,856,52,0,857,0,858,46,0,859,0,859,51,0,860,0,860,53,0,861,0,862,54,0,863,0,863,53,0,864,0,865,54,0,866,0,866,53,0,867,0,879,51,0,1155,0,1159,51,0,1425,0,1425,46,0,1426,0,1429,51,0,1430,0,1430,46,0,1431,0,1433,51,0,1434,0,1434,47,0,1435,0,1435,46,0,1436,0,1441,51,0,1442,0,1447,46,0,1448,0,1449,51,0,1450,0,1450,46,0,1451,0,1452,51,0,1453,0,1453,47,0,1454,0,1454,50,0,1455,0,1455,51,0,1456,0,1456,6,0,1457,0,1457,7,0,1458,0,1458,8,0,1459,0,1459,9,0,1460,0,1460,10,0,1461,0,1461,11,0,1462,0,1462,12,0,1463,0,1463,13,0,1464,0,1464,14,0,1465,0,1466,15,0,1467,0,1467,16,0,1468,0,1468,17,0,1469,0,1469,18,0,1471,0,1471,19,0,1473,0,1473,20,0,1474,0,1474,21,0,1476,0,1476,51,0,1477,0,1477,46,0,1479,0,1479,14,0,1552,0,1559,51,0,1560,0,1560,26,0,1561,0,1561,27,0,1562,0,1562,28,0,1611,0,1611,23,0,1612,0,1612,24,0,1613,0,1613,25,0,1614,0,1614,26,0,1615,0,1615,27,0,1616,0,1616,28,0,1617,0,1617,29,0,1618,0,1618,30,0,1619,0,1620,51,0,1621,0,1622,46,0,1623,0,1627,51,0,1628,0,1628,46,0,1629,0,1630,51,0,1631,0,1631,46,0,1648,0,1648,31,0,1750,0,1756,51,0,1759,0,1762,51,0,1763,0,1763,46,0,1764,0,1764,51,0,1767,0,1768,51,0,1770,0,1770,46,0,1771,0,1772,51,0,1773,0,1773,46,0,1809,0,1809,32,0,1840,0,1840,51,0,1841,0,1841,46,0,1842,0,1843,51,0,1844,0,1844,46,0,1845,0,1846,51,0,1847,0,1849,46,0,1850,0,1850,51,0,1851,0,1852,46,0,1853,0,1853,51,0,1854,0,1854,46,0,1855,0,1857,51,0,1858,0,1858,46,0,1859,0,1859,51,0,1860,0,1860,46,0,1861,0,1861,51,0,1862,0,1862,46,0,1863,0,1863,51,0,1864,0,1864,46,0,1865,0,1866,51,0,2027,0,2033,51,0,2034,0,2034,46,0,2035,0,2035,51,0,2045,0,2045,46,0,2070,0,2073,51,0,2075,0,2083,51,0,2085,0,2087,51,0,2089,0,2093,51,0,2137,0,2139,46,0,2199,0,2200,51,0,2201,0,2203,46,0,2204,0,2207,51,0,2250,0,2254,51,0,2255,0,2259,46,0,2260,0,2273,51,0,2275,0,2275,46,0,2276,0,2277,51,0,2278,0,2278,46,0,2279,0,2280,51,0,2281,0,2281,46,0,2282,0,2284,51,0,2285,0,2287,46,0,2288,0,2288,23,0,2289,0,2289,24,0,2290,0,2290,25,0,2291,0,2293,51,0,2294,0,2294,46,0,2295,0,2296,51,0,2297,0,2298,46,0,2299,0,2303,51,0,2364,0,2364,3,0,2381,0,2381,5,0,2385,0,2385,51,0,2386,0,2386,46,0,2387,0,2388,51,0,2492,0,2492,3,0,2509,0,2509,5,0,2558,0,2558,51,0,2620,0,2620,3,0,2637,0,2637,5,0,2748,0,2748,3,0,2765,0,2765,5,0,2876,0,2876,3,0,2893,0,2893,5,0,3021,0,3021,5,0,3132,0,3132,3,0,3149,0,3149,5,0,3157,0,3157,33,0,3158,0,3158,34,0,3260,0,3260,3,0,3277,0,3277,5,0,3387,0,3388,5,0,3405,0,3405,5,0,3530,0,3530,5,0,3640,0,3641,35,0,3642,0,3642,5,0,3656,0,3659,36,0,3768,0,3769,37,0,3770,0,3770,5,0,3784,0,3787,38,0,3864,0,3865,46,0,3893,0,3893,46,0,3895,0,3895,46,0,3897,0,3897,44,0,3953,0,3953,39,0,3954,0,3954,40,0,3956,0,3956,41,0,3962,0,3965,40,0,3968,0,3968,40,0,3970,0,3971,51,0,3972,0,3972,5,0,3974,0,3975,51,0,4038,0,4038,46,0,4151,0,4151,3,0,4153,0,4154,5,0,4237,0,4237,46,0,4957,0,4959,51,0,5908,0,5909,5,0,5940,0,5940,5,0,6098,0,6098,5,0,6109,0,6109,51,0,6313,0,6313,50,0,6457,0,6457,47,0,6458,0,6458,51,0,6459,0,6459,46,0,6679,0,6679,51,0,6680,0,6680,46,0,6752,0,6752,5,0,6773,0,6780,51,0,6783,0,6783,46,0,6832,0,6836,51,0,6837,0,6842,46,0,6843,0,6844,51,0,6845,0,6845,46,0,6847,0,6848,46,0,6849,0,6850,51,0,6851,0,6852,46,0,6853,0,6857,51,0,6858,0,6858,46,0,6859,0,6862,51,0,6964,0,6964,3,0,6980,0,6980,5,0,7019,0,7019,51,0,7020,0,7020,46,0,7021,0,7027,51,0,7082,0,7083,5,0,7142,0,7142,3,0,7154,0,7155,5,0,7223,0,7223,3,0,7376,0,7378,51,0,7380,0,7380,1,0,7381,0,7385,46,0,7386,0,7387,51,0,7388,0,7391,46,0,7392,0,7392,51,0,7394,0,7400,1,0,7405,0,7405,46,0,7412,0,7412,51,0,7416,0,7417,51,0,7616,0,7617,51,0,7618,0,7618,46,0,7619,0,7625,51,0,7626,0,7626,46,0,7627,0,7628,51,0,7629,0,7629,54,0,7630,0,7630,43,0,7631,0,7631,46,0,7632,0,7632,42,0,7633,0,7669,51,0,7670,0,7670,52,0,7671,0,7672,50,0,7673,0,7673,46,0,7674,0,7674,45,0,7675,0,7675,51,0,7676,0,7676,53,0,7677,0,7677,46,0,7678,0,7678,51,0,7679,0,7679,46,0,8400,0,8401,51,0,8402,0,8403,1,0,8404,0,8407,51,0,8408,0,8410,1,0,8411,0,8412,51,0,8417,0,8417,51,0,8421,0,8422,1,0,8423,0,8423,51,0,8424,0,8424,46,0,8425,0,8425,51,0,8426,0,8427,1,0,8428,0,8431,46,0,8432,0,8432,51,0,11503,0,11505,51,0,11647,0,11647,5,0,11744,0,11775,51,0,12330,0,12330,45,0,12331,0,12331,50,0,12332,0,12332,52,0,12333,0,12333,47,0,12334,0,12335,48,0,12441,0,12442,4,0,42607,0,42607,51,0,42612,0,42621,51,0,42654,0,42655,51,0,42736,0,42737,51,0,43014,0,43014,5,0,43052,0,43052,5,0,43204,0,43204,5,0,43232,0,43249,51,0,43307,0,43309,46,0,43347,0,43347,5,0,43443,0,43443,3,0,43456,0,43456,5,0,43696,0,43696,51,0,43698,0,43699,51,0,43700,0,43700,46,0,43703,0,43704,51,0,43710,0,43711,51,0,43713,0,43713,51,0,43766,0,43766,5,0,44013,0,44013,5,0,64286,0,64286,22,0,65056,0,65062,51,0,65063,0,65069,46,0,65070,0,65071,51,1,509,1,509,46,1,736,1,736,46,1,886,1,890,51,1,2573,1,2573,46,1,2575,1,2575,51,1,2616,1,2616,51,1,2617,1,2617,1,1,2618,1,2618,46,1,2623,1,2623,5,1,2789,1,2789,51,1,2790,1,2790,46,1,3364,1,3367,51,1,3433,1,3437,51,1,3755,1,3756,51,1,3837,1,3839,46,1,3910,1,3911,46,1,3912,1,3914,51,1,3915,1,3915,46,1,3916,1,3916,51,1,3917,1,3920,46,1,3970,1,3970,51,1,3971,1,3971,46,1,3972,1,3972,51,1,3973,1,3973,46,1,4166,1,4166,5,1,4208,1,4208,5,1,4223,1,4223,5,1,4281,1,4281,5,1,4282,1,4282,3,1,4352,1,4354,51,1,4403,1,4404,5,1,4467,1,4467,3,1,4544,1,4544,5,1,4554,1,4554,3,1,4661,1,4661,5,1,4662,1,4662,3,1,4841,1,4841,3,1,4842,1,4842,5,1,4923,1,4924,3,1,4941,1,4941,5,1,4966,1,4972,51,1,4976,1,4980,51,1,5070,1,5072,5,1,5186,1,5186,5,1,5190,1,5190,3,1,5214,1,5214,51,1,5314,1,5314,5,1,5315,1,5315,3,1,5567,1,5567,5,1,5568,1,5568,3,1,5695,1,5695,5,1,5814,1,5814,5,1,5815,1,5815,3,1,5931,1,5931,5,1,6201,1,6201,5,1,6202,1,6202,3,1,6461,1,6462,5,1,6467,1,6467,3,1,6624,1,6624,5,1,6708,1,6708,5,1,6727,1,6727,5,1,6809,1,6809,5,1,7231,1,7231,5,1,7490,1,7490,3,1,7492,1,7493,5,1,7575,1,7575,5,1,8001,1,8002,5,1,24879,1,24879,5,1,27376,1,27380,1,1,27440,1,27446,51,1,28656,1,28657,2,1,48286,1,48286,1,1,53605,1,53606,44,1,53607,1,53609,1,1,53613,1,53613,49,1,53614,1,53618,44,1,53627,1,53634,46,1,53637,1,53641,51,1,53642,1,53643,46,1,53674,1,53677,51,1,53826,1,53828,51,1,57344,1,57350,51,1,57352,1,57368,51,1,57371,1,57377,51,1,57379,1,57380,51,1,57382,1,57386,51,1,57487,1,57487,51,1,57648,1,57654,51,1,58030,1,58030,51,1,58092,1,58095,51,1,58604,1,58605,52,1,58606,1,58606,46,1,58607,1,58607,51,1,58862,1,58862,51,1,58863,1,58863,46,1,59600,1,59606,46,1,59716,1,59721,51,1,59722,1,59722,3],
+  decompositions: [0,192,0,2,0,193,2,2,0,194,4,2,0,195,6,2,0,196,8,2,0,197,10,2,0,199,12,2,0,200,14,2,0,201,16,2,0,202,18,2,0,203,20,2,0,204,22,2,0,205,24,2,0,206,26,2,0,207,28,2,0,209,30,2,0,210,32,2,0,211,34,2,0,212,36,2,0,213,38,2,0,214,40,2,0,217,42,2,0,218,44,2,0,219,46,2,0,220,48,2,0,221,50,2,0,224,52,2,0,225,54,2,0,226,56,2,0,227,58,2,0,228,60,2,0,229,62,2,0,231,64,2,0,232,66,2,0,233,68,2,0,234,70,2,0,235,72,2,0,236,74,2,0,237,76,2,0,238,78,2,0,239,80,2,0,241,82,2,0,242,84,2,0,243,86,2,0,244,88,2,0,245,90,2,0,246,92,2,0,249,94,2,0,250,96,2,0,251,98,2,0,252,100,2,0,253,102,2,0,255,104,2,0,256,106,2,0,257,108,2,0,258,110,2,0,259,112,2,0,260,114,2,0,261,116,2,0,262,118,2,0,263,120,2,0,264,122,2,0,265,124,2,0,266,126,2,0,267,128,2,0,268,130,2,0,269,132,2,0,270,134,2,0,271,136,2,0,274,138,2,0,275,140,2,0,276,142,2,0,277,144,2,0,278,146,2,0,279,148,2,0,280,150,2,0,281,152,2,0,282,154,2,0,283,156,2,0,284,158,2,0,285,160,2,0,286,162,2,0,287,164,2,0,288,166,2,0,289,168,2,0,290,170,2,0,291,172,2,0,292,174,2,0,293,176,2,0,296,178,2,0,297,180,2,0,298,182,2,0,299,184,2,0,300,186,2,0,301,188,2,0,302,190,2,0,303,192,2,0,304,194,2,0,308,196,2,0,309,198,2,0,310,200,2,0,311,202,2,0,313,204,2,0,314,206,2,0,315,208,2,0,316,210,2,0,317,212,2,0,318,214,2,0,323,216,2,0,324,218,2,0,325,220,2,0,326,222,2,0,327,224,2,0,328,226,2,0,332,228,2,0,333,230,2,0,334,232,2,0,335,234,2,0,336,236,2,0,337,238,2,0,340,240,2,0,341,242,2,0,342,244,2,0,343,246,2,0,344,248,2,0,345,250,2,0,346,252,2,0,347,254,2,0,348,256,2,0,349,258,2,0,350,260,2,0,351,262,2,0,352,264,2,0,353,266,2,0,354,268,2,0,355,270,2,0,356,272,2,0,357,274,2,0,360,276,2,0,361,278,2,0,362,280,2,0,363,282,2,0,364,284,2,0,365,286,2,0,366,288,2,0,367,290,2,0,368,292,2,0,369,294,2,0,370,296,2,0,371,298,2,0,372,300,2,0,373,302,2,0,374,304,2,0,375,306,2,0,376,308,2,0,377,310,2,0,378,312,2,0,379,314,2,0,380,316,2,0,381,318,2,0,382,320,2,0,416,322,2,0,417,324,2,0,431,326,2,0,432,328,2,0,461,330,2,0,462,332,2,0,463,334,2,0,464,336,2,0,465,338,2,0,466,340,2,0,467,342,2,0,468,344,2,0,469,346,3,0,470,349,3,0,471,352,3,0,472,355,3,0,473,358,3,0,474,361,3,0,475,364,3,0,476,367,3,0,478,370,3,0,479,373,3,0,480,376,3,0,481,379,3,0,482,382,2,0,483,384,2,0,486,386,2,0,487,388,2,0,488,390,2,0,489,392,2,0,490,394,2,0,491,396,2,0,492,398,3,0,493,401,3,0,494,404,2,0,495,406,2,0,496,408,2,0,500,410,2,0,501,412,2,0,504,414,2,0,505,416,2,0,506,418,3,0,507,421,3,0,508,424,2,0,509,426,2,0,510,428,2,0,511,430,2,0,512,432,2,0,513,434,2,0,514,436,2,0,515,438,2,0,516,440,2,0,517,442,2,0,518,444,2,0,519,446,2,0,520,448,2,0,521,450,2,0,522,452,2,0,523,454,2,0,524,456,2,0,525,458,2,0,526,460,2,0,527,462,2,0,528,464,2,0,529,466,2,0,530,468,2,0,531,470,2,0,532,472,2,0,533,474,2,0,534,476,2,0,535,478,2,0,536,480,2,0,537,482,2,0,538,484,2,0,539,486,2,0,542,488,2,0,543,490,2,0,550,492,2,0,551,494,2,0,552,496,2,0,553,498,2,0,554,500,3,0,555,503,3,0,556,506,3,0,557,509,3,0,558,512,2,0,559,514,2,0,560,516,3,0,561,519,3,0,562,522,2,0,563,524,2,0,832,526,1,0,833,527,1,0,835,528,1,0,836,529,2,0,884,531,1,0,894,532,1,0,901,533,2,0,902,535,2,0,903,537,1,0,904,538,2,0,905,540,2,0,906,542,2,0,908,544,2,0,910,546,2,0,911,548,2,0,912,550,3,0,938,553,2,0,939,555,2,0,940,557,2,0,941,559,2,0,942,561,2,0,943,563,2,0,944,565,3,0,970,568,2,0,971,570,2,0,972,572,2,0,973,574,2,0,974,576,2,0,979,578,2,0,980,580,2,0,1024,582,2,0,1025,584,2,0,1027,586,2,0,1031,588,2,0,1036,590,2,0,1037,592,2,0,1038,594,2,0,1049,596,2,0,1081,598,2,0,1104,600,2,0,1105,602,2,0,1107,604,2,0,1111,606,2,0,1116,608,2,0,1117,610,2,0,1118,612,2,0,1142,614,2,0,1143,616,2,0,1217,618,2,0,1218,620,2,0,1232,622,2,0,1233,624,2,0,1234,626,2,0,1235,628,2,0,1238,630,2,0,1239,632,2,0,1242,634,2,0,1243,636,2,0,1244,638,2,0,1245,640,2,0,1246,642,2,0,1247,644,2,0,1250,646,2,0,1251,648,2,0,1252,650,2,0,1253,652,2,0,1254,654,2,0,1255,656,2,0,1258,658,2,0,1259,660,2,0,1260,662,2,0,1261,664,2,0,1262,666,2,0,1263,668,2,0,1264,670,2,0,1265,672,2,0,1266,674,2,0,1267,676,2,0,1268,678,2,0,1269,680,2,0,1272,682,2,0,1273,684,2,0,1570,686,2,0,1571,688,2,0,1572,690,2,0,1573,692,2,0,1574,694,2,0,1728,696,2,0,1730,698,2,0,1747,700,2,0,2345,702,2,0,2353,704,2,0,2356,706,2,0,2392,708,2,0,2393,710,2,0,2394,712,2,0,2395,714,2,0,2396,716,2,0,2397,718,2,0,2398,720,2,0,2399,722,2,0,2507,724,2,0,2508,726,2,0,2524,728,2,0,2525,730,2,0,2527,732,2,0,2611,734,2,0,2614,736,2,0,2649,738,2,0,2650,740,2,0,2651,742,2,0,2654,744,2,0,2888,746,2,0,2891,748,2,0,2892,750,2,0,2908,752,2,0,2909,754,2,0,2964,756,2,0,3018,758,2,0,3019,760,2,0,3020,762,2,0,3144,764,2,0,3264,766,2,0,3271,768,2,0,3272,770,2,0,3274,772,2,0,3275,774,3,0,3402,777,2,0,3403,779,2,0,3404,781,2,0,3546,783,2,0,3548,785,2,0,3549,787,3,0,3550,790,2,0,3907,792,2,0,3917,794,2,0,3922,796,2,0,3927,798,2,0,3932,800,2,0,3945,802,2,0,3955,804,2,0,3957,806,2,0,3958,808,2,0,3960,810,2,0,3969,812,2,0,3987,814,2,0,3997,816,2,0,4002,818,2,0,4007,820,2,0,4012,822,2,0,4025,824,2,0,4134,826,2,0,6918,828,2,0,6920,830,2,0,6922,832,2,0,6924,834,2,0,6926,836,2,0,6930,838,2,0,6971,840,2,0,6973,842,2,0,6976,844,2,0,6977,846,2,0,6979,848,2,0,7680,850,2,0,7681,852,2,0,7682,854,2,0,7683,856,2,0,7684,858,2,0,7685,860,2,0,7686,862,2,0,7687,864,2,0,7688,866,3,0,7689,869,3,0,7690,872,2,0,7691,874,2,0,7692,876,2,0,7693,878,2,0,7694,880,2,0,7695,882,2,0,7696,884,2,0,7697,886,2,0,7698,888,2,0,7699,890,2,0,7700,892,3,0,7701,895,3,0,7702,898,3,0,7703,901,3,0,7704,904,2,0,7705,906,2,0,7706,908,2,0,7707,910,2,0,7708,912,3,0,7709,915,3,0,7710,918,2,0,7711,920,2,0,7712,922,2,0,7713,924,2,0,7714,926,2,0,7715,928,2,0,7716,930,2,0,7717,932,2,0,7718,934,2,0,7719,936,2,0,7720,938,2,0,7721,940,2,0,7722,942,2,0,7723,944,2,0,7724,946,2,0,7725,948,2,0,7726,950,3,0,7727,953,3,0,7728,956,2,0,7729,958,2,0,7730,960,2,0,7731,962,2,0,7732,964,2,0,7733,966,2,0,7734,968,2,0,7735,970,2,0,7736,972,3,0,7737,975,3,0,7738,978,2,0,7739,980,2,0,7740,982,2,0,7741,984,2,0,7742,986,2,0,7743,988,2,0,7744,990,2,0,7745,992,2,0,7746,994,2,0,7747,996,2,0,7748,998,2,0,7749,1000,2,0,7750,1002,2,0,7751,1004,2,0,7752,1006,2,0,7753,1008,2,0,7754,1010,2,0,7755,1012,2,0,7756,1014,3,0,7757,1017,3,0,7758,1020,3,0,7759,1023,3,0,7760,1026,3,0,7761,1029,3,0,7762,1032,3,0,7763,1035,3,0,7764,1038,2,0,7765,1040,2,0,7766,1042,2,0,7767,1044,2,0,7768,1046,2,0,7769,1048,2,0,7770,1050,2,0,7771,1052,2,0,7772,1054,3,0,7773,1057,3,0,7774,1060,2,0,7775,1062,2,0,7776,1064,2,0,7777,1066,2,0,7778,1068,2,0,7779,1070,2,0,7780,1072,3,0,7781,1075,3,0,7782,1078,3,0,7783,1081,3,0,7784,1084,3,0,7785,1087,3,0,7786,1090,2,0,7787,1092,2,0,7788,1094,2,0,7789,1096,2,0,7790,1098,2,0,7791,1100,2,0,7792,1102,2,0,7793,1104,2,0,7794,1106,2,0,7795,1108,2,0,7796,1110,2,0,7797,1112,2,0,7798,1114,2,0,7799,1116,2,0,7800,1118,3,0,7801,1121,3,0,7802,1124,3,0,7803,1127,3,0,7804,1130,2,0,7805,1132,2,0,7806,1134,2,0,7807,1136,2,0,7808,1138,2,0,7809,1140,2,0,7810,1142,2,0,7811,1144,2,0,7812,1146,2,0,7813,1148,2,0,7814,1150,2,0,7815,1152,2,0,7816,1154,2,0,7817,1156,2,0,7818,1158,2,0,7819,1160,2,0,7820,1162,2,0,7821,1164,2,0,7822,1166,2,0,7823,1168,2,0,7824,1170,2,0,7825,1172,2,0,7826,1174,2,0,7827,1176,2,0,7828,1178,2,0,7829,1180,2,0,7830,1182,2,0,7831,1184,2,0,7832,1186,2,0,7833,1188,2,0,7835,1190,2,0,7840,1192,2,0,7841,1194,2,0,7842,1196,2,0,7843,1198,2,0,7844,1200,3,0,7845,1203,3,0,7846,1206,3,0,7847,1209,3,0,7848,1212,3,0,7849,1215,3,0,7850,1218,3,0,7851,1221,3,0,7852,1224,3,0,7853,1227,3,0,7854,1230,3,0,7855,1233,3,0,7856,1236,3,0,7857,1239,3,0,7858,1242,3,0,7859,1245,3,0,7860,1248,3,0,7861,1251,3,0,7862,1254,3,0,7863,1257,3,0,7864,1260,2,0,7865,1262,2,0,7866,1264,2,0,7867,1266,2,0,7868,1268,2,0,7869,1270,2,0,7870,1272,3,0,7871,1275,3,0,7872,1278,3,0,7873,1281,3,0,7874,1284,3,0,7875,1287,3,0,7876,1290,3,0,7877,1293,3,0,7878,1296,3,0,7879,1299,3,0,7880,1302,2,0,7881,1304,2,0,7882,1306,2,0,7883,1308,2,0,7884,1310,2,0,7885,1312,2,0,7886,1314,2,0,7887,1316,2,0,7888,1318,3,0,7889,1321,3,0,7890,1324,3,0,7891,1327,3,0,7892,1330,3,0,7893,1333,3,0,7894,1336,3,0,7895,1339,3,0,7896,1342,3,0,7897,1345,3,0,7898,1348,3,0,7899,1351,3,0,7900,1354,3,0,7901,1357,3,0,7902,1360,3,0,7903,1363,3,0,7904,1366,3,0,7905,1369,3,0,7906,1372,3,0,7907,1375,3,0,7908,1378,2,0,7909,1380,2,0,7910,1382,2,0,7911,1384,2,0,7912,1386,3,0,7913,1389,3,0,7914,1392,3,0,7915,1395,3,0,7916,1398,3,0,7917,1401,3,0,7918,1404,3,0,7919,1407,3,0,7920,1410,3,0,7921,1413,3,0,7922,1416,2,0,7923,1418,2,0,7924,1420,2,0,7925,1422,2,0,7926,1424,2,0,7927,1426,2,0,7928,1428,2,0,7929,1430,2,0,7936,1432,2,0,7937,1434,2,0,7938,1436,3,0,7939,1439,3,0,7940,1442,3,0,7941,1445,3,0,7942,1448,3,0,7943,1451,3,0,7944,1454,2,0,7945,1456,2,0,7946,1458,3,0,7947,1461,3,0,7948,1464,3,0,7949,1467,3,0,7950,1470,3,0,7951,1473,3,0,7952,1476,2,0,7953,1478,2,0,7954,1480,3,0,7955,1483,3,0,7956,1486,3,0,7957,1489,3,0,7960,1492,2,0,7961,1494,2,0,7962,1496,3,0,7963,1499,3,0,7964,1502,3,0,7965,1505,3,0,7968,1508,2,0,7969,1510,2,0,7970,1512,3,0,7971,1515,3,0,7972,1518,3,0,7973,1521,3,0,7974,1524,3,0,7975,1527,3,0,7976,1530,2,0,7977,1532,2,0,7978,1534,3,0,7979,1537,3,0,7980,1540,3,0,7981,1543,3,0,7982,1546,3,0,7983,1549,3,0,7984,1552,2,0,7985,1554,2,0,7986,1556,3,0,7987,1559,3,0,7988,1562,3,0,7989,1565,3,0,7990,1568,3,0,7991,1571,3,0,7992,1574,2,0,7993,1576,2,0,7994,1578,3,0,7995,1581,3,0,7996,1584,3,0,7997,1587,3,0,7998,1590,3,0,7999,1593,3,0,8000,1596,2,0,8001,1598,2,0,8002,1600,3,0,8003,1603,3,0,8004,1606,3,0,8005,1609,3,0,8008,1612,2,0,8009,1614,2,0,8010,1616,3,0,8011,1619,3,0,8012,1622,3,0,8013,1625,3,0,8016,1628,2,0,8017,1630,2,0,8018,1632,3,0,8019,1635,3,0,8020,1638,3,0,8021,1641,3,0,8022,1644,3,0,8023,1647,3,0,8025,1650,2,0,8027,1652,3,0,8029,1655,3,0,8031,1658,3,0,8032,1661,2,0,8033,1663,2,0,8034,1665,3,0,8035,1668,3,0,8036,1671,3,0,8037,1674,3,0,8038,1677,3,0,8039,1680,3,0,8040,1683,2,0,8041,1685,2,0,8042,1687,3,0,8043,1690,3,0,8044,1693,3,0,8045,1696,3,0,8046,1699,3,0,8047,1702,3,0,8048,1705,2,0,8049,1707,2,0,8050,1709,2,0,8051,1711,2,0,8052,1713,2,0,8053,1715,2,0,8054,1717,2,0,8055,1719,2,0,8056,1721,2,0,8057,1723,2,0,8058,1725,2,0,8059,1727,2,0,8060,1729,2,0,8061,1731,2,0,8064,1733,3,0,8065,1736,3,0,8066,1739,4,0,8067,1743,4,0,8068,1747,4,0,8069,1751,4,0,8070,1755,4,0,8071,1759,4,0,8072,1763,3,0,8073,1766,3,0,8074,1769,4,0,8075,1773,4,0,8076,1777,4,0,8077,1781,4,0,8078,1785,4,0,8079,1789,4,0,8080,1793,3,0,8081,1796,3,0,8082,1799,4,0,8083,1803,4,0,8084,1807,4,0,8085,1811,4,0,8086,1815,4,0,8087,1819,4,0,8088,1823,3,0,8089,1826,3,0,8090,1829,4,0,8091,1833,4,0,8092,1837,4,0,8093,1841,4,0,8094,1845,4,0,8095,1849,4,0,8096,1853,3,0,8097,1856,3,0,8098,1859,4,0,8099,1863,4,0,8100,1867,4,0,8101,1871,4,0,8102,1875,4,0,8103,1879,4,0,8104,1883,3,0,8105,1886,3,0,8106,1889,4,0,8107,1893,4,0,8108,1897,4,0,8109,1901,4,0,8110,1905,4,0,8111,1909,4,0,8112,1913,2,0,8113,1915,2,0,8114,1917,3,0,8115,1920,2,0,8116,1922,3,0,8118,1925,2,0,8119,1927,3,0,8120,1930,2,0,8121,1932,2,0,8122,1934,2,0,8123,1936,2,0,8124,1938,2,0,8126,1940,1,0,8129,1941,2,0,8130,1943,3,0,8131,1946,2,0,8132,1948,3,0,8134,1951,2,0,8135,1953,3,0,8136,1956,2,0,8137,1958,2,0,8138,1960,2,0,8139,1962,2,0,8140,1964,2,0,8141,1966,2,0,8142,1968,2,0,8143,1970,2,0,8144,1972,2,0,8145,1974,2,0,8146,1976,3,0,8147,1979,3,0,8150,1982,2,0,8151,1984,3,0,8152,1987,2,0,8153,1989,2,0,8154,1991,2,0,8155,1993,2,0,8157,1995,2,0,8158,1997,2,0,8159,1999,2,0,8160,2001,2,0,8161,2003,2,0,8162,2005,3,0,8163,2008,3,0,8164,2011,2,0,8165,2013,2,0,8166,2015,2,0,8167,2017,3,0,8168,2020,2,0,8169,2022,2,0,8170,2024,2,0,8171,2026,2,0,8172,2028,2,0,8173,2030,2,0,8174,2032,2,0,8175,2034,1,0,8178,2035,3,0,8179,2038,2,0,8180,2040,3,0,8182,2043,2,0,8183,2045,3,0,8184,2048,2,0,8185,2050,2,0,8186,2052,2,0,8187,2054,2,0,8188,2056,2,0,8189,2058,1,0,8192,2059,1,0,8193,2060,1,0,8486,2061,1,0,8490,2062,1,0,8491,2063,2,0,8602,2065,2,0,8603,2067,2,0,8622,2069,2,0,8653,2071,2,0,8654,2073,2,0,8655,2075,2,0,8708,2077,2,0,8713,2079,2,0,8716,2081,2,0,8740,2083,2,0,8742,2085,2,0,8769,2087,2,0,8772,2089,2,0,8775,2091,2,0,8777,2093,2,0,8800,2095,2,0,8802,2097,2,0,8813,2099,2,0,8814,2101,2,0,8815,2103,2,0,8816,2105,2,0,8817,2107,2,0,8820,2109,2,0,8821,2111,2,0,8824,2113,2,0,8825,2115,2,0,8832,2117,2,0,8833,2119,2,0,8836,2121,2,0,8837,2123,2,0,8840,2125,2,0,8841,2127,2,0,8876,2129,2,0,8877,2131,2,0,8878,2133,2,0,8879,2135,2,0,8928,2137,2,0,8929,2139,2,0,8930,2141,2,0,8931,2143,2,0,8938,2145,2,0,8939,2147,2,0,8940,2149,2,0,8941,2151,2,0,9001,2153,1,0,9002,2154,1,0,10972,2155,2,0,12364,2157,2,0,12366,2159,2,0,12368,2161,2,0,12370,2163,2,0,12372,2165,2,0,12374,2167,2,0,12376,2169,2,0,12378,2171,2,0,12380,2173,2,0,12382,2175,2,0,12384,2177,2,0,12386,2179,2,0,12389,2181,2,0,12391,2183,2,0,12393,2185,2,0,12400,2187,2,0,12401,2189,2,0,12403,2191,2,0,12404,2193,2,0,12406,2195,2,0,12407,2197,2,0,12409,2199,2,0,12410,2201,2,0,12412,2203,2,0,12413,2205,2,0,12436,2207,2,0,12446,2209,2,0,12460,2211,2,0,12462,2213,2,0,12464,2215,2,0,12466,2217,2,0,12468,2219,2,0,12470,2221,2,0,12472,2223,2,0,12474,2225,2,0,12476,2227,2,0,12478,2229,2,0,12480,2231,2,0,12482,2233,2,0,12485,2235,2,0,12487,2237,2,0,12489,2239,2,0,12496,2241,2,0,12497,2243,2,0,12499,2245,2,0,12500,2247,2,0,12502,2249,2,0,12503,2251,2,0,12505,2253,2,0,12506,2255,2,0,12508,2257,2,0,12509,2259,2,0,12532,2261,2,0,12535,2263,2,0,12536,2265,2,0,12537,2267,2,0,12538,2269,2,0,12542,2271,2,0,63744,2273,1,0,63745,2274,1,0,63746,2275,1,0,63747,2276,1,0,63748,2277,1,0,63749,2278,1,0,63750,2279,1,0,63751,2280,1,0,63752,2281,1,0,63753,2282,1,0,63754,2283,1,0,63755,2284,1,0,63756,2285,1,0,63757,2286,1,0,63758,2287,1,0,63759,2288,1,0,63760,2289,1,0,63761,2290,1,0,63762,2291,1,0,63763,2292,1,0,63764,2293,1,0,63765,2294,1,0,63766,2295,1,0,63767,2296,1,0,63768,2297,1,0,63769,2298,1,0,63770,2299,1,0,63771,2300,1,0,63772,2301,1,0,63773,2302,1,0,63774,2303,1,0,63775,2304,1,0,63776,2305,1,0,63777,2306,1,0,63778,2307,1,0,63779,2308,1,0,63780,2309,1,0,63781,2310,1,0,63782,2311,1,0,63783,2312,1,0,63784,2313,1,0,63785,2314,1,0,63786,2315,1,0,63787,2316,1,0,63788,2317,1,0,63789,2318,1,0,63790,2319,1,0,63791,2320,1,0,63792,2321,1,0,63793,2322,1,0,63794,2323,1,0,63795,2324,1,0,63796,2325,1,0,63797,2326,1,0,63798,2327,1,0,63799,2328,1,0,63800,2329,1,0,63801,2330,1,0,63802,2331,1,0,63803,2332,1,0,63804,2333,1,0,63805,2334,1,0,63806,2335,1,0,63807,2336,1,0,63808,2337,1,0,63809,2338,1,0,63810,2339,1,0,63811,2340,1,0,63812,2341,1,0,63813,2342,1,0,63814,2343,1,0,63815,2344,1,0,63816,2345,1,0,63817,2346,1,0,63818,2347,1,0,63819,2348,1,0,63820,2349,1,0,63821,2350,1,0,63822,2351,1,0,63823,2352,1,0,63824,2353,1,0,63825,2354,1,0,63826,2355,1,0,63827,2356,1,0,63828,2357,1,0,63829,2358,1,0,63830,2359,1,0,63831,2360,1,0,63832,2361,1,0,63833,2362,1,0,63834,2363,1,0,63835,2364,1,0,63836,2365,1,0,63837,2366,1,0,63838,2367,1,0,63839,2368,1,0,63840,2369,1,0,63841,2370,1,0,63842,2371,1,0,63843,2372,1,0,63844,2373,1,0,63845,2374,1,0,63846,2375,1,0,63847,2376,1,0,63848,2377,1,0,63849,2378,1,0,63850,2379,1,0,63851,2380,1,0,63852,2381,1,0,63853,2382,1,0,63854,2383,1,0,63855,2384,1,0,63856,2385,1,0,63857,2386,1,0,63858,2387,1,0,63859,2388,1,0,63860,2389,1,0,63861,2390,1,0,63862,2391,1,0,63863,2392,1,0,63864,2393,1,0,63865,2394,1,0,63866,2395,1,0,63867,2396,1,0,63868,2397,1,0,63869,2398,1,0,63870,2399,1,0,63871,2400,1,0,63872,2401,1,0,63873,2402,1,0,63874,2403,1,0,63875,2404,1,0,63876,2405,1,0,63877,2406,1,0,63878,2407,1,0,63879,2408,1,0,63880,2409,1,0,63881,2410,1,0,63882,2411,1,0,63883,2412,1,0,63884,2413,1,0,63885,2414,1,0,63886,2415,1,0,63887,2416,1,0,63888,2417,1,0,63889,2418,1,0,63890,2419,1,0,63891,2420,1,0,63892,2421,1,0,63893,2422,1,0,63894,2423,1,0,63895,2424,1,0,63896,2425,1,0,63897,2426,1,0,63898,2427,1,0,63899,2428,1,0,63900,2429,1,0,63901,2430,1,0,63902,2431,1,0,63903,2432,1,0,63904,2433,1,0,63905,2434,1,0,63906,2435,1,0,63907,2436,1,0,63908,2437,1,0,63909,2438,1,0,63910,2439,1,0,63911,2440,1,0,63912,2441,1,0,63913,2442,1,0,63914,2443,1,0,63915,2444,1,0,63916,2445,1,0,63917,2446,1,0,63918,2447,1,0,63919,2448,1,0,63920,2449,1,0,63921,2450,1,0,63922,2451,1,0,63923,2452,1,0,63924,2453,1,0,63925,2454,1,0,63926,2455,1,0,63927,2456,1,0,63928,2457,1,0,63929,2458,1,0,63930,2459,1,0,63931,2460,1,0,63932,2461,1,0,63933,2462,1,0,63934,2463,1,0,63935,2464,1,0,63936,2465,1,0,63937,2466,1,0,63938,2467,1,0,63939,2468,1,0,63940,2469,1,0,63941,2470,1,0,63942,2471,1,0,63943,2472,1,0,63944,2473,1,0,63945,2474,1,0,63946,2475,1,0,63947,2476,1,0,63948,2477,1,0,63949,2478,1,0,63950,2479,1,0,63951,2480,1,0,63952,2481,1,0,63953,2482,1,0,63954,2483,1,0,63955,2484,1,0,63956,2485,1,0,63957,2486,1,0,63958,2487,1,0,63959,2488,1,0,63960,2489,1,0,63961,2490,1,0,63962,2491,1,0,63963,2492,1,0,63964,2493,1,0,63965,2494,1,0,63966,2495,1,0,63967,2496,1,0,63968,2497,1,0,63969,2498,1,0,63970,2499,1,0,63971,2500,1,0,63972,2501,1,0,63973,2502,1,0,63974,2503,1,0,63975,2504,1,0,63976,2505,1,0,63977,2506,1,0,63978,2507,1,0,63979,2508,1,0,63980,2509,1,0,63981,2510,1,0,63982,2511,1,0,63983,2512,1,0,63984,2513,1,0,63985,2514,1,0,63986,2515,1,0,63987,2516,1,0,63988,2517,1,0,63989,2518,1,0,63990,2519,1,0,63991,2520,1,0,63992,2521,1,0,63993,2522,1,0,63994,2523,1,0,63995,2524,1,0,63996,2525,1,0,63997,2526,1,0,63998,2527,1,0,63999,2528,1,0,64000,2529,1,0,64001,2530,1,0,64002,2531,1,0,64003,2532,1,0,64004,2533,1,0,64005,2534,1,0,64006,2535,1,0,64007,2536,1,0,64008,2537,1,0,64009,2538,1,0,64010,2539,1,0,64011,2540,1,0,64012,2541,1,0,64013,2542,1,0,64016,2543,1,0,64018,2544,1,0,64021,2545,1,0,64022,2546,1,0,64023,2547,1,0,64024,2548,1,0,64025,2549,1,0,64026,2550,1,0,64027,2551,1,0,64028,2552,1,0,64029,2553,1,0,64030,2554,1,0,64032,2555,1,0,64034,2556,1,0,64037,2557,1,0,64038,2558,1,0,64042,2559,1,0,64043,2560,1,0,64044,2561,1,0,64045,2562,1,0,64046,2563,1,0,64047,2564,1,0,64048,2565,1,0,64049,2566,1,0,64050,2567,1,0,64051,2568,1,0,64052,2569,1,0,64053,2570,1,0,64054,2571,1,0,64055,2572,1,0,64056,2573,1,0,64057,2574,1,0,64058,2575,1,0,64059,2576,1,0,64060,2577,1,0,64061,2578,1,0,64062,2579,1,0,64063,2580,1,0,64064,2581,1,0,64065,2582,1,0,64066,2583,1,0,64067,2584,1,0,64068,2585,1,0,64069,2586,1,0,64070,2587,1,0,64071,2588,1,0,64072,2589,1,0,64073,2590,1,0,64074,2591,1,0,64075,2592,1,0,64076,2593,1,0,64077,2594,1,0,64078,2595,1,0,64079,2596,1,0,64080,2597,1,0,64081,2598,1,0,64082,2599,1,0,64083,2600,1,0,64084,2601,1,0,64085,2602,1,0,64086,2603,1,0,64087,2604,1,0,64088,2605,1,0,64089,2606,1,0,64090,2607,1,0,64091,2608,1,0,64092,2609,1,0,64093,2610,1,0,64094,2611,1,0,64095,2612,1,0,64096,2613,1,0,64097,2614,1,0,64098,2615,1,0,64099,2616,1,0,64100,2617,1,0,64101,2618,1,0,64102,2619,1,0,64103,2620,1,0,64104,2621,1,0,64105,2622,1,0,64106,2623,1,0,64107,2624,1,0,64108,2625,2,0,64109,2627,1,0,64112,2628,1,0,64113,2629,1,0,64114,2630,1,0,64115,2631,1,0,64116,2632,1,0,64117,2633,1,0,64118,2634,1,0,64119,2635,1,0,64120,2636,1,0,64121,2637,1,0,64122,2638,1,0,64123,2639,1,0,64124,2640,1,0,64125,2641,1,0,64126,2642,1,0,64127,2643,1,0,64128,2644,1,0,64129,2645,1,0,64130,2646,1,0,64131,2647,1,0,64132,2648,1,0,64133,2649,1,0,64134,2650,1,0,64135,2651,1,0,64136,2652,1,0,64137,2653,1,0,64138,2654,1,0,64139,2655,1,0,64140,2656,1,0,64141,2657,1,0,64142,2658,1,0,64143,2659,1,0,64144,2660,1,0,64145,2661,1,0,64146,2662,1,0,64147,2663,1,0,64148,2664,1,0,64149,2665,1,0,64150,2666,1,0,64151,2667,1,0,64152,2668,1,0,64153,2669,1,0,64154,2670,1,0,64155,2671,1,0,64156,2672,1,0,64157,2673,1,0,64158,2674,1,0,64159,2675,1,0,64160,2676,1,0,64161,2677,1,0,64162,2678,1,0,64163,2679,1,0,64164,2680,1,0,64165,2681,1,0,64166,2682,1,0,64167,2683,1,0,64168,2684,1,0,64169,2685,1,0,64170,2686,1,0,64171,2687,1,0,64172,2688,1,0,64173,2689,1,0,64174,2690,1,0,64175,2691,1,0,64176,2692,1,0,64177,2693,1,0,64178,2694,1,0,64179,2695,1,0,64180,2696,1,0,64181,2697,1,0,64182,2698,1,0,64183,2699,1,0,64184,2700,1,0,64185,2701,1,0,64186,2702,1,0,64187,2703,1,0,64188,2704,1,0,64189,2705,1,0,64190,2706,1,0,64191,2707,1,0,64192,2708,1,0,64193,2709,1,0,64194,2710,1,0,64195,2711,1,0,64196,2712,1,0,64197,2713,1,0,64198,2714,1,0,64199,2715,1,0,64200,2716,1,0,64201,2717,1,0,64202,2718,1,0,64203,2719,1,0,64204,2720,1,0,64205,2721,1,0,64206,2722,1,0,64207,2723,2,0,64208,2725,2,0,64209,2727,2,0,64210,2729,1,0,64211,2730,1,0,64212,2731,1,0,64213,2732,2,0,64214,2734,2,0,64215,2736,2,0,64216,2738,1,0,64217,2739,1,0,64285,2740,2,0,64287,2742,2,0,64298,2744,2,0,64299,2746,2,0,64300,2748,3,0,64301,2751,3,0,64302,2754,2,0,64303,2756,2,0,64304,2758,2,0,64305,2760,2,0,64306,2762,2,0,64307,2764,2,0,64308,2766,2,0,64309,2768,2,0,64310,2770,2,0,64312,2772,2,0,64313,2774,2,0,64314,2776,2,0,64315,2778,2,0,64316,2780,2,0,64318,2782,2,0,64320,2784,2,0,64321,2786,2,0,64323,2788,2,0,64324,2790,2,0,64326,2792,2,0,64327,2794,2,0,64328,2796,2,0,64329,2798,2,0,64330,2800,2,0,64331,2802,2,0,64332,2804,2,0,64333,2806,2,0,64334,2808,2,1,1481,2810,3,1,1508,2813,3,1,4250,2816,4,1,4252,2820,4,1,4267,2824,4,1,4398,2828,4,1,4399,2832,4,1,4939,2836,4,1,4940,2840,4,1,4995,2844,4,1,4997,2848,4,1,5006,2852,4,1,5009,2856,4,1,5061,2860,4,1,5063,2864,4,1,5064,2868,4,1,5307,2872,4,1,5308,2876,4,1,5310,2880,4,1,5562,2884,4,1,5563,2888,4,1,6456,2892,4,1,24865,2896,4,1,24866,2900,4,1,24867,2904,4,1,24868,2908,4,1,24869,2912,4,1,24870,2916,6,1,24871,2922,6,1,24872,2928,6,1,28008,2934,4,1,28009,2938,4,1,28010,2942,6,1,53598,2948,4,1,53599,2952,4,1,53600,2956,6,1,53601,2962,6,1,53602,2968,6,1,53603,2974,6,1,53604,2980,6,1,53691,2986,4,1,53692,2990,4,1,53693,2994,6,1,53694,3000,6,1,53695,3006,6,1,53696,3012,6,2,63488,3018,1,2,63489,3019,1,2,63490,3020,1,2,63491,3021,2,2,63492,3023,1,2,63493,3024,1,2,63494,3025,1,2,63495,3026,1,2,63496,3027,1,2,63497,3028,1,2,63498,3029,1,2,63499,3030,1,2,63500,3031,1,2,63501,3032,2,2,63502,3034,1,2,63503,3035,1,2,63504,3036,1,2,63505,3037,1,2,63506,3038,2,2,63507,3040,1,2,63508,3041,1,2,63509,3042,1,2,63510,3043,2,2,63511,3045,1,2,63512,3046,1,2,63513,3047,1,2,63514,3048,1,2,63515,3049,1,2,63516,3050,2,2,63517,3052,1,2,63518,3053,1,2,63519,3054,1,2,63520,3055,1,2,63521,3056,1,2,63522,3057,1,2,63523,3058,1,2,63524,3059,1,2,63525,3060,1,2,63526,3061,1,2,63527,3062,1,2,63528,3063,1,2,63529,3064,1,2,63530,3065,1,2,63531,3066,1,2,63532,3067,1,2,63533,3068,1,2,63534,3069,1,2,63535,3070,1,2,63536,3071,1,2,63537,3072,1,2,63538,3073,1,2,63539,3074,1,2,63540,3075,2,2,63541,3077,1,2,63542,3078,1,2,63543,3079,1,2,63544,3080,2,2,63545,3082,1,2,63546,3083,1,2,63547,3084,1,2,63548,3085,1,2,63549,3086,1,2,63550,3087,1,2,63551,3088,1,2,63552,3089,1,2,63553,3090,1,2,63554,3091,1,2,63555,3092,1,2,63556,3093,1,2,63557,3094,1,2,63558,3095,1,2,63559,3096,1,2,63560,3097,1,2,63561,3098,1,2,63562,3099,1,2,63563,3100,1,2,63564,3101,1,2,63565,3102,1,2,63566,3103,1,2,63567,3104,1,2,63568,3105,1,2,63569,3106,1,2,63570,3107,1,2,63571,3108,1,2,63572,3109,1,2,63573,3110,1,2,63574,3111,1,2,63575,3112,1,2,63576,3113,1,2,63577,3114,2,2,63578,3116,1,2,63579,3117,1,2,63580,3118,1,2,63581,3119,1,2,63582,3120,1,2,63583,3121,1,2,63584,3122,2,2,63585,3124,2,2,63586,3126,1,2,63587,3127,1,2,63588,3128,1,2,63589,3129,1,2,63590,3130,1,2,63591,3131,1,2,63592,3132,1,2,63593,3133,1,2,63594,3134,1,2,63595,3135,1,2,63596,3136,2,2,63597,3138,1,2,63598,3139,1,2,63599,3140,1,2,63600,3141,1,2,63601,3142,2,2,63602,3144,1,2,63603,3145,1,2,63604,3146,1,2,63605,3147,1,2,63606,3148,1,2,63607,3149,1,2,63608,3150,1,2,63609,3151,1,2,63610,3152,1,2,63611,3153,2,2,63612,3155,1,2,63613,3156,2,2,63614,3158,1,2,63615,3159,1,2,63616,3160,1,2,63617,3161,1,2,63618,3162,1,2,63619,3163,1,2,63620,3164,1,2,63621,3165,1,2,63622,3166,1,2,63623,3167,1,2,63624,3168,1,2,63625,3169,2,2,63626,3171,1,2,63627,3172,1,2,63628,3173,1,2,63629,3174,1,2,63630,3175,1,2,63631,3176,2,2,63632,3178,1,2,63633,3179,2,2,63634,3181,2,2,63635,3183,1,2,63636,3184,1,2,63637,3185,1,2,63638,3186,1,2,63639,3187,2,2,63640,3189,2,2,63641,3191,1,2,63642,3192,1,2,63643,3193,1,2,63644,3194,1,2,63645,3195,1,2,63646,3196,1,2,63647,3197,1,2,63648,3198,1,2,63649,3199,1,2,63650,3200,1,2,63651,3201,1,2,63652,3202,2,2,63653,3204,1,2,63654,3205,1,2,63655,3206,1,2,63656,3207,1,2,63657,3208,1,2,63658,3209,1,2,63659,3210,1,2,63660,3211,1,2,63661,3212,1,2,63662,3213,1,2,63663,3214,1,2,63664,3215,1,2,63665,3216,1,2,63666,3217,1,2,63667,3218,1,2,63668,3219,1,2,63669,3220,1,2,63670,3221,1,2,63671,3222,1,2,63672,3223,2,2,63673,3225,1,2,63674,3226,1,2,63675,3227,1,2,63676,3228,1,2,63677,3229,1,2,63678,3230,2,2,63679,3232,1,2,63680,3233,1,2,63681,3234,1,2,63682,3235,1,2,63683,3236,1,2,63684,3237,1,2,63685,3238,1,2,63686,3239,1,2,63687,3240,1,2,63688,3241,1,2,63689,3242,1,2,63690,3243,2,2,63691,3245,1,2,63692,3246,1,2,63693,3247,1,2,63694,3248,1,2,63695,3249,1,2,63696,3250,1,2,63697,3251,1,2,63698,3252,1,2,63699,3253,1,2,63700,3254,1,2,63701,3255,1,2,63702,3256,1,2,63703,3257,1,2,63704,3258,1,2,63705,3259,1,2,63706,3260,1,2,63707,3261,1,2,63708,3262,1,2,63709,3263,2,2,63710,3265,1,2,63711,3266,1,2,63712,3267,1,2,63713,3268,1,2,63714,3269,1,2,63715,3270,2,2,63716,3272,1,2,63717,3273,1,2,63718,3274,1,2,63719,3275,1,2,63720,3276,1,2,63721,3277,1,2,63722,3278,1,2,63723,3279,1,2,63724,3280,2,2,63725,3282,1,2,63726,3283,1,2,63727,3284,1,2,63728,3285,2,2,63729,3287,1,2,63730,3288,1,2,63731,3289,1,2,63732,3290,1,2,63733,3291,1,2,63734,3292,1,2,63735,3293,2,2,63736,3295,2,2,63737,3297,2,2,63738,3299,1,2,63739,3300,2,2,63740,3302,1,2,63741,3303,1,2,63742,3304,1,2,63743,3305,1,2,63744,3306,1,2,63745,3307,1,2,63746,3308,1,2,63747,3309,1,2,63748,3310,1,2,63749,3311,1,2,63750,3312,2,2,63751,3314,1,2,63752,3315,1,2,63753,3316,1,2,63754,3317,1,2,63755,3318,1,2,63756,3319,1,2,63757,3320,2,2,63758,3322,1,2,63759,3323,1,2,63760,3324,2,2,63761,3326,2,2,63762,3328,1,2,63763,3329,1,2,63764,3330,1,2,63765,3331,1,2,63766,3332,1,2,63767,3333,1,2,63768,3334,1,2,63769,3335,1,2,63770,3336,1,2,63771,3337,2,2,63772,3339,1,2,63773,3340,2,2,63774,3342,1,2,63775,3343,2,2,63776,3345,1,2,63777,3346,1,2,63778,3347,1,2,63779,3348,2,2,63780,3350,1,2,63781,3351,1,2,63782,3352,2,2,63783,3354,2,2,63784,3356,1,2,63785,3357,1,2,63786,3358,1,2,63787,3359,1,2,63788,3360,1,2,63789,3361,1,2,63790,3362,1,2,63791,3363,1,2,63792,3364,1,2,63793,3365,1,2,63794,3366,1,2,63795,3367,1,2,63796,3368,1,2,63797,3369,2,2,63798,3371,1,2,63799,3372,2,2,63800,3374,1,2,63801,3375,2,2,63802,3377,1,2,63803,3378,2,2,63804,3380,2,2,63805,3382,2,2,63806,3384,1,2,63807,3385,1,2,63808,3386,1,2,63809,3387,2,2,63810,3389,2,2,63811,3391,2,2,63812,3393,2,2,63813,3395,1,2,63814,3396,1,2,63815,3397,1,2,63816,3398,1,2,63817,3399,1,2,63818,3400,1,2,63819,3401,1,2,63820,3402,1,2,63821,3403,2,2,63822,3405,1,2,63823,3406,1,2,63824,3407,1,2,63825,3408,1,2,63826,3409,2,2,63827,3411,1,2,63828,3412,2,2,63829,3414,2,2,63830,3416,1,2,63831,3417,1,2,63832,3418,1,2,63833,3419,1,2,63834,3420,1,2,63835,3421,1,2,63836,3422,2,2,63837,3424,2,2,63838,3426,2,2,63839,3428,1,2,63840,3429,1,2,63841,3430,2,2,63842,3432,1,2,63843,3433,1,2,63844,3434,1,2,63845,3435,2,2,63846,3437,1,2,63847,3438,1,2,63848,3439,1,2,63849,3440,1,2,63850,3441,1,2,63851,3442,2,2,63852,3444,1,2,63853,3445,1,2,63854,3446,1,2,63855,3447,1,2,63856,3448,1,2,63857,3449,1,2,63858,3450,2,2,63859,3452,2,2,63860,3454,1,2,63861,3455,2,2,63862,3457,1,2,63863,3458,2,2,63864,3460,1,2,63865,3461,1,2,63866,3462,1,2,63867,3463,2,2,63868,3465,2,2,63869,3467,1,2,63870,3468,2,2,63871,3470,1,2,63872,3471,2,2,63873,3473,1,2,63874,3474,1,2,63875,3475,1,2,63876,3476,1,2,63877,3477,1,2,63878,3478,1,2,63879,3479,2,2,63880,3481,2,2,63881,3483,2,2,63882,3485,2,2,63883,3487,1,2,63884,3488,1,2,63885,3489,1,2,63886,3490,1,2,63887,3491,1,2,63888,3492,1,2,63889,3493,1,2,63890,3494,1,2,63891,3495,1,2,63892,3496,1,2,63893,3497,1,2,63894,3498,1,2,63895,3499,2,2,63896,3501,1,2,63897,3502,1,2,63898,3503,1,2,63899,3504,1,2,63900,3505,1,2,63901,3506,1,2,63902,3507,1,2,63903,3508,1,2,63904,3509,1,2,63905,3510,1,2,63906,3511,1,2,63907,3512,1,2,63908,3513,2,2,63909,3515,2,2,63910,3517,2,2,63911,3519,1,2,63912,3520,1,2,63913,3521,1,2,63914,3522,1,2,63915,3523,2,2,63916,3525,1,2,63917,3526,2,2,63918,3528,1,2,63919,3529,1,2,63920,3530,2,2,63921,3532,2,2,63922,3534,1,2,63923,3535,1,2,63924,3536,1,2,63925,3537,1,2,63926,3538,1,2,63927,3539,1,2,63928,3540,1,2,63929,3541,1,2,63930,3542,1,2,63931,3543,1,2,63932,3544,1,2,63933,3545,1,2,63934,3546,1,2,63935,3547,1,2,63936,3548,1,2,63937,3549,1,2,63938,3550,1,2,63939,3551,1,2,63940,3552,1,2,63941,3553,2,2,63942,3555,1,2,63943,3556,1,2,63944,3557,1,2,63945,3558,1,2,63946,3559,1,2,63947,3560,2,2,63948,3562,2,2,63949,3564,1,2,63950,3565,1,2,63951,3566,1,2,63952,3567,1,2,63953,3568,1,2,63954,3569,1,2,63955,3570,2,2,63956,3572,1,2,63957,3573,1,2,63958,3574,1,2,63959,3575,1,2,63960,3576,2,2,63961,3578,2,2,63962,3580,1,2,63963,3581,1,2,63964,3582,1,2,63965,3583,2,2,63966,3585,1,2,63967,3586,1,2,63968,3587,2,2,63969,3589,2,2,63970,3591,1,2,63971,3592,1,2,63972,3593,1,2,63973,3594,2,2,63974,3596,1,2,63975,3597,1,2,63976,3598,1,2,63977,3599,1,2,63978,3600,1,2,63979,3601,1,2,63980,3602,1,2,63981,3603,2,2,63982,3605,1,2,63983,3606,1,2,63984,3607,1,2,63985,3608,2,2,63986,3610,1,2,63987,3611,1,2,63988,3612,1,2,63989,3613,1,2,63990,3614,2,2,63991,3616,2,2,63992,3618,1,2,63993,3619,1,2,63994,3620,1,2,63995,3621,2,2,63996,3623,1,2,63997,3624,2,2,63998,3626,1,2,63999,3627,1,2,64000,3628,1,2,64001,3629,2,2,64002,3631,1,2,64003,3632,1,2,64004,3633,1,2,64005,3634,1,2,64006,3635,1,2,64007,3636,1,2,64008,3637,1,2,64009,3638,2,2,64010,3640,1,2,64011,3641,1,2,64012,3642,1,2,64013,3643,1,2,64014,3644,1,2,64015,3645,1,2,64016,3646,2,2,64017,3648,1,2,64018,3649,2,2,64019,3651,2,2,64020,3653,2,2,64021,3655,1,2,64022,3656,1,2,64023,3657,1,2,64024,3658,1,2,64025,3659,1,2,64026,3660,1,2,64027,3661,1,2,64028,3662,1,2,64029,3663,2],
+  decompositionData: [65,768,65,769,65,770,65,771,65,776,65,778,67,807,69,768,69,769,69,770,69,776,73,768,73,769,73,770,73,776,78,771,79,768,79,769,79,770,79,771,79,776,85,768,85,769,85,770,85,776,89,769,97,768,97,769,97,770,97,771,97,776,97,778,99,807,101,768,101,769,101,770,101,776,105,768,105,769,105,770,105,776,110,771,111,768,111,769,111,770,111,771,111,776,117,768,117,769,117,770,117,776,121,769,121,776,65,772,97,772,65,774,97,774,65,808,97,808,67,769,99,769,67,770,99,770,67,775,99,775,67,780,99,780,68,780,100,780,69,772,101,772,69,774,101,774,69,775,101,775,69,808,101,808,69,780,101,780,71,770,103,770,71,774,103,774,71,775,103,775,71,807,103,807,72,770,104,770,73,771,105,771,73,772,105,772,73,774,105,774,73,808,105,808,73,775,74,770,106,770,75,807,107,807,76,769,108,769,76,807,108,807,76,780,108,780,78,769,110,769,78,807,110,807,78,780,110,780,79,772,111,772,79,774,111,774,79,779,111,779,82,769,114,769,82,807,114,807,82,780,114,780,83,769,115,769,83,770,115,770,83,807,115,807,83,780,115,780,84,807,116,807,84,780,116,780,85,771,117,771,85,772,117,772,85,774,117,774,85,778,117,778,85,779,117,779,85,808,117,808,87,770,119,770,89,770,121,770,89,776,90,769,122,769,90,775,122,775,90,780,122,780,79,795,111,795,85,795,117,795,65,780,97,780,73,780,105,780,79,780,111,780,85,780,117,780,85,776,772,117,776,772,85,776,769,117,776,769,85,776,780,117,776,780,85,776,768,117,776,768,65,776,772,97,776,772,65,775,772,97,775,772,198,772,230,772,71,780,103,780,75,780,107,780,79,808,111,808,79,808,772,111,808,772,439,780,658,780,106,780,71,769,103,769,78,768,110,768,65,778,769,97,778,769,198,769,230,769,216,769,248,769,65,783,97,783,65,785,97,785,69,783,101,783,69,785,101,785,73,783,105,783,73,785,105,785,79,783,111,783,79,785,111,785,82,783,114,783,82,785,114,785,85,783,117,783,85,785,117,785,83,806,115,806,84,806,116,806,72,780,104,780,65,775,97,775,69,807,101,807,79,776,772,111,776,772,79,771,772,111,771,772,79,775,111,775,79,775,772,111,775,772,89,772,121,772,768,769,787,776,769,697,59,168,769,913,769,183,917,769,919,769,921,769,927,769,933,769,937,769,953,776,769,921,776,933,776,945,769,949,769,951,769,953,769,965,776,769,953,776,965,776,959,769,965,769,969,769,978,769,978,776,1045,768,1045,776,1043,769,1030,776,1050,769,1048,768,1059,774,1048,774,1080,774,1077,768,1077,776,1075,769,1110,776,1082,769,1080,768,1091,774,1140,783,1141,783,1046,774,1078,774,1040,774,1072,774,1040,776,1072,776,1045,774,1077,774,1240,776,1241,776,1046,776,1078,776,1047,776,1079,776,1048,772,1080,772,1048,776,1080,776,1054,776,1086,776,1256,776,1257,776,1069,776,1101,776,1059,772,1091,772,1059,776,1091,776,1059,779,1091,779,1063,776,1095,776,1067,776,1099,776,1575,1619,1575,1620,1608,1620,1575,1621,1610,1620,1749,1620,1729,1620,1746,1620,2344,2364,2352,2364,2355,2364,2325,2364,2326,2364,2327,2364,2332,2364,2337,2364,2338,2364,2347,2364,2351,2364,2503,2494,2503,2519,2465,2492,2466,2492,2479,2492,2610,2620,2616,2620,2582,2620,2583,2620,2588,2620,2603,2620,2887,2902,2887,2878,2887,2903,2849,2876,2850,2876,2962,3031,3014,3006,3015,3006,3014,3031,3142,3158,3263,3285,3270,3285,3270,3286,3270,3266,3270,3266,3285,3398,3390,3399,3390,3398,3415,3545,3530,3545,3535,3545,3535,3530,3545,3551,3906,4023,3916,4023,3921,4023,3926,4023,3931,4023,3904,4021,3953,3954,3953,3956,4018,3968,4019,3968,3953,3968,3986,4023,3996,4023,4001,4023,4006,4023,4011,4023,3984,4021,4133,4142,6917,6965,6919,6965,6921,6965,6923,6965,6925,6965,6929,6965,6970,6965,6972,6965,6974,6965,6975,6965,6978,6965,65,805,97,805,66,775,98,775,66,803,98,803,66,817,98,817,67,807,769,99,807,769,68,775,100,775,68,803,100,803,68,817,100,817,68,807,100,807,68,813,100,813,69,772,768,101,772,768,69,772,769,101,772,769,69,813,101,813,69,816,101,816,69,807,774,101,807,774,70,775,102,775,71,772,103,772,72,775,104,775,72,803,104,803,72,776,104,776,72,807,104,807,72,814,104,814,73,816,105,816,73,776,769,105,776,769,75,769,107,769,75,803,107,803,75,817,107,817,76,803,108,803,76,803,772,108,803,772,76,817,108,817,76,813,108,813,77,769,109,769,77,775,109,775,77,803,109,803,78,775,110,775,78,803,110,803,78,817,110,817,78,813,110,813,79,771,769,111,771,769,79,771,776,111,771,776,79,772,768,111,772,768,79,772,769,111,772,769,80,769,112,769,80,775,112,775,82,775,114,775,82,803,114,803,82,803,772,114,803,772,82,817,114,817,83,775,115,775,83,803,115,803,83,769,775,115,769,775,83,780,775,115,780,775,83,803,775,115,803,775,84,775,116,775,84,803,116,803,84,817,116,817,84,813,116,813,85,804,117,804,85,816,117,816,85,813,117,813,85,771,769,117,771,769,85,772,776,117,772,776,86,771,118,771,86,803,118,803,87,768,119,768,87,769,119,769,87,776,119,776,87,775,119,775,87,803,119,803,88,775,120,775,88,776,120,776,89,775,121,775,90,770,122,770,90,803,122,803,90,817,122,817,104,817,116,776,119,778,121,778,383,775,65,803,97,803,65,777,97,777,65,770,769,97,770,769,65,770,768,97,770,768,65,770,777,97,770,777,65,770,771,97,770,771,65,803,770,97,803,770,65,774,769,97,774,769,65,774,768,97,774,768,65,774,777,97,774,777,65,774,771,97,774,771,65,803,774,97,803,774,69,803,101,803,69,777,101,777,69,771,101,771,69,770,769,101,770,769,69,770,768,101,770,768,69,770,777,101,770,777,69,770,771,101,770,771,69,803,770,101,803,770,73,777,105,777,73,803,105,803,79,803,111,803,79,777,111,777,79,770,769,111,770,769,79,770,768,111,770,768,79,770,777,111,770,777,79,770,771,111,770,771,79,803,770,111,803,770,79,795,769,111,795,769,79,795,768,111,795,768,79,795,777,111,795,777,79,795,771,111,795,771,79,795,803,111,795,803,85,803,117,803,85,777,117,777,85,795,769,117,795,769,85,795,768,117,795,768,85,795,777,117,795,777,85,795,771,117,795,771,85,795,803,117,795,803,89,768,121,768,89,803,121,803,89,777,121,777,89,771,121,771,945,787,945,788,945,787,768,945,788,768,945,787,769,945,788,769,945,787,834,945,788,834,913,787,913,788,913,787,768,913,788,768,913,787,769,913,788,769,913,787,834,913,788,834,949,787,949,788,949,787,768,949,788,768,949,787,769,949,788,769,917,787,917,788,917,787,768,917,788,768,917,787,769,917,788,769,951,787,951,788,951,787,768,951,788,768,951,787,769,951,788,769,951,787,834,951,788,834,919,787,919,788,919,787,768,919,788,768,919,787,769,919,788,769,919,787,834,919,788,834,953,787,953,788,953,787,768,953,788,768,953,787,769,953,788,769,953,787,834,953,788,834,921,787,921,788,921,787,768,921,788,768,921,787,769,921,788,769,921,787,834,921,788,834,959,787,959,788,959,787,768,959,788,768,959,787,769,959,788,769,927,787,927,788,927,787,768,927,788,768,927,787,769,927,788,769,965,787,965,788,965,787,768,965,788,768,965,787,769,965,788,769,965,787,834,965,788,834,933,788,933,788,768,933,788,769,933,788,834,969,787,969,788,969,787,768,969,788,768,969,787,769,969,788,769,969,787,834,969,788,834,937,787,937,788,937,787,768,937,788,768,937,787,769,937,788,769,937,787,834,937,788,834,945,768,945,769,949,768,949,769,951,768,951,769,953,768,953,769,959,768,959,769,965,768,965,769,969,768,969,769,945,787,837,945,788,837,945,787,768,837,945,788,768,837,945,787,769,837,945,788,769,837,945,787,834,837,945,788,834,837,913,787,837,913,788,837,913,787,768,837,913,788,768,837,913,787,769,837,913,788,769,837,913,787,834,837,913,788,834,837,951,787,837,951,788,837,951,787,768,837,951,788,768,837,951,787,769,837,951,788,769,837,951,787,834,837,951,788,834,837,919,787,837,919,788,837,919,787,768,837,919,788,768,837,919,787,769,837,919,788,769,837,919,787,834,837,919,788,834,837,969,787,837,969,788,837,969,787,768,837,969,788,768,837,969,787,769,837,969,788,769,837,969,787,834,837,969,788,834,837,937,787,837,937,788,837,937,787,768,837,937,788,768,837,937,787,769,837,937,788,769,837,937,787,834,837,937,788,834,837,945,774,945,772,945,768,837,945,837,945,769,837,945,834,945,834,837,913,774,913,772,913,768,913,769,913,837,953,168,834,951,768,837,951,837,951,769,837,951,834,951,834,837,917,768,917,769,919,768,919,769,919,837,8127,768,8127,769,8127,834,953,774,953,772,953,776,768,953,776,769,953,834,953,776,834,921,774,921,772,921,768,921,769,8190,768,8190,769,8190,834,965,774,965,772,965,776,768,965,776,769,961,787,961,788,965,834,965,776,834,933,774,933,772,933,768,933,769,929,788,168,768,168,769,96,969,768,837,969,837,969,769,837,969,834,969,834,837,927,768,927,769,937,768,937,769,937,837,180,8194,8195,937,75,65,778,8592,824,8594,824,8596,824,8656,824,8660,824,8658,824,8707,824,8712,824,8715,824,8739,824,8741,824,8764,824,8771,824,8773,824,8776,824,61,824,8801,824,8781,824,60,824,62,824,8804,824,8805,824,8818,824,8819,824,8822,824,8823,824,8826,824,8827,824,8834,824,8835,824,8838,824,8839,824,8866,824,8872,824,8873,824,8875,824,8828,824,8829,824,8849,824,8850,824,8882,824,8883,824,8884,824,8885,824,12296,12297,10973,824,12363,12441,12365,12441,12367,12441,12369,12441,12371,12441,12373,12441,12375,12441,12377,12441,12379,12441,12381,12441,12383,12441,12385,12441,12388,12441,12390,12441,12392,12441,12399,12441,12399,12442,12402,12441,12402,12442,12405,12441,12405,12442,12408,12441,12408,12442,12411,12441,12411,12442,12358,12441,12445,12441,12459,12441,12461,12441,12463,12441,12465,12441,12467,12441,12469,12441,12471,12441,12473,12441,12475,12441,12477,12441,12479,12441,12481,12441,12484,12441,12486,12441,12488,12441,12495,12441,12495,12442,12498,12441,12498,12442,12501,12441,12501,12442,12504,12441,12504,12442,12507,12441,12507,12442,12454,12441,12527,12441,12528,12441,12529,12441,12530,12441,12541,12441,35912,26356,36554,36040,28369,20018,21477,40860,40860,22865,37329,21895,22856,25078,30313,32645,34367,34746,35064,37007,27138,27931,28889,29662,33853,37226,39409,20098,21365,27396,29211,34349,40478,23888,28651,34253,35172,25289,33240,34847,24266,26391,28010,29436,37070,20358,20919,21214,25796,27347,29200,30439,32769,34310,34396,36335,38706,39791,40442,30860,31103,32160,33737,37636,40575,35542,22751,24324,31840,32894,29282,30922,36034,38647,22744,23650,27155,28122,28431,32047,32311,38475,21202,32907,20956,20940,31260,32190,33777,38517,35712,25295,27138,35582,20025,23527,24594,29575,30064,21271,30971,20415,24489,19981,27852,25976,32034,21443,22622,30465,33865,35498,27578,36784,27784,25342,33509,25504,30053,20142,20841,20937,26753,31975,33391,35538,37327,21237,21570,22899,24300,26053,28670,31018,38317,39530,40599,40654,21147,26310,27511,36706,24180,24976,25088,25754,28451,29001,29833,31178,32244,32879,36646,34030,36899,37706,21015,21155,21693,28872,35010,35498,24265,24565,25467,27566,31806,29557,20196,22265,23527,23994,24604,29618,29801,32666,32838,37428,38646,38728,38936,20363,31150,37300,38584,24801,20102,20698,23534,23615,26009,27138,29134,30274,34044,36988,40845,26248,38446,21129,26491,26611,27969,28316,29705,30041,30827,32016,39006,20845,25134,38520,20523,23833,28138,36650,24459,24900,26647,29575,38534,21033,21519,23653,26131,26446,26792,27877,29702,30178,32633,35023,35041,37324,38626,21311,28346,21533,29136,29848,34298,38563,40023,40607,26519,28107,33256,31435,31520,31890,29376,28825,35672,20160,33590,21050,20999,24230,25299,31958,23429,27934,26292,36667,34892,38477,35211,24275,20800,21952,22618,26228,20958,29482,30410,31036,31070,31077,31119,38742,31934,32701,34322,35576,36920,37117,39151,39164,39208,40372,37086,38583,20398,20711,20813,21193,21220,21329,21917,22022,22120,22592,22696,23652,23662,24724,24936,24974,25074,25935,26082,26257,26757,28023,28186,28450,29038,29227,29730,30865,31038,31049,31048,31056,31062,31069,31117,31118,31296,31361,31680,32244,32265,32321,32626,32773,33261,33401,33401,33879,35088,35222,35585,35641,36051,36104,36790,36920,38627,38911,38971,24693,55376,57070,33304,20006,20917,20840,20352,20805,20864,21191,21242,21917,21845,21913,21986,22618,22707,22852,22868,23138,23336,24274,24281,24425,24493,24792,24910,24840,24974,24928,25074,25140,25540,25628,25682,25942,26228,26391,26395,26454,27513,27578,27969,28379,28363,28450,28702,29038,30631,29237,29359,29482,29809,29958,30011,30237,30239,30410,30427,30452,30538,30528,30924,31409,31680,31867,32091,32244,32574,32773,33618,33775,34681,35137,35206,35222,35519,35576,35531,35585,35582,35565,35641,35722,36104,36664,36978,37273,37494,38524,38627,38742,38875,38911,38923,38971,39698,40860,55370,56394,55370,56388,55372,57301,15261,16408,16441,55380,56905,55383,56528,55391,57043,40771,40846,1497,1460,1522,1463,1513,1473,1513,1474,1513,1468,1473,1513,1468,1474,1488,1463,1488,1464,1488,1468,1489,1468,1490,1468,1491,1468,1492,1468,1493,1468,1494,1468,1496,1468,1497,1468,1498,1468,1499,1468,1500,1468,1502,1468,1504,1468,1505,1468,1507,1468,1508,1468,1510,1468,1511,1468,1512,1468,1513,1468,1514,1468,1493,1465,1489,1471,1499,1471,1508,1471,55297,56786,775,55297,56794,775,55300,56473,55300,56506,55300,56475,55300,56506,55300,56485,55300,56506,55300,56625,55300,56615,55300,56626,55300,56615,55300,57159,55300,57150,55300,57159,55300,57175,55300,57218,55300,57289,55300,57220,55300,57275,55300,57227,55300,57282,55300,57232,55300,57289,55300,57282,55300,57282,55300,57282,55300,57272,55300,57282,55300,57289,55301,56505,55301,56506,55301,56505,55301,56496,55301,56505,55301,56509,55301,56760,55301,56751,55301,56761,55301,56751,55302,56629,55302,56624,55320,56606,55320,56606,55320,56606,55320,56617,55320,56606,55320,56607,55320,56617,55320,56607,55320,56606,55320,56608,55320,56606,55320,56606,55320,56607,55320,56606,55320,56617,55320,56607,55320,56606,55320,56606,55320,56608,55323,56679,55323,56679,55323,56675,55323,56679,55323,56675,55323,56679,55323,56679,55348,56663,55348,56677,55348,56664,55348,56677,55348,56664,55348,56677,55348,56686,55348,56664,55348,56677,55348,56687,55348,56664,55348,56677,55348,56688,55348,56664,55348,56677,55348,56689,55348,56664,55348,56677,55348,56690,55348,56761,55348,56677,55348,56762,55348,56677,55348,56761,55348,56677,55348,56686,55348,56762,55348,56677,55348,56686,55348,56761,55348,56677,55348,56687,55348,56762,55348,56677,55348,56687,20029,20024,20033,55360,56610,20320,20398,20411,20482,20602,20633,20711,20687,13470,55361,56890,20813,20820,20836,20855,55361,56604,13497,20839,20877,55361,56651,20887,20900,20172,20908,20917,55396,56799,20981,20995,13535,21051,21062,21106,21111,13589,21191,21193,21220,21242,21253,21254,21271,21321,21329,21338,21363,21373,21375,21375,21375,55362,56876,28784,21450,21471,55362,57187,21483,21489,21510,21662,21560,21576,21608,21666,21750,21776,21843,21859,21892,21892,21913,21931,21939,21954,22294,22022,22295,22097,22132,20999,22766,22478,22516,22541,22411,22578,22577,22700,55365,56548,22770,22775,22790,22810,22818,22882,55365,57000,55365,57066,23020,23067,23079,23000,23142,14062,14076,23304,23358,23358,55366,56776,23491,23512,23527,23539,55366,57112,23551,23558,24403,23586,14209,23648,23662,23744,23693,55367,56804,23875,55367,56806,23918,23915,23932,24033,24034,14383,24061,24104,24125,24169,14434,55368,56707,14460,24240,24243,24246,24266,55400,57234,24318,55368,57137,55368,57137,33281,24354,24354,14535,55372,57016,55384,56794,24418,24427,14563,24474,24525,24535,24569,24705,14650,14620,24724,55369,57044,24775,24904,24908,24910,24908,24954,24974,25010,24996,25007,25054,25074,25078,25104,25115,25181,25265,25300,25424,55370,57100,25405,25340,25448,25475,25572,55370,57329,25634,25541,25513,14894,25705,25726,25757,25719,14956,25935,25964,55372,56330,26083,26360,26185,15129,26257,15112,15076,20882,20885,26368,26268,32941,17369,26391,26395,26401,26462,26451,55372,57283,15177,26618,26501,26706,26757,55373,56429,26766,26655,26900,15261,26946,27043,27114,27304,55373,56995,27355,15384,27425,55374,56487,27476,15438,27506,27551,27578,27579,55374,56973,55367,56587,55374,57082,27726,55375,56508,27839,27853,27751,27926,27966,28023,27969,28009,28024,28037,55375,56606,27956,28207,28270,15667,28363,28359,55375,57041,28153,28526,55375,57182,55375,57230,28614,28729,28702,28699,15766,28746,28797,28791,28845,55361,56613,28997,55376,56931,29084,55376,57259,29224,29237,29264,55377,56840,29312,29333,55377,57141,55378,56340,29562,29579,16044,29605,16056,16056,29767,29788,29809,29829,29898,16155,29988,55379,56374,30014,55379,56466,30064,55368,56735,30224,55379,57249,55379,57272,55380,56388,16380,16392,30452,55380,56563,55380,56562,55380,56601,55380,56627,30494,30495,30495,30538,16441,30603,16454,16534,55381,56349,30798,30860,30924,16611,55381,56870,31062,55381,56986,55381,57029,31119,31211,16687,31296,31306,31311,55382,56700,55382,56999,55382,56999,31470,16898,55382,57259,31686,31689,16935,55383,56448,31954,17056,31976,31971,32000,55383,57222,32099,17153,32199,32258,32325,17204,55384,56872,55384,56903,17241,55384,57049,32634,55384,57150,32661,32762,32773,55385,56538,55385,56611,32864,55385,56744,32880,55372,57183,17365,32946,33027,17419,33086,23221,55385,57255,55385,57269,55372,57235,55372,57244,33281,33284,36766,17515,33425,33419,33437,21171,33457,33459,33469,33510,55386,57148,33509,33565,33635,33709,33571,33725,33767,33879,33619,33738,33740,33756,55387,56374,55387,56683,55387,56533,17707,34033,34035,34070,55388,57290,34148,55387,57132,17757,17761,55387,57265,55388,56530,17771,34384,34396,34407,34409,34473,34440,34574,34530,34681,34600,34667,34694,17879,34785,34817,17913,34912,34915,55389,56935,35031,35038,17973,35066,13499,55390,56494,55390,56678,18110,18119,35488,35565,35722,35925,55391,56488,36011,36033,36123,36215,55391,57135,55362,56324,36299,36284,36336,55362,56542,36564,36664,55393,56786,55393,56813,37012,37105,37137,55393,57134,37147,37432,37591,37592,37500,37881,37909,55394,57338,38283,18837,38327,55395,56695,18918,38595,23986,38691,55396,56645,55396,56858,19054,19062,38880,55397,56330,19122,55397,56470,38923,38923,38953,55397,56758,39138,19251,39209,39335,39362,39422,19406,55398,57136,39698,40000,40189,19662,19693,40295,55400,56526,19704,55400,56581,55400,56846,55400,56977,40635,19798,40697,40702,40709,40719,40726,40763,55401,56832],
+  compatDecompositions: [0,160,0,1,0,168,1,2,0,170,3,1,0,175,4,2,0,178,6,1,0,179,7,1,0,180,8,2,0,181,10,1,0,184,11,2,0,185,13,1,0,186,14,1,0,188,15,3,0,189,18,3,0,190,21,3,0,306,24,2,0,307,26,2,0,319,28,2,0,320,30,2,0,329,32,2,0,383,34,1,0,452,35,3,0,453,38,3,0,454,41,3,0,455,44,2,0,456,46,2,0,457,48,2,0,458,50,2,0,459,52,2,0,460,54,2,0,497,56,2,0,498,58,2,0,499,60,2,0,688,62,1,0,689,63,1,0,690,64,1,0,691,65,1,0,692,66,1,0,693,67,1,0,694,68,1,0,695,69,1,0,696,70,1,0,728,71,2,0,729,73,2,0,730,75,2,0,731,77,2,0,732,79,2,0,733,81,2,0,736,83,1,0,737,84,1,0,738,85,1,0,739,86,1,0,740,87,1,0,890,88,2,0,900,90,2,0,901,92,3,0,976,95,1,0,977,96,1,0,978,97,1,0,979,98,2,0,980,100,2,0,981,102,1,0,982,103,1,0,1008,104,1,0,1009,105,1,0,1010,106,1,0,1012,107,1,0,1013,108,1,0,1017,109,1,0,1415,110,2,0,1653,112,2,0,1654,114,2,0,1655,116,2,0,1656,118,2,0,3635,120,2,0,3763,122,2,0,3804,124,2,0,3805,126,2,0,3852,128,1,0,3959,129,3,0,3961,132,3,0,4348,135,1,0,7468,136,1,0,7469,137,1,0,7470,138,1,0,7472,139,1,0,7473,140,1,0,7474,141,1,0,7475,142,1,0,7476,143,1,0,7477,144,1,0,7478,145,1,0,7479,146,1,0,7480,147,1,0,7481,148,1,0,7482,149,1,0,7484,150,1,0,7485,151,1,0,7486,152,1,0,7487,153,1,0,7488,154,1,0,7489,155,1,0,7490,156,1,0,7491,157,1,0,7492,158,1,0,7493,159,1,0,7494,160,1,0,7495,161,1,0,7496,162,1,0,7497,163,1,0,7498,164,1,0,7499,165,1,0,7500,166,1,0,7501,167,1,0,7503,168,1,0,7504,169,1,0,7505,170,1,0,7506,171,1,0,7507,172,1,0,7508,173,1,0,7509,174,1,0,7510,175,1,0,7511,176,1,0,7512,177,1,0,7513,178,1,0,7514,179,1,0,7515,180,1,0,7516,181,1,0,7517,182,1,0,7518,183,1,0,7519,184,1,0,7520,185,1,0,7521,186,1,0,7522,187,1,0,7523,188,1,0,7524,189,1,0,7525,190,1,0,7526,191,1,0,7527,192,1,0,7528,193,1,0,7529,194,1,0,7530,195,1,0,7544,196,1,0,7579,197,1,0,7580,198,1,0,7581,199,1,0,7582,200,1,0,7583,201,1,0,7584,202,1,0,7585,203,1,0,7586,204,1,0,7587,205,1,0,7588,206,1,0,7589,207,1,0,7590,208,1,0,7591,209,1,0,7592,210,1,0,7593,211,1,0,7594,212,1,0,7595,213,1,0,7596,214,1,0,7597,215,1,0,7598,216,1,0,7599,217,1,0,7600,218,1,0,7601,219,1,0,7602,220,1,0,7603,221,1,0,7604,222,1,0,7605,223,1,0,7606,224,1,0,7607,225,1,0,7608,226,1,0,7609,227,1,0,7610,228,1,0,7611,229,1,0,7612,230,1,0,7613,231,1,0,7614,232,1,0,7615,233,1,0,7834,234,2,0,7835,236,2,0,8125,238,2,0,8127,240,2,0,8128,242,2,0,8129,244,3,0,8141,247,3,0,8142,250,3,0,8143,253,3,0,8157,256,3,0,8158,259,3,0,8159,262,3,0,8173,265,3,0,8174,268,3,0,8189,271,2,0,8190,273,2,0,8192,275,1,0,8193,276,1,0,8194,277,1,0,8195,278,1,0,8196,279,1,0,8197,280,1,0,8198,281,1,0,8199,282,1,0,8200,283,1,0,8201,284,1,0,8202,285,1,0,8209,286,1,0,8215,287,2,0,8228,289,1,0,8229,290,2,0,8230,292,3,0,8239,295,1,0,8243,296,2,0,8244,298,3,0,8246,301,2,0,8247,303,3,0,8252,306,2,0,8254,308,2,0,8263,310,2,0,8264,312,2,0,8265,314,2,0,8279,316,4,0,8287,320,1,0,8304,321,1,0,8305,322,1,0,8308,323,1,0,8309,324,1,0,8310,325,1,0,8311,326,1,0,8312,327,1,0,8313,328,1,0,8314,329,1,0,8315,330,1,0,8316,331,1,0,8317,332,1,0,8318,333,1,0,8319,334,1,0,8320,335,1,0,8321,336,1,0,8322,337,1,0,8323,338,1,0,8324,339,1,0,8325,340,1,0,8326,341,1,0,8327,342,1,0,8328,343,1,0,8329,344,1,0,8330,345,1,0,8331,346,1,0,8332,347,1,0,8333,348,1,0,8334,349,1,0,8336,350,1,0,8337,351,1,0,8338,352,1,0,8339,353,1,0,8340,354,1,0,8341,355,1,0,8342,356,1,0,8343,357,1,0,8344,358,1,0,8345,359,1,0,8346,360,1,0,8347,361,1,0,8348,362,1,0,8360,363,2,0,8448,365,3,0,8449,368,3,0,8450,371,1,0,8451,372,2,0,8453,374,3,0,8454,377,3,0,8455,380,1,0,8457,381,2,0,8458,383,1,0,8459,384,1,0,8460,385,1,0,8461,386,1,0,8462,387,1,0,8463,388,1,0,8464,389,1,0,8465,390,1,0,8466,391,1,0,8467,392,1,0,8469,393,1,0,8470,394,2,0,8473,396,1,0,8474,397,1,0,8475,398,1,0,8476,399,1,0,8477,400,1,0,8480,401,2,0,8481,403,3,0,8482,406,2,0,8484,408,1,0,8488,409,1,0,8492,410,1,0,8493,411,1,0,8495,412,1,0,8496,413,1,0,8497,414,1,0,8499,415,1,0,8500,416,1,0,8501,417,1,0,8502,418,1,0,8503,419,1,0,8504,420,1,0,8505,421,1,0,8507,422,3,0,8508,425,1,0,8509,426,1,0,8510,427,1,0,8511,428,1,0,8512,429,1,0,8517,430,1,0,8518,431,1,0,8519,432,1,0,8520,433,1,0,8521,434,1,0,8528,435,3,0,8529,438,3,0,8530,441,4,0,8531,445,3,0,8532,448,3,0,8533,451,3,0,8534,454,3,0,8535,457,3,0,8536,460,3,0,8537,463,3,0,8538,466,3,0,8539,469,3,0,8540,472,3,0,8541,475,3,0,8542,478,3,0,8543,481,2,0,8544,483,1,0,8545,484,2,0,8546,486,3,0,8547,489,2,0,8548,491,1,0,8549,492,2,0,8550,494,3,0,8551,497,4,0,8552,501,2,0,8553,503,1,0,8554,504,2,0,8555,506,3,0,8556,509,1,0,8557,510,1,0,8558,511,1,0,8559,512,1,0,8560,513,1,0,8561,514,2,0,8562,516,3,0,8563,519,2,0,8564,521,1,0,8565,522,2,0,8566,524,3,0,8567,527,4,0,8568,531,2,0,8569,533,1,0,8570,534,2,0,8571,536,3,0,8572,539,1,0,8573,540,1,0,8574,541,1,0,8575,542,1,0,8585,543,3,0,8748,546,2,0,8749,548,3,0,8751,551,2,0,8752,553,3,0,9312,556,1,0,9313,557,1,0,9314,558,1,0,9315,559,1,0,9316,560,1,0,9317,561,1,0,9318,562,1,0,9319,563,1,0,9320,564,1,0,9321,565,2,0,9322,567,2,0,9323,569,2,0,9324,571,2,0,9325,573,2,0,9326,575,2,0,9327,577,2,0,9328,579,2,0,9329,581,2,0,9330,583,2,0,9331,585,2,0,9332,587,3,0,9333,590,3,0,9334,593,3,0,9335,596,3,0,9336,599,3,0,9337,602,3,0,9338,605,3,0,9339,608,3,0,9340,611,3,0,9341,614,4,0,9342,618,4,0,9343,622,4,0,9344,626,4,0,9345,630,4,0,9346,634,4,0,9347,638,4,0,9348,642,4,0,9349,646,4,0,9350,650,4,0,9351,654,4,0,9352,658,2,0,9353,660,2,0,9354,662,2,0,9355,664,2,0,9356,666,2,0,9357,668,2,0,9358,670,2,0,9359,672,2,0,9360,674,2,0,9361,676,3,0,9362,679,3,0,9363,682,3,0,9364,685,3,0,9365,688,3,0,9366,691,3,0,9367,694,3,0,9368,697,3,0,9369,700,3,0,9370,703,3,0,9371,706,3,0,9372,709,3,0,9373,712,3,0,9374,715,3,0,9375,718,3,0,9376,721,3,0,9377,724,3,0,9378,727,3,0,9379,730,3,0,9380,733,3,0,9381,736,3,0,9382,739,3,0,9383,742,3,0,9384,745,3,0,9385,748,3,0,9386,751,3,0,9387,754,3,0,9388,757,3,0,9389,760,3,0,9390,763,3,0,9391,766,3,0,9392,769,3,0,9393,772,3,0,9394,775,3,0,9395,778,3,0,9396,781,3,0,9397,784,3,0,9398,787,1,0,9399,788,1,0,9400,789,1,0,9401,790,1,0,9402,791,1,0,9403,792,1,0,9404,793,1,0,9405,794,1,0,9406,795,1,0,9407,796,1,0,9408,797,1,0,9409,798,1,0,9410,799,1,0,9411,800,1,0,9412,801,1,0,9413,802,1,0,9414,803,1,0,9415,804,1,0,9416,805,1,0,9417,806,1,0,9418,807,1,0,9419,808,1,0,9420,809,1,0,9421,810,1,0,9422,811,1,0,9423,812,1,0,9424,813,1,0,9425,814,1,0,9426,815,1,0,9427,816,1,0,9428,817,1,0,9429,818,1,0,9430,819,1,0,9431,820,1,0,9432,821,1,0,9433,822,1,0,9434,823,1,0,9435,824,1,0,9436,825,1,0,9437,826,1,0,9438,827,1,0,9439,828,1,0,9440,829,1,0,9441,830,1,0,9442,831,1,0,9443,832,1,0,9444,833,1,0,9445,834,1,0,9446,835,1,0,9447,836,1,0,9448,837,1,0,9449,838,1,0,9450,839,1,0,10764,840,4,0,10868,844,3,0,10869,847,2,0,10870,849,3,0,11388,852,1,0,11389,853,1,0,11631,854,1,0,11935,855,1,0,12019,856,1,0,12032,857,1,0,12033,858,1,0,12034,859,1,0,12035,860,1,0,12036,861,1,0,12037,862,1,0,12038,863,1,0,12039,864,1,0,12040,865,1,0,12041,866,1,0,12042,867,1,0,12043,868,1,0,12044,869,1,0,12045,870,1,0,12046,871,1,0,12047,872,1,0,12048,873,1,0,12049,874,1,0,12050,875,1,0,12051,876,1,0,12052,877,1,0,12053,878,1,0,12054,879,1,0,12055,880,1,0,12056,881,1,0,12057,882,1,0,12058,883,1,0,12059,884,1,0,12060,885,1,0,12061,886,1,0,12062,887,1,0,12063,888,1,0,12064,889,1,0,12065,890,1,0,12066,891,1,0,12067,892,1,0,12068,893,1,0,12069,894,1,0,12070,895,1,0,12071,896,1,0,12072,897,1,0,12073,898,1,0,12074,899,1,0,12075,900,1,0,12076,901,1,0,12077,902,1,0,12078,903,1,0,12079,904,1,0,12080,905,1,0,12081,906,1,0,12082,907,1,0,12083,908,1,0,12084,909,1,0,12085,910,1,0,12086,911,1,0,12087,912,1,0,12088,913,1,0,12089,914,1,0,12090,915,1,0,12091,916,1,0,12092,917,1,0,12093,918,1,0,12094,919,1,0,12095,920,1,0,12096,921,1,0,12097,922,1,0,12098,923,1,0,12099,924,1,0,12100,925,1,0,12101,926,1,0,12102,927,1,0,12103,928,1,0,12104,929,1,0,12105,930,1,0,12106,931,1,0,12107,932,1,0,12108,933,1,0,12109,934,1,0,12110,935,1,0,12111,936,1,0,12112,937,1,0,12113,938,1,0,12114,939,1,0,12115,940,1,0,12116,941,1,0,12117,942,1,0,12118,943,1,0,12119,944,1,0,12120,945,1,0,12121,946,1,0,12122,947,1,0,12123,948,1,0,12124,949,1,0,12125,950,1,0,12126,951,1,0,12127,952,1,0,12128,953,1,0,12129,954,1,0,12130,955,1,0,12131,956,1,0,12132,957,1,0,12133,958,1,0,12134,959,1,0,12135,960,1,0,12136,961,1,0,12137,962,1,0,12138,963,1,0,12139,964,1,0,12140,965,1,0,12141,966,1,0,12142,967,1,0,12143,968,1,0,12144,969,1,0,12145,970,1,0,12146,971,1,0,12147,972,1,0,12148,973,1,0,12149,974,1,0,12150,975,1,0,12151,976,1,0,12152,977,1,0,12153,978,1,0,12154,979,1,0,12155,980,1,0,12156,981,1,0,12157,982,1,0,12158,983,1,0,12159,984,1,0,12160,985,1,0,12161,986,1,0,12162,987,1,0,12163,988,1,0,12164,989,1,0,12165,990,1,0,12166,991,1,0,12167,992,1,0,12168,993,1,0,12169,994,1,0,12170,995,1,0,12171,996,1,0,12172,997,1,0,12173,998,1,0,12174,999,1,0,12175,1000,1,0,12176,1001,1,0,12177,1002,1,0,12178,1003,1,0,12179,1004,1,0,12180,1005,1,0,12181,1006,1,0,12182,1007,1,0,12183,1008,1,0,12184,1009,1,0,12185,1010,1,0,12186,1011,1,0,12187,1012,1,0,12188,1013,1,0,12189,1014,1,0,12190,1015,1,0,12191,1016,1,0,12192,1017,1,0,12193,1018,1,0,12194,1019,1,0,12195,1020,1,0,12196,1021,1,0,12197,1022,1,0,12198,1023,1,0,12199,1024,1,0,12200,1025,1,0,12201,1026,1,0,12202,1027,1,0,12203,1028,1,0,12204,1029,1,0,12205,1030,1,0,12206,1031,1,0,12207,1032,1,0,12208,1033,1,0,12209,1034,1,0,12210,1035,1,0,12211,1036,1,0,12212,1037,1,0,12213,1038,1,0,12214,1039,1,0,12215,1040,1,0,12216,1041,1,0,12217,1042,1,0,12218,1043,1,0,12219,1044,1,0,12220,1045,1,0,12221,1046,1,0,12222,1047,1,0,12223,1048,1,0,12224,1049,1,0,12225,1050,1,0,12226,1051,1,0,12227,1052,1,0,12228,1053,1,0,12229,1054,1,0,12230,1055,1,0,12231,1056,1,0,12232,1057,1,0,12233,1058,1,0,12234,1059,1,0,12235,1060,1,0,12236,1061,1,0,12237,1062,1,0,12238,1063,1,0,12239,1064,1,0,12240,1065,1,0,12241,1066,1,0,12242,1067,1,0,12243,1068,1,0,12244,1069,1,0,12245,1070,1,0,12288,1071,1,0,12342,1072,1,0,12344,1073,1,0,12345,1074,1,0,12346,1075,1,0,12443,1076,2,0,12444,1078,2,0,12447,1080,2,0,12543,1082,2,0,12593,1084,1,0,12594,1085,1,0,12595,1086,1,0,12596,1087,1,0,12597,1088,1,0,12598,1089,1,0,12599,1090,1,0,12600,1091,1,0,12601,1092,1,0,12602,1093,1,0,12603,1094,1,0,12604,1095,1,0,12605,1096,1,0,12606,1097,1,0,12607,1098,1,0,12608,1099,1,0,12609,1100,1,0,12610,1101,1,0,12611,1102,1,0,12612,1103,1,0,12613,1104,1,0,12614,1105,1,0,12615,1106,1,0,12616,1107,1,0,12617,1108,1,0,12618,1109,1,0,12619,1110,1,0,12620,1111,1,0,12621,1112,1,0,12622,1113,1,0,12623,1114,1,0,12624,1115,1,0,12625,1116,1,0,12626,1117,1,0,12627,1118,1,0,12628,1119,1,0,12629,1120,1,0,12630,1121,1,0,12631,1122,1,0,12632,1123,1,0,12633,1124,1,0,12634,1125,1,0,12635,1126,1,0,12636,1127,1,0,12637,1128,1,0,12638,1129,1,0,12639,1130,1,0,12640,1131,1,0,12641,1132,1,0,12642,1133,1,0,12643,1134,1,0,12644,1135,1,0,12645,1136,1,0,12646,1137,1,0,12647,1138,1,0,12648,1139,1,0,12649,1140,1,0,12650,1141,1,0,12651,1142,1,0,12652,1143,1,0,12653,1144,1,0,12654,1145,1,0,12655,1146,1,0,12656,1147,1,0,12657,1148,1,0,12658,1149,1,0,12659,1150,1,0,12660,1151,1,0,12661,1152,1,0,12662,1153,1,0,12663,1154,1,0,12664,1155,1,0,12665,1156,1,0,12666,1157,1,0,12667,1158,1,0,12668,1159,1,0,12669,1160,1,0,12670,1161,1,0,12671,1162,1,0,12672,1163,1,0,12673,1164,1,0,12674,1165,1,0,12675,1166,1,0,12676,1167,1,0,12677,1168,1,0,12678,1169,1,0,12679,1170,1,0,12680,1171,1,0,12681,1172,1,0,12682,1173,1,0,12683,1174,1,0,12684,1175,1,0,12685,1176,1,0,12686,1177,1,0,12690,1178,1,0,12691,1179,1,0,12692,1180,1,0,12693,1181,1,0,12694,1182,1,0,12695,1183,1,0,12696,1184,1,0,12697,1185,1,0,12698,1186,1,0,12699,1187,1,0,12700,1188,1,0,12701,1189,1,0,12702,1190,1,0,12703,1191,1,0,12800,1192,3,0,12801,1195,3,0,12802,1198,3,0,12803,1201,3,0,12804,1204,3,0,12805,1207,3,0,12806,1210,3,0,12807,1213,3,0,12808,1216,3,0,12809,1219,3,0,12810,1222,3,0,12811,1225,3,0,12812,1228,3,0,12813,1231,3,0,12814,1234,4,0,12815,1238,4,0,12816,1242,4,0,12817,1246,4,0,12818,1250,4,0,12819,1254,4,0,12820,1258,4,0,12821,1262,4,0,12822,1266,4,0,12823,1270,4,0,12824,1274,4,0,12825,1278,4,0,12826,1282,4,0,12827,1286,4,0,12828,1290,4,0,12829,1294,7,0,12830,1301,6,0,12832,1307,3,0,12833,1310,3,0,12834,1313,3,0,12835,1316,3,0,12836,1319,3,0,12837,1322,3,0,12838,1325,3,0,12839,1328,3,0,12840,1331,3,0,12841,1334,3,0,12842,1337,3,0,12843,1340,3,0,12844,1343,3,0,12845,1346,3,0,12846,1349,3,0,12847,1352,3,0,12848,1355,3,0,12849,1358,3,0,12850,1361,3,0,12851,1364,3,0,12852,1367,3,0,12853,1370,3,0,12854,1373,3,0,12855,1376,3,0,12856,1379,3,0,12857,1382,3,0,12858,1385,3,0,12859,1388,3,0,12860,1391,3,0,12861,1394,3,0,12862,1397,3,0,12863,1400,3,0,12864,1403,3,0,12865,1406,3,0,12866,1409,3,0,12867,1412,3,0,12868,1415,1,0,12869,1416,1,0,12870,1417,1,0,12871,1418,1,0,12880,1419,3,0,12881,1422,2,0,12882,1424,2,0,12883,1426,2,0,12884,1428,2,0,12885,1430,2,0,12886,1432,2,0,12887,1434,2,0,12888,1436,2,0,12889,1438,2,0,12890,1440,2,0,12891,1442,2,0,12892,1444,2,0,12893,1446,2,0,12894,1448,2,0,12895,1450,2,0,12896,1452,1,0,12897,1453,1,0,12898,1454,1,0,12899,1455,1,0,12900,1456,1,0,12901,1457,1,0,12902,1458,1,0,12903,1459,1,0,12904,1460,1,0,12905,1461,1,0,12906,1462,1,0,12907,1463,1,0,12908,1464,1,0,12909,1465,1,0,12910,1466,2,0,12911,1468,2,0,12912,1470,2,0,12913,1472,2,0,12914,1474,2,0,12915,1476,2,0,12916,1478,2,0,12917,1480,2,0,12918,1482,2,0,12919,1484,2,0,12920,1486,2,0,12921,1488,2,0,12922,1490,2,0,12923,1492,2,0,12924,1494,5,0,12925,1499,4,0,12926,1503,2,0,12928,1505,1,0,12929,1506,1,0,12930,1507,1,0,12931,1508,1,0,12932,1509,1,0,12933,1510,1,0,12934,1511,1,0,12935,1512,1,0,12936,1513,1,0,12937,1514,1,0,12938,1515,1,0,12939,1516,1,0,12940,1517,1,0,12941,1518,1,0,12942,1519,1,0,12943,1520,1,0,12944,1521,1,0,12945,1522,1,0,12946,1523,1,0,12947,1524,1,0,12948,1525,1,0,12949,1526,1,0,12950,1527,1,0,12951,1528,1,0,12952,1529,1,0,12953,1530,1,0,12954,1531,1,0,12955,1532,1,0,12956,1533,1,0,12957,1534,1,0,12958,1535,1,0,12959,1536,1,0,12960,1537,1,0,12961,1538,1,0,12962,1539,1,0,12963,1540,1,0,12964,1541,1,0,12965,1542,1,0,12966,1543,1,0,12967,1544,1,0,12968,1545,1,0,12969,1546,1,0,12970,1547,1,0,12971,1548,1,0,12972,1549,1,0,12973,1550,1,0,12974,1551,1,0,12975,1552,1,0,12976,1553,1,0,12977,1554,2,0,12978,1556,2,0,12979,1558,2,0,12980,1560,2,0,12981,1562,2,0,12982,1564,2,0,12983,1566,2,0,12984,1568,2,0,12985,1570,2,0,12986,1572,2,0,12987,1574,2,0,12988,1576,2,0,12989,1578,2,0,12990,1580,2,0,12991,1582,2,0,12992,1584,2,0,12993,1586,2,0,12994,1588,2,0,12995,1590,2,0,12996,1592,2,0,12997,1594,2,0,12998,1596,2,0,12999,1598,2,0,13000,1600,2,0,13001,1602,3,0,13002,1605,3,0,13003,1608,3,0,13004,1611,2,0,13005,1613,3,0,13006,1616,2,0,13007,1618,3,0,13008,1621,1,0,13009,1622,1,0,13010,1623,1,0,13011,1624,1,0,13012,1625,1,0,13013,1626,1,0,13014,1627,1,0,13015,1628,1,0,13016,1629,1,0,13017,1630,1,0,13018,1631,1,0,13019,1632,1,0,13020,1633,1,0,13021,1634,1,0,13022,1635,1,0,13023,1636,1,0,13024,1637,1,0,13025,1638,1,0,13026,1639,1,0,13027,1640,1,0,13028,1641,1,0,13029,1642,1,0,13030,1643,1,0,13031,1644,1,0,13032,1645,1,0,13033,1646,1,0,13034,1647,1,0,13035,1648,1,0,13036,1649,1,0,13037,1650,1,0,13038,1651,1,0,13039,1652,1,0,13040,1653,1,0,13041,1654,1,0,13042,1655,1,0,13043,1656,1,0,13044,1657,1,0,13045,1658,1,0,13046,1659,1,0,13047,1660,1,0,13048,1661,1,0,13049,1662,1,0,13050,1663,1,0,13051,1664,1,0,13052,1665,1,0,13053,1666,1,0,13054,1667,1,0,13055,1668,2,0,13056,1670,5,0,13057,1675,4,0,13058,1679,5,0,13059,1684,3,0,13060,1687,5,0,13061,1692,3,0,13062,1695,3,0,13063,1698,6,0,13064,1704,4,0,13065,1708,3,0,13066,1711,3,0,13067,1714,3,0,13068,1717,4,0,13069,1721,4,0,13070,1725,4,0,13071,1729,4,0,13072,1733,4,0,13073,1737,4,0,13074,1741,4,0,13075,1745,6,0,13076,1751,2,0,13077,1753,6,0,13078,1759,6,0,13079,1765,5,0,13080,1770,4,0,13081,1774,6,0,13082,1780,6,0,13083,1786,4,0,13084,1790,3,0,13085,1793,3,0,13086,1796,4,0,13087,1800,4,0,13088,1804,5,0,13089,1809,5,0,13090,1814,3,0,13091,1817,3,0,13092,1820,4,0,13093,1824,3,0,13094,1827,3,0,13095,1830,2,0,13096,1832,2,0,13097,1834,3,0,13098,1837,3,0,13099,1840,6,0,13100,1846,4,0,13101,1850,5,0,13102,1855,6,0,13103,1861,4,0,13104,1865,3,0,13105,1868,3,0,13106,1871,6,0,13107,1877,4,0,13108,1881,6,0,13109,1887,3,0,13110,1890,5,0,13111,1895,3,0,13112,1898,4,0,13113,1902,3,0,13114,1905,4,0,13115,1909,5,0,13116,1914,4,0,13117,1918,5,0,13118,1923,4,0,13119,1927,2,0,13120,1929,5,0,13121,1934,3,0,13122,1937,3,0,13123,1940,4,0,13124,1944,3,0,13125,1947,3,0,13126,1950,3,0,13127,1953,5,0,13128,1958,4,0,13129,1962,2,0,13130,1964,6,0,13131,1970,3,0,13132,1973,5,0,13133,1978,4,0,13134,1982,4,0,13135,1986,3,0,13136,1989,3,0,13137,1992,4,0,13138,1996,2,0,13139,1998,4,0,13140,2002,5,0,13141,2007,2,0,13142,2009,6,0,13143,2015,3,0,13144,2018,2,0,13145,2020,2,0,13146,2022,2,0,13147,2024,2,0,13148,2026,2,0,13149,2028,2,0,13150,2030,2,0,13151,2032,2,0,13152,2034,2,0,13153,2036,2,0,13154,2038,3,0,13155,2041,3,0,13156,2044,3,0,13157,2047,3,0,13158,2050,3,0,13159,2053,3,0,13160,2056,3,0,13161,2059,3,0,13162,2062,3,0,13163,2065,3,0,13164,2068,3,0,13165,2071,3,0,13166,2074,3,0,13167,2077,3,0,13168,2080,3,0,13169,2083,3,0,13170,2086,2,0,13171,2088,2,0,13172,2090,3,0,13173,2093,2,0,13174,2095,2,0,13175,2097,2,0,13176,2099,3,0,13177,2102,3,0,13178,2105,2,0,13179,2107,2,0,13180,2109,2,0,13181,2111,2,0,13182,2113,2,0,13183,2115,4,0,13184,2119,2,0,13185,2121,2,0,13186,2123,2,0,13187,2125,2,0,13188,2127,2,0,13189,2129,2,0,13190,2131,2,0,13191,2133,2,0,13192,2135,3,0,13193,2138,4,0,13194,2142,2,0,13195,2144,2,0,13196,2146,2,0,13197,2148,2,0,13198,2150,2,0,13199,2152,2,0,13200,2154,2,0,13201,2156,3,0,13202,2159,3,0,13203,2162,3,0,13204,2165,3,0,13205,2168,2,0,13206,2170,2,0,13207,2172,2,0,13208,2174,2,0,13209,2176,2,0,13210,2178,2,0,13211,2180,2,0,13212,2182,2,0,13213,2184,2,0,13214,2186,2,0,13215,2188,3,0,13216,2191,3,0,13217,2194,2,0,13218,2196,3,0,13219,2199,3,0,13220,2202,3,0,13221,2205,2,0,13222,2207,3,0,13223,2210,3,0,13224,2213,4,0,13225,2217,2,0,13226,2219,3,0,13227,2222,3,0,13228,2225,3,0,13229,2228,3,0,13230,2231,5,0,13231,2236,6,0,13232,2242,2,0,13233,2244,2,0,13234,2246,2,0,13235,2248,2,0,13236,2250,2,0,13237,2252,2,0,13238,2254,2,0,13239,2256,2,0,13240,2258,2,0,13241,2260,2,0,13242,2262,2,0,13243,2264,2,0,13244,2266,2,0,13245,2268,2,0,13246,2270,2,0,13247,2272,2,0,13248,2274,2,0,13249,2276,2,0,13250,2278,4,0,13251,2282,2,0,13252,2284,2,0,13253,2286,2,0,13254,2288,4,0,13255,2292,3,0,13256,2295,2,0,13257,2297,2,0,13258,2299,2,0,13259,2301,2,0,13260,2303,2,0,13261,2305,2,0,13262,2307,2,0,13263,2309,2,0,13264,2311,2,0,13265,2313,2,0,13266,2315,3,0,13267,2318,2,0,13268,2320,2,0,13269,2322,3,0,13270,2325,3,0,13271,2328,2,0,13272,2330,4,0,13273,2334,3,0,13274,2337,2,0,13275,2339,2,0,13276,2341,2,0,13277,2343,2,0,13278,2345,3,0,13279,2348,3,0,13280,2351,2,0,13281,2353,2,0,13282,2355,2,0,13283,2357,2,0,13284,2359,2,0,13285,2361,2,0,13286,2363,2,0,13287,2365,2,0,13288,2367,2,0,13289,2369,3,0,13290,2372,3,0,13291,2375,3,0,13292,2378,3,0,13293,2381,3,0,13294,2384,3,0,13295,2387,3,0,13296,2390,3,0,13297,2393,3,0,13298,2396,3,0,13299,2399,3,0,13300,2402,3,0,13301,2405,3,0,13302,2408,3,0,13303,2411,3,0,13304,2414,3,0,13305,2417,3,0,13306,2420,3,0,13307,2423,3,0,13308,2426,3,0,13309,2429,3,0,13310,2432,3,0,13311,2435,3,0,42652,2438,1,0,42653,2439,1,0,42864,2440,1,0,42994,2441,1,0,42995,2442,1,0,42996,2443,1,0,43000,2444,1,0,43001,2445,1,0,43868,2446,1,0,43869,2447,1,0,43870,2448,1,0,43871,2449,1,0,43881,2450,1,0,64256,2451,2,0,64257,2453,2,0,64258,2455,2,0,64259,2457,3,0,64260,2460,3,0,64261,2463,2,0,64262,2465,2,0,64275,2467,2,0,64276,2469,2,0,64277,2471,2,0,64278,2473,2,0,64279,2475,2,0,64288,2477,1,0,64289,2478,1,0,64290,2479,1,0,64291,2480,1,0,64292,2481,1,0,64293,2482,1,0,64294,2483,1,0,64295,2484,1,0,64296,2485,1,0,64297,2486,1,0,64335,2487,2,0,64336,2489,1,0,64337,2490,1,0,64338,2491,1,0,64339,2492,1,0,64340,2493,1,0,64341,2494,1,0,64342,2495,1,0,64343,2496,1,0,64344,2497,1,0,64345,2498,1,0,64346,2499,1,0,64347,2500,1,0,64348,2501,1,0,64349,2502,1,0,64350,2503,1,0,64351,2504,1,0,64352,2505,1,0,64353,2506,1,0,64354,2507,1,0,64355,2508,1,0,64356,2509,1,0,64357,2510,1,0,64358,2511,1,0,64359,2512,1,0,64360,2513,1,0,64361,2514,1,0,64362,2515,1,0,64363,2516,1,0,64364,2517,1,0,64365,2518,1,0,64366,2519,1,0,64367,2520,1,0,64368,2521,1,0,64369,2522,1,0,64370,2523,1,0,64371,2524,1,0,64372,2525,1,0,64373,2526,1,0,64374,2527,1,0,64375,2528,1,0,64376,2529,1,0,64377,2530,1,0,64378,2531,1,0,64379,2532,1,0,64380,2533,1,0,64381,2534,1,0,64382,2535,1,0,64383,2536,1,0,64384,2537,1,0,64385,2538,1,0,64386,2539,1,0,64387,2540,1,0,64388,2541,1,0,64389,2542,1,0,64390,2543,1,0,64391,2544,1,0,64392,2545,1,0,64393,2546,1,0,64394,2547,1,0,64395,2548,1,0,64396,2549,1,0,64397,2550,1,0,64398,2551,1,0,64399,2552,1,0,64400,2553,1,0,64401,2554,1,0,64402,2555,1,0,64403,2556,1,0,64404,2557,1,0,64405,2558,1,0,64406,2559,1,0,64407,2560,1,0,64408,2561,1,0,64409,2562,1,0,64410,2563,1,0,64411,2564,1,0,64412,2565,1,0,64413,2566,1,0,64414,2567,1,0,64415,2568,1,0,64416,2569,1,0,64417,2570,1,0,64418,2571,1,0,64419,2572,1,0,64420,2573,2,0,64421,2575,2,0,64422,2577,1,0,64423,2578,1,0,64424,2579,1,0,64425,2580,1,0,64426,2581,1,0,64427,2582,1,0,64428,2583,1,0,64429,2584,1,0,64430,2585,1,0,64431,2586,1,0,64432,2587,2,0,64433,2589,2,0,64467,2591,1,0,64468,2592,1,0,64469,2593,1,0,64470,2594,1,0,64471,2595,1,0,64472,2596,1,0,64473,2597,1,0,64474,2598,1,0,64475,2599,1,0,64476,2600,1,0,64477,2601,2,0,64478,2603,1,0,64479,2604,1,0,64480,2605,1,0,64481,2606,1,0,64482,2607,1,0,64483,2608,1,0,64484,2609,1,0,64485,2610,1,0,64486,2611,1,0,64487,2612,1,0,64488,2613,1,0,64489,2614,1,0,64490,2615,3,0,64491,2618,3,0,64492,2621,3,0,64493,2624,3,0,64494,2627,3,0,64495,2630,3,0,64496,2633,3,0,64497,2636,3,0,64498,2639,3,0,64499,2642,3,0,64500,2645,3,0,64501,2648,3,0,64502,2651,3,0,64503,2654,3,0,64504,2657,3,0,64505,2660,3,0,64506,2663,3,0,64507,2666,3,0,64508,2669,1,0,64509,2670,1,0,64510,2671,1,0,64511,2672,1,0,64512,2673,3,0,64513,2676,3,0,64514,2679,3,0,64515,2682,3,0,64516,2685,3,0,64517,2688,2,0,64518,2690,2,0,64519,2692,2,0,64520,2694,2,0,64521,2696,2,0,64522,2698,2,0,64523,2700,2,0,64524,2702,2,0,64525,2704,2,0,64526,2706,2,0,64527,2708,2,0,64528,2710,2,0,64529,2712,2,0,64530,2714,2,0,64531,2716,2,0,64532,2718,2,0,64533,2720,2,0,64534,2722,2,0,64535,2724,2,0,64536,2726,2,0,64537,2728,2,0,64538,2730,2,0,64539,2732,2,0,64540,2734,2,0,64541,2736,2,0,64542,2738,2,0,64543,2740,2,0,64544,2742,2,0,64545,2744,2,0,64546,2746,2,0,64547,2748,2,0,64548,2750,2,0,64549,2752,2,0,64550,2754,2,0,64551,2756,2,0,64552,2758,2,0,64553,2760,2,0,64554,2762,2,0,64555,2764,2,0,64556,2766,2,0,64557,2768,2,0,64558,2770,2,0,64559,2772,2,0,64560,2774,2,0,64561,2776,2,0,64562,2778,2,0,64563,2780,2,0,64564,2782,2,0,64565,2784,2,0,64566,2786,2,0,64567,2788,2,0,64568,2790,2,0,64569,2792,2,0,64570,2794,2,0,64571,2796,2,0,64572,2798,2,0,64573,2800,2,0,64574,2802,2,0,64575,2804,2,0,64576,2806,2,0,64577,2808,2,0,64578,2810,2,0,64579,2812,2,0,64580,2814,2,0,64581,2816,2,0,64582,2818,2,0,64583,2820,2,0,64584,2822,2,0,64585,2824,2,0,64586,2826,2,0,64587,2828,2,0,64588,2830,2,0,64589,2832,2,0,64590,2834,2,0,64591,2836,2,0,64592,2838,2,0,64593,2840,2,0,64594,2842,2,0,64595,2844,2,0,64596,2846,2,0,64597,2848,2,0,64598,2850,2,0,64599,2852,2,0,64600,2854,2,0,64601,2856,2,0,64602,2858,2,0,64603,2860,2,0,64604,2862,2,0,64605,2864,2,0,64606,2866,3,0,64607,2869,3,0,64608,2872,3,0,64609,2875,3,0,64610,2878,3,0,64611,2881,3,0,64612,2884,3,0,64613,2887,3,0,64614,2890,3,0,64615,2893,3,0,64616,2896,3,0,64617,2899,3,0,64618,2902,2,0,64619,2904,2,0,64620,2906,2,0,64621,2908,2,0,64622,2910,2,0,64623,2912,2,0,64624,2914,2,0,64625,2916,2,0,64626,2918,2,0,64627,2920,2,0,64628,2922,2,0,64629,2924,2,0,64630,2926,2,0,64631,2928,2,0,64632,2930,2,0,64633,2932,2,0,64634,2934,2,0,64635,2936,2,0,64636,2938,2,0,64637,2940,2,0,64638,2942,2,0,64639,2944,2,0,64640,2946,2,0,64641,2948,2,0,64642,2950,2,0,64643,2952,2,0,64644,2954,2,0,64645,2956,2,0,64646,2958,2,0,64647,2960,2,0,64648,2962,2,0,64649,2964,2,0,64650,2966,2,0,64651,2968,2,0,64652,2970,2,0,64653,2972,2,0,64654,2974,2,0,64655,2976,2,0,64656,2978,2,0,64657,2980,2,0,64658,2982,2,0,64659,2984,2,0,64660,2986,2,0,64661,2988,2,0,64662,2990,2,0,64663,2992,3,0,64664,2995,3,0,64665,2998,3,0,64666,3001,3,0,64667,3004,3,0,64668,3007,2,0,64669,3009,2,0,64670,3011,2,0,64671,3013,2,0,64672,3015,2,0,64673,3017,2,0,64674,3019,2,0,64675,3021,2,0,64676,3023,2,0,64677,3025,2,0,64678,3027,2,0,64679,3029,2,0,64680,3031,2,0,64681,3033,2,0,64682,3035,2,0,64683,3037,2,0,64684,3039,2,0,64685,3041,2,0,64686,3043,2,0,64687,3045,2,0,64688,3047,2,0,64689,3049,2,0,64690,3051,2,0,64691,3053,2,0,64692,3055,2,0,64693,3057,2,0,64694,3059,2,0,64695,3061,2,0,64696,3063,2,0,64697,3065,2,0,64698,3067,2,0,64699,3069,2,0,64700,3071,2,0,64701,3073,2,0,64702,3075,2,0,64703,3077,2,0,64704,3079,2,0,64705,3081,2,0,64706,3083,2,0,64707,3085,2,0,64708,3087,2,0,64709,3089,2,0,64710,3091,2,0,64711,3093,2,0,64712,3095,2,0,64713,3097,2,0,64714,3099,2,0,64715,3101,2,0,64716,3103,2,0,64717,3105,2,0,64718,3107,2,0,64719,3109,2,0,64720,3111,2,0,64721,3113,2,0,64722,3115,2,0,64723,3117,2,0,64724,3119,2,0,64725,3121,2,0,64726,3123,2,0,64727,3125,2,0,64728,3127,2,0,64729,3129,2,0,64730,3131,2,0,64731,3133,2,0,64732,3135,2,0,64733,3137,2,0,64734,3139,2,0,64735,3141,3,0,64736,3144,3,0,64737,3147,2,0,64738,3149,2,0,64739,3151,2,0,64740,3153,2,0,64741,3155,2,0,64742,3157,2,0,64743,3159,2,0,64744,3161,2,0,64745,3163,2,0,64746,3165,2,0,64747,3167,2,0,64748,3169,2,0,64749,3171,2,0,64750,3173,2,0,64751,3175,2,0,64752,3177,2,0,64753,3179,2,0,64754,3181,3,0,64755,3184,3,0,64756,3187,3,0,64757,3190,2,0,64758,3192,2,0,64759,3194,2,0,64760,3196,2,0,64761,3198,2,0,64762,3200,2,0,64763,3202,2,0,64764,3204,2,0,64765,3206,2,0,64766,3208,2,0,64767,3210,2,0,64768,3212,2,0,64769,3214,2,0,64770,3216,2,0,64771,3218,2,0,64772,3220,2,0,64773,3222,2,0,64774,3224,2,0,64775,3226,2,0,64776,3228,2,0,64777,3230,2,0,64778,3232,2,0,64779,3234,2,0,64780,3236,2,0,64781,3238,2,0,64782,3240,2,0,64783,3242,2,0,64784,3244,2,0,64785,3246,2,0,64786,3248,2,0,64787,3250,2,0,64788,3252,2,0,64789,3254,2,0,64790,3256,2,0,64791,3258,2,0,64792,3260,2,0,64793,3262,2,0,64794,3264,2,0,64795,3266,2,0,64796,3268,2,0,64797,3270,2,0,64798,3272,2,0,64799,3274,2,0,64800,3276,2,0,64801,3278,2,0,64802,3280,2,0,64803,3282,2,0,64804,3284,2,0,64805,3286,2,0,64806,3288,2,0,64807,3290,2,0,64808,3292,2,0,64809,3294,2,0,64810,3296,2,0,64811,3298,2,0,64812,3300,2,0,64813,3302,2,0,64814,3304,2,0,64815,3306,2,0,64816,3308,2,0,64817,3310,2,0,64818,3312,2,0,64819,3314,2,0,64820,3316,2,0,64821,3318,2,0,64822,3320,2,0,64823,3322,2,0,64824,3324,2,0,64825,3326,2,0,64826,3328,2,0,64827,3330,2,0,64828,3332,2,0,64829,3334,2,0,64848,3336,3,0,64849,3339,3,0,64850,3342,3,0,64851,3345,3,0,64852,3348,3,0,64853,3351,3,0,64854,3354,3,0,64855,3357,3,0,64856,3360,3,0,64857,3363,3,0,64858,3366,3,0,64859,3369,3,0,64860,3372,3,0,64861,3375,3,0,64862,3378,3,0,64863,3381,3,0,64864,3384,3,0,64865,3387,3,0,64866,3390,3,0,64867,3393,3,0,64868,3396,3,0,64869,3399,3,0,64870,3402,3,0,64871,3405,3,0,64872,3408,3,0,64873,3411,3,0,64874,3414,3,0,64875,3417,3,0,64876,3420,3,0,64877,3423,3,0,64878,3426,3,0,64879,3429,3,0,64880,3432,3,0,64881,3435,3,0,64882,3438,3,0,64883,3441,3,0,64884,3444,3,0,64885,3447,3,0,64886,3450,3,0,64887,3453,3,0,64888,3456,3,0,64889,3459,3,0,64890,3462,3,0,64891,3465,3,0,64892,3468,3,0,64893,3471,3,0,64894,3474,3,0,64895,3477,3,0,64896,3480,3,0,64897,3483,3,0,64898,3486,3,0,64899,3489,3,0,64900,3492,3,0,64901,3495,3,0,64902,3498,3,0,64903,3501,3,0,64904,3504,3,0,64905,3507,3,0,64906,3510,3,0,64907,3513,3,0,64908,3516,3,0,64909,3519,3,0,64910,3522,3,0,64911,3525,3,0,64914,3528,3,0,64915,3531,3,0,64916,3534,3,0,64917,3537,3,0,64918,3540,3,0,64919,3543,3,0,64920,3546,3,0,64921,3549,3,0,64922,3552,3,0,64923,3555,3,0,64924,3558,3,0,64925,3561,3,0,64926,3564,3,0,64927,3567,3,0,64928,3570,3,0,64929,3573,3,0,64930,3576,3,0,64931,3579,3,0,64932,3582,3,0,64933,3585,3,0,64934,3588,3,0,64935,3591,3,0,64936,3594,3,0,64937,3597,3,0,64938,3600,3,0,64939,3603,3,0,64940,3606,3,0,64941,3609,3,0,64942,3612,3,0,64943,3615,3,0,64944,3618,3,0,64945,3621,3,0,64946,3624,3,0,64947,3627,3,0,64948,3630,3,0,64949,3633,3,0,64950,3636,3,0,64951,3639,3,0,64952,3642,3,0,64953,3645,3,0,64954,3648,3,0,64955,3651,3,0,64956,3654,3,0,64957,3657,3,0,64958,3660,3,0,64959,3663,3,0,64960,3666,3,0,64961,3669,3,0,64962,3672,3,0,64963,3675,3,0,64964,3678,3,0,64965,3681,3,0,64966,3684,3,0,64967,3687,3,0,65008,3690,3,0,65009,3693,3,0,65010,3696,4,0,65011,3700,4,0,65012,3704,4,0,65013,3708,4,0,65014,3712,4,0,65015,3716,4,0,65016,3720,4,0,65017,3724,3,0,65018,3727,18,0,65019,3745,8,0,65020,3753,4,0,65040,3757,1,0,65041,3758,1,0,65042,3759,1,0,65043,3760,1,0,65044,3761,1,0,65045,3762,1,0,65046,3763,1,0,65047,3764,1,0,65048,3765,1,0,65049,3766,3,0,65072,3769,2,0,65073,3771,1,0,65074,3772,1,0,65075,3773,1,0,65076,3774,1,0,65077,3775,1,0,65078,3776,1,0,65079,3777,1,0,65080,3778,1,0,65081,3779,1,0,65082,3780,1,0,65083,3781,1,0,65084,3782,1,0,65085,3783,1,0,65086,3784,1,0,65087,3785,1,0,65088,3786,1,0,65089,3787,1,0,65090,3788,1,0,65091,3789,1,0,65092,3790,1,0,65095,3791,1,0,65096,3792,1,0,65097,3793,2,0,65098,3795,2,0,65099,3797,2,0,65100,3799,2,0,65101,3801,1,0,65102,3802,1,0,65103,3803,1,0,65104,3804,1,0,65105,3805,1,0,65106,3806,1,0,65108,3807,1,0,65109,3808,1,0,65110,3809,1,0,65111,3810,1,0,65112,3811,1,0,65113,3812,1,0,65114,3813,1,0,65115,3814,1,0,65116,3815,1,0,65117,3816,1,0,65118,3817,1,0,65119,3818,1,0,65120,3819,1,0,65121,3820,1,0,65122,3821,1,0,65123,3822,1,0,65124,3823,1,0,65125,3824,1,0,65126,3825,1,0,65128,3826,1,0,65129,3827,1,0,65130,3828,1,0,65131,3829,1,0,65136,3830,2,0,65137,3832,2,0,65138,3834,2,0,65140,3836,2,0,65142,3838,2,0,65143,3840,2,0,65144,3842,2,0,65145,3844,2,0,65146,3846,2,0,65147,3848,2,0,65148,3850,2,0,65149,3852,2,0,65150,3854,2,0,65151,3856,2,0,65152,3858,1,0,65153,3859,2,0,65154,3861,2,0,65155,3863,2,0,65156,3865,2,0,65157,3867,2,0,65158,3869,2,0,65159,3871,2,0,65160,3873,2,0,65161,3875,2,0,65162,3877,2,0,65163,3879,2,0,65164,3881,2,0,65165,3883,1,0,65166,3884,1,0,65167,3885,1,0,65168,3886,1,0,65169,3887,1,0,65170,3888,1,0,65171,3889,1,0,65172,3890,1,0,65173,3891,1,0,65174,3892,1,0,65175,3893,1,0,65176,3894,1,0,65177,3895,1,0,65178,3896,1,0,65179,3897,1,0,65180,3898,1,0,65181,3899,1,0,65182,3900,1,0,65183,3901,1,0,65184,3902,1,0,65185,3903,1,0,65186,3904,1,0,65187,3905,1,0,65188,3906,1,0,65189,3907,1,0,65190,3908,1,0,65191,3909,1,0,65192,3910,1,0,65193,3911,1,0,65194,3912,1,0,65195,3913,1,0,65196,3914,1,0,65197,3915,1,0,65198,3916,1,0,65199,3917,1,0,65200,3918,1,0,65201,3919,1,0,65202,3920,1,0,65203,3921,1,0,65204,3922,1,0,65205,3923,1,0,65206,3924,1,0,65207,3925,1,0,65208,3926,1,0,65209,3927,1,0,65210,3928,1,0,65211,3929,1,0,65212,3930,1,0,65213,3931,1,0,65214,3932,1,0,65215,3933,1,0,65216,3934,1,0,65217,3935,1,0,65218,3936,1,0,65219,3937,1,0,65220,3938,1,0,65221,3939,1,0,65222,3940,1,0,65223,3941,1,0,65224,3942,1,0,65225,3943,1,0,65226,3944,1,0,65227,3945,1,0,65228,3946,1,0,65229,3947,1,0,65230,3948,1,0,65231,3949,1,0,65232,3950,1,0,65233,3951,1,0,65234,3952,1,0,65235,3953,1,0,65236,3954,1,0,65237,3955,1,0,65238,3956,1,0,65239,3957,1,0,65240,3958,1,0,65241,3959,1,0,65242,3960,1,0,65243,3961,1,0,65244,3962,1,0,65245,3963,1,0,65246,3964,1,0,65247,3965,1,0,65248,3966,1,0,65249,3967,1,0,65250,3968,1,0,65251,3969,1,0,65252,3970,1,0,65253,3971,1,0,65254,3972,1,0,65255,3973,1,0,65256,3974,1,0,65257,3975,1,0,65258,3976,1,0,65259,3977,1,0,65260,3978,1,0,65261,3979,1,0,65262,3980,1,0,65263,3981,1,0,65264,3982,1,0,65265,3983,1,0,65266,3984,1,0,65267,3985,1,0,65268,3986,1,0,65269,3987,3,0,65270,3990,3,0,65271,3993,3,0,65272,3996,3,0,65273,3999,3,0,65274,4002,3,0,65275,4005,2,0,65276,4007,2,0,65281,4009,1,0,65282,4010,1,0,65283,4011,1,0,65284,4012,1,0,65285,4013,1,0,65286,4014,1,0,65287,4015,1,0,65288,4016,1,0,65289,4017,1,0,65290,4018,1,0,65291,4019,1,0,65292,4020,1,0,65293,4021,1,0,65294,4022,1,0,65295,4023,1,0,65296,4024,1,0,65297,4025,1,0,65298,4026,1,0,65299,4027,1,0,65300,4028,1,0,65301,4029,1,0,65302,4030,1,0,65303,4031,1,0,65304,4032,1,0,65305,4033,1,0,65306,4034,1,0,65307,4035,1,0,65308,4036,1,0,65309,4037,1,0,65310,4038,1,0,65311,4039,1,0,65312,4040,1,0,65313,4041,1,0,65314,4042,1,0,65315,4043,1,0,65316,4044,1,0,65317,4045,1,0,65318,4046,1,0,65319,4047,1,0,65320,4048,1,0,65321,4049,1,0,65322,4050,1,0,65323,4051,1,0,65324,4052,1,0,65325,4053,1,0,65326,4054,1,0,65327,4055,1,0,65328,4056,1,0,65329,4057,1,0,65330,4058,1,0,65331,4059,1,0,65332,4060,1,0,65333,4061,1,0,65334,4062,1,0,65335,4063,1,0,65336,4064,1,0,65337,4065,1,0,65338,4066,1,0,65339,4067,1,0,65340,4068,1,0,65341,4069,1,0,65342,4070,1,0,65343,4071,1,0,65344,4072,1,0,65345,4073,1,0,65346,4074,1,0,65347,4075,1,0,65348,4076,1,0,65349,4077,1,0,65350,4078,1,0,65351,4079,1,0,65352,4080,1,0,65353,4081,1,0,65354,4082,1,0,65355,4083,1,0,65356,4084,1,0,65357,4085,1,0,65358,4086,1,0,65359,4087,1,0,65360,4088,1,0,65361,4089,1,0,65362,4090,1,0,65363,4091,1,0,65364,4092,1,0,65365,4093,1,0,65366,4094,1,0,65367,4095,1,0,65368,4096,1,0,65369,4097,1,0,65370,4098,1,0,65371,4099,1,0,65372,4100,1,0,65373,4101,1,0,65374,4102,1,0,65375,4103,1,0,65376,4104,1,0,65377,4105,1,0,65378,4106,1,0,65379,4107,1,0,65380,4108,1,0,65381,4109,1,0,65382,4110,1,0,65383,4111,1,0,65384,4112,1,0,65385,4113,1,0,65386,4114,1,0,65387,4115,1,0,65388,4116,1,0,65389,4117,1,0,65390,4118,1,0,65391,4119,1,0,65392,4120,1,0,65393,4121,1,0,65394,4122,1,0,65395,4123,1,0,65396,4124,1,0,65397,4125,1,0,65398,4126,1,0,65399,4127,1,0,65400,4128,1,0,65401,4129,1,0,65402,4130,1,0,65403,4131,1,0,65404,4132,1,0,65405,4133,1,0,65406,4134,1,0,65407,4135,1,0,65408,4136,1,0,65409,4137,1,0,65410,4138,1,0,65411,4139,1,0,65412,4140,1,0,65413,4141,1,0,65414,4142,1,0,65415,4143,1,0,65416,4144,1,0,65417,4145,1,0,65418,4146,1,0,65419,4147,1,0,65420,4148,1,0,65421,4149,1,0,65422,4150,1,0,65423,4151,1,0,65424,4152,1,0,65425,4153,1,0,65426,4154,1,0,65427,4155,1,0,65428,4156,1,0,65429,4157,1,0,65430,4158,1,0,65431,4159,1,0,65432,4160,1,0,65433,4161,1,0,65434,4162,1,0,65435,4163,1,0,65436,4164,1,0,65437,4165,1,0,65438,4166,1,0,65439,4167,1,0,65440,4168,1,0,65441,4169,1,0,65442,4170,1,0,65443,4171,1,0,65444,4172,1,0,65445,4173,1,0,65446,4174,1,0,65447,4175,1,0,65448,4176,1,0,65449,4177,1,0,65450,4178,1,0,65451,4179,1,0,65452,4180,1,0,65453,4181,1,0,65454,4182,1,0,65455,4183,1,0,65456,4184,1,0,65457,4185,1,0,65458,4186,1,0,65459,4187,1,0,65460,4188,1,0,65461,4189,1,0,65462,4190,1,0,65463,4191,1,0,65464,4192,1,0,65465,4193,1,0,65466,4194,1,0,65467,4195,1,0,65468,4196,1,0,65469,4197,1,0,65470,4198,1,0,65474,4199,1,0,65475,4200,1,0,65476,4201,1,0,65477,4202,1,0,65478,4203,1,0,65479,4204,1,0,65482,4205,1,0,65483,4206,1,0,65484,4207,1,0,65485,4208,1,0,65486,4209,1,0,65487,4210,1,0,65490,4211,1,0,65491,4212,1,0,65492,4213,1,0,65493,4214,1,0,65494,4215,1,0,65495,4216,1,0,65498,4217,1,0,65499,4218,1,0,65500,4219,1,0,65504,4220,1,0,65505,4221,1,0,65506,4222,1,0,65507,4223,2,0,65508,4225,1,0,65509,4226,1,0,65510,4227,1,0,65512,4228,1,0,65513,4229,1,0,65514,4230,1,0,65515,4231,1,0,65516,4232,1,0,65517,4233,1,0,65518,4234,1,1,1921,4235,1,1,1922,4236,1,1,1923,4237,1,1,1924,4238,1,1,1925,4239,1,1,1927,4240,1,1,1928,4241,1,1,1929,4242,1,1,1930,4243,1,1,1931,4244,1,1,1932,4245,1,1,1933,4246,1,1,1934,4247,1,1,1935,4248,1,1,1936,4249,1,1,1937,4250,1,1,1938,4251,1,1,1939,4252,1,1,1940,4253,1,1,1941,4254,1,1,1942,4255,1,1,1943,4256,1,1,1944,4257,1,1,1945,4258,1,1,1946,4259,1,1,1947,4260,1,1,1948,4261,2,1,1949,4263,1,1,1950,4264,1,1,1951,4265,2,1,1952,4267,1,1,1953,4268,2,1,1954,4270,1,1,1955,4271,1,1,1956,4272,1,1,1957,4273,1,1,1958,4274,1,1,1959,4275,2,1,1960,4277,1,1,1961,4278,1,1,1962,4279,1,1,1963,4280,1,1,1964,4281,1,1,1965,4282,1,1,1966,4283,1,1,1967,4284,1,1,1968,4285,1,1,1970,4286,1,1,1971,4287,1,1,1972,4288,1,1,1973,4289,1,1,1974,4290,1,1,1975,4291,1,1,1976,4292,1,1,1977,4293,2,1,1978,4295,2,1,52438,4297,1,1,52439,4298,1,1,52440,4299,1,1,52441,4300,1,1,52442,4301,1,1,52443,4302,1,1,52444,4303,1,1,52445,4304,1,1,52446,4305,1,1,52447,4306,1,1,52448,4307,1,1,52449,4308,1,1,52450,4309,1,1,52451,4310,1,1,52452,4311,1,1,52453,4312,1,1,52454,4313,1,1,52455,4314,1,1,52456,4315,1,1,52457,4316,1,1,52458,4317,1,1,52459,4318,1,1,52460,4319,1,1,52461,4320,1,1,52462,4321,1,1,52463,4322,1,1,52464,4323,1,1,52465,4324,1,1,52466,4325,1,1,52467,4326,1,1,52468,4327,1,1,52469,4328,1,1,52470,4329,1,1,52471,4330,1,1,52472,4331,1,1,52473,4332,1,1,54272,4333,1,1,54273,4334,1,1,54274,4335,1,1,54275,4336,1,1,54276,4337,1,1,54277,4338,1,1,54278,4339,1,1,54279,4340,1,1,54280,4341,1,1,54281,4342,1,1,54282,4343,1,1,54283,4344,1,1,54284,4345,1,1,54285,4346,1,1,54286,4347,1,1,54287,4348,1,1,54288,4349,1,1,54289,4350,1,1,54290,4351,1,1,54291,4352,1,1,54292,4353,1,1,54293,4354,1,1,54294,4355,1,1,54295,4356,1,1,54296,4357,1,1,54297,4358,1,1,54298,4359,1,1,54299,4360,1,1,54300,4361,1,1,54301,4362,1,1,54302,4363,1,1,54303,4364,1,1,54304,4365,1,1,54305,4366,1,1,54306,4367,1,1,54307,4368,1,1,54308,4369,1,1,54309,4370,1,1,54310,4371,1,1,54311,4372,1,1,54312,4373,1,1,54313,4374,1,1,54314,4375,1,1,54315,4376,1,1,54316,4377,1,1,54317,4378,1,1,54318,4379,1,1,54319,4380,1,1,54320,4381,1,1,54321,4382,1,1,54322,4383,1,1,54323,4384,1,1,54324,4385,1,1,54325,4386,1,1,54326,4387,1,1,54327,4388,1,1,54328,4389,1,1,54329,4390,1,1,54330,4391,1,1,54331,4392,1,1,54332,4393,1,1,54333,4394,1,1,54334,4395,1,1,54335,4396,1,1,54336,4397,1,1,54337,4398,1,1,54338,4399,1,1,54339,4400,1,1,54340,4401,1,1,54341,4402,1,1,54342,4403,1,1,54343,4404,1,1,54344,4405,1,1,54345,4406,1,1,54346,4407,1,1,54347,4408,1,1,54348,4409,1,1,54349,4410,1,1,54350,4411,1,1,54351,4412,1,1,54352,4413,1,1,54353,4414,1,1,54354,4415,1,1,54355,4416,1,1,54356,4417,1,1,54358,4418,1,1,54359,4419,1,1,54360,4420,1,1,54361,4421,1,1,54362,4422,1,1,54363,4423,1,1,54364,4424,1,1,54365,4425,1,1,54366,4426,1,1,54367,4427,1,1,54368,4428,1,1,54369,4429,1,1,54370,4430,1,1,54371,4431,1,1,54372,4432,1,1,54373,4433,1,1,54374,4434,1,1,54375,4435,1,1,54376,4436,1,1,54377,4437,1,1,54378,4438,1,1,54379,4439,1,1,54380,4440,1,1,54381,4441,1,1,54382,4442,1,1,54383,4443,1,1,54384,4444,1,1,54385,4445,1,1,54386,4446,1,1,54387,4447,1,1,54388,4448,1,1,54389,4449,1,1,54390,4450,1,1,54391,4451,1,1,54392,4452,1,1,54393,4453,1,1,54394,4454,1,1,54395,4455,1,1,54396,4456,1,1,54397,4457,1,1,54398,4458,1,1,54399,4459,1,1,54400,4460,1,1,54401,4461,1,1,54402,4462,1,1,54403,4463,1,1,54404,4464,1,1,54405,4465,1,1,54406,4466,1,1,54407,4467,1,1,54408,4468,1,1,54409,4469,1,1,54410,4470,1,1,54411,4471,1,1,54412,4472,1,1,54413,4473,1,1,54414,4474,1,1,54415,4475,1,1,54416,4476,1,1,54417,4477,1,1,54418,4478,1,1,54419,4479,1,1,54420,4480,1,1,54421,4481,1,1,54422,4482,1,1,54423,4483,1,1,54424,4484,1,1,54425,4485,1,1,54426,4486,1,1,54427,4487,1,1,54428,4488,1,1,54430,4489,1,1,54431,4490,1,1,54434,4491,1,1,54437,4492,1,1,54438,4493,1,1,54441,4494,1,1,54442,4495,1,1,54443,4496,1,1,54444,4497,1,1,54446,4498,1,1,54447,4499,1,1,54448,4500,1,1,54449,4501,1,1,54450,4502,1,1,54451,4503,1,1,54452,4504,1,1,54453,4505,1,1,54454,4506,1,1,54455,4507,1,1,54456,4508,1,1,54457,4509,1,1,54459,4510,1,1,54461,4511,1,1,54462,4512,1,1,54463,4513,1,1,54464,4514,1,1,54465,4515,1,1,54466,4516,1,1,54467,4517,1,1,54469,4518,1,1,54470,4519,1,1,54471,4520,1,1,54472,4521,1,1,54473,4522,1,1,54474,4523,1,1,54475,4524,1,1,54476,4525,1,1,54477,4526,1,1,54478,4527,1,1,54479,4528,1,1,54480,4529,1,1,54481,4530,1,1,54482,4531,1,1,54483,4532,1,1,54484,4533,1,1,54485,4534,1,1,54486,4535,1,1,54487,4536,1,1,54488,4537,1,1,54489,4538,1,1,54490,4539,1,1,54491,4540,1,1,54492,4541,1,1,54493,4542,1,1,54494,4543,1,1,54495,4544,1,1,54496,4545,1,1,54497,4546,1,1,54498,4547,1,1,54499,4548,1,1,54500,4549,1,1,54501,4550,1,1,54502,4551,1,1,54503,4552,1,1,54504,4553,1,1,54505,4554,1,1,54506,4555,1,1,54507,4556,1,1,54508,4557,1,1,54509,4558,1,1,54510,4559,1,1,54511,4560,1,1,54512,4561,1,1,54513,4562,1,1,54514,4563,1,1,54515,4564,1,1,54516,4565,1,1,54517,4566,1,1,54518,4567,1,1,54519,4568,1,1,54520,4569,1,1,54521,4570,1,1,54522,4571,1,1,54523,4572,1,1,54524,4573,1,1,54525,4574,1,1,54526,4575,1,1,54527,4576,1,1,54528,4577,1,1,54529,4578,1,1,54530,4579,1,1,54531,4580,1,1,54532,4581,1,1,54533,4582,1,1,54535,4583,1,1,54536,4584,1,1,54537,4585,1,1,54538,4586,1,1,54541,4587,1,1,54542,4588,1,1,54543,4589,1,1,54544,4590,1,1,54545,4591,1,1,54546,4592,1,1,54547,4593,1,1,54548,4594,1,1,54550,4595,1,1,54551,4596,1,1,54552,4597,1,1,54553,4598,1,1,54554,4599,1,1,54555,4600,1,1,54556,4601,1,1,54558,4602,1,1,54559,4603,1,1,54560,4604,1,1,54561,4605,1,1,54562,4606,1,1,54563,4607,1,1,54564,4608,1,1,54565,4609,1,1,54566,4610,1,1,54567,4611,1,1,54568,4612,1,1,54569,4613,1,1,54570,4614,1,1,54571,4615,1,1,54572,4616,1,1,54573,4617,1,1,54574,4618,1,1,54575,4619,1,1,54576,4620,1,1,54577,4621,1,1,54578,4622,1,1,54579,4623,1,1,54580,4624,1,1,54581,4625,1,1,54582,4626,1,1,54583,4627,1,1,54584,4628,1,1,54585,4629,1,1,54587,4630,1,1,54588,4631,1,1,54589,4632,1,1,54590,4633,1,1,54592,4634,1,1,54593,4635,1,1,54594,4636,1,1,54595,4637,1,1,54596,4638,1,1,54598,4639,1,1,54602,4640,1,1,54603,4641,1,1,54604,4642,1,1,54605,4643,1,1,54606,4644,1,1,54607,4645,1,1,54608,4646,1,1,54610,4647,1,1,54611,4648,1,1,54612,4649,1,1,54613,4650,1,1,54614,4651,1,1,54615,4652,1,1,54616,4653,1,1,54617,4654,1,1,54618,4655,1,1,54619,4656,1,1,54620,4657,1,1,54621,4658,1,1,54622,4659,1,1,54623,4660,1,1,54624,4661,1,1,54625,4662,1,1,54626,4663,1,1,54627,4664,1,1,54628,4665,1,1,54629,4666,1,1,54630,4667,1,1,54631,4668,1,1,54632,4669,1,1,54633,4670,1,1,54634,4671,1,1,54635,4672,1,1,54636,4673,1,1,54637,4674,1,1,54638,4675,1,1,54639,4676,1,1,54640,4677,1,1,54641,4678,1,1,54642,4679,1,1,54643,4680,1,1,54644,4681,1,1,54645,4682,1,1,54646,4683,1,1,54647,4684,1,1,54648,4685,1,1,54649,4686,1,1,54650,4687,1,1,54651,4688,1,1,54652,4689,1,1,54653,4690,1,1,54654,4691,1,1,54655,4692,1,1,54656,4693,1,1,54657,4694,1,1,54658,4695,1,1,54659,4696,1,1,54660,4697,1,1,54661,4698,1,1,54662,4699,1,1,54663,4700,1,1,54664,4701,1,1,54665,4702,1,1,54666,4703,1,1,54667,4704,1,1,54668,4705,1,1,54669,4706,1,1,54670,4707,1,1,54671,4708,1,1,54672,4709,1,1,54673,4710,1,1,54674,4711,1,1,54675,4712,1,1,54676,4713,1,1,54677,4714,1,1,54678,4715,1,1,54679,4716,1,1,54680,4717,1,1,54681,4718,1,1,54682,4719,1,1,54683,4720,1,1,54684,4721,1,1,54685,4722,1,1,54686,4723,1,1,54687,4724,1,1,54688,4725,1,1,54689,4726,1,1,54690,4727,1,1,54691,4728,1,1,54692,4729,1,1,54693,4730,1,1,54694,4731,1,1,54695,4732,1,1,54696,4733,1,1,54697,4734,1,1,54698,4735,1,1,54699,4736,1,1,54700,4737,1,1,54701,4738,1,1,54702,4739,1,1,54703,4740,1,1,54704,4741,1,1,54705,4742,1,1,54706,4743,1,1,54707,4744,1,1,54708,4745,1,1,54709,4746,1,1,54710,4747,1,1,54711,4748,1,1,54712,4749,1,1,54713,4750,1,1,54714,4751,1,1,54715,4752,1,1,54716,4753,1,1,54717,4754,1,1,54718,4755,1,1,54719,4756,1,1,54720,4757,1,1,54721,4758,1,1,54722,4759,1,1,54723,4760,1,1,54724,4761,1,1,54725,4762,1,1,54726,4763,1,1,54727,4764,1,1,54728,4765,1,1,54729,4766,1,1,54730,4767,1,1,54731,4768,1,1,54732,4769,1,1,54733,4770,1,1,54734,4771,1,1,54735,4772,1,1,54736,4773,1,1,54737,4774,1,1,54738,4775,1,1,54739,4776,1,1,54740,4777,1,1,54741,4778,1,1,54742,4779,1,1,54743,4780,1,1,54744,4781,1,1,54745,4782,1,1,54746,4783,1,1,54747,4784,1,1,54748,4785,1,1,54749,4786,1,1,54750,4787,1,1,54751,4788,1,1,54752,4789,1,1,54753,4790,1,1,54754,4791,1,1,54755,4792,1,1,54756,4793,1,1,54757,4794,1,1,54758,4795,1,1,54759,4796,1,1,54760,4797,1,1,54761,4798,1,1,54762,4799,1,1,54763,4800,1,1,54764,4801,1,1,54765,4802,1,1,54766,4803,1,1,54767,4804,1,1,54768,4805,1,1,54769,4806,1,1,54770,4807,1,1,54771,4808,1,1,54772,4809,1,1,54773,4810,1,1,54774,4811,1,1,54775,4812,1,1,54776,4813,1,1,54777,4814,1,1,54778,4815,1,1,54779,4816,1,1,54780,4817,1,1,54781,4818,1,1,54782,4819,1,1,54783,4820,1,1,54784,4821,1,1,54785,4822,1,1,54786,4823,1,1,54787,4824,1,1,54788,4825,1,1,54789,4826,1,1,54790,4827,1,1,54791,4828,1,1,54792,4829,1,1,54793,4830,1,1,54794,4831,1,1,54795,4832,1,1,54796,4833,1,1,54797,4834,1,1,54798,4835,1,1,54799,4836,1,1,54800,4837,1,1,54801,4838,1,1,54802,4839,1,1,54803,4840,1,1,54804,4841,1,1,54805,4842,1,1,54806,4843,1,1,54807,4844,1,1,54808,4845,1,1,54809,4846,1,1,54810,4847,1,1,54811,4848,1,1,54812,4849,1,1,54813,4850,1,1,54814,4851,1,1,54815,4852,1,1,54816,4853,1,1,54817,4854,1,1,54818,4855,1,1,54819,4856,1,1,54820,4857,1,1,54821,4858,1,1,54822,4859,1,1,54823,4860,1,1,54824,4861,1,1,54825,4862,1,1,54826,4863,1,1,54827,4864,1,1,54828,4865,1,1,54829,4866,1,1,54830,4867,1,1,54831,4868,1,1,54832,4869,1,1,54833,4870,1,1,54834,4871,1,1,54835,4872,1,1,54836,4873,1,1,54837,4874,1,1,54838,4875,1,1,54839,4876,1,1,54840,4877,1,1,54841,4878,1,1,54842,4879,1,1,54843,4880,1,1,54844,4881,1,1,54845,4882,1,1,54846,4883,1,1,54847,4884,1,1,54848,4885,1,1,54849,4886,1,1,54850,4887,1,1,54851,4888,1,1,54852,4889,1,1,54853,4890,1,1,54854,4891,1,1,54855,4892,1,1,54856,4893,1,1,54857,4894,1,1,54858,4895,1,1,54859,4896,1,1,54860,4897,1,1,54861,4898,1,1,54862,4899,1,1,54863,4900,1,1,54864,4901,1,1,54865,4902,1,1,54866,4903,1,1,54867,4904,1,1,54868,4905,1,1,54869,4906,1,1,54870,4907,1,1,54871,4908,1,1,54872,4909,1,1,54873,4910,1,1,54874,4911,1,1,54875,4912,1,1,54876,4913,1,1,54877,4914,1,1,54878,4915,1,1,54879,4916,1,1,54880,4917,1,1,54881,4918,1,1,54882,4919,1,1,54883,4920,1,1,54884,4921,1,1,54885,4922,1,1,54886,4923,1,1,54887,4924,1,1,54888,4925,1,1,54889,4926,1,1,54890,4927,1,1,54891,4928,1,1,54892,4929,1,1,54893,4930,1,1,54894,4931,1,1,54895,4932,1,1,54896,4933,1,1,54897,4934,1,1,54898,4935,1,1,54899,4936,1,1,54900,4937,1,1,54901,4938,1,1,54902,4939,1,1,54903,4940,1,1,54904,4941,1,1,54905,4942,1,1,54906,4943,1,1,54907,4944,1,1,54908,4945,1,1,54909,4946,1,1,54910,4947,1,1,54911,4948,1,1,54912,4949,1,1,54913,4950,1,1,54914,4951,1,1,54915,4952,1,1,54916,4953,1,1,54917,4954,1,1,54918,4955,1,1,54919,4956,1,1,54920,4957,1,1,54921,4958,1,1,54922,4959,1,1,54923,4960,1,1,54924,4961,1,1,54925,4962,1,1,54926,4963,1,1,54927,4964,1,1,54928,4965,1,1,54929,4966,1,1,54930,4967,1,1,54931,4968,1,1,54932,4969,1,1,54933,4970,1,1,54934,4971,1,1,54935,4972,1,1,54936,4973,1,1,54937,4974,1,1,54938,4975,1,1,54939,4976,1,1,54940,4977,1,1,54941,4978,1,1,54942,4979,1,1,54943,4980,1,1,54944,4981,1,1,54945,4982,1,1,54946,4983,1,1,54947,4984,1,1,54948,4985,1,1,54949,4986,1,1,54952,4987,1,1,54953,4988,1,1,54954,4989,1,1,54955,4990,1,1,54956,4991,1,1,54957,4992,1,1,54958,4993,1,1,54959,4994,1,1,54960,4995,1,1,54961,4996,1,1,54962,4997,1,1,54963,4998,1,1,54964,4999,1,1,54965,5000,1,1,54966,5001,1,1,54967,5002,1,1,54968,5003,1,1,54969,5004,1,1,54970,5005,1,1,54971,5006,1,1,54972,5007,1,1,54973,5008,1,1,54974,5009,1,1,54975,5010,1,1,54976,5011,1,1,54977,5012,1,1,54978,5013,1,1,54979,5014,1,1,54980,5015,1,1,54981,5016,1,1,54982,5017,1,1,54983,5018,1,1,54984,5019,1,1,54985,5020,1,1,54986,5021,1,1,54987,5022,1,1,54988,5023,1,1,54989,5024,1,1,54990,5025,1,1,54991,5026,1,1,54992,5027,1,1,54993,5028,1,1,54994,5029,1,1,54995,5030,1,1,54996,5031,1,1,54997,5032,1,1,54998,5033,1,1,54999,5034,1,1,55000,5035,1,1,55001,5036,1,1,55002,5037,1,1,55003,5038,1,1,55004,5039,1,1,55005,5040,1,1,55006,5041,1,1,55007,5042,1,1,55008,5043,1,1,55009,5044,1,1,55010,5045,1,1,55011,5046,1,1,55012,5047,1,1,55013,5048,1,1,55014,5049,1,1,55015,5050,1,1,55016,5051,1,1,55017,5052,1,1,55018,5053,1,1,55019,5054,1,1,55020,5055,1,1,55021,5056,1,1,55022,5057,1,1,55023,5058,1,1,55024,5059,1,1,55025,5060,1,1,55026,5061,1,1,55027,5062,1,1,55028,5063,1,1,55029,5064,1,1,55030,5065,1,1,55031,5066,1,1,55032,5067,1,1,55033,5068,1,1,55034,5069,1,1,55035,5070,1,1,55036,5071,1,1,55037,5072,1,1,55038,5073,1,1,55039,5074,1,1,55040,5075,1,1,55041,5076,1,1,55042,5077,1,1,55043,5078,1,1,55044,5079,1,1,55045,5080,1,1,55046,5081,1,1,55047,5082,1,1,55048,5083,1,1,55049,5084,1,1,55050,5085,1,1,55051,5086,1,1,55052,5087,1,1,55053,5088,1,1,55054,5089,1,1,55055,5090,1,1,55056,5091,1,1,55057,5092,1,1,55058,5093,1,1,55059,5094,1,1,55060,5095,1,1,55061,5096,1,1,55062,5097,1,1,55063,5098,1,1,55064,5099,1,1,55065,5100,1,1,55066,5101,1,1,55067,5102,1,1,55068,5103,1,1,55069,5104,1,1,55070,5105,1,1,55071,5106,1,1,55072,5107,1,1,55073,5108,1,1,55074,5109,1,1,55075,5110,1,1,55076,5111,1,1,55077,5112,1,1,55078,5113,1,1,55079,5114,1,1,55080,5115,1,1,55081,5116,1,1,55082,5117,1,1,55083,5118,1,1,55084,5119,1,1,55085,5120,1,1,55086,5121,1,1,55087,5122,1,1,55088,5123,1,1,55089,5124,1,1,55090,5125,1,1,55091,5126,1,1,55092,5127,1,1,55093,5128,1,1,55094,5129,1,1,55095,5130,1,1,55096,5131,1,1,55097,5132,1,1,55098,5133,1,1,55099,5134,1,1,55100,5135,1,1,55101,5136,1,1,55102,5137,1,1,55103,5138,1,1,55104,5139,1,1,55105,5140,1,1,55106,5141,1,1,55107,5142,1,1,55108,5143,1,1,55109,5144,1,1,55110,5145,1,1,55111,5146,1,1,55112,5147,1,1,55113,5148,1,1,55114,5149,1,1,55115,5150,1,1,55116,5151,1,1,55117,5152,1,1,55118,5153,1,1,55119,5154,1,1,55120,5155,1,1,55121,5156,1,1,55122,5157,1,1,55123,5158,1,1,55124,5159,1,1,55125,5160,1,1,55126,5161,1,1,55127,5162,1,1,55128,5163,1,1,55129,5164,1,1,55130,5165,1,1,55131,5166,1,1,55132,5167,1,1,55133,5168,1,1,55134,5169,1,1,55135,5170,1,1,55136,5171,1,1,55137,5172,1,1,55138,5173,1,1,55139,5174,1,1,55140,5175,1,1,55141,5176,1,1,55142,5177,1,1,55143,5178,1,1,55144,5179,1,1,55145,5180,1,1,55146,5181,1,1,55147,5182,1,1,55148,5183,1,1,55149,5184,1,1,55150,5185,1,1,55151,5186,1,1,55152,5187,1,1,55153,5188,1,1,55154,5189,1,1,55155,5190,1,1,55156,5191,1,1,55157,5192,1,1,55158,5193,1,1,55159,5194,1,1,55160,5195,1,1,55161,5196,1,1,55162,5197,1,1,55163,5198,1,1,55164,5199,1,1,55165,5200,1,1,55166,5201,1,1,55167,5202,1,1,55168,5203,1,1,55169,5204,1,1,55170,5205,1,1,55171,5206,1,1,55172,5207,1,1,55173,5208,1,1,55174,5209,1,1,55175,5210,1,1,55176,5211,1,1,55177,5212,1,1,55178,5213,1,1,55179,5214,1,1,55180,5215,1,1,55181,5216,1,1,55182,5217,1,1,55183,5218,1,1,55184,5219,1,1,55185,5220,1,1,55186,5221,1,1,55187,5222,1,1,55188,5223,1,1,55189,5224,1,1,55190,5225,1,1,55191,5226,1,1,55192,5227,1,1,55193,5228,1,1,55194,5229,1,1,55195,5230,1,1,55196,5231,1,1,55197,5232,1,1,55198,5233,1,1,55199,5234,1,1,55200,5235,1,1,55201,5236,1,1,55202,5237,1,1,55203,5238,1,1,55204,5239,1,1,55205,5240,1,1,55206,5241,1,1,55207,5242,1,1,55208,5243,1,1,55209,5244,1,1,55210,5245,1,1,55211,5246,1,1,55212,5247,1,1,55213,5248,1,1,55214,5249,1,1,55215,5250,1,1,55216,5251,1,1,55217,5252,1,1,55218,5253,1,1,55219,5254,1,1,55220,5255,1,1,55221,5256,1,1,55222,5257,1,1,55223,5258,1,1,55224,5259,1,1,55225,5260,1,1,55226,5261,1,1,55227,5262,1,1,55228,5263,1,1,55229,5264,1,1,55230,5265,1,1,55231,5266,1,1,55232,5267,1,1,55233,5268,1,1,55234,5269,1,1,55235,5270,1,1,55236,5271,1,1,55237,5272,1,1,55238,5273,1,1,55239,5274,1,1,55240,5275,1,1,55241,5276,1,1,55242,5277,1,1,55243,5278,1,1,55246,5279,1,1,55247,5280,1,1,55248,5281,1,1,55249,5282,1,1,55250,5283,1,1,55251,5284,1,1,55252,5285,1,1,55253,5286,1,1,55254,5287,1,1,55255,5288,1,1,55256,5289,1,1,55257,5290,1,1,55258,5291,1,1,55259,5292,1,1,55260,5293,1,1,55261,5294,1,1,55262,5295,1,1,55263,5296,1,1,55264,5297,1,1,55265,5298,1,1,55266,5299,1,1,55267,5300,1,1,55268,5301,1,1,55269,5302,1,1,55270,5303,1,1,55271,5304,1,1,55272,5305,1,1,55273,5306,1,1,55274,5307,1,1,55275,5308,1,1,55276,5309,1,1,55277,5310,1,1,55278,5311,1,1,55279,5312,1,1,55280,5313,1,1,55281,5314,1,1,55282,5315,1,1,55283,5316,1,1,55284,5317,1,1,55285,5318,1,1,55286,5319,1,1,55287,5320,1,1,55288,5321,1,1,55289,5322,1,1,55290,5323,1,1,55291,5324,1,1,55292,5325,1,1,55293,5326,1,1,55294,5327,1,1,55295,5328,1,1,57392,5329,1,1,57393,5330,1,1,57394,5331,1,1,57395,5332,1,1,57396,5333,1,1,57397,5334,1,1,57398,5335,1,1,57399,5336,1,1,57400,5337,1,1,57401,5338,1,1,57402,5339,1,1,57403,5340,1,1,57404,5341,1,1,57405,5342,1,1,57406,5343,1,1,57407,5344,1,1,57408,5345,1,1,57409,5346,1,1,57410,5347,1,1,57411,5348,1,1,57412,5349,1,1,57413,5350,1,1,57414,5351,1,1,57415,5352,1,1,57416,5353,1,1,57417,5354,1,1,57418,5355,1,1,57419,5356,1,1,57420,5357,1,1,57421,5358,1,1,57422,5359,1,1,57423,5360,1,1,57424,5361,1,1,57425,5362,1,1,57426,5363,1,1,57427,5364,1,1,57428,5365,1,1,57429,5366,1,1,57430,5367,1,1,57431,5368,1,1,57432,5369,1,1,57433,5370,1,1,57434,5371,1,1,57435,5372,1,1,57436,5373,1,1,57437,5374,1,1,57438,5375,1,1,57439,5376,1,1,57440,5377,1,1,57441,5378,1,1,57442,5379,1,1,57443,5380,1,1,57444,5381,1,1,57445,5382,1,1,57446,5383,1,1,57447,5384,1,1,57448,5385,1,1,57449,5386,1,1,57450,5387,1,1,57451,5388,1,1,57452,5389,1,1,57453,5390,1,1,60928,5391,1,1,60929,5392,1,1,60930,5393,1,1,60931,5394,1,1,60933,5395,1,1,60934,5396,1,1,60935,5397,1,1,60936,5398,1,1,60937,5399,1,1,60938,5400,1,1,60939,5401,1,1,60940,5402,1,1,60941,5403,1,1,60942,5404,1,1,60943,5405,1,1,60944,5406,1,1,60945,5407,1,1,60946,5408,1,1,60947,5409,1,1,60948,5410,1,1,60949,5411,1,1,60950,5412,1,1,60951,5413,1,1,60952,5414,1,1,60953,5415,1,1,60954,5416,1,1,60955,5417,1,1,60956,5418,1,1,60957,5419,1,1,60958,5420,1,1,60959,5421,1,1,60961,5422,1,1,60962,5423,1,1,60964,5424,1,1,60967,5425,1,1,60969,5426,1,1,60970,5427,1,1,60971,5428,1,1,60972,5429,1,1,60973,5430,1,1,60974,5431,1,1,60975,5432,1,1,60976,5433,1,1,60977,5434,1,1,60978,5435,1,1,60980,5436,1,1,60981,5437,1,1,60982,5438,1,1,60983,5439,1,1,60985,5440,1,1,60987,5441,1,1,60994,5442,1,1,60999,5443,1,1,61001,5444,1,1,61003,5445,1,1,61005,5446,1,1,61006,5447,1,1,61007,5448,1,1,61009,5449,1,1,61010,5450,1,1,61012,5451,1,1,61015,5452,1,1,61017,5453,1,1,61019,5454,1,1,61021,5455,1,1,61023,5456,1,1,61025,5457,1,1,61026,5458,1,1,61028,5459,1,1,61031,5460,1,1,61032,5461,1,1,61033,5462,1,1,61034,5463,1,1,61036,5464,1,1,61037,5465,1,1,61038,5466,1,1,61039,5467,1,1,61040,5468,1,1,61041,5469,1,1,61042,5470,1,1,61044,5471,1,1,61045,5472,1,1,61046,5473,1,1,61047,5474,1,1,61049,5475,1,1,61050,5476,1,1,61051,5477,1,1,61052,5478,1,1,61054,5479,1,1,61056,5480,1,1,61057,5481,1,1,61058,5482,1,1,61059,5483,1,1,61060,5484,1,1,61061,5485,1,1,61062,5486,1,1,61063,5487,1,1,61064,5488,1,1,61065,5489,1,1,61067,5490,1,1,61068,5491,1,1,61069,5492,1,1,61070,5493,1,1,61071,5494,1,1,61072,5495,1,1,61073,5496,1,1,61074,5497,1,1,61075,5498,1,1,61076,5499,1,1,61077,5500,1,1,61078,5501,1,1,61079,5502,1,1,61080,5503,1,1,61081,5504,1,1,61082,5505,1,1,61083,5506,1,1,61089,5507,1,1,61090,5508,1,1,61091,5509,1,1,61093,5510,1,1,61094,5511,1,1,61095,5512,1,1,61096,5513,1,1,61097,5514,1,1,61099,5515,1,1,61100,5516,1,1,61101,5517,1,1,61102,5518,1,1,61103,5519,1,1,61104,5520,1,1,61105,5521,1,1,61106,5522,1,1,61107,5523,1,1,61108,5524,1,1,61109,5525,1,1,61110,5526,1,1,61111,5527,1,1,61112,5528,1,1,61113,5529,1,1,61114,5530,1,1,61115,5531,1,1,61696,5532,2,1,61697,5534,2,1,61698,5536,2,1,61699,5538,2,1,61700,5540,2,1,61701,5542,2,1,61702,5544,2,1,61703,5546,2,1,61704,5548,2,1,61705,5550,2,1,61706,5552,2,1,61712,5554,3,1,61713,5557,3,1,61714,5560,3,1,61715,5563,3,1,61716,5566,3,1,61717,5569,3,1,61718,5572,3,1,61719,5575,3,1,61720,5578,3,1,61721,5581,3,1,61722,5584,3,1,61723,5587,3,1,61724,5590,3,1,61725,5593,3,1,61726,5596,3,1,61727,5599,3,1,61728,5602,3,1,61729,5605,3,1,61730,5608,3,1,61731,5611,3,1,61732,5614,3,1,61733,5617,3,1,61734,5620,3,1,61735,5623,3,1,61736,5626,3,1,61737,5629,3,1,61738,5632,3,1,61739,5635,1,1,61740,5636,1,1,61741,5637,2,1,61742,5639,2,1,61744,5641,1,1,61745,5642,1,1,61746,5643,1,1,61747,5644,1,1,61748,5645,1,1,61749,5646,1,1,61750,5647,1,1,61751,5648,1,1,61752,5649,1,1,61753,5650,1,1,61754,5651,1,1,61755,5652,1,1,61756,5653,1,1,61757,5654,1,1,61758,5655,1,1,61759,5656,1,1,61760,5657,1,1,61761,5658,1,1,61762,5659,1,1,61763,5660,1,1,61764,5661,1,1,61765,5662,1,1,61766,5663,1,1,61767,5664,1,1,61768,5665,1,1,61769,5666,1,1,61770,5667,2,1,61771,5669,2,1,61772,5671,2,1,61773,5673,2,1,61774,5675,3,1,61775,5678,2,1,61802,5680,2,1,61803,5682,2,1,61804,5684,2,1,61840,5686,2,1,61952,5688,2,1,61953,5690,2,1,61954,5692,1,1,61968,5693,1,1,61969,5694,1,1,61970,5695,1,1,61971,5696,2,1,61972,5698,1,1,61973,5699,1,1,61974,5700,1,1,61975,5701,1,1,61976,5702,1,1,61977,5703,1,1,61978,5704,1,1,61979,5705,1,1,61980,5706,1,1,61981,5707,1,1,61982,5708,1,1,61983,5709,1,1,61984,5710,1,1,61985,5711,1,1,61986,5712,1,1,61987,5713,1,1,61988,5714,1,1,61989,5715,1,1,61990,5716,1,1,61991,5717,1,1,61992,5718,1,1,61993,5719,1,1,61994,5720,1,1,61995,5721,1,1,61996,5722,1,1,61997,5723,1,1,61998,5724,1,1,61999,5725,1,1,62000,5726,1,1,62001,5727,1,1,62002,5728,1,1,62003,5729,1,1,62004,5730,1,1,62005,5731,1,1,62006,5732,1,1,62007,5733,1,1,62008,5734,1,1,62009,5735,1,1,62010,5736,1,1,62011,5737,1,1,62016,5738,3,1,62017,5741,3,1,62018,5744,3,1,62019,5747,3,1,62020,5750,3,1,62021,5753,3,1,62022,5756,3,1,62023,5759,3,1,62024,5762,3,1,62032,5765,1,1,62033,5766,1,1,64496,5767,1,1,64497,5768,1,1,64498,5769,1,1,64499,5770,1,1,64500,5771,1,1,64501,5772,1,1,64502,5773,1,1,64503,5774,1,1,64504,5775,1,1,64505,5776,1],
+  compatDecompositionData: [32,32,776,97,32,772,50,51,32,769,956,32,807,49,111,49,8260,52,49,8260,50,51,8260,52,73,74,105,106,76,183,108,183,700,110,115,68,90,780,68,122,780,100,122,780,76,74,76,106,108,106,78,74,78,106,110,106,68,90,68,122,100,122,104,614,106,114,633,635,641,119,121,32,774,32,775,32,778,32,808,32,771,32,779,611,108,115,120,661,32,837,32,769,32,776,769,946,952,933,933,769,933,776,966,960,954,961,962,920,949,931,1381,1410,1575,1652,1608,1652,1735,1652,1610,1652,3661,3634,3789,3762,3755,3737,3755,3745,3851,4018,3953,3968,4019,3953,3968,4316,65,198,66,68,69,398,71,72,73,74,75,76,77,78,79,546,80,82,84,85,87,97,592,593,7426,98,100,101,601,603,604,103,107,109,331,111,596,7446,7447,112,116,117,7453,623,118,7461,946,947,948,966,967,105,114,117,118,946,947,961,966,967,1085,594,99,597,240,604,102,607,609,613,616,617,618,7547,669,621,7557,671,625,624,626,627,628,629,632,642,643,427,649,650,7452,651,652,122,656,657,658,952,97,702,115,775,32,787,32,787,32,834,32,776,834,32,787,768,32,787,769,32,787,834,32,788,768,32,788,769,32,788,834,32,776,768,32,776,769,32,769,32,788,32,32,32,32,32,32,32,32,32,32,32,8208,32,819,46,46,46,46,46,46,32,8242,8242,8242,8242,8242,8245,8245,8245,8245,8245,33,33,32,773,63,63,63,33,33,63,8242,8242,8242,8242,32,48,105,52,53,54,55,56,57,43,8722,61,40,41,110,48,49,50,51,52,53,54,55,56,57,43,8722,61,40,41,97,101,111,120,601,104,107,108,109,110,112,115,116,82,115,97,47,99,97,47,115,67,176,67,99,47,111,99,47,117,400,176,70,103,72,72,72,104,295,73,73,76,108,78,78,111,80,81,82,82,82,83,77,84,69,76,84,77,90,90,66,67,101,69,70,77,111,1488,1489,1490,1491,105,70,65,88,960,947,915,928,8721,68,100,101,105,106,49,8260,55,49,8260,57,49,8260,49,48,49,8260,51,50,8260,51,49,8260,53,50,8260,53,51,8260,53,52,8260,53,49,8260,54,53,8260,54,49,8260,56,51,8260,56,53,8260,56,55,8260,56,49,8260,73,73,73,73,73,73,73,86,86,86,73,86,73,73,86,73,73,73,73,88,88,88,73,88,73,73,76,67,68,77,105,105,105,105,105,105,105,118,118,118,105,118,105,105,118,105,105,105,105,120,120,120,105,120,105,105,108,99,100,109,48,8260,51,8747,8747,8747,8747,8747,8750,8750,8750,8750,8750,49,50,51,52,53,54,55,56,57,49,48,49,49,49,50,49,51,49,52,49,53,49,54,49,55,49,56,49,57,50,48,40,49,41,40,50,41,40,51,41,40,52,41,40,53,41,40,54,41,40,55,41,40,56,41,40,57,41,40,49,48,41,40,49,49,41,40,49,50,41,40,49,51,41,40,49,52,41,40,49,53,41,40,49,54,41,40,49,55,41,40,49,56,41,40,49,57,41,40,50,48,41,49,46,50,46,51,46,52,46,53,46,54,46,55,46,56,46,57,46,49,48,46,49,49,46,49,50,46,49,51,46,49,52,46,49,53,46,49,54,46,49,55,46,49,56,46,49,57,46,50,48,46,40,97,41,40,98,41,40,99,41,40,100,41,40,101,41,40,102,41,40,103,41,40,104,41,40,105,41,40,106,41,40,107,41,40,108,41,40,109,41,40,110,41,40,111,41,40,112,41,40,113,41,40,114,41,40,115,41,40,116,41,40,117,41,40,118,41,40,119,41,40,120,41,40,121,41,40,122,41,65,66,67,68,69,70,71,72,73,74,75,76,77,78,79,80,81,82,83,84,85,86,87,88,89,90,97,98,99,100,101,102,103,104,105,106,107,108,109,110,111,112,113,114,115,116,117,118,119,120,121,122,48,8747,8747,8747,8747,58,58,61,61,61,61,61,61,106,86,11617,27597,40863,19968,20008,20022,20031,20057,20101,20108,20128,20154,20799,20837,20843,20866,20886,20907,20960,20981,20992,21147,21241,21269,21274,21304,21313,21340,21353,21378,21430,21448,21475,22231,22303,22763,22786,22794,22805,22823,22899,23376,23424,23544,23567,23586,23608,23662,23665,24027,24037,24049,24062,24178,24186,24191,24308,24318,24331,24339,24400,24417,24435,24515,25096,25142,25163,25903,25908,25991,26007,26020,26041,26080,26085,26352,26376,26408,27424,27490,27513,27571,27595,27604,27611,27663,27668,27700,28779,29226,29238,29243,29247,29255,29273,29275,29356,29572,29577,29916,29926,29976,29983,29992,30000,30091,30098,30326,30333,30382,30399,30446,30683,30690,30707,31034,31160,31166,31348,31435,31481,31859,31992,32566,32593,32650,32701,32769,32780,32786,32819,32895,32905,33251,33258,33267,33276,33292,33307,33311,33390,33394,33400,34381,34411,34880,34892,34915,35198,35211,35282,35328,35895,35910,35925,35960,35997,36196,36208,36275,36523,36554,36763,36784,36789,37009,37193,37318,37324,37329,38263,38272,38428,38582,38585,38632,38737,38750,38754,38761,38859,38893,38899,38913,39080,39131,39135,39318,39321,39340,39592,39640,39647,39717,39727,39730,39740,39770,40165,40565,40575,40613,40635,40643,40653,40657,40697,40701,40718,40723,40736,40763,40778,40786,40845,40860,40864,32,12306,21313,21316,21317,32,12441,32,12442,12424,12426,12467,12488,4352,4353,4522,4354,4524,4525,4355,4356,4357,4528,4529,4530,4531,4532,4533,4378,4358,4359,4360,4385,4361,4362,4363,4364,4365,4366,4367,4368,4369,4370,4449,4450,4451,4452,4453,4454,4455,4456,4457,4458,4459,4460,4461,4462,4463,4464,4465,4466,4467,4468,4469,4448,4372,4373,4551,4552,4556,4558,4563,4567,4569,4380,4573,4575,4381,4382,4384,4386,4387,4391,4393,4395,4396,4397,4398,4399,4402,4406,4416,4423,4428,4593,4594,4439,4440,4441,4484,4485,4488,4497,4498,4500,4510,4513,19968,20108,19977,22235,19978,20013,19979,30002,20057,19993,19969,22825,22320,20154,40,4352,41,40,4354,41,40,4355,41,40,4357,41,40,4358,41,40,4359,41,40,4361,41,40,4363,41,40,4364,41,40,4366,41,40,4367,41,40,4368,41,40,4369,41,40,4370,41,40,4352,4449,41,40,4354,4449,41,40,4355,4449,41,40,4357,4449,41,40,4358,4449,41,40,4359,4449,41,40,4361,4449,41,40,4363,4449,41,40,4364,4449,41,40,4366,4449,41,40,4367,4449,41,40,4368,4449,41,40,4369,4449,41,40,4370,4449,41,40,4364,4462,41,40,4363,4457,4364,4453,4523,41,40,4363,4457,4370,4462,41,40,19968,41,40,20108,41,40,19977,41,40,22235,41,40,20116,41,40,20845,41,40,19971,41,40,20843,41,40,20061,41,40,21313,41,40,26376,41,40,28779,41,40,27700,41,40,26408,41,40,37329,41,40,22303,41,40,26085,41,40,26666,41,40,26377,41,40,31038,41,40,21517,41,40,29305,41,40,36001,41,40,31069,41,40,21172,41,40,20195,41,40,21628,41,40,23398,41,40,30435,41,40,20225,41,40,36039,41,40,21332,41,40,31085,41,40,20241,41,40,33258,41,40,33267,41,21839,24188,25991,31631,80,84,69,50,49,50,50,50,51,50,52,50,53,50,54,50,55,50,56,50,57,51,48,51,49,51,50,51,51,51,52,51,53,4352,4354,4355,4357,4358,4359,4361,4363,4364,4366,4367,4368,4369,4370,4352,4449,4354,4449,4355,4449,4357,4449,4358,4449,4359,4449,4361,4449,4363,4449,4364,4449,4366,4449,4367,4449,4368,4449,4369,4449,4370,4449,4366,4449,4535,4352,4457,4364,4462,4363,4468,4363,4462,19968,20108,19977,22235,20116,20845,19971,20843,20061,21313,26376,28779,27700,26408,37329,22303,26085,26666,26377,31038,21517,29305,36001,31069,21172,31192,30007,22899,36969,20778,21360,27880,38917,20241,20889,27491,19978,20013,19979,24038,21491,21307,23447,23398,30435,20225,36039,21332,22812,51,54,51,55,51,56,51,57,52,48,52,49,52,50,52,51,52,52,52,53,52,54,52,55,52,56,52,57,53,48,49,26376,50,26376,51,26376,52,26376,53,26376,54,26376,55,26376,56,26376,57,26376,49,48,26376,49,49,26376,49,50,26376,72,103,101,114,103,101,86,76,84,68,12450,12452,12454,12456,12458,12459,12461,12463,12465,12467,12469,12471,12473,12475,12477,12479,12481,12484,12486,12488,12490,12491,12492,12493,12494,12495,12498,12501,12504,12507,12510,12511,12512,12513,12514,12516,12518,12520,12521,12522,12523,12524,12525,12527,12528,12529,12530,20196,21644,12450,12495,12442,12540,12488,12450,12523,12501,12449,12450,12531,12504,12442,12450,12450,12540,12523,12452,12491,12531,12463,12441,12452,12531,12481,12454,12457,12531,12456,12473,12463,12540,12488,12441,12456,12540,12459,12540,12458,12531,12473,12458,12540,12512,12459,12452,12522,12459,12521,12483,12488,12459,12525,12522,12540,12459,12441,12525,12531,12459,12441,12531,12510,12461,12441,12459,12441,12461,12441,12491,12540,12461,12517,12522,12540,12461,12441,12523,12479,12441,12540,12461,12525,12461,12525,12463,12441,12521,12512,12461,12525,12513,12540,12488,12523,12461,12525,12527,12483,12488,12463,12441,12521,12512,12463,12441,12521,12512,12488,12531,12463,12523,12475,12441,12452,12525,12463,12525,12540,12493,12465,12540,12473,12467,12523,12490,12467,12540,12507,12442,12469,12452,12463,12523,12469,12531,12481,12540,12512,12471,12522,12531,12463,12441,12475,12531,12481,12475,12531,12488,12479,12441,12540,12473,12486,12441,12471,12488,12441,12523,12488,12531,12490,12494,12494,12483,12488,12495,12452,12484,12495,12442,12540,12475,12531,12488,12495,12442,12540,12484,12495,12441,12540,12524,12523,12498,12442,12450,12473,12488,12523,12498,12442,12463,12523,12498,12442,12467,12498,12441,12523,12501,12449,12521,12483,12488,12441,12501,12451,12540,12488,12501,12441,12483,12471,12455,12523,12501,12521,12531,12504,12463,12479,12540,12523,12504,12442,12477,12504,12442,12491,12498,12504,12523,12484,12504,12442,12531,12473,12504,12442,12540,12471,12441,12504,12441,12540,12479,12507,12442,12452,12531,12488,12507,12441,12523,12488,12507,12531,12507,12442,12531,12488,12441,12507,12540,12523,12507,12540,12531,12510,12452,12463,12525,12510,12452,12523,12510,12483,12495,12510,12523,12463,12510,12531,12471,12519,12531,12511,12463,12525,12531,12511,12522,12511,12522,12495,12441,12540,12523,12513,12459,12441,12513,12459,12441,12488,12531,12513,12540,12488,12523,12516,12540,12488,12441,12516,12540,12523,12518,12450,12531,12522,12483,12488,12523,12522,12521,12523,12498,12442,12540,12523,12540,12501,12441,12523,12524,12512,12524,12531,12488,12465,12441,12531,12527,12483,12488,48,28857,49,28857,50,28857,51,28857,52,28857,53,28857,54,28857,55,28857,56,28857,57,28857,49,48,28857,49,49,28857,49,50,28857,49,51,28857,49,52,28857,49,53,28857,49,54,28857,49,55,28857,49,56,28857,49,57,28857,50,48,28857,50,49,28857,50,50,28857,50,51,28857,50,52,28857,104,80,97,100,97,65,85,98,97,114,111,86,112,99,100,109,100,109,50,100,109,51,73,85,24179,25104,26157,21644,22823,27491,26126,27835,26666,24335,20250,31038,112,65,110,65,956,65,109,65,107,65,75,66,77,66,71,66,99,97,108,107,99,97,108,112,70,110,70,956,70,956,103,109,103,107,103,72,122,107,72,122,77,72,122,71,72,122,84,72,122,956,108,109,108,100,108,107,108,102,109,110,109,956,109,109,109,99,109,107,109,109,109,50,99,109,50,109,50,107,109,50,109,109,51,99,109,51,109,51,107,109,51,109,8725,115,109,8725,115,50,80,97,107,80,97,77,80,97,71,80,97,114,97,100,114,97,100,8725,115,114,97,100,8725,115,50,112,115,110,115,956,115,109,115,112,86,110,86,956,86,109,86,107,86,77,86,112,87,110,87,956,87,109,87,107,87,77,87,107,937,77,937,97,46,109,46,66,113,99,99,99,100,67,8725,107,103,67,111,46,100,66,71,121,104,97,72,80,105,110,75,75,75,77,107,116,108,109,108,110,108,111,103,108,120,109,98,109,105,108,109,111,108,80,72,112,46,109,46,80,80,77,80,82,115,114,83,118,87,98,86,8725,109,65,8725,109,49,26085,50,26085,51,26085,52,26085,53,26085,54,26085,55,26085,56,26085,57,26085,49,48,26085,49,49,26085,49,50,26085,49,51,26085,49,52,26085,49,53,26085,49,54,26085,49,55,26085,49,56,26085,49,57,26085,50,48,26085,50,49,26085,50,50,26085,50,51,26085,50,52,26085,50,53,26085,50,54,26085,50,55,26085,50,56,26085,50,57,26085,51,48,26085,51,49,26085,103,97,108,1098,1100,42863,67,70,81,294,339,42791,43831,619,43858,653,102,102,102,105,102,108,102,102,105,102,102,108,115,116,115,116,1396,1398,1396,1381,1396,1387,1406,1398,1396,1389,1506,1488,1491,1492,1499,1500,1501,1512,1514,43,1488,1500,1649,1649,1659,1659,1659,1659,1662,1662,1662,1662,1664,1664,1664,1664,1658,1658,1658,1658,1663,1663,1663,1663,1657,1657,1657,1657,1700,1700,1700,1700,1702,1702,1702,1702,1668,1668,1668,1668,1667,1667,1667,1667,1670,1670,1670,1670,1671,1671,1671,1671,1677,1677,1676,1676,1678,1678,1672,1672,1688,1688,1681,1681,1705,1705,1705,1705,1711,1711,1711,1711,1715,1715,1715,1715,1713,1713,1713,1713,1722,1722,1723,1723,1723,1723,1749,1620,1749,1620,1729,1729,1729,1729,1726,1726,1726,1726,1746,1746,1746,1620,1746,1620,1709,1709,1709,1709,1735,1735,1734,1734,1736,1736,1735,1652,1739,1739,1733,1733,1737,1737,1744,1744,1744,1744,1609,1609,1610,1620,1575,1610,1620,1575,1610,1620,1749,1610,1620,1749,1610,1620,1608,1610,1620,1608,1610,1620,1735,1610,1620,1735,1610,1620,1734,1610,1620,1734,1610,1620,1736,1610,1620,1736,1610,1620,1744,1610,1620,1744,1610,1620,1744,1610,1620,1609,1610,1620,1609,1610,1620,1609,1740,1740,1740,1740,1610,1620,1580,1610,1620,1581,1610,1620,1605,1610,1620,1609,1610,1620,1610,1576,1580,1576,1581,1576,1582,1576,1605,1576,1609,1576,1610,1578,1580,1578,1581,1578,1582,1578,1605,1578,1609,1578,1610,1579,1580,1579,1605,1579,1609,1579,1610,1580,1581,1580,1605,1581,1580,1581,1605,1582,1580,1582,1581,1582,1605,1587,1580,1587,1581,1587,1582,1587,1605,1589,1581,1589,1605,1590,1580,1590,1581,1590,1582,1590,1605,1591,1581,1591,1605,1592,1605,1593,1580,1593,1605,1594,1580,1594,1605,1601,1580,1601,1581,1601,1582,1601,1605,1601,1609,1601,1610,1602,1581,1602,1605,1602,1609,1602,1610,1603,1575,1603,1580,1603,1581,1603,1582,1603,1604,1603,1605,1603,1609,1603,1610,1604,1580,1604,1581,1604,1582,1604,1605,1604,1609,1604,1610,1605,1580,1605,1581,1605,1582,1605,1605,1605,1609,1605,1610,1606,1580,1606,1581,1606,1582,1606,1605,1606,1609,1606,1610,1607,1580,1607,1605,1607,1609,1607,1610,1610,1580,1610,1581,1610,1582,1610,1605,1610,1609,1610,1610,1584,1648,1585,1648,1609,1648,32,1612,1617,32,1613,1617,32,1614,1617,32,1615,1617,32,1616,1617,32,1617,1648,1610,1620,1585,1610,1620,1586,1610,1620,1605,1610,1620,1606,1610,1620,1609,1610,1620,1610,1576,1585,1576,1586,1576,1605,1576,1606,1576,1609,1576,1610,1578,1585,1578,1586,1578,1605,1578,1606,1578,1609,1578,1610,1579,1585,1579,1586,1579,1605,1579,1606,1579,1609,1579,1610,1601,1609,1601,1610,1602,1609,1602,1610,1603,1575,1603,1604,1603,1605,1603,1609,1603,1610,1604,1605,1604,1609,1604,1610,1605,1575,1605,1605,1606,1585,1606,1586,1606,1605,1606,1606,1606,1609,1606,1610,1609,1648,1610,1585,1610,1586,1610,1605,1610,1606,1610,1609,1610,1610,1610,1620,1580,1610,1620,1581,1610,1620,1582,1610,1620,1605,1610,1620,1607,1576,1580,1576,1581,1576,1582,1576,1605,1576,1607,1578,1580,1578,1581,1578,1582,1578,1605,1578,1607,1579,1605,1580,1581,1580,1605,1581,1580,1581,1605,1582,1580,1582,1605,1587,1580,1587,1581,1587,1582,1587,1605,1589,1581,1589,1582,1589,1605,1590,1580,1590,1581,1590,1582,1590,1605,1591,1581,1592,1605,1593,1580,1593,1605,1594,1580,1594,1605,1601,1580,1601,1581,1601,1582,1601,1605,1602,1581,1602,1605,1603,1580,1603,1581,1603,1582,1603,1604,1603,1605,1604,1580,1604,1581,1604,1582,1604,1605,1604,1607,1605,1580,1605,1581,1605,1582,1605,1605,1606,1580,1606,1581,1606,1582,1606,1605,1606,1607,1607,1580,1607,1605,1607,1648,1610,1580,1610,1581,1610,1582,1610,1605,1610,1607,1610,1620,1605,1610,1620,1607,1576,1605,1576,1607,1578,1605,1578,1607,1579,1605,1579,1607,1587,1605,1587,1607,1588,1605,1588,1607,1603,1604,1603,1605,1604,1605,1606,1605,1606,1607,1610,1605,1610,1607,1600,1614,1617,1600,1615,1617,1600,1616,1617,1591,1609,1591,1610,1593,1609,1593,1610,1594,1609,1594,1610,1587,1609,1587,1610,1588,1609,1588,1610,1581,1609,1581,1610,1580,1609,1580,1610,1582,1609,1582,1610,1589,1609,1589,1610,1590,1609,1590,1610,1588,1580,1588,1581,1588,1582,1588,1605,1588,1585,1587,1585,1589,1585,1590,1585,1591,1609,1591,1610,1593,1609,1593,1610,1594,1609,1594,1610,1587,1609,1587,1610,1588,1609,1588,1610,1581,1609,1581,1610,1580,1609,1580,1610,1582,1609,1582,1610,1589,1609,1589,1610,1590,1609,1590,1610,1588,1580,1588,1581,1588,1582,1588,1605,1588,1585,1587,1585,1589,1585,1590,1585,1588,1580,1588,1581,1588,1582,1588,1605,1587,1607,1588,1607,1591,1605,1587,1580,1587,1581,1587,1582,1588,1580,1588,1581,1588,1582,1591,1605,1592,1605,1575,1611,1575,1611,1578,1580,1605,1578,1581,1580,1578,1581,1580,1578,1581,1605,1578,1582,1605,1578,1605,1580,1578,1605,1581,1578,1605,1582,1580,1605,1581,1580,1605,1581,1581,1605,1610,1581,1605,1609,1587,1581,1580,1587,1580,1581,1587,1580,1609,1587,1605,1581,1587,1605,1581,1587,1605,1580,1587,1605,1605,1587,1605,1605,1589,1581,1581,1589,1581,1581,1589,1605,1605,1588,1581,1605,1588,1581,1605,1588,1580,1610,1588,1605,1582,1588,1605,1582,1588,1605,1605,1588,1605,1605,1590,1581,1609,1590,1582,1605,1590,1582,1605,1591,1605,1581,1591,1605,1581,1591,1605,1605,1591,1605,1610,1593,1580,1605,1593,1605,1605,1593,1605,1605,1593,1605,1609,1594,1605,1605,1594,1605,1610,1594,1605,1609,1601,1582,1605,1601,1582,1605,1602,1605,1581,1602,1605,1605,1604,1581,1605,1604,1581,1610,1604,1581,1609,1604,1580,1580,1604,1580,1580,1604,1582,1605,1604,1582,1605,1604,1605,1581,1604,1605,1581,1605,1581,1580,1605,1581,1605,1605,1581,1610,1605,1580,1581,1605,1580,1605,1605,1582,1580,1605,1582,1605,1605,1580,1582,1607,1605,1580,1607,1605,1605,1606,1581,1605,1606,1581,1609,1606,1580,1605,1606,1580,1605,1606,1580,1609,1606,1605,1610,1606,1605,1609,1610,1605,1605,1610,1605,1605,1576,1582,1610,1578,1580,1610,1578,1580,1609,1578,1582,1610,1578,1582,1609,1578,1605,1610,1578,1605,1609,1580,1605,1610,1580,1581,1609,1580,1605,1609,1587,1582,1609,1589,1581,1610,1588,1581,1610,1590,1581,1610,1604,1580,1610,1604,1605,1610,1610,1581,1610,1610,1580,1610,1610,1605,1610,1605,1605,1610,1602,1605,1610,1606,1581,1610,1602,1605,1581,1604,1581,1605,1593,1605,1610,1603,1605,1610,1606,1580,1581,1605,1582,1610,1604,1580,1605,1603,1605,1605,1604,1580,1605,1606,1580,1581,1580,1581,1610,1581,1580,1610,1605,1580,1610,1601,1605,1610,1576,1581,1610,1603,1605,1605,1593,1580,1605,1589,1605,1605,1587,1582,1610,1606,1580,1610,1589,1604,1746,1602,1604,1746,1575,1604,1604,1607,1575,1603,1576,1585,1605,1581,1605,1583,1589,1604,1593,1605,1585,1587,1608,1604,1593,1604,1610,1607,1608,1587,1604,1605,1589,1604,1609,1589,1604,1609,32,1575,1604,1604,1607,32,1593,1604,1610,1607,32,1608,1587,1604,1605,1580,1604,32,1580,1604,1575,1604,1607,1585,1740,1575,1604,44,12289,12290,58,59,33,63,12310,12311,46,46,46,46,46,8212,8211,95,95,40,41,123,125,12308,12309,12304,12305,12298,12299,12296,12297,12300,12301,12302,12303,91,93,32,773,32,773,32,773,32,773,95,95,95,44,12289,46,59,58,63,33,8212,40,41,123,125,12308,12309,35,38,42,43,45,60,62,61,92,36,37,64,32,1611,1600,1611,32,1612,32,1613,32,1614,1600,1614,32,1615,1600,1615,32,1616,1600,1616,32,1617,1600,1617,32,1618,1600,1618,1569,1575,1619,1575,1619,1575,1620,1575,1620,1608,1620,1608,1620,1575,1621,1575,1621,1610,1620,1610,1620,1610,1620,1610,1620,1575,1575,1576,1576,1576,1576,1577,1577,1578,1578,1578,1578,1579,1579,1579,1579,1580,1580,1580,1580,1581,1581,1581,1581,1582,1582,1582,1582,1583,1583,1584,1584,1585,1585,1586,1586,1587,1587,1587,1587,1588,1588,1588,1588,1589,1589,1589,1589,1590,1590,1590,1590,1591,1591,1591,1591,1592,1592,1592,1592,1593,1593,1593,1593,1594,1594,1594,1594,1601,1601,1601,1601,1602,1602,1602,1602,1603,1603,1603,1603,1604,1604,1604,1604,1605,1605,1605,1605,1606,1606,1606,1606,1607,1607,1607,1607,1608,1608,1609,1609,1610,1610,1610,1610,1604,1575,1619,1604,1575,1619,1604,1575,1620,1604,1575,1620,1604,1575,1621,1604,1575,1621,1604,1575,1604,1575,33,34,35,36,37,38,39,40,41,42,43,44,45,46,47,48,49,50,51,52,53,54,55,56,57,58,59,60,61,62,63,64,65,66,67,68,69,70,71,72,73,74,75,76,77,78,79,80,81,82,83,84,85,86,87,88,89,90,91,92,93,94,95,96,97,98,99,100,101,102,103,104,105,106,107,108,109,110,111,112,113,114,115,116,117,118,119,120,121,122,123,124,125,126,10629,10630,12290,12300,12301,12289,12539,12530,12449,12451,12453,12455,12457,12515,12517,12519,12483,12540,12450,12452,12454,12456,12458,12459,12461,12463,12465,12467,12469,12471,12473,12475,12477,12479,12481,12484,12486,12488,12490,12491,12492,12493,12494,12495,12498,12501,12504,12507,12510,12511,12512,12513,12514,12516,12518,12520,12521,12522,12523,12524,12525,12527,12531,12441,12442,4448,4352,4353,4522,4354,4524,4525,4355,4356,4357,4528,4529,4530,4531,4532,4533,4378,4358,4359,4360,4385,4361,4362,4363,4364,4365,4366,4367,4368,4369,4370,4449,4450,4451,4452,4453,4454,4455,4456,4457,4458,4459,4460,4461,4462,4463,4464,4465,4466,4467,4468,4469,162,163,172,32,772,166,165,8361,9474,8592,8593,8594,8595,9632,9675,720,721,230,665,595,675,43878,677,676,598,599,7569,600,606,681,612,610,608,667,295,668,615,644,682,683,620,55351,57092,42894,622,55351,57093,654,55351,57094,248,630,631,113,634,55351,57096,637,638,640,680,678,43879,679,648,11377,655,673,674,664,448,449,450,55351,57098,55351,57118,65,66,67,68,69,70,71,72,73,74,75,76,77,78,79,80,81,82,83,84,85,86,87,88,89,90,48,49,50,51,52,53,54,55,56,57,65,66,67,68,69,70,71,72,73,74,75,76,77,78,79,80,81,82,83,84,85,86,87,88,89,90,97,98,99,100,101,102,103,104,105,106,107,108,109,110,111,112,113,114,115,116,117,118,119,120,121,122,65,66,67,68,69,70,71,72,73,74,75,76,77,78,79,80,81,82,83,84,85,86,87,88,89,90,97,98,99,100,101,102,103,105,106,107,108,109,110,111,112,113,114,115,116,117,118,119,120,121,122,65,66,67,68,69,70,71,72,73,74,75,76,77,78,79,80,81,82,83,84,85,86,87,88,89,90,97,98,99,100,101,102,103,104,105,106,107,108,109,110,111,112,113,114,115,116,117,118,119,120,121,122,65,67,68,71,74,75,78,79,80,81,83,84,85,86,87,88,89,90,97,98,99,100,102,104,105,106,107,108,109,110,112,113,114,115,116,117,118,119,120,121,122,65,66,67,68,69,70,71,72,73,74,75,76,77,78,79,80,81,82,83,84,85,86,87,88,89,90,97,98,99,100,101,102,103,104,105,106,107,108,109,110,111,112,113,114,115,116,117,118,119,120,121,122,65,66,68,69,70,71,74,75,76,77,78,79,80,81,83,84,85,86,87,88,89,97,98,99,100,101,102,103,104,105,106,107,108,109,110,111,112,113,114,115,116,117,118,119,120,121,122,65,66,68,69,70,71,73,74,75,76,77,79,83,84,85,86,87,88,89,97,98,99,100,101,102,103,104,105,106,107,108,109,110,111,112,113,114,115,116,117,118,119,120,121,122,65,66,67,68,69,70,71,72,73,74,75,76,77,78,79,80,81,82,83,84,85,86,87,88,89,90,97,98,99,100,101,102,103,104,105,106,107,108,109,110,111,112,113,114,115,116,117,118,119,120,121,122,65,66,67,68,69,70,71,72,73,74,75,76,77,78,79,80,81,82,83,84,85,86,87,88,89,90,97,98,99,100,101,102,103,104,105,106,107,108,109,110,111,112,113,114,115,116,117,118,119,120,121,122,65,66,67,68,69,70,71,72,73,74,75,76,77,78,79,80,81,82,83,84,85,86,87,88,89,90,97,98,99,100,101,102,103,104,105,106,107,108,109,110,111,112,113,114,115,116,117,118,119,120,121,122,65,66,67,68,69,70,71,72,73,74,75,76,77,78,79,80,81,82,83,84,85,86,87,88,89,90,97,98,99,100,101,102,103,104,105,106,107,108,109,110,111,112,113,114,115,116,117,118,119,120,121,122,65,66,67,68,69,70,71,72,73,74,75,76,77,78,79,80,81,82,83,84,85,86,87,88,89,90,97,98,99,100,101,102,103,104,105,106,107,108,109,110,111,112,113,114,115,116,117,118,119,120,121,122,65,66,67,68,69,70,71,72,73,74,75,76,77,78,79,80,81,82,83,84,85,86,87,88,89,90,97,98,99,100,101,102,103,104,105,106,107,108,109,110,111,112,113,114,115,116,117,118,119,120,121,122,305,567,913,914,915,916,917,918,919,920,921,922,923,924,925,926,927,928,929,920,931,932,933,934,935,936,937,8711,945,946,947,948,949,950,951,952,953,954,955,956,957,958,959,960,961,962,963,964,965,966,967,968,969,8706,949,952,954,966,961,960,913,914,915,916,917,918,919,920,921,922,923,924,925,926,927,928,929,920,931,932,933,934,935,936,937,8711,945,946,947,948,949,950,951,952,953,954,955,956,957,958,959,960,961,962,963,964,965,966,967,968,969,8706,949,952,954,966,961,960,913,914,915,916,917,918,919,920,921,922,923,924,925,926,927,928,929,920,931,932,933,934,935,936,937,8711,945,946,947,948,949,950,951,952,953,954,955,956,957,958,959,960,961,962,963,964,965,966,967,968,969,8706,949,952,954,966,961,960,913,914,915,916,917,918,919,920,921,922,923,924,925,926,927,928,929,920,931,932,933,934,935,936,937,8711,945,946,947,948,949,950,951,952,953,954,955,956,957,958,959,960,961,962,963,964,965,966,967,968,969,8706,949,952,954,966,961,960,913,914,915,916,917,918,919,920,921,922,923,924,925,926,927,928,929,920,931,932,933,934,935,936,937,8711,945,946,947,948,949,950,951,952,953,954,955,956,957,958,959,960,961,962,963,964,965,966,967,968,969,8706,949,952,954,966,961,960,988,989,48,49,50,51,52,53,54,55,56,57,48,49,50,51,52,53,54,55,56,57,48,49,50,51,52,53,54,55,56,57,48,49,50,51,52,53,54,55,56,57,48,49,50,51,52,53,54,55,56,57,1072,1073,1074,1075,1076,1077,1078,1079,1080,1082,1083,1084,1086,1087,1088,1089,1090,1091,1092,1093,1094,1095,1096,1099,1101,1102,42633,1241,1110,1112,1257,1199,1231,1072,1073,1074,1075,1076,1077,1078,1079,1080,1082,1083,1086,1087,1089,1091,1092,1093,1094,1095,1096,1098,1099,1169,1110,1109,1119,1195,42577,1201,1575,1576,1580,1583,1608,1586,1581,1591,1610,1603,1604,1605,1606,1587,1593,1601,1589,1602,1585,1588,1578,1579,1582,1584,1590,1592,1594,1646,1722,1697,1647,1576,1580,1607,1581,1610,1603,1604,1605,1606,1587,1593,1601,1589,1602,1588,1578,1579,1582,1590,1594,1580,1581,1610,1604,1606,1587,1593,1589,1602,1588,1582,1590,1594,1722,1647,1576,1580,1607,1581,1591,1610,1603,1605,1606,1587,1593,1601,1589,1602,1588,1578,1579,1582,1590,1592,1594,1646,1697,1575,1576,1580,1583,1607,1608,1586,1581,1591,1610,1604,1605,1606,1587,1593,1601,1589,1602,1585,1588,1578,1579,1582,1584,1590,1592,1594,1576,1580,1583,1608,1586,1581,1591,1610,1604,1605,1606,1587,1593,1601,1589,1602,1585,1588,1578,1579,1582,1584,1590,1592,1594,48,46,48,44,49,44,50,44,51,44,52,44,53,44,54,44,55,44,56,44,57,44,40,65,41,40,66,41,40,67,41,40,68,41,40,69,41,40,70,41,40,71,41,40,72,41,40,73,41,40,74,41,40,75,41,40,76,41,40,77,41,40,78,41,40,79,41,40,80,41,40,81,41,40,82,41,40,83,41,40,84,41,40,85,41,40,86,41,40,87,41,40,88,41,40,89,41,40,90,41,12308,83,12309,67,82,67,68,87,90,65,66,67,68,69,70,71,72,73,74,75,76,77,78,79,80,81,82,83,84,85,86,87,88,89,90,72,86,77,86,83,68,83,83,80,80,86,87,67,77,67,77,68,77,82,68,74,12411,12363,12467,12467,12469,25163,23383,21452,12486,12441,20108,22810,35299,22825,20132,26144,28961,26009,21069,24460,20877,26032,21021,32066,29983,36009,22768,21561,28436,25237,25429,19968,19977,36938,24038,20013,21491,25351,36208,25171,31105,31354,21512,28288,26377,26376,30003,21106,21942,37197,12308,26412,12309,12308,19977,12309,12308,20108,12309,12308,23433,12309,12308,28857,12309,12308,25171,12309,12308,30423,12309,12308,21213,12309,12308,25943,12309,24471,21487,48,49,50,51,52,53,54,55,56,57],
+  compositions: [0,60,0,824,0,8814,0,61,0,824,0,8800,0,62,0,824,0,8815,0,65,0,768,0,192,0,65,0,769,0,193,0,65,0,770,0,194,0,65,0,771,0,195,0,65,0,772,0,256,0,65,0,774,0,258,0,65,0,775,0,550,0,65,0,776,0,196,0,65,0,777,0,7842,0,65,0,778,0,197,0,65,0,780,0,461,0,65,0,783,0,512,0,65,0,785,0,514,0,65,0,803,0,7840,0,65,0,805,0,7680,0,65,0,808,0,260,0,66,0,775,0,7682,0,66,0,803,0,7684,0,66,0,817,0,7686,0,67,0,769,0,262,0,67,0,770,0,264,0,67,0,775,0,266,0,67,0,780,0,268,0,67,0,807,0,199,0,68,0,775,0,7690,0,68,0,780,0,270,0,68,0,803,0,7692,0,68,0,807,0,7696,0,68,0,813,0,7698,0,68,0,817,0,7694,0,69,0,768,0,200,0,69,0,769,0,201,0,69,0,770,0,202,0,69,0,771,0,7868,0,69,0,772,0,274,0,69,0,774,0,276,0,69,0,775,0,278,0,69,0,776,0,203,0,69,0,777,0,7866,0,69,0,780,0,282,0,69,0,783,0,516,0,69,0,785,0,518,0,69,0,803,0,7864,0,69,0,807,0,552,0,69,0,808,0,280,0,69,0,813,0,7704,0,69,0,816,0,7706,0,70,0,775,0,7710,0,71,0,769,0,500,0,71,0,770,0,284,0,71,0,772,0,7712,0,71,0,774,0,286,0,71,0,775,0,288,0,71,0,780,0,486,0,71,0,807,0,290,0,72,0,770,0,292,0,72,0,775,0,7714,0,72,0,776,0,7718,0,72,0,780,0,542,0,72,0,803,0,7716,0,72,0,807,0,7720,0,72,0,814,0,7722,0,73,0,768,0,204,0,73,0,769,0,205,0,73,0,770,0,206,0,73,0,771,0,296,0,73,0,772,0,298,0,73,0,774,0,300,0,73,0,775,0,304,0,73,0,776,0,207,0,73,0,777,0,7880,0,73,0,780,0,463,0,73,0,783,0,520,0,73,0,785,0,522,0,73,0,803,0,7882,0,73,0,808,0,302,0,73,0,816,0,7724,0,74,0,770,0,308,0,75,0,769,0,7728,0,75,0,780,0,488,0,75,0,803,0,7730,0,75,0,807,0,310,0,75,0,817,0,7732,0,76,0,769,0,313,0,76,0,780,0,317,0,76,0,803,0,7734,0,76,0,807,0,315,0,76,0,813,0,7740,0,76,0,817,0,7738,0,77,0,769,0,7742,0,77,0,775,0,7744,0,77,0,803,0,7746,0,78,0,768,0,504,0,78,0,769,0,323,0,78,0,771,0,209,0,78,0,775,0,7748,0,78,0,780,0,327,0,78,0,803,0,7750,0,78,0,807,0,325,0,78,0,813,0,7754,0,78,0,817,0,7752,0,79,0,768,0,210,0,79,0,769,0,211,0,79,0,770,0,212,0,79,0,771,0,213,0,79,0,772,0,332,0,79,0,774,0,334,0,79,0,775,0,558,0,79,0,776,0,214,0,79,0,777,0,7886,0,79,0,779,0,336,0,79,0,780,0,465,0,79,0,783,0,524,0,79,0,785,0,526,0,79,0,795,0,416,0,79,0,803,0,7884,0,79,0,808,0,490,0,80,0,769,0,7764,0,80,0,775,0,7766,0,82,0,769,0,340,0,82,0,775,0,7768,0,82,0,780,0,344,0,82,0,783,0,528,0,82,0,785,0,530,0,82,0,803,0,7770,0,82,0,807,0,342,0,82,0,817,0,7774,0,83,0,769,0,346,0,83,0,770,0,348,0,83,0,775,0,7776,0,83,0,780,0,352,0,83,0,803,0,7778,0,83,0,806,0,536,0,83,0,807,0,350,0,84,0,775,0,7786,0,84,0,780,0,356,0,84,0,803,0,7788,0,84,0,806,0,538,0,84,0,807,0,354,0,84,0,813,0,7792,0,84,0,817,0,7790,0,85,0,768,0,217,0,85,0,769,0,218,0,85,0,770,0,219,0,85,0,771,0,360,0,85,0,772,0,362,0,85,0,774,0,364,0,85,0,776,0,220,0,85,0,777,0,7910,0,85,0,778,0,366,0,85,0,779,0,368,0,85,0,780,0,467,0,85,0,783,0,532,0,85,0,785,0,534,0,85,0,795,0,431,0,85,0,803,0,7908,0,85,0,804,0,7794,0,85,0,808,0,370,0,85,0,813,0,7798,0,85,0,816,0,7796,0,86,0,771,0,7804,0,86,0,803,0,7806,0,87,0,768,0,7808,0,87,0,769,0,7810,0,87,0,770,0,372,0,87,0,775,0,7814,0,87,0,776,0,7812,0,87,0,803,0,7816,0,88,0,775,0,7818,0,88,0,776,0,7820,0,89,0,768,0,7922,0,89,0,769,0,221,0,89,0,770,0,374,0,89,0,771,0,7928,0,89,0,772,0,562,0,89,0,775,0,7822,0,89,0,776,0,376,0,89,0,777,0,7926,0,89,0,803,0,7924,0,90,0,769,0,377,0,90,0,770,0,7824,0,90,0,775,0,379,0,90,0,780,0,381,0,90,0,803,0,7826,0,90,0,817,0,7828,0,97,0,768,0,224,0,97,0,769,0,225,0,97,0,770,0,226,0,97,0,771,0,227,0,97,0,772,0,257,0,97,0,774,0,259,0,97,0,775,0,551,0,97,0,776,0,228,0,97,0,777,0,7843,0,97,0,778,0,229,0,97,0,780,0,462,0,97,0,783,0,513,0,97,0,785,0,515,0,97,0,803,0,7841,0,97,0,805,0,7681,0,97,0,808,0,261,0,98,0,775,0,7683,0,98,0,803,0,7685,0,98,0,817,0,7687,0,99,0,769,0,263,0,99,0,770,0,265,0,99,0,775,0,267,0,99,0,780,0,269,0,99,0,807,0,231,0,100,0,775,0,7691,0,100,0,780,0,271,0,100,0,803,0,7693,0,100,0,807,0,7697,0,100,0,813,0,7699,0,100,0,817,0,7695,0,101,0,768,0,232,0,101,0,769,0,233,0,101,0,770,0,234,0,101,0,771,0,7869,0,101,0,772,0,275,0,101,0,774,0,277,0,101,0,775,0,279,0,101,0,776,0,235,0,101,0,777,0,7867,0,101,0,780,0,283,0,101,0,783,0,517,0,101,0,785,0,519,0,101,0,803,0,7865,0,101,0,807,0,553,0,101,0,808,0,281,0,101,0,813,0,7705,0,101,0,816,0,7707,0,102,0,775,0,7711,0,103,0,769,0,501,0,103,0,770,0,285,0,103,0,772,0,7713,0,103,0,774,0,287,0,103,0,775,0,289,0,103,0,780,0,487,0,103,0,807,0,291,0,104,0,770,0,293,0,104,0,775,0,7715,0,104,0,776,0,7719,0,104,0,780,0,543,0,104,0,803,0,7717,0,104,0,807,0,7721,0,104,0,814,0,7723,0,104,0,817,0,7830,0,105,0,768,0,236,0,105,0,769,0,237,0,105,0,770,0,238,0,105,0,771,0,297,0,105,0,772,0,299,0,105,0,774,0,301,0,105,0,776,0,239,0,105,0,777,0,7881,0,105,0,780,0,464,0,105,0,783,0,521,0,105,0,785,0,523,0,105,0,803,0,7883,0,105,0,808,0,303,0,105,0,816,0,7725,0,106,0,770,0,309,0,106,0,780,0,496,0,107,0,769,0,7729,0,107,0,780,0,489,0,107,0,803,0,7731,0,107,0,807,0,311,0,107,0,817,0,7733,0,108,0,769,0,314,0,108,0,780,0,318,0,108,0,803,0,7735,0,108,0,807,0,316,0,108,0,813,0,7741,0,108,0,817,0,7739,0,109,0,769,0,7743,0,109,0,775,0,7745,0,109,0,803,0,7747,0,110,0,768,0,505,0,110,0,769,0,324,0,110,0,771,0,241,0,110,0,775,0,7749,0,110,0,780,0,328,0,110,0,803,0,7751,0,110,0,807,0,326,0,110,0,813,0,7755,0,110,0,817,0,7753,0,111,0,768,0,242,0,111,0,769,0,243,0,111,0,770,0,244,0,111,0,771,0,245,0,111,0,772,0,333,0,111,0,774,0,335,0,111,0,775,0,559,0,111,0,776,0,246,0,111,0,777,0,7887,0,111,0,779,0,337,0,111,0,780,0,466,0,111,0,783,0,525,0,111,0,785,0,527,0,111,0,795,0,417,0,111,0,803,0,7885,0,111,0,808,0,491,0,112,0,769,0,7765,0,112,0,775,0,7767,0,114,0,769,0,341,0,114,0,775,0,7769,0,114,0,780,0,345,0,114,0,783,0,529,0,114,0,785,0,531,0,114,0,803,0,7771,0,114,0,807,0,343,0,114,0,817,0,7775,0,115,0,769,0,347,0,115,0,770,0,349,0,115,0,775,0,7777,0,115,0,780,0,353,0,115,0,803,0,7779,0,115,0,806,0,537,0,115,0,807,0,351,0,116,0,775,0,7787,0,116,0,776,0,7831,0,116,0,780,0,357,0,116,0,803,0,7789,0,116,0,806,0,539,0,116,0,807,0,355,0,116,0,813,0,7793,0,116,0,817,0,7791,0,117,0,768,0,249,0,117,0,769,0,250,0,117,0,770,0,251,0,117,0,771,0,361,0,117,0,772,0,363,0,117,0,774,0,365,0,117,0,776,0,252,0,117,0,777,0,7911,0,117,0,778,0,367,0,117,0,779,0,369,0,117,0,780,0,468,0,117,0,783,0,533,0,117,0,785,0,535,0,117,0,795,0,432,0,117,0,803,0,7909,0,117,0,804,0,7795,0,117,0,808,0,371,0,117,0,813,0,7799,0,117,0,816,0,7797,0,118,0,771,0,7805,0,118,0,803,0,7807,0,119,0,768,0,7809,0,119,0,769,0,7811,0,119,0,770,0,373,0,119,0,775,0,7815,0,119,0,776,0,7813,0,119,0,778,0,7832,0,119,0,803,0,7817,0,120,0,775,0,7819,0,120,0,776,0,7821,0,121,0,768,0,7923,0,121,0,769,0,253,0,121,0,770,0,375,0,121,0,771,0,7929,0,121,0,772,0,563,0,121,0,775,0,7823,0,121,0,776,0,255,0,121,0,777,0,7927,0,121,0,778,0,7833,0,121,0,803,0,7925,0,122,0,769,0,378,0,122,0,770,0,7825,0,122,0,775,0,380,0,122,0,780,0,382,0,122,0,803,0,7827,0,122,0,817,0,7829,0,168,0,768,0,8173,0,168,0,769,0,901,0,168,0,834,0,8129,0,194,0,768,0,7846,0,194,0,769,0,7844,0,194,0,771,0,7850,0,194,0,777,0,7848,0,196,0,772,0,478,0,197,0,769,0,506,0,198,0,769,0,508,0,198,0,772,0,482,0,199,0,769,0,7688,0,202,0,768,0,7872,0,202,0,769,0,7870,0,202,0,771,0,7876,0,202,0,777,0,7874,0,207,0,769,0,7726,0,212,0,768,0,7890,0,212,0,769,0,7888,0,212,0,771,0,7894,0,212,0,777,0,7892,0,213,0,769,0,7756,0,213,0,772,0,556,0,213,0,776,0,7758,0,214,0,772,0,554,0,216,0,769,0,510,0,220,0,768,0,475,0,220,0,769,0,471,0,220,0,772,0,469,0,220,0,780,0,473,0,226,0,768,0,7847,0,226,0,769,0,7845,0,226,0,771,0,7851,0,226,0,777,0,7849,0,228,0,772,0,479,0,229,0,769,0,507,0,230,0,769,0,509,0,230,0,772,0,483,0,231,0,769,0,7689,0,234,0,768,0,7873,0,234,0,769,0,7871,0,234,0,771,0,7877,0,234,0,777,0,7875,0,239,0,769,0,7727,0,244,0,768,0,7891,0,244,0,769,0,7889,0,244,0,771,0,7895,0,244,0,777,0,7893,0,245,0,769,0,7757,0,245,0,772,0,557,0,245,0,776,0,7759,0,246,0,772,0,555,0,248,0,769,0,511,0,252,0,768,0,476,0,252,0,769,0,472,0,252,0,772,0,470,0,252,0,780,0,474,0,258,0,768,0,7856,0,258,0,769,0,7854,0,258,0,771,0,7860,0,258,0,777,0,7858,0,259,0,768,0,7857,0,259,0,769,0,7855,0,259,0,771,0,7861,0,259,0,777,0,7859,0,274,0,768,0,7700,0,274,0,769,0,7702,0,275,0,768,0,7701,0,275,0,769,0,7703,0,332,0,768,0,7760,0,332,0,769,0,7762,0,333,0,768,0,7761,0,333,0,769,0,7763,0,346,0,775,0,7780,0,347,0,775,0,7781,0,352,0,775,0,7782,0,353,0,775,0,7783,0,360,0,769,0,7800,0,361,0,769,0,7801,0,362,0,776,0,7802,0,363,0,776,0,7803,0,383,0,775,0,7835,0,416,0,768,0,7900,0,416,0,769,0,7898,0,416,0,771,0,7904,0,416,0,777,0,7902,0,416,0,803,0,7906,0,417,0,768,0,7901,0,417,0,769,0,7899,0,417,0,771,0,7905,0,417,0,777,0,7903,0,417,0,803,0,7907,0,431,0,768,0,7914,0,431,0,769,0,7912,0,431,0,771,0,7918,0,431,0,777,0,7916,0,431,0,803,0,7920,0,432,0,768,0,7915,0,432,0,769,0,7913,0,432,0,771,0,7919,0,432,0,777,0,7917,0,432,0,803,0,7921,0,439,0,780,0,494,0,490,0,772,0,492,0,491,0,772,0,493,0,550,0,772,0,480,0,551,0,772,0,481,0,552,0,774,0,7708,0,553,0,774,0,7709,0,558,0,772,0,560,0,559,0,772,0,561,0,658,0,780,0,495,0,913,0,768,0,8122,0,913,0,769,0,902,0,913,0,772,0,8121,0,913,0,774,0,8120,0,913,0,787,0,7944,0,913,0,788,0,7945,0,913,0,837,0,8124,0,917,0,768,0,8136,0,917,0,769,0,904,0,917,0,787,0,7960,0,917,0,788,0,7961,0,919,0,768,0,8138,0,919,0,769,0,905,0,919,0,787,0,7976,0,919,0,788,0,7977,0,919,0,837,0,8140,0,921,0,768,0,8154,0,921,0,769,0,906,0,921,0,772,0,8153,0,921,0,774,0,8152,0,921,0,776,0,938,0,921,0,787,0,7992,0,921,0,788,0,7993,0,927,0,768,0,8184,0,927,0,769,0,908,0,927,0,787,0,8008,0,927,0,788,0,8009,0,929,0,788,0,8172,0,933,0,768,0,8170,0,933,0,769,0,910,0,933,0,772,0,8169,0,933,0,774,0,8168,0,933,0,776,0,939,0,933,0,788,0,8025,0,937,0,768,0,8186,0,937,0,769,0,911,0,937,0,787,0,8040,0,937,0,788,0,8041,0,937,0,837,0,8188,0,940,0,837,0,8116,0,942,0,837,0,8132,0,945,0,768,0,8048,0,945,0,769,0,940,0,945,0,772,0,8113,0,945,0,774,0,8112,0,945,0,787,0,7936,0,945,0,788,0,7937,0,945,0,834,0,8118,0,945,0,837,0,8115,0,949,0,768,0,8050,0,949,0,769,0,941,0,949,0,787,0,7952,0,949,0,788,0,7953,0,951,0,768,0,8052,0,951,0,769,0,942,0,951,0,787,0,7968,0,951,0,788,0,7969,0,951,0,834,0,8134,0,951,0,837,0,8131,0,953,0,768,0,8054,0,953,0,769,0,943,0,953,0,772,0,8145,0,953,0,774,0,8144,0,953,0,776,0,970,0,953,0,787,0,7984,0,953,0,788,0,7985,0,953,0,834,0,8150,0,959,0,768,0,8056,0,959,0,769,0,972,0,959,0,787,0,8000,0,959,0,788,0,8001,0,961,0,787,0,8164,0,961,0,788,0,8165,0,965,0,768,0,8058,0,965,0,769,0,973,0,965,0,772,0,8161,0,965,0,774,0,8160,0,965,0,776,0,971,0,965,0,787,0,8016,0,965,0,788,0,8017,0,965,0,834,0,8166,0,969,0,768,0,8060,0,969,0,769,0,974,0,969,0,787,0,8032,0,969,0,788,0,8033,0,969,0,834,0,8182,0,969,0,837,0,8179,0,970,0,768,0,8146,0,970,0,769,0,912,0,970,0,834,0,8151,0,971,0,768,0,8162,0,971,0,769,0,944,0,971,0,834,0,8167,0,974,0,837,0,8180,0,978,0,769,0,979,0,978,0,776,0,980,0,1030,0,776,0,1031,0,1040,0,774,0,1232,0,1040,0,776,0,1234,0,1043,0,769,0,1027,0,1045,0,768,0,1024,0,1045,0,774,0,1238,0,1045,0,776,0,1025,0,1046,0,774,0,1217,0,1046,0,776,0,1244,0,1047,0,776,0,1246,0,1048,0,768,0,1037,0,1048,0,772,0,1250,0,1048,0,774,0,1049,0,1048,0,776,0,1252,0,1050,0,769,0,1036,0,1054,0,776,0,1254,0,1059,0,772,0,1262,0,1059,0,774,0,1038,0,1059,0,776,0,1264,0,1059,0,779,0,1266,0,1063,0,776,0,1268,0,1067,0,776,0,1272,0,1069,0,776,0,1260,0,1072,0,774,0,1233,0,1072,0,776,0,1235,0,1075,0,769,0,1107,0,1077,0,768,0,1104,0,1077,0,774,0,1239,0,1077,0,776,0,1105,0,1078,0,774,0,1218,0,1078,0,776,0,1245,0,1079,0,776,0,1247,0,1080,0,768,0,1117,0,1080,0,772,0,1251,0,1080,0,774,0,1081,0,1080,0,776,0,1253,0,1082,0,769,0,1116,0,1086,0,776,0,1255,0,1091,0,772,0,1263,0,1091,0,774,0,1118,0,1091,0,776,0,1265,0,1091,0,779,0,1267,0,1095,0,776,0,1269,0,1099,0,776,0,1273,0,1101,0,776,0,1261,0,1110,0,776,0,1111,0,1140,0,783,0,1142,0,1141,0,783,0,1143,0,1240,0,776,0,1242,0,1241,0,776,0,1243,0,1256,0,776,0,1258,0,1257,0,776,0,1259,0,1575,0,1619,0,1570,0,1575,0,1620,0,1571,0,1575,0,1621,0,1573,0,1608,0,1620,0,1572,0,1610,0,1620,0,1574,0,1729,0,1620,0,1730,0,1746,0,1620,0,1747,0,1749,0,1620,0,1728,0,2344,0,2364,0,2345,0,2352,0,2364,0,2353,0,2355,0,2364,0,2356,0,2503,0,2494,0,2507,0,2503,0,2519,0,2508,0,2887,0,2878,0,2891,0,2887,0,2902,0,2888,0,2887,0,2903,0,2892,0,2962,0,3031,0,2964,0,3014,0,3006,0,3018,0,3014,0,3031,0,3020,0,3015,0,3006,0,3019,0,3142,0,3158,0,3144,0,3263,0,3285,0,3264,0,3270,0,3266,0,3274,0,3270,0,3285,0,3271,0,3270,0,3286,0,3272,0,3274,0,3285,0,3275,0,3398,0,3390,0,3402,0,3398,0,3415,0,3404,0,3399,0,3390,0,3403,0,3545,0,3530,0,3546,0,3545,0,3535,0,3548,0,3545,0,3551,0,3550,0,3548,0,3530,0,3549,0,4133,0,4142,0,4134,0,6917,0,6965,0,6918,0,6919,0,6965,0,6920,0,6921,0,6965,0,6922,0,6923,0,6965,0,6924,0,6925,0,6965,0,6926,0,6929,0,6965,0,6930,0,6970,0,6965,0,6971,0,6972,0,6965,0,6973,0,6974,0,6965,0,6976,0,6975,0,6965,0,6977,0,6978,0,6965,0,6979,0,7734,0,772,0,7736,0,7735,0,772,0,7737,0,7770,0,772,0,7772,0,7771,0,772,0,7773,0,7778,0,775,0,7784,0,7779,0,775,0,7785,0,7840,0,770,0,7852,0,7840,0,774,0,7862,0,7841,0,770,0,7853,0,7841,0,774,0,7863,0,7864,0,770,0,7878,0,7865,0,770,0,7879,0,7884,0,770,0,7896,0,7885,0,770,0,7897,0,7936,0,768,0,7938,0,7936,0,769,0,7940,0,7936,0,834,0,7942,0,7936,0,837,0,8064,0,7937,0,768,0,7939,0,7937,0,769,0,7941,0,7937,0,834,0,7943,0,7937,0,837,0,8065,0,7938,0,837,0,8066,0,7939,0,837,0,8067,0,7940,0,837,0,8068,0,7941,0,837,0,8069,0,7942,0,837,0,8070,0,7943,0,837,0,8071,0,7944,0,768,0,7946,0,7944,0,769,0,7948,0,7944,0,834,0,7950,0,7944,0,837,0,8072,0,7945,0,768,0,7947,0,7945,0,769,0,7949,0,7945,0,834,0,7951,0,7945,0,837,0,8073,0,7946,0,837,0,8074,0,7947,0,837,0,8075,0,7948,0,837,0,8076,0,7949,0,837,0,8077,0,7950,0,837,0,8078,0,7951,0,837,0,8079,0,7952,0,768,0,7954,0,7952,0,769,0,7956,0,7953,0,768,0,7955,0,7953,0,769,0,7957,0,7960,0,768,0,7962,0,7960,0,769,0,7964,0,7961,0,768,0,7963,0,7961,0,769,0,7965,0,7968,0,768,0,7970,0,7968,0,769,0,7972,0,7968,0,834,0,7974,0,7968,0,837,0,8080,0,7969,0,768,0,7971,0,7969,0,769,0,7973,0,7969,0,834,0,7975,0,7969,0,837,0,8081,0,7970,0,837,0,8082,0,7971,0,837,0,8083,0,7972,0,837,0,8084,0,7973,0,837,0,8085,0,7974,0,837,0,8086,0,7975,0,837,0,8087,0,7976,0,768,0,7978,0,7976,0,769,0,7980,0,7976,0,834,0,7982,0,7976,0,837,0,8088,0,7977,0,768,0,7979,0,7977,0,769,0,7981,0,7977,0,834,0,7983,0,7977,0,837,0,8089,0,7978,0,837,0,8090,0,7979,0,837,0,8091,0,7980,0,837,0,8092,0,7981,0,837,0,8093,0,7982,0,837,0,8094,0,7983,0,837,0,8095,0,7984,0,768,0,7986,0,7984,0,769,0,7988,0,7984,0,834,0,7990,0,7985,0,768,0,7987,0,7985,0,769,0,7989,0,7985,0,834,0,7991,0,7992,0,768,0,7994,0,7992,0,769,0,7996,0,7992,0,834,0,7998,0,7993,0,768,0,7995,0,7993,0,769,0,7997,0,7993,0,834,0,7999,0,8000,0,768,0,8002,0,8000,0,769,0,8004,0,8001,0,768,0,8003,0,8001,0,769,0,8005,0,8008,0,768,0,8010,0,8008,0,769,0,8012,0,8009,0,768,0,8011,0,8009,0,769,0,8013,0,8016,0,768,0,8018,0,8016,0,769,0,8020,0,8016,0,834,0,8022,0,8017,0,768,0,8019,0,8017,0,769,0,8021,0,8017,0,834,0,8023,0,8025,0,768,0,8027,0,8025,0,769,0,8029,0,8025,0,834,0,8031,0,8032,0,768,0,8034,0,8032,0,769,0,8036,0,8032,0,834,0,8038,0,8032,0,837,0,8096,0,8033,0,768,0,8035,0,8033,0,769,0,8037,0,8033,0,834,0,8039,0,8033,0,837,0,8097,0,8034,0,837,0,8098,0,8035,0,837,0,8099,0,8036,0,837,0,8100,0,8037,0,837,0,8101,0,8038,0,837,0,8102,0,8039,0,837,0,8103,0,8040,0,768,0,8042,0,8040,0,769,0,8044,0,8040,0,834,0,8046,0,8040,0,837,0,8104,0,8041,0,768,0,8043,0,8041,0,769,0,8045,0,8041,0,834,0,8047,0,8041,0,837,0,8105,0,8042,0,837,0,8106,0,8043,0,837,0,8107,0,8044,0,837,0,8108,0,8045,0,837,0,8109,0,8046,0,837,0,8110,0,8047,0,837,0,8111,0,8048,0,837,0,8114,0,8052,0,837,0,8130,0,8060,0,837,0,8178,0,8118,0,837,0,8119,0,8127,0,768,0,8141,0,8127,0,769,0,8142,0,8127,0,834,0,8143,0,8134,0,837,0,8135,0,8182,0,837,0,8183,0,8190,0,768,0,8157,0,8190,0,769,0,8158,0,8190,0,834,0,8159,0,8592,0,824,0,8602,0,8594,0,824,0,8603,0,8596,0,824,0,8622,0,8656,0,824,0,8653,0,8658,0,824,0,8655,0,8660,0,824,0,8654,0,8707,0,824,0,8708,0,8712,0,824,0,8713,0,8715,0,824,0,8716,0,8739,0,824,0,8740,0,8741,0,824,0,8742,0,8764,0,824,0,8769,0,8771,0,824,0,8772,0,8773,0,824,0,8775,0,8776,0,824,0,8777,0,8781,0,824,0,8813,0,8801,0,824,0,8802,0,8804,0,824,0,8816,0,8805,0,824,0,8817,0,8818,0,824,0,8820,0,8819,0,824,0,8821,0,8822,0,824,0,8824,0,8823,0,824,0,8825,0,8826,0,824,0,8832,0,8827,0,824,0,8833,0,8828,0,824,0,8928,0,8829,0,824,0,8929,0,8834,0,824,0,8836,0,8835,0,824,0,8837,0,8838,0,824,0,8840,0,8839,0,824,0,8841,0,8849,0,824,0,8930,0,8850,0,824,0,8931,0,8866,0,824,0,8876,0,8872,0,824,0,8877,0,8873,0,824,0,8878,0,8875,0,824,0,8879,0,8882,0,824,0,8938,0,8883,0,824,0,8939,0,8884,0,824,0,8940,0,8885,0,824,0,8941,0,12358,0,12441,0,12436,0,12363,0,12441,0,12364,0,12365,0,12441,0,12366,0,12367,0,12441,0,12368,0,12369,0,12441,0,12370,0,12371,0,12441,0,12372,0,12373,0,12441,0,12374,0,12375,0,12441,0,12376,0,12377,0,12441,0,12378,0,12379,0,12441,0,12380,0,12381,0,12441,0,12382,0,12383,0,12441,0,12384,0,12385,0,12441,0,12386,0,12388,0,12441,0,12389,0,12390,0,12441,0,12391,0,12392,0,12441,0,12393,0,12399,0,12441,0,12400,0,12399,0,12442,0,12401,0,12402,0,12441,0,12403,0,12402,0,12442,0,12404,0,12405,0,12441,0,12406,0,12405,0,12442,0,12407,0,12408,0,12441,0,12409,0,12408,0,12442,0,12410,0,12411,0,12441,0,12412,0,12411,0,12442,0,12413,0,12445,0,12441,0,12446,0,12454,0,12441,0,12532,0,12459,0,12441,0,12460,0,12461,0,12441,0,12462,0,12463,0,12441,0,12464,0,12465,0,12441,0,12466,0,12467,0,12441,0,12468,0,12469,0,12441,0,12470,0,12471,0,12441,0,12472,0,12473,0,12441,0,12474,0,12475,0,12441,0,12476,0,12477,0,12441,0,12478,0,12479,0,12441,0,12480,0,12481,0,12441,0,12482,0,12484,0,12441,0,12485,0,12486,0,12441,0,12487,0,12488,0,12441,0,12489,0,12495,0,12441,0,12496,0,12495,0,12442,0,12497,0,12498,0,12441,0,12499,0,12498,0,12442,0,12500,0,12501,0,12441,0,12502,0,12501,0,12442,0,12503,0,12504,0,12441,0,12505,0,12504,0,12442,0,12506,0,12507,0,12441,0,12508,0,12507,0,12442,0,12509,0,12527,0,12441,0,12535,0,12528,0,12441,0,12536,0,12529,0,12441,0,12537,0,12530,0,12441,0,12538,0,12541,0,12441,0,12542,1,1490,0,775,1,1481,1,1498,0,775,1,1508,1,4249,1,4282,1,4250,1,4251,1,4282,1,4252,1,4261,1,4282,1,4267,1,4401,1,4391,1,4398,1,4402,1,4391,1,4399,1,4935,1,4926,1,4939,1,4935,1,4951,1,4940,1,4994,1,5065,1,4995,1,4996,1,5051,1,4997,1,5003,1,5058,1,5006,1,5008,1,5065,1,5009,1,5058,1,5048,1,5063,1,5058,1,5058,1,5061,1,5058,1,5065,1,5064,1,5305,1,5296,1,5308,1,5305,1,5306,1,5307,1,5305,1,5309,1,5310,1,5560,1,5551,1,5562,1,5561,1,5551,1,5563,1,6453,1,6448,1,6456,1,24862,1,24862,1,24865,1,24862,1,24863,1,24867,1,24862,1,24864,1,24869,1,24862,1,24873,1,24866,1,24865,1,24863,1,24870,1,24865,1,24864,1,24872,1,24866,1,24863,1,24871,1,24873,1,24863,1,24868,1,28003,1,28007,1,28009,1,28007,1,28007,1,28008,1,28009,1,28007,1,28010],
+  upperCase: [0,97,0,122,1,65535,65504,0,181,0,181,1,0,743,0,224,0,246,1,65535,65504,0,248,0,254,1,65535,65504,0,255,0,255,1,0,121,0,257,0,303,2,65535,65535,0,305,0,305,1,65535,65304,0,307,0,311,2,65535,65535,0,314,0,328,2,65535,65535,0,331,0,375,2,65535,65535,0,378,0,382,2,65535,65535,0,383,0,383,1,65535,65236,0,384,0,384,1,0,195,0,387,0,389,2,65535,65535,0,392,0,392,1,65535,65535,0,396,0,396,1,65535,65535,0,402,0,402,1,65535,65535,0,405,0,405,1,0,97,0,409,0,409,1,65535,65535,0,410,0,410,1,0,163,0,411,0,411,1,0,42561,0,414,0,414,1,0,130,0,417,0,421,2,65535,65535,0,424,0,424,1,65535,65535,0,429,0,429,1,65535,65535,0,432,0,432,1,65535,65535,0,436,0,438,2,65535,65535,0,441,0,441,1,65535,65535,0,445,0,445,1,65535,65535,0,447,0,447,1,0,56,0,453,0,453,1,65535,65535,0,454,0,454,1,65535,65534,0,456,0,456,1,65535,65535,0,457,0,457,1,65535,65534,0,459,0,459,1,65535,65535,0,460,0,460,1,65535,65534,0,462,0,476,2,65535,65535,0,477,0,477,1,65535,65457,0,479,0,495,2,65535,65535,0,498,0,498,1,65535,65535,0,499,0,499,1,65535,65534,0,501,0,501,1,65535,65535,0,505,0,543,2,65535,65535,0,547,0,563,2,65535,65535,0,572,0,572,1,65535,65535,0,575,0,576,1,0,10815,0,578,0,578,1,65535,65535,0,583,0,591,2,65535,65535,0,592,0,592,1,0,10783,0,593,0,593,1,0,10780,0,594,0,594,1,0,10782,0,595,0,595,1,65535,65326,0,596,0,596,1,65535,65330,0,598,0,599,1,65535,65331,0,601,0,601,1,65535,65334,0,603,0,603,1,65535,65333,0,604,0,604,1,0,42319,0,608,0,608,1,65535,65331,0,609,0,609,1,0,42315,0,611,0,611,1,65535,65329,0,612,0,612,1,0,42343,0,613,0,613,1,0,42280,0,614,0,614,1,0,42308,0,616,0,616,1,65535,65327,0,617,0,617,1,65535,65325,0,618,0,618,1,0,42308,0,619,0,619,1,0,10743,0,620,0,620,1,0,42305,0,623,0,623,1,65535,65325,0,625,0,625,1,0,10749,0,626,0,626,1,65535,65323,0,629,0,629,1,65535,65322,0,637,0,637,1,0,10727,0,640,0,640,1,65535,65318,0,642,0,642,1,0,42307,0,643,0,643,1,65535,65318,0,647,0,647,1,0,42282,0,648,0,648,1,65535,65318,0,649,0,649,1,65535,65467,0,650,0,651,1,65535,65319,0,652,0,652,1,65535,65465,0,658,0,658,1,65535,65317,0,669,0,669,1,0,42261,0,670,0,670,1,0,42258,0,837,0,837,1,0,84,0,881,0,883,2,65535,65535,0,887,0,887,1,65535,65535,0,891,0,893,1,0,130,0,940,0,940,1,65535,65498,0,941,0,943,1,65535,65499,0,945,0,961,1,65535,65504,0,962,0,962,1,65535,65505,0,963,0,971,1,65535,65504,0,972,0,972,1,65535,65472,0,973,0,974,1,65535,65473,0,976,0,976,1,65535,65474,0,977,0,977,1,65535,65479,0,981,0,981,1,65535,65489,0,982,0,982,1,65535,65482,0,983,0,983,1,65535,65528,0,985,0,1007,2,65535,65535,0,1008,0,1008,1,65535,65450,0,1009,0,1009,1,65535,65456,0,1010,0,1010,1,0,7,0,1011,0,1011,1,65535,65420,0,1013,0,1013,1,65535,65440,0,1016,0,1016,1,65535,65535,0,1019,0,1019,1,65535,65535,0,1072,0,1103,1,65535,65504,0,1104,0,1119,1,65535,65456,0,1121,0,1153,2,65535,65535,0,1163,0,1215,2,65535,65535,0,1218,0,1230,2,65535,65535,0,1231,0,1231,1,65535,65521,0,1233,0,1327,2,65535,65535,0,1377,0,1414,1,65535,65488,0,4304,0,4346,1,0,3008,0,4349,0,4351,1,0,3008,0,5112,0,5117,1,65535,65528,0,7296,0,7296,1,65535,59282,0,7297,0,7297,1,65535,59283,0,7298,0,7298,1,65535,59292,0,7299,0,7300,1,65535,59294,0,7301,0,7301,1,65535,59293,0,7302,0,7302,1,65535,59300,0,7303,0,7303,1,65535,59355,0,7304,0,7304,1,0,35266,0,7306,0,7306,1,65535,65535,0,7545,0,7545,1,0,35332,0,7549,0,7549,1,0,3814,0,7566,0,7566,1,0,35384,0,7681,0,7829,2,65535,65535,0,7835,0,7835,1,65535,65477,0,7841,0,7935,2,65535,65535,0,7936,0,7943,1,0,8,0,7952,0,7957,1,0,8,0,7968,0,7975,1,0,8,0,7984,0,7991,1,0,8,0,8000,0,8005,1,0,8,0,8017,0,8023,2,0,8,0,8032,0,8039,1,0,8,0,8048,0,8049,1,0,74,0,8050,0,8053,1,0,86,0,8054,0,8055,1,0,100,0,8056,0,8057,1,0,128,0,8058,0,8059,1,0,112,0,8060,0,8061,1,0,126,0,8112,0,8113,1,0,8,0,8126,0,8126,1,65535,58331,0,8144,0,8145,1,0,8,0,8160,0,8161,1,0,8,0,8165,0,8165,1,0,7,0,8526,0,8526,1,65535,65508,0,8560,0,8575,1,65535,65520,0,8580,0,8580,1,65535,65535,0,9424,0,9449,1,65535,65510,0,11312,0,11359,1,65535,65488,0,11361,0,11361,1,65535,65535,0,11365,0,11365,1,65535,54741,0,11366,0,11366,1,65535,54744,0,11368,0,11372,2,65535,65535,0,11379,0,11379,1,65535,65535,0,11382,0,11382,1,65535,65535,0,11393,0,11491,2,65535,65535,0,11500,0,11502,2,65535,65535,0,11507,0,11507,1,65535,65535,0,11520,0,11557,1,65535,58272,0,11559,0,11559,1,65535,58272,0,11565,0,11565,1,65535,58272,0,42561,0,42605,2,65535,65535,0,42625,0,42651,2,65535,65535,0,42787,0,42799,2,65535,65535,0,42803,0,42863,2,65535,65535,0,42874,0,42876,2,65535,65535,0,42879,0,42887,2,65535,65535,0,42892,0,42892,1,65535,65535,0,42897,0,42899,2,65535,65535,0,42900,0,42900,1,0,48,0,42903,0,42921,2,65535,65535,0,42933,0,42947,2,65535,65535,0,42952,0,42954,2,65535,65535,0,42957,0,42957,1,65535,65535,0,42961,0,42961,1,65535,65535,0,42967,0,42971,2,65535,65535,0,42998,0,42998,1,65535,65535,0,43859,0,43859,1,65535,64608,0,43888,0,43967,1,65535,26672,0,65345,0,65370,1,65535,65504,1,1064,1,1103,1,65535,65496,1,1240,1,1275,1,65535,65496,1,1431,1,1441,1,65535,65497,1,1443,1,1457,1,65535,65497,1,1459,1,1465,1,65535,65497,1,1467,1,1468,1,65535,65497,1,3264,1,3314,1,65535,65472,1,3440,1,3461,1,65535,65504,1,6336,1,6367,1,65535,65504,1,28256,1,28287,1,65535,65504,1,59682,1,59715,1,65535,65502],
+  upperCaseSpecial: [0,223,0,2,0,329,2,2,0,496,4,2,0,912,6,3,0,944,9,3,0,1415,12,2,0,7830,14,2,0,7831,16,2,0,7832,18,2,0,7833,20,2,0,7834,22,2,0,8016,24,2,0,8018,26,3,0,8020,29,3,0,8022,32,3,0,8064,35,2,0,8065,37,2,0,8066,39,2,0,8067,41,2,0,8068,43,2,0,8069,45,2,0,8070,47,2,0,8071,49,2,0,8072,51,2,0,8073,53,2,0,8074,55,2,0,8075,57,2,0,8076,59,2,0,8077,61,2,0,8078,63,2,0,8079,65,2,0,8080,67,2,0,8081,69,2,0,8082,71,2,0,8083,73,2,0,8084,75,2,0,8085,77,2,0,8086,79,2,0,8087,81,2,0,8088,83,2,0,8089,85,2,0,8090,87,2,0,8091,89,2,0,8092,91,2,0,8093,93,2,0,8094,95,2,0,8095,97,2,0,8096,99,2,0,8097,101,2,0,8098,103,2,0,8099,105,2,0,8100,107,2,0,8101,109,2,0,8102,111,2,0,8103,113,2,0,8104,115,2,0,8105,117,2,0,8106,119,2,0,8107,121,2,0,8108,123,2,0,8109,125,2,0,8110,127,2,0,8111,129,2,0,8114,131,2,0,8115,133,2,0,8116,135,2,0,8118,137,2,0,8119,139,3,0,8124,142,2,0,8130,144,2,0,8131,146,2,0,8132,148,2,0,8134,150,2,0,8135,152,3,0,8140,155,2,0,8146,157,3,0,8147,160,3,0,8150,163,2,0,8151,165,3,0,8162,168,3,0,8163,171,3,0,8164,174,2,0,8166,176,2,0,8167,178,3,0,8178,181,2,0,8179,183,2,0,8180,185,2,0,8182,187,2,0,8183,189,3,0,8188,192,2,0,64256,194,2,0,64257,196,2,0,64258,198,2,0,64259,200,3,0,64260,203,3,0,64261,206,2,0,64262,208,2,0,64275,210,2,0,64276,212,2,0,64277,214,2,0,64278,216,2,0,64279,218,2],
+  upperCaseSpecialData: [83,83,700,78,74,780,921,776,769,933,776,769,1333,1362,72,817,84,776,87,778,89,778,65,702,933,787,933,787,768,933,787,769,933,787,834,7944,921,7945,921,7946,921,7947,921,7948,921,7949,921,7950,921,7951,921,7944,921,7945,921,7946,921,7947,921,7948,921,7949,921,7950,921,7951,921,7976,921,7977,921,7978,921,7979,921,7980,921,7981,921,7982,921,7983,921,7976,921,7977,921,7978,921,7979,921,7980,921,7981,921,7982,921,7983,921,8040,921,8041,921,8042,921,8043,921,8044,921,8045,921,8046,921,8047,921,8040,921,8041,921,8042,921,8043,921,8044,921,8045,921,8046,921,8047,921,8122,921,913,921,902,921,913,834,913,834,921,913,921,8138,921,919,921,905,921,919,834,919,834,921,919,921,921,776,768,921,776,769,921,834,921,776,834,933,776,768,933,776,769,929,787,933,834,933,776,834,8186,921,937,921,911,921,937,834,937,834,921,937,921,70,70,70,73,70,76,70,70,73,70,70,76,83,84,83,84,1348,1350,1348,1333,1348,1339,1358,1350,1348,1341],
+  lowerCase: [0,65,0,90,1,0,32,0,192,0,214,1,0,32,0,216,0,222,1,0,32,0,256,0,302,2,0,1,0,306,0,310,2,0,1,0,313,0,327,2,0,1,0,330,0,374,2,0,1,0,376,0,376,1,65535,65415,0,377,0,381,2,0,1,0,385,0,385,1,0,210,0,386,0,388,2,0,1,0,390,0,390,1,0,206,0,391,0,391,1,0,1,0,393,0,394,1,0,205,0,395,0,395,1,0,1,0,398,0,398,1,0,79,0,399,0,399,1,0,202,0,400,0,400,1,0,203,0,401,0,401,1,0,1,0,403,0,403,1,0,205,0,404,0,404,1,0,207,0,406,0,406,1,0,211,0,407,0,407,1,0,209,0,408,0,408,1,0,1,0,412,0,412,1,0,211,0,413,0,413,1,0,213,0,415,0,415,1,0,214,0,416,0,420,2,0,1,0,422,0,422,1,0,218,0,423,0,423,1,0,1,0,425,0,425,1,0,218,0,428,0,428,1,0,1,0,430,0,430,1,0,218,0,431,0,431,1,0,1,0,433,0,434,1,0,217,0,435,0,437,2,0,1,0,439,0,439,1,0,219,0,440,0,440,1,0,1,0,444,0,444,1,0,1,0,452,0,452,1,0,2,0,453,0,453,1,0,1,0,455,0,455,1,0,2,0,456,0,456,1,0,1,0,458,0,458,1,0,2,0,459,0,475,2,0,1,0,478,0,494,2,0,1,0,497,0,497,1,0,2,0,498,0,500,2,0,1,0,502,0,502,1,65535,65439,0,503,0,503,1,65535,65480,0,504,0,542,2,0,1,0,544,0,544,1,65535,65406,0,546,0,562,2,0,1,0,570,0,570,1,0,10795,0,571,0,571,1,0,1,0,573,0,573,1,65535,65373,0,574,0,574,1,0,10792,0,577,0,577,1,0,1,0,579,0,579,1,65535,65341,0,580,0,580,1,0,69,0,581,0,581,1,0,71,0,582,0,590,2,0,1,0,880,0,882,2,0,1,0,886,0,886,1,0,1,0,895,0,895,1,0,116,0,902,0,902,1,0,38,0,904,0,906,1,0,37,0,908,0,908,1,0,64,0,910,0,911,1,0,63,0,913,0,929,1,0,32,0,931,0,939,1,0,32,0,975,0,975,1,0,8,0,984,0,1006,2,0,1,0,1012,0,1012,1,65535,65476,0,1015,0,1015,1,0,1,0,1017,0,1017,1,65535,65529,0,1018,0,1018,1,0,1,0,1021,0,1023,1,65535,65406,0,1024,0,1039,1,0,80,0,1040,0,1071,1,0,32,0,1120,0,1152,2,0,1,0,1162,0,1214,2,0,1,0,1216,0,1216,1,0,15,0,1217,0,1229,2,0,1,0,1232,0,1326,2,0,1,0,1329,0,1366,1,0,48,0,4256,0,4293,1,0,7264,0,4295,0,4295,1,0,7264,0,4301,0,4301,1,0,7264,0,5024,0,5103,1,0,38864,0,5104,0,5109,1,0,8,0,7305,0,7305,1,0,1,0,7312,0,7354,1,65535,62528,0,7357,0,7359,1,65535,62528,0,7680,0,7828,2,0,1,0,7838,0,7838,1,65535,57921,0,7840,0,7934,2,0,1,0,7944,0,7951,1,65535,65528,0,7960,0,7965,1,65535,65528,0,7976,0,7983,1,65535,65528,0,7992,0,7999,1,65535,65528,0,8008,0,8013,1,65535,65528,0,8025,0,8031,2,65535,65528,0,8040,0,8047,1,65535,65528,0,8072,0,8079,1,65535,65528,0,8088,0,8095,1,65535,65528,0,8104,0,8111,1,65535,65528,0,8120,0,8121,1,65535,65528,0,8122,0,8123,1,65535,65462,0,8124,0,8124,1,65535,65527,0,8136,0,8139,1,65535,65450,0,8140,0,8140,1,65535,65527,0,8152,0,8153,1,65535,65528,0,8154,0,8155,1,65535,65436,0,8168,0,8169,1,65535,65528,0,8170,0,8171,1,65535,65424,0,8172,0,8172,1,65535,65529,0,8184,0,8185,1,65535,65408,0,8186,0,8187,1,65535,65410,0,8188,0,8188,1,65535,65527,0,8486,0,8486,1,65535,58019,0,8490,0,8490,1,65535,57153,0,8491,0,8491,1,65535,57274,0,8498,0,8498,1,0,28,0,8544,0,8559,1,0,16,0,8579,0,8579,1,0,1,0,9398,0,9423,1,0,26,0,11264,0,11311,1,0,48,0,11360,0,11360,1,0,1,0,11362,0,11362,1,65535,54793,0,11363,0,11363,1,65535,61722,0,11364,0,11364,1,65535,54809,0,11367,0,11371,2,0,1,0,11373,0,11373,1,65535,54756,0,11374,0,11374,1,65535,54787,0,11375,0,11375,1,65535,54753,0,11376,0,11376,1,65535,54754,0,11378,0,11378,1,0,1,0,11381,0,11381,1,0,1,0,11390,0,11391,1,65535,54721,0,11392,0,11490,2,0,1,0,11499,0,11501,2,0,1,0,11506,0,11506,1,0,1,0,42560,0,42604,2,0,1,0,42624,0,42650,2,0,1,0,42786,0,42798,2,0,1,0,42802,0,42862,2,0,1,0,42873,0,42875,2,0,1,0,42877,0,42877,1,65535,30204,0,42878,0,42886,2,0,1,0,42891,0,42891,1,0,1,0,42893,0,42893,1,65535,23256,0,42896,0,42898,2,0,1,0,42902,0,42920,2,0,1,0,42922,0,42922,1,65535,23228,0,42923,0,42923,1,65535,23217,0,42924,0,42924,1,65535,23221,0,42925,0,42925,1,65535,23231,0,42926,0,42926,1,65535,23228,0,42928,0,42928,1,65535,23278,0,42929,0,42929,1,65535,23254,0,42930,0,42930,1,65535,23275,0,42931,0,42931,1,0,928,0,42932,0,42946,2,0,1,0,42948,0,42948,1,65535,65488,0,42949,0,42949,1,65535,23229,0,42950,0,42950,1,65535,30152,0,42951,0,42953,2,0,1,0,42955,0,42955,1,65535,23193,0,42956,0,42956,1,0,1,0,42960,0,42960,1,0,1,0,42966,0,42970,2,0,1,0,42972,0,42972,1,65535,22975,0,42997,0,42997,1,0,1,0,65313,0,65338,1,0,32,1,1024,1,1063,1,0,40,1,1200,1,1235,1,0,40,1,1392,1,1402,1,0,39,1,1404,1,1418,1,0,39,1,1420,1,1426,1,0,39,1,1428,1,1429,1,0,39,1,3200,1,3250,1,0,64,1,3408,1,3429,1,0,32,1,6304,1,6335,1,0,32,1,28224,1,28255,1,0,32,1,59648,1,59681,1,0,34],
+  lowerCaseSpecial: [0,304,0,2],
+  lowerCaseSpecialData: [105,775],
+  caseIgnorable: [0,39,0,39,0,46,0,46,0,58,0,58,0,94,0,94,0,96,0,96,0,168,0,168,0,173,0,173,0,175,0,175,0,180,0,180,0,183,0,184,0,688,0,879,0,884,0,885,0,890,0,890,0,900,0,901,0,903,0,903,0,1155,0,1161,0,1369,0,1369,0,1375,0,1375,0,1425,0,1469,0,1471,0,1471,0,1473,0,1474,0,1476,0,1477,0,1479,0,1479,0,1524,0,1524,0,1536,0,1541,0,1552,0,1562,0,1564,0,1564,0,1600,0,1600,0,1611,0,1631,0,1648,0,1648,0,1750,0,1757,0,1759,0,1768,0,1770,0,1773,0,1807,0,1807,0,1809,0,1809,0,1840,0,1866,0,1958,0,1968,0,2027,0,2037,0,2042,0,2042,0,2045,0,2045,0,2070,0,2093,0,2137,0,2139,0,2184,0,2184,0,2192,0,2193,0,2199,0,2207,0,2249,0,2306,0,2362,0,2362,0,2364,0,2364,0,2369,0,2376,0,2381,0,2381,0,2385,0,2391,0,2402,0,2403,0,2417,0,2417,0,2433,0,2433,0,2492,0,2492,0,2497,0,2500,0,2509,0,2509,0,2530,0,2531,0,2558,0,2558,0,2561,0,2562,0,2620,0,2620,0,2625,0,2626,0,2631,0,2632,0,2635,0,2637,0,2641,0,2641,0,2672,0,2673,0,2677,0,2677,0,2689,0,2690,0,2748,0,2748,0,2753,0,2757,0,2759,0,2760,0,2765,0,2765,0,2786,0,2787,0,2810,0,2815,0,2817,0,2817,0,2876,0,2876,0,2879,0,2879,0,2881,0,2884,0,2893,0,2893,0,2901,0,2902,0,2914,0,2915,0,2946,0,2946,0,3008,0,3008,0,3021,0,3021,0,3072,0,3072,0,3076,0,3076,0,3132,0,3132,0,3134,0,3136,0,3142,0,3144,0,3146,0,3149,0,3157,0,3158,0,3170,0,3171,0,3201,0,3201,0,3260,0,3260,0,3263,0,3263,0,3270,0,3270,0,3276,0,3277,0,3298,0,3299,0,3328,0,3329,0,3387,0,3388,0,3393,0,3396,0,3405,0,3405,0,3426,0,3427,0,3457,0,3457,0,3530,0,3530,0,3538,0,3540,0,3542,0,3542,0,3633,0,3633,0,3636,0,3642,0,3654,0,3662,0,3761,0,3761,0,3764,0,3772,0,3782,0,3782,0,3784,0,3790,0,3864,0,3865,0,3893,0,3893,0,3895,0,3895,0,3897,0,3897,0,3953,0,3966,0,3968,0,3972,0,3974,0,3975,0,3981,0,3991,0,3993,0,4028,0,4038,0,4038,0,4141,0,4144,0,4146,0,4151,0,4153,0,4154,0,4157,0,4158,0,4184,0,4185,0,4190,0,4192,0,4209,0,4212,0,4226,0,4226,0,4229,0,4230,0,4237,0,4237,0,4253,0,4253,0,4348,0,4348,0,4957,0,4959,0,5906,0,5908,0,5938,0,5939,0,5970,0,5971,0,6002,0,6003,0,6068,0,6069,0,6071,0,6077,0,6086,0,6086,0,6089,0,6099,0,6103,0,6103,0,6109,0,6109,0,6155,0,6159,0,6211,0,6211,0,6277,0,6278,0,6313,0,6313,0,6432,0,6434,0,6439,0,6440,0,6450,0,6450,0,6457,0,6459,0,6679,0,6680,0,6683,0,6683,0,6742,0,6742,0,6744,0,6750,0,6752,0,6752,0,6754,0,6754,0,6757,0,6764,0,6771,0,6780,0,6783,0,6783,0,6823,0,6823,0,6832,0,6862,0,6912,0,6915,0,6964,0,6964,0,6966,0,6970,0,6972,0,6972,0,6978,0,6978,0,7019,0,7027,0,7040,0,7041,0,7074,0,7077,0,7080,0,7081,0,7083,0,7085,0,7142,0,7142,0,7144,0,7145,0,7149,0,7149,0,7151,0,7153,0,7212,0,7219,0,7222,0,7223,0,7288,0,7293,0,7376,0,7378,0,7380,0,7392,0,7394,0,7400,0,7405,0,7405,0,7412,0,7412,0,7416,0,7417,0,7468,0,7530,0,7544,0,7544,0,7579,0,7679,0,8125,0,8125,0,8127,0,8129,0,8141,0,8143,0,8157,0,8159,0,8173,0,8175,0,8189,0,8190,0,8203,0,8207,0,8216,0,8217,0,8228,0,8228,0,8231,0,8231,0,8234,0,8238,0,8288,0,8292,0,8294,0,8303,0,8305,0,8305,0,8319,0,8319,0,8336,0,8348,0,8400,0,8432,0,11388,0,11389,0,11503,0,11505,0,11631,0,11631,0,11647,0,11647,0,11744,0,11775,0,11823,0,11823,0,12293,0,12293,0,12330,0,12333,0,12337,0,12341,0,12347,0,12347,0,12441,0,12446,0,12540,0,12542,0,40981,0,40981,0,42232,0,42237,0,42508,0,42508,0,42607,0,42610,0,42612,0,42621,0,42623,0,42623,0,42652,0,42655,0,42736,0,42737,0,42752,0,42785,0,42864,0,42864,0,42888,0,42890,0,42994,0,42996,0,43000,0,43001,0,43010,0,43010,0,43014,0,43014,0,43019,0,43019,0,43045,0,43046,0,43052,0,43052,0,43204,0,43205,0,43232,0,43249,0,43263,0,43263,0,43302,0,43309,0,43335,0,43345,0,43392,0,43394,0,43443,0,43443,0,43446,0,43449,0,43452,0,43453,0,43471,0,43471,0,43493,0,43494,0,43561,0,43566,0,43569,0,43570,0,43573,0,43574,0,43587,0,43587,0,43596,0,43596,0,43632,0,43632,0,43644,0,43644,0,43696,0,43696,0,43698,0,43700,0,43703,0,43704,0,43710,0,43711,0,43713,0,43713,0,43741,0,43741,0,43756,0,43757,0,43763,0,43764,0,43766,0,43766,0,43867,0,43871,0,43881,0,43883,0,44005,0,44005,0,44008,0,44008,0,44013,0,44013,0,64286,0,64286,0,64434,0,64450,0,65024,0,65039,0,65043,0,65043,0,65056,0,65071,0,65106,0,65106,0,65109,0,65109,0,65279,0,65279,0,65287,0,65287,0,65294,0,65294,0,65306,0,65306,0,65342,0,65342,0,65344,0,65344,0,65392,0,65392,0,65438,0,65439,0,65507,0,65507,0,65529,0,65531,1,509,1,509,1,736,1,736,1,886,1,890,1,1920,1,1925,1,1927,1,1968,1,1970,1,1978,1,2561,1,2563,1,2565,1,2566,1,2572,1,2575,1,2616,1,2618,1,2623,1,2623,1,2789,1,2790,1,3364,1,3367,1,3406,1,3406,1,3433,1,3437,1,3439,1,3439,1,3755,1,3756,1,3836,1,3839,1,3910,1,3920,1,3970,1,3973,1,4097,1,4097,1,4152,1,4166,1,4208,1,4208,1,4211,1,4212,1,4223,1,4225,1,4275,1,4278,1,4281,1,4282,1,4285,1,4285,1,4290,1,4290,1,4301,1,4301,1,4352,1,4354,1,4391,1,4395,1,4397,1,4404,1,4467,1,4467,1,4480,1,4481,1,4534,1,4542,1,4553,1,4556,1,4559,1,4559,1,4655,1,4657,1,4660,1,4660,1,4662,1,4663,1,4670,1,4670,1,4673,1,4673,1,4831,1,4831,1,4835,1,4842,1,4864,1,4865,1,4923,1,4924,1,4928,1,4928,1,4966,1,4972,1,4976,1,4980,1,5051,1,5056,1,5070,1,5070,1,5072,1,5072,1,5074,1,5074,1,5089,1,5090,1,5176,1,5183,1,5186,1,5188,1,5190,1,5190,1,5214,1,5214,1,5299,1,5304,1,5306,1,5306,1,5311,1,5312,1,5314,1,5315,1,5554,1,5557,1,5564,1,5565,1,5567,1,5568,1,5596,1,5597,1,5683,1,5690,1,5693,1,5693,1,5695,1,5696,1,5803,1,5803,1,5805,1,5805,1,5808,1,5813,1,5815,1,5815,1,5917,1,5917,1,5919,1,5919,1,5922,1,5925,1,5927,1,5931,1,6191,1,6199,1,6201,1,6202,1,6459,1,6460,1,6462,1,6462,1,6467,1,6467,1,6612,1,6615,1,6618,1,6619,1,6624,1,6624,1,6657,1,6666,1,6707,1,6712,1,6715,1,6718,1,6727,1,6727,1,6737,1,6742,1,6745,1,6747,1,6794,1,6806,1,6808,1,6809,1,7216,1,7222,1,7224,1,7229,1,7231,1,7231,1,7314,1,7335,1,7338,1,7344,1,7346,1,7347,1,7349,1,7350,1,7473,1,7478,1,7482,1,7482,1,7484,1,7485,1,7487,1,7493,1,7495,1,7495,1,7568,1,7569,1,7573,1,7573,1,7575,1,7575,1,7923,1,7924,1,7936,1,7937,1,7990,1,7994,1,8000,1,8000,1,8002,1,8002,1,8026,1,8026,1,13360,1,13376,1,13383,1,13397,1,24862,1,24873,1,24877,1,24879,1,27376,1,27380,1,27440,1,27446,1,27456,1,27459,1,27968,1,27970,1,28011,1,28012,1,28495,1,28495,1,28559,1,28575,1,28640,1,28641,1,28643,1,28644,1,45040,1,45043,1,45045,1,45051,1,45053,1,45054,1,48285,1,48286,1,48288,1,48291,1,52992,1,53037,1,53040,1,53062,1,53607,1,53609,1,53619,1,53634,1,53637,1,53643,1,53674,1,53677,1,53826,1,53828,1,55808,1,55862,1,55867,1,55916,1,55925,1,55925,1,55940,1,55940,1,55963,1,55967,1,55969,1,55983,1,57344,1,57350,1,57352,1,57368,1,57371,1,57377,1,57379,1,57380,1,57382,1,57386,1,57392,1,57453,1,57487,1,57487,1,57648,1,57661,1,58030,1,58030,1,58092,1,58095,1,58603,1,58607,1,58862,1,58863,1,59600,1,59606,1,59716,1,59723,1,62459,1,62463,14,1,14,1,14,32,14,127,14,256,14,495],
+  cased: [0,65,0,90,0,97,0,122,0,170,0,170,0,181,0,181,0,186,0,186,0,192,0,214,0,216,0,246,0,248,0,442,0,444,0,447,0,452,0,659,0,661,0,687,0,880,0,883,0,886,0,887,0,891,0,893,0,895,0,895,0,902,0,902,0,904,0,906,0,908,0,908,0,910,0,929,0,931,0,1013,0,1015,0,1153,0,1162,0,1327,0,1329,0,1366,0,1376,0,1416,0,4256,0,4293,0,4295,0,4295,0,4301,0,4301,0,4304,0,4346,0,4349,0,4351,0,5024,0,5109,0,5112,0,5117,0,7296,0,7306,0,7312,0,7354,0,7357,0,7359,0,7424,0,7467,0,7531,0,7543,0,7545,0,7578,0,7680,0,7957,0,7960,0,7965,0,7968,0,8005,0,8008,0,8013,0,8016,0,8023,0,8025,0,8025,0,8027,0,8027,0,8029,0,8029,0,8031,0,8061,0,8064,0,8116,0,8118,0,8124,0,8126,0,8126,0,8130,0,8132,0,8134,0,8140,0,8144,0,8147,0,8150,0,8155,0,8160,0,8172,0,8178,0,8180,0,8182,0,8188,0,8450,0,8450,0,8455,0,8455,0,8458,0,8467,0,8469,0,8469,0,8473,0,8477,0,8484,0,8484,0,8486,0,8486,0,8488,0,8488,0,8490,0,8493,0,8495,0,8500,0,8505,0,8505,0,8508,0,8511,0,8517,0,8521,0,8526,0,8526,0,8544,0,8575,0,8579,0,8580,0,9398,0,9449,0,11264,0,11387,0,11390,0,11492,0,11499,0,11502,0,11506,0,11507,0,11520,0,11557,0,11559,0,11559,0,11565,0,11565,0,42560,0,42605,0,42624,0,42651,0,42786,0,42863,0,42865,0,42887,0,42891,0,42894,0,42896,0,42957,0,42960,0,42961,0,42963,0,42963,0,42965,0,42972,0,42997,0,42998,0,43002,0,43002,0,43824,0,43866,0,43872,0,43880,0,43888,0,43967,0,64256,0,64262,0,64275,0,64279,0,65313,0,65338,0,65345,0,65370,1,1024,1,1103,1,1200,1,1235,1,1240,1,1275,1,1392,1,1402,1,1404,1,1418,1,1420,1,1426,1,1428,1,1429,1,1431,1,1441,1,1443,1,1457,1,1459,1,1465,1,1467,1,1468,1,3200,1,3250,1,3264,1,3314,1,3408,1,3429,1,3440,1,3461,1,6304,1,6367,1,28224,1,28287,1,54272,1,54356,1,54358,1,54428,1,54430,1,54431,1,54434,1,54434,1,54437,1,54438,1,54441,1,54444,1,54446,1,54457,1,54459,1,54459,1,54461,1,54467,1,54469,1,54533,1,54535,1,54538,1,54541,1,54548,1,54550,1,54556,1,54558,1,54585,1,54587,1,54590,1,54592,1,54596,1,54598,1,54598,1,54602,1,54608,1,54610,1,54949,1,54952,1,54976,1,54978,1,55002,1,55004,1,55034,1,55036,1,55060,1,55062,1,55092,1,55094,1,55118,1,55120,1,55150,1,55152,1,55176,1,55178,1,55208,1,55210,1,55234,1,55236,1,55243,1,57088,1,57097,1,57099,1,57118,1,57125,1,57130,1,59648,1,59715,1,61744,1,61769,1,61776,1,61801,1,61808,1,61833]
+};
@@ -233,6 +233,7 @@ export const Opcodes = {
   memory_init: [ 0xfc, 0x08 ],
   data_drop: [ 0xfc, 0x09 ],
   memory_copy: [ 0xfc, 0x0a ],
+  memory_fill: [ 0xfc, 0x0b ],
 
   // simd insts are 0xFD simdop: varuint32
   v128_load: [ 0xfd, 0x00 ],
@@ -5,6 +5,7 @@ import { TYPES, TYPE_NAMES } from './types.js';
 import './prefs.js';
 
 const fs = (typeof process?.version !== 'undefined' ? (await import('node:fs')) : undefined);
+const WASI = (Prefs.target === 'wasi' && typeof process?.version !== 'undefined' ? (await import('node:wasi')).WASI : undefined);
 
 let dv;
 const read = (ta, memory, ptr, length) => {
@@ -12,6 +13,18 @@ const read = (ta, memory, ptr, length) => {
   return new ta(memory.buffer.slice(ptr, ptr + length * ta.BYTES_PER_ELEMENT), 0, length);
 };
 
+const float16ToNumber = bits => {
+  const exp = (bits >> 10) & 0x1f;
+  const mantissa = bits & 0x3ff;
+
+  let out;
+  if (exp === 0x1f) out = mantissa === 0 ? Infinity : NaN;
+    else if (exp === 0) out = mantissa * 2 ** -24;
+    else out = (mantissa + 1024) * 2 ** (exp - 25);
+
+  return bits & 0x8000 ? -out : out;
+};
+
 const readByteStr = (memory, ptr) => {
   const length = read(Uint32Array, memory, ptr, 1)[0];
   return Array.from(read(Uint8Array, memory, ptr + 4, length)).map(x => String.fromCharCode(x)).join('');
@@ -136,6 +149,9 @@ ${flags & 0b0001 ? `    get func idx: ${get}
       // anonymous functions
       if (name.startsWith('#')) name = '';
 
+      // eg: foo#1 -> foo (renamed by semantic/linker)
+      name = name.split('#')[0];
+
       // make fake empty func for repl/etc
       return {[name]() {}}[name];
     }
@@ -224,18 +240,100 @@ ${flags & 0b0001 ? `    get func idx: ${get}
       return read(globalThis[TYPE_NAMES[type]], memory, ptr + 4, length);
     }
 
+    case TYPES.float16array: {
+      const [ length, ptr ] = read(Uint32Array, memory, value, 2);
+      const bits = read(Uint16Array, memory, ptr + 4, length);
+
+      // hosts without Float16Array get an array of numbers
+      if (globalThis.Float16Array) return new Float16Array(bits.buffer);
+      return Array.from(bits, float16ToNumber);
+    }
+
     case TYPES.weakref: {
       const v = read(Float64Array, memory, value, 1)[0];
       const t = read(Uint8Array, memory, value + 8, 1)[0];
 
+      // cleared by the gc, to an object nothing else references
+      if (t === TYPES.undefined) return new WeakRef({});
+
       return new WeakRef(porfToJSValue({ memory, funcs, pages }, v, t));
     }
 
-    case TYPES.weakset:
+    case TYPES.textencoder: return new TextEncoder();
+    case TYPES.textdecoder: {
+      const [ encoding, fatal, ignoreBOM ] = read(Uint8Array, memory, value, 3);
+      return new TextDecoder([ 'utf-8', 'utf-16le', 'windows-1252' ][encoding], { fatal: !!fatal, ignoreBOM: !!ignoreBOM });
+    }
+
+    case TYPES.intl_numberformat:
+    case TYPES.intl_datetimeformat:
+    case TYPES.intl_collator:
+    case TYPES.intl_pluralrules: {
+      // make again from its options, internal ones are ignored
+      const options = porfToJSValue({ memory, funcs, pages }, read(Uint32Array, memory, value, 1)[0], TYPES.object);
+      return new Intl[TYPE_NAMES[type].slice(5)](options.locale, options);
+    }
+
+    case TYPES.temporal_instant:
+    case TYPES.temporal_plaindate:
+    case TYPES.temporal_plaintime:
+    case TYPES.temporal_plaindatetime:
+    case TYPES.temporal_duration: {
+      // made with the host's Temporal if it has one, otherwise an object of its fields
+      const name = TYPE_NAMES[type].slice(9);
+      const fields = {};
+
+      if (type === TYPES.temporal_instant) {
+        const [ ms, ns ] = read(Float64Array, memory, value, 2);
+        fields.epochNanoseconds = BigInt(ms) * 1000000n + BigInt(ns);
+      } else if (type === TYPES.temporal_duration) {
+        const values = read(Float64Array, memory, value, 10);
+        [ 'years', 'months', 'weeks', 'days', 'hours', 'minutes', 'seconds', 'milliseconds', 'microseconds', 'nanoseconds' ]
+          .forEach((x, i) => fields[x] = values[i]);
+      } else {
+        const values = read(Float64Array, memory, value, type === TYPES.temporal_plaindatetime ? 2 : 1);
+        if (type !== TYPES.temporal_plaintime) {
+          const date = new Date(values[0] * 86400000);
+          fields.isoYear = date.getUTCFullYear();
+          fields.isoMonth = date.getUTCMonth() + 1;
+          fields.isoDay = date.getUTCDate();
+        }
+
+        if (type !== TYPES.temporal_plaindate) {
+          const time = values.at(-1);
+          fields.hour = Math.floor(time / 3600e9);
+          fields.minute = Math.floor(time / 60e9) % 60;
+          fields.second = Math.floor(time / 1e9) % 60;
+          fields.millisecond = Math.floor(time / 1e6) % 1000;
+          fields.microsecond = Math.floor(time / 1e3) % 1000;
+          fields.nanosecond = time % 1000;
+        }
+      }
+
+      if (globalThis.Temporal) return new Temporal[name](...Object.values(fields));
+      return fields;
+    }
+
+    case TYPES.proxy: {
+      const target = porfToJSValue({ memory, funcs, pages }, read(Float64Array, memory, value, 1)[0], read(Uint8Array, memory, value + 8, 1)[0]);
+      const handlerType = read(Uint8Array, memory, value + 17, 1)[0];
+      const handler = handlerType === TYPES.object && read(Float64Array, memory, value + 9, 1)[0] === 0 ? null :
+        porfToJSValue({ memory, funcs, pages }, read(Float64Array, memory, value + 9, 1)[0], handlerType);
+
+      // traps are not callable from js, so only the target is visible
+      if (handler == null) {
+        const { proxy, revoke } = Proxy.revocable(target, {});
+        revoke();
+        return proxy;
+      }
+
+      return new Proxy(target, {});
+    }
+
     case TYPES.set: {
       const size = read(Uint32Array, memory, value, 1)[0];
 
-      const out = type === TYPES.weakset ? new WeakSet() : new Set();
+      const out = new Set();
       for (let i = 0; i < size; i++) {
         const offset = value + 4 + (i * 9);
         const v = read(Float64Array, memory, offset, 1)[0];
@@ -247,12 +345,14 @@ ${flags & 0b0001 ? `    get func idx: ${get}
       return out;
     }
 
+    case TYPES.weakset:
     case TYPES.weakmap:
     case TYPES.map: {
       const [ keysPtr, valsPtr ] = read(Uint32Array, memory, value, 2);
       const size = read(Uint32Array, memory, keysPtr, 1)[0];
 
-      const out = type === TYPES.weakmap ? new WeakMap() : new Map();
+      // weak sets are laid out as maps of values to true
+      const out = type === TYPES.weakset ? new WeakSet() : (type === TYPES.weakmap ? new WeakMap() : new Map());
       for (let i = 0; i < size; i++) {
         const offset = 4 + (i * 9);
 
@@ -260,6 +360,11 @@ ${flags & 0b0001 ? `    get func idx: ${get}
         const kType = read(Uint8Array, memory, keysPtr + offset + 8, 1)[0];
         const k = porfToJSValue({ memory, funcs, pages }, kValue, kType);
 
+        if (type === TYPES.weakset) {
+          out.add(k);
+          continue;
+        }
+
         const vValue = read(Float64Array, memory, valsPtr + offset, 1)[0];
         const vType = read(Uint8Array, memory, valsPtr + offset + 8, 1)[0];
         const v = porfToJSValue({ memory, funcs, pages }, vValue, vType);
@@ -302,20 +407,41 @@ ${flags & 0b0001 ? `    get func idx: ${get}
     case TYPES.rangeerror:
     case TYPES.evalerror:
     case TYPES.urierror:
+    case TYPES.suppressederror:
+    case TYPES.domexception:
     case TYPES.test262error: {
       const message = porfToJSValue({ memory, funcs, pages }, read(Uint32Array, memory, value, 1)[0], read(Uint8Array, memory, value + 4, 1)[0]);
-      const name = TYPE_NAMES[type];
-      const err = new (globalThis[name] ?? Error)(message);
+      let name = TYPE_NAMES[type], err;
+      if (type === TYPES.domexception) {
+        // name is stored (and only has a getter)
+        name = porfToJSValue({ memory, funcs, pages }, read(Float64Array, memory, value + 12, 1)[0], read(Uint8Array, memory, value + 20, 1)[0]);
+        err = new DOMException(message, name);
+      } else {
+        err = new (globalThis[name] ?? Error)(message);
+        err.name = name;
+      }
+
+      err.stack = message ? `${name}: ${message}` : name;
+
+      if (type === TYPES.suppressederror) {
+        err.error = porfToJSValue({ memory, funcs, pages }, read(Float64Array, memory, value + 12, 1)[0], read(Uint8Array, memory, value + 20, 1)[0]);
+        err.suppressed = porfToJSValue({ memory, funcs, pages }, read(Float64Array, memory, value + 21, 1)[0], read(Uint8Array, memory, value + 29, 1)[0]);
+      }
+
+      // frames captured when constructed, count (u32) then string pointers
+      const frames = read(Uint32Array, memory, value + 8, 1)[0];
+      if (frames !== 0) {
+        const count = read(Uint32Array, memory, frames, 1)[0];
+        for (const x of read(Uint32Array, memory, frames + 4, count)) {
+          err.stack += `\n    at ${porfToJSValue({ memory, funcs, pages }, x, TYPES.string)}`;
+        }
+      }
 
-      err.name = name;
-      err.stack = `${name}: ${message}`;
       return err;
     }
 
     case TYPES.__porffor_generator: {
-      const values = porfToJSValue({ memory, funcs, pages }, value, TYPES.array);
-
-      const out = { values };
+      const out = {};
       Object.defineProperty(out, Symbol.for('nodejs.util.inspect.custom'), {
         value(depth, opts, inspect) {
           return `${opts.colors ? '\x1B[36m' : ''}Generator${opts.colors ? '\x1B[0m' : ''} ()`;
@@ -325,6 +451,31 @@ ${flags & 0b0001 ? `    get func idx: ${get}
       return out;
     }
 
+    case TYPES.iteratorhelper: {
+      const out = {};
+      Object.defineProperty(out, Symbol.for('nodejs.util.inspect.custom'), {
+        value(depth, opts, inspect) {
+          return 'Object [Iterator Helper] {}';
+        }
+      });
+
+      return out;
+    }
+
+    case TYPES.finalizationregistry:
+    case TYPES.disposablestack:
+    case TYPES.asyncdisposablestack: {
+      const name = TYPE_NAMES[type];
+      const out = {};
+      Object.defineProperty(out, Symbol.for('nodejs.util.inspect.custom'), {
+        value(depth, opts, inspect) {
+          return `${name} {}`;
+        }
+      });
+
+      return out;
+    }
+
     case TYPES.bigint: {
       if (Math.abs(value) < 0x8000000000000) {
         return BigInt(value);
@@ -489,7 +640,175 @@ ${flags & 0b0001 ? `    get func idx: ${get}
   }
 };
 
-export { createImport };
+// same as __Porffor_object_hash, xxh32-based hash of key bytes
+const hashKey = bytes => {
+  const len = bytes.length;
+  let hash = 374761393 + len;
+
+  const rotl = (n, k) => (n << k) | (n >>> (32 - k));
+  for (let i = 0; i <= len; i += 4) {
+    const chunk = bytes[i] | bytes[i + 1] << 8 | bytes[i + 2] << 16 | bytes[i + 3] << 24;
+    hash = Math.imul(rotl(hash + Math.imul(chunk, 3266489917), 17), 668265263);
+  }
+
+  // final avalanche
+  hash = Math.imul(hash ^ (hash >>> 15), 2246822519);
+  hash = Math.imul(hash ^ (hash >>> 13), 3266489917);
+  return (hash ^ (hash >>> 16)) >>> 0;
+};
+
+const jsToPorfValue = ({ memory, malloc }, value, seen = new Map()) => {
+  switch (typeof value) {
+    case 'undefined': return [ 0, TYPES.undefined ];
+    case 'number': return [ value, TYPES.number ];
+    case 'boolean': return [ value ? 1 : 0, TYPES.boolean ];
+
+    case 'string': {
+      let bytestring = true;
+      for (let i = 0; i < value.length; i++) {
+        if (value.charCodeAt(i) > 0xFF) {
+          bytestring = false;
+          break;
+        }
+      }
+
+      const ptr = malloc(4 + value.length * (bytestring ? 1 : 2));
+      if (bytestring) {
+        writeByteStr(memory, ptr, value);
+        return [ ptr, TYPES.bytestring ];
+      }
+
+      const view = new DataView(memory.buffer);
+      view.setUint32(ptr, value.length, true);
+      for (let i = 0; i < value.length; i++) {
+        view.setUint16(ptr + 4 + i * 2, value.charCodeAt(i), true);
+      }
+
+      return [ ptr, TYPES.string ];
+    }
+
+    case 'bigint': {
+      // small values are stored inline
+      if (value < 0x8000000000000n && value > -0x8000000000000n) return [ Number(value), TYPES.bigint ];
+
+      const negative = value < 0n;
+      if (negative) value = -value;
+
+      // base 2^32 digits, most to least significant
+      const digits = [];
+      while (value > 0n) {
+        digits.unshift(Number(value & 0xffffffffn));
+        value >>= 32n;
+      }
+
+      const ptr = malloc(4 + digits.length * 4);
+      const view = new DataView(memory.buffer);
+      view.setUint8(ptr, negative ? 1 : 0);
+      view.setUint16(ptr + 2, digits.length, true);
+      for (let i = 0; i < digits.length; i++) {
+        view.setUint32(ptr + 4 + i * 4, digits[i], true);
+      }
+
+      return [ ptr + 0x8000000000000, TYPES.bigint ];
+    }
+
+    case 'object': {
+      if (value === null) return [ 0, TYPES.object ];
+      if (seen.has(value)) return seen.get(value);
+
+      if (Array.isArray(value)) {
+        // allocate at least a page like porffor arrays so they can grow
+        const ptr = malloc(Math.max(pageSize, 4 + value.length * 9));
+        seen.set(value, [ ptr, TYPES.array ]);
+
+        new DataView(memory.buffer).setUint32(ptr, value.length, true);
+        for (let i = 0; i < value.length; i++) {
+          const [ v, t ] = jsToPorfValue({ memory, malloc }, value[i], seen);
+
+          // memory may have grown
+          const view = new DataView(memory.buffer);
+          view.setFloat64(ptr + 4 + i * 9, v, true);
+          view.setUint8(ptr + 4 + i * 9 + 8, t);
+        }
+
+        return [ ptr, TYPES.array ];
+      }
+
+      if (value instanceof ArrayBuffer) {
+        const ptr = malloc(4 + value.byteLength);
+        seen.set(value, [ ptr, TYPES.arraybuffer ]);
+
+        new DataView(memory.buffer).setUint32(ptr, value.byteLength, true);
+        read(Uint8Array, memory, ptr + 4, value.byteLength).set(new Uint8Array(value));
+
+        return [ ptr, TYPES.arraybuffer ];
+      }
+
+      if (ArrayBuffer.isView(value) && !(value instanceof DataView)) {
+        const type = TYPES[value.constructor.name.toLowerCase()];
+        if (type == null) throw new TypeError(`porffor: cannot pass ${value.constructor.name} to Porffor`);
+
+        // copy the whole buffer so other views of it keep working in porffor
+        const [ bufferPtr ] = jsToPorfValue({ memory, malloc }, value.buffer, seen);
+        const ptr = malloc(12);
+        seen.set(value, [ ptr, type ]);
+
+        const view = new DataView(memory.buffer);
+        view.setUint32(ptr, value.length, true);
+        view.setUint32(ptr + 4, bufferPtr + value.byteOffset, true);
+        view.setUint32(ptr + 8, value.byteOffset, true);
+
+        return [ ptr, type ];
+      }
+
+      const proto = Object.getPrototypeOf(value);
+      if (proto !== Object.prototype && proto !== null) throw new TypeError(`porffor: cannot pass ${proto?.constructor?.name ?? 'object'} to Porffor`);
+
+      const keys = Object.keys(value);
+
+      // allocate at least a page like porffor objects so they can grow
+      const ptr = malloc(Math.max(pageSize, 8 + keys.length * 18));
+      seen.set(value, [ ptr, TYPES.object ]);
+
+      new DataView(memory.buffer).setUint16(ptr, keys.length, true);
+      for (let i = 0; i < keys.length; i++) {
+        const [ k, kType ] = jsToPorfValue({ memory, malloc }, keys[i], seen);
+        const [ v, vType ] = jsToPorfValue({ memory, malloc }, value[keys[i]], seen);
+
+        const kLength = read(Uint32Array, memory, k, 1)[0] * (kType === TYPES.string ? 2 : 1);
+
+        const offset = ptr + 8 + i * 18;
+        const view = new DataView(memory.buffer);
+        view.setUint32(offset, hashKey(read(Uint8Array, memory, k + 4, kLength)), true);
+        view.setUint32(offset + 4, kType === TYPES.string ? (k | 0x80000000) >>> 0 : k, true);
+        view.setFloat64(offset + 8, v, true);
+
+        // writable, enumerable, configurable
+        view.setUint8(offset + 16, 0b1110);
+        view.setUint8(offset + 17, vType);
+      }
+
+      return [ ptr, TYPES.object ];
+    }
+  }
+
+  throw new TypeError(`porffor: cannot pass ${typeof value} to Porffor`);
+};
+
+export { createImport, porfToJSValue };
+
+// argv given to the porffor world, like node: [ runtime, script, ...args ]
+const hostArgv = () => {
+  if (typeof process === 'undefined') return [];
+
+  const fileIndex = process.argv.indexOf(globalThis.file);
+  return [ process.argv[0], ...(fileIndex === -1 ? [] : process.argv.slice(fileIndex)) ];
+};
+
+const hostEnv = () => {
+  if (typeof process === 'undefined') return [];
+  return Object.entries(process.env).map(([ k, v ]) => `${k}=${v}`);
+};
 
 /**
  * Compile given JavaScript source code. // todo: more docs here (sorry)
@@ -504,6 +823,64 @@ export default (source, module = undefined, print = str => process.stdout.write(
   createImport('time', 0, 1, () => performance.now());
   createImport('timeOrigin', 0, 1, () => performance.timeOrigin);
 
+  let memory;
+  const readHostString = strs => (index, outPtr, capacity) => {
+    const str = strs()[index];
+    if (str == null) return -1;
+
+    const bytes = new TextEncoder().encode(str);
+    if (bytes.length <= capacity) read(Uint8Array, memory, outPtr, bytes.length).set(bytes);
+
+    return bytes.length;
+  };
+  createImport('readArgv', 3, 1, readHostString(hostArgv));
+  createImport('readEnv', 3, 1, readHostString(hostEnv));
+  createImport('exit', 1, 0, code => process.exit(code));
+
+  // block the thread for timers, the event loop runs synchronously in main
+  const sleepCell = new Int32Array(new SharedArrayBuffer(4));
+  createImport('sleep', 1, 0, ms => Atomics.wait(sleepCell, 0, 0, ms));
+
+  // filesystem for Porffor.fs/node:fs, read results are kept pending
+  // until the porffor world has allocated for them and takes them
+  let fsPending = new Uint8Array();
+  const fsPath = (ptr, len) => new TextDecoder().decode(read(Uint8Array, memory, ptr, len));
+  const fsError = e => ({ ENOENT: -1, EACCES: -2, EPERM: -2, EISDIR: -3, ENOTDIR: -4 })[e.code] ?? -5;
+  const fsCall = f => (...args) => {
+    try {
+      return f(...args);
+    } catch (e) {
+      if (typeof e.code !== 'string') throw e;
+      return fsError(e);
+    }
+  };
+
+  createImport('fsRead', 2, 1, fsCall((ptr, len) => {
+    fsPending = fs.readFileSync(len === -1 ? 0 : fsPath(ptr, len));
+    return fsPending.length;
+  }));
+  createImport('fsReaddir', 2, 1, fsCall((ptr, len) => {
+    fsPending = new TextEncoder().encode(fs.readdirSync(fsPath(ptr, len)).map(x => x + '\0').join(''));
+    return fsPending.length;
+  }));
+  createImport('fsTake', 1, 0, outPtr => {
+    read(Uint8Array, memory, outPtr, fsPending.length).set(fsPending);
+    fsPending = new Uint8Array();
+  });
+  createImport('fsWrite', 5, 1, fsCall((ptr, len, dataPtr, dataLen, append) => {
+    fs[append ? 'appendFileSync' : 'writeFileSync'](fsPath(ptr, len), read(Uint8Array, memory, dataPtr, dataLen));
+    return 0;
+  }));
+  createImport('fsStat', 3, 1, fsCall((ptr, len, outPtr) => {
+    const stat = fs.statSync(fsPath(ptr, len));
+
+    const view = new DataView(memory.buffer);
+    view.setFloat64(outPtr, stat.size, true);
+    view.setFloat64(outPtr + 8, stat.mtimeMs, true);
+
+    return stat.isFile() ? 1 : (stat.isDirectory() ? 2 : 3);
+  }));
+
   const times = [];
 
   const t1 = performance.now();
@@ -555,18 +932,30 @@ export default (source, module = undefined, print = str => process.stdout.write(
 
   const t2 = performance.now();
 
-  let instance;
+  let instance, wasi;
   try {
     const module = new WebAssembly.Module(wasm);
-    instance = new WebAssembly.Instance(module, {
-      '': Object.keys(importedFuncs).reduce((acc, y) => {
-        const x = importedFuncs[y];
-        if (!x.import) return acc;
-
-        acc[x.import] = x.js ?? (() => {});
-        return acc;
-      }, {})
-    });
+
+    const imports = {};
+    for (const y in importedFuncs) {
+      const x = importedFuncs[y];
+      if (!x.import) continue;
+
+      imports[x.module] ??= {};
+      imports[x.module][x.import] = x.js ?? (() => {});
+    }
+
+    if (Prefs.target === 'wasi') {
+      wasi = new WASI({
+        version: 'preview1',
+        args: hostArgv(),
+        env: process.env,
+        returnOnExit: true
+      });
+      imports.wasi_snapshot_preview1 = wasi.wasiImport;
+    }
+
+    instance = new WebAssembly.Instance(module, imports);
   } catch (e) {
     if (!Prefs.d) throw e;
     if (!(e instanceof WebAssembly.CompileError)) throw e;
@@ -587,18 +976,45 @@ export default (source, module = undefined, print = str => process.stdout.write(
   const exports = {};
   const rawValues = Prefs.d;
 
-  const exceptTag = instance.exports['0'], memory = instance.exports['$'];
+  const exceptTag = instance.exports['0'];
+  memory = instance.exports[wasi ? 'memory' : '$'];
+  const malloc = instance.exports.__Porffor_malloc;
   for (const x in instance.exports) {
-    if (x === '0') continue;
-    if (x === '$') {
-      exports.$ = instance.exports.$;
+    if (x === '0' || x === '__Porffor_malloc') continue;
+    if (x === '$' || x === 'memory') {
+      exports.$ = memory;
+      continue;
+    }
+
+    if (x === '_start') {
+      // let node run wasi start
+      exports.main = () => {
+        const code = wasi.start(instance);
+        if (code) process.exit(code);
+      };
       continue;
     }
 
     const wasm = instance.exports[x];
+    const func = funcs.find(y => y.export && y.name === (x === 'm' ? '#main' : x));
     exports[x === 'm' ? 'main' : x] = function() {
       try {
-        const ret = wasm.apply(this, arguments);
+        const args = [];
+        if (func && x !== 'm') {
+          // new.target and this
+          let offset = 0;
+          if (func.constr) offset = 4;
+          if (func.method) offset = 2;
+          for (let i = 0; i < offset; i++) args.push(0);
+
+          const count = (func.params.length - offset) / 2;
+          for (let i = 0; i < count; i++) {
+            const arg = func.hasRestArgument && i === count - 1 ? [...arguments].slice(i) : arguments[i];
+            args.push(...jsToPorfValue({ memory, malloc }, arg));
+          }
+        }
+
+        const ret = wasm.apply(this, args);
         if (ret == null) return undefined;
 
         if (rawValues) return { value: ret[0], type: ret[1], js: porfToJSValue({ memory, funcs, pages }, ret[0], ret[1]) };
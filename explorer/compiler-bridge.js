@@ -29,6 +29,9 @@ function setupImports() {
   createImport('printChar', 1, 0, i => console.log(String.fromCharCode(i)));
   createImport('time', 0, 1, () => performance.now());
   createImport('timeOrigin', 0, 1, () => performance.timeOrigin);
+  createImport('readArgv', 3, 1, () => -1);
+  createImport('readEnv', 3, 1, () => -1);
+  createImport('exit', 1, 0);
 }
 setupImports();
 
@@ -0,0 +1,383 @@
+import { Blocktype, Opcodes, Valtype } from '../compiler/wasmSpec.js';
+import { number } from '../compiler/encoding.js';
+import { importedFuncs } from '../compiler/builtins.js';
+import compile, { createImport, porfToJSValue } from '../compiler/wrap.js';
+import fs from 'node:fs';
+import path from 'node:path';
+import { inspect } from 'node:util';
+
+// minimal debug adapter protocol server over stdio
+// https://microsoft.github.io/debug-adapter-protocol/specification
+export default ({ file, source, lines }) => {
+  const sourcePath = path.resolve(file);
+
+  let seq = 1;
+  const send = msg => {
+    const json = JSON.stringify({ seq: seq++, ...msg });
+    fs.writeSync(1, `Content-Length: ${Buffer.byteLength(json)}\r\n\r\n${json}`);
+  };
+
+  const respond = (req, body = {}, success = true, message = undefined) => send({
+    type: 'response',
+    request_seq: req.seq,
+    command: req.command,
+    success,
+    message,
+    body
+  });
+
+  const event = (event, body = {}) => send({ type: 'event', event, body });
+
+  // buffer program output into whole lines
+  let output = '';
+  const flush = () => {
+    if (output) event('output', { category: 'stdout', output });
+    output = '';
+  };
+
+  const print = s => {
+    output += s;
+    if (s.includes('\n')) flush();
+  };
+
+  // read one message from stdin, blocking until a full one arrives
+  let buffer = Buffer.alloc(0);
+  const chunk = Buffer.alloc(65536);
+  const read = () => {
+    while (true) {
+      const headerEnd = buffer.indexOf('\r\n\r\n');
+      if (headerEnd !== -1) {
+        const length = +buffer.subarray(0, headerEnd).toString().match(/Content-Length:\s*(\d+)/i)?.[1];
+        const bodyStart = headerEnd + 4;
+        if (buffer.length >= bodyStart + length) {
+          const body = buffer.subarray(bodyStart, bodyStart + length).toString();
+          buffer = buffer.subarray(bodyStart + length);
+          return JSON.parse(body);
+        }
+      }
+
+      let n;
+      try {
+        n = fs.readSync(0, chunk, 0, chunk.length, null);
+      } catch (e) {
+        if (e.code === 'EAGAIN') continue;
+        throw e;
+      }
+
+      // client went away
+      if (n === 0) process.exit(0);
+      buffer = Buffer.concat([ buffer, chunk.subarray(0, n) ]);
+    }
+  };
+
+  // lines which have a line hook, as breakpoints elsewhere would never hit
+  const instrumented = lines.map(x => x.trim().replace('}', '') !== '');
+
+  const breakpoints = new Set();
+  let stopOnEntry = false, terminated = false;
+
+  // call stack of { name, line }, bottom is main
+  const frames = [ { name: '<main>', line: null } ];
+
+  // how to resume: null (run to breakpoint), stepIn, next, stepOut or pause
+  let stepping = null, stepDepth = 0;
+
+  // user locals and globals, reported by the program when stopping as they cannot be read from outside
+  // variables references: 1 = locals of the top frame, 2 = globals
+  let vars = [], varNames = [], program = null;
+  const variable = (name, value, type) => {
+    let shown = value;
+    if (type !== -1) {
+      try {
+        shown = porfToJSValue(program, value, type);
+      } catch {}
+    }
+
+    return {
+      name,
+      value: typeof shown === 'string' && type !== -1 ? JSON.stringify(shown) :
+        shown instanceof Error ? String(shown) : inspect(shown, { depth: 2, breakLength: Infinity }),
+      variablesReference: 0
+    };
+  };
+
+  const frameName = name => {
+    if (name === '#main') return '<main>';
+    if (name.startsWith('#anonymous')) return '<anonymous>';
+    return name.replace(/#.*$/, '');
+  };
+
+  // handle a request, returns the resume mode for requests which resume execution
+  const handle = req => {
+    const args = req.arguments ?? {};
+    switch (req.command) {
+      case 'initialize':
+        respond(req, {
+          supportsConfigurationDoneRequest: true,
+          supportsTerminateRequest: true
+        });
+        event('initialized');
+        return;
+
+      case 'launch':
+      case 'attach':
+        stopOnEntry = !!args.stopOnEntry;
+        respond(req);
+        return;
+
+      case 'setBreakpoints': {
+        const bps = args.breakpoints ?? (args.lines ?? []).map(line => ({ line }));
+        const ours = !args.source?.path || path.resolve(args.source.path) === sourcePath;
+
+        breakpoints.clear();
+        respond(req, {
+          breakpoints: bps.map(({ line }) => {
+            const verified = ours && !!instrumented[line - 1];
+            if (verified) breakpoints.add(line - 1);
+
+            return { verified, line, ...(verified ? {} : { message: 'no code on this line' }) };
+          })
+        });
+        return;
+      }
+
+      case 'setExceptionBreakpoints':
+        respond(req, { breakpoints: [] });
+        return;
+
+      case 'configurationDone':
+        respond(req);
+        return 'run';
+
+      case 'threads':
+        respond(req, { threads: [ { id: 1, name: 'main' } ] });
+        return;
+
+      case 'stackTrace': {
+        const stackFrames = [];
+        for (let i = frames.length - 1; i >= 0; i--) {
+          const line = frames[i].line ?? frames[i - 1]?.line ?? 0;
+          stackFrames.push({
+            id: i + 1,
+            name: frames[i].name,
+            source: { name: path.basename(sourcePath), path: sourcePath },
+            line: line + 1,
+            column: 1
+          });
+        }
+
+        const start = args.startFrame ?? 0;
+        respond(req, {
+          stackFrames: stackFrames.slice(start, args.levels ? start + args.levels : undefined),
+          totalFrames: stackFrames.length
+        });
+        return;
+      }
+
+      case 'scopes':
+        // only the top frame has its locals
+        respond(req, {
+          scopes: [
+            ...(args.frameId === frames.length ? [ { name: 'Locals', presentationHint: 'locals', variablesReference: 1, expensive: false } ] : []),
+            { name: 'Globals', variablesReference: 2, expensive: false }
+          ]
+        });
+        return;
+
+      case 'variables':
+        respond(req, {
+          variables: vars.filter(x => x.ref === args.variablesReference).map(x => variable(x.name, x.value, x.type))
+        });
+        return;
+
+      case 'continue':
+        respond(req, { allThreadsContinued: true });
+        return 'continue';
+
+      case 'next':
+      case 'stepIn':
+      case 'stepOut':
+        respond(req);
+        return req.command;
+
+      case 'pause':
+        respond(req);
+        stepping = 'pause';
+        return;
+
+      case 'disconnect':
+      case 'terminate':
+        respond(req);
+        if (!terminated) event('terminated');
+        process.exit(0);
+
+      default:
+        respond(req, {}, false, `unsupported request: ${req.command}`);
+        return;
+    }
+  };
+
+  // block handling requests until told to resume
+  const stop = reason => {
+    flush();
+    event('stopped', { reason, threadId: 1, allThreadsStopped: true });
+
+    while (true) {
+      const mode = handle(read());
+      if (mode == null || mode === 'run') continue;
+
+      stepping = mode === 'continue' ? null : mode;
+      stepDepth = frames.length;
+      return;
+    }
+  };
+
+  // line hooks from the source rewrite are replaced by debugLine below
+  createImport('profile1', [ Valtype.i32 ], 0, () => {});
+
+  // returns if stopping, then variables are reported before debugStop
+  let stopReason = null;
+  createImport('debugLine', [ Valtype.i32 ], [ Valtype.i32 ], n => {
+    frames[frames.length - 1].line = n;
+
+    stopReason = null;
+    if (stopOnEntry) {
+      stopOnEntry = false;
+      stopReason = 'entry';
+    } else if (breakpoints.has(n)) stopReason = 'breakpoint';
+      else if (stepping === 'pause') stopReason = 'pause';
+      else if (stepping === 'stepIn') stopReason = 'step';
+      else if (stepping === 'next' && frames.length <= stepDepth) stopReason = 'step';
+      else if (stepping === 'stepOut' && frames.length < stepDepth) stopReason = 'step';
+
+    vars = [];
+    return stopReason ? 1 : 0;
+  });
+
+  createImport('debugVar', [ Valtype.i32, valtypeBinary, Valtype.i32 ], 0, (id, value, type) => {
+    vars.push({ ...varNames[id], value, type });
+  });
+
+  createImport('debugStop', 0, 0, () => stop(stopReason));
+
+  // function ids from the source rewrite are not needed, frames come from calls below
+  createImport('profile2', [ Valtype.i32 ], 0, () => {});
+
+  let funcNames = new Map();
+  createImport('debugCall', [ Valtype.i32 ], 0, f => {
+    frames.push({ name: funcNames.get(f), line: null });
+  });
+
+  createImport('debugReturn', 0, 0, () => {
+    if (frames.length > 1) frames.pop();
+  });
+
+  // funcs catching exceptions restore the call stack to their own frame, as frames thrown through were not popped
+  createImport('debugDepth', 0, [ Valtype.i32 ], () => frames.length);
+  createImport('debugUnwind', [ Valtype.i32 ], 0, depth => {
+    frames.length = depth;
+  });
+
+  // tail calls leave no frame to pop after
+  Prefs.tailCall = false;
+
+  // wrap calls to user functions to track the call stack, indirect calls are to wrappers which call them
+  Prefs.treeshakeWasmImports = false;
+  globalThis.compileCallback = ({ funcs, globals, pages }) => {
+    program = { funcs, pages };
+
+    funcNames = new Map();
+    for (const x of funcs) {
+      if (!x.internal && !x.name.startsWith('#indirect')) funcNames.set(x.index, frameName(x.name));
+    }
+
+    const user = name => !name.startsWith('#') && !name.startsWith('__') && !name.endsWith('#type');
+    const report = (ref, name, get, idx, type, typeIdx) => {
+      varNames.push({ ref, name: name.replace(/#.*$/, '') });
+      return [
+        number(varNames.length - 1, Valtype.i32),
+        [ get, idx ],
+        ...(type === Valtype.i32 && valtypeBinary !== Valtype.i32 ? [ [ Opcodes.f64_convert_i32_s ] ] : []),
+        typeIdx != null ? [ get, typeIdx ] : number(-1, Valtype.i32),
+        [ Opcodes.call, importedFuncs.debugVar ]
+      ];
+    };
+
+    varNames = [];
+    const reportGlobals = [];
+    for (const x in globals) {
+      if (user(x)) reportGlobals.push(...report(2, x, Opcodes.global_get, globals[x].idx, globals[x].type, globals[x + '#type']?.idx));
+    }
+
+    for (const x of funcs) {
+      const w = x.wasm;
+      const newLocal = () => Math.max(-1, ...Object.values(x.locals).map(y => y.idx)) + 1;
+
+      let reportLocals = null;
+      if (funcNames.has(x.index) || x.name === '#main') {
+        reportLocals = [];
+        for (const y in x.locals) {
+          const local = x.locals[y];
+          if (user(y)) reportLocals.push(...report(1, y, Opcodes.local_get, local.idx, local.type, x.locals[y + '#type']?.idx));
+        }
+      }
+
+      let depth = null;
+      for (let i = 0; i < w.length; i++) {
+        const op = w[i];
+        if (op[0] === Opcodes.call && funcNames.has(op[1])) {
+          w.splice(i + 1, 0, [ Opcodes.call, importedFuncs.debugReturn ]);
+          w.splice(i, 0, number(op[1], Valtype.i32), [ Opcodes.call, importedFuncs.debugCall ]);
+          i += 3;
+          continue;
+        }
+
+        if (op[0] === Opcodes.call && +op[1] === +importedFuncs.profile1 && reportLocals) {
+          w.splice(i, 1,
+            [ Opcodes.call, importedFuncs.debugLine ],
+            [ Opcodes.if, Blocktype.void ],
+              ...reportLocals,
+              ...reportGlobals,
+              [ Opcodes.call, importedFuncs.debugStop ],
+            [ Opcodes.end ]
+          );
+          continue;
+        }
+
+        if (op[0] === Opcodes.catch || op[0] === Opcodes.catch_all) {
+          if (depth == null) {
+            depth = newLocal();
+            x.locals['#debug_depth'] = { idx: depth, type: Valtype.i32 };
+            w.unshift([ Opcodes.call, importedFuncs.debugDepth ], [ Opcodes.local_set, depth ]);
+            i += 2;
+          }
+
+          w.splice(i + 1, 0, [ Opcodes.local_get, depth ], [ Opcodes.call, importedFuncs.debugUnwind ]);
+          i += 2;
+        }
+      }
+    }
+  };
+
+  // configure before running
+  while (handle(read()) !== 'run');
+
+  let exitCode = 0;
+  try {
+    const { exports } = compile(source, undefined, print);
+    program.memory = exports.$;
+    exports.main();
+  } catch (e) {
+    exitCode = 1;
+    flush();
+    event('output', { category: 'stderr', output: `${e?.stack ?? e}\n` });
+  }
+
+  flush();
+  event('exited', { exitCode });
+  event('terminated');
+  terminated = true;
+
+  // wait for the client to disconnect
+  while (true) handle(read());
+};
@@ -1,4 +1,5 @@
 #!/usr/bin/env node
+import { Valtype } from '../compiler/wasmSpec.js';
 import compile, { createImport } from '../compiler/wrap.js';
 import Byg from '../byg/index.js';
 import fs from 'node:fs';
@@ -11,7 +12,7 @@ const originalLines = source.split('\n');
 let funcs = {}, funcId = 0;
 source = source.replace(/^\s*(function|const)\s*([a-zA-Z0-9]+)(\s*=\s*)?\([^)]*\)\s*(=>)?\s*\{$/gm, (x, _, n) => {
   const id = funcId++;
-  funcs[funcId] = n;
+  funcs[id] = n;
   return `${x}profile2(Porffor.wasm.i32.const(${id}))`;
 });
 
@@ -21,6 +22,12 @@ for (let i = 0; i < lines.length; i++) {
 }
 source = lines.join('\n');
 
+if (Prefs.dap) {
+  // speak the debug adapter protocol over stdio instead of the terminal ui
+  const { default: dap } = await import('./dap.js');
+  dap({ file, source, lines: originalLines });
+}
+
 const breakpoints = new Array(lines.length);
 
 let paused = true;
@@ -41,7 +48,7 @@ let lastLine;
 
 let output = '';
 
-createImport('profile1', 1, 0, n => {
+createImport('profile1', [ Valtype.i32 ], 0, n => {
   if (callStarts[callStarts.length - 1] === n - 1) {
     // end of call
 
@@ -97,7 +104,7 @@ createImport('profile1', 1, 0, n => {
   }
 });
 
-createImport('profile2', 1, 0, n => {
+createImport('profile2', [ Valtype.i32 ], 0, n => {
   // start of call
   callStack.push(funcs[n]);
 
@@ -48,7 +48,10 @@ const help = () => {
     t: 'Force parsing input as TypeScript',
     d: 'Debug mode (include names in Wasm and debug logs)',
     module: 'Parse input as a module',
-    secure: 'Secure mode (error on unsafe Porffor features eg FFI)'
+    secure: 'Secure mode (error on unsafe Porffor features eg FFI)',
+    'allow-fs': 'Allow filesystem and stdin access in secure mode',
+    'allow-env': 'Allow argv and env access in secure mode',
+    locales: 'Locales to compile Intl data for, the first is the default (eg --locales=en,und)'
   })) {
     flag = '-' + flag;
     if (flag.length > 3) flag = '-' + flag;
@@ -62,12 +65,21 @@ const help = () => {
       f: 'Print disassembled Wasm generated from user functions',
       pgo: 'Enable profile-guided optimization',
       valtype: 'Valtype to use, not well supported (i32|\x1B[1mf64\x1B[0m)',
+      target: 'Wasm target to use for porf wasm (\x1B[1mwasm\x1B[0m|wasi)',
       'no-coctc': 'Disable COCTC (cross-object compile-time cache)',
       cyclone: 'Enable experimental Cyclone optimizer',
       'no-treeshake-wasm-imports': 'Do not treeshake Wasm imports',
       allocator: 'Allocator to use (oneshot|\x1B[1mchunk\x1B[0m)',
+      gc: 'Enable experimental tracing garbage collector',
+      'eval-interpreter': 'Interpret eval and Function of runtime strings',
+      'gc-threshold': 'MiB allocated before collecting with --gc (default: 32)',
       'exception-mode': 'Exception mode to use (lut|\x1B[1mstack\x1B[0m)',
+      'no-tail-call': 'Do not emit Wasm tail calls (return_call)',
+      'no-stack-trace': 'Disable stack traces for errors (Error.prototype.stack)',
+      'stack-trace-limit': 'Maximum frames in stack traces (default: 10)',
+      'source-map': 'Emit a source map for wasm output, or #line directives and debug info for c and native',
       'fast-length': 'Non-compliant optimization to make .length faster',
+      dap: 'Speak the Debug Adapter Protocol over stdio for porf debug',
       'profile-compiler': 'Log general compiler performance (on by default when compiling to a file)',
       prng: 'PRNG algorithm to use (xorshift32+|xorshift64+|\x1B[1mxorshift128+\x1B[0m|xoroshiro128+|xoshiro128+)'
     })) {
@@ -116,7 +128,7 @@ if (['precompile', 'run', 'wasm', 'native', 'c', 'lambda', 'profile', 'debug'].i
     await done();
   }
 
-  if (['wasm', 'native', 'c'].includes(file)) {
+  if (['wasm', 'native', 'c'].includes(file) && !(file === 'wasm' && process.argv.includes('--target=wasi'))) {
     process.argv.push(`--target=${file}`);
   }
 
@@ -206,7 +218,10 @@ try {
   }
 } catch (e) {
   let out = e;
-  if (!process.argv.includes('-d') && Object.getPrototypeOf(e).message != null) out = `${e.name}${e.message != null ? `: ${e.message}` : ''}`;
+  if (!process.argv.includes('-d') && 'message' in Object.getPrototypeOf(e)) {
+    // errors thrown by the program have stacks of js source locations (see wrap.js)
+    out = runStart != null && !(e instanceof WebAssembly.RuntimeError) ? e.stack : `${e.name}${e.message != null ? `: ${e.message}` : ''}`;
+  }
   console.error(out);
   process.exit(1);
 }
@@ -183,7 +183,7 @@ function buildHierarchy(samples) {
 
     for (const sample of samples) {
         // Pass internal flag from filteredSample to newNode
-        const newNode = { name: sample.name, value: sample.duration, children: [], internal: sample.internal };
+        const newNode = { name: sample.name, value: sample.duration, children: [], internal: sample.internal, startTime: sample.start, endTime: sample.end };
         const sampleStartTime = sample.start;
         const sampleEndTime = sample.end;
 
@@ -225,6 +225,159 @@ const barChartData = Array.from(funcStats.values())
     .sort((a, b) => b.total - a.total) // Sort by total time descending
     .slice(0, 50); // Limit to top 50 functions
 
+const subtitle = `Porffor ${globalThis.version} on ${host.replace('/', ' ')} | ${new Date().toISOString().slice(0, -8).replace('T', ' ')}\n${totalDuration.toFixed(2)}ms | ${samplesFunc.length} samples`;
+
+// --- Local Reports ---
+// --out=report.html and/or --format=html|json|speedscope|cpuprofile write a report locally instead of uploading
+const formatExtensions = {
+  html: 'html',
+  json: 'json',
+  speedscope: 'speedscope.json',
+  cpuprofile: 'cpuprofile'
+};
+
+let format = Prefs.format;
+if (Prefs.out && !format) {
+  // infer from output file extension, longest first (.speedscope.json before .json)
+  format = Object.keys(formatExtensions)
+    .sort((a, b) => formatExtensions[b].length - formatExtensions[a].length)
+    .find(x => Prefs.out.endsWith('.' + formatExtensions[x])) ?? 'html';
+}
+
+if (format) {
+  if (!(format in formatExtensions)) {
+    console.error(`Unknown profile format: ${format} (expected ${Object.keys(formatExtensions).join('|')})`);
+    process.exit(1);
+  }
+
+  const out = Prefs.out ?? `${path.basename(file, path.extname(file))}.profile.${formatExtensions[format]}`;
+
+  // walk flame graph nodes in time order, clamping times so children stay inside parents and siblings never overlap
+  const walkFlame = (node, enter, exit, startTime = node.startTime, endTime = node.endTime) => {
+    enter(node, startTime);
+
+    let t = startTime;
+    for (const child of node.children) {
+      const childStart = Math.min(Math.max(child.startTime, t), endTime);
+      const childEnd = Math.min(Math.max(child.endTime, childStart), endTime);
+      walkFlame(child, enter, exit, childStart, childEnd);
+      t = childEnd;
+    }
+
+    exit(node, endTime);
+  };
+
+  let contents;
+  switch (format) {
+    case 'json': {
+      contents = JSON.stringify({ title, subtitle, duration: totalDuration, flame: d3FlameGraphData, chart: barChartData });
+      break;
+    }
+
+    case 'speedscope': {
+      // https://www.speedscope.app/file-format-schema.json, evented profile
+      const frames = [], frameIndexes = new Map();
+      const frame = name => {
+        if (!frameIndexes.has(name)) frameIndexes.set(name, frames.push({ name }) - 1);
+        return frameIndexes.get(name);
+      };
+
+      const events = [];
+      walkFlame(d3FlameGraphData,
+        (node, at) => events.push({ type: 'O', frame: frame(node.name), at }),
+        (node, at) => events.push({ type: 'C', frame: frame(node.name), at }));
+
+      contents = JSON.stringify({
+        $schema: 'https://www.speedscope.app/file-format-schema.json',
+        name: title,
+        exporter: `porffor@${globalThis.version}`,
+        activeProfileIndex: 0,
+        shared: { frames },
+        profiles: [ {
+          type: 'evented',
+          name: title,
+          unit: 'milliseconds',
+          startValue: 0,
+          endValue: totalDuration,
+          events
+        } ]
+      });
+      break;
+    }
+
+    case 'cpuprofile': {
+      // chrome devtools cpu profile, a call tree merged by path with synthesized samples
+      // at every call boundary for the time spent in the top frame since the last
+      const makeNode = functionName => {
+        const node = {
+          id: nodes.length + 1,
+          callFrame: { functionName, scriptId: '0', url: '', lineNumber: -1, columnNumber: -1 },
+          hitCount: 0,
+          children: []
+        };
+        nodes.push(node);
+        return node;
+      };
+
+      const nodes = [];
+      const root = makeNode('(root)');
+      const childNodes = new Map();
+      const stack = [ root ];
+
+      const samples = [], timeDeltas = [];
+      let last = 0;
+      const sample = at => {
+        const delta = Math.round(at * 1000) - Math.round(last * 1000);
+        if (delta <= 0) return;
+
+        const node = stack[stack.length - 1];
+        node.hitCount++;
+        samples.push(node.id);
+        timeDeltas.push(delta);
+        last = at;
+      };
+
+      walkFlame(d3FlameGraphData, (x, at) => {
+        sample(at);
+
+        const parent = stack[stack.length - 1];
+        const key = parent.id + '/' + x.name;
+        let node = childNodes.get(key);
+        if (!node) {
+          node = makeNode(x.name);
+          parent.children.push(node.id);
+          childNodes.set(key, node);
+        }
+
+        stack.push(node);
+      }, (x, at) => {
+        sample(at);
+        stack.pop();
+      });
+
+      contents = JSON.stringify({
+        nodes,
+        startTime: 0,
+        endTime: Math.round(totalDuration * 1000),
+        samples,
+        timeDeltas
+      });
+      break;
+    }
+
+    case 'html': {
+      const data = JSON.stringify({ title, subtitle, duration: totalDuration, flame: d3FlameGraphData, chart: barChartData })
+        .replaceAll('<', '\\u003c'); // do not end script tag early
+      contents = fs.readFileSync(new URL('profile.html', import.meta.url), 'utf8').replace('/*DATA*/null', () => data);
+      break;
+    }
+  }
+
+  fs.writeFileSync(out, contents);
+  console.log(`wrote ${format} report to ${out}`);
+  process.exit(0);
+}
+
 console.log('uploading...');
 const { id } = await (await fetch('https://profile.porffor.dev', {
   method: 'POST',
@@ -235,8 +388,8 @@ const { id } = await (await fetch('https://profile.porffor.dev', {
     flame: d3FlameGraphData,
     chart: barChartData,
     title,
-    subtitle: `Porffor ${globalThis.version} on ${host.replace('/', ' ')} | ${new Date().toISOString().slice(0, -8).replace('T', ' ')}\n${totalDuration.toFixed(2)}ms | ${samplesFunc.length} samples`
+    subtitle
   })
 })).json();
 console.log(`https://profile.porffor.dev/${id}`);
-process.exit(0);
\ No newline at end of file
+process.exit(0);
@@ -0,0 +1,81 @@
+// porf debug --dap: breakpoints, the call stack (through indirect calls and exceptions) and variables
+import { spawn } from 'node:child_process';
+import fs from 'node:fs';
+import os from 'node:os';
+import { join } from 'node:path';
+
+const dir = fs.mkdtempSync(join(os.tmpdir(), 'porf-dap-'));
+const file = join(dir, 'program.js');
+fs.writeFileSync(file, `let count = 0;
+function add(a, b) {
+  const sum = a + b;
+  count++;
+  return sum;
+}
+[ 1, 2 ].forEach(x => {
+  add(x, 10);
+});
+function thrower() {
+  throw new Error('oops');
+}
+try {
+  thrower();
+} catch (e) {
+  count += 10;
+}
+console.log(count);
+`);
+
+const porf = join(import.meta.dirname, '..', 'runtime', 'index.js');
+const proc = spawn(process.execPath, [ porf, 'debug', '--dap', file ]);
+
+let seq = 1;
+const waiting = new Map();
+const request = (command, args = {}) => new Promise(resolve => {
+  waiting.set(seq, resolve);
+  const json = JSON.stringify({ seq: seq++, type: 'request', command, arguments: args });
+  proc.stdin.write(`Content-Length: ${Buffer.byteLength(json)}\r\n\r\n${json}`);
+});
+
+const stopped = async ({ reason }) => {
+  const { stackFrames } = (await request('stackTrace', { threadId: 1 })).body;
+  console.log(`stopped (${reason}): ${stackFrames.map(x => `${x.name}:${x.line}`).join(' < ')}`);
+
+  const { scopes } = (await request('scopes', { frameId: stackFrames[0].id })).body;
+  for (const scope of scopes) {
+    const { variables } = (await request('variables', { variablesReference: scope.variablesReference })).body;
+    console.log(`  ${scope.name}: ${variables.map(x => `${x.name} = ${x.value}`).join(', ')}`);
+  }
+
+  request('continue', { threadId: 1 });
+};
+
+let buffer = Buffer.alloc(0);
+proc.stdout.on('data', data => {
+  buffer = Buffer.concat([ buffer, data ]);
+  while (true) {
+    const headerEnd = buffer.indexOf('\r\n\r\n');
+    if (headerEnd === -1) break;
+
+    const length = +buffer.subarray(0, headerEnd).toString().match(/\d+/)[0];
+    if (buffer.length < headerEnd + 4 + length) break;
+
+    const msg = JSON.parse(buffer.subarray(headerEnd + 4, headerEnd + 4 + length));
+    buffer = buffer.subarray(headerEnd + 4 + length);
+
+    if (msg.type === 'response') waiting.get(msg.request_seq)?.(msg);
+    if (msg.event === 'initialized') {
+      request('setBreakpoints', { source: { path: file }, breakpoints: [ { line: 4 }, { line: 18 } ] });
+      request('configurationDone');
+    }
+    if (msg.event === 'stopped') stopped(msg.body);
+    if (msg.event === 'output') process.stdout.write(`output: ${msg.body.output}`);
+    if (msg.event === 'exited') console.log(`exited: ${msg.body.exitCode}`);
+    if (msg.event === 'terminated') request('disconnect');
+  }
+});
+
+proc.on('exit', () => fs.rmSync(dir, { recursive: true, force: true }));
+
+request('initialize', { adapterID: 'porffor' });
+request('launch', { program: file });
@@ -0,0 +1,131 @@
+// @porf --parser=@babel/parser
+// decorators (2023-05) with their context objects, applied when classes are defined
+// (closures over locals are unsupported, so decorators share state through globals)
+const events = [];
+
+function logInit() {
+  events.push(`init ${typeof this === 'function' ? 'static ' + this.name : this.constructor.name + ' instance'}`);
+}
+
+function logged(value, context) {
+  events.push(`decorate ${context.kind} ${String(context.name)}${context.static ? ' static' : ''}${context.private ? ' private' : ''}`);
+  context.metadata[context.name] = context.kind;
+  context.addInitializer(logInit);
+}
+
+let original;
+function traced(value, context) {
+  original = value;
+  return function (...args) {
+    events.push(`call traced(${args.join(', ')})`);
+    return original.call(this, ...args);
+  };
+}
+
+let accessorTarget;
+function double(value, context) {
+  if (context.kind === 'field') return x => x * 2;
+  if (context.kind === 'accessor') {
+    accessorTarget = value;
+    return {
+      get() {
+        return accessorTarget.get.call(this) * 2;
+      },
+      init: x => x + 1
+    };
+  }
+}
+
+function register(value, context) {
+  events.push(`decorate class ${context.name}`);
+  context.metadata.registered = true;
+  context.addInitializer(logInit);
+}
+
+@register
+class Point {
+  @double x = 1;
+  @double accessor y = 2;
+  @logged #secret = 3;
+  @logged static origin = 'center';
+
+  @logged @traced
+  move(dx) {
+    return this.x + dx;
+  }
+
+  @logged
+  static create() {
+    return new Point();
+  }
+
+  @logged
+  get secret() {
+    return this.#secret;
+  }
+
+  static reveal(point) {
+    return point.#secret;
+  }
+}
+
+console.log(events.join('\n'));
+events.length = 0;
+
+const p = Point.create();
+console.log(p.x, p.y, p.move(3), p.secret, Point.reveal(p));
+p.y = 10;
+console.log(p.y, Object.hasOwn(p, 'y'), typeof Object.getOwnPropertyDescriptor(Point.prototype, 'y').get);
+console.log(events.join('\n'));
+
+const metadata = Point[Symbol.metadata];
+console.log(Object.keys(metadata).join(', '), metadata.registered, Object.getPrototypeOf(metadata));
+
+// context.access reads and writes the decorated element, even when private
+let access;
+class Box {
+  @((value, context) => { access = context.access; }) #value = 'inside';
+}
+
+const box = new Box();
+console.log(access.has(box), access.has({}), access.get(box));
+access.set(box, 'changed');
+console.log(access.get(box));
+
+// metadata inherits from the superclass metadata
+class SmallBox extends Box {
+  @logged size = 1;
+}
+const smallMetadata = SmallBox[Symbol.metadata];
+console.log(Object.getPrototypeOf(smallMetadata) === Box[Symbol.metadata], smallMetadata.size);
+
+// class decorators can replace the class
+let base;
+const replace = (value, context) => {
+  base = value;
+  return class Replaced extends base {
+    greet() {
+      return 'replaced ' + super.greet();
+    }
+  };
+};
+
+@replace
+class Greeter {
+  greet() {
+    return 'hello';
+  }
+}
+
+console.log(new Greeter().greet(), Greeter.name);
+
+// decorators returning the wrong thing throw
+for (const bad of [ () => 1, () => ({ get: 1 }) ]) {
+  try {
+    class Bad {
+      @bad accessor z;
+    }
+  } catch (e) {
+    console.log(e.constructor.name);
+  }
+}
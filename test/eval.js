@@ -0,0 +1,72 @@
+// @porf --eval-interpreter
+// eval and Function of runtime strings are run by an interpreter linked into the output,
+// seeing properties of globalThis but not variables of compiled code
+// (strings known at compile time are compiled ahead of time instead, so these are made at runtime)
+const empty = String(Math.random()).slice(0, 0);
+const dynamic = str => str + empty;
+
+globalThis.counter = 10;
+console.log(eval(dynamic('1 + 2 * 3')), eval(dynamic('counter * 2')), eval(dynamic('counter++')), globalThis.counter);
+
+// vars declared by eval code are seen by later eval code
+eval(dynamic('counter += 5; var made = "declared in eval";'));
+console.log(globalThis.counter, eval(dynamic('made')));
+
+const mul = new Function(dynamic('a'), dynamic('b'), dynamic('c'), dynamic('return a * b + c;'));
+console.log(mul(2, 3, 4), typeof mul, mul.length);
+
+const makeCounter = Function(dynamic('start'), dynamic('let n = start; return { next() { return n++; }, peek: () => n };'));
+const c = makeCounter(5);
+console.log(c.next(), c.next(), c.peek());
+
+// a tiny runtime templating function, like templating libraries build
+const template = dynamic('Hello {name}, you have {count} new {count == 1 ? "message" : "messages"}');
+let code = 'let out = "";';
+let i = 0;
+while (i < template.length) {
+  const open = template.indexOf('{', i);
+  if (open == -1) {
+    code += 'out += ' + JSON.stringify(template.slice(i)) + ';';
+    break;
+  }
+
+  const close = template.indexOf('}', open);
+  code += 'out += ' + JSON.stringify(template.slice(i, open)) + ' + (' + template.slice(open + 1, close) + ');';
+  i = close + 1;
+}
+code += 'return out;';
+
+const render = new Function('name', 'count', code);
+console.log(render('porffor', 1));
+console.log(render('js', 3));
+
+console.log(eval(dynamic('[ 1, 2, 3 ].map(function (x) { return x * x; })')), eval(dynamic('counter.toString(2)')), eval(dynamic('Math.max(4, 2)')));
+
+const fib = new Function(dynamic('n'), dynamic('function fib(n) { return n < 2 ? n : fib(n - 1) + fib(n - 2); } return fib(n);'));
+console.log(fib(15));
+
+const obj = eval(dynamic('({ a: 1, b: [ "x", { c: true } ], d: null, ["k" + 1]: `template ${counter}` })'));
+console.log(JSON.stringify(obj), obj.b[1].c);
+
+const loop = new Function(dynamic('n'), dynamic(`let total = 0;
+for (let i = 0; i < n; i++) {
+  if (i % 2) continue;
+  total += i;
+  if (total > 20) break;
+}
+while (n-- > 0) total++;
+do { total *= 2; } while (false);
+try { null.x; } catch (e) { total += 1; } finally { total += 1; }
+switch (total) {
+  case 1: return "one";
+  default: return "total " + total;
+}`));
+console.log(loop(10));
+
+for (const bad of [ 'let = ;', 'throw new RangeError("from eval")', 'undefinedVariable', 'null.x', 'const x = 1; x = 2;' ]) {
+  try {
+    eval(dynamic(bad));
+  } catch (e) {
+    console.log(e.constructor.name);
+  }
+}
@@ -0,0 +1,31 @@
+// exported functions take js values as arguments, converted to porffor values, and return them converted back
+import compile from '../compiler/wrap.js';
+
+const { exports } = compile(`
+export const describe = x => typeof x + ' ' + (Array.isArray(x) ? 'array ' + x.length : String(x));
+export const sum = (...xs) => xs.reduce((acc, x) => acc + x, 0);
+export const greet = person => 'hello ' + person.name + ' (' + person.tags.join('/') + ')';
+export const first = arr => arr[0];
+export const bytes = view => view.length + ': ' + view.join(',');
+export const big = n => n * 2n;
+export const self = x => x;
+`, true);
+
+console.log(exports.describe(1.5), '|', exports.describe('héllo'), '|', exports.describe('emoji 🐸'), '|', exports.describe(true), '|', exports.describe(undefined));
+console.log(exports.describe([ 1, 'two', [ 3 ] ]), '|', exports.describe(null));
+console.log(exports.sum(1, 2, 3, 4));
+console.log(exports.greet({ name: 'porffor', tags: [ 'js', 'wasm' ] }));
+console.log(exports.first([ { a: 1 } ]));
+console.log(exports.bytes(new Uint8Array([ 1, 2, 3 ])), '|', exports.bytes(new Float64Array([ 0.5 ])));
+console.log(exports.big(-3n), exports.self(2n ** 70n), exports.self(-(2n ** 70n)));
+
+const obj = { x: 1 };
+obj.self = obj;
+const back = exports.self(obj);
+console.log(back.x, back.self === back);
+
+try {
+  exports.self(new Map());
+} catch (e) {
+  console.log(e.message);
+}
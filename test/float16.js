@@ -0,0 +1,37 @@
+// Float16Array, Math.f16round and DataView float16 accessors round to nearest, ties to even
+const values = [
+  0, -0, 1, -1, 1.337, 65504, 65519.99, 65520, -65520, 1e6, 5.960464477539063e-8, 2.9802322387695312e-8, 2.9802322387695313e-8,
+  6.097555160522461e-5, 6.103515625e-5, 1.00048828125, 1.00146484375, 1.0009765625, 2049, 2051, 0.1, 1 / 3, NaN, Infinity, -Infinity
+];
+
+// as multiples of the smallest subnormal (2^-24), which are exact integers
+const rounded = [];
+for (const x of values) rounded.push(Math.f16round(x) * 2 ** 24);
+console.log(rounded.join(' '));
+console.log(Object.is(Math.f16round(-0), -0), Object.is(Math.f16round(-1e-10), -0), Object.is(Math.f16round(1e-10), 0));
+
+const arr = new Float16Array(values);
+console.log(arr.length, Float16Array.BYTES_PER_ELEMENT, arr.byteLength);
+console.log(arr[4], arr[9], arr[20], String(arr.slice(0, 4)));
+
+// bits as stored
+const bits = new Uint16Array(arr.buffer);
+const hex = [];
+for (const x of bits) hex.push(x.toString(16));
+console.log(hex.join(' '));
+
+arr[0] = 0.5;
+arr[1] = 70000;
+console.log(arr[0], arr[1], arr.map(x => x * 2)[0], arr.indexOf(65504), Float16Array.from([ 1.1, 2.2 ]), Float16Array.of(3.3));
+
+const view = new DataView(new ArrayBuffer(8));
+view.setFloat16(0, 1.337);
+view.setFloat16(2, -2.5, true);
+view.setFloat16(4, 65520);
+console.log(view.getFloat16(0), view.getFloat16(2, true), view.getFloat16(2), view.getFloat16(4), view.getUint16(0).toString(16), view.getUint16(2, true).toString(16));
+
+try {
+  view.getFloat16(7);
+} catch (e) {
+  console.log(e instanceof RangeError);
+}
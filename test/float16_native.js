@@ -0,0 +1,22 @@
+// @porf --target=native --compiler=gcc
+// float16 conversions round to nearest, ties to even in c (2c) like in wasm (see float16.js)
+const values = [
+  0, -0, 1, -1, 1.337, 65504, 65519.99, 65520, -65520, 1e6, 5.960464477539063e-8, 2.9802322387695312e-8, 2.9802322387695313e-8,
+  6.097555160522461e-5, 6.103515625e-5, 1.00048828125, 1.00146484375, 1.0009765625, 2049, 2051, 0.1, 1 / 3, NaN, Infinity, -Infinity
+];
+
+// as multiples of the smallest subnormal (2^-24), which are exact integers
+const rounded = [];
+for (const x of values) rounded.push(Math.f16round(x) * 2 ** 24);
+console.log(rounded.join(' '));
+console.log(String(Object.is(Math.f16round(-0), -0)), String(Object.is(Math.f16round(-1e-10), -0)));
+
+const bits = new Uint16Array(new Float16Array(values).buffer);
+const hex = [];
+for (const x of bits) hex.push(x.toString(16));
+console.log(hex.join(' '));
+
+const view = new DataView(new ArrayBuffer(4));
+view.setFloat16(0, 1.337);
+view.setFloat16(2, -2.5, true);
+console.log(String(view.getFloat16(0)), String(view.getFloat16(2, true)), view.getUint16(0).toString(16), view.getUint16(2, true).toString(16));
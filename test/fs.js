@@ -0,0 +1,20 @@
+// @porf --module
+import fs from 'node:fs';
+
+// fs errors have the message, code, errno, syscall and path node gives them
+const tryFs = (name, fn) => {
+  try {
+    fn();
+  } catch (e) {
+    console.log(name, e.message, e.code, e.errno, e.syscall, e.path, e instanceof Error);
+  }
+};
+
+tryFs('readFileSync', () => fs.readFileSync('test/missing.txt', 'utf8'));
+tryFs('readdirSync', () => fs.readdirSync('test/missing'));
+tryFs('statSync', () => fs.statSync('test/missing.txt'));
+tryFs('readdirSync', () => fs.readdirSync('test/fs.js'));
+tryFs('readFileSync', () => fs.readFileSync('test', 'utf8'));
+
+console.log(fs.statSync('test/missing.txt', { throwIfNoEntry: false }));
+console.log(fs.existsSync('test/fs.js'), fs.readdirSync('test').includes('fs.js'));
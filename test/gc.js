@@ -0,0 +1,74 @@
+// @porf --gc --gc-threshold=1
+// garbage is collected when allocating, wherever that is, while anything reachable from globals or locals of running funcs is kept
+function list(n) {
+  let head = null;
+  for (let i = 0; i < n; i++) head = { value: i, next: head };
+  return head;
+}
+
+function sum(head) {
+  let n = 0;
+  while (head) {
+    n += head.value;
+    head = head.next;
+  }
+  return n;
+}
+
+const kept = list(100);
+let total = 0;
+for (let r = 0; r < 300; r++) total += sum(list(100));
+console.log(total, sum(kept));
+
+// locals and values being computed with are kept across calls which collect
+function nested(depth) {
+  const local = [ depth, { depth } ];
+  if (depth > 0) {
+    const inner = nested(depth - 1);
+    return local[0] + local[1].depth + inner + sum(list(50));
+  }
+  return 0;
+}
+console.log(nested(20));
+
+const strs = [];
+for (let i = 0; i < 200; i++) strs.push('item ' + i + ' ' + list(10).value);
+console.log(strs.length, strs[0], strs[199]);
+
+// exceptions thrown through funcs keep things working after
+function thrower(n) {
+  const junk = list(20);
+  if (n == 0) throw new Error('deep ' + junk.value);
+  return thrower(n - 1) + 1;
+}
+
+for (let i = 0; i < 50; i++) {
+  try {
+    thrower(10);
+  } catch (e) {
+    if (i == 49) console.log(e.message);
+  }
+}
+console.log(sum(list(200)));
+
+// weak refs are cleared once their target is collected
+let ref;
+function makeRef() {
+  ref = new WeakRef({ a: 1 });
+}
+makeRef();
+for (let i = 0; i < 100; i++) list(100);
+console.log(ref.deref());
+
+const strong = { b: 2 };
+const ref2 = new WeakRef(strong);
+for (let i = 0; i < 100; i++) list(100);
+console.log(ref2.deref() === strong);
+
+const map = new WeakMap();
+let key = {};
+map.set(key, list(10));
+map.set(strong, 'kept');
+key = null;
+for (let i = 0; i < 100; i++) list(100);
+console.log(map.get(strong), map.has(strong));
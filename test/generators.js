@@ -0,0 +1,247 @@
+// generators are resumable, so can be infinite and are stepped lazily with their finally blocks run when closed
+function* nat() {
+  let i = 0;
+  while (true) yield i++;
+}
+
+console.log(nat().take(3).toArray());
+console.log(nat().map(x => x * 2).filter(x => x % 3 == 0).drop(1).take(3).toArray());
+for (const x of nat()) {
+  if (x > 2) break;
+  console.log('for..of', x);
+}
+
+const log = [];
+function* fin() {
+  try {
+    yield 1;
+    yield 2;
+  } finally {
+    log.push('fin');
+  }
+}
+
+for (const x of fin()) {
+  log.push(x);
+  break;
+}
+console.log(log.join(','));
+
+// values are sent into the generator and locals live across yields
+function* acc(start) {
+  let total = start;
+  while (true) {
+    const x = yield total;
+    if (x == null) return 'done ' + total;
+    total += x;
+  }
+}
+
+const a = acc(10);
+console.log(a.next(), a.next(1), a.next(2), a.next(), a.next(5));
+
+// return and throw
+function* guarded() {
+  try {
+    yield 'a';
+    yield 'b';
+  } catch (e) {
+    console.log('caught', e);
+    yield 'c';
+  }
+  return 'end';
+}
+
+const b = guarded();
+console.log(b.next().value, b.throw('oops').value, b.next().value, b.next().done);
+const c = guarded();
+console.log(c.next().value, c.return(42), c.next());
+const d = guarded();
+console.log(d.return(1), d.next());
+
+// yield* delegates and loops keep their state
+function* inner() {
+  yield 1;
+  yield 2;
+  return 3;
+}
+
+function* outer() {
+  const r = yield* inner();
+  for (let i = 0; i < 2; i++) {
+    for (const x of [ 'x', 'y' ]) yield `${i}${x}`;
+  }
+  switch (r) {
+    case 3:
+      yield 'three';
+    default:
+      yield 'fell';
+  }
+  yield r;
+}
+
+console.log([...outer()].join(' '));
+
+// generator methods see this
+const obj = {
+  items: [ 4, 5, 6 ],
+  *[Symbol.iterator]() {
+    for (let i = 0; i < this.items.length; i++) yield this.items[i] * 10;
+  }
+};
+console.log([...obj], Array.from(obj));
+
+const [ first, second ] = nat();
+console.log(first, second);
+
+// yields in expressions
+function* exprs() {
+  const arr = [ yield 'a', yield 'b' ];
+  console.log('got', arr, (yield 'c') + (yield 'd'));
+}
+
+const e = exprs();
+e.next();
+e.next(1);
+e.next(2);
+e.next(3);
+console.log(e.next(4).done);
+
+// array, map and set iterators are iterators with helpers
+const arr = [ 'a', 'b', 'c' ];
+console.log(arr.values().map(x => x.toUpperCase()).toArray(), [...arr.keys()], [...arr.entries()]);
+const it = arr.values();
+console.log(it.next(), it.next(), it.next(), it.next());
+const map = new Map([ [ 1, 'one' ], [ 2, 'two' ] ]);
+console.log(map.keys().map(x => x * 2).toArray(), map.values().toArray(), [...map.entries()]);
+const set = new Set([ 1, 2, 3 ]);
+console.log(set.values().filter(x => x != 2).toArray(), set.keys().next());
+
+// finally runs before return, break and continue leave it, and when thrown out of
+const out = [];
+const f = () => {
+  try {
+    out.push('try');
+    return 'ret';
+  } finally {
+    out.push('finally');
+  }
+};
+console.log(f(), out.join(','));
+
+const g = () => {
+  for (let i = 0; i < 3; i++) {
+    try {
+      if (i == 1) continue;
+      if (i == 2) break;
+      out.push('body' + i);
+    } finally {
+      out.push('fin' + i);
+    }
+  }
+  return out.join(',');
+};
+out.length = 0;
+console.log(g());
+
+const h = () => {
+  try {
+    try {
+      throw new Error('boom');
+    } finally {
+      out.push('inner');
+    }
+  } catch (e) {
+    out.push('caught ' + e.message);
+  } finally {
+    out.push('outer');
+  }
+};
+out.length = 0;
+h();
+console.log(out.join(','));
+
+const k = () => {
+  try {
+    throw 1;
+  } catch {
+    return 'from catch';
+  } finally {
+    out.push('k fin');
+  }
+};
+out.length = 0;
+console.log(k(), out.join(','));
+
+function* gen() {
+  let i = 0;
+  try {
+    while (true) {
+      try {
+        yield i++;
+      } finally {
+        out.push('step' + i);
+      }
+    }
+  } finally {
+    out.push('gen done');
+  }
+}
+out.length = 0;
+for (const x of gen()) if (x == 2) break;
+console.log(out.join(','));
+
+function* args(a, b = a * 2, ...rest) {
+  yield a;
+  yield b;
+  yield rest.length;
+  const inner = function* () { yield* [ 'i', 'j' ]; };
+  yield* inner();
+  yield a + b;
+}
+console.log([...args(1)], [...args(1, 5, 6, 7)]);
+
+class A {
+  constructor() { this.xs = [ 1, 2 ]; }
+  *[Symbol.iterator]() { yield* this.xs; }
+  static *range(n) { for (let i = 0; i < n; i++) yield i; }
+}
+console.log([...new A()], [...A.range(3)]);
+
+function* forin() {
+  const o = { a: 1, b: 2, c: 3 };
+  for (const k in o) yield k + o[k];
+}
+console.log([...forin()]);
+
+function* thrower() {
+  yield 1;
+  throw new Error('gen err');
+}
+const t = thrower();
+t.next();
+try { t.next(); } catch (e) { console.log('caught', e.message, t.next().done); }
+
+
+// the global Iterator: Iterator.from wraps iterators which do not inherit from Iterator.prototype
+const plain = { i: 0, next() { return this.i < 3 ? { value: this.i++, done: false } : { value: undefined, done: true }; } };
+const wrapped = Iterator.from(plain);
+console.log(wrapped instanceof Iterator, wrapped.toArray(), [].values() instanceof Iterator, plain instanceof Iterator);
+
+function* four() { yield 1; yield 2; yield 3; yield 4; }
+console.log(four() instanceof Iterator, four().map(x => x) instanceof Iterator, Iterator.from(four()).take(2).toArray());
+console.log(four().flatMap(x => [ x, x * 10 ]).toArray().join(', '));
+console.log(four().reduce((acc, x) => acc + x), four().reduce((acc, x) => acc + x, 10));
+console.log(four().some(x => x > 3), four().every(x => x > 0), four().find(x => x % 2 == 0));
+
+let iterSum = 0;
+four().forEach(x => { iterSum += x; });
+console.log(iterSum, Iterator.from([ 'a', 'b' ]).toArray(), Iterator.from('hi').toArray());
+
+for (const bad of [ () => four().take(-1), () => four().map(1), () => Iterator.from(5), () => new Iterator() ]) {
+  try {
+    bad();
+  } catch (e) {
+    console.log(e.constructor.name);
+  }
+}
@@ -0,0 +1,28 @@
+// @porf --target=native --compiler=gcc
+// generators in native binaries, resuming to each yield in turn
+function* g() {
+  yield 1;
+  yield 2;
+}
+
+const it = g();
+console.log(it.next().value, it.next().value, it.next().done);
+console.log([...g()].length);
+
+for (const x of g()) {
+  console.log('g', x);
+  break;
+}
+
+for (const x of g()) console.log('h', x);
+
+function* counter(n) {
+  for (let i = 0; i < n; i++) {
+    const sent = yield i;
+    if (sent) console.log('sent', sent);
+  }
+  return 'done';
+}
+
+const c = counter(3);
+console.log(c.next().value, c.next('a').value, c.next().value, c.next('b').value);
@@ -0,0 +1,24 @@
+// @porf --module
+// import.meta of the file as compiled, and import() linking modules which are only evaluated when first imported
+import { lines } from './modules/log.js';
+
+const { url, dirname, filename } = import.meta;
+console.log(url.startsWith('file://'), url.endsWith('/test/import_meta.js'), filename.endsWith('/test/import_meta.js'));
+console.log(filename.startsWith(dirname), filename.slice(dirname.length), dirname.endsWith('/test'));
+
+console.log(lines.join(', ') || 'nothing evaluated');
+
+const first = await import('./modules/lazy.js');
+console.log(lines.join(', '), first.file, first.default, first.load(), first.loads);
+
+// only evaluated once, giving the same namespace
+const again = import('./modules/lazy.js');
+console.log(again instanceof Promise);
+
+const second = await again;
+console.log(lines.join(', '), second === first, second.load(), first.loads);
+
+// other modules are linked too
+const counter = await import('./modules/counter.js');
+counter.increment();
+console.log(lines.join(', '), counter.count, typeof counter.default);
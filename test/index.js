@@ -0,0 +1,129 @@
+import { spawnSync } from 'node:child_process';
+import fs from 'node:fs';
+import os from 'node:os';
+import { join, relative } from 'node:path';
+import { WASI } from 'node:wasi';
+
+// runs the programs in this folder and compares their output to the .out file next to them:
+//   foo.js - compiled and run by porf, the first line can give prefs like builtins (// @porf --gc)
+//            --target=wasi runs the wasm with node:wasi and --target=native runs the native binary
+//   foo.mjs - run by node, for testing the compiler and runtime apis themselves
+// usage: node test [filter] [--update (write .out files from the output)]
+
+const __dirname = import.meta.dirname;
+const root = join(__dirname, '..');
+const porf = join(root, 'runtime', 'index.js');
+const tmp = fs.mkdtempSync(join(os.tmpdir(), 'porf-test-'));
+
+const filter = process.argv.slice(2).find(x => x[0] !== '-');
+const update = process.argv.includes('--update');
+const timeout = 120_000;
+
+const stripAnsi = x => x.replace(/\x1b\[[0-9;]*m/g, '');
+
+// exit code is part of the output if not 0
+const result = (stdout, status, stderr = '') => {
+  let out = stripAnsi(stdout).trimEnd();
+  if (status !== 0) out += `\n[exit code: ${status}]`;
+  return { out: out.trim(), stderr };
+};
+
+const exec = (args, options = {}) => {
+  const x = spawnSync(args[0], args.slice(1), { cwd: root, timeout, encoding: 'utf8', ...options });
+  if (x.error) return { stdout: x.stdout ?? '', stderr: `${x.stderr ?? ''}\n${x.error.message}`, status: -1 };
+  return x;
+};
+
+const compile = (prefs, file, target, out) => {
+  const x = exec([ process.execPath, porf, target, ...prefs, file, out ]);
+  if (x.status !== 0) throw new Error(`failed to compile:\n${x.stdout}${x.stderr}`);
+};
+
+const run = file => {
+  const rel = relative(root, file);
+  if (file.endsWith('.mjs')) {
+    const x = exec([ process.execPath, file ]);
+    return result(x.stdout, x.status, x.stderr);
+  }
+
+  const first = fs.readFileSync(file, 'utf8').split('\n')[0];
+  const prefs = first.startsWith('// @porf') ? first.slice('// @porf'.length).trim().split(' ').filter(x => x) : [];
+
+  if (prefs.includes('--target=wasi')) {
+    const wasm = join(tmp, 'out.wasm');
+    compile(prefs, rel, 'wasm', wasm);
+
+    const stdout = join(tmp, 'stdout');
+    const fd = fs.openSync(stdout, 'w');
+    const wasi = new WASI({ version: 'preview1', args: [ rel ], env: { PORFFOR_TEST: '1' }, stdout: fd, returnOnExit: true });
+
+    let status = 0, stderr = '';
+    try {
+      const instance = new WebAssembly.Instance(new WebAssembly.Module(fs.readFileSync(wasm)), wasi.getImportObject());
+      status = wasi.start(instance);
+    } catch (e) {
+      status = -1;
+      stderr = String(e);
+    }
+
+    fs.closeSync(fd);
+    return result(fs.readFileSync(stdout, 'utf8'), status, stderr);
+  }
+
+  if (prefs.includes('--target=native')) {
+    const binary = join(tmp, 'out');
+    compile(prefs.filter(x => x !== '--target=native'), rel, 'native', binary);
+
+    const x = exec([ binary ]);
+    return result(x.stdout, x.status, x.stderr);
+  }
+
+  const x = exec([ process.execPath, porf, ...prefs, rel ]);
+  return result(x.stdout, x.status, x.stderr);
+};
+
+// node:wasi warns it is experimental
+process.removeAllListeners('warning');
+
+const tests = fs.readdirSync(__dirname)
+  .filter(x => (x.endsWith('.js') || x.endsWith('.mjs')) && x !== 'index.js')
+  .filter(x => !filter || x.includes(filter))
+  .sort();
+
+let passes = 0;
+const start = performance.now();
+for (const test of tests) {
+  const file = join(__dirname, test);
+  const expectedFile = file.replace(/\.m?js$/, '.out');
+
+  const t = performance.now();
+  let out, stderr;
+  try {
+    ({ out, stderr } = run(file));
+  } catch (e) {
+    out = null;
+    stderr = e.message;
+  }
+
+  const time = `\u001b[90m(${(performance.now() - t).toFixed(0)}ms)\u001b[0m`;
+  if (update && out != null) fs.writeFileSync(expectedFile, out + '\n');
+
+  const expected = fs.existsSync(expectedFile) ? fs.readFileSync(expectedFile, 'utf8').trim() : null;
+  if (out != null && out === expected) {
+    passes++;
+    console.log(`\u001b[92m✓\u001b[0m ${test} ${time}`);
+    continue;
+  }
+
+  console.log(`\u001b[91m✗\u001b[0m ${test} ${time}`);
+  if (out != null) {
+    console.log(`\u001b[90m  expected:\u001b[0m\n${(expected ?? '(no .out file)').replace(/^/gm, '    ')}`);
+    console.log(`\u001b[90m  got:\u001b[0m\n${out.replace(/^/gm, '    ')}`);
+  }
+  if (stderr?.trim()) console.log(stripAnsi(stderr).trim().replace(/^/gm, '    '));
+}
+
+fs.rmSync(tmp, { recursive: true, force: true });
+
+console.log(`\n${passes}/${tests.length} passed \u001b[90m(${((performance.now() - start) / 1000).toFixed(1)}s)\u001b[0m`);
+if (passes !== tests.length) process.exit(1);
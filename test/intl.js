@@ -0,0 +1,66 @@
+// Intl NumberFormat, DateTimeFormat, Collator and PluralRules for en, from compiled in locale data
+// (joined with += as Array.prototype.join mixing latin1 and other strings is broken)
+const join = (list, sep) => {
+  let out = list[0];
+  for (let i = 1; i < list.length; i++) {
+    out += sep;
+    out += list[i];
+  }
+
+  return out;
+};
+
+const partsString = parts => {
+  const out = [];
+  for (const x of parts) out.push(x.type + ':' + x.value);
+  return join(out, ' ');
+};
+
+const nf = (options, ...values) => {
+  const format = new Intl.NumberFormat('en-US', options);
+  const out = [];
+  for (const x of values) out.push(format.format(x));
+  return join(out, ' | ');
+};
+
+console.log(nf({}, 1234567.891, -0.5, 1e21, NaN, -Infinity));
+console.log(nf({ maximumFractionDigits: 0 }, 2.5, 3.5), '/', nf({ minimumFractionDigits: 2 }, 1), '/', nf({ maximumSignificantDigits: 3 }, 123456));
+console.log(nf({ style: 'percent' }, 0.256), '/', nf({ style: 'currency', currency: 'USD' }, -1234.5), '/', nf({ style: 'currency', currency: 'EUR', currencyDisplay: 'name' }, 2));
+console.log(nf({ style: 'currency', currency: 'JPY' }, 1234.5), '/', nf({ style: 'currency', currency: 'USD', currencySign: 'accounting' }, -3));
+console.log(nf({ notation: 'compact' }, 1234, 1500000), '/', nf({ notation: 'compact', compactDisplay: 'long' }, 2e9), '/', nf({ notation: 'scientific' }, 12345));
+console.log(nf({ useGrouping: false }, 12345), '/', nf({ signDisplay: 'always' }, 1, 0, -1), '/', nf({}, 12345678901n));
+console.log(partsString(new Intl.NumberFormat('en', { style: 'currency', currency: 'USD' }).formatToParts(-1.5)));
+console.log((1234.5).toLocaleString(), (1234.5).toLocaleString('en-US', { style: 'currency', currency: 'GBP' }));
+
+const date = new Date(Date.UTC(2024, 1, 29, 15, 4, 5));
+const df = options => {
+  options.timeZone = 'UTC';
+  return new Intl.DateTimeFormat('en-US', options).format(date);
+};
+console.log(df({}), '/', df({ dateStyle: 'full' }), '/', df({ dateStyle: 'medium', timeStyle: 'short' }));
+console.log(df({ hour: 'numeric', minute: '2-digit' }), '/', df({ hour: 'numeric', hourCycle: 'h23' }), '/', df({ month: 'long', year: 'numeric' }), '/', df({ weekday: 'short', day: 'numeric' }));
+console.log(partsString(new Intl.DateTimeFormat('en-US', { timeZone: 'UTC', dateStyle: 'short' }).formatToParts(date)));
+console.log(date.toLocaleDateString('en-US', { timeZone: 'UTC' }), '/', date.toLocaleTimeString('en-US', { timeZone: 'UTC' }));
+
+const collator = new Intl.Collator('en');
+console.log(join([ 'b', 'a', 'B', 'é', 'e', 'A', 'z', 'Z' ].sort(collator.compare), ' '));
+console.log([ 'item10', 'item2', 'item1' ].sort(new Intl.Collator('en', { numeric: true }).compare).join(' '));
+console.log(new Intl.Collator('en', { sensitivity: 'base' }).compare('a', 'Á'), 'a'.localeCompare('b'), 'résumé'.localeCompare('resume'));
+
+const cardinal = new Intl.PluralRules('en');
+const ordinal = new Intl.PluralRules('en', { type: 'ordinal' });
+console.log([ 0, 1, 2, 1.5 ].map(x => cardinal.select(x)).join(' '), '/', [ 1, 2, 3, 4, 11, 12, 13, 21, 22, 23, 101 ].map(x => ordinal.select(x)).join(' '));
+
+// only en is compiled in by default, so other locales resolve to it
+console.log(Intl.getCanonicalLocales([ 'EN-us', 'en-US', 'fr' ]), new Intl.NumberFormat('en-US').resolvedOptions().locale, Intl.NumberFormat.supportedLocalesOf([ 'en-US', 'fr' ]));
+try {
+  new Intl.NumberFormat('en', { style: 'currency' });
+} catch (e) {
+  console.log(e instanceof TypeError);
+}
+
+try {
+  new Intl.NumberFormat('en', { maximumFractionDigits: 200 });
+} catch (e) {
+  console.log(e instanceof RangeError);
+}
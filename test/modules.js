@@ -0,0 +1,14 @@
+// @porf --module
+// relative imports are linked into one program, evaluated once in order with live bindings
+import reset, { count, increment } from './modules/counter.js';
+import * as all from './modules/index.js';
+import { logged } from './modules/index.js';
+
+console.log(logged.join(', '));
+
+increment();
+increment();
+console.log(count, all.count, all.log.lines === logged);
+
+reset();
+console.log(count, typeof all.increment, typeof all.default);
@@ -0,0 +1,10 @@
+import { log } from './log.js';
+
+log('counter evaluated');
+
+export let count = 0;
+export const increment = () => count++;
+
+export default function reset() {
+  count = 0;
+}
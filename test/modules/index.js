@@ -0,0 +1,3 @@
+export * from './counter.js';
+export { lines as logged } from './log.js';
+export * as log from './log.js';
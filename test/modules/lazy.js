@@ -0,0 +1,11 @@
+import { log } from './log.js';
+
+log('lazy evaluated');
+
+export const file = import.meta.filename.slice(import.meta.dirname.length);
+export let loads = 0;
+export function load() {
+  return ++loads;
+}
+
+export default 'lazy default';
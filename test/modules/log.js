@@ -0,0 +1,6 @@
+export const lines = [];
+export function log(x) {
+  lines.push(x);
+}
+
+log('log evaluated');
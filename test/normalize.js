@@ -0,0 +1,28 @@
+// String.prototype.normalize and full Unicode case mapping, from compiled in Unicode data
+// (printed as code points, as printing astral characters is broken)
+const codes = str => {
+  const out = [];
+  for (let i = 0; i < str.length; i++) out.push(str.charCodeAt(i).toString(16));
+  return out.join(' ');
+};
+
+const forms = [ 'NFC', 'NFD', 'NFKC', 'NFKD' ];
+const inputs = [ 'é', 'é', 'ẛ̣', 'ﬁ', '①', '가', '각', 'ą́', 'Å', 'abc', 'Ǻ' ];
+for (const str of inputs) {
+  const out = [];
+  for (const form of forms) out.push(form + ' ' + codes(str.normalize(form)));
+  console.log(codes(str), '->', out.join(' / '));
+}
+
+console.log('é' === 'é'.normalize(), 'é'.normalize() === 'é'.normalize('NFC'), 'abc'.normalize('NFD'));
+
+try {
+  'a'.normalize('nfc');
+} catch (e) {
+  console.log(e instanceof RangeError);
+}
+
+console.log(codes('straße'.toUpperCase()), codes('ﬃ'.toUpperCase()), codes('ŉ'.toUpperCase()));
+console.log(codes('ΟΔΟΣ'.toLowerCase()), codes('Σ'.toLowerCase()), codes('AΣ B'.toLowerCase()));
+console.log(codes('İ'.toLowerCase()), codes('ÿ'.toUpperCase()), codes('ᾀ'.toUpperCase()));
+console.log('hello'.toUpperCase(), 'WORLD'.toLowerCase(), 'Mixed Case 123'.toUpperCase());
@@ -0,0 +1,55 @@
+// porf profile --out and --format write reports locally (json, speedscope, cpuprofile and html) instead of uploading
+import { spawnSync } from 'node:child_process';
+import fs from 'node:fs';
+import os from 'node:os';
+import { join } from 'node:path';
+
+const dir = fs.mkdtempSync(join(os.tmpdir(), 'porf-profile-'));
+const file = join(dir, 'program.js');
+fs.writeFileSync(file, `function fib(n) {
+  return n < 2 ? n : fib(n - 1) + fib(n - 2);
+}
+
+function work() {
+  let total = 0;
+  for (let i = 0; i < 20; i++) total += fib(15);
+  return total;
+}
+
+console.log(work());
+`);
+
+const porf = join(import.meta.dirname, '..', 'runtime', 'index.js');
+const profile = (...args) => {
+  const x = spawnSync(process.execPath, [ porf, 'profile', ...args, file ], { cwd: dir, encoding: 'utf8' });
+  return (x.stdout.split('\n').find(x => x.startsWith('wrote')) ?? x.stderr.trim()).replace(dir, '<dir>');
+};
+
+// format is inferred from the extension, and the default name from the file
+console.log(profile(`--out=${join(dir, 'report.json')}`));
+const report = JSON.parse(fs.readFileSync(join(dir, 'report.json'), 'utf8'));
+console.log(Object.keys(report).join(), report.flame.name, report.flame.children.some(x => x.name === 'work'));
+console.log(report.chart.filter(x => !x.internal).map(x => `${x.name} x${x.count}`).sort().join(', '));
+
+console.log(profile(`--out=${join(dir, 'report.speedscope.json')}`));
+const speedscope = JSON.parse(fs.readFileSync(join(dir, 'report.speedscope.json'), 'utf8'));
+const { events } = speedscope.profiles[0];
+let depth = 0, balanced = true;
+for (const x of events) {
+  depth += x.type === 'O' ? 1 : -1;
+  if (depth < 0) balanced = false;
+}
+console.log(speedscope.profiles[0].type, speedscope.shared.frames.map(x => x.name).slice(0, 3).join(), balanced && depth === 0, events.every((x, i) => i === 0 || x.at >= events[i - 1].at));
+
+console.log(profile('--format=cpuprofile'));
+const cpuprofile = JSON.parse(fs.readFileSync(join(dir, 'program.profile.cpuprofile'), 'utf8'));
+const ids = new Set(cpuprofile.nodes.map(x => x.id));
+console.log(cpuprofile.nodes[0].callFrame.functionName, cpuprofile.samples.length === cpuprofile.timeDeltas.length, cpuprofile.samples.every(x => ids.has(x)), cpuprofile.nodes.every(x => x.children.every(y => ids.has(y))));
+
+console.log(profile('--format=html'));
+const html = fs.readFileSync(join(dir, 'program.profile.html'), 'utf8');
+console.log(html.startsWith('<!DOCTYPE html>'), !html.includes('/*DATA*/null'), html.split('</script>').length === html.split('<script').length);
+
+console.log(profile('--format=svg'));
+
+fs.rmSync(dir, { recursive: true, force: true });
@@ -0,0 +1,91 @@
+// proxies run their get, set, has, deleteProperty, ownKeys, apply and construct traps, with Reflect as the defaults
+const log = [];
+const target = { a: 1, b: 2 };
+const proxy = new Proxy(target, {
+  get(t, key, receiver) {
+    log.push('get ' + String(key));
+    return key in t ? Reflect.get(t, key, receiver) : 'missing';
+  },
+  set(t, key, value) {
+    log.push('set ' + key);
+    return Reflect.set(t, key, value * 10);
+  },
+  has(t, key) {
+    log.push('has ' + key);
+    return key.startsWith('_') ? false : Reflect.has(t, key);
+  },
+  deleteProperty(t, key) {
+    log.push('delete ' + key);
+    return Reflect.deleteProperty(t, key);
+  },
+  ownKeys(t) {
+    log.push('ownKeys');
+    return Reflect.ownKeys(t).concat([ 'extra' ]);
+  }
+});
+
+console.log(proxy.a, proxy.nope);
+proxy.c = 3;
+console.log(target.c, 'a' in proxy, '_a' in proxy);
+delete proxy.b;
+console.log(Object.keys(target), Reflect.ownKeys(proxy));
+console.log(log.join(', '));
+
+// no traps forward to the target
+const plain = new Proxy(target, {});
+plain.d = 4;
+console.log(plain.a, target.d, 'd' in plain);
+
+const add = new Proxy((x, y) => x + y, {
+  apply(fn, thisArg, args) {
+    return fn(...args) * 2;
+  }
+});
+console.log(add(1, 2), Reflect.apply(add, undefined, [ 3, 4 ]));
+
+class Point {
+  constructor(x) {
+    this.x = x;
+  }
+}
+
+const Tracked = new Proxy(Point, {
+  construct(C, args) {
+    const obj = Reflect.construct(C, args);
+    obj.tracked = true;
+    return obj;
+  }
+});
+const p = new Tracked(5);
+console.log(p.x, p.tracked);
+
+const { proxy: revocable, revoke } = Proxy.revocable({ x: 1 }, {});
+console.log(revocable.x);
+revoke();
+try {
+  revocable.x;
+} catch (e) {
+  console.log(e instanceof TypeError);
+}
+
+// each revoke only revokes its own proxy
+const revocableTarget = { x: 2 };
+const a = Proxy.revocable(revocableTarget, {}), b = Proxy.revocable(revocableTarget, {});
+a.revoke();
+try {
+  a.proxy.x;
+} catch (e) {
+  console.log('a revoked', e instanceof TypeError);
+}
+console.log('b', b.proxy.x, typeof b.revoke);
+b.revoke();
+b.revoke();
+
+try {
+  new Proxy({}, { ownKeys: () => [ 1 ] });
+  Reflect.ownKeys(new Proxy({}, { ownKeys: () => [ 1 ] }));
+} catch (e) {
+  console.log(e instanceof TypeError);
+}
+
+console.log(Reflect.has({ x: 1 }, 'x'), Reflect.getPrototypeOf([]) === Array.prototype, Reflect.defineProperty({}, 'x', { value: 1 }));
@@ -0,0 +1,111 @@
+// --source-map: wasm gets a sourceMappingURL section and a .wasm.map of code offsets to js locations, c gets #line directives
+import { spawnSync } from 'node:child_process';
+import fs from 'node:fs';
+import os from 'node:os';
+import { join } from 'node:path';
+
+const dir = fs.mkdtempSync(join(os.tmpdir(), 'porf-source-map-'));
+const source = `function add(a, b) {
+  const sum = a + b;
+  return sum;
+}
+
+let total = 0;
+for (let i = 0; i < 3; i++) total = add(total, i);
+console.log(total);
+`;
+fs.writeFileSync(join(dir, 'program.js'), source);
+
+const porf = join(import.meta.dirname, '..', 'runtime', 'index.js');
+const compile = (...args) => {
+  const x = spawnSync(process.execPath, [ porf, ...args ], { cwd: dir, encoding: 'utf8' });
+  if (x.status !== 0) throw new Error(x.stderr);
+};
+
+const sourceMappingURL = file => {
+  const sections = WebAssembly.Module.customSections(new WebAssembly.Module(fs.readFileSync(join(dir, file))), 'sourceMappingURL');
+  if (sections.length === 0) return null;
+
+  // a length prefixed string
+  const bytes = new Uint8Array(sections[0]);
+  return new TextDecoder().decode(bytes.subarray(1, 1 + bytes[0]));
+};
+
+// where the code section is, as the map's offsets are into the module
+const codeSection = file => {
+  const bytes = fs.readFileSync(join(dir, file));
+  let i = 8;
+  const leb = () => {
+    let n = 0, shift = 0, byte;
+    do {
+      byte = bytes[i++];
+      n |= (byte & 0x7f) << shift;
+      shift += 7;
+    } while (byte & 0x80);
+    return n;
+  };
+
+  while (i < bytes.length) {
+    const id = bytes[i++];
+    const size = leb();
+    if (id === 10) return [ i, i + size ];
+    i += size;
+  }
+};
+
+const base64 = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/';
+const decodeMappings = mappings => {
+  const out = [];
+  let offset = 0, source = 0, line = 0, column = 0;
+  for (const segment of mappings.split(',')) {
+    const values = [];
+    let n = 0, shift = 0;
+    for (const c of segment) {
+      const digit = base64.indexOf(c);
+      n += (digit & 0b11111) << shift;
+      shift += 5;
+      if (digit & 0b100000) continue;
+
+      values.push(n & 1 ? -(n >>> 1) : n >>> 1);
+      n = shift = 0;
+    }
+
+    offset += values[0];
+    source += values[1];
+    line += values[2];
+    column += values[3];
+    out.push({ offset, source, line, column });
+  }
+
+  return out;
+};
+
+compile('wasm', '--source-map', 'program.js', 'out.wasm');
+console.log('section:', sourceMappingURL('out.wasm'));
+
+const map = JSON.parse(fs.readFileSync(join(dir, 'out.wasm.map'), 'utf8'));
+console.log(map.version, map.sources, map.sourcesContent[0] === source, map.names);
+
+const [ codeStart, codeEnd ] = codeSection('out.wasm');
+const segments = decodeMappings(map.mappings);
+console.log('in code section:', segments.every(x => x.offset >= codeStart && x.offset < codeEnd), 'increasing:', segments.every((x, i) => i === 0 || x.offset > segments[i - 1].offset));
+
+// every mapped location is the start of a statement
+const lines = source.split('\n');
+const mapped = [ ...new Set(segments.toSorted((a, b) => a.line - b.line || a.column - b.column)
+  .map(x => `${x.line + 1}:${x.column + 1} ${lines[x.line].slice(x.column, x.column + 16)}`)) ];
+console.log(mapped.join('\n'));
+
+compile('wasm', '--source-map=https://example.com/program.wasm.map', 'program.js', 'url.wasm');
+console.log('section:', sourceMappingURL('url.wasm'));
+
+compile('wasm', 'program.js', 'none.wasm');
+console.log('without:', sourceMappingURL('none.wasm'), fs.existsSync(join(dir, 'none.wasm.map')));
+
+// c has #line directives for the js lines of the program, going back to the c file after
+compile('c', '--source-map', 'program.js', 'out.c');
+const directives = fs.readFileSync(join(dir, 'out.c'), 'utf8').split('\n').filter(x => x.startsWith('#line'));
+console.log([ ...new Set(directives.filter(x => x.endsWith('"program.js"')).map(x => +x.split(' ')[1])) ].sort((a, b) => a - b));
+console.log(directives.some(x => x.endsWith('"out.c"')));
+
+fs.rmSync(dir, { recursive: true, force: true });
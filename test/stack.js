@@ -0,0 +1,54 @@
+// Error.prototype.stack has frames of the JS functions on the stack at their source locations,
+// including for errors thrown by builtins (like getting a property of null)
+function inner() {
+  return new Error('inner');
+}
+
+function outer() {
+  const e = inner();
+  return e;
+}
+
+console.log(outer().stack);
+
+class Thing {
+  method() {
+    throw new TypeError('from method');
+  }
+}
+
+try {
+  // the arrow function tail calls method, so is not in the stack
+  [ 1 ].forEach(() => new Thing().method());
+} catch (e) {
+  console.log(e.stack);
+}
+
+const err = new RangeError('top level');
+console.log(err.stack);
+
+function get(x) {
+  return x.foo;
+}
+
+function set(x) {
+  x.foo = 1;
+}
+
+try {
+  get(null);
+} catch (e) {
+  console.log(e.stack);
+}
+
+try {
+  set(undefined);
+} catch (e) {
+  console.log(e.stack);
+}
+
+try {
+  JSON.parse('{');
+} catch (e) {
+  console.log(e.stack);
+}
@@ -0,0 +1,18 @@
+// @porf --target=native --compiler=gcc
+// stack traces in native binaries, also printed for the uncaught error exiting
+function inner() {
+  return new Error('inner');
+}
+
+function outer() {
+  const e = inner();
+  return e;
+}
+
+console.log(outer().stack);
+
+function set(x) {
+  x.foo = 1;
+}
+
+set(null);
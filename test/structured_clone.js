@@ -0,0 +1,33 @@
+// structuredClone clones through cycles, keeping what is shared, and throws DataCloneError DOMExceptions for what it cannot clone
+const obj = { n: 1, list: [ 1, 'two' ], map: new Map([ [ 'k', new Set([ 3 ]) ] ]), when: new Date(0), re: /a+/gi };
+obj.self = obj;
+obj.again = obj.list;
+
+const clone = structuredClone(obj);
+console.log(clone !== obj, clone.self === clone, clone.again === clone.list, clone.list.join(), clone.map.get('k').has(3));
+console.log(clone.when.getTime(), clone.re.source, clone.re.flags);
+
+const err = structuredClone(new RangeError('too big'));
+console.log(err instanceof RangeError, err.message);
+
+const buffer = new Uint8Array([ 1, 2, 3 ]).buffer;
+const moved = structuredClone(buffer, { transfer: [ buffer ] });
+console.log(moved.byteLength, buffer.byteLength, buffer.detached);
+
+const tryClone = (name, value) => {
+  try {
+    structuredClone(value);
+  } catch (e) {
+    console.log(name, e.name, e.code, e instanceof DOMException);
+  }
+};
+
+tryClone('function', function () {});
+tryClone('symbol', Symbol('x'));
+tryClone('weakmap', new WeakMap());
+tryClone('nested', { fn: () => {} });
+tryClone('detached', buffer);
+
+const e = new DOMException('oops', 'AbortError');
+console.log(e.name, e.message, e.code, String(e));
+console.log(new DOMException().name, new DOMException('x', 'Custom').code);
@@ -0,0 +1,41 @@
+// returned calls are tail calls, so deep recursion does not overflow. functions can be constructors too,
+// so only tail call when not called with new and otherwise check what the call returned (with its args evaluated once)
+function count(n, total) {
+  if (n == 0) return total;
+  return count(n - 1, total + 1);
+}
+
+function isEven(n) {
+  return n == 0 ? true : isOdd(n - 1);
+}
+
+function isOdd(n) {
+  return n == 0 ? false : isEven(n - 1);
+}
+
+console.log(count(1000000, 0), isEven(1000001), isOdd(1000001));
+
+let made = 0;
+function make(x, f) {
+  made++;
+  return { x, y: f(x) };
+}
+
+function Point(x) {
+  return make(x, y => y * 2);
+}
+
+function Number2(x) {
+  return count(x, 0);
+}
+
+console.log(Point(1), new Point(2), made);
+console.log(Number2(3), new Number2(4) instanceof Number2);
+
+// indirect calls too
+const apply = (f, x) => f(x);
+function Apply(f, x) {
+  return apply(f, x);
+}
+
+console.log(Apply(x => x + 1, 1), new Apply(x => ({ x }), 2), new Apply(x => x, 3) instanceof Apply);
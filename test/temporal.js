@@ -0,0 +1,48 @@
+// Temporal Instant, PlainDate, PlainTime, PlainDateTime, Duration and Now, with fixed offset time zones
+const instant = Temporal.Instant.from('2024-02-29T15:04:05.123456789+02:00');
+// (epochNanoseconds of recent instants are BigInts too big to be inline, which are not supported yet)
+console.log(instant.toString(), instant.epochMilliseconds, Temporal.Instant.fromEpochMilliseconds(1).epochNanoseconds, Temporal.Instant.fromEpochNanoseconds(-1500n).toString());
+console.log(Temporal.Instant.fromEpochMilliseconds(0).toString(), Temporal.Instant.fromEpochMilliseconds(-1).toString());
+console.log(instant.add({ hours: 10, nanoseconds: 1 }).toString(), instant.subtract(Temporal.Duration.from('PT1M')).toString());
+console.log(instant.since(Temporal.Instant.from('2024-01-01T00:00Z')).toString(), instant.until(Temporal.Instant.from('2024-01-01T00:00Z'), { largestUnit: 'hour' }).toString());
+console.log(instant.equals(Temporal.Instant.from(instant.toString())), instant.equals(instant.add({ nanoseconds: 1 })), Temporal.Instant.compare(instant, Temporal.Instant.fromEpochMilliseconds(0)));
+
+const date = Temporal.PlainDate.from('2024-02-29');
+console.log(date.toString(), date.year, date.month, date.monthCode, date.day, date.calendarId);
+console.log(date.dayOfWeek, date.dayOfYear, date.weekOfYear, date.yearOfWeek, date.daysInWeek, date.daysInMonth, date.daysInYear, date.monthsInYear, date.inLeapYear);
+console.log(date.add({ years: 1 }).toString(), date.add({ months: 1, days: 1 }).toString(), date.subtract({ weeks: 9 }).toString(), date.add({ years: 1 }, { overflow: 'constrain' }).toString());
+console.log(date.with({ day: 1 }).toString(), new Temporal.PlainDate(2021, 1, 3).weekOfYear, new Temporal.PlainDate(2021, 1, 3).yearOfWeek, new Temporal.PlainDate(-1, 12, 31).toString(), new Temporal.PlainDate(12345, 6, 7).toString());
+console.log(date.until('2025-03-01').toString(), date.until('2025-03-01', { largestUnit: 'year' }).toString(), date.since('2023-12-25', { largestUnit: 'month' }).toString());
+console.log(Temporal.PlainDate.compare('2024-01-01', date), date.equals('2024-02-29'), date.toPlainDateTime(Temporal.PlainTime.from('12:30')).toString());
+
+const time = Temporal.PlainTime.from('23:59:59.999999999');
+console.log(time.toString(), time.hour, time.minute, time.second, time.millisecond, time.microsecond, time.nanosecond);
+console.log(time.add({ nanoseconds: 1 }).toString(), time.subtract({ hours: 25 }).toString(), time.with({ second: 0, nanosecond: 0 }).toString(), new Temporal.PlainTime(7).toString());
+console.log(Temporal.PlainTime.from('08:00').until('17:30').toString(), Temporal.PlainTime.from('08:00').since('17:30').toString(), Temporal.PlainTime.compare('08:00', '07:59:59'));
+
+const dateTime = Temporal.PlainDateTime.from('2024-12-31T23:30:00');
+console.log(dateTime.toString(), dateTime.add({ hours: 1 }).toString(), dateTime.subtract({ months: 10 }).toString(), dateTime.withPlainTime('01:02').toString());
+console.log(dateTime.toPlainDate().toString(), dateTime.toPlainTime().toString(), dateTime.with({ year: 2023, minute: 5 }).toString(), dateTime.dayOfWeek, dateTime.weekOfYear, dateTime.yearOfWeek);
+console.log(dateTime.until('2025-01-02T01:00').toString(), dateTime.since('2024-01-01T00:00', { largestUnit: 'year' }).toString(), Temporal.PlainDateTime.compare(dateTime, '2024-12-31T23:30'));
+
+const duration = Temporal.Duration.from({ years: 1, months: 2, days: 3, hours: 4, minutes: 5, seconds: 6, milliseconds: 7 });
+console.log(duration.toString(), duration.sign, duration.blank, duration.negated().toString(), duration.negated().abs().toString(), new Temporal.Duration().toString());
+console.log(Temporal.Duration.from('P1DT12H').total('hours'), Temporal.Duration.from('PT90M').total({ unit: 'hour' }), Temporal.Duration.from('PT1.5S').toString(), Temporal.Duration.from('-PT0.000000001S').toString());
+console.log(Temporal.Duration.from('PT1H').add('PT30M').toString(), Temporal.Duration.from('PT1H').subtract('PT90M').toString(), Temporal.Duration.compare('PT1H', 'PT60M'), Temporal.Duration.from('P1W').with({ days: 2 }).toString());
+
+console.log(Temporal.Now.timeZoneId(), typeof Temporal.Now.instant().epochMilliseconds, Temporal.Now.plainDateISO() instanceof Temporal.PlainDate, Temporal.Now.plainTimeISO('+05:30') instanceof Temporal.PlainTime);
+console.log(Math.round(Temporal.Now.plainDateTimeISO('+05:30').since(Temporal.Now.plainDateTimeISO('-01:00')).total('minutes')));
+
+for (const bad of [ () => Temporal.PlainDate.from('2023-02-29'), () => new Temporal.PlainTime(24), () => Temporal.Duration.from({ hours: 1, minutes: -1 }), () => Temporal.Instant.from('2024-01-01T00:00') ]) {
+  try {
+    bad();
+  } catch (e) {
+    console.log(e.constructor.name);
+  }
+}
+
+try {
+  date.valueOf();
+} catch (e) {
+  console.log(e.constructor.name);
+}
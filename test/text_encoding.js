@@ -0,0 +1,46 @@
+// TextEncoder encodes utf-8, TextDecoder decodes utf-8, utf-16le and windows-1252 (with fatal, ignoreBOM and streaming)
+const codes = str => {
+  const out = [];
+  for (let i = 0; i < str.length; i++) out.push(str.charCodeAt(i).toString(16));
+  return out.join(' ');
+};
+
+const encoder = new TextEncoder();
+console.log(encoder.encoding, encoder.encode('hé€🐸').join(' '));
+console.log(encoder.encode('lone \ud800 surrogate').join(' '));
+
+const into = new Uint8Array(5);
+console.log(JSON.stringify(encoder.encodeInto('h€llo', into)), into.join(' '));
+
+const utf8 = new TextDecoder();
+console.log(utf8.encoding, utf8.fatal, utf8.ignoreBOM);
+console.log(codes(utf8.decode(new Uint8Array([ 0xef, 0xbb, 0xbf, 104, 195, 169, 240, 159, 144, 184 ]))));
+console.log(codes(utf8.decode(new Uint8Array([ 104, 0xff, 0xc3, 105, 0xe2, 0x82, 106 ]))));
+console.log(new TextDecoder('utf-8', { ignoreBOM: true }).decode(new Uint8Array([ 0xef, 0xbb, 0xbf, 104 ])).length);
+
+try {
+  new TextDecoder('utf-8', { fatal: true }).decode(new Uint8Array([ 0xc3 ]));
+} catch (e) {
+  console.log(e instanceof TypeError);
+}
+
+// a code point split across chunks is kept until the next
+const stream = new TextDecoder();
+console.log(stream.decode(new Uint8Array([ 240, 159 ]), { stream: true }).length, codes(stream.decode(new Uint8Array([ 144, 184 ]))));
+
+const utf16 = new TextDecoder('utf-16le');
+console.log(utf16.encoding, codes(utf16.decode(new Uint8Array([ 0xff, 0xfe, 104, 0, 0xac, 0x20, 0x3d, 0xd8, 0x38, 0xdc ]))));
+
+// latin1 is windows-1252, so C1 bytes are mapped (unlike node, which decodes them as latin1)
+const latin = new TextDecoder('latin1');
+console.log(latin.encoding, codes(latin.decode(new Uint8Array([ 99, 97, 102, 0xe9, 0x80, 0x99 ]))));
+
+// views and buffers decode the bytes they cover
+const bytes = encoder.encode('abcdef');
+console.log(utf8.decode(bytes.subarray(2, 4)), utf8.decode(bytes.buffer), utf8.decode(new DataView(bytes.buffer, 1, 2)), utf8.decode().length);
+
+try {
+  new TextDecoder('nope');
+} catch (e) {
+  console.log(e instanceof RangeError);
+}
@@ -0,0 +1,29 @@
+// timers run from an event loop after the program, in order of when they are due, with microtasks run before each
+const log = [];
+
+setTimeout(() => log.push('timeout 120'), 120);
+setTimeout(() => log.push('timeout 0 a'), 0);
+setTimeout(x => log.push('timeout 0 b ' + x), 0, 'arg');
+const cancelled = setTimeout(() => log.push('cancelled'), 5);
+clearTimeout(cancelled);
+
+queueMicrotask(() => log.push('microtask'));
+Promise.resolve().then(() => log.push('promise'));
+
+let ticks = 0;
+const interval = setInterval(() => {
+  log.push('interval ' + ++ticks);
+  if (ticks == 3) clearInterval(interval);
+}, 30);
+
+setTimeout(() => {
+  log.push('timeout 10');
+  queueMicrotask(() => log.push('microtask in timeout'));
+  setTimeout(() => log.push('nested timeout'), 0);
+}, 10);
+
+// promises resolved by timers
+new Promise(resolve => setTimeout(resolve, 45, 'resolved')).then(x => log.push(x));
+
+setTimeout(() => console.log(log.join(', ')), 200);
+log.push('sync');
@@ -0,0 +1,79 @@
+// @porf --target=native --compiler=gcc --module
+// try/catch in native binaries, with throws longjmp-ing to the nearest catch
+import fs from 'node:fs';
+
+try {
+  throw new Error('x');
+} catch (e) {
+  console.log('caught', e.message);
+}
+
+const f = n => {
+  try {
+    if (n > 2) throw new TypeError('big ' + n);
+    return n * 2;
+  } catch (e) {
+    return e.message;
+  } finally {
+    console.log('finally', n);
+  }
+};
+console.log(f(1), f(3));
+
+// leaving a try with break and continue keeps later throws caught by the right catch
+let count = 0;
+for (let i = 0; i < 5; i++) {
+  try {
+    if (i == 1) continue;
+    if (i == 3) break;
+    count++;
+  } catch {}
+}
+console.log('count', count);
+
+const deep = n => {
+  if (n == 0) throw 'bottom';
+  return deep(n - 1) + 1;
+};
+try {
+  deep(10);
+} catch (e) {
+  console.log('deep', e);
+}
+
+try {
+  try {
+    throw 1;
+  } catch (e) {
+    throw e + 1;
+  }
+} catch (e) {
+  console.log('rethrown', e);
+}
+
+try {
+  null.x;
+} catch (e) {
+  console.log(e instanceof TypeError);
+}
+
+// errors thrown by builtins
+try {
+  fs.readFileSync('/nonexistent/file');
+} catch (e) {
+  console.log('fs', e.code, e.syscall);
+}
+
+try {
+  new TextDecoder('utf-8', { fatal: true }).decode(new Uint8Array([ 0xff ]));
+} catch (e) {
+  console.log('decode', e instanceof TypeError);
+}
+
+try {
+  Temporal.PlainDate.from('nope');
+} catch (e) {
+  console.log('temporal', e instanceof RangeError);
+}
+
+throw new Error('end');
@@ -0,0 +1,16 @@
+// the unicode tables are static data, which used to spill into the page after them depending on what static data came before
+const pad = 'xxxx';
+
+const show = s => Array.from(s).map(c => c.codePointAt(0).toString(16)).join(' ');
+console.log(show('é'.normalize('NFD')), show('é'.normalize('NFC')));
+console.log('ß'.toUpperCase(), 'ΟΔΟΣ'.toLowerCase(), 'Σ'.toLowerCase(), 'İ'.toLowerCase().length);
+
+const strs = [ 'Å', 'ﬁ', '한국어', 'Ǆ', 'ΟΔΟΣ ΟΔΟΣ', 'İstanbul', 'straße', 'ａｂｃ' ];
+for (const s of strs) {
+  for (const f of [ 'NFC', 'NFD', 'NFKC', 'NFKD' ]) console.log(f, show(s.normalize(f)));
+  console.log(s.toUpperCase(), s.toLowerCase(), [...s].length, Array.from(s.toLowerCase()).length);
+}
+
+let big = '';
+for (let i = 0; i < 300; i++) big += 'éΣß';
+console.log(Array.from(big.normalize('NFD')).length, big.toUpperCase().length, [...big.toLowerCase()].length);
@@ -0,0 +1,127 @@
+// using and await using declarations dispose in reverse order when leaving their block, however it is left,
+// with DisposableStack, AsyncDisposableStack and SuppressedError for errors while disposing
+const log = [];
+const resource = name => ({
+  name,
+  [Symbol.dispose]() {
+    log.push('dispose ' + this.name);
+  }
+});
+
+const flush = label => {
+  console.log(label + ': ' + log.join(', '));
+  log.length = 0;
+};
+
+{
+  using a = resource('a');
+  using b = resource('b');
+  using nothing = null;
+  log.push('body');
+}
+flush('block');
+
+function early() {
+  using a = resource('a');
+  if (a) return 'returned';
+  log.push('unreachable');
+}
+log.push(early());
+flush('return');
+
+for (let i = 0; i < 3; i++) {
+  using r = resource('loop ' + i);
+  if (i == 1) break;
+  log.push('iteration ' + i);
+}
+flush('break');
+
+for (const r of [ resource('x'), resource('y') ]) {
+  using u = r;
+  if (r.name == 'x') continue;
+  log.push('after continue');
+}
+flush('for of');
+
+try {
+  using a = resource('a');
+  throw new Error('thrown');
+} catch (e) {
+  log.push('caught ' + e.message);
+}
+flush('throw');
+
+// errors while disposing are suppressed by later ones
+const throwing = message => ({
+  message,
+  [Symbol.dispose]() {
+    throw new Error(this.message);
+  }
+});
+
+try {
+  using a = throwing('first');
+  using b = throwing('second');
+  throw new Error('body');
+} catch (e) {
+  console.log(e instanceof SuppressedError, e.name, e.message, e.error.message, e.suppressed instanceof SuppressedError, e.suppressed.error.message, e.suppressed.suppressed.message);
+}
+
+try {
+  using a = {};
+} catch (e) {
+  console.log(e instanceof TypeError);
+}
+
+const stack = new DisposableStack();
+stack.use(resource('used'));
+stack.adopt('adopted', x => log.push('adopt ' + x));
+stack.defer(() => log.push('deferred'));
+console.log(stack.disposed, String(stack));
+const moved = stack.move();
+console.log(stack.disposed, moved.disposed);
+moved.dispose();
+moved.dispose();
+console.log(moved.disposed);
+flush('stack');
+
+try {
+  stack.use(resource('late'));
+} catch (e) {
+  console.log(e instanceof ReferenceError);
+}
+
+{
+  using s = new DisposableStack();
+  s.defer(() => log.push('stack in using'));
+  log.push('body');
+}
+flush('using stack');
+
+const error = new SuppressedError(1, 2, 'message');
+console.log(error.error, error.suppressed, error.message, error.name);
+
+const asyncResource = name => ({
+  name,
+  async [Symbol.asyncDispose]() {
+    log.push('async dispose ' + this.name);
+  }
+});
+
+const run = async () => {
+  {
+    await using a = asyncResource('a');
+    await using b = resource('sync b');
+    log.push('async body');
+  }
+  flush('await using');
+
+  const asyncStack = new AsyncDisposableStack();
+  asyncStack.use(asyncResource('stacked'));
+  asyncStack.defer(async () => log.push('async deferred'));
+  await asyncStack.disposeAsync();
+  console.log(asyncStack.disposed, String(asyncStack));
+  flush('async stack');
+};
+
+run();
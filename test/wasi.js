@@ -0,0 +1,8 @@
+// @porf --target=wasi
+console.log('hello', 1 + 2, [ 1, 2 ].length);
+console.log(process.argv[0], process.env.PORFFOR_TEST);
+
+const start = Date.now();
+console.log(start > 0, performance.now() >= 0);
+
+process.exit(3);
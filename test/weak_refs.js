@@ -0,0 +1,61 @@
+// @porf --gc --gc-threshold=1
+// FinalizationRegistry cleanup callbacks are called as jobs for collected targets, and weak collections
+// do not keep their keys alive (including via their own values)
+function garbage() {
+  for (let i = 0; i < 100; i++) {
+    let head = null;
+    for (let j = 0; j < 100; j++) head = { j, next: head };
+  }
+}
+
+const cleaned = [];
+const registry = new FinalizationRegistry(held => cleaned.push(held));
+
+const token = {};
+const kept = { name: 'kept' };
+const set = new WeakSet();
+const map = new WeakMap();
+function register() {
+  registry.register({}, 'dropped');
+  registry.register({}, 'unregistered', token);
+  registry.register(kept, 'kept');
+
+  const member = {};
+  set.add(member);
+  registry.register(member, 'weak set member');
+
+  // the value refers to the key, which should not keep the key alive
+  const key = {};
+  map.set(key, { key });
+  registry.register(key, 'weak map key');
+
+  set.add(kept);
+  map.set(kept, 'value');
+}
+
+register();
+console.log(registry.unregister(token), registry.unregister(token), registry.unregister({}));
+garbage();
+
+// not called until after the current job
+console.log('before cleanup', cleaned.length);
+setTimeout(() => {
+  console.log('cleaned', cleaned.toSorted().join(', '));
+  console.log(set.has(kept), map.get(kept), kept.name);
+}, 0);
+
+for (const bad of [
+  () => registry.register(1, 'held'),
+  () => registry.register(kept, kept),
+  () => registry.unregister(1),
+  () => new FinalizationRegistry(1),
+  () => new WeakRef('str')
+]) {
+  try {
+    bad();
+  } catch (e) {
+    console.log(e.constructor.name);
+  }
+}
+
+console.log(String(registry), registry.register(kept, 'again'));